@@ -0,0 +1,161 @@
+/* micro benchmarks of interpreted code, run by `npm run benchmark [-- parserPath ...]` */
+// @NOTE: parsers at given paths are compared with each other, e.g. lib of baseline commit
+// extracted by git archive, with its own dependencies installed, parser of this tree is measured given no path
+// @CASE: npm run benchmark -- /tmp/baseline/lib/EsprimaParser lib/EsprimaParser
+const fs = require('fs')
+const path = require('path')
+const esprima = require('esprima-next')
+const createDocument = require('./document')
+
+const ITERATIONS = 100000
+const MANIPULATIONS = 300
+const RUNS = 9
+
+const workloads = {
+  loop: `
+    var sum = 0
+    for (var i = 0; i < ${ITERATIONS}; i++) {
+      sum = sum + i
+    }
+  `,
+  calls: `
+    function add(a, b) {
+      return a + b
+    }
+    var sum = 0
+    for (var i = 0; i < ${ITERATIONS}; i++) {
+      sum = add(sum, i)
+    }
+  `,
+  closures: `
+    function outer(a) {
+      return function inner(b) {
+        var sum = 0
+        for (var i = 0; i < ${ITERATIONS}; i++) {
+          sum = sum + a + b + i
+        }
+        return sum
+      }
+    }
+    outer(1)(2)
+  `,
+  member: `
+    var object = {a: {b: {c: 1}}}
+    var sum = 0
+    for (var i = 0; i < ${ITERATIONS}; i++) {
+      sum = sum + object.a.b.c
+    }
+  `,
+  // jQuery loaded as page loads it, then manipulating elements and calling its utilities
+  jquery: `
+    ${fs.readFileSync(path.join(__dirname, '../example/jquery.js'), 'utf8')}
+    var items = []
+    for (var i = 0; i < ${MANIPULATIONS}; i++) {
+      var item = jQuery(document.createElement('div')).attr('title', 'item ' + i).addClass('item odd').removeClass('odd')
+      items.push(jQuery.extend(true, {index: i}, item.data(), {
+        tags: jQuery.map([i, i + 1], function (n) { return jQuery.trim(' ' + n + ' ') })
+      }))
+    }
+  `
+}
+
+const LOOKUPS = 3000000
+
+// variables read from the innermost of closures nested 4 deep, {name: hops to closure binding it}
+const lookups = {
+  local: 0,
+  outer: 3,
+  global: 4
+}
+
+function createContext() {
+  // @NOTE: DOM interfaces checked by member access are missing from node, and so is window jQuery loads into
+  const context = Object.assign(Object.create(global), {
+    CSSStyleDeclaration: class CSSStyleDeclaration {},
+    DOMTokenList: class DOMTokenList {},
+    Attr: class Attr {},
+    document: createDocument(),
+    location: {href: 'http://localhost/'},
+    addEventListener() {},
+    removeEventListener() {}
+  })
+
+  context.window = context
+
+  return context
+}
+
+function measure(EsprimaParser, root, code) {
+  // options of contentscript, where every entry has execution budget
+  const parser = new EsprimaParser(createContext(), {maxTime: 10000})
+  const start = process.hrtime()
+
+  parser.parseAst(root, 'benchmark.js', code)
+
+  const [seconds, nanoseconds] = process.hrtime(start)
+
+  return seconds * 1e3 + nanoseconds / 1e6
+}
+
+function median(times) {
+  // median keeps one run slowed by gc from skewing result
+  return [...times].sort((a, b) => a - b)[Math.floor(times.length / 2)]
+}
+
+function measureLookup(ClosureStack, name) {
+  // @NOTE: closure stack resolving identifiers beforehand is read by hops,
+  // others (e.g. that of baseline) by name
+  const closureStack = new ClosureStack(Object.assign(createContext(), {global: 0}))
+  const scopes = ['outer', 'a', 'b', 'local'].map((variable) => {
+    const scope = {}
+
+    closureStack.createClosure(scope)
+    closureStack.set(variable, 0)
+
+    return scope
+  })
+  const hops = lookups[name]
+  const reference = {hops, scope: (hops < scopes.length) ? scopes[scopes.length - 1 - hops] : null}
+  const read = closureStack.getResolved ?
+    () => closureStack.getResolved(name, reference) : () => closureStack.get(name)
+  const start = process.hrtime()
+
+  for (let i = 0; i < LOOKUPS; i++) {
+    read()
+  }
+  const [seconds, nanoseconds] = process.hrtime(start)
+
+  return seconds * 1e3 + nanoseconds / 1e6
+}
+
+function main(parserPaths) {
+  const paths = parserPaths.length ? parserPaths : [path.join(__dirname, '../lib/EsprimaParser')]
+  const parsers = paths.map((parserPath) => require(path.resolve(parserPath)))
+  const closureStacks = paths.map((parserPath) => require(path.resolve(parserPath, 'structures/ClosureStack')))
+
+  for (const name of Object.keys(workloads)) {
+    const code = workloads[name]
+    const root = esprima.parse(code, {loc: true, range: true})
+    const times = parsers.map(() => [])
+
+    // @NOTE: runs of parsers take turns, so that machine load drifting affects them alike
+    for (let run = 0; run < RUNS; run++) {
+      parsers.forEach((EsprimaParser, index) => {
+        times[index].push(measure(EsprimaParser, root, code))
+      })
+    }
+    console.log(`${name}: ${times.map((ms) => `${median(ms).toFixed(0)}ms`).join(' -> ')}`)
+  }
+  for (const name of Object.keys(lookups)) {
+    const times = closureStacks.map(() => [])
+
+    for (let run = 0; run < RUNS; run++) {
+      closureStacks.forEach((ClosureStack, index) => {
+        times[index].push(measureLookup(ClosureStack, name))
+      })
+    }
+    console.log(`lookup ${name}: ${times.map((ms) => `${median(ms).toFixed(0)}ms`).join(' -> ')}`)
+  }
+}
+
+main(process.argv.slice(2))
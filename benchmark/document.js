@@ -0,0 +1,110 @@
+/* minimal document jQuery reads and writes while it loads and manipulates detached elements */
+// @NOTE: node has no DOM, nodes here keep only what example/jquery.js touches,
+// queries find nothing as no element is attached by workloads
+
+class Node {
+  constructor(nodeName, nodeType, ownerDocument) {
+    this.nodeName = nodeName
+    this.nodeType = nodeType
+    this.ownerDocument = ownerDocument
+    this.parentNode = null
+    this.childNodes = []
+    this.attributes = {}
+    this.style = {}
+    this.innerHTML = ''
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null
+  }
+
+  appendChild(child) {
+    child.parentNode = this
+    this.childNodes.push(child)
+
+    return child
+  }
+
+  insertBefore(child) {
+    return this.appendChild(child)
+  }
+
+  removeChild(child) {
+    this.childNodes.splice(this.childNodes.indexOf(child), 1)
+    child.parentNode = null
+
+    return child
+  }
+
+  cloneNode(deep) {
+    const clone = new Node(this.nodeName, this.nodeType, this.ownerDocument)
+
+    Object.assign(clone.attributes, this.attributes)
+
+    if (deep) {
+      this.childNodes.forEach((child) => clone.appendChild(child.cloneNode(true)))
+    }
+    return clone
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value)
+  }
+
+  getAttribute(name) {
+    return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name]
+  }
+
+  getElementsByTagName() {
+    return []
+  }
+
+  getElementsByClassName() {
+    return []
+  }
+
+  querySelectorAll() {
+    return []
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  contains() {
+    return false
+  }
+
+  compareDocumentPosition() {
+    return 0
+  }
+}
+
+function createDocument() {
+  const document = new Node('#document', 9, null)
+
+  Object.assign(document, {
+    readyState: 'loading',
+    implementation: {createHTMLDocument: createDocument},
+    createElement: (name) => new Node(name.toUpperCase(), 1, document),
+    createDocumentFragment: () => new Node('#document-fragment', 11, document),
+    createTextNode: () => new Node('#text', 3, document),
+    createComment: () => new Node('#comment', 8, document),
+    getElementById: () => null
+  })
+  document.documentElement = document.appendChild(document.createElement('html'))
+  document.head = document.documentElement.appendChild(document.createElement('head'))
+  document.body = document.documentElement.appendChild(document.createElement('body'))
+
+  return document
+}
+
+module.exports = createDocument
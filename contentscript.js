@@ -10,12 +10,15 @@ document.write(`
 `);
 
 require('es6-promise').polyfill()
+// generators in parser are transpiled by babel into regenerator calls
+require('regenerator-runtime/runtime')
 require('isomorphic-fetch')
 
 if (!window.esprimaParser) {
-  window.esprimaParser = new (require('./lib/EsprimaParser'))(window)
+  // script or event handler running over 10 seconds is aborted rather than freezing page
+  window.esprimaParser = new (require('./lib/EsprimaParser'))(window, {maxTime: 10000, onDiagnostic: reportDiagnostic})
 }
-const esprima = require('esprima')
+const esprima = require('esprima-next')
 const mimetypes = require('./mimetypes')
 
 const url = window.location.href
@@ -33,6 +36,18 @@ function main() {
     })
 }
 
+function reportDiagnostic(diagnostic, message) {
+  // failures aborting scripts are thrown to page as well, reported there by reportUncaughtError
+  if (diagnostic.error) {
+    return
+  }
+  // e.g. unsupported syntax skipped, devtools warns it in inspected page
+  chrome.runtime.sendMessage({
+    type: 'diagnostic',
+    message
+  })
+}
+
 function stubPageFrom(htmlString) {
   // init all elements and remove all event listeners
   const parser = new DOMParser()
@@ -63,12 +78,19 @@ function stubFavicon() {
 
 function trackingScripts() {
   const asts = []
+  const modules = []
   const scripts = Array.prototype.slice.call(document.getElementsByTagName('script'))
 
   let p = Promise.resolve(true);
 
   scripts.forEach((script) => {
-    if (!script.type || mimetypes.hasOwnProperty(script.type)) {
+    if (script.type === 'module') {
+      // module scripts are deferred, run after classic ones in document order
+      modules.push(script)
+    } else if (script.hasAttribute('nomodule')) {
+      // nomodule scripts are fallbacks for browsers not supporting modules
+      return
+    } else if (!script.type || mimetypes.hasOwnProperty(script.type)) {
       // parse only valid type of scripts
       p = p.then(() => {
         if (script.src) {
@@ -77,13 +99,15 @@ function trackingScripts() {
           .then((scriptText) => {
             asts.push({
               url: script.src,
-              root: esprima.parse(scriptText, {loc: true})
+              source: scriptText,
+              root: esprima.parse(scriptText, {loc: true, range: true})
             })
           })
         } else if (script.innerHTML) {
           asts.push({
             url,
-            root: esprima.parse(script.innerHTML, {loc: true})
+            source: script.innerHTML,
+            root: esprima.parse(script.innerHTML, {loc: true, range: true})
           })
         }
         return true
@@ -94,11 +118,11 @@ function trackingScripts() {
   p.then(() => {
     console.log(asts)
 
-    asts.forEach((ast) => {
-      console.log(ast.url);
-      esprimaParser.parseAst(ast.root, ast.url)
-    })
+    return trackingClassicScripts(asts)
   }).then(() => {
+    return trackingModules(modules)
+  }).then(() => {
+    addUncaughtErrorListeners()
     triggerDomReady()
     triggerWindowLoad()
     addDevtoolsSelectionChangedListener()
@@ -106,6 +130,58 @@ function trackingScripts() {
     console.log('<==== start tracking ====>')
   })
 
+  function trackingClassicScripts(asts) {
+    // scripts run one after another, each at once unless esprimaParser is given timeSlice
+    return asts.reduce((p, ast) => {
+      return p.then(() => {
+        console.log(ast.url);
+        return esprimaParser.parseAstInSlices(ast.root, ast.url, ast.source)
+      }).catch((error) => {
+        // error in one script should not stop others, like browsers do
+        reportUncaughtError(error)
+      })
+    }, Promise.resolve(true))
+  }
+
+  function trackingModules(modules) {
+    return modules.reduce((p, module) => {
+      return p.then(() => {
+        console.log(module.src || url);
+        // modules imported are fetched and parsed by module loader of esprimaParser
+        return module.src ?
+          esprimaParser.importModule(module.src, url) :
+          esprimaParser.runModuleScript(module.innerHTML, url)
+      }).catch((error) => {
+        // error in one module should not stop others
+        reportUncaughtError(error)
+      })
+    }, Promise.resolve(true))
+  }
+
+  function addUncaughtErrorListeners() {
+    // errors thrown by interpreted callbacks, e.g. event handlers and timers
+    window.addEventListener('error', (event) => {
+      reportUncaughtError(event.error)
+    })
+    window.addEventListener('unhandledrejection', (event) => {
+      reportUncaughtError(event.reason)
+    })
+  }
+
+  function reportUncaughtError(error) {
+    console.error(error)
+
+    // stack of interpreted error is synthesized from interpreted call frames,
+    // devtools logs it to inspected page, where locations are clickable
+    chrome.runtime.sendMessage({
+      // failures of tracker itself are told apart from errors of page
+      type: (error instanceof esprimaParser.InterpreterError) ? 'internalError' : 'uncaughtError',
+      message: String(error),
+      stack: (error && error.stack) || String(error),
+      frames: esprimaParser.errorFrames.get(error) || []
+    })
+  }
+
   function triggerDomReady() {
     window.stop()
   }
@@ -10,7 +10,14 @@ backgroundConnection.postMessage({
 chrome.devtools.panels.elements.createSidebarPane('JS Tracker', function (sidebar) {
   backgroundConnection.onMessage.addListener(function (message) {
     console.log('message got:', message);
-    sidebar.setObject(message);
+    if (message.type === 'uncaughtError' || message.type === 'internalError') {
+      // locations "url:line:column" in stack are linkified by console of inspected page
+      chrome.devtools.inspectedWindow.eval('console.error(' + JSON.stringify(message.stack) + ')');
+    } else if (message.type === 'diagnostic') {
+      chrome.devtools.inspectedWindow.eval('console.warn(' + JSON.stringify(message.message) + ')');
+    } else {
+      sidebar.setObject(message);
+    }
   });
 });
 
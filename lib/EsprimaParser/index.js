@@ -1,9 +1,15 @@
 /* import libs */
+const esprima = require('esprima-next')
 const escodegen = require('escodegen')
-const arity = require('util-arity')
 
 /* import structures */
 const Callee = require('./structures/Callee')
+const CallRequest = require('./structures/CallRequest')
+const NativeCallRequest = require('./structures/NativeCallRequest')
+const ExpInfo = require('./structures/ExpInfo')
+const AwaitRequest = require('./structures/AwaitRequest')
+const InterpreterError = require('./structures/InterpreterError')
+const ModuleRecord = require('./structures/ModuleRecord')
 
 /* import operators */
 const binaryOperators = require('./operators/binaryOperators')
@@ -14,19 +20,43 @@ const unaryOperators = require('./operators/unaryOperators')
 const Flag = require('./structures/Flag')
 const Collection = require('./structures/Collection')
 const FlowState = require('./structures/FlowState')
+const CallStack = require('./structures/CallStack')
+const ExecutionBudget = require('./structures/ExecutionBudget')
 const ClosureStack = require('./structures/ClosureStack')
+const ModuleLoader = require('./structures/ModuleLoader')
 const checkerDispatcher = require('./dispatchers/checkerDispatcher')
 
+/* source texts of agents, shared by parsers as Function.prototype.toString is patched once */
+const functionSourceTexts = new WeakMap()
+
+/* node types parsed by parsers of their parent nodes, never passed to parseNode */
+const subNodeTypes = new Set([
+  'ArrayPattern', 'AssignmentPattern', 'AwaitExpression', 'CatchClause', 'ClassBody',
+  'ExportSpecifier', 'ImportAttribute', 'ImportDefaultSpecifier', 'ImportNamespaceSpecifier',
+  'ImportSpecifier', 'MethodDefinition', 'ObjectPattern', 'RestElement', 'SpreadElement',
+  'Super', 'TemplateElement', 'YieldExpression'
+])
+
+/* policies for syntax without parser */
+const SKIP = 'SKIP'
+const NATIVE = 'NATIVE'
+/* action reported given tracker itself failed */
+const ABORT = 'ABORT'
+
 class EsprimaParser {
-  constructor(context) {
+  constructor(context, options = {}) {
     /* import libs */
+    this.esprima = esprima
     this.escodegen = escodegen
-    this.arity = arity
 
     /* import structures */
     this.Callee = Callee
+    this.CallRequest = CallRequest
+    this.NativeCallRequest = NativeCallRequest
+    this.AwaitRequest = AwaitRequest
     this.FlowState = FlowState
     this.Collection = Collection
+    this.InterpreterError = InterpreterError
 
     /* import operators */
     this.binaryOperators = binaryOperators
@@ -39,21 +69,79 @@ class EsprimaParser {
     context.this = context
     this.context = context
     this.scriptUrl = null
+    this.sourceText = null // source text of code being parsed, sliced by node range
+    this.strict = false // whether code being parsed is strict mode code
 
     this.checkFlag = false // track only high level api
+    this.templateObjects = new WeakMap() // strings arrays cached per tagged template
+    this.expCodes = new WeakMap() // code of tracked expressions, generated once per node
+    this.resolvedIdentifiers = new WeakMap() // identifiers => {hops, scope} of closures binding them
+    this.resolvedPrograms = new WeakSet() // programs whose identifiers are resolved
+    this.argumentsReferences = new WeakMap() // functions => whether their arguments are referred to
+    this.suspendableNodes = new WeakMap() // whether node contains yield, await or call, cached per node
+    this.heapSuspendableNodes = new WeakMap() // whether node contains member access as well, cached per node
+    this.onHeapFrame = false // whether body being resumed runs on heap frame, see resumeCallFrame
+    this.accessReceiver = undefined // receiver of member accessed on heap frame, see accessOnHeap
+    this.yieldNodes = new WeakMap() // whether node contains yield or await, cached per node
+    this.resolvedValues = new Map() // values of nodes evaluated by generator beforehand
+    this.generatorStates = new WeakMap() // states of generator objects
+    this.generatorState = null // state of generator being resumed, see resumeGenerator
+    this.generatorPrototype = this.initGeneratorPrototype()
+    this.generatorFunctionPrototype = Object.getPrototypeOf(this.parseGeneratorBody) // of native generator functions
+    this.asyncFunctionPrototype = this.createFunctionPrototype('AsyncFunction')
+    this.asyncGeneratorPrototype = this.initAsyncGeneratorPrototype()
+    this.asyncGeneratorFunctionPrototype = this.createFunctionPrototype('AsyncGeneratorFunction')
+    this.asyncGeneratorQueues = new WeakMap() // async generator objects => requests of next / return / throw
+    this.async = false // whether body being resumed is of async function, where yield* delegates to async iterator
+    this.functionSourceTexts = this.initFunctionToString()
+    this.nativeEval = context.eval // eval called by its own name runs in caller scope
+    this.codeEvaluators = this.initCodeEvaluators(context) // natives running code strings => interpreting ones
+    this.completionValue = undefined // value of the last expression statement, result of eval
+    this.shortCircuit = {} // thrown by optional chain given nullish base, caught by ChainExpression
+    this.unsupportedSyntax = options.unsupportedSyntax || EsprimaParser.SKIP // SKIP or NATIVE
+    this.onDebugger = options.onDebugger || null // called with {scriptUrl, loc} at debugger statements
+    this.onDiagnostic = options.onDiagnostic || null // called with each diagnostic and its message as they are met
+    this.diagnostics = [] // unsupported syntax and tracker failures met, {type, scriptUrl, loc, action}
+    this.unsupportedNodes = new WeakMap() // statements => unsupported nodes in them or null, searched once per statement
+    this.blockHoistings = new WeakMap() // nodes creating block closures => let / const / class hoisted to them
+    this.errorFrames = new WeakMap() // errors => interpreted call frames where they are created or thrown
+    this.timeSlice = options.timeSlice || Infinity // ms of top level statements run before yielding to page, opt-in
+    this.budgetError = null // error aborting entry which exceeded execution budget
+    this.budgetUsage = null // usage of budget by slices of script run before, see parseAstInSlices
+    this.maxCallDepth = options.maxCallDepth || 10000 // interpreted frames before RangeError, like native stack
+    this.maxNativeCallDepth = options.maxNativeCallDepth || 100 // interpreted calls nested on native stack before heap frames
+    this.nativeCallDepth = 0 // interpreted calls running on native stack
+    this.functionAgents = new WeakMap() // agents of plain functions and classes => their data, called on heap frames
 
     this.collection = new Collection()
     this.flowState = new FlowState()
+    this.callStack = new CallStack()
+    this.executionBudget = new ExecutionBudget({
+      maxSteps: options.maxSteps,
+      maxTime: options.maxTime
+    })
     this.closureStack = new ClosureStack(context)
+    this.moduleLoader = new ModuleLoader()
     this.checkerDispatcher = checkerDispatcher
   }
 
   initUnaryOperators(importedUnaryOperators = {}) {
     return Object.assign({}, importedUnaryOperators, {
-      'delete': ({caller, callee}) => {
+      'delete': (exp) => {
+        // @NOTE: optional chain short-circuited references nothing, which is deleted as well
+        // @CASE: delete n?.a is true given n nullish
+        if (!exp) {
+          return true
+        }
+        const {caller, callee} = exp
         const target = (caller === undefined) ? this.context : caller
 
-        return delete target[callee]
+        // @NOTE: parser itself runs in strict mode, where deleting
+        // non-configurable property throws, which should only happen in strict mode code
+        if (this.strict || this.isNullish(target)) {
+          return delete target[callee]
+        }
+        return Reflect.deleteProperty(Object(target), callee)
       }
     })
   }
@@ -65,6 +153,11 @@ class EsprimaParser {
       },
       '&&': (left, right) => {
         return this.parseNode(left) && this.parseNode(right)
+      },
+      '??': (left, right) => {
+        const value = this.parseNode(left)
+
+        return this.isNullish(value) ? this.parseNode(right) : value
       }
     }
   }
@@ -74,7 +167,11 @@ class EsprimaParser {
       '=': (exp, value) => {
         const success = this.setCheckFlag(exp)
 
-        this.handleAssign(exp, value)
+        if (this.nativeCallDepth < this.maxNativeCallDepth) {
+          this.handleAssign(exp, value)
+        } else {
+          this.accessDeeply(exp.caller, () => this.handleAssign(exp, value))
+        }
         this.resetCheckFlag(success)
 
         return value
@@ -82,11 +179,123 @@ class EsprimaParser {
     }
   }
 
-  handleAssign({caller, callee}, value) {
-    if (caller === undefined) {
-      this.updateVariables(callee, value)
-    } else {
+  initGeneratorPrototype() {
+    const self = this
+    // @NOTE: inherit native generator prototype for Symbol.iterator and Symbol.toStringTag,
+    // but resume interpreted bodies by own next / return / throw
+    const nativeGeneratorPrototype = Object.getPrototypeOf(this.parseGeneratorBody).prototype
+    const methods = {}
+
+    for (const method of ['next', 'return', 'throw']) {
+      methods[method] = {
+        value: function (value) {
+          return self.resumeGenerator(this, method, value)
+        },
+        writable: true,
+        configurable: true
+      }
+    }
+    return Object.create(nativeGeneratorPrototype, methods)
+  }
+
+  initAsyncGeneratorPrototype() {
+    const self = this
+    // @NOTE: native async generator prototype is unreachable without async generator syntax,
+    // which parser itself could not use, so that it is simulated by own methods
+    const methods = {
+      [Symbol.asyncIterator]: {
+        value: function () {
+          return this
+        },
+        writable: true,
+        configurable: true
+      },
+      [Symbol.toStringTag]: {
+        value: 'AsyncGenerator',
+        configurable: true
+      }
+    }
+    for (const method of ['next', 'return', 'throw']) {
+      methods[method] = {
+        value: function (value) {
+          return self.enqueueAsyncGenerator(this, method, value)
+        },
+        writable: true,
+        configurable: true
+      }
+    }
+    return Object.create(Object.prototype, methods)
+  }
+
+  createFunctionPrototype(tag) {
+    // @NOTE: prototypes of native async functions are unreachable as well,
+    // agents of async functions tell their kinds by Symbol.toStringTag
+    // @CASE: Object.prototype.toString.call(async function () {}) is '[object AsyncFunction]'
+    return Object.create(Function.prototype, {
+      [Symbol.toStringTag]: {value: tag, configurable: true}
+    })
+  }
+
+  initFunctionToString() {
+    // @NOTE: agents are wrappers calling parser, Function.prototype.toString is patched
+    // to report source texts of interpreted functions instead,
+    // patched one is registered as native code so that it is patched only once
+    // @CASE: Function.prototype.toString.call(fn) is used to read params for injection
+    const nativeToString = Function.prototype.toString
+
+    if (!functionSourceTexts.has(nativeToString)) {
+      const toString = this.createNonConstructor(({this: thisArg}) => {
+        return functionSourceTexts.has(thisArg) ?
+          functionSourceTexts.get(thisArg) : nativeToString.call(thisArg)
+      })
+      this.setFunctionName(toString, 'toString')
+      functionSourceTexts.set(toString, 'function toString() { [native code] }')
+
+      Object.defineProperty(Function.prototype, 'toString', {value: toString})
+    }
+    return functionSourceTexts
+  }
+
+  initCodeEvaluators(context) {
+    // @NOTE: code strings passed to these natives would run natively without being tracked,
+    // they are interpreted in global scope instead
+    const evaluators = new Map()
+
+    evaluators.set(context.eval, ([code], caller, loc) => {
+      return this.parseIndirectEval(code, loc)
+    })
+    evaluators.set(context.Function, (calledArguments, caller, loc) => {
+      return this.createDynamicFunction(calledArguments, loc)
+    })
+    for (const timer of [context.setTimeout, context.setInterval]) {
+      evaluators.set(timer, ([handler, ...rest], caller, loc) => {
+        return timer.call(caller, this.createTimerHandler(handler, timer.name, loc), ...rest)
+      })
+    }
+    // natives missing from context are never called
+    evaluators.delete(undefined)
+
+    return evaluators
+  }
+
+  handleAssign({caller, callee, superBase, reference}, value) {
+    // @NOTE: parser itself runs in strict mode, where failed assignment throws,
+    // which should only happen in strict mode code
+    // @CASE: 'str'.prop = 1 or assignment to read-only property
+    if (superBase) {
+      this.checkAssignResult(Reflect.set(superBase, callee, value, caller), callee)
+    } else if (caller === undefined) {
+      this.updateVariables(callee, value, reference)
+    } else if (this.strict || this.isNullish(caller)) {
       caller[callee] = value
+    } else {
+      Reflect.set(Object(caller), callee, value, caller)
+    }
+  }
+
+  checkAssignResult(success, key) {
+    if (!success && this.strict) {
+      throw new TypeError(`Cannot assign to read only property '${String(key)}' of object`)
     }
   }
 
@@ -94,25 +303,246 @@ class EsprimaParser {
   /*        Parsers        */
   /*************************/
 
-  parseAst(root, scriptUrl) {
+  parseAst(root, scriptUrl, sourceText) {
     this.setScriptUrl(scriptUrl)
-    this.parseNode(root)
+    this.setSourceText(sourceText)
+
+    if (this.shouldExecuteNatively(root)) {
+      return this.executeNatively(root)
+    }
+    this.resolveScopes(root)
+    this.runInCallFrame('', () => {
+      this.parseNode(root)
+    })
+  }
+
+  shouldExecuteNatively(root) {
+    // @NOTE: script is checked before it runs, since script aborted halfway
+    // could never be executed natively again without repeating its side effects
+    if (this.unsupportedSyntax === EsprimaParser.NATIVE) {
+      const unsupportedNode = this.findUnsupportedNode(root)
+
+      if (unsupportedNode) {
+        this.reportUnsupportedNode(unsupportedNode, EsprimaParser.NATIVE)
+
+        return true
+      }
+    }
+    return false
+  }
+
+  parseAstInSlices(root, scriptUrl, sourceText, onProgress = () => {}) {
+    // @NOTE: top level statements run in slices yielding to page between them,
+    // so that page keeps responsive and shows progress while heavy script runs,
+    // only given timeSlice, since page could see its timers and promise callbacks
+    // run before script ends, script runs in one slice otherwise
+    const environment = {
+      scriptUrl,
+      sourceText,
+      closureStack: this.closureStack.getRootClone(),
+      strict: this.hasUseStrictDirective(root.body)
+    }
+    let usage = null
+
+    const runSlice = (parse) => {
+      this.budgetUsage = usage
+
+      try {
+        return this.runInEnvironment(environment, () => this.runInCallFrame('', parse))
+      } finally {
+        usage = this.executionBudget.save()
+        this.budgetUsage = null
+      }
+    }
+    if (this.shouldExecuteNatively(root)) {
+      return new Promise((resolve) => {
+        resolve(this.runInEnvironment(environment, () => this.executeNatively(root)))
+      })
+    }
+    this.resolveScopes(root)
+
+    const statements = runSlice(() => {
+      this.handleHoisting(root.body)
+      this.handleBlockHoisting(root.body)
+
+      return this.parseHoistingStatements(root.body)
+    })
+    return new Promise((resolve, reject) => {
+      let done = 0
+
+      const parseSlice = () => {
+        try {
+          runSlice(() => {
+            const deadline = Date.now() + this.timeSlice
+
+            do {
+              const statement = statements[done++]
+
+              if (!this.skipUnsupportedStatement(statement)) {
+                this.setStatementLoc(statement)
+                this.parseNode(statement)
+              }
+            } while (done < statements.length && Date.now() < deadline)
+          })
+        } catch (e) {
+          return reject(e)
+        }
+        onProgress({scriptUrl, done, total: statements.length})
+
+        return (done < statements.length) ? setTimeout(parseSlice, 0) : resolve()
+      }
+      return statements.length ? parseSlice() : resolve()
+    })
   }
 
   setScriptUrl(scriptUrl) {
     this.scriptUrl = scriptUrl
   }
 
+  setSourceText(sourceText) {
+    this.sourceText = sourceText
+  }
+
   parseNode(node, options = {}) {
     let result
 
+    // @NOTE: parseNode runs for every node evaluated, work here is kept to one lookup of each kind,
+    // see benchmark/EsprimaParser.js
+    if (this.resolvedValues.size > 0 && this.resolvedValues.has(node)) {
+      return this.takeResolvedValue(node)
+    }
     if (node) {
-      result = this[node.type](node, options)
+      const parser = this[node.type]
+
+      this.consumeBudget(node)
+
+      result = (typeof parser === 'function') ?
+        parser.call(this, node, options) : this.abortUnsupportedNode(node)
       this.handleStatementLabelState(options.label)
     }
     return result
   }
 
+  setStatementLoc(statement) {
+    // @NOTE: stack traces need locations of statements and calls only, see CallExpression and NewExpression,
+    // statements are located as lists of them run, rather than checking type of every node parsed,
+    // those nested without block share location of their parent
+    // @CASE: if (a) throw e is located at the if statement
+    if (statement.loc) {
+      this.callStack.setLoc(statement.loc)
+    }
+  }
+
+  isParsableNode(node) {
+    return typeof this[node.type] === 'function'
+  }
+
+  skipUnsupportedStatement(statement) {
+    // @NOTE: statement with syntax without parser is skipped as a whole before it runs,
+    // rather than aborting the whole script or leaving statement half-run,
+    // it is skipped even given NATIVE policy in modules and code evaluated by eval
+    // @CASE: var a = new (class { x = 1 })(), a stays undefined rather than instance without x
+    const unsupportedNode = this.getUnsupportedNode(statement)
+
+    if (unsupportedNode) {
+      this.reportUnsupportedNode(unsupportedNode, EsprimaParser.SKIP)
+    }
+    return !!unsupportedNode
+  }
+
+  getUnsupportedNode(statement) {
+    // @NOTE: blocks in statement are not searched, their statements are checked as they run
+    if (!this.unsupportedNodes.has(statement)) {
+      this.unsupportedNodes.set(statement, this.findUnsupportedNode(statement, null, true) || null)
+    }
+    return this.unsupportedNodes.get(statement)
+  }
+
+  abortUnsupportedNode(node) {
+    // @NOTE: statements with unsupported syntax are skipped by skipUnsupportedStatement before they run,
+    // node missed by it aborts script rather than leaving its statement half-run
+    this.reportUnsupportedNode(node, EsprimaParser.ABORT)
+
+    throw new InterpreterError(
+      new SyntaxError(`Unsupported syntax ${node.type}`),
+      {node, scriptUrl: this.scriptUrl, loc: node.loc}
+    )
+  }
+
+  findUnsupportedNode(node, parent, isShallow = false) {
+    if (!node || typeof node.type !== 'string') {
+      return undefined
+    }
+    if (isShallow && node.type === 'BlockStatement') {
+      return undefined
+    }
+    if (!this.isSupportedNode(node, parent)) {
+      return node
+    }
+    for (const key of Object.keys(node)) {
+      for (const child of [].concat(node[key])) {
+        const unsupportedNode = this.findUnsupportedNode(child, node, isShallow)
+
+        if (unsupportedNode) {
+          return unsupportedNode
+        }
+      }
+    }
+    return undefined
+  }
+
+  isSupportedNode(node, parent) {
+    // @NOTE: class fields and static blocks are elements of class body other than methods
+    if (parent && parent.type === 'ClassBody') {
+      return node.type === 'MethodDefinition'
+    }
+    return this.isParsableNode(node) || subNodeTypes.has(node.type)
+  }
+
+  reportUnsupportedNode(node, action) {
+    const diagnostic = {
+      type: node.type,
+      scriptUrl: this.scriptUrl,
+      loc: node.loc,
+      action
+    }
+    const position = node.loc ?
+      `:${node.loc.start.line}:${node.loc.start.column + 1}` : ''
+    const handling = {
+      [EsprimaParser.SKIP]: 'skipped',
+      [EsprimaParser.NATIVE]: 'script executed natively',
+      [EsprimaParser.ABORT]: 'script aborted'
+    }[action]
+
+    this.reportDiagnostic(diagnostic, `Unsupported syntax ${node.type} at ${this.scriptUrl}${position}, ${handling}`)
+  }
+
+  reportDiagnostic(diagnostic, message) {
+    // @NOTE: library never writes to console, reporting is up to onDiagnostic
+    this.diagnostics.push(diagnostic)
+
+    if (this.onDiagnostic) {
+      this.onDiagnostic(diagnostic, message)
+    }
+  }
+
+  executeNatively(root) {
+    // @NOTE: script runs in global scope by indirect eval, untracked
+    const nativeEval = this.nativeEval
+    const code = (typeof this.sourceText === 'string') ?
+      this.sourceText : this.generateCode(root)
+
+    nativeEval(code)
+  }
+
+  takeResolvedValue(node) {
+    const value = this.resolvedValues.get(node)
+
+    this.resolvedValues.delete(node)
+
+    return value
+  }
+
   handleStatementLabelState(label) {
     if (this.isStatementLabelNeededToUnset(label)) {
       // @NOTE:
@@ -137,20 +567,30 @@ class EsprimaParser {
     } else if (identifier.name === 'undefined') {
       return undefined
     }
-    return this.closureStack.get(identifier.name)
+    const reference = this.resolvedIdentifiers.get(identifier)
+
+    return reference ?
+      this.closureStack.getResolved(identifier.name, reference) :
+      this.closureStack.get(identifier.name)
   }
 
   Literal(literal) {
     if (literal.regex) {
       return new RegExp(literal.regex.pattern, literal.regex.flags)
     }
+    if (literal.bigint) {
+      // @NOTE: value of bigint literal is null where parser has no BigInt
+      return BigInt(literal.bigint)
+    }
     return literal.value
   }
 
   Program(program) {
     const body = program.body
 
+    this.strict = this.hasUseStrictDirective(body)
     this.handleHoisting(body)
+    this.handleBlockHoisting(body)
     this.parseStatements(body)
   }
 
@@ -188,7 +628,6 @@ class EsprimaParser {
   }
 
   getNameFromPattern(pattern) {
-    // @TODO: es6: ObjectPattern / ArrayPattern
     switch (pattern.type) {
       case 'Identifier':
         return pattern.name
@@ -198,11 +637,52 @@ class EsprimaParser {
     }
   }
 
+  getNamesFromPattern(pattern) {
+    switch (pattern.type) {
+      case 'Identifier':
+        return [pattern.name]
+
+      case 'ObjectPattern':
+        return this.searchNamesFromPatterns(
+          pattern.properties.map((property) => {
+            // property is either Property or RestElement
+            return property.value || property.argument
+          })
+        )
+
+      case 'ArrayPattern':
+        return this.searchNamesFromPatterns(pattern.elements)
+
+      case 'AssignmentPattern':
+        return this.getNamesFromPattern(pattern.left)
+
+      case 'RestElement':
+        return this.getNamesFromPattern(pattern.argument)
+
+      default:
+        // @NOTE: MemberExpression in assignment pattern binds no name
+        return []
+    }
+  }
+
+  searchNamesFromPatterns(patterns) {
+    const names = []
+
+    for (const pattern of patterns) {
+      // @NOTE: element of ArrayPattern might be null
+      // @CASE: var [, a] = [1, 2]
+      if (pattern) {
+        names.push(...this.getNamesFromPattern(pattern))
+      }
+    }
+    return names
+  }
+
   getNameFromVariableDeclaration(variableDeclaration) {
     const variables = []
 
     for (const declaration of variableDeclaration.declarations) {
-      variables.push(this.getNameFromPattern(declaration.id))
+      variables.push(...this.getNamesFromPattern(declaration.id))
     }
     return variables
   }
@@ -236,10 +716,13 @@ class EsprimaParser {
         return [].concat(statement.init, statement.body)
 
       case 'ForInStatement':
+      case 'ForOfStatement':
         return [].concat(statement.left, statement.body)
 
       case 'WhileStatement':
       case 'DoWhileStatement':
+      case 'WithStatement':
+      case 'LabeledStatement':
         return [].concat(statement.body)
 
       default:
@@ -253,10 +736,97 @@ class EsprimaParser {
     }
   }
 
-  setVariables(variables, values) {
-    // @TODO: es6: function closure / block closure
-    // @TODO: es6: ObjectPattern / ArrayPattern
-    this.closureStack.set(variables, values)
+  setVariables(variables, values, kind = 'var') {
+    if (kind === 'var') {
+      this.closureStack.setToFunctionClosure(variables, values)
+    } else {
+      // let / const had been declared to latest closure by block hoisting
+      this.closureStack.set(variables, values)
+    }
+  }
+
+  handleBlockHoisting(statements) {
+    const hoistings = this.searchBlockHoistings(statements)
+
+    this.setBlockHoistings(hoistings)
+  }
+
+  searchBlockHoistings(statements) {
+    // let / const are hoisted only to the block they are directly declared in
+    const hoistings = []
+
+    for (const statement of statements) {
+      if (this.isLexicalDeclaration(statement)) {
+        const kind = statement.kind
+
+        for (const variable of this.getNameFromVariableDeclaration(statement)) {
+          hoistings.push({variable, kind})
+        }
+      } else if (this.isClassDeclaration(statement)) {
+        // @NOTE: class declarations are hoisted like let
+        const variable = this.getNameFromPattern(statement.id)
+
+        hoistings.push({variable, kind: 'let'})
+      } else if (this.isDefaultValueExport(statement)) {
+        // @NOTE: default exported value is bound to *default* in module closure
+        hoistings.push({variable: '*default*', kind: 'const'})
+      }
+    }
+    return hoistings
+  }
+
+  isLexicalDeclaration(node) {
+    return (
+      !!node &&
+      node.type === 'VariableDeclaration' &&
+      (node.kind === 'let' || node.kind === 'const')
+    )
+  }
+
+  isClassDeclaration(node) {
+    return !!node && node.type === 'ClassDeclaration'
+  }
+
+  isDefaultValueExport(node) {
+    return (
+      !!node &&
+      node.type === 'ExportDefaultDeclaration' &&
+      node.declaration.type !== 'FunctionDeclaration'
+    )
+  }
+
+  setBlockHoistings(hoistings) {
+    for (const {variable, kind} of hoistings) {
+      this.closureStack.declare(variable, kind)
+    }
+  }
+
+  getBlockHoistings(scope, statements) {
+    // @NOTE: blocks are entered over and over, e.g. bodies of loops and functions,
+    // statements of each are searched for hoistings once
+    if (!this.blockHoistings.has(scope)) {
+      this.blockHoistings.set(scope, this.searchBlockHoistings(statements))
+    }
+    return this.blockHoistings.get(scope)
+  }
+
+  handleBlockClosure(scope, statements, parse) {
+    const hoistings = this.getBlockHoistings(scope, statements)
+
+    if (hoistings.length === 0) {
+      return parse()
+    }
+    this.closureStack.createBlockClosure(scope)
+
+    try {
+      this.setBlockHoistings(hoistings)
+
+      return parse()
+    } finally {
+      // @NOTE: closureStack might be replaced by functions called in block,
+      // but their closures are always restored before here
+      this.closureStack.removeLatestClosure()
+    }
   }
 
   parseStatements(statements) {
@@ -279,19 +849,35 @@ class EsprimaParser {
   }
 
   isHoistingStatement(statement) {
-    if (statement.type === 'FunctionDeclaration') {
-      this.parseNode(statement)
+    if (this.isFunctionHoisting(statement)) {
+      if (!this.skipUnsupportedStatement(statement)) {
+        this.setStatementLoc(statement)
+        this.parseNode(statement)
+      }
       return true
     }
     return false
   }
 
+  isFunctionHoisting(statement) {
+    // @NOTE: anonymous default exported function is hoisted as well
+    // @CASE: export default function () {}
+    return (
+      statement.type === 'FunctionDeclaration' || (
+        statement.type === 'ExportDefaultDeclaration' &&
+        statement.declaration.type === 'FunctionDeclaration'
+      )
+    )
+  }
+
   parseNonHoistingStatements(statements) {
     let result
 
     for (const statement of statements) {
-      result = this.parseNode(statement)
-
+      if (!this.skipUnsupportedStatement(statement)) {
+        this.setStatementLoc(statement)
+        result = this.parseNode(statement)
+      }
       if (this.flowState.isEitherState()) {
         break
       }
@@ -300,107 +886,428 @@ class EsprimaParser {
   }
 
   /*************************/
-  /*       Statements      */
+  /*    Scope Resolution   */
   /*************************/
 
-  ExpressionStatement(expressionStatement) {
-    this.parseNode(expressionStatement.expression)
-  }
+  resolveScopes(program, isModule = false) {
+    // @NOTE: identifiers are resolved to closures binding them once before code runs,
+    // so that reading them needs no lookup by name, see ClosureStack.getResolved
+    if (this.resolvedPrograms.has(program)) {
+      return
+    }
+    const references = [] // {identifier, scope} collected from the whole program
+    const programScope = isModule ? this.createModuleScope(program) : null
 
-  BlockStatement(blockStatement) {
-    // @TODO: es6: create and push new block scope to closureStack
-    const result = this.parseStatements(blockStatement.body)
-    // @TODO: es6: pop block scope from closureStack
-    return result
-  }
+    this.collectScopes(program.body, programScope, references)
 
-  EmptyStatement() {
+    for (const {identifier, scope} of references) {
+      const reference = this.resolveReference(identifier.name, scope)
+
+      if (reference) {
+        this.resolvedIdentifiers.set(identifier, reference)
+      }
+    }
+    this.resolvedPrograms.add(program)
   }
 
-  /*************************/
-  /*      Control Flow     */
-  /*************************/
+  createScope(node, parent, names = []) {
+    // @NOTE: each scope stands for a closure created by node at runtime,
+    // thus hops between scopes are the same as those between closures
+    return {
+      node,
+      parent,
+      names: new Set(names),
+      isFunction: false, // closure of call, where direct eval declares var
+      isVar: false, // closure where var is declared to
+      isDynamic: false, // closure binding names unknown until runtime
+      isArgumentsReferenced: false // closure of call whose arguments are referred to, see markArgumentsReference
+    }
+  }
 
-  ReturnStatement(returnStatement) {
-    // should call parseReturnArgument before set 'return' status,
-    // because return argument might be another function which has return value,
-    // after that function finishing, it will unset all return status, including status set here
-    const result = this.parseReturnArgument(returnStatement.argument)
+  createModuleScope(program) {
+    // @NOTE: module code runs in a module closure instead of global ones
+    const statements = program.body.map((statement) => {
+      return this.unwrapExportDeclaration(statement)
+    })
+    const hoistings = this.searchBlockHoistings(statements)
+    const scope = this.createScope(program, null, hoistings.map(({variable}) => variable))
 
-    this.flowState.set(FlowState.RETURN)
+    scope.isFunction = true
+    scope.isVar = true
 
-    return result
+    return scope
   }
 
-  parseReturnArgument(argument) {
-    return argument ? this.parseNode(argument) : undefined
-  }
+  collectScopes(node, scope, references) {
+    if (Array.isArray(node)) {
+      return node.forEach((child) => this.collectScopes(child, scope, references))
+    }
+    // @NOTE: values other than nodes (e.g. loc, range) bind nothing
+    if (!node || typeof node.type !== 'string') {
+      return undefined
+    }
+    switch (node.type) {
+      case 'Identifier':
+        if (node.name === 'arguments') {
+          this.markArgumentsReference(scope)
+        }
+        return references.push({identifier: node, scope})
 
-  LabeledStatement(labeledStatement) {
-    const label =
-      this.getNameFromPattern(labeledStatement.label)
+      case 'VariableDeclaration':
+        if (node.kind === 'var') {
+          this.declareNames(this.getVarScope(scope), this.getNameFromVariableDeclaration(node))
+        }
+        return this.collectChildScopes(node, scope, references)
 
-    return this.parseNode(labeledStatement.body, {label})
-  }
+      case 'FunctionDeclaration':
+        // @NOTE: anonymous default exported function binds no name
+        // @CASE: export default function () {}
+        if (node.id) {
+          this.declareNames(this.getVarScope(scope), [node.id.name])
+        }
+        return this.collectFunctionScopes(node, scope, references)
 
-  BreakStatement(breakStatement) {
-    this.flowState.setBreak()
-    this.setFlowStateLabel(breakStatement.label)
-  }
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        return this.collectFunctionScopes(node, scope, references)
 
-  setFlowStateLabel(labelNode) {
-    if (labelNode) {
-      const label = this.getNameFromPattern(labelNode)
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        return this.collectClassScopes(node, scope, references)
 
-      this.flowState.setLabel(label)
-    }
-  }
+      case 'BlockStatement':
+        return this.collectBlockScopes(node, node.body, node.body, scope, references)
 
-  ContinueStatement(continueStatement) {
-    this.flowState.setContinue()
-    this.setFlowStateLabel(continueStatement.label)
-  }
+      case 'SwitchStatement':
+        this.collectScopes(node.discriminant, scope, references)
 
-  /*************************/
-  /*        Choice         */
-  /*************************/
+        return this.collectBlockScopes(
+          node, this.filterSubStatements(node), node.cases, scope, references
+        )
 
-  IfStatement(ifStatement) {
-    const testPass = this.parseNode(ifStatement.test)
+      case 'ForStatement':
+        return this.collectBlockScopes(
+          node, [node.init], [node.init, node.test, node.update, node.body], scope, references
+        )
 
-    return testPass ?
-      this.parseNode(ifStatement.consequent) :
-      this.parseNode(ifStatement.alternate)
-  }
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        this.collectScopes(node.right, scope, references)
 
-  SwitchStatement(switchStatement) {
-    const discriminant = this.parseNode(switchStatement.discriminant)
-    const result = this.parseSwitchCases(switchStatement.cases, discriminant)
+        return this.collectBlockScopes(node, [node.left], [node.left, node.body], scope, references)
 
-    this.flowState.unset(FlowState.BREAK)
+      case 'CatchClause':
+        return this.collectCatchScopes(node, scope, references)
 
-    return result
-  }
+      case 'WithStatement':
+        return this.collectWithScopes(node, scope, references)
 
-  parseSwitchCases(switchCases, discriminant) {
-    let result
+      case 'CallExpression':
+        if (node.callee.type === 'Identifier' && node.callee.name === 'eval') {
+          this.markDynamicScopes(scope)
+          this.markArgumentsReference(scope)
+        }
+        return this.collectChildScopes(node, scope, references)
 
-    for (const [matchedIndex, switchCase] of switchCases.entries()) {
-      const matched = this.isCaseMatched(switchCase.test, discriminant)
+      case 'ImportDeclaration':
+        return this.declareNames(scope, node.specifiers.map(({local}) => local.name))
+
+      // @NOTE: names of properties, labels and meta properties are never variables
+      case 'MemberExpression':
+        return this.collectScopes(
+          node.computed ? [node.object, node.property] : node.object, scope, references
+        )
+
+      case 'Property':
+      case 'MethodDefinition':
+        return this.collectScopes(
+          node.computed ? [node.key, node.value] : node.value, scope, references
+        )
+
+      case 'LabeledStatement':
+        return this.collectScopes(node.body, scope, references)
+
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'MetaProperty':
+        return undefined
+
+      default:
+        return this.collectChildScopes(node, scope, references)
+    }
+  }
+
+  collectChildScopes(node, scope, references) {
+    for (const key of Object.keys(node)) {
+      this.collectScopes(node[key], scope, references)
+    }
+  }
+
+  collectFunctionScopes(functionNode, scope, references) {
+    // @NOTE: scopes are those of closures created by setFunctionExpressionTo and setFunctionClosure,
+    // where body has its own one given non-simple params
+    // @CASE: function (a = () => x) { var x } has closures of params and body
+    const {id, params, body} = functionNode
+    const outerScope = (functionNode.type === 'FunctionExpression' && id) ?
+      this.createScope(id, scope, [id.name]) : scope
+    const names = this.searchNamesFromPatterns(params)
+    const functionScope = this.createScope(
+      functionNode,
+      outerScope,
+      this.isArrowFunction(functionNode) ? names : names.concat('arguments')
+    )
+    const bodyScope = this.isSimpleParameterList(params) ?
+      functionScope : this.createScope(functionNode, functionScope)
+
+    functionScope.isFunction = true
+    bodyScope.isVar = true
+
+    this.collectScopes(params, functionScope, references)
+    this.collectScopes(body, bodyScope, references)
+
+    this.argumentsReferences.set(functionNode, functionScope.isArgumentsReferenced)
+  }
+
+  collectClassScopes(classNode, scope, references) {
+    // @NOTE: class has its own closure even without name, see createClassAgent
+    const classScope = this.createScope(classNode, scope, classNode.id ? [classNode.id.name] : [])
+
+    this.collectScopes([classNode.superClass, classNode.body], classScope, references)
+  }
+
+  collectBlockScopes(node, statements, children, scope, references) {
+    // @NOTE: block closure is created only given let / const / class, see handleBlockClosure
+    const hoistings = this.searchBlockHoistings(statements)
+    const blockScope = (hoistings.length === 0) ?
+      scope : this.createScope(node, scope, hoistings.map(({variable}) => variable))
+
+    this.collectScopes(children, blockScope, references)
+  }
+
+  collectCatchScopes(catchClause, scope, references) {
+    const param = catchClause.param
+    const catchScope = this.createScope(
+      catchClause, scope, param ? this.getNamesFromPattern(param) : []
+    )
+    this.collectScopes([param, catchClause.body], catchScope, references)
+  }
+
+  collectWithScopes(withStatement, scope, references) {
+    // @NOTE: names bound by object of with statement are known only at runtime
+    const withScope = this.createScope(withStatement, scope)
+
+    withScope.isDynamic = true
+
+    this.collectScopes(withStatement.object, scope, references)
+    this.collectScopes(withStatement.body, withScope, references)
+  }
+
+  getVarScope(scope) {
+    // @NOTE: var in global code is declared to context, which has no scope
+    for (let current = scope; current; current = current.parent) {
+      if (current.isVar) {
+        return current
+      }
+    }
+    return null
+  }
+
+  declareNames(scope, names) {
+    if (scope) {
+      for (const name of names) {
+        scope.names.add(name)
+      }
+    }
+  }
+
+  markDynamicScopes(scope) {
+    // @NOTE: direct eval might declare var to closure of function calling it,
+    // which shadows variables of the same name outside
+    // @CASE: var a = 1; function f() { eval('var a = 2'); return a } returns 2
+    for (let current = scope; current; current = current.parent) {
+      current.isDynamic = true
+
+      if (current.isFunction) {
+        break
+      }
+    }
+  }
+
+  markArgumentsReference(scope) {
+    // @NOTE: arguments belong to the nearest function other than arrow one,
+    // code evaluated by direct eval might refer to them as well
+    // @CASE: function f(a) { return () => eval('arguments[0]') } refers to arguments of f
+    for (let current = scope; current; current = current.parent) {
+      if (current.isFunction && current.names.has('arguments')) {
+        current.isArgumentsReferenced = true
 
-      if (matched) {
-        result = this.parseMatchedCase(switchCases, matchedIndex)
         break
       }
     }
+  }
+
+  resolveReference(name, scope) {
+    // @NOTE: identifier passing through dynamic scope stays unresolved,
+    // and falls back to lookup by name at runtime
+    let hops = 0
+
+    for (let current = scope; current; current = current.parent) {
+      if (current.names.has(name)) {
+        return {hops, scope: current.node}
+      }
+      if (current.isDynamic) {
+        return null
+      }
+      hops++
+    }
+    // null scope stands for context and top-level block closure
+    return {hops, scope: null}
+  }
+
+  /*************************/
+  /*       Statements      */
+  /*************************/
+
+  ExpressionStatement(expressionStatement) {
+    // @NOTE: value of the last expression statement evaluated is result of eval
+    // @CASE: eval('a = 1; a + 1') returns 2
+    this.completionValue = this.parseNode(expressionStatement.expression)
+  }
+
+  BlockStatement(blockStatement) {
+    const body = blockStatement.body
+
+    return this.handleBlockClosure(blockStatement, body, () => {
+      return this.parseStatements(body)
+    })
+  }
+
+  EmptyStatement() {
+  }
+
+  WithStatement(withStatement) {
+    const object = this.parseWithObject(withStatement.object)
+
+    this.closureStack.createObjectClosure(object)
+
+    try {
+      return this.parseNode(withStatement.body)
+    } finally {
+      this.closureStack.removeLatestClosure()
+    }
+  }
+
+  parseWithObject(node) {
+    // @NOTE: properties of object are variables in body of with statement
+    // @CASE: with (el.style) { color = 'red' }
+    const object = this.parseNode(node)
+
+    if (this.isNullish(object)) {
+      throw new TypeError('Cannot convert undefined or null to object')
+    }
+    return Object(object)
+  }
+
+  DebuggerStatement(debuggerStatement) {
+    // @NOTE: native debugger would pause in parser rather than in page code,
+    // debugger statement is a no-op unless onDebugger is given
+    if (this.onDebugger) {
+      this.onDebugger({scriptUrl: this.scriptUrl, loc: debuggerStatement.loc})
+    }
+  }
+
+  /*************************/
+  /*      Control Flow     */
+  /*************************/
+
+  ReturnStatement(returnStatement) {
+    // should call parseReturnArgument before set 'return' status,
+    // because return argument might be another function which has return value,
+    // after that function finishing, it will unset all return status, including status set here
+    const result = this.parseReturnArgument(returnStatement.argument)
+
+    this.flowState.set(FlowState.RETURN)
+
     return result
   }
 
-  isCaseMatched(testExpression, discriminant) {
-    if (testExpression === null) {
-      // default case
-      return true
+  parseReturnArgument(argument) {
+    return argument ? this.parseNode(argument) : undefined
+  }
+
+  LabeledStatement(labeledStatement) {
+    const label =
+      this.getNameFromPattern(labeledStatement.label)
+
+    return this.parseNode(labeledStatement.body, {label})
+  }
+
+  BreakStatement(breakStatement) {
+    this.flowState.setBreak()
+    this.setFlowStateLabel(breakStatement.label)
+  }
+
+  setFlowStateLabel(labelNode) {
+    if (labelNode) {
+      const label = this.getNameFromPattern(labelNode)
+
+      this.flowState.setLabel(label)
+    }
+  }
+
+  ContinueStatement(continueStatement) {
+    this.flowState.setContinue()
+    this.setFlowStateLabel(continueStatement.label)
+  }
+
+  /*************************/
+  /*        Choice         */
+  /*************************/
+
+  IfStatement(ifStatement) {
+    const testPass = this.parseNode(ifStatement.test)
+
+    return testPass ?
+      this.parseNode(ifStatement.consequent) :
+      this.parseNode(ifStatement.alternate)
+  }
+
+  SwitchStatement(switchStatement) {
+    const discriminant = this.parseNode(switchStatement.discriminant)
+    // all cases share one block closure
+    const statements = this.filterSubStatements(switchStatement)
+    const result = this.handleBlockClosure(switchStatement, statements, () => {
+      return this.parseSwitchCases(switchStatement.cases, discriminant)
+    })
+
+    this.flowState.unset(FlowState.BREAK)
+
+    return result
+  }
+
+  parseSwitchCases(switchCases, discriminant) {
+    const matchedIndex = this.getMatchedCaseIndex(switchCases, discriminant)
+
+    if (matchedIndex < 0) {
+      return undefined
     }
+    return this.parseMatchedCase(switchCases, matchedIndex)
+  }
+
+  getMatchedCaseIndex(switchCases, discriminant) {
+    // @NOTE: default case is matched only given all other cases, even those after it, unmatched
+    // @CASE: switch (1) { default: ... case 1: ... } starts from case 1
+    const matchedIndex = switchCases.findIndex((switchCase) => {
+      return switchCase.test !== null && this.isCaseMatched(switchCase.test, discriminant)
+    })
+    return (matchedIndex < 0) ? this.getDefaultCaseIndex(switchCases) : matchedIndex
+  }
+
+  getDefaultCaseIndex(switchCases) {
+    return switchCases.findIndex((switchCase) => switchCase.test === null)
+  }
+
+  isCaseMatched(testExpression, discriminant) {
     return (this.parseNode(testExpression) === discriminant)
   }
 
@@ -423,6 +1330,8 @@ class EsprimaParser {
   ThrowStatement(throwStatement) {
     const error = this.parseNode(throwStatement.argument)
 
+    this.captureErrorStack(error)
+
     throw error
   }
 
@@ -432,6 +1341,7 @@ class EsprimaParser {
     try {
       Object.assign(result, this.handleExceptionBlock(tryStatement.block))
     } catch (e) {
+      this.rethrowInterpreterError(e)
       Object.assign(result, this.handleCatchClause(tryStatement.handler, e))
     } finally {
       Object.assign(result, this.handleExceptionBlock(tryStatement.finalizer))
@@ -458,6 +1368,8 @@ class EsprimaParser {
       try {
         return this.parseCatchClause(catchClause, error)
       } catch (e) {
+        // @NOTE: finally block returning should never swallow tracker failures
+        this.rethrowInterpreterError(e)
         return {error: e}
       }
     }
@@ -465,16 +1377,26 @@ class EsprimaParser {
   }
 
   parseCatchClause(catchClause, error) {
-    this.setCatchError(catchClause.param, error)
+    // @NOTE: errors thrown by natives are caught here without passing any frame
+    // @CASE: try { null.a } catch (e) { e.stack }
+    this.captureErrorStack(error)
+    this.closureStack.createBlockClosure(catchClause)
+
+    try {
+      this.setCatchError(catchClause.param, error)
 
-    return this.handleExceptionBlock(catchClause.body)
+      return this.handleExceptionBlock(catchClause.body)
+    } finally {
+      this.closureStack.removeLatestClosure()
+    }
   }
 
   setCatchError(param, error) {
-    // @TODO: es6: create new block closure
-    const variables = this.getNameFromPattern(param)
-
-    this.setVariables(variables, error)
+    // @NOTE: catch binding is optional
+    // @CASE: try {} catch {}
+    if (param) {
+      this.setPatternVariables(param, error, 'let')
+    }
   }
 
   handleExceptionResult(result) {
@@ -560,12 +1482,20 @@ class EsprimaParser {
   }
 
   ForStatement(forStatement, {label} = {}) {
-    // @TODO: es6: block closure
+    const init = forStatement.init
+    const isPerIteration = this.isLexicalDeclaration(init)
+
+    return this.handleBlockClosure(forStatement, [init], () => {
+      return this.parseForStatement(forStatement, label, isPerIteration)
+    })
+  }
+
+  parseForStatement(forStatement, label, isPerIteration) {
     let result
 
     for (
       this.parseNode(forStatement.init);
-      this.parseNode(forStatement.test);
+      this.isForTestPassed(forStatement.test);
       this.parseNode(forStatement.update)
     ) {
       result = this.parseNode(forStatement.body)
@@ -573,154 +1503,689 @@ class EsprimaParser {
       if (this.isLoopNeededToBreak(label)) {
         break
       }
+      // @NOTE: let / const in init should be bound freshly each iteration
+      // @CASE: for (let i = 0; i < 3; i++) { fns.push(function () { return i }) }
+      if (isPerIteration) {
+        this.closureStack.copyLatestClosure()
+      }
     }
     return result
   }
 
+  isForTestPassed(test) {
+    // @NOTE: loop without test never ends by itself
+    // @CASE: for (;;) { ... }
+    return test === null || this.parseNode(test)
+  }
+
   ForInStatement(forInStatement, {label} = {}) {
-    // @TODO: es6: block closure
     const left = this.parseIterator(forInStatement.left)
     const right = this.parseNode(forInStatement.right)
     let result
 
     for (const key in right) {
-      this.updateVariables(left, key)
+      result = this.parseIteration(forInStatement, left, key)
+
+      if (this.isLoopNeededToBreak(label)) {
+        break
+      }
+    }
+    return result
+  }
 
-      result = this.parseNode(forInStatement.body)
+  ForOfStatement(forOfStatement, {label} = {}) {
+    const left = this.parseIterator(forOfStatement.left)
+    const right = this.parseNode(forOfStatement.right)
+    const iterator = this.getIterator(right)
+    let result
 
+    for (
+      let step = this.stepIterator(iterator);
+      !step.done;
+      step = this.stepIterator(iterator)
+    ) {
+      try {
+        result = this.parseIteration(forOfStatement, left, step.value)
+      } catch (e) {
+        // @NOTE: error from iterator.return should not override the thrown one
+        try {
+          this.closeIterator(iterator)
+        } catch (ignored) {}
+        throw e
+      }
       if (this.isLoopNeededToBreak(label)) {
+        // @NOTE: iterator should be closed given loop exited early
+        // @CASE: for (const value of generator()) { break }
+        this.closeIterator(iterator)
         break
       }
     }
     return result
   }
 
+  stepIterator(iterator) {
+    const step = iterator.next()
+
+    return this.checkIteratorResult(step)
+  }
+
+  checkIteratorResult(step) {
+    if (!this.isObject(step)) {
+      throw new TypeError(`Iterator result ${step} is not an object`)
+    }
+    return step
+  }
+
+  closeIterator(iterator) {
+    // @NOTE: pending break / continue / return should not skip iterator.return,
+    // which might be an interpreted function
+    const flowState = this.flowState
+
+    this.flowState = new FlowState()
+
+    try {
+      if (typeof iterator.return === 'function') {
+        return iterator.return()
+      }
+      return undefined
+    } finally {
+      this.flowState = flowState
+    }
+  }
+
   parseIterator(node) {
     switch (node.type) {
       case 'VariableDeclaration':
-        // @NOTE: initialize iterator
+        // @NOTE: initialize iterator, let / const are initialized each iteration
         // @CASE: for (var key in object) { ... }
-        this.parseNode(node)
-        return this.getNameFromVariableDeclaration(node)[0]
+        if (!this.isLexicalDeclaration(node)) {
+          this.parseNode(node)
+        }
+        return node.declarations[0].id
 
       default:
-        return this.getNameFromPattern(node)
+        return node
+    }
+  }
+
+  parseIteration(iteration, pattern, value) {
+    const {left, body} = iteration
+
+    if (!this.isLexicalDeclaration(left)) {
+      this.updatePatternVariables(pattern, value)
+
+      return this.parseNode(body)
     }
+    // @NOTE: let / const iterator is bound to a new block closure each iteration
+    return this.handleBlockClosure(iteration, [left], () => {
+      this.setPatternVariables(pattern, value, left.kind)
+
+      return this.parseNode(body)
+    })
   }
 
-  updateVariables(variables, values) {
-    // @TODO: es6: ObjectPattern / ArrayPattern
-    this.closureStack.update(variables, values)
+  updateVariables(variables, values, reference) {
+    // @NOTE: assignment to undeclared variable creates global one only in sloppy mode,
+    // and throws ReferenceError in strict mode
+    if (this.strict || this.closureStack.isResolvable(variables, reference)) {
+      this.closureStack.update(variables, values, reference)
+    } else {
+      this.closureStack.setImplicitGlobal(variables, values)
+    }
   }
 
   /*************************/
-  /*      Declarations     */
+  /*        Patterns       */
   /*************************/
 
-  FunctionDeclaration(functionDeclaration) {
-    const variable = this.getNameFromPattern(functionDeclaration.id) // id is Identifier only
-    const functionAgent = this.createFunctionAgent(functionDeclaration)
+  setPatternVariables(pattern, values, kind) {
+    this.parsePattern(pattern, values, (target, value) => {
+      const variables = this.getNameFromPattern(target)
 
-    this.setVariables(variable, functionAgent)
+      this.setVariables(variables, value, kind)
+    })
   }
 
-  createFunctionAgent(functionExpression) {
-    const functionAgentData =
-      this.parseFunctionExpression(functionExpression)
-    const functionAgent =
-      this.wrapWithFunction(functionAgentData)
-    // @NOTE: arity simulate function.length
-    // @CASE: function (a, b, c).length should be 3 not 0
-    return this.arity(
-      functionAgentData.params.length,
-      functionAgent
-    )
+  updatePatternVariables(pattern, values) {
+    this.parsePattern(pattern, values, (target, value) => {
+      const exp = this.getRefExp(target)
+      const operation = this.assignmentOperators['=']
+
+      if (exp.caller !== undefined) {
+        exp.info = this.getExpInfo(target)
+      }
+      operation(exp, value)
+    })
   }
 
-  parseFunctionExpression(functionExpression) {
-    const functionEnvironment = this.getEnvironment(this)
-    const functionInfo = this.parseFunctionInfo(functionExpression)
+  parsePattern(pattern, value, handleTarget) {
+    switch (pattern.type) {
+      case 'ObjectPattern':
+        return this.parseObjectPattern(pattern, value, handleTarget)
 
-    return Object.assign({}, functionEnvironment, functionInfo)
-  }
+      case 'ArrayPattern':
+        return this.parseArrayPattern(pattern, value, handleTarget)
 
-  getEnvironment(context) {
-    return {
-      scriptUrl: context.scriptUrl,
-      closureStack: context.closureStack.getClone()
-    }
-  }
+      case 'AssignmentPattern':
+        return this.parseAssignmentPattern(pattern, value, handleTarget)
 
-  parseFunctionInfo(functionExpression) {
-    return {
-      body: functionExpression.body,
-      params: this.parseFunctionParams(functionExpression.params),
-      hoistings: this.searchHoistings([functionExpression.body])
+      default:
+        // Identifier / MemberExpression
+        return handleTarget(pattern, value)
     }
   }
 
-  parseFunctionParams(params) {
-    // @TODO: a way to identify rest args
-    return params.map((param) => {
-      return this.getNameFromPattern(param)
-    })
-  }
+  parseObjectPattern(objectPattern, value, handleTarget) {
+    const keys = []
 
-  wrapWithFunction(functionAgentData) {
-    const self = this
+    if (value === undefined || value === null) {
+      throw new TypeError(`Cannot destructure '${value}' as it is ${value}.`)
+    }
+    for (const property of objectPattern.properties) {
+      if (property.type === 'RestElement') {
+        const rest = this.copyDataProperties({}, value, keys)
 
-    return function (...calledArguments) {
-      return self.parseFunctionAgentData(functionAgentData, {
-        this: this,
-        arguments: arguments
-      }, calledArguments)
+        this.parsePattern(property.argument, rest, handleTarget)
+      } else {
+        const key = this.getPropertyKey(property.key, property.computed)
+
+        keys.push(typeof key === 'symbol' ? key : String(key))
+        this.parsePattern(property.value, value[key], handleTarget)
+      }
     }
   }
 
-  parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments) {
+  copyDataProperties(target, value, excludedKeys = []) {
+    const object = Object(value)
+    const keys = [].concat(
+      Object.keys(object),
+      Object.getOwnPropertySymbols(object).filter((symbol) => {
+        return Object.prototype.propertyIsEnumerable.call(object, symbol)
+      })
+    )
+    for (const key of keys) {
+      // @NOTE: properties are defined, neither setters on target nor __proto__ setter are triggered
+      // @CASE: {...JSON.parse('{"__proto__": 1}')} has own property '__proto__'
+      if (excludedKeys.indexOf(key) < 0) {
+        Object.defineProperty(target, key, {
+          value: object[key],
+          writable: true,
+          enumerable: true,
+          configurable: true
+        })
+      }
+    }
+    return target
+  }
+
+  parseArrayPattern(arrayPattern, value, handleTarget) {
+    const iterator = this.getIterator(value)
+    let done = false
+
+    for (const element of arrayPattern.elements) {
+      if (element && element.type === 'RestElement') {
+        const rest = []
+
+        while (!done) {
+          const step = iterator.next()
+
+          if (!(done = step.done)) {
+            rest.push(step.value)
+          }
+        }
+        this.parsePattern(element.argument, rest, handleTarget)
+      } else {
+        const step = done ? {done} : iterator.next()
+
+        done = step.done
+
+        if (element) {
+          this.parsePattern(element, step.value, handleTarget)
+        }
+      }
+    }
+    // @NOTE: iterator should be closed given not exhausted
+    // @CASE: var [a] = generator()
+    if (!done) {
+      this.closeIterator(iterator)
+    }
+  }
+
+  getIterator(value) {
+    const getIterator =
+      (value === undefined || value === null) ? undefined : value[Symbol.iterator]
+
+    if (typeof getIterator !== 'function') {
+      throw new TypeError(`${value} is not iterable`)
+    }
+    return getIterator.call(value)
+  }
+
+  parseAssignmentPattern({left, right}, value, handleTarget) {
+    const target = (value === undefined) ?
+      this.parseNode(right, {name: this.getInferredName(left)}) : value
+
+    this.parsePattern(left, target, handleTarget)
+  }
+
+  /*************************/
+  /*      Declarations     */
+  /*************************/
+
+  FunctionDeclaration(functionDeclaration) {
+    const variable = this.getNameFromPattern(functionDeclaration.id) // id is Identifier only
+    const functionAgent = this.createFunctionAgent(functionDeclaration, variable)
+
+    this.setVariables(variable, functionAgent)
+  }
+
+  createFunctionAgent(functionExpression, name) {
+    const functionAgentData =
+      this.parseFunctionExpression(functionExpression)
+    const functionAgent = this.createAgent(functionAgentData, name)
+
+    this.setFunctionSourceText(functionAgent, functionExpression)
+
+    return functionAgent
+  }
+
+  createAgent(functionAgentData, name = '') {
+    const functionAgent =
+      this.wrapWithFunction(functionAgentData)
+
+    functionAgentData.name = name // name of call frames
+
+    this.setFunctionLength(functionAgent, functionAgentData.params)
+    this.setFunctionName(functionAgent, name)
+
+    if (functionAgentData.isGenerator) {
+      this.setGeneratorPrototype(functionAgentData, functionAgent)
+    } else if (functionAgentData.isAsync) {
+      Object.setPrototypeOf(functionAgent, this.asyncFunctionPrototype)
+    }
+    if (this.isHeapCallable(functionAgentData)) {
+      this.functionAgents.set(functionAgent, functionAgentData)
+    }
+    return functionAgent
+  }
+
+  isHeapCallable({isGenerator, isAsync}) {
+    // @NOTE: generator and async functions keep their bodies suspended after call returns
+    return !isGenerator && !isAsync
+  }
+
+  setFunctionLength(functionAgent, params) {
+    // @NOTE: length is redefined rather than wrapping agent with another function,
+    // which would box this of strict functions and drop new.target
+    // @CASE: function (a, b, c).length should be 3 not 0
+    Object.defineProperty(functionAgent, 'length', {
+      value: this.getFunctionLength(params)
+    })
+  }
+
+  getFunctionLength(params) {
+    // @NOTE: only params before the first default or rest param are counted in function.length
+    // @CASE: function (a, b = 1, c).length should be 1
+    const optionalIndex = params.findIndex((param) => {
+      return param.type === 'RestElement' || param.type === 'AssignmentPattern'
+    })
+    return (optionalIndex < 0) ? params.length : optionalIndex
+  }
+
+  setFunctionName(functionAgent, name) {
+    Object.defineProperty(functionAgent, 'name', {value: name})
+  }
+
+  setFunctionSourceText(functionAgent, node) {
+    // @NOTE: agent reports source text of the function it wraps through toString
+    // @CASE: (function (a, b) {}).toString() should not be source of wrapper
+    this.functionSourceTexts.set(functionAgent, this.getSourceText(node))
+  }
+
+  getSourceText(node) {
+    // @NOTE: code is regenerated given no source text or no range of node
+    // @CASE: code parsed without range option
+    const sourceText = (typeof this.sourceText === 'string' && node.range) ?
+      this.sourceText.slice(node.range[0], node.range[1]) :
+      this.generateCode(node)
+
+    // @NOTE: static is not part of source text of static method
+    return node.static ? sourceText.replace(/^static\s*/, '') : sourceText
+  }
+
+  getInferredName(target) {
+    // @NOTE: anonymous functions and classes take name of the variable they are assigned to
+    // @CASE: var f = function () {}, f.name should be 'f'
+    return (target.type === 'Identifier') ? target.name : undefined
+  }
+
+  getFunctionName(key, prefix) {
+    // @NOTE: symbol keys name functions by their descriptions in brackets
+    // @CASE: {[Symbol.iterator]() {}} has name '[Symbol.iterator]'
+    let name = String(key)
+
+    if (typeof key === 'symbol') {
+      name = (key.description === undefined) ? '' : `[${key.description}]`
+    }
+    return prefix ? `${prefix} ${name}` : name
+  }
+
+  parseFunctionExpression(functionExpression) {
+    const functionEnvironment = this.getEnvironment(this)
+    const functionInfo = this.parseFunctionInfo(functionExpression)
+
+    return Object.assign({}, functionEnvironment, functionInfo)
+  }
+
+  getEnvironment(context) {
+    return {
+      scriptUrl: context.scriptUrl,
+      sourceText: context.sourceText,
+      closureStack: context.closureStack.getClone(),
+      strict: context.strict
+    }
+  }
+
+  parseFunctionInfo(functionExpression) {
+    return {
+      scope: functionExpression, // creating closures of calls
+      body: functionExpression.body,
+      params: this.parseFunctionParams(functionExpression.params),
+      hoistings: this.searchHoistings([functionExpression.body]),
+      isArrowFunction: this.isArrowFunction(functionExpression),
+      isGenerator: !!functionExpression.generator,
+      isAsync: !!functionExpression.async,
+      strict: this.isStrictFunction(functionExpression)
+    }
+  }
+
+  isStrictFunction({body}) {
+    // @NOTE: functions defined in strict mode code are strict as well
+    return this.strict || (
+      body.type === 'BlockStatement' &&
+      this.hasUseStrictDirective(body.body)
+    )
+  }
+
+  hasUseStrictDirective(statements) {
+    // @NOTE: directive prologue is the sequence of string literal statements
+    // at the beginning of script or function body
+    for (const statement of statements) {
+      if (!statement.directive) {
+        return false
+      }
+      if (statement.directive === 'use strict') {
+        return true
+      }
+    }
+    return false
+  }
+
+  isArrowFunction(functionExpression) {
+    return functionExpression.type === 'ArrowFunctionExpression'
+  }
+
+  parseFunctionParams(params) {
+    // params are kept as patterns, which are destructured each call
+    return [...params]
+  }
+
+  wrapWithFunction(functionAgentData) {
+    const self = this
+
+    if (functionAgentData.isAsync) {
+      return this.wrapWithAsync(functionAgentData)
+    }
+    if (functionAgentData.isGenerator) {
+      return this.wrapWithGenerator(functionAgentData)
+    }
+    if (!this.isConstructible(functionAgentData)) {
+      return this.createNonConstructor((builtInArguments, calledArguments) => {
+        return this.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
+      })
+    }
+    return function (...calledArguments) {
+      return self.parseFunctionAgentData(functionAgentData, {
+        this: this,
+        arguments: arguments,
+        newTarget: new.target
+      }, calledArguments)
+    }
+  }
+
+  isConstructible({isArrowFunction, homeObject}) {
+    // @NOTE: generator and async functions are not constructible either,
+    // they are wrapped by wrapWithGenerator and wrapWithAsync
+    return !isArrowFunction && !homeObject
+  }
+
+  createNonConstructor(call) {
+    // @NOTE: accessors are neither constructors nor have prototype,
+    // unlike shorthand methods, they are not turned into functions by babel
+    // @CASE: new (() => {}) throws TypeError and (() => {}).prototype is undefined
+    const {get: nonConstructor} = Object.getOwnPropertyDescriptor({
+      get agent() {
+        return call({this: this, arguments: arguments}, [...arguments])
+      }
+    }, 'agent')
+
+    // agent stays anonymous like function expression
+    Object.defineProperty(nonConstructor, 'name', {value: ''})
+
+    return nonConstructor
+  }
+
+  parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments) {
+    // @NOTE: body runs on native stack, where native code calling agent, e.g. forEach or getter, waits anyway,
+    // interpreted code calls through runCallRequest instead
+    if (this.isAccessedOnHeap(builtInArguments)) {
+      throw this.createCallRequest(functionAgentData, builtInArguments, calledArguments)
+    }
+    // @NOTE: agent called by native function nested deeply, e.g. callback of forEach, runs on heap frames too,
+    // see runCallRequest
+    if (this.nativeCallDepth >= this.maxNativeCallDepth) {
+      return this.runCallFrames(this.createCallRequest(functionAgentData, builtInArguments, calledArguments))
+    }
     // environment refers to an object containing scriptUrl and closureStack
     const envGlobal = this.getEnvironment(this)
     const envFunction = this.getEnvironment(functionAgentData)
+    const completionValue = this.completionValue
     let result
 
     this.setEnvironment(this, envFunction)
+    this.nativeCallDepth++
 
-    this.closureStack.createClosure()
+    try {
+      result = this.runInCallFrame(this.getCallFrameName(functionAgentData, builtInArguments), () => {
+        this.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
 
-    this.setHoistings(functionAgentData.hoistings)
-    this.setBuiltInArguments(builtInArguments)
-    this.setCalledArguments(functionAgentData.params, calledArguments)
+        return this.parseNode(functionAgentData.body)
+      })
 
-    try {
-      result = this.parseNode(functionAgentData.body)
+      if (builtInArguments.newTarget !== undefined) {
+        result = this.getConstructResult(result, functionAgentData.isDerived)
+      }
     } finally {
+      this.nativeCallDepth--
       // @NOTE: should reset environment when error thrown while parsing function body
       this.setEnvironment(this, envGlobal)
+      // statements in function never change result of eval calling it
+      this.completionValue = completionValue
+      this.flowState.unset(FlowState.RETURN)
     }
-    this.flowState.unset(FlowState.RETURN)
-
     return result
   }
 
+  runCallRequest(request) {
+    // @NOTE: calls nested shallowly run on native stack, whose bodies need not suspend at calls,
+    // deeper ones run on heap frames, see runCallFrames
+    if (this.nativeCallDepth < this.maxNativeCallDepth) {
+      const {functionAgentData, builtInArguments, calledArguments} = request
+
+      return this.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
+    }
+    return this.runCallFrames(request)
+  }
+
+  createCallRequest(functionAgentData, builtInArguments, calledArguments) {
+    return new (this.CallRequest)(functionAgentData, builtInArguments, calledArguments)
+  }
+
+  createNativeCallRequest(calledMethod, exp) {
+    return new (this.NativeCallRequest)(calledMethod, exp)
+  }
+
+  setFunctionClosure(functionAgentData, builtInArguments, calledArguments) {
+    const {scope, params, hoistings} = functionAgentData
+    const isSimpleParameterList = this.isSimpleParameterList(params)
+
+    this.closureStack.createClosure(scope)
+
+    if (isSimpleParameterList) {
+      this.setHoistings(hoistings)
+    }
+    // @NOTE: arrow functions take this and arguments from where they are created
+    if (!functionAgentData.isArrowFunction) {
+      this.setBuiltInArguments(builtInArguments)
+    }
+    this.setClassBindings(functionAgentData)
+
+    if (isSimpleParameterList) {
+      this.setCalledArguments(params, calledArguments)
+    } else {
+      this.setParameterScope(params, calledArguments)
+      this.setBodyHoistings(params, hoistings, scope)
+    }
+    if (this.isArgumentsMapped(functionAgentData)) {
+      this.mapArguments(params, builtInArguments.arguments)
+    }
+  }
+
+  isArgumentsMapped({scope, params, isArrowFunction}) {
+    // @NOTE: aliasing params costs a pair of accessors each per call, only functions referring to
+    // arguments need it, those of code never resolved (e.g. evaluated by eval) are taken as referring
+    return (
+      !this.strict &&
+      !isArrowFunction &&
+      this.isSimpleParameterList(params) &&
+      this.argumentsReferences.get(scope) !== false
+    )
+  }
+
+  mapArguments(params, argumentsObject) {
+    // @NOTE: arguments of sloppy function with simple params alias params passed
+    // @CASE: function (a) { arguments[0] = 2; return a } returns 2
+    const closure = this.closureStack.getLatestClosure()
+    const names = params
+      .slice(0, argumentsObject.length)
+      .map((param) => this.getNameFromPattern(param))
+
+    names.forEach((name, index) => {
+      // only the last one of duplicate params is aliased
+      if (names.indexOf(name, index + 1) < 0) {
+        Object.defineProperty(argumentsObject, index, {
+          get: () => closure.get(name),
+          set: (value) => closure.set(name, value),
+          enumerable: true,
+          configurable: true
+        })
+      }
+    })
+  }
+
+  isSimpleParameterList(params) {
+    return params.every((param) => param.type === 'Identifier')
+  }
+
+  setParameterScope(params, calledArguments) {
+    // @NOTE: params are bound in order, defaults could only see params before them
+    // @CASE: function (a = b, b) {} throws ReferenceError given a not passed
+    for (const name of this.searchNamesFromPatterns(params)) {
+      this.closureStack.declare(name)
+    }
+    this.setCalledArguments(params, calledArguments)
+  }
+
+  setBodyHoistings(params, hoistings, scope) {
+    // @NOTE: body has its own scope given non-simple params, closures created in defaults
+    // should not see variables declared in body, but those named as params start with their values
+    // @CASE: function (a = 1, f = () => x) { var x, a } a is 1 and f() could not see x
+    const names = this.searchNamesFromPatterns(params)
+    const values = hoistings.map((hoisting) => {
+      return (names.indexOf(hoisting) < 0) ? undefined : this.closureStack.get(hoisting)
+    })
+    this.closureStack.createClosure(scope)
+
+    hoistings.forEach((hoisting, index) => {
+      this.setVariables(hoisting, values[index])
+    })
+  }
+
   setEnvironment(context, environment) {
     context.scriptUrl = environment.scriptUrl
+    context.sourceText = environment.sourceText
     context.closureStack = environment.closureStack
+    context.strict = environment.strict
   }
 
   setBuiltInArguments(builtInArguments) {
-    this.setVariables('this', builtInArguments.this || this.context)
-    this.setVariables('arguments', builtInArguments.arguments)
+    // @NOTE: set to function closure just created by setFunctionClosure rather than searched for by setVariables
+    const closure = this.closureStack.getLatestClosure()
+
+    closure.set('this', this.getThisValue(builtInArguments.this))
+    closure.set('arguments', builtInArguments.arguments)
+    closure.set('new.target', builtInArguments.newTarget)
+  }
+
+  getThisValue(thisArg) {
+    // @NOTE: sloppy functions take global object as this given null or undefined,
+    // and take primitive this wrapped by object
+    if (this.strict) {
+      return thisArg
+    }
+    return this.isNullish(thisArg) ? this.context : Object(thisArg)
+  }
+
+  setClassBindings({homeObject, classAgent, isDerived}) {
+    // @NOTE: 'super' and 'class' are keywords, they never conflict with variables
+    if (homeObject) {
+      this.setVariables('super', homeObject)
+    }
+    if (classAgent) {
+      this.setVariables('class', classAgent)
+    }
+    // @NOTE: this stays uninitialized until super() called in derived constructor
+    if (isDerived) {
+      this.closureStack.declare('this')
+    }
+  }
+
+  getConstructResult(result, isDerived) {
+    if (this.isObject(result)) {
+      return result
+    }
+    if (isDerived && result !== undefined) {
+      throw new TypeError('Derived constructors may only return object or undefined')
+    }
+    return this.closureStack.get('this')
   }
 
   setCalledArguments(params, values) {
     for (const index of params.keys()) {
-      this.setVariables(params[index], values[index])
+      const param = params[index]
+
+      // @NOTE: plain params, as most are, need no destructuring
+      if (param.type === 'Identifier') {
+        this.setVariables(param.name, values[index])
+      } else if (param.type === 'RestElement') {
+        this.setPatternVariables(param.argument, values.slice(index), 'var')
+      } else {
+        this.setPatternVariables(param, values[index], 'var')
+      }
     }
   }
 
   VariableDeclaration(variableDeclaration) {
-    // @TODO: var -> function closure
-    // @TODO: es6: let, const -> block closure
     const kind = variableDeclaration.kind
 
     variableDeclaration.declarations.forEach(
@@ -732,7 +2197,7 @@ class EsprimaParser {
 
   VariableDeclarator(variableDeclarator, kind) {
     if (this.isVariableNeededToSet(kind, variableDeclarator.init)) {
-      this.parseVariableDeclarator(variableDeclarator)
+      this.parseVariableDeclarator(variableDeclarator, kind)
     }
   }
 
@@ -740,100 +2205,431 @@ class EsprimaParser {
     return !(kind === 'var' && init === null)
   }
 
-  parseVariableDeclarator(variableDeclarator) {
-    // @TODO: es6: ObjectPattern / ArrayPattern
-    const variables = this.getNameFromPattern(variableDeclarator.id)
-    const values = this.parseNode(variableDeclarator.init)
+  parseVariableDeclarator(variableDeclarator, kind) {
+    const values = this.parseNode(variableDeclarator.init, {
+      name: this.getInferredName(variableDeclarator.id)
+    })
 
-    this.setVariables(variables, values)
+    // @NOTE: var declared by hoisting is initialized like assignment, to the binding its name resolves to
+    // @CASE: with (o) { var x = 2 } sets o.x given o has x, catch (e) { var e = 2 } sets e of catch
+    if (kind === 'var') {
+      this.updatePatternVariables(variableDeclarator.id, values)
+    } else {
+      this.setPatternVariables(variableDeclarator.id, values, kind)
+    }
   }
 
   /*************************/
-  /*      Expressions      */
+  /*        Classes        */
   /*************************/
 
-  ThisExpression() {
-    return this.closureStack.get('this')
-  }
+  ClassDeclaration(classDeclaration) {
+    const variable = this.getNameFromPattern(classDeclaration.id)
+    const classAgent = this.createClassAgent(classDeclaration)
 
-  ArrayExpression(arrayExpression) {
-    const result = []
+    this.setVariables(variable, classAgent, 'let')
+  }
 
-    arrayExpression.elements.forEach((node, index) => {
-      result.push(this.parseNode(node))
-      // @NOTE: should delete null node
-      // @CASE: [1, , 2] != [1, undefined, 2]
-      if (!node) {
-        delete result[index]
-      }
-    })
-    return result
+  ClassExpression(classExpression, {name} = {}) {
+    return this.createClassAgent(classExpression, name)
   }
 
-  ObjectExpression(objectExpression) {
-    const result = {}
+  createClassAgent(classNode, name) {
+    const strict = this.strict
 
-    objectExpression.properties.forEach((node) => {
-      const {key, value} = this.parseNode(node)
+    // @NOTE: class has its own closure binding class name,
+    // which stays uninitialized while superClass being evaluated
+    // @CASE: class A extends A {} should throw ReferenceError
+    this.closureStack.createBlockClosure(classNode)
+    // @NOTE: all parts of class are strict mode code
+    this.strict = true
 
-      result[key] = value
-    })
-    return result
+    try {
+      return this.parseClass(classNode, name)
+    } finally {
+      this.strict = strict
+      this.closureStack.removeLatestClosure()
+    }
   }
 
-  Property(property) {
-    return {
-      key: this.getPropertyKey(
-        property.key,
-        property.computed
-      ),
-      value: this.parseNode(property.value)
+  parseClass(classNode, name = '') {
+    const variable = classNode.id ?
+      this.getNameFromPattern(classNode.id) : undefined
+
+    if (variable) {
+      this.closureStack.declare(variable, 'const')
     }
-  }
+    const parents = this.parseSuperClass(classNode.superClass)
+    const classAgent = this.createClassConstructor(classNode, parents, variable || name)
 
-  getPropertyKey(key, computed) {
-    if (computed) {
-      return this.parseNode(key)
+    this.setClassMethods(classAgent, classNode.body.body)
+
+    if (variable) {
+      this.closureStack.set(variable, classAgent)
     }
-    return (key.name || key.value)
+    return classAgent
   }
 
-  FunctionExpression(functionExpression) {
-    const functionAgentData =
-      this.parseFunctionExpression(functionExpression)
-    const functionAgent =
-      this.wrapWithFunction(functionAgentData)
-    const functionArity = this.arity(
-      functionAgentData.params.length,
-      functionAgent
-    )
-    // @NOTE: should keep reference to its functionAgentData.closureStack given non-null id
-    // @CASE: (function test() {console.log(test)})(), should not log undefined
-    if (functionExpression.id) {
-      this.setFunctionExpressionTo(
-        functionAgentData,
-        functionExpression.id,
-        functionArity
-      )
+  parseSuperClass(superClass) {
+    if (!superClass) {
+      return {
+        constructorParent: Function.prototype,
+        prototypeParent: Object.prototype
+      }
+    }
+    const parent = this.parseNode(superClass)
+
+    if (parent === null) {
+      return {
+        constructorParent: Function.prototype,
+        prototypeParent: null
+      }
+    }
+    if (!this.isConstructor(parent)) {
+      throw new TypeError(`Class extends value ${String(parent)} is not a constructor or null`)
+    }
+    if (parent.prototype !== null && !this.isObject(parent.prototype)) {
+      throw new TypeError(`Class extends value does not have valid prototype property ${String(parent.prototype)}`)
+    }
+    return {
+      constructorParent: parent,
+      prototypeParent: parent.prototype
     }
-    return functionArity
   }
 
-  setFunctionExpressionTo(functionAgentData, id, functionAgent) {
-    const variable = this.getNameFromPattern(id)
+  createClassConstructor(classNode, {constructorParent, prototypeParent}, name) {
+    const classAgentData = this.parseClassConstructor(classNode)
+    const classAgent = this.wrapWithClass(classAgentData)
+    const prototype = Object.create(prototypeParent)
 
-    functionAgentData.closureStack.createClosure()
-    functionAgentData.closureStack.set(variable, functionAgent)
+    Object.assign(classAgentData, {
+      classAgent,
+      name,
+      homeObject: prototype,
+      isDerived: !!classNode.superClass
+    })
+    this.functionAgents.set(classAgent, classAgentData)
+    this.setFunctionLength(classAgent, classAgentData.params)
+    this.setFunctionName(classAgent, name)
+    this.setFunctionSourceText(classAgent, classNode)
+    Object.defineProperty(classAgent, 'prototype', {
+      value: prototype,
+      writable: false
+    })
+    Object.defineProperty(prototype, 'constructor', {
+      value: classAgent,
+      writable: true,
+      configurable: true
+    })
+    Object.setPrototypeOf(classAgent, constructorParent)
+
+    return classAgent
   }
 
-  UnaryExpression(unaryExpression) {
-    const argument = this.parseUnaryArgument(
-      unaryExpression.argument,
-      unaryExpression.operator
-    )
-    const operation = this.unaryOperators[unaryExpression.operator]
+  parseClassConstructor(classNode) {
+    const constructorDefinition = this.findClassConstructor(classNode.body.body)
 
-    return operation(argument)
+    if (constructorDefinition) {
+      return this.parseFunctionExpression(constructorDefinition.value)
+    }
+    // default constructor
+    return Object.assign(this.getEnvironment(this), {
+      body: null,
+      params: [],
+      hoistings: []
+    })
+  }
+
+  findClassConstructor(methodDefinitions) {
+    for (const methodDefinition of methodDefinitions) {
+      if (methodDefinition.kind === 'constructor') {
+        return methodDefinition
+      }
+    }
+    return undefined
+  }
+
+  wrapWithClass(classAgentData) {
+    const self = this
+
+    return function (...calledArguments) {
+      return self.parseClassAgentData(classAgentData, {
+        arguments: arguments,
+        newTarget: new.target
+      }, calledArguments)
+    }
+  }
+
+  parseClassAgentData(classAgentData, builtInArguments, calledArguments) {
+    const {classAgent, isDerived} = classAgentData
+    const newTarget = builtInArguments.newTarget
+
+    if (newTarget === undefined) {
+      throw new TypeError('Class constructor cannot be invoked without \'new\'')
+    }
+    // @NOTE: default constructor of derived class passes all arguments to super()
+    if (isDerived && !classAgentData.body) {
+      return Reflect.construct(Object.getPrototypeOf(classAgent), calledArguments, newTarget)
+    }
+    const thisValue = isDerived ?
+      undefined : Object.create(newTarget.prototype)
+
+    return this.parseFunctionAgentData(
+      classAgentData,
+      Object.assign({this: thisValue}, builtInArguments),
+      calledArguments
+    )
+  }
+
+  setClassMethods(classAgent, methodDefinitions) {
+    for (const methodDefinition of methodDefinitions) {
+      if (methodDefinition.type !== 'MethodDefinition') {
+        this.abortUnsupportedNode(methodDefinition)
+      } else if (methodDefinition.kind !== 'constructor') {
+        const target = methodDefinition.static ?
+          classAgent : classAgent.prototype
+
+        this.setClassMethod(target, methodDefinition)
+      }
+    }
+  }
+
+  setClassMethod(target, methodDefinition) {
+    const key = this.getPropertyKey(
+      methodDefinition.key,
+      methodDefinition.computed
+    )
+    const methodAgent = this.createMethodAgent(methodDefinition, target, key)
+
+    Object.defineProperty(
+      target,
+      key,
+      this.getMethodDescriptor(methodDefinition.kind, methodAgent)
+    )
+  }
+
+  createMethodAgent(methodNode, homeObject, key) {
+    // methodNode is MethodDefinition or Property, whose source text includes key
+    const functionAgentData =
+      this.parseFunctionExpression(methodNode.value)
+
+    functionAgentData.homeObject = homeObject
+
+    const methodAgent = this.createAgent(
+      functionAgentData,
+      this.getFunctionName(key, this.getAccessorPrefix(methodNode.kind))
+    )
+    this.setFunctionSourceText(methodAgent, methodNode)
+
+    return methodAgent
+  }
+
+  getAccessorPrefix(kind) {
+    // @CASE: {get width() {}} getter is named 'get width'
+    return (kind === 'get' || kind === 'set') ? kind : undefined
+  }
+
+  getMethodDescriptor(kind, methodAgent, enumerable = false) {
+    // @NOTE: class methods are non-enumerable but object literal methods are not,
+    // getter and setter with the same key are merged into one accessor
+    switch (kind) {
+      case 'get':
+        return {get: methodAgent, enumerable, configurable: true}
+
+      case 'set':
+        return {set: methodAgent, enumerable, configurable: true}
+
+      default:
+        return {value: methodAgent, writable: true, enumerable, configurable: true}
+    }
+  }
+
+  isObject(value) {
+    return (
+      (typeof value === 'object' && value !== null) ||
+      typeof value === 'function'
+    )
+  }
+
+  isSuper(node) {
+    return node.type === 'Super'
+  }
+
+  parseSuperCall(callExpression) {
+    const superConstructor = Object.getPrototypeOf(this.closureStack.get('class'))
+    const calledArguments = this.parseArguments(callExpression.arguments)
+    const thisValue = Reflect.construct(
+      superConstructor,
+      calledArguments,
+      this.closureStack.get('new.target')
+    )
+    this.bindThisValue(thisValue)
+
+    return thisValue
+  }
+
+  bindThisValue(thisValue) {
+    if (this.closureStack.isInitialized('this')) {
+      throw new ReferenceError('Super constructor may only be called once')
+    }
+    this.closureStack.initialize('this', thisValue)
+  }
+
+  getSuperMemberExp(memberExpression) {
+    // @NOTE: super.x looks up x from prototype of home object,
+    // but with current this as receiver
+    return {
+      caller: this.closureStack.get('this'),
+      callee: this.getPropertyKey(
+        memberExpression.property,
+        memberExpression.computed
+      ),
+      superBase: Object.getPrototypeOf(this.closureStack.get('super'))
+    }
+  }
+
+  MetaProperty(metaProperty) {
+    // @NOTE: new.target is bound in function closure, import.meta in module closure
+    const {meta, property} = metaProperty
+
+    return this.closureStack.get(`${meta.name}.${property.name}`)
+  }
+
+  /*************************/
+  /*      Expressions      */
+  /*************************/
+
+  ThisExpression() {
+    return this.closureStack.get('this')
+  }
+
+  ArrayExpression(arrayExpression) {
+    const result = []
+
+    arrayExpression.elements.forEach((node) => {
+      // @NOTE: should leave a hole given null node
+      // @CASE: [1, , 2] != [1, undefined, 2]
+      if (!node) {
+        result.length += 1
+      } else if (this.isSpreadElement(node)) {
+        result.push(...this.parseNode(node.argument))
+      } else {
+        result.push(this.parseNode(node))
+      }
+    })
+    return result
+  }
+
+  ObjectExpression(objectExpression) {
+    const result = {}
+
+    objectExpression.properties.forEach((node) => {
+      if (this.isSpreadElement(node)) {
+        this.copyDataProperties(result, this.parseNode(node.argument))
+      } else {
+        this.parseNode(node, {target: result})
+      }
+    })
+    return result
+  }
+
+  Property(property, {target}) {
+    const key = this.getPropertyKey(
+      property.key,
+      property.computed
+    )
+    if (this.isMethodProperty(property)) {
+      // @NOTE: object methods take the object as home object for super
+      // @CASE: {get width() { return super.width * 2 }}
+      const methodAgent = this.createMethodAgent(property, target, key)
+
+      Object.defineProperty(
+        target,
+        key,
+        this.getMethodDescriptor(property.kind, methodAgent, true)
+      )
+    } else if (this.isProtoSetter(property, key)) {
+      this.setLiteralPrototype(target, this.parseNode(property.value))
+    } else {
+      // @NOTE: properties are defined, setters on Object.prototype should not be triggered
+      // @CASE: {['__proto__']: value} defines own property '__proto__'
+      Object.defineProperty(target, key, {
+        value: this.parseNode(property.value, {name: this.getFunctionName(key)}),
+        writable: true,
+        enumerable: true,
+        configurable: true
+      })
+    }
+  }
+
+  isMethodProperty(property) {
+    return property.method || property.kind !== 'init'
+  }
+
+  isProtoSetter(property, key) {
+    // @NOTE: only non-computed, non-shorthand __proto__ sets prototype of object literal
+    return !property.computed && !property.shorthand && key === '__proto__'
+  }
+
+  setLiteralPrototype(target, prototype) {
+    // @NOTE: __proto__ value neither object nor null is ignored
+    if (this.isObject(prototype) || prototype === null) {
+      Object.setPrototypeOf(target, prototype)
+    }
+  }
+
+  getPropertyKey(key, computed) {
+    if (computed) {
+      return this.parseNode(key)
+    }
+    if (key.type === 'PrivateIdentifier') {
+      return this.abortUnsupportedNode(key)
+    }
+    return (key.name || key.value)
+  }
+
+  FunctionExpression(functionExpression, {name} = {}) {
+    const functionAgentData =
+      this.parseFunctionExpression(functionExpression)
+    const functionArity = this.createAgent(
+      functionAgentData,
+      functionExpression.id ? this.getNameFromPattern(functionExpression.id) : name
+    )
+    this.setFunctionSourceText(functionArity, functionExpression)
+    // @NOTE: should keep reference to its functionAgentData.closureStack given non-null id
+    // @CASE: (function test() {console.log(test)})(), should not log undefined
+    if (functionExpression.id) {
+      this.setFunctionExpressionTo(
+        functionAgentData,
+        functionExpression.id,
+        functionArity
+      )
+    }
+    return functionArity
+  }
+
+  setFunctionExpressionTo(functionAgentData, id, functionAgent) {
+    const variable = this.getNameFromPattern(id)
+
+    functionAgentData.closureStack.createClosure(id)
+    functionAgentData.closureStack.set(variable, functionAgent)
+  }
+
+  ArrowFunctionExpression(arrowFunctionExpression, {name} = {}) {
+    // @NOTE: body of concise arrow function is an expression,
+    // whose result is returned directly by parseFunctionAgentData
+    // @CASE: (a, b) => a + b
+    return this.createFunctionAgent(arrowFunctionExpression, name)
+  }
+
+  UnaryExpression(unaryExpression) {
+    const argument = this.parseUnaryArgument(
+      unaryExpression.argument,
+      unaryExpression.operator
+    )
+    const operation = this.unaryOperators[unaryExpression.operator]
+
+    return operation(argument)
   }
 
   parseUnaryArgument(argument, operator) {
@@ -841,327 +2637,2824 @@ class EsprimaParser {
       case 'delete':
         return this.getRefExp(argument)
 
+      case 'typeof':
+        // @NOTE: typeof is the only operation allowed on unresolvable variable
+        // @CASE: typeof undeclared should be 'undefined' rather than throwing ReferenceError
+        if (this.isUnresolvableVariable(argument)) {
+          return undefined
+        }
+        return this.parseNode(argument)
+
       default:
         return this.parseNode(argument)
     }
   }
 
+  isUnresolvableVariable(node) {
+    return (
+      node.type === 'Identifier' &&
+      !this.closureStack.isResolvable(node.name, this.resolvedIdentifiers.get(node))
+    )
+  }
+
   getRefExp(expression) {
     switch (expression.type) {
       case 'MemberExpression':
         return this.getMemberExp(expression)
 
+      case 'ChainExpression':
+        return this.getChainRefExp(expression)
+
       default:
         return this.getPatternExp(expression)
     }
   }
 
+  getChainRefExp(chainExpression) {
+    // @NOTE: optional chain references its member, or nothing given short-circuited
+    // @CASE: delete o?.a deletes a of o
+    try {
+      return this.getRefExp(chainExpression.expression)
+    } catch (e) {
+      return this.handleShortCircuit(e)
+    }
+  }
+
   getPatternExp(pattern) {
+    // @NOTE: variable bound by with statement is referenced as property of its object
+    // @CASE: with (el.style) { color = 'red' } is tracked as el.style.color = 'red'
+    // while identifiers resolved beforehand never pass through with statement
+    const callee = this.getNameFromPattern(pattern)
+    const reference = this.resolvedIdentifiers.get(pattern)
+
+    if (reference) {
+      return {caller: undefined, callee, reference}
+    }
     return {
-      caller: undefined,
-      callee: this.getNameFromPattern(pattern)
+      caller: this.closureStack.getBindingObject(callee),
+      callee
+    }
+  }
+
+  UpdateExpression(updateExpression) {
+    // @NOTE: '++' != '+='
+    // @CASE: "0"++ -> 1, "0" += 1 -> "01"
+    const {argument} = updateExpression
+    const exp = this.getRefExp(argument)
+    const origin = this.getRefValue(exp, argument)
+    const update = this.updateOperators[updateExpression.operator](origin)
+
+    this.setUpdateValue(exp, update)
+
+    return updateExpression.prefix ? update : origin
+  }
+
+  setUpdateValue(exp, update) {
+    const operation = this.assignmentOperators['=']
+
+    operation(exp, update)
+  }
+
+  BinaryExpression(binaryExpression) {
+    const left = this.parseNode(binaryExpression.left)
+    const right = this.parseNode(binaryExpression.right)
+    const operation = this.binaryOperators[binaryExpression.operator]
+
+    return operation(left, right)
+  }
+
+  AssignmentExpression(assignmentExpression) {
+    if (this.isDestructuringPattern(assignmentExpression.left)) {
+      return this.parseDestructuringAssignment(assignmentExpression)
+    }
+    if (this.isLogicalAssignment(assignmentExpression)) {
+      return this.parseLogicalAssignment(assignmentExpression)
+    }
+    const exp = this.getRefExp(assignmentExpression.left) // {callee, caller}
+    const value = this.getAssignValue(assignmentExpression, exp)
+    const operation = this.assignmentOperators['=']
+
+    exp.info = this.getExpInfo(assignmentExpression)
+
+    return operation(exp, value)
+  }
+
+  isDestructuringPattern(node) {
+    return node.type === 'ObjectPattern' || node.type === 'ArrayPattern'
+  }
+
+  parseDestructuringAssignment(assignmentExpression) {
+    // only '=' is valid for destructuring assignment
+    const value = this.parseNode(assignmentExpression.right)
+
+    this.updatePatternVariables(assignmentExpression.left, value)
+
+    return value
+  }
+
+  isLogicalAssignment(assignmentExpression) {
+    return this.logicalOperators.hasOwnProperty(
+      assignmentExpression.operator.slice(0, -1)
+    )
+  }
+
+  parseLogicalAssignment(assignmentExpression) {
+    const {left, right, operator} = assignmentExpression
+    const exp = this.getRefExp(left)
+    const origin = this.getRefValue(exp, left)
+
+    // @NOTE: logical assignment neither evaluates right nor assigns when short-circuited
+    // @CASE: a ||= b, b is not evaluated given a truthy
+    if (this.isShortCircuited(operator.slice(0, -1), origin)) {
+      return origin
+    }
+    const value = this.parseNode(right, {name: this.getInferredName(left)})
+
+    return this.assignRefValue(exp, value, assignmentExpression)
+  }
+
+  getRefValue(exp, expression) {
+    // @NOTE: reference evaluated is read directly, its object is not evaluated again
+    return (expression.type === 'MemberExpression') ?
+      this.executeMember(exp) : this.parseNode(expression)
+  }
+
+  assignRefValue(exp, value, assignmentExpression) {
+    const operation = this.assignmentOperators['=']
+
+    exp.info = this.getExpInfo(assignmentExpression)
+
+    return operation(exp, value)
+  }
+
+  isShortCircuited(operator, value) {
+    switch (operator) {
+      case '||':
+        return !!value
+
+      case '&&':
+        return !value
+
+      default:
+        // '??'
+        return !this.isNullish(value)
+    }
+  }
+
+  isNullish(value) {
+    return value === null || value === undefined
+  }
+
+  getAssignValue(assignmentExpression, exp) {
+    const {left, right, operator} = assignmentExpression
+
+    if (operator === '=') {
+      return this.parseNode(right, {name: this.getInferredName(left)})
+    }
+    // @NOTE: reference of compound assignment is evaluated once, then read and assigned
+    // @CASE: o[g()] **= 2, g is called once
+    const origin = this.getRefValue(exp, left)
+
+    return this.calculateCompoundValue(operator, origin, this.parseNode(right))
+  }
+
+  calculateCompoundValue(operator, origin, value) {
+    const operation = this.binaryOperators[operator.slice(0, -1)]
+
+    return operation(origin, value)
+  }
+
+  LogicalExpression(logicalExpression) {
+    const operation = this.logicalOperators[logicalExpression.operator]
+
+    return operation(logicalExpression.left, logicalExpression.right)
+  }
+
+  MemberExpression(memberExpression) {
+    const exp = this.getMemberExp(memberExpression) // {caller, callee}
+
+    if (this.nativeCallDepth < this.maxNativeCallDepth) {
+      return this.parseMemberExp(exp)
+    }
+    return this.accessDeeply(exp.caller, () => this.parseMemberExp(exp))
+  }
+
+  getMemberExp(memberExpression) {
+    if (this.isSuper(memberExpression.object)) {
+      return this.getSuperMemberExp(memberExpression)
+    }
+    const caller = this.parseNode(memberExpression.object)
+
+    if (memberExpression.optional) {
+      this.checkOptionalChain(caller)
+    }
+    return {
+      caller,
+      callee: this.getPropertyKey(
+        memberExpression.property,
+        memberExpression.computed
+      )
+    }
+  }
+
+  ChainExpression(chainExpression) {
+    try {
+      return this.parseNode(chainExpression.expression)
+    } catch (e) {
+      return this.handleShortCircuit(e)
+    }
+  }
+
+  checkOptionalChain(value) {
+    // @NOTE: rest of chain is skipped given base of optional member or call nullish
+    // @CASE: a?.b.c() is undefined given a null
+    if (this.isNullish(value)) {
+      throw this.shortCircuit
+    }
+  }
+
+  handleShortCircuit(error) {
+    if (error !== this.shortCircuit) {
+      throw error
+    }
+    return undefined
+  }
+
+  parseMemberExp(exp) {
+    const result = this.execute(exp)
+    // definition of valid Style / DOMTokenList here is:
+    // (1) result have no parent property
+    // (2) result is CSSStyleDeclaration / DOMTokenList instance
+    if (this.isValidStyleOrDOMTokenList(result)) {
+      result.parent = exp.caller
+    }
+    return result
+  }
+
+  execute(exp) {
+    // try {
+      return this.executeExp(exp)
+    // } catch (e) {
+      // console.log(e);
+      // console.log(exp);
+      // return undefined
+    // }
+  }
+
+  executeExp(exp) {
+    return (exp.callee instanceof this.Callee) ?
+      this.executeCall(exp) : this.executeMember(exp)
+  }
+
+  executeCall(exp) {
+    // a function had been bound can not change context by bind, call and apply
+    // a function call or apply with non-object context would be ignored
+    return this.callMethod(this.getCalledMethod(exp), exp)
+  }
+
+  callMethod(calledMethod, exp) {
+    const {caller, callee, info} = exp
+
+    if (this.codeEvaluators.has(calledMethod)) {
+      return this.codeEvaluators.get(calledMethod)(callee.arguments, caller, info.loc)
+    }
+    const request = this.getCallRequest(calledMethod, exp)
+
+    return request ?
+      this.runCallRequest(request) : calledMethod.apply(caller, callee.arguments)
+  }
+
+  getCalledMethod({caller, callee, superBase}) {
+    if (superBase) {
+      return Reflect.get(superBase, callee.method, caller)
+    }
+    return (caller === undefined) ? callee.method : caller[callee.method]
+  }
+
+  executeMember({caller, callee, superBase}) {
+    if (superBase) {
+      return Reflect.get(superBase, callee, caller)
+    }
+    return caller[callee]
+  }
+
+  isValidStyleOrDOMTokenList(object) {
+    return (
+      this.hasNoParent(object) &&
+      this.isStyleOrDOMTokenList(object)
+    )
+  }
+
+  hasNoParent(object) {
+    return (object instanceof Object) && (!object.hasOwnProperty('parent'))
+  }
+
+  isStyleOrDOMTokenList(object) {
+    return this.isStyle(object) || this.isDOMTokenList(object)
+  }
+
+  isStyle(object) {
+    return (object instanceof this.context.CSSStyleDeclaration)
+  }
+
+  isDOMTokenList(object) {
+    return (object instanceof this.context.DOMTokenList)
+  }
+
+  ConditionalExpression(conditionalExpression) {
+    const test = this.parseNode(conditionalExpression.test)
+
+    return test ?
+      this.parseNode(conditionalExpression.consequent) :
+      this.parseNode(conditionalExpression.alternate)
+  }
+
+  CallExpression(callExpression) {
+    if (this.isSuper(callExpression.callee)) {
+      return this.parseSuperCall(callExpression)
+    }
+    const exp = this.getCallExp(callExpression) // {caller, callee}
+
+    exp.info = this.getExpInfo(callExpression)
+
+    this.callStack.setLoc(callExpression.loc)
+
+    if (this.isDirectEval(callExpression, exp.callee.method)) {
+      return this.parseDirectEval(exp.callee.arguments[0], exp.info.loc)
+    }
+    return this.parseCallExp(exp)
+  }
+
+  isDirectEval(callExpression, method) {
+    // @NOTE: only eval called by its own name is direct eval
+    // @CASE: eval('a') reads local a, but (0, eval)('a') and window.eval('a') read global a
+    const callee = callExpression.callee
+
+    return (
+      callee.type === 'Identifier' &&
+      callee.name === 'eval' &&
+      !callExpression.optional &&
+      method === this.nativeEval
+    )
+  }
+
+  getCallExp(callExpression) {
+    const exp = this.parseCallee(callExpression.callee)
+
+    if (callExpression.optional) {
+      // @CASE: a.b?.()
+      this.checkOptionalChain(this.getCalledMethod(exp))
+    }
+    const calleeArguments = this.parseArguments(callExpression.arguments)
+
+    exp.callee.addArguments(calleeArguments)
+
+    return exp
+  }
+
+  parseCallee(callee) {
+    // @NOTE: exp is created for each call, its callee is replaced rather than copied with the rest of it, e.g. superBase
+    const exp = this.getCalleeExp(callee)
+
+    exp.callee = this.createCallee(exp.callee)
+
+    return exp
+  }
+
+  getCalleeExp(callee) {
+    switch (callee.type) {
+      case 'MemberExpression':
+        return this.getMemberExp(callee)
+
+      case 'Identifier':
+        return this.getIdentifierExp(callee)
+
+      case 'ChainExpression':
+        return this.getChainCalleeExp(callee)
+
+      default:
+        return this.getOtherExp(callee)
+    }
+  }
+
+  getChainCalleeExp(chainExpression) {
+    // @NOTE: member of optional chain in parentheses is still called with its object as this,
+    // unless chain is resolved by generator as a whole, see getCalleeSubExpressions
+    // @CASE: (o?.f)(), or (n?.f)() throwing TypeError given n nullish
+    const {expression} = chainExpression
+
+    if (expression.type !== 'MemberExpression' || this.resolvedValues.has(chainExpression)) {
+      return this.getOtherExp(chainExpression)
+    }
+    try {
+      return this.getMemberExp(expression)
+    } catch (e) {
+      return {
+        caller: undefined,
+        callee: this.handleShortCircuit(e)
+      }
+    }
+  }
+
+  getIdentifierExp(identifier) {
+    // @NOTE: function bound by with statement is called with its object as this,
+    // while identifiers resolved beforehand never pass through with statement
+    // @CASE: with (obj) { method() }
+    const caller = this.resolvedIdentifiers.has(identifier) ?
+      undefined : this.closureStack.getBindingObject(identifier.name)
+
+    if (caller === undefined) {
+      return this.getOtherExp(identifier)
+    }
+    return {caller, callee: identifier.name}
+  }
+
+  getOtherExp(expression) {
+    return {
+      caller: undefined,
+      callee: this.parseNode(expression)
+    }
+  }
+
+  createCallee(method) {
+    return new (this.Callee)(method)
+  }
+
+  parseArguments(calledArguments) {
+    const results = []
+
+    calledArguments.forEach((argument) => {
+      if (this.isSpreadElement(argument)) {
+        results.push(...this.parseNode(argument.argument))
+      } else {
+        results.push(this.parseNode(argument))
+      }
+    })
+    return results
+  }
+
+  isSpreadElement(node) {
+    return node.type === 'SpreadElement'
+  }
+
+  getExpInfo(expression) {
+    return new ExpInfo(this, expression)
+  }
+
+  getExpCode(expression) {
+    if (!this.expCodes.has(expression)) {
+      this.expCodes.set(expression, this.generateCode(expression))
+    }
+    return this.expCodes.get(expression)
+  }
+
+  generateCode(node) {
+    return this.runInternal(node, node.loc, () => this.escodegen.generate(node))
+  }
+
+  parseCallExp(exp) {
+    // exp: {caller, callee, info}
+    const success = this.setCheckFlag(exp)
+    const result = this.execute(exp)
+
+    this.resetCheckFlag(success)
+
+    return result
+  }
+
+  setCheckFlag(exp) {
+    if (!this.checkFlag && exp.caller) {
+      // @NOTE: checkers and collection belong to tracker, whose failures are never page's
+      // @CASE: exp of update expression has no info, obj.count++
+      const loc = exp.info ? exp.info.loc : undefined
+
+      return this.runInternal(null, loc, () => {
+        const status = this.checkerDispatcher.dispatch({
+          context: this.context,
+          caller: exp.caller,
+          callee: exp.callee
+        })
+        return this.tryToSetCheckFlag(exp, status)
+      })
+    }
+    return false
+  }
+
+  tryToSetCheckFlag(exp, status) {
+    if (status) {
+      this.checkFlag = true
+      this.addInfoToCollection(exp, status)
+    }
+    return !!status
+  }
+
+  addInfoToCollection(exp, status) {
+    const elements = this.getTargetElements(exp.caller, status)
+
+    this.collection.addInfoToElements({
+      elements,
+      type: status.type,
+      info: exp.info
+    })
+  }
+
+  getTargetElements(caller, status) {
+    const object = this.getTargetObject(caller, status)
+    const elements = this.isJquery(object) ? object.get() : object
+    // @NOTE: target could be an array for future use
+    return [].concat(elements)
+  }
+
+  getTargetObject(caller, status) {
+    if (status.hasOwnProperty('target')) {
+      return status.target
+    } else if (this.isStyleOrDOMTokenList(caller)) {
+      return caller.parent
+    } else if (this.isAttr(caller)) {
+      return caller.ownerElement
+    }
+    return caller
+  }
+
+  isAttr(object) {
+    return (object instanceof this.context.Attr)
+  }
+
+  isJquery(object) {
+    const jQuery = this.context.jQuery
+
+    return !!jQuery && object instanceof jQuery
+  }
+
+  resetCheckFlag(success) {
+    if (success) {
+      this.checkFlag = false
+    }
+  }
+
+  TemplateLiteral(templateLiteral) {
+    const values = this.parseArguments(templateLiteral.expressions)
+
+    return templateLiteral.quasis.reduce((result, quasi, index) => {
+      return (index < values.length) ?
+        result + quasi.value.cooked + this.convertTemplateValue(values[index]) :
+        result + quasi.value.cooked
+    }, '')
+  }
+
+  convertTemplateValue(value) {
+    // @NOTE: substitutions are converted explicitly, since babel compiles template literal
+    // into string concatenation, which calls valueOf before toString
+    // @CASE: `${{toString: () => 'a', valueOf: () => 'b'}}` is 'a' and `${Symbol()}` throws
+    if (typeof value === 'symbol') {
+      throw new TypeError('Cannot convert a Symbol value to a string')
+    }
+    return String(value)
+  }
+
+  TaggedTemplateExpression(taggedTemplateExpression) {
+    const quasi = taggedTemplateExpression.quasi
+    const exp = this.parseCallee(taggedTemplateExpression.tag) // {caller, callee}
+    const values = this.parseArguments(quasi.expressions)
+
+    exp.callee.addArguments([this.getTemplateObject(quasi), ...values])
+    exp.info = this.getExpInfo(taggedTemplateExpression)
+
+    return this.parseCallExp(exp)
+  }
+
+  getTemplateObject(templateLiteral) {
+    // @NOTE: tag should receive the same strings array every time
+    // the same template is evaluated
+    // @CASE: function tag(strings) { return strings }, [1, 2].map(() => tag`a`) gets identical arrays
+    if (!this.templateObjects.has(templateLiteral)) {
+      this.templateObjects.set(
+        templateLiteral,
+        this.createTemplateObject(templateLiteral.quasis)
+      )
+    }
+    return this.templateObjects.get(templateLiteral)
+  }
+
+  createTemplateObject(quasis) {
+    const strings = quasis.map((quasi) => quasi.value.cooked)
+    const raw = quasis.map((quasi) => quasi.value.raw)
+
+    Object.defineProperty(strings, 'raw', {
+      value: Object.freeze(raw)
+    })
+    return Object.freeze(strings)
+  }
+
+  NewExpression(newExpression) {
+    const CalledConstructor = this.parseNode(newExpression.callee)
+    const calledArguments = this.parseArguments(newExpression.arguments)
+
+    return this.parseNewExp(newExpression, CalledConstructor, calledArguments)
+  }
+
+  parseNewExp(newExpression, CalledConstructor, calledArguments) {
+    this.callStack.setLoc(newExpression.loc)
+
+    if (!this.isConstructor(CalledConstructor)) {
+      throw new TypeError(`${this.generateCode(newExpression.callee)} is not a constructor`)
+    }
+    // @CASE: new Function('a', 'return a')
+    if (this.codeEvaluators.has(CalledConstructor)) {
+      return this.codeEvaluators.get(CalledConstructor)(calledArguments, undefined, newExpression.loc)
+    }
+    const request = this.createConstructRequest(CalledConstructor, calledArguments, CalledConstructor)
+
+    if (request) {
+      return this.runCallRequest(request)
+    }
+    const result = new CalledConstructor(...calledArguments)
+
+    // @NOTE: stack of error is where it is created rather than thrown
+    // @CASE: var e = new Error(); ...; throw e
+    this.captureErrorStack(result)
+
+    return result
+  }
+
+  isConstructor(value) {
+    if (typeof value !== 'function') {
+      return false
+    }
+    // @NOTE: proxy is constructor only if its target is,
+    // construct trap keeps target from being called
+    try {
+      Reflect.construct(new Proxy(value, {construct: () => ({})}), [])
+    } catch (e) {
+      return false
+    }
+    return true
+  }
+
+  SequenceExpression(sequenceExpression) {
+    let result
+
+    sequenceExpression.expressions.forEach((expression) => {
+      // all here are expressions, no need to check flow control status
+      result = this.parseNode(expression)
+    })
+    return result
+  }
+
+  ImportExpression(importExpression) {
+    const specifier = this.parseNode(importExpression.source)
+
+    return this.importModule(specifier, this.scriptUrl)
+  }
+
+  /*************************/
+  /*       Generators      */
+  /*************************/
+
+  setGeneratorPrototype(functionAgentData, generatorAgent) {
+    // @NOTE: agent inherits prototype of generator functions for Symbol.toStringTag
+    // @CASE: Object.prototype.toString.call(function* () {}) is '[object GeneratorFunction]'
+    Object.setPrototypeOf(generatorAgent, functionAgentData.isAsync ?
+      this.asyncGeneratorFunctionPrototype : this.generatorFunctionPrototype)
+    // @NOTE: generator objects inherit prototype of their generator function
+    Object.defineProperty(generatorAgent, 'prototype', {
+      value: Object.create(this.getDefaultGeneratorPrototype(functionAgentData)),
+      writable: true
+    })
+    functionAgentData.generatorAgent = generatorAgent
+  }
+
+  wrapWithGenerator(functionAgentData) {
+    return this.createNonConstructor((builtInArguments, calledArguments) => {
+      return this.createGenerator(functionAgentData, builtInArguments, calledArguments)
+    })
+  }
+
+  createGenerator(functionAgentData, builtInArguments, calledArguments) {
+    const envGlobal = this.getEnvironment(this)
+    const envFunction = this.getEnvironment(functionAgentData)
+    const generator = Object.create(this.getGeneratorPrototype(functionAgentData))
+
+    this.setEnvironment(this, envFunction)
+
+    try {
+      // @NOTE: arguments are bound on call, but body is not parsed until first next
+      this.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+      this.generatorStates.set(generator, {
+        name: this.getCallFrameName(functionAgentData, builtInArguments),
+        environment: this.getEnvironment(this),
+        flowState: new FlowState(),
+        async: functionAgentData.isAsync,
+        returnValue: undefined, // value of the latest return called, see reissueGeneratorReturn
+        iterator: this.parseGeneratorBody(functionAgentData.body)
+      })
+    } finally {
+      this.setEnvironment(this, envGlobal)
+    }
+    return generator
+  }
+
+  getGeneratorPrototype(functionAgentData) {
+    const {generatorAgent} = functionAgentData
+    const prototype = generatorAgent && generatorAgent.prototype
+
+    return this.isObject(prototype) ? prototype : this.getDefaultGeneratorPrototype(functionAgentData)
+  }
+
+  getDefaultGeneratorPrototype({isAsync}) {
+    return isAsync ? this.asyncGeneratorPrototype : this.generatorPrototype
+  }
+
+  *parseGeneratorBody(body) {
+    return yield* this.parseGeneratorNode(body)
+  }
+
+  resumeGenerator(generator, method, value) {
+    const generatorState = this.generatorStates.get(generator)
+
+    if (!generatorState) {
+      throw new TypeError(`${method} method called on incompatible receiver ${String(generator)}`)
+    }
+    const envGlobal = this.getEnvironment(this)
+    const currentGeneratorState = this.generatorState
+    const flowState = this.flowState
+    const async = this.async
+    const onHeapFrame = this.onHeapFrame
+    const completionValue = this.completionValue
+
+    if (method === 'return') {
+      generatorState.returnValue = value
+    }
+    // @NOTE: resumed body should run in its own environment,
+    // so that manipulations are attributed to the script it comes from
+    this.setEnvironment(this, generatorState.environment)
+    this.generatorState = generatorState
+    this.flowState = generatorState.flowState
+    this.async = generatorState.async
+    this.onHeapFrame = false
+
+    try {
+      return this.runInCallFrame(generatorState.name, () => {
+        return this.resumeIterator(generatorState.iterator, method, value)
+      })
+    } finally {
+      generatorState.environment = this.getEnvironment(this)
+      this.setEnvironment(this, envGlobal)
+      this.generatorState = currentGeneratorState
+      this.flowState = flowState
+      this.async = async
+      this.onHeapFrame = onHeapFrame
+      this.completionValue = completionValue
+    }
+  }
+
+  isSuspendable(node) {
+    const results = this.onHeapFrame ?
+      this.heapSuspendableNodes : this.suspendableNodes
+
+    return this.searchNodeOnce(node, results, () => this.searchSuspension(node))
+  }
+
+  hasYield(node) {
+    return this.searchNodeOnce(node, this.yieldNodes, () => {
+      return this.searchYield(node, (child) => this.hasYield(child))
+    })
+  }
+
+  searchNodeOnce(node, results, search) {
+    if (!node || typeof node.type !== 'string') {
+      return false
+    }
+    if (!results.has(node)) {
+      results.set(node, search())
+    }
+    return results.get(node)
+  }
+
+  searchSuspension(node) {
+    // @NOTE: function body suspends at call and new as well, so that interpreted callee runs on heap frame
+    // @CASE: return f(n - 1), or new F(n - 1)
+    return (
+      node.type === 'CallExpression' ||
+      node.type === 'NewExpression' ||
+      (this.onHeapFrame && this.isMemberAccess(node)) ||
+      this.searchYield(node, (child) => this.isSuspendable(child))
+    )
+  }
+
+  isMemberAccess(node) {
+    // @NOTE: body on heap frame suspends at member access as well, so that accessor runs on heap frame,
+    // bodies of generator and async functions only suspend at call, which most of member access never is
+    // @CASE: this.parent.depth, or this.parent.depth = depth
+    return node.type === 'MemberExpression' || (
+      node.type === 'AssignmentExpression' &&
+      node.operator === '=' &&
+      node.left.type === 'MemberExpression'
+    )
+  }
+
+  searchYield(node, searchChild) {
+    switch (node.type) {
+      // @NOTE: await suspends async function the same way as yield
+      case 'YieldExpression':
+      case 'AwaitExpression':
+        return true
+
+      // @NOTE: yield never belongs to nested functions
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        return false
+
+      // @NOTE: for await...of awaits each step of iterator
+      // @CASE: for await (const response of responses) { ... }
+      default:
+        return node.await === true || Object.keys(node).some((key) => {
+          return [].concat(node[key]).some(searchChild)
+        })
+    }
+  }
+
+  *parseGeneratorNode(node, options = {}) {
+    if (!this.isSuspendable(node)) {
+      return this.parseNode(node, options)
+    }
+    const parseGenerator = this[`${node.type}Generator`]
+
+    if (!parseGenerator) {
+      return yield* this.parseResolvedNode(node, options)
+    }
+    const result = yield* parseGenerator.call(this, node, options)
+
+    this.handleStatementLabelState(options.label)
+
+    return result
+  }
+
+  *parseResolvedNode(node, options) {
+    const subExpressions = this.getSubExpressions(node)
+
+    if (!subExpressions.some((subExpression) => this.isSuspendable(subExpression))) {
+      // @NOTE: calls could not be resolved beforehand are made natively instead
+      // @CASE: obj[key()]++
+      if (!this.hasYield(node)) {
+        return this.parseNode(node, options)
+      }
+      throw this.createInterpreterError(new SyntaxError(`Unsupported yield in ${node.type}`), node)
+    }
+    yield* this.resolveNodes(subExpressions)
+
+    try {
+      return this.parseNode(node, options)
+    } finally {
+      this.unresolveNodes(subExpressions)
+    }
+  }
+
+  *resolveNodes(nodes) {
+    // @NOTE: nodes should be in the order parsed by original parser,
+    // they are parsed here until the last one containing yield,
+    // then their values are taken by original parser instead of parsing again
+    // @CASE: foo(a(), yield b, c()), a() is called before yield, c() after yield
+    const values = []
+    let lastIndex = -1
+
+    nodes.forEach((node, index) => {
+      if (this.isSuspendable(node)) {
+        lastIndex = index
+      }
+    })
+
+    for (const node of nodes.slice(0, lastIndex + 1)) {
+      values.push(yield* this.parseGeneratorNode(node))
+    }
+    values.forEach((value, index) => {
+      this.resolvedValues.set(nodes[index], value)
+    })
+  }
+
+  unresolveNodes(nodes) {
+    for (const node of nodes) {
+      this.resolvedValues.delete(node)
+    }
+  }
+
+  getSubExpressions(node) {
+    // sub expressions directly parsed by parseNode in parser of each node type
+    switch (node.type) {
+      case 'ExpressionStatement':
+        return [node.expression]
+
+      case 'ReturnStatement':
+      case 'ThrowStatement':
+        return [node.argument]
+
+      case 'UnaryExpression':
+        return (node.operator === 'delete') ?
+          this.getRefSubExpressions(node.argument) : [node.argument]
+
+      case 'BinaryExpression':
+        return [node.left, node.right]
+
+      case 'AssignmentExpression':
+        return this.getAssignSubExpressions(node)
+
+      case 'MemberExpression':
+        return this.getRefSubExpressions(node)
+
+      case 'CallExpression':
+        return [].concat(
+          this.getCalleeSubExpressions(node.callee),
+          this.getArgumentSubExpressions(node.arguments)
+        )
+
+      case 'NewExpression':
+        return [].concat(
+          node.callee,
+          this.getArgumentSubExpressions(node.arguments)
+        )
+
+      case 'TaggedTemplateExpression':
+        return [].concat(
+          this.getCalleeSubExpressions(node.tag),
+          node.quasi.expressions
+        )
+
+      case 'ArrayExpression':
+        return this.getArgumentSubExpressions(
+          node.elements.filter((element) => element)
+        )
+
+      case 'ObjectExpression':
+        return [].concat(
+          ...node.properties.map((property) => this.getPropertySubExpressions(property))
+        )
+
+      case 'SequenceExpression':
+        return node.expressions
+
+      case 'TemplateLiteral':
+        return node.expressions
+
+      case 'ImportExpression':
+        return [node.source]
+
+      default:
+        return []
+    }
+  }
+
+  getRefSubExpressions(expression) {
+    if (expression.type !== 'MemberExpression') {
+      return []
+    }
+    const property = expression.computed ? [expression.property] : []
+
+    return this.isSuper(expression.object) ?
+      property : [expression.object, ...property]
+  }
+
+  getAssignSubExpressions(assignmentExpression) {
+    const {left, right} = assignmentExpression
+
+    if (this.isDestructuringPattern(left)) {
+      return [right]
+    }
+    return [...this.getRefSubExpressions(left), right]
+  }
+
+  getCalleeSubExpressions(callee) {
+    switch (callee.type) {
+      case 'Super':
+        return []
+
+      case 'MemberExpression':
+        return this.getRefSubExpressions(callee)
+
+      case 'ChainExpression':
+        return this.getChainCalleeSubExpressions(callee)
+
+      default:
+        return [callee]
+    }
+  }
+
+  getChainCalleeSubExpressions(chainExpression) {
+    // @NOTE: object of member in parentheses is resolved as object of callee, unless it is within chain,
+    // which could short-circuit outside of chain, then member is parsed when called, after arguments,
+    // chain is resolved as a whole only given it suspends itself, its member called without this
+    // @CASE: (o?.f)(yield), o is resolved, (o?.a.f)(yield), o?.a.f is parsed when called
+    const {expression} = chainExpression
+
+    if (expression.type !== 'MemberExpression') {
+      return [chainExpression]
+    }
+    if (!this.isWithinChain(expression.object)) {
+      return this.getRefSubExpressions(expression)
+    }
+    return this.isSuspendable(chainExpression) ? [chainExpression] : []
+  }
+
+  isWithinChain(node) {
+    switch (node.type) {
+      case 'MemberExpression':
+        return node.optional || this.isWithinChain(node.object)
+
+      case 'CallExpression':
+        return node.optional || this.isWithinChain(node.callee)
+
+      default:
+        return false
+    }
+  }
+
+  getPropertySubExpressions(property) {
+    if (this.isSpreadElement(property)) {
+      return [property.argument]
+    }
+    const key = property.computed ? [property.key] : []
+    // @NOTE: methods are created without parsing their values
+    return this.isMethodProperty(property) ? key : [...key, property.value]
+  }
+
+  getArgumentSubExpressions(calledArguments) {
+    return calledArguments.map((argument) => {
+      return this.isSpreadElement(argument) ? argument.argument : argument
+    })
+  }
+
+  *YieldExpressionGenerator(yieldExpression) {
+    const value = yield* this.parseGeneratorNode(yieldExpression.argument)
+
+    if (yieldExpression.delegate) {
+      return this.async ? yield* this.delegateAsyncIterator(value) : yield* value
+    }
+    return yield value
+  }
+
+  *delegateAsyncIterator(value) {
+    // @NOTE: yield* in async generator awaits each step of async iterator delegated to,
+    // and passes next / throw / return of its caller on to the iterator
+    const iterator = this.getAsyncIterator(value)
+    let method = 'next'
+    let received
+
+    while (true) {
+      const step = this.checkIteratorResult(
+        yield this.createAwaitRequest(iterator[method](received))
+      )
+      let isReturned = true
+
+      if (step.done) {
+        return step.value
+      }
+      try {
+        received = yield step.value
+        method = 'next'
+        isReturned = false
+      } catch (e) {
+        received = e
+        method = 'throw'
+        isReturned = false
+      } finally {
+        if (isReturned) {
+          yield this.createAwaitRequest(this.closeIterator(iterator))
+        }
+      }
+    }
+  }
+
+  *AwaitExpressionGenerator(awaitExpression) {
+    // @NOTE: async function driver resumes with the settled value
+    const value = yield* this.parseGeneratorNode(awaitExpression.argument)
+
+    return yield this.createAwaitRequest(value)
+  }
+
+  createAwaitRequest(value) {
+    return new (this.AwaitRequest)(value)
+  }
+
+  *LogicalExpressionGenerator(logicalExpression) {
+    const left = yield* this.parseGeneratorNode(logicalExpression.left)
+
+    return this.isShortCircuited(logicalExpression.operator, left) ?
+      left : yield* this.parseGeneratorNode(logicalExpression.right)
+  }
+
+  *AssignmentExpressionGenerator(assignmentExpression, options) {
+    if (this.onHeapFrame && this.isMemberAccess(assignmentExpression)) {
+      return yield* this.parseGeneratorMemberAssignment(assignmentExpression)
+    }
+    if (assignmentExpression.operator === '=') {
+      return yield* this.parseResolvedNode(assignmentExpression, options)
+    }
+    // @NOTE: reference of logical or compound assignment is read before right is evaluated
+    // @CASE: a[i] += yield, a[i] is read before suspending
+    const {left, right, operator} = assignmentExpression
+    const refSubExpressions = this.getRefSubExpressions(left)
+    let exp
+
+    yield* this.resolveNodes(refSubExpressions)
+
+    try {
+      exp = this.getRefExp(left)
+    } finally {
+      this.unresolveNodes(refSubExpressions)
+    }
+    const origin = this.getRefValue(exp, left)
+    const isLogical = this.isLogicalAssignment(assignmentExpression)
+
+    if (isLogical && this.isShortCircuited(operator.slice(0, -1), origin)) {
+      return origin
+    }
+    const value = yield* this.parseGeneratorNode(right)
+
+    return this.assignRefValue(
+      exp,
+      isLogical ? value : this.calculateCompoundValue(operator, origin, value),
+      assignmentExpression
+    )
+  }
+
+  *parseGeneratorMemberAssignment(assignmentExpression) {
+    const subExpressions = this.getSubExpressions(assignmentExpression)
+    let exp
+    let value
+
+    yield* this.resolveNodes(subExpressions)
+
+    try {
+      exp = this.getRefExp(assignmentExpression.left)
+      value = this.getAssignValue(assignmentExpression)
+    } finally {
+      this.unresolveNodes(subExpressions)
+    }
+    exp.info = this.getExpInfo(assignmentExpression)
+
+    // @NOTE: checkFlag stays set until setter run on heap frame returns, as '=' operator does
+    const success = this.setCheckFlag(exp)
+
+    try {
+      const {request} = this.accessOnHeap(exp.caller, () => this.handleAssign(exp, value))
+
+      if (request) {
+        yield request
+      }
+      return value
+    } finally {
+      this.resetCheckFlag(success)
+    }
+  }
+
+  *MemberExpressionGenerator(memberExpression) {
+    const subExpressions = this.getSubExpressions(memberExpression)
+    let exp
+
+    yield* this.resolveNodes(subExpressions)
+
+    try {
+      exp = this.getMemberExp(memberExpression)
+    } finally {
+      this.unresolveNodes(subExpressions)
+    }
+    const {value, request} = this.accessOnHeap(exp.caller, () => this.parseMemberExp(exp))
+
+    return request ? (yield request) : value
+  }
+
+  *ChainExpressionGenerator(chainExpression) {
+    try {
+      return yield* this.parseGeneratorNode(chainExpression.expression)
+    } catch (e) {
+      return this.handleShortCircuit(e)
+    }
+  }
+
+  *CallExpressionGenerator(callExpression, options) {
+    if (this.isSuper(callExpression.callee)) {
+      return yield* this.parseResolvedNode(callExpression, options)
+    }
+    const subExpressions = this.getSubExpressions(callExpression)
+    let exp
+
+    yield* this.resolveNodes(subExpressions)
+
+    try {
+      exp = this.getCallExp(callExpression) // {caller, callee}
+    } finally {
+      this.unresolveNodes(subExpressions)
+    }
+    exp.info = this.getExpInfo(callExpression)
+
+    this.callStack.setLoc(callExpression.loc)
+
+    if (this.isDirectEval(callExpression, exp.callee.method)) {
+      return this.parseDirectEval(exp.callee.arguments[0], exp.info.loc)
+    }
+    return yield* this.parseGeneratorCallExp(exp)
+  }
+
+  *parseGeneratorCallExp(exp) {
+    // @NOTE: checkFlag stays set until callee run on heap frame returns, as parseCallExp does
+    const success = this.setCheckFlag(exp)
+
+    try {
+      const calledMethod = this.getCalledMethod(exp)
+      const request = this.getCallRequest(calledMethod, exp)
+
+      if (request) {
+        return yield request
+      }
+      // @NOTE: native function called on heap frame is called by runCallFrames instead,
+      // so that body of caller is not suspended on native stack under agents it calls
+      // @CASE: function f(n) { [n].forEach((m) => m && f(m - 1)) }
+      if (this.onHeapFrame && !this.codeEvaluators.has(calledMethod)) {
+        return yield this.createNativeCallRequest(calledMethod, exp)
+      }
+      return this.callMethod(calledMethod, exp)
+    } finally {
+      this.resetCheckFlag(success)
+    }
+  }
+
+  *NewExpressionGenerator(newExpression) {
+    const subExpressions = this.getSubExpressions(newExpression)
+    let CalledConstructor
+    let calledArguments
+
+    yield* this.resolveNodes(subExpressions)
+
+    try {
+      CalledConstructor = this.parseNode(newExpression.callee)
+      calledArguments = this.parseArguments(newExpression.arguments)
+    } finally {
+      this.unresolveNodes(subExpressions)
+    }
+    const request = this.createConstructRequest(
+      CalledConstructor,
+      calledArguments,
+      CalledConstructor
+    )
+    if (!request) {
+      return this.parseNewExp(newExpression, CalledConstructor, calledArguments)
+    }
+    this.callStack.setLoc(newExpression.loc)
+
+    return yield request
+  }
+
+  *ConditionalExpressionGenerator(conditionalExpression) {
+    const test = yield* this.parseGeneratorNode(conditionalExpression.test)
+
+    return test ?
+      yield* this.parseGeneratorNode(conditionalExpression.consequent) :
+      yield* this.parseGeneratorNode(conditionalExpression.alternate)
+  }
+
+  *VariableDeclarationGenerator(variableDeclaration) {
+    const kind = variableDeclaration.kind
+
+    for (const variableDeclarator of variableDeclaration.declarations) {
+      const init = [variableDeclarator.init]
+
+      yield* this.resolveNodes(init)
+
+      try {
+        this.VariableDeclarator(variableDeclarator, kind)
+      } finally {
+        this.unresolveNodes(init)
+      }
+    }
+  }
+
+  *BlockStatementGenerator(blockStatement) {
+    const body = blockStatement.body
+
+    return yield* this.handleGeneratorBlockClosure(blockStatement, body, () => {
+      return this.parseGeneratorStatements(body)
+    })
+  }
+
+  *handleGeneratorBlockClosure(scope, statements, parse) {
+    const hoistings = this.getBlockHoistings(scope, statements)
+
+    if (hoistings.length === 0) {
+      return yield* parse()
+    }
+    this.closureStack.createBlockClosure(scope)
+
+    try {
+      this.setBlockHoistings(hoistings)
+
+      return yield* parse()
+    } finally {
+      this.closureStack.removeLatestClosure()
+    }
+  }
+
+  *parseGeneratorStatements(statements) {
+    const nonHoistingStatements =
+      this.parseHoistingStatements(statements)
+    let result
+
+    for (const statement of nonHoistingStatements) {
+      if (!this.skipUnsupportedStatement(statement)) {
+        this.setStatementLoc(statement)
+        result = yield* this.parseGeneratorNode(statement)
+      }
+      if (this.flowState.isEitherState()) {
+        break
+      }
+    }
+    return result
+  }
+
+  *WithStatementGenerator(withStatement) {
+    const object = this.parseWithObject(withStatement.object)
+
+    this.closureStack.createObjectClosure(object)
+
+    try {
+      return yield* this.parseGeneratorNode(withStatement.body)
+    } finally {
+      this.closureStack.removeLatestClosure()
+    }
+  }
+
+  *LabeledStatementGenerator(labeledStatement) {
+    const label =
+      this.getNameFromPattern(labeledStatement.label)
+
+    return yield* this.parseGeneratorNode(labeledStatement.body, {label})
+  }
+
+  *IfStatementGenerator(ifStatement) {
+    const testPass = yield* this.parseGeneratorNode(ifStatement.test)
+
+    return testPass ?
+      yield* this.parseGeneratorNode(ifStatement.consequent) :
+      yield* this.parseGeneratorNode(ifStatement.alternate)
+  }
+
+  *SwitchStatementGenerator(switchStatement) {
+    const discriminant = yield* this.parseGeneratorNode(switchStatement.discriminant)
+    const statements = this.filterSubStatements(switchStatement)
+    const result = yield* this.handleGeneratorBlockClosure(switchStatement, statements, () => {
+      return this.parseGeneratorSwitchCases(switchStatement.cases, discriminant)
+    })
+
+    this.flowState.unset(FlowState.BREAK)
+
+    return result
+  }
+
+  *parseGeneratorSwitchCases(switchCases, discriminant) {
+    let matchedIndex = this.getDefaultCaseIndex(switchCases)
+
+    for (const [index, switchCase] of switchCases.entries()) {
+      if (
+        switchCase.test !== null &&
+        (yield* this.parseGeneratorNode(switchCase.test)) === discriminant
+      ) {
+        matchedIndex = index
+        break
+      }
+    }
+    if (matchedIndex < 0) {
+      return undefined
+    }
+    return yield* this.parseGeneratorStatements(switchCases.slice(matchedIndex))
+  }
+
+  *SwitchCaseGenerator(switchCase) {
+    return yield* this.parseGeneratorStatements(switchCase.consequent)
+  }
+
+  *TryStatementGenerator(tryStatement) {
+    const result = {}
+    let isReturned = true
+
+    try {
+      Object.assign(result, yield* this.handleGeneratorTryBlock(tryStatement))
+      isReturned = false
+    } catch (e) {
+      isReturned = false
+      throw e
+    } finally {
+      Object.assign(result, yield* this.handleGeneratorExceptionBlock(tryStatement.finalizer))
+
+      // @NOTE: finally block run by generator.return() called in try block or catch clause
+      if (isReturned) {
+        return this.reissueGeneratorReturn(result)
+      }
+    }
+    return this.handleExceptionResult(result)
+  }
+
+  *handleGeneratorTryBlock({block, handler}) {
+    try {
+      return yield* this.handleGeneratorExceptionBlock(block)
+    } catch (e) {
+      this.rethrowInterpreterError(e)
+      return yield* this.handleGeneratorCatchClause(handler, e)
+    }
+  }
+
+  reissueGeneratorReturn(result = {}) {
+    // @NOTE: generator.return() runs finally blocks by return of iterators parsing body,
+    // which callers delegating by yield* take as a value once finally block yields,
+    // so that return is re-issued by flow state after finally block completes,
+    // unless finally block returns itself
+    // @CASE: it.return(3) given it of function* () { try { yield 1 } finally { yield 2 } } suspended at yield 1
+    return this.handleExceptionResult(
+      Object.assign({value: this.generatorState.returnValue}, result)
+    )
+  }
+
+  *handleGeneratorExceptionBlock(block) {
+    const value = yield* this.parseGeneratorNode(block)
+
+    return this.getExceptionBlockResult(value)
+  }
+
+  *handleGeneratorCatchClause(catchClause, error) {
+    if (catchClause) {
+      try {
+        return yield* this.parseGeneratorCatchClause(catchClause, error)
+      } catch (e) {
+        this.rethrowInterpreterError(e)
+        return {error: e}
+      }
+    }
+    return {error}
+  }
+
+  *parseGeneratorCatchClause(catchClause, error) {
+    this.captureErrorStack(error)
+    this.closureStack.createBlockClosure(catchClause)
+
+    try {
+      this.setCatchError(catchClause.param, error)
+
+      return yield* this.handleGeneratorExceptionBlock(catchClause.body)
+    } finally {
+      this.closureStack.removeLatestClosure()
+    }
+  }
+
+  *WhileStatementGenerator(whileStatement, {label} = {}) {
+    let result
+
+    while (yield* this.parseGeneratorNode(whileStatement.test)) {
+      result = yield* this.parseGeneratorNode(whileStatement.body)
+
+      if (this.isLoopNeededToBreak(label)) {
+        break
+      }
+    }
+    return result
+  }
+
+  *DoWhileStatementGenerator(doWhileStatement, {label} = {}) {
+    let result = yield* this.parseGeneratorNode(doWhileStatement.body)
+
+    if (!this.isLoopNeededToBreak(label)) {
+      result = yield* this.WhileStatementGenerator(doWhileStatement, {label})
+    }
+    return result
+  }
+
+  *ForStatementGenerator(forStatement, {label} = {}) {
+    const init = forStatement.init
+    const isPerIteration = this.isLexicalDeclaration(init)
+
+    return yield* this.handleGeneratorBlockClosure(forStatement, [init], () => {
+      return this.parseGeneratorForStatement(forStatement, label, isPerIteration)
+    })
+  }
+
+  *parseGeneratorForStatement(forStatement, label, isPerIteration) {
+    let result
+
+    for (
+      yield* this.parseGeneratorNode(forStatement.init);
+      forStatement.test === null || (yield* this.parseGeneratorNode(forStatement.test));
+      yield* this.parseGeneratorNode(forStatement.update)
+    ) {
+      result = yield* this.parseGeneratorNode(forStatement.body)
+
+      if (this.isLoopNeededToBreak(label)) {
+        break
+      }
+      if (isPerIteration) {
+        this.closureStack.copyLatestClosure()
+      }
+    }
+    return result
+  }
+
+  *ForInStatementGenerator(forInStatement, {label} = {}) {
+    const left = this.parseIterator(forInStatement.left)
+    const right = yield* this.parseGeneratorNode(forInStatement.right)
+    let result
+
+    for (const key in right) {
+      result = yield* this.parseGeneratorIteration(forInStatement, left, key)
+
+      if (this.isLoopNeededToBreak(label)) {
+        break
+      }
+    }
+    return result
+  }
+
+  *ForOfStatementGenerator(forOfStatement, {label} = {}) {
+    if (forOfStatement.await) {
+      return yield* this.parseGeneratorForAwait(forOfStatement, label)
+    }
+    const left = this.parseIterator(forOfStatement.left)
+    const right = yield* this.parseGeneratorNode(forOfStatement.right)
+    const iterator = this.getIterator(right)
+    let result
+
+    for (
+      let step = this.stepIterator(iterator);
+      !step.done;
+      step = this.stepIterator(iterator)
+    ) {
+      let isReturned = true
+
+      try {
+        result = yield* this.parseGeneratorIteration(forOfStatement, left, step.value)
+        isReturned = false
+      } catch (e) {
+        isReturned = false
+        try {
+          this.closeIterator(iterator)
+        } catch (ignored) {}
+        throw e
+      } finally {
+        // @NOTE: iterator should also be closed given generator.return() called in loop
+        if (isReturned) {
+          this.closeIterator(iterator)
+        }
+      }
+      if (this.isLoopNeededToBreak(label)) {
+        this.closeIterator(iterator)
+        break
+      }
+    }
+    return result
+  }
+
+  *parseGeneratorForAwait(forOfStatement, label) {
+    const left = this.parseIterator(forOfStatement.left)
+    const right = yield* this.parseGeneratorNode(forOfStatement.right)
+    const iterator = this.getAsyncIterator(right)
+    let result
+
+    for (
+      let step = this.checkIteratorResult(yield this.createAwaitRequest(iterator.next()));
+      !step.done;
+      step = this.checkIteratorResult(yield this.createAwaitRequest(iterator.next()))
+    ) {
+      let isReturned = true
+
+      try {
+        result = yield* this.parseGeneratorIteration(forOfStatement, left, step.value)
+        isReturned = false
+      } catch (e) {
+        isReturned = false
+        try {
+          yield this.createAwaitRequest(this.closeIterator(iterator))
+        } catch (ignored) {}
+        throw e
+      } finally {
+        // @NOTE: iterator should also be closed given return called on async generator in loop,
+        // which is re-issued after awaiting iterator closed, see reissueGeneratorReturn
+        if (isReturned) {
+          yield this.createAwaitRequest(this.closeIterator(iterator))
+
+          return this.reissueGeneratorReturn()
+        }
+      }
+      if (this.isLoopNeededToBreak(label)) {
+        yield this.createAwaitRequest(this.closeIterator(iterator))
+        break
+      }
+    }
+    return result
+  }
+
+  getAsyncIterator(value) {
+    const getAsyncIterator =
+      (value === undefined || value === null) ? undefined : value[Symbol.asyncIterator]
+
+    if (typeof getAsyncIterator !== 'function') {
+      return this.createAsyncFromSyncIterator(this.getIterator(value))
+    }
+    return getAsyncIterator.call(value)
+  }
+
+  createAsyncFromSyncIterator(iterator) {
+    // @NOTE: values from sync iterator are awaited before bound
+    // @CASE: for await (const value of [promise1, promise2]) { ... }
+    const awaitValue = ({value, done}) => {
+      return Promise.resolve(value).then((value) => ({value, done}))
+    }
+    return {
+      next: () => {
+        return new Promise((resolve) => {
+          resolve(this.stepIterator(iterator))
+        }).then(awaitValue)
+      },
+      return: () => {
+        return new Promise((resolve) => {
+          resolve(this.closeIterator(iterator))
+        })
+      }
+    }
+  }
+
+  *parseGeneratorIteration(iteration, pattern, value) {
+    const {left, body} = iteration
+
+    if (!this.isLexicalDeclaration(left)) {
+      this.updatePatternVariables(pattern, value)
+
+      return yield* this.parseGeneratorNode(body)
+    }
+    return yield* this.handleGeneratorBlockClosure(iteration, [left], () => {
+      this.setPatternVariables(pattern, value, left.kind)
+
+      return this.parseGeneratorNode(body)
+    })
+  }
+
+  /*************************/
+  /*    Async Functions    */
+  /*************************/
+
+  wrapWithAsync(functionAgentData) {
+    if (functionAgentData.isGenerator) {
+      return this.wrapWithAsyncGenerator(functionAgentData)
+    }
+    return this.createNonConstructor((builtInArguments, calledArguments) => {
+      return this.callAsync(functionAgentData, builtInArguments, calledArguments)
+    })
+  }
+
+  callAsync(functionAgentData, builtInArguments, calledArguments) {
+    return new Promise((resolve, reject) => {
+      // @NOTE: body of async function is run as a generator suspended at each await,
+      // error thrown while binding arguments rejects the returned promise
+      const generator =
+        this.createGenerator(functionAgentData, builtInArguments, calledArguments)
+
+      this.resumeAsync(generator, 'next', undefined, {resolve, reject})
+    })
+  }
+
+  resumeAsync(generator, method, value, settlers) {
+    let step
+
+    try {
+      // @NOTE: resumeGenerator restores scriptUrl and closureStack of async function,
+      // so that manipulations after await are attributed to the script it comes from
+      step = this.resumeGenerator(generator, method, value)
+    } catch (e) {
+      // @NOTE: tracker failure is left uncaught rather than rejecting promise to page
+      this.rethrowInterpreterError(e)
+      settlers.reject(e)
+      return
+    }
+    if (step.done) {
+      settlers.resolve(step.value)
+    } else {
+      Promise.resolve(step.value.value).then(
+        (result) => this.resumeAsync(generator, 'next', result, settlers),
+        (error) => this.resumeAsync(generator, 'throw', error, settlers)
+      )
+    }
+  }
+
+  /*************************/
+  /*    Async Generators   */
+  /*************************/
+
+  wrapWithAsyncGenerator(functionAgentData) {
+    return this.createNonConstructor((builtInArguments, calledArguments) => {
+      const generator =
+        this.createGenerator(functionAgentData, builtInArguments, calledArguments)
+
+      this.asyncGeneratorQueues.set(generator, [])
+
+      return generator
+    })
+  }
+
+  enqueueAsyncGenerator(generator, method, value) {
+    return new Promise((resolve, reject) => {
+      const queue = this.asyncGeneratorQueues.get(generator)
+
+      if (!queue) {
+        throw new TypeError(`${method} method called on incompatible receiver ${String(generator)}`)
+      }
+      // @NOTE: requests are run one by one, each after the previous one settled
+      // @CASE: gen.next(); gen.next() called without awaiting the first one
+      queue.push({method, value, resolve, reject})
+
+      if (queue.length === 1) {
+        this.resumeAsyncGenerator(generator, queue)
+      }
+    })
+  }
+
+  resumeAsyncGenerator(generator, queue) {
+    const {method, value} = queue[0]
+
+    if (method !== 'return') {
+      this.stepAsyncGenerator(generator, queue, method, value)
+      return
+    }
+    // @NOTE: value passed to return is awaited before generator returns
+    Promise.resolve(value).then(
+      (result) => this.stepAsyncGenerator(generator, queue, 'return', result),
+      (error) => this.stepAsyncGenerator(generator, queue, 'throw', error)
+    )
+  }
+
+  stepAsyncGenerator(generator, queue, method, value) {
+    let step
+
+    try {
+      step = this.resumeGenerator(generator, method, value)
+    } catch (e) {
+      // @NOTE: tracker failure is left uncaught rather than rejecting promise to page
+      this.rethrowInterpreterError(e)
+      this.settleAsyncGenerator(generator, queue, 'reject', e)
+      return
+    }
+    if (step.value instanceof this.AwaitRequest) {
+      Promise.resolve(step.value.value).then(
+        (result) => this.stepAsyncGenerator(generator, queue, 'next', result),
+        (error) => this.stepAsyncGenerator(generator, queue, 'throw', error)
+      )
+      return
+    }
+    // @NOTE: values yielded or returned are awaited before passed to caller,
+    // rejected value yielded is thrown at yield
+    Promise.resolve(step.value).then(
+      (result) => {
+        this.settleAsyncGenerator(generator, queue, 'resolve', {value: result, done: step.done})
+      },
+      (error) => {
+        if (step.done) {
+          this.settleAsyncGenerator(generator, queue, 'reject', error)
+        } else {
+          this.stepAsyncGenerator(generator, queue, 'throw', error)
+        }
+      }
+    )
+  }
+
+  settleAsyncGenerator(generator, queue, settler, result) {
+    queue.shift()[settler](result)
+
+    if (queue.length > 0) {
+      this.resumeAsyncGenerator(generator, queue)
+    }
+  }
+
+  /*************************/
+  /*        Modules        */
+  /*************************/
+
+  importModule(specifier, referrerUrl) {
+    return new Promise((resolve) => {
+      const url = this.moduleLoader.resolve(String(specifier), referrerUrl)
+
+      resolve(this.moduleLoader.loadModule(url))
+    }).then((record) => this.instantiateModule(record))
+  }
+
+  runModuleScript(sourceText, url) {
+    return this.moduleLoader.loadInlineModule(url, sourceText)
+      .then((record) => this.instantiateModule(record))
+  }
+
+  instantiateModule(record) {
+    this.linkModule(record)
+    this.evaluateModule(record)
+
+    return this.getModuleNamespace(record)
+  }
+
+  linkModule(record) {
+    record.checkError()
+
+    if (record.status !== ModuleRecord.UNLINKED) {
+      // @NOTE: module being linked is reached again through cyclic imports
+      return
+    }
+    record.status = ModuleRecord.LINKING
+
+    try {
+      record.environment = this.createModuleEnvironment(record)
+
+      for (const requestedModule of record.requestedModules.values()) {
+        this.linkModule(requestedModule)
+      }
+      this.runInModuleEnvironment(record, () => {
+        this.initializeModuleEnvironment(record)
+      })
+    } catch (e) {
+      record.setError(e)
+      throw e
+    }
+    record.status = ModuleRecord.LINKED
+  }
+
+  createModuleEnvironment(record) {
+    // @NOTE: module code runs in its own closure on top of global ones,
+    // where this is undefined and import.meta refers to module url,
+    // and module code is always strict mode code
+    const closureStack = this.closureStack.getRootClone()
+
+    closureStack.createClosure(record.ast)
+    closureStack.set('this', undefined)
+    closureStack.set('import.meta', Object.assign(Object.create(null), {
+      url: record.url
+    }))
+    return {
+      scriptUrl: record.url,
+      sourceText: record.sourceText,
+      closureStack,
+      strict: true
+    }
+  }
+
+  runInModuleEnvironment(record, parse) {
+    return this.runInEnvironment(record.environment, parse)
+  }
+
+  runInEnvironment(environment, parse) {
+    const envGlobal = this.getEnvironment(this)
+
+    this.setEnvironment(this, environment)
+
+    try {
+      return parse()
+    } finally {
+      this.setEnvironment(this, envGlobal)
+    }
+  }
+
+  initializeModuleEnvironment(record) {
+    this.resolveScopes(record.ast, true)
+
+    const statements = record.ast.body.map((statement) => {
+      return this.unwrapExportDeclaration(statement)
+    })
+    this.searchTopLevelAwaits(statements)
+    this.handleHoisting(statements)
+    this.handleBlockHoisting(statements)
+    this.bindImports(record)
+
+    // @NOTE: functions are instantiated before any module is evaluated,
+    // so that they are callable from modules importing them cyclically
+    record.statements = this.parseHoistingStatements(statements)
+  }
+
+  searchTopLevelAwaits(statements) {
+    // @NOTE: module is evaluated synchronously, statements awaiting at its top level
+    // are unsupported syntax, including those awaiting in blocks of them
+    // @CASE: const data = await load(), or if (a) { await load() }
+    for (const statement of statements) {
+      const awaitNode = this.findTopLevelAwait(statement)
+
+      if (awaitNode && !this.getUnsupportedNode(statement)) {
+        this.unsupportedNodes.set(statement, awaitNode)
+      }
+    }
+  }
+
+  findTopLevelAwait(node) {
+    // @NOTE: yield is never at top level, hasYield finds await outside functions there
+    if (!this.hasYield(node)) {
+      return undefined
+    }
+    if (node.type === 'AwaitExpression' || node.await === true) {
+      return node
+    }
+    for (const key of Object.keys(node)) {
+      for (const child of [].concat(node[key])) {
+        const awaitNode = this.findTopLevelAwait(child)
+
+        if (awaitNode) {
+          return awaitNode
+        }
+      }
+    }
+    return undefined
+  }
+
+  unwrapExportDeclaration(statement) {
+    // @NOTE: exported declarations are hoisted and evaluated as usual ones
+    switch (statement.type) {
+      case 'ExportNamedDeclaration':
+        return statement.declaration || statement
+
+      case 'ExportDefaultDeclaration':
+        return this.isNamedDeclaration(statement.declaration) ?
+          statement.declaration : statement
+
+      default:
+        return statement
+    }
+  }
+
+  isNamedDeclaration(node) {
+    return (
+      (node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') &&
+      !!node.id
+    )
+  }
+
+  bindImports(record) {
+    for (const {specifier, importName, localName} of this.getModuleEntries(record).imports) {
+      const requestedModule = record.requestedModules.get(specifier)
+      const resolution = (importName === '*') ?
+        {record: requestedModule, bindingName: null} :
+        this.resolveImport(requestedModule, importName, specifier)
+
+      this.closureStack.bind(localName, this.createBindingGetter(resolution))
+    }
+  }
+
+  resolveImport(requestedModule, importName, specifier) {
+    const resolution = this.resolveExport(requestedModule, importName)
+
+    if (resolution === ModuleRecord.AMBIGUOUS) {
+      throw new SyntaxError(`The requested module '${specifier}' contains conflicting star exports for name '${importName}'`)
+    }
+    if (!resolution) {
+      throw new SyntaxError(`The requested module '${specifier}' does not provide an export named '${importName}'`)
+    }
+    return resolution
+  }
+
+  createBindingGetter({record, bindingName}) {
+    // @NOTE: bindings are read on each access, thus always live,
+    // and namespace is created lazily in case of cyclic re-exports
+    if (bindingName === null) {
+      return () => this.getModuleNamespace(record)
+    }
+    return () => record.environment.closureStack.get(bindingName)
+  }
+
+  getModuleEntries(record) {
+    if (!record.entries) {
+      record.entries = this.parseModuleEntries(record.ast.body)
+    }
+    return record.entries
+  }
+
+  parseModuleEntries(statements) {
+    const entries = {
+      imports: [], // {specifier, importName, localName}
+      localExports: new Map(), // exportName => localName
+      indirectExports: new Map(), // exportName => {specifier, importName}
+      starExports: [] // specifiers
+    }
+    for (const statement of statements) {
+      switch (statement.type) {
+        case 'ImportDeclaration':
+          entries.imports.push(...this.parseImportEntries(statement))
+          break
+
+        case 'ExportNamedDeclaration':
+          this.parseExportEntries(statement, entries)
+          break
+
+        case 'ExportDefaultDeclaration':
+          entries.localExports.set('default', this.isNamedDeclaration(statement.declaration) ?
+            this.getNameFromPattern(statement.declaration.id) : '*default*')
+          break
+
+        case 'ExportAllDeclaration':
+          if (statement.exported) {
+            // @CASE: export * as ns from 'module'
+            entries.indirectExports.set(this.getModuleExportName(statement.exported), {
+              specifier: statement.source.value,
+              importName: '*'
+            })
+          } else {
+            entries.starExports.push(statement.source.value)
+          }
+          break
+
+        default:
+          break
+      }
+    }
+    return entries
+  }
+
+  parseImportEntries(importDeclaration) {
+    const specifier = importDeclaration.source.value
+
+    return importDeclaration.specifiers.map((importSpecifier) => {
+      const localName = importSpecifier.local.name
+
+      switch (importSpecifier.type) {
+        case 'ImportDefaultSpecifier':
+          return {specifier, importName: 'default', localName}
+
+        case 'ImportNamespaceSpecifier':
+          return {specifier, importName: '*', localName}
+
+        default:
+          return {
+            specifier,
+            importName: this.getModuleExportName(importSpecifier.imported),
+            localName
+          }
+      }
+    })
+  }
+
+  parseExportEntries(exportNamedDeclaration, {localExports, indirectExports}) {
+    const {declaration, specifiers, source} = exportNamedDeclaration
+
+    if (declaration) {
+      for (const name of this.getDeclarationNames(declaration)) {
+        localExports.set(name, name)
+      }
+    }
+    for (const exportSpecifier of specifiers) {
+      const exportName = this.getModuleExportName(exportSpecifier.exported)
+      const localName = this.getModuleExportName(exportSpecifier.local)
+
+      if (source) {
+        // @CASE: export {a as b} from 'module'
+        indirectExports.set(exportName, {specifier: source.value, importName: localName})
+      } else {
+        localExports.set(exportName, localName)
+      }
+    }
+  }
+
+  getDeclarationNames(declaration) {
+    if (declaration.type === 'VariableDeclaration') {
+      return this.getNameFromVariableDeclaration(declaration)
+    }
+    return [this.getNameFromPattern(declaration.id)]
+  }
+
+  getModuleExportName(node) {
+    // @CASE: export {a as 'b-c'}
+    return (node.type === 'Literal') ? node.value : node.name
+  }
+
+  resolveExport(record, exportName, resolveSet = []) {
+    const {localExports, indirectExports} = this.getModuleEntries(record)
+
+    // @NOTE: circular re-exports resolve to nothing
+    if (resolveSet.some((resolved) => {
+      return resolved.record === record && resolved.exportName === exportName
+    })) {
+      return null
+    }
+    resolveSet.push({record, exportName})
+
+    if (localExports.has(exportName)) {
+      return {record, bindingName: localExports.get(exportName)}
+    }
+    if (indirectExports.has(exportName)) {
+      const {specifier, importName} = indirectExports.get(exportName)
+      const requestedModule = record.requestedModules.get(specifier)
+
+      return (importName === '*') ?
+        {record: requestedModule, bindingName: null} :
+        this.resolveExport(requestedModule, importName, resolveSet)
+    }
+    // @NOTE: export * never re-exports default
+    if (exportName === 'default') {
+      return null
+    }
+    return this.resolveStarExport(record, exportName, resolveSet)
+  }
+
+  resolveStarExport(record, exportName, resolveSet) {
+    let resolution = null
+
+    for (const specifier of this.getModuleEntries(record).starExports) {
+      const requestedModule = record.requestedModules.get(specifier)
+      const starResolution = this.resolveExport(requestedModule, exportName, resolveSet)
+
+      if (starResolution === ModuleRecord.AMBIGUOUS) {
+        return starResolution
+      }
+      if (starResolution) {
+        // @NOTE: same name from different bindings through export * is ambiguous
+        if (resolution && (
+          resolution.record !== starResolution.record ||
+          resolution.bindingName !== starResolution.bindingName
+        )) {
+          return ModuleRecord.AMBIGUOUS
+        }
+        resolution = starResolution
+      }
+    }
+    return resolution
+  }
+
+  evaluateModule(record) {
+    record.checkError()
+
+    if (record.status !== ModuleRecord.LINKED) {
+      // @NOTE: module being evaluated is reached again through cyclic imports,
+      // and it is left evaluating until its requested modules are evaluated
+      return
+    }
+    record.status = ModuleRecord.EVALUATING
+
+    try {
+      for (const requestedModule of record.requestedModules.values()) {
+        this.evaluateModule(requestedModule)
+      }
+      this.runInModuleEnvironment(record, () => {
+        this.runInCallFrame('', () => {
+          this.parseNonHoistingStatements(record.statements)
+        })
+      })
+    } catch (e) {
+      record.setError(e)
+      throw e
+    }
+    record.status = ModuleRecord.EVALUATED
+  }
+
+  getModuleNamespace(record) {
+    if (!record.namespace) {
+      record.namespace = this.createModuleNamespace(record)
+    }
+    return record.namespace
+  }
+
+  createModuleNamespace(record) {
+    const namespace = Object.create(null)
+
+    for (const name of this.getExportedNames(record).sort()) {
+      const resolution = this.resolveExport(record, name)
+
+      // @NOTE: ambiguous names are left out of namespace
+      if (resolution && resolution !== ModuleRecord.AMBIGUOUS) {
+        Object.defineProperty(namespace, name, {
+          get: this.createBindingGetter(resolution),
+          enumerable: true
+        })
+      }
+    }
+    Object.defineProperty(namespace, Symbol.toStringTag, {value: 'Module'})
+
+    return Object.preventExtensions(namespace)
+  }
+
+  getExportedNames(record, exportStarSet = []) {
+    if (exportStarSet.indexOf(record) >= 0) {
+      return []
+    }
+    exportStarSet.push(record)
+
+    const {localExports, indirectExports, starExports} = this.getModuleEntries(record)
+    const names = [...localExports.keys(), ...indirectExports.keys()]
+
+    for (const specifier of starExports) {
+      const requestedModule = record.requestedModules.get(specifier)
+
+      for (const name of this.getExportedNames(requestedModule, exportStarSet)) {
+        if (name !== 'default' && names.indexOf(name) < 0) {
+          names.push(name)
+        }
+      }
+    }
+    return names
+  }
+
+  ImportDeclaration() {
+    // @NOTE: imported bindings had been linked before module evaluated
+  }
+
+  ExportNamedDeclaration() {
+    // @NOTE: exported declarations had been unwrapped by unwrapExportDeclaration,
+    // export lists left bind nothing while evaluated
+  }
+
+  ExportAllDeclaration() {
+  }
+
+  ExportDefaultDeclaration(exportDefaultDeclaration) {
+    const declaration = exportDefaultDeclaration.declaration
+
+    if (declaration.type === 'FunctionDeclaration') {
+      // @NOTE: anonymous default function is hoisted by isFunctionHoisting
+      this.setVariables('*default*', this.createFunctionAgent(declaration, 'default'))
+    } else {
+      // @NOTE: anonymous default function or class is named 'default'
+      // @CASE: export default class {}
+      const value = (declaration.type === 'ClassDeclaration') ?
+        this.createClassAgent(declaration, 'default') :
+        this.parseNode(declaration, {name: 'default'})
+
+      this.setVariables('*default*', value, 'let')
+    }
+  }
+
+  /*************************/
+  /*      Dynamic Code     */
+  /*************************/
+
+  parseDirectEval(code, loc) {
+    // @NOTE: direct eval runs in caller scope and inherits strictness of caller
+    // @CASE: function f() { var a = 1; return eval('a') } returns 1
+    if (typeof code !== 'string') {
+      return code
+    }
+    return this.evaluateCode(
+      code,
+      this.getVirtualScriptUrl(code, 'eval', loc),
+      this.closureStack.getClone(),
+      this.strict
+    )
+  }
+
+  parseIndirectEval(code, loc) {
+    // @NOTE: eval returns argument not string as is
+    if (typeof code !== 'string') {
+      return code
+    }
+    return this.evaluateCode(code, this.getVirtualScriptUrl(code, 'eval', loc))
+  }
+
+  createDynamicFunction(calledArguments, loc) {
+    // @NOTE: functions created from strings are defined in global scope,
+    // source text is composed the same way as native Function does
+    // @CASE: new Function('a', 'b', 'return a + b')
+    const params = calledArguments.slice(0, -1).map(String).join(',')
+    const body = calledArguments.length ?
+      String(calledArguments[calledArguments.length - 1]) : ''
+    const code = `(function anonymous(${params}\n) {\n${body}\n})`
+    const program = this.parseCode(code)
+
+    if (!this.isDynamicFunction(program)) {
+      throw new SyntaxError('Arguments of Function are not valid parameters and body')
     }
+    return this.runInEnvironment({
+      scriptUrl: this.getVirtualScriptUrl(code, 'Function', loc),
+      sourceText: code,
+      closureStack: this.closureStack.getRootClone(),
+      strict: false
+    }, () => this.createFunctionAgent(program.body[0].expression, 'anonymous'))
   }
 
-  UpdateExpression(updateExpression) {
-    // @NOTE: '++' != '+='
-    // @CASE: "0"++ -> 1, "0" += 1 -> "01"
-    const origin = this.parseNode(updateExpression.argument)
-    const update = this.updateOperators[updateExpression.operator](origin)
+  isDynamicFunction(program) {
+    // @NOTE: params or body closing the function early leave other statements
+    // @CASE: new Function('}); alert(1); (function () {')
+    return (
+      program.body.length === 1 &&
+      program.body[0].type === 'ExpressionStatement' &&
+      program.body[0].expression.type === 'FunctionExpression'
+    )
+  }
 
-    this.setUpdateValue(updateExpression.argument, update)
+  createTimerHandler(handler, kind, loc) {
+    // @NOTE: string handler of timer is evaluated in global scope each time timer fires
+    // @CASE: setTimeout('el.style.color = "red"', 100)
+    if (typeof handler === 'function') {
+      return handler
+    }
+    const code = String(handler)
+    const scriptUrl = this.getVirtualScriptUrl(code, kind, loc)
 
-    return updateExpression.prefix ? update : origin
+    return () => {
+      this.evaluateCode(code, scriptUrl)
+    }
   }
 
-  setUpdateValue(argument, update) {
-    const exp = this.getRefExp(argument)
-    const operation = this.assignmentOperators['=']
+  evaluateCode(code, scriptUrl, closureStack = this.closureStack.getRootClone(), strict = false) {
+    const program = this.parseCode(code)
 
-    operation(exp, update)
+    return this.runInEnvironment({
+      scriptUrl,
+      sourceText: code,
+      closureStack,
+      strict: strict || this.hasUseStrictDirective(program.body)
+    }, () => this.runInCallFrame('eval', () => this.parseEvalCode(program.body)))
   }
 
-  BinaryExpression(binaryExpression) {
-    const left = this.parseNode(binaryExpression.left)
-    const right = this.parseNode(binaryExpression.right)
-    const operation = this.binaryOperators[binaryExpression.operator]
-
-    return operation(left, right)
+  parseCode(code) {
+    // @NOTE: errors of esprima are not SyntaxError, which interpreted code might catch
+    // @CASE: try { eval('{') } catch (e) { e instanceof SyntaxError }
+    try {
+      return this.esprima.parse(code, {loc: true, range: true})
+    } catch (e) {
+      throw new SyntaxError(e.description)
+    }
   }
 
-  AssignmentExpression(assignmentExpression) {
-    const exp = this.getRefExp(assignmentExpression.left) // {callee, caller}
-    const value = this.getAssignValue(assignmentExpression)
-    const operation = this.assignmentOperators['=']
+  getVirtualScriptUrl(code, kind, loc) {
+    // @NOTE: code evaluated is attributed to a virtual script named after where it is evaluated,
+    // unless it names itself by sourceURL comment
+    // @CASE: eval('...\n//# sourceURL=widget.js') is attributed to widget.js
+    const sourceUrl = /[\s\S]*\/\/[#@]\s*sourceURL=(\S+)/.exec(code)
 
-    exp.info = this.getExpInfo(assignmentExpression)
+    if (sourceUrl) {
+      return sourceUrl[1]
+    }
+    const line = loc ? ` line ${loc.start.line}` : ''
 
-    return operation(exp, value)
+    return `${this.scriptUrl}${line} > ${kind}`
   }
 
-  getAssignValue(assignmentExpression) {
-    const binaryExpression =
-      this.transAssignmentToBinary(assignmentExpression)
+  parseEvalCode(statements) {
+    // @NOTE: eval code has its own scope for let / const,
+    // and for var as well given strict mode code
+    // @CASE: eval('"use strict"; var a = 1') declares no a outside
+    const completionValue = this.completionValue
 
-    return binaryExpression.operator ?
-      this.BinaryExpression(binaryExpression) :
-      this.parseNode(binaryExpression.right)
-  }
+    if (this.strict) {
+      this.closureStack.createClosure()
+    } else {
+      this.closureStack.createBlockClosure()
+    }
+    this.completionValue = undefined
 
-  transAssignmentToBinary(assignmentExpression) {
-    return {
-      type: 'BinaryExpression',
-      operator: assignmentExpression.operator.replace(/\=$/, ''),
-      left: assignmentExpression.left,
-      right: assignmentExpression.right
+    try {
+      this.handleEvalHoisting(statements)
+      this.handleBlockHoisting(statements)
+      this.parseStatements(statements)
+
+      return this.completionValue
+    } finally {
+      this.completionValue = completionValue
     }
   }
 
-  LogicalExpression(logicalExpression) {
-    const operation = this.logicalOperators[logicalExpression.operator]
-
-    return operation(logicalExpression.left, logicalExpression.right)
+  handleEvalHoisting(statements) {
+    // @NOTE: var declared again by eval code keeps its value
+    // @CASE: var a = 1; eval('var a'), a is still 1
+    const functionClosure = this.closureStack.getFunctionClosure()
+    const hoistings = this.searchHoistings(statements).filter((hoisting) => {
+      return !functionClosure.exist(hoisting)
+    })
+    this.setHoistings(hoistings)
   }
 
-  MemberExpression(memberExpression) {
-    const exp = this.getMemberExp(memberExpression) // {caller, callee}
+  /*************************/
+  /*       Call Stack      */
+  /*************************/
 
-    return this.parseMemberExp(exp)
-  }
+  runInCallFrame(name, parse) {
+    // @NOTE: stack of native error thrown from interpreted code points to parser,
+    // it is replaced by interpreted call frames before leaving the frame it is thrown in
+    this.pushCallFrame(name)
 
-  getMemberExp(memberExpression) {
-    return {
-      caller: this.parseNode(memberExpression.object),
-      callee: this.getPropertyKey(
-        memberExpression.property,
-        memberExpression.computed
-      )
+    try {
+      return parse()
+    } catch (e) {
+      this.captureErrorStack(e)
+      throw e
+    } finally {
+      this.callStack.pop()
     }
   }
 
-  parseMemberExp(exp) {
-    const result = this.execute(exp)
-    // definition of valid Style / DOMTokenList here is:
-    // (1) result have no parent property
-    // (2) result is CSSStyleDeclaration / DOMTokenList instance
-    if (this.isValidStyleOrDOMTokenList(result)) {
-      result.parent = exp.caller
+  pushCallFrame(name) {
+    // @NOTE: interpreter entered with no frame runs script, slice of script or
+    // callback of page, e.g. event handler, each of which has its own budget
+    if (this.callStack.isEmpty()) {
+      this.startBudget()
     }
-    return result
+    // @NOTE: frames are kept in heap, depth is limited here as native stack would be
+    if (this.callStack.getDepth() >= this.maxCallDepth) {
+      throw new RangeError('Maximum call stack size exceeded')
+    }
+    this.callStack.push(name, this.scriptUrl)
   }
 
-  execute(exp) {
-    // try {
-      return this.executeExp(exp)
-    // } catch (e) {
-      // console.log(e);
-      // console.log(exp);
-      // return undefined
-    // }
+  getCallFrameName({name}, {newTarget}) {
+    // @CASE: at new Foo (http://x/a.js:1:1)
+    return newTarget ? `new ${name || '<anonymous>'}` : name
   }
 
-  executeExp(exp) {
-    return (exp.callee instanceof this.Callee) ?
-      this.executeCall(exp) : this.executeMember(exp)
-  }
+  captureErrorStack(error) {
+    // @NOTE: error keeps frames captured first, whether it is thrown again or not
+    if (!(error instanceof Error) || error instanceof InterpreterError || this.errorFrames.has(error)) {
+      return
+    }
+    const frames = this.callStack.getFrames()
 
-  executeCall({caller, callee}) {
-    // a function had been bound can not change context by bind, call and apply
-    // a function call or apply with non-object context would be ignored
-    const calledMethod = this.getCalledMethod({caller, callee})
+    this.errorFrames.set(error, frames)
 
-    return calledMethod.apply(caller, callee.arguments)
+    Object.defineProperty(error, 'stack', {
+      value: this.getErrorStack(error, frames),
+      writable: true,
+      configurable: true
+    })
   }
 
-  getCalledMethod({caller, callee}) {
-    return (caller === undefined) ? callee.method : caller[callee.method]
-  }
+  getErrorStack(error, frames) {
+    const header = Error.prototype.toString.call(error)
 
-  executeMember({caller, callee}) {
-    return caller[callee]
+    return [header, ...frames.map((frame) => `    at ${this.formatCallFrame(frame)}`)].join('\n')
   }
 
-  isValidStyleOrDOMTokenList(object) {
-    return (
-      this.hasNoParent(object) &&
-      this.isStyleOrDOMTokenList(object)
-    )
-  }
+  formatCallFrame({name, scriptUrl, loc}) {
+    // @CASE: at test (http://x/a.js:2:11), or at http://x/a.js:5:1 given top level
+    const location = loc ?
+      `${scriptUrl}:${loc.start.line}:${loc.start.column + 1}` : scriptUrl
 
-  hasNoParent(object) {
-    return (object instanceof Object) && (!object.hasOwnProperty('parent'))
+    return name ? `${name} (${location})` : location
   }
 
-  isStyleOrDOMTokenList(object) {
-    return this.isStyle(object) || this.isDOMTokenList(object)
-  }
+  /*************************/
+  /*      Heap Frames      */
+  /*************************/
 
-  isStyle(object) {
-    return (object instanceof this.context.CSSStyleDeclaration)
-  }
+  runCallFrames(request) {
+    // @NOTE: function body is run as a generator suspended at each call of interpreted function,
+    // the callee is run on a frame pushed here and its result resumes the caller,
+    // so that depth of interpreted recursion is bound by heap rather than native stack
+    // @CASE: function f(n) { return n && f(n - 1) } f(5000)
+    const envGlobal = this.getEnvironment(this)
+    const completionValue = this.completionValue
+    const frames = []
+    let method = 'next'
+    let value
 
-  isDOMTokenList(object) {
-    return (object instanceof this.context.DOMTokenList)
+    try {
+      frames.push(this.enterCallFrame(request))
+
+      while (frames.length > 0) {
+        const frame = frames[frames.length - 1]
+        let step
+
+        try {
+          step = this.resumeCallFrame(frame, method, value)
+        } catch (e) {
+          this.leaveCallFrame(frames.pop())
+
+          if (frames.length === 0) {
+            throw e
+          }
+          // error thrown from callee is thrown at call in caller
+          method = 'throw'
+          value = e
+          continue
+        }
+        method = 'next'
+        value = step.value
+
+        if (step.done) {
+          this.leaveCallFrame(frames.pop())
+          continue
+        }
+
+        try {
+          if (step.value instanceof this.NativeCallRequest) {
+            value = this.callMethod(step.value.calledMethod, step.value.exp)
+          } else {
+            frames.push(this.enterCallFrame(step.value))
+            value = undefined
+          }
+        } catch (e) {
+          method = 'throw'
+          value = e
+        }
+      }
+      return value
+    } finally {
+      // @NOTE: should reset environment when error thrown while parsing function body
+      this.setEnvironment(this, envGlobal)
+      // statements in function never change result of eval calling it
+      this.completionValue = completionValue
+    }
   }
 
-  ConditionalExpression(conditionalExpression) {
-    const test = this.parseNode(conditionalExpression.test)
+  enterCallFrame({functionAgentData, builtInArguments, calledArguments}) {
+    // environment refers to an object containing scriptUrl and closureStack
+    const frame = {
+      functionAgentData,
+      newTarget: builtInArguments.newTarget,
+      environment: this.getEnvironment(functionAgentData),
+      completionValue: this.completionValue,
+      iterator: null
+    }
+    this.setEnvironment(this, frame.environment)
+    this.pushCallFrame(this.getCallFrameName(functionAgentData, builtInArguments))
 
-    return test ?
-      this.parseNode(conditionalExpression.consequent) :
-      this.parseNode(conditionalExpression.alternate)
-  }
+    try {
+      this.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+    } catch (e) {
+      this.captureErrorStack(e)
+      this.callStack.pop()
+      throw e
+    }
+    frame.iterator = this.parseGeneratorBody(functionAgentData.body)
 
-  CallExpression(callExpression) {
-    const exp = this.getCallExp(callExpression) // {caller, callee}
+    return frame
+  }
 
-    exp.info = this.getExpInfo(callExpression)
+  resumeCallFrame(frame, method, value) {
+    const onHeapFrame = this.onHeapFrame
 
-    return this.parseCallExp(exp)
-  }
+    this.setEnvironment(this, frame.environment)
+    this.onHeapFrame = true
 
-  getCallExp(callExpression) {
-    const exp = this.parseCallee(callExpression.callee)
-    const calleeArguments = this.parseArguments(callExpression.arguments)
+    try {
+      const step = frame.iterator[method](value)
 
-    exp.callee.addArguments(calleeArguments)
+      if (step.done && frame.newTarget !== undefined) {
+        return {
+          value: this.getConstructResult(step.value, frame.functionAgentData.isDerived),
+          done: true
+        }
+      }
+      return step
+    } catch (e) {
+      this.captureErrorStack(e)
+      throw e
+    } finally {
+      frame.environment = this.getEnvironment(this)
+      this.onHeapFrame = onHeapFrame
+    }
+  }
 
-    return exp
+  leaveCallFrame(frame) {
+    // @NOTE: return should be unset whether frame returns or throws after return
+    // @CASE: class A extends B { constructor() { return 1 } } throws TypeError after return
+    this.callStack.pop()
+    this.completionValue = frame.completionValue
+    this.flowState.unset(FlowState.RETURN)
   }
 
-  parseCallee(callee) {
-    const exp = this.getCalleeExp(callee)
+  resumeIterator(iterator, method, value) {
+    // @NOTE: calls yielded by generator or async function body are run by frames of their own,
+    // only values yielded by page code are passed to its caller
+    let step = iterator[method](value)
 
-    return {
-      caller: exp.caller,
-      callee: this.createCallee(exp.callee)
+    while (!step.done && step.value instanceof this.CallRequest) {
+      let result
+
+      try {
+        result = this.runCallRequest(step.value)
+      } catch (e) {
+        step = iterator.throw(e)
+        continue
+      }
+      step = iterator.next(result)
     }
+    return step
   }
 
-  getCalleeExp(callee) {
-    switch (callee.type) {
-      case 'MemberExpression':
-        return this.getMemberExp(callee)
+  getCallRequest(calledMethod, {caller, callee}) {
+    // @NOTE: interpreted functions called through call, apply and Reflect run on heap frames too
+    // @CASE: return f.call(this, n - 1)
+    const calledArguments = callee.arguments
+
+    switch (calledMethod) {
+      case Function.prototype.call:
+        return this.createFunctionCallRequest(caller, calledArguments[0], calledArguments.slice(1))
+
+      case Function.prototype.apply:
+        return this.isNullish(calledArguments[1]) ?
+          this.createFunctionCallRequest(caller, calledArguments[0], []) :
+          this.createApplyRequest(caller, calledArguments[0], calledArguments[1])
+
+      case Reflect.apply:
+        return this.createApplyRequest(...calledArguments)
+
+      // @NOTE: newTarget given undefined is not a constructor rather than defaulted
+      case Reflect.construct:
+        return this.createConstructRequest(
+          calledArguments[0],
+          calledArguments[1],
+          (calledArguments.length > 2) ? calledArguments[2] : calledArguments[0]
+        )
 
       default:
-        return this.getOtherExp(callee)
+        return this.createFunctionCallRequest(calledMethod, caller, calledArguments)
     }
   }
 
-  getOtherExp(expression) {
-    return {
-      caller: undefined,
-      callee: this.parseNode(expression)
+  createFunctionCallRequest(calledMethod, thisArg, calledArguments) {
+    // @NOTE: only plain interpreted functions are called on heap frames,
+    // others, e.g. natives, bound functions, classes and generator functions, are called natively
+    const functionAgentData = this.functionAgents.get(calledMethod)
+
+    if (!functionAgentData || functionAgentData.classAgent) {
+      return null
     }
+    return this.createCallRequest(functionAgentData, {
+      this: thisArg,
+      arguments: this.getArgumentsObject(functionAgentData, calledArguments)
+    }, calledArguments)
   }
 
-  createCallee(method) {
-    return new (this.Callee)(method)
+  createApplyRequest(calledMethod, thisArg, argumentsList) {
+    // @NOTE: invalid arguments list is left to native apply, which throws TypeError
+    if (!this.isObject(argumentsList)) {
+      return null
+    }
+    return this.createFunctionCallRequest(calledMethod, thisArg, this.createListFromArrayLike(argumentsList))
   }
 
-  parseArguments(calledArguments) {
-    return calledArguments.map((argument) => {
-      return this.parseNode(argument)
-    })
+  createConstructRequest(CalledConstructor, argumentsList, newTarget) {
+    const functionAgentData = this.functionAgents.get(CalledConstructor)
+
+    if (
+      !functionAgentData ||
+      !this.canRequestConstruct(functionAgentData) ||
+      !this.isObject(argumentsList) ||
+      !this.isConstructor(newTarget)
+    ) {
+      return null
+    }
+    const calledArguments = this.createListFromArrayLike(argumentsList)
+
+    return this.createCallRequest(functionAgentData, {
+      this: functionAgentData.isDerived ?
+        undefined : Object.create(this.getPrototypeFromConstructor(newTarget)),
+      arguments: this.getArgumentsObject(functionAgentData, calledArguments),
+      newTarget
+    }, calledArguments)
   }
 
-  getExpInfo(expression) {
-    return {
-      loc: expression.loc,
-      code: this.escodegen.generate(expression),
-      scriptUrl: this.scriptUrl
+  canRequestConstruct(functionAgentData) {
+    // @NOTE: default constructor of derived class passes arguments to its parent natively
+    if (functionAgentData.classAgent) {
+      return !functionAgentData.isDerived || !!functionAgentData.body
     }
+    return this.isConstructible(functionAgentData)
   }
 
-  parseCallExp(exp) {
-    // exp: {caller, callee, info}
-    const success = this.setCheckFlag(exp)
-    const result = this.execute(exp)
+  getPrototypeFromConstructor(newTarget) {
+    // @CASE: F.prototype = 1; new F() inherits from Object.prototype
+    const prototype = newTarget.prototype
 
-    this.resetCheckFlag(success)
+    return this.isObject(prototype) ? prototype : Object.prototype
+  }
 
-    return result
+  createListFromArrayLike(arrayLike) {
+    // @NOTE: arguments list is read by length and index rather than iterated
+    return Array.from({length: arrayLike.length}, (value, index) => arrayLike[index])
   }
 
-  setCheckFlag(exp) {
-    if (!this.checkFlag && exp.caller) {
-      const status = this.checkerDispatcher.dispatch({
-        context: this.context,
-        caller: exp.caller,
-        callee: exp.callee
-      })
-      return this.tryToSetCheckFlag(exp, status)
+  accessOnHeap(receiver, access) {
+    // @NOTE: interpreted accessor reached by access is thrown as request rather than run,
+    // see parseFunctionAgentData, native property lookup it aborts has nothing to undo
+    // @CASE: get depth() { return this.parent ? this.parent.depth + 1 : 0 }
+    this.accessReceiver = receiver
+
+    try {
+      return {value: access()}
+    } catch (e) {
+      if (e instanceof this.CallRequest) {
+        return {request: e}
+      }
+      throw e
+    } finally {
+      this.accessReceiver = undefined
     }
-    return false
   }
 
-  tryToSetCheckFlag(exp, status) {
-    if (status) {
-      this.checkFlag = true
-      this.addInfoToCollection(exp, status)
-    }
-    return !!status
+  accessDeeply(receiver, access) {
+    // @NOTE: accessor reached by access nested deeply runs on heap frames, as call does, see runCallRequest
+    const {value, request} = this.accessOnHeap(receiver, access)
+
+    return request ? this.runCallFrames(request) : value
   }
 
-  addInfoToCollection(exp, status) {
-    const elements = this.getTargetElements(exp.caller, status)
+  isAccessedOnHeap({this: thisArg}) {
+    // @NOTE: any other agent run during access, e.g. proxy trap or toString of key, runs natively,
+    // and so does accessor reached after it
+    const receiver = this.accessReceiver
 
-    this.collection.addInfoToElements({
-      elements,
-      type: status.type,
-      info: exp.info
-    })
+    this.accessReceiver = undefined
+
+    return receiver !== undefined && receiver === thisArg
   }
 
-  getTargetElements(caller, status) {
-    const object = this.getTargetObject(caller, status)
-    const elements = this.isJquery(object) ? object.get() : object
-    // @NOTE: target could be an array for future use
-    return [].concat(elements)
+  getArgumentsObject({scope}, calledArguments) {
+    // @NOTE: functions called on heap frames have no native arguments to take, it is created
+    // only for those referring to it, see isArgumentsMapped
+    return (this.argumentsReferences.get(scope) !== false) ?
+      this.createArgumentsObject(calledArguments) : undefined
   }
 
-  getTargetObject(caller, status) {
-    if (status.hasOwnProperty('target')) {
-      return status.target
-    } else if (this.isStyleOrDOMTokenList(caller)) {
-      return caller.parent
-    } else if (this.isAttr(caller)) {
-      return caller.ownerElement
+  createArgumentsObject(calledArguments) {
+    // @NOTE: unmapped as arguments of agents are, mapArguments aliases params to it
+    return (function () {
+      return arguments
+    })(...calledArguments)
+  }
+
+  /*************************/
+  /*    Execution Budget   */
+  /*************************/
+
+  startBudget() {
+    // @NOTE: slices of script share one budget, which first slice starts and others resume,
+    // so that script of many light statements is still aborted
+    if (this.budgetUsage) {
+      this.executionBudget.resume(this.budgetUsage)
+    } else {
+      this.executionBudget.start()
     }
-    return caller
+    this.budgetError = null
   }
 
-  isAttr(object) {
-    return (object instanceof this.context.Attr)
+  consumeBudget(node) {
+    // @NOTE: entry exceeding budget is aborted by error page never catches,
+    // which is thrown again by any node parsed after, e.g. in finally blocks
+    if (!this.budgetError && !this.executionBudget.consume()) {
+      this.budgetError = new InterpreterError(
+        new RangeError(`Execution budget exceeded, ${this.executionBudget.getUsage()}`),
+        {node, scriptUrl: this.scriptUrl, loc: node.loc}
+      )
+      this.reportBudgetExceeded(this.budgetError)
+    }
+    if (this.budgetError) {
+      throw this.budgetError
+    }
   }
 
-  isJquery(object) {
-    const jQuery = this.context.jQuery
+  reportBudgetExceeded(error) {
+    const diagnostic = {
+      type: error.node.type,
+      scriptUrl: error.scriptUrl,
+      loc: error.loc,
+      action: EsprimaParser.ABORT,
+      error
+    }
+    this.reportDiagnostic(diagnostic, `${error.message}, aborted`)
+  }
 
-    return !!jQuery && object instanceof jQuery
+  /*************************/
+  /*    Internal Errors    */
+  /*************************/
+
+  runInternal(node, loc, run) {
+    // @NOTE: failures of tracker itself are tagged by InterpreterError,
+    // which catch clauses of page never catch
+    try {
+      return run()
+    } catch (e) {
+      throw this.createInterpreterError(e, node, loc)
+    }
   }
 
-  resetCheckFlag(success) {
-    if (success) {
-      this.checkFlag = false
+  createInterpreterError(cause, node, loc = node && node.loc) {
+    if (cause instanceof InterpreterError) {
+      return cause
+    }
+    const error = new InterpreterError(cause, {node, scriptUrl: this.scriptUrl, loc})
+
+    this.reportInterpreterError(error)
+
+    return error
+  }
+
+  reportInterpreterError(error) {
+    const diagnostic = {
+      type: error.node ? error.node.type : null,
+      scriptUrl: error.scriptUrl,
+      loc: error.loc,
+      action: EsprimaParser.ABORT,
+      error
     }
+    this.reportDiagnostic(diagnostic, `Tracker failed: ${error.message}, script aborted`)
   }
 
-  NewExpression(newExpression) {
-    const CalledConstructor = this.parseNode(newExpression.callee)
-    const calledArguments = this.parseArguments(newExpression.arguments)
+  rethrowInterpreterError(error) {
+    if (error instanceof InterpreterError) {
+      throw error
+    }
+  }
 
-    return new CalledConstructor(...calledArguments)
+  static get SKIP() {
+    return SKIP
   }
 
-  SequenceExpression(sequenceExpression) {
-    let result
+  static get NATIVE() {
+    return NATIVE
+  }
 
-    sequenceExpression.expressions.forEach((expression) => {
-      // all here are expressions, no need to check flow control status
-      result = this.parseNode(expression)
-    })
-    return result
+  static get ABORT() {
+    return ABORT
   }
 }
 module.exports = EsprimaParser
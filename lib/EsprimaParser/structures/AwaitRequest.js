@@ -0,0 +1,9 @@
+class AwaitRequest {
+  constructor(value) {
+    // @NOTE: yielded by async function body suspended at await, so that driver of
+    // async generator tells awaited values from yielded ones passed to its caller
+    this.value = value
+  }
+}
+
+module.exports = AwaitRequest
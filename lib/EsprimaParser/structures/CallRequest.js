@@ -0,0 +1,11 @@
+class CallRequest {
+  constructor(functionAgentData, builtInArguments, calledArguments) {
+    // @NOTE: yielded by function body suspended at call of interpreted function,
+    // whose body is then run on a frame of its own instead of native stack
+    this.functionAgentData = functionAgentData
+    this.builtInArguments = builtInArguments
+    this.calledArguments = calledArguments
+  }
+}
+
+module.exports = CallRequest
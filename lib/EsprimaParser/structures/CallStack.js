@@ -0,0 +1,37 @@
+class CallStack {
+  constructor() {
+    this.frames = [] // {name, scriptUrl, loc} of interpreted calls, the latest last
+  }
+
+  push(name, scriptUrl) {
+    this.frames.push({name, scriptUrl, loc: null})
+  }
+
+  pop() {
+    this.frames.pop()
+  }
+
+  isEmpty() {
+    return this.frames.length === 0
+  }
+
+  getDepth() {
+    return this.frames.length
+  }
+
+  setLoc(loc) {
+    // @NOTE: loc of each frame is where it is running, or calling the frame above it
+    const frame = this.frames[this.frames.length - 1]
+
+    if (frame) {
+      frame.loc = loc
+    }
+  }
+
+  getFrames() {
+    // @NOTE: frames are copied, since they keep changing after error captured them
+    return this.frames.map((frame) => Object.assign({}, frame)).reverse()
+  }
+}
+
+module.exports = CallStack
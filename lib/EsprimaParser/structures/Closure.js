@@ -1,18 +1,134 @@
+const FUNCTION = 'FUNCTION'
+const BLOCK = 'BLOCK'
+const OBJECT = 'OBJECT'
+
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+// @NOTE: variables could be named after members of Object.prototype,
+// e.g. hasOwnProperty or __proto__, so records of them inherit nothing,
+// records sharing one prototype stay as fast as plain objects
+function Record() {}
+Record.prototype = Object.create(null)
+
 class Closure {
-  constructor(data = {}) {
+  constructor(data = {}, type = Closure.FUNCTION, scope = null) {
     this.data = data
+    this.type = type
+    this.scope = scope // node creating closure, expected by identifiers resolved to it
+    this.constants = new Record()
+    this.uninitialized = new Record()
   }
 
   get(variable) {
+    this.checkInitialized(variable)
+
     return this.data[variable]
   }
 
   set(variable, value) {
+    if (hasOwnProperty.call(this.uninitialized, variable)) {
+      delete this.uninitialized[variable]
+    }
+    this.data[variable] = value
+  }
+
+  update(variable, value) {
+    this.checkInitialized(variable)
+
+    if (hasOwnProperty.call(this.constants, variable)) {
+      throw new TypeError('Assignment to constant variable.')
+    }
     this.data[variable] = value
   }
 
+  declare(variable, kind) {
+    // @NOTE: let / const are hoisted but stay uninitialized (temporal dead zone)
+    // until their declarations are evaluated
+    this.data[variable] = undefined
+    this.uninitialized[variable] = true
+
+    if (kind === 'const') {
+      this.constants[variable] = true
+    }
+  }
+
+  bind(variable, getValue) {
+    // @NOTE: imported bindings are live views of bindings in exporting module,
+    // and they are never assignable in importing module
+    Object.defineProperty(this.data, variable, {
+      get: getValue,
+      enumerable: true,
+      configurable: true
+    })
+    this.constants[variable] = true
+  }
+
+  checkInitialized(variable) {
+    if (!this.isInitialized(variable)) {
+      throw new ReferenceError(`Cannot access '${variable}' before initialization`)
+    }
+  }
+
+  isInitialized(variable) {
+    return !hasOwnProperty.call(this.uninitialized, variable)
+  }
+
   exist(variable) {
-    return this.data.hasOwnProperty(variable)
+    if (this.isObjectClosure()) {
+      return this.hasUnscopedProperty(variable)
+    }
+    return hasOwnProperty.call(this.data, variable)
+  }
+
+  hasUnscopedProperty(variable) {
+    // @NOTE: object of with statement binds all its properties, including inherited ones,
+    // except those listed in its Symbol.unscopables
+    // @CASE: with ([]) { keys } never reads Array.prototype.keys
+    if (variable === 'this' || !(variable in this.data)) {
+      return false
+    }
+    const unscopables = this.data[Symbol.unscopables]
+
+    return !(unscopables && unscopables[variable])
+  }
+
+  has(variable) {
+    // @NOTE: properties inherited by context (e.g. those of Window.prototype)
+    // are resolvable as global variables as well
+    return variable in this.data
+  }
+
+  isFunctionClosure() {
+    return this.type === Closure.FUNCTION
+  }
+
+  isObjectClosure() {
+    return this.type === Closure.OBJECT
+  }
+
+  getCopy() {
+    const closure = new (this.constructor)(Object.assign(new Record(), this.data), this.type, this.scope)
+
+    Object.assign(closure.constants, this.constants)
+    Object.assign(closure.uninitialized, this.uninitialized)
+
+    return closure
+  }
+
+  static createRecord() {
+    return new Record()
+  }
+
+  static get FUNCTION() {
+    return FUNCTION
+  }
+
+  static get BLOCK() {
+    return BLOCK
+  }
+
+  static get OBJECT() {
+    return OBJECT
   }
 }
 
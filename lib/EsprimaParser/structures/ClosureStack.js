@@ -1,8 +1,20 @@
 const Closure = require('./Closure')
 
 class ClosureStack {
-  constructor(context) {
-    this.stack = [new Closure(context)]
+  constructor(context, links = null) {
+    // @NOTE: closures are linked from the latest one down to context one,
+    // so that clones share closures below instead of copying them,
+    // and closures pushed onto either clone never affect the other
+    if (links) {
+      // clones are made for every call, they take links given without creating closures
+      this.setStack(links.latest, links.root)
+      return
+    }
+    this.latest = {closure: new Closure(context), parent: null}
+    // @NOTE: top-level let / const live in a block closure shared by all scripts,
+    // they should not become properties of context
+    this.push(new Closure(Closure.createRecord(), Closure.BLOCK))
+    this.root = this.latest
   }
 
   get(variable) {
@@ -11,26 +23,85 @@ class ClosureStack {
     return closure.get(variable)
   }
 
+  getResolved(variable, reference) {
+    const closure = this.findReferencedClosure(variable, reference)
+
+    return closure.get(variable)
+  }
+
+  findReferencedClosure(variable, reference) {
+    // @NOTE: reference is where variable is bound, resolved before code runs,
+    // it falls back to lookup by name given closure there is not the expected one
+    const closure = reference && this.findResolvedClosure(variable, reference)
+
+    return closure || this.findClosure(variable)
+  }
+
+  findResolvedClosure(variable, {hops, scope}) {
+    // @NOTE: hops are walked on each read rather than closures cached per call frame,
+    // which costs about as much as lookup by name for local variables and less for outer ones,
+    // see lookups of benchmark/EsprimaParser.js
+    if (scope === null) {
+      return this.findGlobalClosure(variable)
+    }
+    let link = this.latest
+
+    for (let i = hops; i && link; i--) {
+      link = link.parent
+    }
+    const closure = link && link.closure
+
+    // closure created by the scope binds variable, no need to check by name
+    return (closure && closure.scope === scope) ? closure : undefined
+  }
+
+  findGlobalClosure(variable) {
+    const closure = this.root.closure
+
+    if (closure.exist(variable)) {
+      return closure
+    }
+    return this.getContextClosure().has(variable) ? this.getContextClosure() : undefined
+  }
+
   findClosure(variable) {
-    let closure = this.findFirstMatchedClosure(variable)
+    const closure = this.findFirstMatchedClosure(variable)
 
-    if (!closure) {
-      closure = this.getContextClosure()
+    if (closure) {
+      return closure
     }
-    return closure
+    if (!this.getContextClosure().has(variable)) {
+      throw new ReferenceError(`${variable} is not defined`)
+    }
+    return this.getContextClosure()
   }
 
   findFirstMatchedClosure(variable) {
-    for (let i = this.stack.length; --i;) {
-      const closure = this.stack[i]
-
-      if (closure.exist(variable)) {
-        return closure
+    // context closure is the only one without parent
+    for (let link = this.latest; link.parent; link = link.parent) {
+      if (link.closure.exist(variable)) {
+        return link.closure
       }
     }
     return undefined
   }
 
+  isResolvable(variable, reference) {
+    return (
+      !!(reference && this.findResolvedClosure(variable, reference)) ||
+      !!this.findFirstMatchedClosure(variable) ||
+      this.getContextClosure().has(variable)
+    )
+  }
+
+  getBindingObject(variable) {
+    // @NOTE: variables bound by with statement are properties of its object,
+    // which is this of functions called by them
+    const closure = this.findFirstMatchedClosure(variable)
+
+    return (closure && closure.isObjectClosure()) ? closure.data : undefined
+  }
+
   set(variable, value) {
     const closure = this.getLatestClosure()
 
@@ -38,33 +109,105 @@ class ClosureStack {
   }
 
   getLatestClosure() {
-    return this.stack.slice(-1)[0]
+    return this.latest.closure
+  }
+
+  setToFunctionClosure(variable, value) {
+    const closure = this.getFunctionClosure()
+
+    closure.set(variable, value)
+  }
+
+  getFunctionClosure() {
+    for (let link = this.latest; link.parent; link = link.parent) {
+      if (link.closure.isFunctionClosure()) {
+        return link.closure
+      }
+    }
+    return this.getContextClosure()
+  }
+
+  declare(variable, kind) {
+    const closure = this.getLatestClosure()
+
+    closure.declare(variable, kind)
+  }
+
+  bind(variable, getValue) {
+    const closure = this.getLatestClosure()
+
+    closure.bind(variable, getValue)
+  }
+
+  isInitialized(variable) {
+    const closure = this.findClosure(variable)
+
+    return closure.isInitialized(variable)
   }
 
-  update(variable, value) {
+  initialize(variable, value) {
     const closure = this.findClosure(variable)
 
     closure.set(variable, value)
   }
 
+  update(variable, value, reference) {
+    const closure = this.findReferencedClosure(variable, reference)
+
+    closure.update(variable, value)
+  }
+
+  setImplicitGlobal(variable, value) {
+    // @NOTE: implicit globals are configurable properties of context,
+    // which could be deleted unlike those declared by var
+    const closure = this.getContextClosure()
+
+    closure.set(variable, value)
+  }
+
   getContextClosure() {
-    return this.stack[0]
+    return this.root.parent.closure
   }
 
-  createClosure() {
-    this.stack.push(new Closure())
+  push(closure) {
+    this.latest = {closure, parent: this.latest}
   }
 
-  getClone() {
-    const newClosureStack = new (this.constructor)()
+  createClosure(scope) {
+    // @NOTE: data of function and block closures is record inheriting nothing,
+    // e.g. let __proto__ is an own variable rather than prototype of data
+    this.push(new Closure(Closure.createRecord(), Closure.FUNCTION, scope))
+  }
+
+  createBlockClosure(scope) {
+    this.push(new Closure(Closure.createRecord(), Closure.BLOCK, scope))
+  }
 
-    newClosureStack.setStack(this.stack)
+  createObjectClosure(object) {
+    this.push(new Closure(object, Closure.OBJECT))
+  }
+
+  copyLatestClosure() {
+    // @NOTE: closures captured before still refer to the original one
+    this.latest = {closure: this.latest.closure.getCopy(), parent: this.latest.parent}
+  }
+
+  removeLatestClosure() {
+    this.latest = this.latest.parent
+  }
+
+  getClone() {
+    return new (this.constructor)(null, this)
+  }
 
-    return newClosureStack
+  getRootClone() {
+    // @NOTE: root closures are context and shared top-level block closure
+    return new (this.constructor)(null, {latest: this.root, root: this.root})
   }
 
-  setStack(stack) {
-    this.stack = [...stack]
+  setStack(latest, root) {
+    this.latest = latest
+    this.root = root
   }
 }
 
@@ -0,0 +1,52 @@
+const CLOCK_INTERVAL = 1000 // steps between clock checks
+
+class ExecutionBudget {
+  constructor({maxSteps = Infinity, maxTime = Infinity} = {}) {
+    this.maxSteps = maxSteps // nodes parsed
+    this.maxTime = maxTime // in ms
+    this.steps = 0
+    this.startTime = 0
+  }
+
+  start() {
+    this.steps = 0
+    this.startTime = Date.now()
+  }
+
+  save() {
+    // @NOTE: entry run in parts, e.g. script in slices, resumes with usage saved,
+    // so that time spent between parts is not charged
+    return {steps: this.steps, time: this.getElapsedTime()}
+  }
+
+  resume({steps, time}) {
+    this.steps = steps
+    this.startTime = Date.now() - time
+  }
+
+  consume() {
+    // @NOTE: returns whether budget is still enough,
+    // clock is read once per CLOCK_INTERVAL steps, since reading it costs more than most nodes
+    this.steps += 1
+
+    return this.steps <= this.maxSteps && (
+      this.maxTime === Infinity ||
+      this.steps % CLOCK_INTERVAL !== 0 ||
+      this.getElapsedTime() <= this.maxTime
+    )
+  }
+
+  getElapsedTime() {
+    return Date.now() - this.startTime
+  }
+
+  getUsage() {
+    return `${this.steps} steps in ${this.getElapsedTime()} ms`
+  }
+
+  static get CLOCK_INTERVAL() {
+    return CLOCK_INTERVAL
+  }
+}
+
+module.exports = ExecutionBudget
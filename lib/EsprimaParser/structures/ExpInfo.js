@@ -0,0 +1,16 @@
+class ExpInfo {
+  constructor(parser, expression) {
+    // @NOTE: code is generated only when read by collection given checker matched,
+    // since most calls and assignments are never tracked
+    this.parser = parser
+    this.expression = expression
+    this.loc = expression.loc
+    this.scriptUrl = parser.scriptUrl
+  }
+
+  get code() {
+    return this.parser.getExpCode(this.expression)
+  }
+}
+
+module.exports = ExpInfo
@@ -0,0 +1,19 @@
+class InterpreterError {
+  constructor(cause, {node, scriptUrl, loc}) {
+    const position = loc ? `:${loc.start.line}:${loc.start.column + 1}` : ''
+    const reason = (cause instanceof Error) ? cause.message : String(cause)
+
+    this.name = 'InterpreterError'
+    this.message = `${reason} at ${scriptUrl}${position}`
+    this.cause = cause // error thrown by tracker itself
+    this.node = node // node being parsed when tracker failed, if known
+    this.scriptUrl = scriptUrl
+    this.loc = loc
+    this.stack = `${this.name}: ${this.message}\nCaused by: ${(cause && cause.stack) || reason}`
+  }
+}
+
+// @NOTE: babel es2015 could not extend Error, so prototype is linked by hand
+Object.setPrototypeOf(InterpreterError.prototype, Error.prototype)
+
+module.exports = InterpreterError
@@ -0,0 +1,82 @@
+const esprima = require('esprima-next')
+const ModuleRecord = require('./ModuleRecord')
+
+class ModuleLoader {
+  constructor(fetchText = ModuleLoader.fetchText) {
+    this.fetchText = fetchText
+    this.records = new Map() // url => promise of ModuleRecord
+  }
+
+  resolve(specifier, referrerUrl) {
+    if (/^\.{0,2}\//.test(specifier)) {
+      return new URL(specifier, referrerUrl).href
+    }
+    try {
+      return new URL(specifier).href
+    } catch (e) {
+      // @NOTE: bare specifiers need import maps, which are not supported
+      throw new TypeError(`Failed to resolve module specifier "${specifier}"`)
+    }
+  }
+
+  loadModule(url) {
+    return this.fetchRecord(url)
+      .then((record) => this.loadRequestedModules(record))
+  }
+
+  loadInlineModule(url, sourceText) {
+    // @NOTE: inline modules share url of page, thus are never cached
+    return Promise.resolve()
+      .then(() => this.loadRequestedModules(this.createRecord(url, sourceText)))
+  }
+
+  fetchRecord(url) {
+    // @NOTE: each url is fetched and instantiated only once
+    if (!this.records.has(url)) {
+      this.records.set(url, Promise.resolve(this.fetchText(url))
+        .then((sourceText) => this.createRecord(url, sourceText)))
+    }
+    return this.records.get(url)
+  }
+
+  createRecord(url, sourceText) {
+    const ast = esprima.parseModule(sourceText, {loc: true, range: true})
+
+    return new ModuleRecord(url, ast, sourceText)
+  }
+
+  loadRequestedModules(record, visited = new Set()) {
+    // @NOTE: record visited is being loaded by caller,
+    // waiting for it again would never settle in cyclic imports
+    if (visited.has(record)) {
+      return Promise.resolve(record)
+    }
+    visited.add(record)
+
+    const specifiers = record.getRequestedSpecifiers()
+
+    return Promise.all(specifiers.map((specifier) => {
+      return Promise.resolve()
+        .then(() => this.fetchRecord(this.resolve(specifier, record.url)))
+    })).then((requestedModules) => {
+      // @NOTE: requested modules are evaluated in the order they are imported
+      specifiers.forEach((specifier, index) => {
+        record.requestedModules.set(specifier, requestedModules[index])
+      })
+      return Promise.all(requestedModules.map((requestedModule) => {
+        return this.loadRequestedModules(requestedModule, visited)
+      }))
+    }).then(() => record)
+  }
+
+  static fetchText(url) {
+    return fetch(url).then((response) => {
+      if (!response.ok) {
+        throw new TypeError(`Failed to fetch module ${url}`)
+      }
+      return response.text()
+    })
+  }
+}
+
+module.exports = ModuleLoader
@@ -0,0 +1,77 @@
+const UNLINKED = 'UNLINKED'
+const LINKING = 'LINKING'
+const LINKED = 'LINKED'
+const EVALUATING = 'EVALUATING'
+const EVALUATED = 'EVALUATED'
+const ERRORED = 'ERRORED'
+const AMBIGUOUS = 'AMBIGUOUS'
+
+class ModuleRecord {
+  constructor(url, ast, sourceText) {
+    this.url = url
+    this.ast = ast
+    this.sourceText = sourceText // sliced by node range for source texts of functions
+    this.status = ModuleRecord.UNLINKED
+    this.error = undefined
+
+    this.requestedModules = new Map() // specifier => ModuleRecord, filled by loader
+    this.entries = null // import / export entries, parsed while linking
+    this.environment = null // scriptUrl, sourceText and closureStack of module code
+    this.statements = null // statements left to evaluate after instantiation
+    this.namespace = null
+  }
+
+  getRequestedSpecifiers() {
+    const specifiers = []
+
+    for (const statement of this.ast.body) {
+      // @NOTE: only import and export ... from declarations have source
+      if (statement.source && specifiers.indexOf(statement.source.value) < 0) {
+        specifiers.push(statement.source.value)
+      }
+    }
+    return specifiers
+  }
+
+  setError(error) {
+    this.status = ModuleRecord.ERRORED
+    this.error = error
+  }
+
+  checkError() {
+    // @NOTE: module failed to link or evaluate fails every later import
+    if (this.status === ModuleRecord.ERRORED) {
+      throw this.error
+    }
+  }
+
+  static get UNLINKED() {
+    return UNLINKED
+  }
+
+  static get LINKING() {
+    return LINKING
+  }
+
+  static get LINKED() {
+    return LINKED
+  }
+
+  static get EVALUATING() {
+    return EVALUATING
+  }
+
+  static get EVALUATED() {
+    return EVALUATED
+  }
+
+  static get ERRORED() {
+    return ERRORED
+  }
+
+  static get AMBIGUOUS() {
+    return AMBIGUOUS
+  }
+}
+
+module.exports = ModuleRecord
@@ -0,0 +1,10 @@
+class NativeCallRequest {
+  constructor(calledMethod, exp) {
+    // @NOTE: yielded by function body on heap frame suspended at call of native function,
+    // which is then called by runCallFrames, so that agents it calls are not nested in the suspended body
+    this.calledMethod = calledMethod
+    this.exp = exp
+  }
+}
+
+module.exports = NativeCallRequest
@@ -1,7 +1,7 @@
 require('./helpers/init')
 
 /* init variables */
-global.esprima = require('esprima')
+global.esprima = require('esprima-next')
 global.EsprimaParser = require('../lib/EsprimaParser')
 global.resetVariables = require('./lib/EsprimaParser-integration/helpers/resetVariables')
 
@@ -0,0 +1,126 @@
+describe('arrow function tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  it('should return result of concise body', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var add = (a, b) => a + b;
+      var toObject = (value) => ({value});
+      var result = [add(1, 2), toObject(3)];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([3, {value: 3}])
+  })
+
+  it('should return result of block body', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result = [1, 2, 3].map((num) => {
+        var double = num * 2;
+
+        return double;
+      });
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([2, 4, 6])
+  })
+
+  it('should return undefined given block body without return', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result = (() => {
+        1 + 1;
+      })();
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.undefined
+  })
+
+  it('should take this from enclosing function', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var obj = {
+        value: 'obj',
+        getValues: function () {
+          return [1, 2].map(() => this.value);
+        }
+      };
+      var result = obj.getValues.call({value: 'other'}).concat(obj.getValues());
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql(['other', 'other', 'obj', 'obj'])
+  })
+
+  it('should ignore this given by call / apply / bind', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result = (function () {
+        var arrow = () => this;
+
+        return [arrow.call('call'), arrow.apply('apply'), arrow.bind('bind')()];
+      }).call('outer');
+    `)
+    esprimaParser.parseAst(ast)
+
+    const result = closureStack.get('result')
+
+    expect(result.map(String)).to.be.eql(['outer', 'outer', 'outer'])
+  })
+
+  it('should take arguments from enclosing function', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      function outer() {
+        return ((a) => arguments[0] + a)('inner');
+      }
+      var result = outer('outer');
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal('outerinner')
+  })
+
+  it('should have length of params', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result = [(() => 0).length, (a => a).length, ((a, b, c) => a).length];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([0, 1, 3])
+  })
+
+  it('should keep closure where it is created', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var counter = () => {
+        let count = 0;
+
+        return () => ++count;
+      };
+      var increase = counter();
+
+      increase();
+      var result = increase();
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal(2)
+  })
+})
@@ -0,0 +1,537 @@
+describe('async function tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  const getResult = () => {
+    return closureStack.get('promise').then(() => closureStack.get('result'))
+  }
+
+  describe('async function tests', () => {
+    it('should return a promise resolved with returned value', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function f(a) {
+          result.push('start');
+          return a + 1;
+        }
+        var promise = f(1).then(function (value) {
+          result.push(value);
+        });
+
+        result.push(promise instanceof Promise);
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql(['start', true, 2])
+      })
+    })
+
+    it('should suspend at await and resume with settled value', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function f() {
+          var a = await Promise.resolve(1);
+          result.push(a);
+          var b = await 2;
+          result.push(b);
+          return a + b;
+        }
+        var promise = f().then(function (value) {
+          result.push(value);
+        });
+
+        result.push('sync');
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql(['sync', 1, 2, 3])
+      })
+    })
+
+    it('should throw rejected reason at await', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function f() {
+          try {
+            await Promise.reject(new Error('rejected'));
+          } catch (e) {
+            result.push(e.message);
+          }
+          throw new Error('thrown');
+        }
+        var promise = f().catch(function (e) {
+          result.push(e.message);
+        });
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql(['rejected', 'thrown'])
+      })
+    })
+
+    it('should reject given error thrown while binding arguments', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function f({a}) {}
+
+        var promise = f().catch(function (e) {
+          result.push(e instanceof TypeError);
+        });
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([true])
+      })
+    })
+
+    it('should support async arrow functions with lexical this and methods', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        var obj = {
+          name: 'obj',
+          async method() {
+            var arrow = async () => this.name;
+
+            return await arrow();
+          }
+        };
+        class Foo {
+          async method(x) {
+            return x * 2;
+          }
+        }
+        var promise = Promise.all([obj.method(), new Foo().method(2)]).then(function (values) {
+          result = values;
+        });
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql(['obj', 4])
+      })
+    })
+
+    it('should evaluate await in expressions and loops', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function f() {
+          for (var i = 0; i < 3; i++) {
+            result.push(i + await Promise.resolve(i * 10));
+          }
+          return (await 1) ? await 'yes' : 'no';
+        }
+        var promise = f().then(function (value) {
+          result.push(value);
+        });
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([0, 11, 22, 'yes'])
+      })
+    })
+
+    it('should restore scriptUrl and closure after await', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+        var deferred = {};
+
+        async function f() {
+          let local = 'local';
+
+          await new Promise(function (resolve) {
+            deferred.resolve = resolve;
+          });
+          result.push(local);
+        }
+        var promise = f();
+      `)
+      esprimaParser.parseAst(ast, 'scriptUrl')
+
+      const anotherAst = esprima.parse(`
+        deferred.resolve();
+      `)
+      esprimaParser.parseAst(anotherAst, 'anotherScriptUrl')
+
+      expect(esprimaParser.scriptUrl).to.be.equal('anotherScriptUrl')
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql(['local'])
+        expect(esprimaParser.scriptUrl).to.be.equal('anotherScriptUrl')
+      })
+    })
+  })
+
+  describe('for await...of tests', () => {
+    it('should iterate async iterable', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+        var iterable = {};
+
+        iterable[Symbol.asyncIterator] = function () {
+          var i = 0;
+
+          return {
+            next: function () {
+              i++;
+              return Promise.resolve({value: i, done: i > 3});
+            }
+          };
+        };
+        async function f() {
+          for await (const value of iterable) {
+            result.push(value);
+          }
+        }
+        var promise = f();
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([1, 2, 3])
+      })
+    })
+
+    it('should iterate sync iterable with values awaited', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function f() {
+          for await (var value of [Promise.resolve(1), 2, Promise.resolve(3)]) {
+            result.push(value);
+          }
+        }
+        var promise = f();
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([1, 2, 3])
+      })
+    })
+
+    it('should close iterator given loop exited early', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        function* gen() {
+          try {
+            yield 1;
+            yield 2;
+          } finally {
+            result.push('closed');
+          }
+        }
+        async function f() {
+          for await (const value of gen()) {
+            result.push(value);
+            break;
+          }
+          try {
+            for await (const value of gen()) {
+              throw new Error('thrown');
+            }
+          } catch (e) {
+            result.push(e.message);
+          }
+        }
+        var promise = f();
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([1, 'closed', 'closed', 'thrown'])
+      })
+    })
+
+    it('should reject given iterator result is not an object', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+        var iterable = {};
+
+        iterable[Symbol.asyncIterator] = function () {
+          return {
+            next: function () {
+              return Promise.resolve(1);
+            }
+          };
+        };
+        async function f() {
+          for await (const value of iterable) {}
+        }
+        var promise = f().catch(function (e) {
+          result.push(e instanceof TypeError);
+        });
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([true])
+      })
+    })
+  })
+  describe('async generator tests', () => {
+    it('should settle requests in order with values yielded, awaited and returned', () => {
+      resetVariables('gen', 'result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function* gen(a) {
+          try {
+            result.push('start');
+            var b = yield a;
+            result.push(b);
+            yield await Promise.resolve(2);
+            yield Promise.resolve(3);
+            return 4;
+          } finally {
+            result.push('finally');
+          }
+        }
+        var it = gen(1);
+        var promise = Promise.all([it.next('ignored'), it.next('b'), it.next(), it.next(), it.next()]).then(function (steps) {
+          result.push(steps);
+        });
+
+        result.push(
+          Object.prototype.toString.call(gen),
+          Object.prototype.toString.call(it),
+          it[Symbol.asyncIterator]() === it,
+          Object.getPrototypeOf(it) === gen.prototype
+        );
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([
+          'start', '[object AsyncGeneratorFunction]', '[object AsyncGenerator]', true, true,
+          'b', 'finally',
+          [
+            {value: 1, done: false},
+            {value: 2, done: false},
+            {value: 3, done: false},
+            {value: 4, done: true},
+            {value: undefined, done: true}
+          ]
+        ])
+      })
+    })
+
+    it('should be iterated by for await and delegate by yield*', () => {
+      resetVariables('inner', 'outer', 'Obj', 'result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function* inner() {
+          try {
+            yield 'inner 1';
+            yield 'inner 2';
+          } finally {
+            result.push('inner finally');
+          }
+          return 'inner done';
+        }
+        async function* outer() {
+          result.push(yield* inner());
+          yield* ['sync 1', Promise.resolve('sync 2')];
+          yield 'outer';
+          yield 'unreached';
+        }
+        class Obj {
+          async *[Symbol.asyncIterator]() {
+            yield 'method';
+          }
+        }
+        var promise = (async function () {
+          for await (const value of outer()) {
+            result.push(value);
+
+            if (value === 'outer') {
+              break;
+            }
+          }
+          for await (const value of new Obj()) {
+            result.push(value);
+          }
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([
+          'inner 1', 'inner 2', 'inner finally', 'inner done', 'sync 1', 'sync 2', 'outer', 'method'
+        ])
+      })
+    })
+
+    it('should throw error passed to throw at yield and reject after finished', () => {
+      resetVariables('gen', 'result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function* gen() {
+          try {
+            yield 1;
+          } catch (e) {
+            yield 'caught ' + e;
+          }
+        }
+        var promise = (async function () {
+          var it = gen();
+
+          await it.next();
+          result.push(await it.throw('error'));
+          result.push(await it.next());
+          try {
+            await it.throw('again');
+          } catch (e) {
+            result.push(e);
+          }
+          result.push(await it.return('returned'));
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([
+          {value: 'caught error', done: false},
+          {value: undefined, done: true},
+          'again',
+          {value: 'returned', done: true}
+        ])
+      })
+    })
+
+    it('should keep return given finally block yields or awaits', () => {
+      resetVariables('gen', 'result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function* gen() {
+          for (var i = 0; i < 3; i++) {
+            try {
+              yield i;
+            } finally {
+              yield 'finally ' + i;
+              await null;
+            }
+          }
+          return 5;
+        }
+        var promise = (async function () {
+          var it = gen();
+
+          await it.next();
+          result.push(await it.return(9), await it.next(), await it.next());
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([
+          {value: 'finally 0', done: false},
+          {value: 9, done: true},
+          {value: undefined, done: true}
+        ])
+      })
+    })
+
+    it('should keep return given for await closes async iterator in loop', () => {
+      resetVariables('source', 'gen', 'result', 'promise')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        async function* source() {
+          try {
+            yield 1;
+            yield 2;
+          } finally {
+            result.push('closed');
+          }
+        }
+        async function* gen() {
+          for await (const value of source()) {
+            yield value;
+          }
+          return 5;
+        }
+        var promise = (async function () {
+          var it = gen();
+
+          await it.next();
+          result.push(await it.return(9), await it.next());
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([
+          'closed',
+          {value: 9, done: true},
+          {value: undefined, done: true}
+        ])
+      })
+    })
+
+    it('should report async functions as AsyncFunction', () => {
+      resetVariables('result', 'promise')
+
+      const ast = esprima.parse(`
+        var promise = Promise.resolve();
+        var result = [
+          Object.prototype.toString.call(async function () {}),
+          Object.prototype.toString.call(async () => {}),
+          Object.prototype.toString.call({async method() {}}.method),
+          (async function () {}) instanceof Function
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      return getResult().then((result) => {
+        expect(result).to.be.eql([
+          '[object AsyncFunction]', '[object AsyncFunction]', '[object AsyncFunction]', true
+        ])
+      })
+    })
+  })
+})
@@ -0,0 +1,393 @@
+describe('block closure tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  describe('let / const tests', () => {
+    it('should bind let / const to block', () => {
+      resetVariables('a', 'result')
+
+      const ast = esprima.parse(`
+        var a = 1;
+        var result = [];
+        {
+          let a = 2;
+          const b = 3;
+
+          result.push(a, b);
+        }
+        result.push(a, typeof b);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([2, 3, 1, 'undefined'])
+    })
+
+    it('should not set top-level let / const to context', () => {
+      resetVariables('topLevelLet')
+
+      const ast = esprima.parse(`
+        let topLevelLet = 1;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('topLevelLet')).to.be.equal(1)
+      expect(esprimaParser.context).to.not.have.property('topLevelLet')
+    })
+
+    it('should keep var in function closure given declared in block', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function () {
+          {
+            let a = 1;
+            var b = a + 1;
+          }
+          return b;
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(2)
+    })
+
+    it('should bind let / const in function body to function', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        let a = 'global';
+        var result = (function () {
+          let a = 'function';
+
+          return a;
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal('function')
+      expect(closureStack.get('a')).to.be.equal('global')
+    })
+
+    it('should share one block closure among cases in switch', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result;
+
+        switch (1) {
+          case 1:
+            let a = 1;
+          case 2:
+            a += 1;
+            result = a;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(2)
+    })
+
+    it('should bind catch param to catch block', () => {
+      resetVariables('e', 'result')
+
+      const ast = esprima.parse(`
+        var e = 'outer';
+        var result;
+
+        try {
+          throw 'inner';
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal('inner')
+      expect(closureStack.get('e')).to.be.equal('outer')
+    })
+  })
+
+  describe('temporal dead zone tests', () => {
+    it('should throw ReferenceError given let accessed before initialization', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result;
+
+        try {
+          result = a;
+          let a = 1;
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(ReferenceError)
+    })
+
+    it('should shadow outer variable in temporal dead zone', () => {
+      resetVariables('a', 'result')
+
+      const ast = esprima.parse(`
+        var a = 1;
+        var result = (function () {
+          try {
+            a = 2;
+            let a;
+          } catch (e) {
+            return e;
+          }
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(ReferenceError)
+      expect(closureStack.get('a')).to.be.equal(1)
+    })
+
+    it('should allow access from function called after initialization', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function () {
+          function get() {
+            return a;
+          }
+          let a = 1;
+
+          return get();
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(1)
+    })
+  })
+
+  describe('const tests', () => {
+    it('should throw TypeError given const reassigned', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function () {
+          const a = 1;
+
+          try {
+            a = 2;
+          } catch (e) {
+            return [e, a];
+          }
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      const result = closureStack.get('result')
+
+      expect(result[0]).to.be.instanceof(TypeError)
+      expect(result[1]).to.be.equal(1)
+    })
+
+    it('should throw TypeError given const updated', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function () {
+          const a = 1;
+
+          try {
+            a++;
+          } catch (e) {
+            return e;
+          }
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(TypeError)
+    })
+  })
+
+  describe('per-iteration binding tests', () => {
+    it('should bind let in for statement freshly each iteration', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var fns = [];
+
+        for (let i = 0; i < 3; i++) {
+          fns.push(function () {
+            return i;
+          });
+        }
+        var result = fns.map(function (fn) {
+          return fn();
+        });
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([0, 1, 2])
+    })
+
+    it('should keep updates in body visible to next iteration', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        for (let i = 0; i < 6; i++) {
+          result.push(i);
+          i++;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([0, 2, 4])
+    })
+
+    it('should not leak let in for statement', () => {
+      resetVariables('i', 'result')
+
+      const ast = esprima.parse(`
+        for (let i = 0; i < 3; i++);
+
+        var result = typeof i;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal('undefined')
+    })
+
+    it('should bind let / const in for-in statement freshly each iteration', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var fns = [];
+
+        for (const key in {a: 1, b: 2}) {
+          fns.push(function () {
+            return key;
+          });
+        }
+        var result = fns.map(function (fn) {
+          return fn();
+        });
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['a', 'b'])
+    })
+
+    it('should handle break and continue in for statement with let', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        for (let i = 0; i < 10; i++) {
+          if (i === 1) {
+            continue;
+          }
+          if (i === 3) {
+            break;
+          }
+          result.push(function () {
+            return i;
+          });
+        }
+        result = result.map(function (fn) {
+          return fn();
+        });
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([0, 2])
+    })
+  })
+
+  describe('bindings named after members of Object.prototype tests', () => {
+    it('should bind let / const named after members of Object.prototype', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [];
+        {
+          const hasOwnProperty = Object.prototype.hasOwnProperty;
+          let toString = 1;
+          let valueOf;
+
+          valueOf = 2;
+          toString++;
+          result.push(hasOwnProperty.call({a: 1}, 'a'), toString, valueOf);
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([true, 2, 2])
+    })
+
+    it('should keep temporal dead zone and constants of bindings named after members of Object.prototype', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [];
+        {
+          try {
+            constructor;
+          } catch (e) {
+            result.push(e.name);
+          }
+          let constructor = 1;
+        }
+        {
+          const isPrototypeOf = 1;
+
+          try {
+            isPrototypeOf = 2;
+          } catch (e) {
+            result.push(e.name, isPrototypeOf);
+          }
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['ReferenceError', 'TypeError', 1])
+    })
+
+    it('should bind params and var named after members of Object.prototype', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function (hasOwnProperty = 1, propertyIsEnumerable) {
+          var toLocaleString = 3;
+          let y = 4;
+
+          return [hasOwnProperty, propertyIsEnumerable, toLocaleString, y];
+        })(undefined, 2);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 2, 3, 4])
+    })
+
+    it('should bind __proto__ as own variable rather than prototype of closure', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function () {
+          let __proto__ = 1;
+          {
+            const __proto__ = 2;
+          }
+          return __proto__;
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(1)
+    })
+  })
+})
@@ -0,0 +1,132 @@
+describe('execution budget', () => {
+  it('should abort script exceeding step budget by error page never catches', () => {
+    resetVariables('result')
+    const onDiagnostic = sandbox.spy()
+
+    esprimaParser = new EsprimaParser(global, {maxSteps: 1000, onDiagnostic})
+
+    const ast = esprima.parse(`
+      var result = [];
+      try {
+        while (true) {}
+      } catch (e) {
+        result.push('caught');
+      } finally {
+        result.push('finally');
+      }
+    `, {loc: true})
+
+    expect(() => {
+      esprimaParser.parseAst(ast, 'http://x/a.js')
+    }).to.throw(esprimaParser.InterpreterError, /Execution budget exceeded, 1001 steps in \d+ ms at http:\/\/x\/a\.js:\d+:\d+$/)
+    expect(esprimaParser.closureStack.get('result')).to.be.eql([])
+    expect(esprimaParser.diagnostics.length).to.be.equal(1)
+    expect(esprimaParser.diagnostics[0]).to.include({
+      scriptUrl: 'http://x/a.js',
+      action: EsprimaParser.ABORT
+    })
+    expect(onDiagnostic.calledOnce).to.be.true
+    expect(onDiagnostic.args[0][0]).to.be.equal(esprimaParser.diagnostics[0])
+    expect(onDiagnostic.args[0][1]).to.match(/^Execution budget exceeded, .*, aborted$/)
+  })
+
+  it('should give each callback called by page its own budget', () => {
+    resetVariables('callback', 'count')
+    esprimaParser = new EsprimaParser(global, {maxSteps: 1000})
+
+    const ast = esprima.parse(`
+      var count = 0;
+      var callback = function () {
+        for (var i = 0; i < 50; i++) {
+          count++;
+        }
+      };
+    `, {loc: true})
+    esprimaParser.parseAst(ast, 'http://x/a.js')
+
+    const callback = esprimaParser.closureStack.get('callback')
+
+    for (let i = 0; i < 5; i++) {
+      callback()
+    }
+    expect(esprimaParser.closureStack.get('count')).to.be.equal(250)
+    expect(esprimaParser.diagnostics).to.be.eql([])
+  })
+
+  it('should abort script exceeding time budget', () => {
+    esprimaParser = new EsprimaParser(global, {maxTime: 20})
+
+    const ast = esprima.parse('for (;;) {}', {loc: true})
+
+    expect(() => {
+      esprimaParser.parseAst(ast, 'http://x/a.js')
+    }).to.throw(esprimaParser.InterpreterError, 'Execution budget exceeded')
+  })
+
+  it('should run top level statements in slices yielding to page between them', () => {
+    resetVariables('a', 'b', 'first', 'late', 'ticks')
+    esprimaParser = new EsprimaParser(global, {timeSlice: 1})
+
+    const code = `
+      var first = late();
+      var a = 0;
+      for (var i = 0; i < 2000; i++) { a++ }
+      var b = 0;
+      for (var j = 0; j < 2000; j++) { b++ }
+      function late() { return 'hoisted' }
+    `
+    const progress = []
+    const timer = setInterval(() => { global.ticks = (global.ticks || 0) + 1 }, 0)
+
+    return esprimaParser.parseAstInSlices(esprima.parse(code, {loc: true}), 'http://x/a.js', code, ({done, total}) => {
+      progress.push([done, total])
+    }).then(() => {
+      clearInterval(timer)
+
+      expect(esprimaParser.closureStack.get('first')).to.be.equal('hoisted')
+      expect(esprimaParser.closureStack.get('a')).to.be.equal(2000)
+      expect(esprimaParser.closureStack.get('b')).to.be.equal(2000)
+      expect(progress.length).to.be.above(1)
+      expect(progress[progress.length - 1]).to.be.eql([5, 5])
+    })
+  })
+
+  it('should abort script run in slices given time of all slices exceeds time budget', () => {
+    resetVariables('done', 't')
+    esprimaParser = new EsprimaParser(global, {maxTime: 30, timeSlice: 1})
+
+    const statement = 'var t = Date.now(); while (Date.now() - t < 10) {} done++;'
+    const code = `var done = 0; ${statement.repeat(6)}`
+
+    return esprimaParser.parseAstInSlices(esprima.parse(code, {loc: true}), 'http://x/a.js', code)
+      .then(() => {
+        throw new Error('should not resolve')
+      }, (e) => {
+        expect(e).to.be.instanceof(esprimaParser.InterpreterError)
+        expect(e.message).to.match(/^Execution budget exceeded/)
+        expect(esprimaParser.closureStack.get('done')).to.be.below(6)
+      })
+  })
+
+  it('should run script at once before its promise callbacks and timers given no timeSlice', () => {
+    resetVariables('order', 't')
+    esprimaParser = new EsprimaParser(global)
+
+    const code = `
+      var order = [];
+      Promise.resolve().then(function () { order.push('microtask') });
+      setTimeout(function () { order.push('timer') }, 0);
+      var t = Date.now();
+      while (Date.now() - t < 60) {}
+      order.push('end of script');
+    `
+
+    return esprimaParser.parseAstInSlices(esprima.parse(code, {loc: true}), 'http://x/a.js', code)
+      .then(() => new Promise((resolve) => setTimeout(resolve, 10)))
+      .then(() => {
+        expect(esprimaParser.closureStack.get('order')).to.be.eql([
+          'end of script', 'microtask', 'timer'
+        ])
+      })
+  })
+})
@@ -54,6 +54,38 @@ describe('choice', () => {
       expect(closureStack.get('b')).to.be.equal('case 2')
       expect(closureStack.get('c')).to.be.equal('case other')
     })
+
+    it('should match cases after default before falling back to default', () => {
+      resetVariables('test', 'result')
+
+      const ast = esprima.parse(`
+        var test = function (num) {
+          var log = [];
+
+          switch (num) {
+            case 1:
+              log.push('case 1');
+            default:
+              log.push('default');
+            case 2:
+              log.push('case 2');
+              break;
+            case 3:
+              log.push('case 3');
+          }
+          return log;
+        };
+        var result = [test(1), test(2), test(3), test(4)];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        ['case 1', 'default', 'case 2'],
+        ['case 2'],
+        ['case 3'],
+        ['default', 'case 2']
+      ])
+    })
   })
 
   describe('condition tests', () => {
@@ -0,0 +1,445 @@
+describe('class tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  describe('declaration tests', () => {
+    it('should create instances with constructor and methods', () => {
+      resetVariables('Point', 'result')
+
+      const ast = esprima.parse(`
+        class Point {
+          constructor(x, y) {
+            this.x = x;
+            this.y = y;
+          }
+          sum() {
+            return this.x + this.y;
+          }
+        }
+        var point = new Point(1, 2);
+        var result = [point.sum(), point instanceof Point, Point.length, Object.keys(Point.prototype)];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([3, true, 2, []])
+    })
+
+    it('should create instances given no constructor', () => {
+      resetVariables('Empty', 'result')
+
+      const ast = esprima.parse(`
+        class Empty {}
+        var result = [new Empty() instanceof Empty, Empty.length];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([true, 0])
+    })
+
+    it('should throw TypeError given class called without new', () => {
+      resetVariables('Empty', 'result')
+
+      const ast = esprima.parse(`
+        class Empty {}
+        var result;
+
+        try {
+          Empty();
+          result = 'not thrown';
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(TypeError)
+    })
+
+    it('should throw TypeError given method called with new', () => {
+      resetVariables('Base', 'result')
+
+      const ast = esprima.parse(`
+        class Base {
+          method() {}
+          static create() {}
+        }
+        var result = [];
+
+        try {
+          new (new Base().method)();
+        } catch (e) {
+          result.push(e);
+        }
+        try {
+          new Base.create();
+        } catch (e) {
+          result.push(e);
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      const result = closureStack.get('result')
+
+      expect(result).to.have.lengthOf(2)
+      expect(result[0]).to.be.instanceof(TypeError)
+      expect(result[1]).to.be.instanceof(TypeError)
+    })
+
+    it('should keep class declaration in temporal dead zone', () => {
+      resetVariables('Later', 'result')
+
+      const ast = esprima.parse(`
+        var result;
+
+        try {
+          new Later();
+          result = 'not thrown';
+        } catch (e) {
+          result = e;
+        }
+        class Later {}
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(ReferenceError)
+    })
+
+    it('should bind class name inside class expression only', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var Anonymous = class Named {
+          self() {
+            return Named;
+          }
+        };
+        var result = [new Anonymous().self() === Anonymous, typeof Named];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([true, 'undefined'])
+    })
+
+    it('should define static methods, getters and setters', () => {
+      resetVariables('Temperature', 'result')
+
+      const ast = esprima.parse(`
+        var unit = 'Celsius';
+
+        class Temperature {
+          static fromFahrenheit(value) {
+            var temperature = new this();
+
+            temperature.fahrenheit = value;
+
+            return temperature;
+          }
+          get fahrenheit() {
+            return this.celsius * 9 / 5 + 32;
+          }
+          set fahrenheit(value) {
+            this.celsius = (value - 32) * 5 / 9;
+          }
+          ['to' + unit]() {
+            return this.celsius;
+          }
+        }
+        var temperature = Temperature.fromFahrenheit(212);
+        var result = [temperature.toCelsius(), temperature.fahrenheit];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([100, 212])
+    })
+  })
+
+  describe('extends tests', () => {
+    it('should call super constructor and super methods', () => {
+      resetVariables('Animal', 'Dog', 'result')
+
+      const ast = esprima.parse(`
+        class Animal {
+          constructor(name) {
+            this.name = name;
+          }
+          speak() {
+            return this.name + ' makes a sound';
+          }
+          static create(name) {
+            return new this(name);
+          }
+        }
+        class Dog extends Animal {
+          constructor(name) {
+            super(name + ' the dog');
+          }
+          speak() {
+            return super.speak() + ' woof';
+          }
+          static create(name) {
+            return super.create(name.toUpperCase());
+          }
+        }
+        var dog = Dog.create('rex');
+        var result = [dog.speak(), dog instanceof Dog, dog instanceof Animal];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        'REX the dog makes a sound woof', true, true
+      ])
+    })
+
+    it('should pass arguments to super given no constructor', () => {
+      resetVariables('Base', 'Derived', 'result')
+
+      const ast = esprima.parse(`
+        class Base {
+          constructor(a, b) {
+            this.sum = a + b;
+          }
+        }
+        class Derived extends Base {}
+
+        var result = new Derived(1, 2).sum;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(3)
+    })
+
+    it('should extend native classes', () => {
+      resetVariables('CustomError', 'result')
+
+      const ast = esprima.parse(`
+        class CustomError extends Error {
+          constructor(message) {
+            super(message);
+            this.name = 'CustomError';
+          }
+        }
+        var error = new CustomError('boom');
+        var result = [error instanceof Error, error instanceof CustomError, String(error)];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([true, true, 'CustomError: boom'])
+    })
+
+    it('should extend interpreted functions', () => {
+      resetVariables('Base', 'Derived', 'result')
+
+      const ast = esprima.parse(`
+        function Base(value) {
+          this.value = value;
+        }
+        Base.prototype.get = function () {
+          return this.value;
+        };
+        class Derived extends Base {}
+
+        var result = new Derived('value').get();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal('value')
+    })
+
+    it('should throw ReferenceError given this accessed before super()', () => {
+      resetVariables('Base', 'Derived', 'result')
+
+      const ast = esprima.parse(`
+        class Base {}
+        class Derived extends Base {
+          constructor() {
+            this.value = 1;
+            super();
+          }
+        }
+        var result;
+
+        try {
+          new Derived();
+          result = 'not thrown';
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(ReferenceError)
+    })
+
+    it('should throw ReferenceError given super() called twice', () => {
+      resetVariables('Base', 'Derived', 'result')
+
+      const ast = esprima.parse(`
+        class Base {}
+        class Derived extends Base {
+          constructor() {
+            super();
+            super();
+          }
+        }
+        var result;
+
+        try {
+          new Derived();
+          result = 'not thrown';
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(ReferenceError)
+    })
+
+    it('should throw TypeError given derived constructor returns primitive and keep running later statements', () => {
+      resetVariables('Base', 'Derived', 'result')
+
+      const ast = esprima.parse(`
+        class Base {}
+        class Derived extends Base {
+          constructor() {
+            super();
+            return 1;
+          }
+        }
+        var result = [];
+
+        try {
+          new Derived();
+          result.push('not thrown');
+        } catch (e) {
+          result.push(e);
+        }
+        result.push('after');
+      `)
+      esprimaParser.parseAst(ast)
+
+      const result = closureStack.get('result')
+
+      expect(result).to.have.lengthOf(2)
+      expect(result[0]).to.be.instanceof(TypeError)
+      expect(result[1]).to.be.equal('after')
+    })
+
+    it('should throw ReferenceError given class extends itself', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result;
+
+        try {
+          class Self extends Self {}
+          result = 'not thrown';
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(ReferenceError)
+    })
+
+    it('should throw TypeError given invalid superclass', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result;
+
+        try {
+          (class extends 1 {});
+          result = 'not thrown';
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(TypeError)
+    })
+
+    it('should call super() in arrow function', () => {
+      resetVariables('Base', 'Derived', 'result')
+
+      const ast = esprima.parse(`
+        class Base {
+          constructor(value) {
+            this.value = value;
+          }
+        }
+        class Derived extends Base {
+          constructor() {
+            var init = () => super('arrow');
+
+            init();
+          }
+        }
+        var result = new Derived().value;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal('arrow')
+    })
+
+    it('should return object returned explicitly by constructor', () => {
+      resetVariables('Base', 'result')
+
+      const ast = esprima.parse(`
+        class Base {
+          constructor() {
+            return {overridden: true};
+          }
+        }
+        var result = new Base();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql({overridden: true})
+    })
+  })
+
+  describe('new.target tests', () => {
+    it('should refer to constructor called with new', () => {
+      resetVariables('Base', 'Derived', 'result')
+
+      const ast = esprima.parse(`
+        class Base {
+          constructor() {
+            this.target = new.target;
+          }
+        }
+        class Derived extends Base {}
+
+        var result = [
+          new Base().target === Base,
+          new Derived().target === Derived
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([true, true])
+    })
+
+    it('should be undefined in methods', () => {
+      resetVariables('Base', 'result')
+
+      const ast = esprima.parse(`
+        class Base {
+          method() {
+            return new.target;
+          }
+        }
+        var result = new Base().method();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.undefined
+    })
+  })
+})
@@ -116,6 +116,26 @@ describe('MANIPULATION of collection', () => {
 
         checkEmptyCollection(element)
       })
+
+      it('should generate code only of tracked expression and only once', () => {
+        sandbox.spy(esprimaParser.escodegen, 'generate')
+
+        const ast = esprima.parse(`
+          var element = document.getElementById('element');
+          var attrs = element.attributes;
+
+          for (var i = 0; i < 3; i++) {
+            attrs[0].value = Math.max(i, 0);
+          }
+        `, {loc: true})
+
+        esprimaParser.parseAst(ast, scriptUrl)
+
+        expect(esprimaParser.escodegen.generate.calledOnce).to.be.true
+        checkCollectionDataByElements(element, [
+          {loc: `[6:12]-[6:43]`, code: 'attrs[0].value = Math.max(i, 0)'}
+        ])
+      })
     })
 
     /*************************/
@@ -156,6 +176,27 @@ describe('MANIPULATION of collection', () => {
         ])
       })
 
+      it('should add code assigning property bound by with statement to collection', () => {
+        element.style.color = ''
+
+        const ast = esprima.parse(`
+          var element = document.getElementById('element');
+
+          with (element.style) {
+            color = 'red';
+          }
+        `, {loc: true})
+
+        esprimaParser.parseAst(ast, scriptUrl)
+
+        expect(element.style).to.have.property('color', 'red')
+
+        checkCollectionIds(element);
+        checkCollectionDataByElements(element, [
+          {loc: `[5:12]-[5:25]`, code: 'color = \'red\''}
+        ])
+      })
+
       it('should not add code to collection for getting style property', () => {
         element.style.color = 'red'
 
@@ -218,6 +259,170 @@ describe('MANIPULATION of collection', () => {
         ])
       })
 
+      it('should add code to collection given spread arguments', () => {
+        const classList = element.classList
+
+        classList.add = sandbox.spy()
+
+        const ast = esprima.parse(`
+          var element = document.getElementById('element');
+          var classes = ['class1', 'class2'];
+
+          element.classList.add(...classes);
+        `, {loc: true})
+
+        esprimaParser.parseAst(ast, scriptUrl)
+
+        expect(classList.add.calledWithExactly('class1', 'class2')).to.be.true
+
+        checkCollectionIds(element)
+        checkCollectionDataByElements(element, [
+          {loc: `[5:10]-[5:43]`, code: 'element.classList.add(...classes)'}
+        ])
+      })
+
+      it('should add code to collection given called in for...of loop', () => {
+        const classList = element.classList
+
+        classList.add = sandbox.spy()
+
+        sandbox.stub(
+          esprimaParser.context.document,
+          'querySelectorAll'
+        ).returns([element])
+
+        const ast = esprima.parse(`
+          for (const el of document.querySelectorAll('.x')) el.classList.add('y');
+        `, {loc: true})
+
+        esprimaParser.parseAst(ast, scriptUrl)
+
+        expect(classList.add.calledWithExactly('y')).to.be.true
+
+        checkCollectionIds(element)
+        checkCollectionDataByElements(element, [
+          {loc: `[2:60]-[2:81]`, code: 'el.classList.add(\'y\')'}
+        ])
+      })
+
+      it('should add code to collection given called in optional chain', () => {
+        const classList = element.classList
+
+        classList.add = sandbox.spy()
+
+        const ast = esprima.parse(`
+          var el = document.getElementById('element');
+          var none = null;
+
+          el?.classList?.add('x');
+          none?.classList.add('y');
+        `, {loc: true})
+
+        esprimaParser.parseAst(ast, scriptUrl)
+
+        expect(classList.add.calledOnce).to.be.true
+        expect(classList.add.calledWithExactly('x')).to.be.true
+
+        checkCollectionIds(element)
+        checkCollectionDataByElements(element, [
+          {loc: `[5:10]-[5:33]`, code: 'el?.classList?.add(\'x\')'}
+        ])
+      })
+
+      it('should add code to collection with script where generator is defined given resumed in other script', () => {
+        const classList = element.classList
+
+        classList.add = sandbox.spy()
+
+        const ast = esprima.parse(`
+          var element = document.getElementById('element');
+
+          function* gen() {
+            var name = yield;
+
+            element.classList.add(name);
+          }
+          var it = gen();
+
+          it.next();
+        `, {loc: true})
+        const anotherAst = esprima.parse(`
+          it.next('class1');
+        `, {loc: true})
+
+        esprimaParser.parseAst(ast, scriptUrl)
+        esprimaParser.parseAst(anotherAst, 'anotherScriptUrl')
+
+        expect(classList.add.calledWithExactly('class1')).to.be.true
+        expect(esprimaParser.scriptUrl).to.be.equal('anotherScriptUrl')
+
+        checkCollectionIds(element)
+        checkCollectionDataByElements(element, [
+          {loc: `[7:12]-[7:39]`, code: 'element.classList.add(name)'}
+        ])
+      })
+
+      it('should add code to collection with script where async function is defined given resumed after await', () => {
+        const classList = element.classList
+
+        classList.add = sandbox.spy()
+
+        const ast = esprima.parse(`
+          var element = document.getElementById('element');
+          var deferred = {};
+
+          async function update() {
+            var name = await new Promise(function (resolve) {
+              deferred.resolve = resolve;
+            });
+            element.classList.add(name);
+          }
+          var updated = update();
+        `, {loc: true})
+        const anotherAst = esprima.parse(`
+          deferred.resolve('class1');
+        `, {loc: true})
+
+        esprimaParser.parseAst(ast, scriptUrl)
+        esprimaParser.parseAst(anotherAst, 'anotherScriptUrl')
+
+        return esprimaParser.closureStack.get('updated').then(() => {
+          expect(classList.add.calledWithExactly('class1')).to.be.true
+          expect(esprimaParser.scriptUrl).to.be.equal('anotherScriptUrl')
+
+          checkCollectionIds(element)
+          checkCollectionDataByElements(element, [
+            {loc: `[9:12]-[9:39]`, code: 'element.classList.add(name)'}
+          ])
+        })
+      })
+
+      it('should add code to collection with module where manipulation is made given imported by another module', () => {
+        const moduleUrl = 'http://example.com/js/module.js'
+        const classList = element.classList
+
+        classList.add = sandbox.spy()
+        esprimaParser.moduleLoader.fetchText = sandbox.stub()
+          .withArgs(moduleUrl).returns(Promise.resolve(`
+            export function update(element) {
+              element.classList.add('class1');
+            }
+          `))
+
+        return esprimaParser.runModuleScript(`
+          import {update} from './js/module.js';
+
+          update(document.getElementById('element'));
+        `, 'http://example.com/index.html').then(() => {
+          expect(classList.add.calledWithExactly('class1')).to.be.true
+
+          checkCollectionIds(element)
+          expect(
+            collection.data[element.dataset.collectionId][M][moduleUrl]
+          ).to.have.property(`[3:14]-[3:45]`, 'element.classList.add(\'class1\')')
+        })
+      })
+
       it('should not add code to collection (item, contains)', () => {
         const classList = element.classList
 
@@ -276,6 +481,57 @@ describe('MANIPULATION of collection', () => {
         ])
       })
 
+      it('should add code to collection given template literals', () => {
+        const ast = esprima.parse(`
+          var element = document.getElementById('element');
+          var item = 'item';
+
+          element.innerHTML = \`<li>\${item}</li>\`;
+        `, {loc: true})
+
+        esprimaParser.parseAst(ast, scriptUrl)
+
+        expect(element).to.have.property('innerHTML', '<li>item</li>')
+
+        checkCollectionIds(element)
+        checkCollectionDataByElements(element, [
+          {loc: `[5:10]-[5:48]`, code: 'element.innerHTML = `<li>${ item }</li>`'}
+        ])
+      })
+
+      it('should add code to collection given called in class methods', () => {
+        element.append = sandbox.spy()
+
+        const ast = esprima.parse(`
+          class Widget {
+            constructor(id) {
+              this.element = document.getElementById(id);
+            }
+            render(text) {
+              this.element.append(text);
+            }
+          }
+          class Label extends Widget {
+            render(text) {
+              super.render(text);
+              this.element.innerHTML = text;
+            }
+          }
+          new Label('element').render('text');
+        `, {loc: true})
+
+        esprimaParser.parseAst(ast, scriptUrl)
+
+        expect(element).to.have.property('innerHTML', 'text')
+        expect(element.append.calledWith('text')).to.be.true
+
+        checkCollectionIds(element)
+        checkCollectionDataByElements(element, [
+          {loc: `[7:14]-[7:39]`, code: 'this.element.append(text)'},
+          {loc: `[13:14]-[13:43]`, code: 'this.element.innerHTML = text'}
+        ])
+      })
+
       it('should not add code to collection for getting property value', () => {
         element.id = 'element'
         element.innerHTML = 'Hello World'
@@ -0,0 +1,227 @@
+describe('destructuring tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  describe('declaration tests', () => {
+    it('should destructure object and array patterns in var / let / const', () => {
+      resetVariables('a', 'c', 'result')
+
+      const ast = esprima.parse(`
+        var {a, b: c} = {a: 1, b: 2};
+        let [d, , e] = [3, 4, 5];
+        const {f: [g, {h}]} = {f: [6, {h: 7}]};
+        var result = [a, c, d, e, g, h];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 2, 3, 5, 6, 7])
+    })
+
+    it('should use default values only given undefined', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var count = 0;
+        var {a = ++count, b = ++count} = {a: null};
+        var [c = ++count, d = ++count] = [0];
+        var result = [a, b, c, d, count];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([null, 1, 0, 2, 2])
+    })
+
+    it('should collect rest elements and rest properties', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var [a, ...b] = 'xyz';
+        var result = [a, b];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['x', ['y', 'z']])
+    })
+
+    it('should evaluate computed keys', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var key = 'b';
+        var {[key]: value} = {b: 'computed'};
+        var result = value;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal('computed')
+    })
+
+    it('should hoist names in patterns', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function () {
+          var before = typeof a;
+          var {a} = {a: 1};
+
+          return [before, a];
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['undefined', 1])
+    })
+
+    it('should throw TypeError given null or undefined destructured', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result;
+
+        try {
+          var {a} = null;
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(TypeError)
+    })
+
+    it('should keep let in pattern in temporal dead zone until initialized', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result;
+
+        try {
+          let {a = b, b} = {};
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(ReferenceError)
+    })
+  })
+
+  describe('assignment tests', () => {
+    it('should assign to identifiers and members', () => {
+      resetVariables('a', 'result')
+
+      const ast = esprima.parse(`
+        var a, obj = {}, arr = [];
+        var result = ([a, obj.b, arr[0]] = [1, 2, 3]);
+
+        result = [a, obj.b, arr[0], result.length];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 2, 3, 3])
+    })
+
+    it('should swap variables', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var x = 1, y = 2;
+
+        [x, y] = [y, x];
+
+        var result = [x, y];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([2, 1])
+    })
+
+    it('should throw TypeError given const in pattern reassigned', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result;
+        const a = 1;
+
+        try {
+          ({a} = {a: 2});
+        } catch (e) {
+          result = [e, a];
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      const result = closureStack.get('result')
+
+      expect(result[0]).to.be.instanceof(TypeError)
+      expect(result[1]).to.be.equal(1)
+    })
+  })
+
+  describe('binding tests', () => {
+    it('should destructure function params', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function fn({a, b: [c]}, [d = 4]) {
+          return [a, c, d];
+        }
+        var result = fn({a: 1, b: [3]}, []);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 3, 4])
+    })
+
+    it('should keep length of function with pattern params', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function fn({a}, [b]) {}
+        var result = fn.length;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(2)
+    })
+
+    it('should destructure for-in heads', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        for (const [first, second] in {ab: 1, cd: 2}) {
+          result.push(first + second);
+        }
+        for (var [first] in {ef: 1}) {
+          result.push(first);
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['ab', 'cd', 'e'])
+    })
+
+    it('should destructure catch params', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result;
+
+        try {
+          throw {message: 'error', code: 1};
+        } catch ({message, code}) {
+          result = [message, code];
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['error', 1])
+    })
+  })
+})
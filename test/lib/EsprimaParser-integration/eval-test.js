@@ -0,0 +1,217 @@
+describe('eval', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  describe('scope tests', () => {
+    it('should run direct eval in scope of caller', () => {
+      resetVariables('a', 'test', 'result')
+
+      const ast = esprima.parse(`
+        var a = 'global';
+        var test = function () {
+          var a = 'local';
+          var obj = {
+            method: function () {
+              return eval('[a, this === obj]');
+            }
+          };
+          return obj.method();
+        };
+        var result = test();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['local', true])
+    })
+
+    it('should run indirect eval in global scope', () => {
+      resetVariables('a', 'test', 'result')
+
+      const ast = esprima.parse(`
+        var a = 'global';
+        var test = function () {
+          var a = 'local';
+          var indirect = eval;
+
+          return [indirect('a'), (0, eval)('a'), global.eval('a')];
+        };
+        var result = test();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['global', 'global', 'global'])
+    })
+
+    it('should declare var in scope of caller and keep let in eval code', () => {
+      resetVariables('a', 'b', 'test', 'result')
+
+      const ast = esprima.parse(`
+        var test = function () {
+          eval('var a = 1; let b = 2; function c() { return 3 }');
+
+          return [a, typeof b, c()];
+        };
+        var result = test();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 'undefined', 3])
+    })
+
+    it('should keep value of var declared again by eval code', () => {
+      resetVariables('a', 'result')
+
+      const ast = esprima.parse(`
+        var a = 1;
+        eval('var a');
+        var result = a;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(1)
+    })
+
+    it('should keep var in strict mode eval code', () => {
+      resetVariables('a', 'b', 'test', 'result')
+
+      const ast = esprima.parse(`
+        var test = function () {
+          eval('"use strict"; var a = 1');
+          var inner = function () {
+            'use strict';
+            eval('var b = 1');
+            return typeof b;
+          };
+          return [typeof a, inner()];
+        };
+        var result = test();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['undefined', 'undefined'])
+    })
+  })
+
+  describe('completion value tests', () => {
+    it('should return value of the last expression statement', () => {
+      resetVariables('a', 'b', 'obj', 'result')
+
+      const ast = esprima.parse(`
+        var obj = {};
+        var result = [
+          eval('1; var a = 2'),
+          eval('if (true) { "then" } else { "else" }'),
+          eval('var b = 3'),
+          eval('(function () { 4 })(); 5'),
+          eval(obj) === obj,
+          eval()
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 'then', undefined, 5, true, undefined])
+    })
+  })
+
+  describe('Function tests', () => {
+    it('should create function named anonymous in global scope', () => {
+      resetVariables('a', 'add', 'test', 'result')
+
+      const ast = esprima.parse(`
+        var a = 'global';
+        var add = new Function('a', 'b', 'return a + b');
+        var test = function () {
+          var a = 'local';
+
+          return Function('return [a, this]')();
+        };
+        var result = [add(1, 2), add.name, add.toString(), test()];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        3,
+        'anonymous',
+        'function anonymous(a,b\n) {\nreturn a + b\n}',
+        ['global', global]
+      ])
+    })
+
+    it('should throw SyntaxError given arguments not valid parameters and body', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        try {
+          Function('}); (function () {');
+        } catch (e) {
+          result.push(e instanceof SyntaxError);
+        }
+        try {
+          eval('{');
+        } catch (e) {
+          result.push(e instanceof SyntaxError, e.message);
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([true, true, 'Unexpected end of input'])
+    })
+  })
+
+  describe('timer tests', () => {
+    it('should evaluate string handler of setTimeout in global scope', () => {
+      resetVariables('a', 'done', 'promise', 'result')
+
+      const ast = esprima.parse(`
+        var a = 'global';
+        var done;
+        var promise = new Promise(function (resolve) {
+          done = resolve;
+        });
+        (function () {
+          var a = 'local';
+
+          setTimeout('result = a; done()', 0);
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      return closureStack.get('promise').then(() => {
+        expect(closureStack.get('result')).to.be.equal('global')
+      })
+    })
+  })
+
+  describe('scriptUrl tests', () => {
+    afterEach(() => {
+      delete global.getScriptUrl
+    })
+
+    it('should attribute code evaluated to virtual script', () => {
+      resetVariables('result')
+      global.getScriptUrl = () => esprimaParser.scriptUrl
+
+      const ast = esprima.parse(`
+        var result = [
+          eval('getScriptUrl()'),
+          new Function('return getScriptUrl()')(),
+          eval('getScriptUrl()\\n//# sourceURL=widget.js'),
+          getScriptUrl()
+        ];
+      `, {loc: true})
+      esprimaParser.parseAst(ast, 'http://x/a.js')
+
+      expect(closureStack.get('result')).to.be.eql([
+        'http://x/a.js line 3 > eval',
+        'http://x/a.js line 4 > Function',
+        'widget.js',
+        'http://x/a.js'
+      ])
+    })
+  })
+})
@@ -38,6 +38,21 @@ describe('exception tests', () => {
     expect(closureStack.get('a')).to.be.equal('error')
   })
 
+  it('should catch error threw in try block given catch clause without binding', () => {
+    const ast = esprima.parse(`
+      var a = (function () {
+        try {
+          throw 'error';
+        } catch {
+          return 'caught';
+        }
+      })();
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('a')).to.be.equal('caught')
+  })
+
   it('should always execute finally block', () => {
     const ast = esprima.parse(`
       var a = (function () {
@@ -0,0 +1,215 @@
+describe('for...of tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  const createIterableCode = `
+    var closed = 0;
+    var iterable = {};
+
+    iterable[Symbol.iterator] = function () {
+      var index = 0;
+
+      return {
+        next: function () {
+          index += 1;
+          return {value: index, done: index > 3};
+        },
+        return: function () {
+          closed += 1;
+          return {};
+        }
+      };
+    };
+  `
+
+  it('should iterate over arrays, strings, sets and maps', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result = [];
+
+      for (var value of [1, 2]) {
+        result.push(value);
+      }
+      for (var char of 'ab') {
+        result.push(char);
+      }
+      for (var item of new Set([3])) {
+        result.push(item);
+      }
+      for (var [key, entry] of new Map([['k', 'v']])) {
+        result.push(key, entry);
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([1, 2, 'a', 'b', 3, 'k', 'v'])
+  })
+
+  it('should iterate over custom iterables', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      ${createIterableCode}
+      var result = [];
+
+      for (const value of iterable) {
+        result.push(value);
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([1, 2, 3])
+    expect(closureStack.get('closed')).to.be.equal(0)
+  })
+
+  it('should assign to existing targets given no declaration', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result = {};
+      var a;
+
+      for ([a, result.b] of [[1, 2]]);
+
+      result.a = a;
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql({a: 1, b: 2})
+  })
+
+  it('should bind let / const freshly each iteration', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var fns = [];
+
+      for (const value of [1, 2, 3]) {
+        fns.push(() => value);
+      }
+      var result = fns.map((fn) => fn());
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([1, 2, 3])
+  })
+
+  it('should handle continue and labeled break', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result = [];
+
+      outer:
+      for (const a of [1, 2, 3]) {
+        for (const b of [1, 2, 3]) {
+          if (b === 1) {
+            continue;
+          }
+          if (a === 2) {
+            break outer;
+          }
+          result.push([a, b]);
+        }
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([[1, 2], [1, 3]])
+  })
+
+  it('should close iterator given break', () => {
+    resetVariables('closed')
+
+    const ast = esprima.parse(`
+      ${createIterableCode}
+
+      for (const value of iterable) {
+        break;
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('closed')).to.be.equal(1)
+  })
+
+  it('should close iterator given return', () => {
+    resetVariables('closed', 'result')
+
+    const ast = esprima.parse(`
+      ${createIterableCode}
+
+      var result = (function () {
+        for (const value of iterable) {
+          if (value === 2) {
+            return value;
+          }
+        }
+      })();
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal(2)
+    expect(closureStack.get('closed')).to.be.equal(1)
+  })
+
+  it('should close iterator given error thrown', () => {
+    resetVariables('closed', 'result')
+
+    const ast = esprima.parse(`
+      ${createIterableCode}
+      var result;
+
+      try {
+        for (const value of iterable) {
+          throw 'error';
+        }
+      } catch (e) {
+        result = e;
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal('error')
+    expect(closureStack.get('closed')).to.be.equal(1)
+  })
+
+  it('should close iterator given labeled continue to outer loop', () => {
+    resetVariables('closed')
+
+    const ast = esprima.parse(`
+      ${createIterableCode}
+
+      outer:
+      for (const a of [1, 2]) {
+        for (const value of iterable) {
+          continue outer;
+        }
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('closed')).to.be.equal(2)
+  })
+
+  it('should throw TypeError given non-iterable', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result;
+
+      try {
+        for (const value of {}) {}
+      } catch (e) {
+        result = e;
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.instanceof(TypeError)
+  })
+})
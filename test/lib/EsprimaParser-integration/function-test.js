@@ -99,6 +99,280 @@ describe('function', () => {
       expect(closureStack.get('result1')).to.be.equal(3)
       expect(closureStack.get('result2')).to.be.equal(3)
     })
+
+    it('should count only params before the first default', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [
+          (function (el, duration = 300) {}).length,
+          (function (a = 1, b) {}).length,
+          (function (a, {b} = {}, ...c) {}).length,
+          ((a, b, [c] = []) => a).length
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 0, 1, 2])
+    })
+  })
+
+  describe('name tests', () => {
+    it('should name functions by their ids', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function test1() {}
+        var test2 = function test3() {};
+
+        var result = [test1.name, test2.name, (function () {}).name, (() => {}).name];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['test1', 'test3', '', ''])
+    })
+
+    it('should infer names of anonymous functions and classes from variables assigned to', () => {
+      resetVariables('result', 'test3', 'test4')
+
+      const ast = esprima.parse(`
+        var test1 = function () {};
+        let test2 = async () => {};
+        var test3, test4;
+        test3 = class {};
+        test4 ||= function* () {};
+        var {test5 = () => {}} = {};
+        var [test6] = [() => {}];
+        function test(test7 = function () {}) {
+          return test7.name;
+        }
+        var obj = {};
+        obj.test8 = function () {};
+
+        var result = [test1.name, test2.name, test3.name, test4.name, test5.name, test6.name, test(), obj.test8.name];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['test1', 'test2', 'test3', 'test4', 'test5', '', 'test7', ''])
+    })
+
+    it('should infer names of methods and function values from property keys', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var obj = {
+          method() {},
+          get value() {},
+          set value(v) {},
+          [Symbol.iterator]: function* () {},
+          1: () => {},
+          __proto__: function () {}
+        };
+        class Test {
+          static create() {}
+          ['run']() {}
+        }
+        var accessor = Object.getOwnPropertyDescriptor(obj, 'value');
+
+        var result = [
+          obj.method.name, accessor.get.name, accessor.set.name, obj[Symbol.iterator].name,
+          obj[1].name, Object.getPrototypeOf(obj).name, Test.name, Test.create.name, Test.prototype.run.name
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        'method', 'get value', 'set value', '[Symbol.iterator]',
+        '1', '', 'Test', 'create', 'run'
+      ])
+    })
+
+    it('should keep static method named name of class', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        class Test {
+          static name() { return 'static'; }
+        }
+        var result = Test.name();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal('static')
+    })
+  })
+
+  describe('toString tests', () => {
+    it('should report source text of functions given source text of script', () => {
+      resetVariables('result')
+
+      const code = `
+        function test1(a, b) { return a + b; }
+        var test2 = async (x) => x;
+        var obj = {
+          get value() { return 1; },
+          *gen() {}
+        };
+        class Test extends Object {
+          static  create() {}
+          constructor() { super(); }
+        }
+        var result = [
+          test1.toString(),
+          String(test2),
+          Object.getOwnPropertyDescriptor(obj, 'value').get.toString(),
+          obj.gen.toString(),
+          Test.create.toString(),
+          Function.prototype.toString.call(Test)
+        ];
+      `
+      const ast = esprima.parse(code, {range: true})
+      esprimaParser.parseAst(ast, 'url', code)
+
+      expect(closureStack.get('result')).to.be.eql([
+        'function test1(a, b) { return a + b; }',
+        'async (x) => x',
+        'get value() { return 1; }',
+        '*gen() {}',
+        'create() {}',
+        'class Test extends Object {\n          static  create() {}\n          constructor() { super(); }\n        }'
+      ])
+    })
+
+    it('should report source text of functions created after script parsed', () => {
+      resetVariables('result', 'create')
+
+      const code = `
+        var create = function () {
+          return function inner(a) { return a; };
+        };
+      `
+      const ast = esprima.parse(code, {range: true})
+      esprimaParser.parseAst(ast, 'url', code)
+      esprimaParser.parseAst(esprima.parse('var result = create().toString();'), 'url', 'other')
+
+      expect(closureStack.get('result')).to.be.equal('function inner(a) { return a; }')
+    })
+
+    it('should report code generated from ast given no source text', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function test(a) { return a }).toString();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal('function test(a) {\n    return a;\n}')
+    })
+
+    it('should let params be read from source text', () => {
+      resetVariables('result')
+
+      const code = `
+        function Controller($scope, $http) {}
+        var result = Function.prototype.toString.call(Controller)
+          .match(/^function\\s*[^(]*\\(([^)]*)\\)/)[1].split(/,\\s*/);
+      `
+      const ast = esprima.parse(code, {range: true})
+      esprimaParser.parseAst(ast, 'url', code)
+
+      expect(closureStack.get('result')).to.be.eql(['$scope', '$http'])
+    })
+
+    it('should keep native functions reported as native code', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [Math.max.toString(), Function.prototype.toString.toString()];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        'function max() { [native code] }',
+        'function toString() { [native code] }'
+      ])
+    })
+  })
+
+  describe('default parameter tests', () => {
+    it('should evaluate defaults at call time given undefined arguments', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var count = 0;
+
+        function show(el, duration = 300, id = ++count) {
+          return [el, duration, id];
+        }
+        var result = [show('el'), show('el', undefined), show('el', 100, null), count];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        ['el', 300, 1],
+        ['el', 300, 2],
+        ['el', 100, null],
+        2
+      ])
+    })
+
+    it('should see earlier params but not later ones in defaults', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function f(a, b = a * 2, {c} = {c: b + 1}) {
+          return [a, b, c];
+        }
+        function g(a = b, b) {}
+
+        var result = [f(1)];
+
+        try {
+          g(undefined, 1);
+        } catch (e) {
+          result.push(e instanceof ReferenceError);
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([[1, 2, 3], true])
+    })
+
+    it('should not see variables declared in body from closures in defaults', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var x = 'outer';
+
+        function f(a, getX = function () { return x; }) {
+          var x = 'inner';
+          var a;
+
+          return [a, x, getX()];
+        }
+        var result = f(1);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 'inner', 'outer'])
+    })
+
+    it('should bind this and arguments in defaults', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var obj = {
+          name: 'obj',
+          method: function (name = this.name, count = arguments.length) {
+            return [name, count];
+          }
+        };
+        var result = obj.method();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['obj', 0])
+    })
   })
 
   describe('invoke', () => {
@@ -0,0 +1,708 @@
+describe('generator tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  describe('generator object tests', () => {
+    it('should suspend at yield and resume by next', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var log = [];
+
+        function* gen(a) {
+          log.push('start');
+          var b = yield a;
+          log.push(b);
+          return a + b;
+        }
+        var it = gen(1);
+
+        log.push('created');
+
+        var result = [it.next('ignored'), log.slice(), it.next(2), it.next(), log];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        {value: 1, done: false},
+        ['created', 'start'],
+        {value: 3, done: true},
+        {value: undefined, done: true},
+        ['created', 'start', 2]
+      ])
+    })
+
+    it('should inherit prototype of generator function and be iterable', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function* gen() {}
+        var it = gen();
+        var result = [
+          Object.getPrototypeOf(it) === gen.prototype,
+          it[Symbol.iterator]() === it,
+          Object.prototype.toString.call(it),
+          typeof it.next
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([true, true, '[object Generator]', 'function'])
+    })
+
+    it('should be reported as generator function', () => {
+      resetVariables('gen', 'result')
+
+      const ast = esprima.parse(`
+        function* gen() {}
+        var obj = {*method() {}};
+        var GeneratorFunction = Object.getPrototypeOf(function* () {}).constructor;
+        var result = [
+          Object.prototype.toString.call(gen),
+          Object.prototype.toString.call(obj.method),
+          gen instanceof GeneratorFunction,
+          gen instanceof Function
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        '[object GeneratorFunction]', '[object GeneratorFunction]', true, true
+      ])
+    })
+
+    it('should bind this and arguments on call', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var obj = {
+          value: 1,
+          gen: function* () {
+            yield this.value;
+            yield arguments.length;
+          }
+        };
+        var result = [...obj.gen(1, 2)];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 2])
+    })
+
+    it('should support generator methods in classes and objects', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        class Range {
+          constructor(n) {
+            this.n = n;
+          }
+          *[Symbol.iterator]() {
+            for (let i = 0; i < this.n; i++) {
+              yield i;
+            }
+          }
+        }
+        var obj = {
+          *gen() {
+            yield* new Range(2);
+          }
+        };
+        var result = [...new Range(3), ...obj.gen()];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([0, 1, 2, 0, 1])
+    })
+
+    it('should throw TypeError given next called on other objects', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function* gen() {}
+        var result;
+
+        try {
+          gen().next.call({});
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(TypeError)
+    })
+
+    it('should throw TypeError given generator running', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var it;
+        var result;
+
+        function* gen() {
+          try {
+            it.next();
+          } catch (e) {
+            result = e;
+          }
+        }
+        it = gen();
+        it.next();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(TypeError)
+    })
+  })
+
+  describe('return / throw tests', () => {
+    it('should run finally given return called', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var log = [];
+
+        function* gen() {
+          try {
+            yield 1;
+            yield 2;
+          } finally {
+            log.push('finally');
+          }
+        }
+        var it = gen();
+
+        it.next();
+
+        var result = [it.return('done'), it.next(), log];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        {value: 'done', done: true},
+        {value: undefined, done: true},
+        ['finally']
+      ])
+    })
+
+    it('should keep return given finally block yields', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function* gen() {
+          try {
+            yield 1;
+          } finally {
+            yield 'finally';
+          }
+          return 5;
+        }
+        var it = gen();
+
+        it.next();
+
+        var result = [it.return(9), it.next(), it.next()];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        {value: 'finally', done: false},
+        {value: 9, done: true},
+        {value: undefined, done: true}
+      ])
+    })
+
+    it('should keep return given finally block yields or calls interpreted function in loop', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var log = [];
+
+        function record(value) {
+          log.push(value);
+        }
+        function* gen() {
+          for (var i = 0; i < 3; i++) {
+            try {
+              try {
+                yield i;
+              } finally {
+                record('inner ' + i);
+              }
+            } finally {
+              yield 'outer ' + i;
+            }
+          }
+          return 5;
+        }
+        var it = gen();
+
+        it.next();
+
+        var result = [it.return(9), it.next(), log];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        {value: 'outer 0', done: false},
+        {value: 9, done: true},
+        ['inner 0']
+      ])
+    })
+
+    it('should return value returned by finally block rather than the one given to return', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function* gen() {
+          try {
+            yield 1;
+          } catch (e) {
+          } finally {
+            yield 'finally';
+            return 7;
+          }
+        }
+        var it = gen();
+
+        it.next();
+
+        var result = [it.return(9), it.next()];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        {value: 'finally', done: false},
+        {value: 7, done: true}
+      ])
+    })
+
+    it('should be caught in generator given throw called', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function* gen() {
+          while (true) {
+            try {
+              yield 'waiting';
+            } catch (e) {
+              yield 'caught ' + e;
+            }
+          }
+        }
+        var it = gen();
+
+        it.next();
+
+        var result = [it.throw('error'), it.next(), it.throw('again')];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        {value: 'caught error', done: false},
+        {value: 'waiting', done: false},
+        {value: 'caught again', done: false}
+      ])
+    })
+
+    it('should propagate uncaught error and finish', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function* gen() {
+          yield 1;
+        }
+        var it = gen();
+        var result = [];
+
+        it.next();
+
+        try {
+          it.throw('error');
+        } catch (e) {
+          result.push(e);
+        }
+        result.push(it.next());
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['error', {value: undefined, done: true}])
+    })
+  })
+
+  describe('yield* tests', () => {
+    it('should delegate to inner iterables and take their return value', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function* inner() {
+          var a = yield 'inner';
+          return a * 2;
+        }
+        function* outer() {
+          yield* [1, 2];
+          var b = yield* inner();
+          yield b;
+        }
+        var it = outer();
+        var result = [it.next().value, it.next().value, it.next().value, it.next(5).value];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 2, 'inner', 10])
+    })
+
+    it('should delegate throw and return to inner generator', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var log = [];
+
+        function* inner() {
+          try {
+            yield 1;
+          } catch (e) {
+            log.push('inner caught ' + e);
+            yield 2;
+          } finally {
+            log.push('inner finally');
+          }
+        }
+        function* outer() {
+          yield* inner();
+        }
+        var it = outer();
+
+        it.next();
+
+        var result = [it.throw('error').value, it.return(3), log];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        2,
+        {value: 3, done: true},
+        ['inner caught error', 'inner finally']
+      ])
+    })
+  })
+
+  describe('yield in expressions tests', () => {
+    const runGenerator = (code) => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var log = [];
+
+        function* gen() {
+          ${code}
+        }
+        var it = gen();
+        var step = it.next();
+
+        while (!step.done) {
+          log.push(step.value);
+          step = it.next(step.value * 10);
+        }
+        var result = [step.value, log];
+      `)
+      esprimaParser.parseAst(ast)
+
+      return closureStack.get('result')
+    }
+
+    it('should keep evaluation order in call arguments', () => {
+      const result = runGenerator(`
+        function f(tag) {
+          log.push(tag);
+          return tag;
+        }
+        return [f('a'), yield 1, f('b'), yield 2];
+      `)
+      expect(result).to.be.eql([['a', 10, 'b', 20], ['a', 1, 'b', 2]])
+    })
+
+    it('should handle yield in binary, member, call and new expressions', () => {
+      const result = runGenerator(`
+        var obj = {list: [1, 2, 3]};
+        var sum = (yield 1) + (yield 2);
+        var item = obj.list[(yield 0) / 10];
+        var joined = obj.list.concat(yield 3, ...(yield 4) ? [5] : []);
+        var date = new Date(yield 5);
+
+        return [sum, item, joined, date.getTime()];
+      `)
+      expect(result[0]).to.be.eql([30, 1, [1, 2, 3, 30, 5], 50])
+    })
+
+    it('should short circuit logical and conditional expressions', () => {
+      const result = runGenerator(`
+        var a = (yield 1) || (yield 2);
+        var b = (yield 0) && (yield 3);
+        var c = (yield 0) ? (yield 4) : (yield 5);
+
+        return [a, b, c];
+      `)
+      expect(result).to.be.eql([[10, 0, 50], [1, 0, 0, 5]])
+    })
+
+    it('should handle yield in assignments, arrays, objects and templates', () => {
+      const result = runGenerator(`
+        var obj = {count: 1};
+        var key = 'k';
+
+        obj.count += yield 1;
+        obj[key] = yield 2;
+        var [x, y] = [yield 3, yield 4];
+        var data = {[yield 5]: yield 6, ...{z: yield 7}};
+        var text = \`\${yield 8}!\`;
+
+        return [obj, x, y, data, text];
+      `)
+      expect(result[0]).to.be.eql([
+        {count: 11, k: 20},
+        30,
+        40,
+        {50: 60, z: 70},
+        '80!'
+      ])
+    })
+
+    it('should throw InterpreterError uncatchable by page given yield in unsupported expressions', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function* gen() {
+          var obj = {a: 1};
+
+          obj[yield]++;
+        }
+        var result;
+
+        try {
+          var it = gen();
+
+          it.next();
+          it.next('a');
+        } catch (e) {
+          result = e;
+        }
+      `)
+      expect(() => {
+        esprimaParser.parseAst(ast)
+      }).to.throw(esprimaParser.InterpreterError, 'Unsupported yield in UpdateExpression')
+      expect(closureStack.get('result')).to.be.undefined
+    })
+  })
+
+  describe('yield in statements tests', () => {
+    it('should yield in loops with per-iteration bindings and labels', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function* gen() {
+          var fns = [];
+
+          outer:
+          for (let i = 0; ; i++) {
+            for (const j of [0, 1, 2]) {
+              if (j === 1) {
+                continue;
+              }
+              if (i === 2) {
+                break outer;
+              }
+              yield [i, j];
+              fns.push(() => i);
+            }
+          }
+          for (var key in {a: 1}) {
+            yield key;
+          }
+          var n = 0;
+
+          while (n < 1) {
+            yield 'while' + n++;
+          }
+          do {
+            yield 'do';
+          } while (false);
+
+          return fns.map((fn) => fn());
+        }
+        var it = gen();
+        var result = [];
+        var step;
+
+        while (!(step = it.next()).done) {
+          result.push(step.value);
+        }
+        result.push(step.value);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        [0, 0], [0, 2], [1, 0], [1, 2], 'a', 'while0', 'do', [0, 0, 1, 1]
+      ])
+    })
+
+    it('should yield in if, switch, block and try statements', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function* gen(value) {
+          if (value) {
+            yield 'if';
+          } else {
+            yield 'else';
+          }
+          switch (value) {
+            case 0:
+              yield 'case 0';
+            case 1:
+              yield 'case 1';
+              break;
+            default:
+              yield 'default';
+          }
+          {
+            let scoped = yield 'block';
+
+            yield scoped;
+          }
+          try {
+            throw yield 'try';
+          } catch (e) {
+            yield 'catch ' + e;
+          } finally {
+            yield 'finally';
+          }
+        }
+        var result = [...gen(0)];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        'else', 'case 0', 'case 1', 'block', undefined, 'try', 'catch undefined', 'finally'
+      ])
+    })
+
+    it('should match cases after default before falling back to default in switch', () => {
+      resetVariables('gen', 'result')
+
+      const ast = esprima.parse(`
+        function* gen(value) {
+          switch (value) {
+            default:
+              yield 'default';
+            case yield 'test 1':
+              yield 'case 1';
+              break;
+            case 2:
+              yield 'case 2';
+          }
+        }
+        var result = [[...gen(2)], [...gen(3)]];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([
+        ['test 1', 'case 2'],
+        ['test 1', 'default', 'case 1']
+      ])
+    })
+
+    it('should close inner iterator given generator returned in for...of loop', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var log = [];
+
+        function* inner() {
+          try {
+            yield 1;
+            yield 2;
+          } finally {
+            log.push('inner closed');
+          }
+        }
+        function* outer() {
+          for (const value of inner()) {
+            yield value;
+          }
+        }
+        var it = outer();
+
+        it.next();
+        it.return();
+
+        var result = log;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['inner closed'])
+    })
+
+    it('should close generator given consumer breaks for...of loop', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [];
+
+        function* gen() {
+          try {
+            for (let i = 0; ; i++) {
+              yield i;
+            }
+          } finally {
+            result.push('closed');
+          }
+        }
+        for (const value of gen()) {
+          if (value === 2) {
+            break;
+          }
+          result.push(value);
+        }
+        var [first] = gen();
+
+        result.push(first);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([0, 1, 'closed', 'closed', 0])
+    })
+  })
+
+  describe('environment tests', () => {
+    it('should resume in closures where generator is created', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function createCounter() {
+          let count = 0;
+
+          return (function* () {
+            while (true) {
+              count += yield count;
+            }
+          })();
+        }
+        var counter = createCounter();
+        var count = 'global';
+
+        counter.next();
+        counter.next(2);
+
+        var result = [counter.next(3).value, count];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([5, 'global'])
+    })
+  })
+})
@@ -0,0 +1,95 @@
+describe('interpreter errors', () => {
+  const cause = new Error('dispatcher crashed')
+
+  beforeEach(() => {
+    esprimaParser.onDiagnostic = sandbox.spy()
+    sandbox.stub(esprimaParser.checkerDispatcher, 'dispatch')
+      .onFirstCall().throws(cause)
+  })
+
+  it('should never be caught by catch clause of page', () => {
+    resetVariables('obj', 'result')
+
+    const ast = esprima.parse(`
+      var obj = {};
+      var result = [];
+      try {
+        obj.method = 1;
+      } catch (e) {
+        result.push('caught');
+      } finally {
+        result.push('finally');
+      }
+    `, {loc: true})
+
+    expect(() => {
+      esprimaParser.parseAst(ast, 'http://x/a.js')
+    }).to.throw(esprimaParser.InterpreterError, 'dispatcher crashed at http://x/a.js:5:9')
+    expect(esprimaParser.closureStack.get('result')).to.be.eql(['finally'])
+    expect(esprimaParser.diagnostics.length).to.be.equal(1)
+  })
+
+  it('should never be swallowed by finally block returning', () => {
+    resetVariables('obj', 'test')
+
+    const ast = esprima.parse(`
+      var obj = {};
+      var test = function () {
+        try {
+          throw 'page error';
+        } catch (e) {
+          obj.method = e;
+        } finally {
+          return 'finally';
+        }
+      };
+      test();
+    `, {loc: true})
+
+    expect(() => {
+      esprimaParser.parseAst(ast, 'http://x/a.js')
+    }).to.throw(esprimaParser.InterpreterError)
+  })
+
+  it('should report failure to diagnostics with node and script location', () => {
+    resetVariables('obj')
+
+    const ast = esprima.parse(`
+      var obj = {};
+      obj.method();
+    `, {loc: true})
+
+    try {
+      esprimaParser.parseAst(ast, 'http://x/a.js')
+    } catch (e) {
+      expect(e.cause).to.be.equal(cause)
+    }
+    expect(esprimaParser.diagnostics.length).to.be.equal(1)
+    expect(esprimaParser.diagnostics[0]).to.include({
+      scriptUrl: 'http://x/a.js',
+      action: EsprimaParser.ABORT
+    })
+    expect(esprimaParser.diagnostics[0].loc.start).to.be.eql({line: 3, column: 6})
+    expect(
+      esprimaParser.onDiagnostic
+        .calledWithExactly(esprimaParser.diagnostics[0], 'Tracker failed: dispatcher crashed at http://x/a.js:3:7, script aborted')
+    ).to.be.true
+  })
+
+  it('should keep errors of page catchable', () => {
+    resetVariables('result')
+    esprimaParser.checkerDispatcher.dispatch.restore()
+
+    const ast = esprima.parse(`
+      var result;
+      try {
+        null.a;
+      } catch (e) {
+        result = e instanceof TypeError;
+      }
+    `, {loc: true})
+    esprimaParser.parseAst(ast, 'http://x/a.js')
+
+    expect(esprimaParser.closureStack.get('result')).to.be.true
+  })
+})
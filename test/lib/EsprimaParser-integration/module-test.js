@@ -0,0 +1,348 @@
+describe('module tests', () => {
+  const pageUrl = 'http://example.com/index.html'
+  let sources
+
+  beforeEach(() => {
+    sources = {}
+    esprimaParser.moduleLoader.fetchText = (url) => {
+      return sources.hasOwnProperty(url) ?
+        Promise.resolve(sources[url]) : Promise.reject(new TypeError(`Failed to fetch module ${url}`))
+    }
+  })
+
+  const expectRejected = (promise) => {
+    return promise.then(() => {
+      throw new Error('should not resolve')
+    }, (error) => error)
+  }
+
+  describe('import / export tests', () => {
+    it('should import named, default and namespace exports', () => {
+      sources['http://example.com/js/math.js'] = `
+        export const one = 1;
+        export function add(a, b) {
+          return a + b;
+        }
+        export default function (a) {
+          return a * 2;
+        }
+      `
+      return esprimaParser.runModuleScript(`
+        import double, {one, add as plus} from './js/math.js';
+        import * as math from './js/math.js';
+
+        export const result = [plus(one, 2), double(3), math.one, math.default === double, Object.keys(math)];
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.eql([3, 6, 1, true, ['add', 'default', 'one']])
+      })
+    })
+
+    it('should name anonymous default exports default and keep their source texts', () => {
+      sources['http://example.com/js/a.js'] = `
+        export default function () {}
+      `
+      sources['http://example.com/js/b.js'] = `
+        export default class {}
+      `
+      sources['http://example.com/js/c.js'] = `
+        export default (x) => x;
+      `
+      return esprimaParser.runModuleScript(`
+        import a from './js/a.js';
+        import b from './js/b.js';
+        import c from './js/c.js';
+
+        export const result = [a.name, b.name, c.name, a.toString(), b.toString(), c.toString()];
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.eql([
+          'default', 'default', 'default',
+          'function () {}', 'class {}', '(x) => x'
+        ])
+      })
+    })
+
+    it('should resolve specifiers relative to url of importing module', () => {
+      sources['http://example.com/js/a.js'] = `
+        export {b as a} from '../lib/b.js';
+      `
+      sources['http://example.com/lib/b.js'] = `
+        export const b = import.meta.url;
+      `
+      return esprimaParser.runModuleScript(`
+        import {a} from './js/a.js';
+
+        export const result = a;
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.equal('http://example.com/lib/b.js')
+      })
+    })
+
+    it('should not leak module declarations to global', () => {
+      resetVariables('secret', 'result')
+
+      return esprimaParser.runModuleScript(`
+        var secret = 1;
+        let result = 2;
+      `, pageUrl).then(() => {
+        expect(global).to.not.have.property('secret')
+        expect(global).to.not.have.property('result')
+      })
+    })
+
+    it('should bind this to undefined at top level of module', () => {
+      return esprimaParser.runModuleScript(`
+        export const result = [this, (() => this)()];
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.eql([undefined, undefined])
+      })
+    })
+
+    it('should re-export bindings through export *, leaving default out', () => {
+      sources['http://example.com/all.js'] = `
+        export * from './a.js';
+        export * as b from './b.js';
+      `
+      sources['http://example.com/a.js'] = `
+        export const a = 'a';
+        export default 'default';
+      `
+      sources['http://example.com/b.js'] = `
+        export const b = 'b';
+      `
+      return esprimaParser.runModuleScript(`
+        import * as all from './all.js';
+
+        export const result = [Object.keys(all), all.a, all.b.b];
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.eql([['a', 'b'], 'a', 'b'])
+      })
+    })
+
+    it('should export default class and expression', () => {
+      sources['http://example.com/class.js'] = `
+        export default class {
+          get name() {
+            return 'anonymous';
+          }
+        }
+      `
+      sources['http://example.com/value.js'] = `
+        export default 1 + 1;
+      `
+      return esprimaParser.runModuleScript(`
+        import A from './class.js';
+        import value from './value.js';
+
+        export const result = [new A().name, value];
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.eql(['anonymous', 2])
+      })
+    })
+  })
+
+  describe('live binding tests', () => {
+    it('should read latest value of exported binding', () => {
+      sources['http://example.com/counter.js'] = `
+        export let count = 0;
+        export function increment() {
+          count++;
+        }
+      `
+      return esprimaParser.runModuleScript(`
+        import {count, increment} from './counter.js';
+        import * as counter from './counter.js';
+
+        export const result = [count];
+        increment();
+        result.push(count, counter.count);
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.eql([0, 1, 1])
+      })
+    })
+
+    it('should throw TypeError given assignment to imported binding', () => {
+      sources['http://example.com/counter.js'] = `
+        export let count = 0;
+      `
+      return esprimaParser.runModuleScript(`
+        import {count} from './counter.js';
+
+        export let result;
+
+        try {
+          count = 1;
+        } catch (e) {
+          result = e instanceof TypeError;
+        }
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.true
+      })
+    })
+  })
+
+  describe('evaluation order tests', () => {
+    it('should evaluate each module once, dependencies first in import order', () => {
+      sources['http://example.com/log.js'] = `
+        export const log = [];
+      `
+      sources['http://example.com/a.js'] = `
+        import './c.js';
+        import {log} from './log.js';
+        log.push('a');
+      `
+      sources['http://example.com/b.js'] = `
+        import {log} from './log.js';
+        import './c.js';
+        log.push('b');
+      `
+      sources['http://example.com/c.js'] = `
+        import {log} from './log.js';
+        log.push('c');
+      `
+      return esprimaParser.runModuleScript(`
+        import './a.js';
+        import './b.js';
+        import {log} from './log.js';
+        log.push('main');
+        export const result = log;
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.eql(['c', 'a', 'b', 'main'])
+      })
+    })
+
+    it('should handle cyclic imports with functions hoisted', () => {
+      sources['http://example.com/even.js'] = `
+        import {isOdd} from './odd.js';
+        export function isEven(n) {
+          return n === 0 ? true : isOdd(n - 1);
+        }
+        export const evenResult = isOdd(3);
+      `
+      sources['http://example.com/odd.js'] = `
+        import {isEven} from './even.js';
+        export function isOdd(n) {
+          return n === 0 ? false : isEven(n - 1);
+        }
+        export const oddResult = isEven(4);
+      `
+      return esprimaParser.runModuleScript(`
+        import {evenResult} from './even.js';
+        import {oddResult} from './odd.js';
+
+        export const result = [evenResult, oddResult];
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.eql([true, true])
+      })
+    })
+
+    it('should throw ReferenceError given binding accessed before initialized in cyclic imports', () => {
+      sources['http://example.com/a.js'] = `
+        import {b} from './b.js';
+        export const a = 'a';
+      `
+      sources['http://example.com/b.js'] = `
+        import {a} from './a.js';
+        export let result;
+
+        try {
+          a;
+        } catch (e) {
+          result = e instanceof ReferenceError;
+        }
+        export const b = 'b';
+      `
+      return esprimaParser.runModuleScript(`
+        import './a.js';
+        export {result} from './b.js';
+      `, pageUrl).then(({result}) => {
+        expect(result).to.be.true
+      })
+    })
+  })
+
+  describe('error tests', () => {
+    it('should reject with SyntaxError given import not exported', () => {
+      sources['http://example.com/a.js'] = `
+        export const a = 1;
+      `
+      return expectRejected(esprimaParser.runModuleScript(`
+        import {b} from './a.js';
+      `, pageUrl)).then((error) => {
+        expect(error).to.be.instanceof(SyntaxError)
+        expect(error.message).to.be.equal('The requested module \'./a.js\' does not provide an export named \'b\'')
+      })
+    })
+
+    it('should reject with TypeError given bare specifier', () => {
+      return expectRejected(esprimaParser.runModuleScript(`
+        import 'lodash';
+      `, pageUrl)).then((error) => {
+        expect(error).to.be.instanceof(TypeError)
+      })
+    })
+
+    it('should reject with error thrown while evaluating, and rethrow it on later imports', () => {
+      sources['http://example.com/a.js'] = `
+        throw new Error('failed');
+      `
+      return expectRejected(esprimaParser.importModule('./a.js', pageUrl))
+        .then((error) => {
+          expect(error.message).to.be.equal('failed')
+
+          return expectRejected(esprimaParser.importModule('./a.js', pageUrl))
+        })
+        .then((error) => {
+          expect(error.message).to.be.equal('failed')
+        })
+    })
+  })
+
+  describe('dynamic import tests', () => {
+    it('should resolve import() with namespace of module relative to current script', () => {
+      resetVariables('promise')
+
+      sources['http://example.com/js/a.js'] = `
+        export const a = 'a';
+      `
+      const ast = esprima.parse(`
+        var promise = import('./a.js').then(function (ns) {
+          return ns.a;
+        });
+      `)
+      esprimaParser.parseAst(ast, 'http://example.com/js/main.js')
+
+      return esprimaParser.closureStack.get('promise').then((result) => {
+        expect(result).to.be.equal('a')
+      })
+    })
+
+    it('should evaluate module once given imported statically and dynamically', () => {
+      sources['http://example.com/a.js'] = `
+        export const log = [];
+        log.push('a');
+      `
+      return esprimaParser.runModuleScript(`
+        import {log} from './a.js';
+        import * as ns from './a.js';
+
+        export default import('./a.js').then(function (dynamic) {
+          log.push(dynamic === ns);
+          return log;
+        });
+      `, pageUrl).then((namespace) => namespace.default).then((log) => {
+        expect(log).to.be.eql(['a', true])
+      })
+    })
+
+    it('should reject import() given specifier failed to resolve', () => {
+      const ast = esprima.parse(`
+        var promise = import('lodash');
+      `)
+      esprimaParser.parseAst(ast, pageUrl)
+
+      return expectRejected(esprimaParser.closureStack.get('promise')).then((error) => {
+        expect(error).to.be.instanceof(TypeError)
+      })
+    })
+  })
+})
@@ -158,4 +158,149 @@ describe('new tests', () => {
       expect(closureStack.get('data')).to.be.eql({a: 1})
     })
   })
+
+  /*************************/
+  /* constructor semantics */
+  /*************************/
+
+  describe('constructor semantics', () => {
+    it('should construct instance linked to one stable prototype of constructor', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function Widget(name) {
+          this.name = name;
+        }
+        Widget.prototype.getName = function () {
+          return this.name;
+        };
+        var widget = new Widget('widget');
+        var result = [
+          widget.getName(),
+          widget instanceof Widget,
+          widget.constructor === Widget,
+          Object.getPrototypeOf(widget) === Widget.prototype,
+          Widget.prototype === Widget.prototype
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['widget', true, true, true, true])
+    })
+
+    it('should link instances to prototype reassigned by script', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function Plugin() {}
+        Plugin.prototype = {
+          constructor: Plugin,
+          init: function () { return 'init' }
+        };
+        var plugin = new Plugin();
+        var result = [plugin.init(), plugin instanceof Plugin, plugin.constructor === Plugin];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['init', true, true])
+    })
+
+    it('should follow return override rules', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var returned = {};
+        function ReturnObject() { this.a = 1; return returned }
+        function ReturnPrimitive() { this.a = 1; return 2 }
+        function ReturnNothing() { this.a = 1; return }
+        var result = [
+          new ReturnObject() === returned,
+          new ReturnPrimitive() instanceof ReturnPrimitive,
+          new ReturnNothing().a
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([true, true, 1])
+    })
+
+    it('should set new.target to constructor given called with new, and undefined otherwise', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function Target() { return {target: new.target} }
+        function Sub() {}
+        var result = [
+          new Target().target === Target,
+          Target().target,
+          Reflect.construct(Target, [], Sub).target === Sub
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([true, undefined, true])
+    })
+
+    it('should work with instanceof and inheritance among native and interpreted constructors', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function Base() {}
+        function Derived() { Base.call(this) }
+        Derived.prototype = Object.create(Base.prototype);
+        class Native extends Array {}
+        class Interpreted extends Derived {}
+        function Foreign() {}
+        var result = [
+          new Derived() instanceof Base,
+          new Interpreted() instanceof Base,
+          new Native() instanceof Array,
+          Reflect.construct(Array, [], Foreign) instanceof Foreign,
+          Object.create(Foreign.prototype) instanceof Foreign
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([true, true, true, true, true])
+    })
+
+    it('should throw TypeError given non-constructor called with new', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var o = {method() {}};
+        var result = [];
+        for (var f of [() => {}, o.method, function* () {}, async function () {}, 1]) {
+          try {
+            new f();
+          } catch (e) {
+            result.push(e.message);
+          }
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(new Array(5).fill('f is not a constructor'))
+    })
+
+    it('should not have prototype on arrow functions, methods and async functions', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var o = {method() {}, get getter() { return 1 }};
+        class A { method() {} }
+        var result = [
+          (() => {}).hasOwnProperty('prototype'),
+          o.method.hasOwnProperty('prototype'),
+          A.prototype.method.hasOwnProperty('prototype'),
+          (async function () {}).hasOwnProperty('prototype'),
+          (function* () {}).hasOwnProperty('prototype'),
+          (function () {}).hasOwnProperty('prototype')
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([false, false, false, false, true, true])
+    })
+  })
 })
@@ -0,0 +1,165 @@
+describe('object literal tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  it('should define getter and setter given get and set properties', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var obj = {
+        _width: 1,
+        get width() {
+          return this._width * 10;
+        },
+        set width(value) {
+          this._width = value;
+        }
+      };
+      obj.width = 2;
+
+      var descriptor = Object.getOwnPropertyDescriptor(obj, 'width');
+      var result = [
+        obj.width,
+        obj._width,
+        typeof descriptor.get,
+        typeof descriptor.set,
+        descriptor.enumerable,
+        descriptor.configurable
+      ];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([20, 2, 'function', 'function', true, true])
+  })
+
+  it('should support shorthand properties and methods', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var el = 'element';
+      var obj = {
+        el,
+        init() {
+          return this.el;
+        }
+      };
+      var result = [obj.el, obj.init(), Object.keys(obj)];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql(['element', 'element', ['el', 'init']])
+  })
+
+  it('should evaluate computed keys in order', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var log = [];
+      var key = function (name) {
+        log.push(name);
+        return name;
+      };
+      var obj = {
+        [key('a')]: log.push('value a'),
+        [key('b')]() {
+          return 'b';
+        },
+        get [key('c')]() {
+          return 'c';
+        }
+      };
+      var result = [log, obj.a, obj.b(), obj.c];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([['a', 'value a', 'b', 'c'], 2, 'b', 'c'])
+  })
+
+  it('should set prototype given __proto__ property', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var parent = {inherited: true};
+      var obj = {__proto__: parent};
+      var nullObj = {'__proto__': null};
+      var ignored = {__proto__: 1};
+      var computed = {['__proto__']: parent};
+      var __proto__ = parent;
+      var shorthand = {__proto__};
+
+      var result = [
+        Object.getPrototypeOf(obj) === parent,
+        obj.inherited,
+        obj.hasOwnProperty('__proto__'),
+        Object.getPrototypeOf(nullObj),
+        Object.getPrototypeOf(ignored) === Object.prototype,
+        Object.getPrototypeOf(computed) === Object.prototype,
+        Object.getOwnPropertyNames(computed),
+        Object.getPrototypeOf(shorthand) === Object.prototype,
+        Object.getOwnPropertyNames(shorthand)
+      ];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([
+      true, true, false, null, true, true, ['__proto__'], true, ['__proto__']
+    ])
+  })
+
+  it('should support super in object methods', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var parent = {
+        greet() {
+          return 'hello ' + this.name;
+        },
+        get size() {
+          return 1;
+        }
+      };
+      var obj = {
+        __proto__: parent,
+        name: 'obj',
+        greet() {
+          return super.greet() + '!';
+        },
+        get size() {
+          return super.size + 1;
+        }
+      };
+      var result = [obj.greet(), obj.size];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql(['hello obj!', 2])
+  })
+
+  it('should evaluate yield in computed keys and values of generator', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      function* gen() {
+        return {
+          [yield 'key']: yield 'value',
+          method() {
+            return 'method';
+          }
+        };
+      }
+      var it = gen();
+
+      it.next();
+      it.next('a');
+
+      var obj = it.next(1).value;
+      var result = [obj.a, obj.method()];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([1, 'method'])
+  })
+})
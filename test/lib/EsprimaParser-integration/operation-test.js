@@ -302,6 +302,30 @@ describe('operation', () => {
       expect(closureStack.get('a')).to.be.true
       expect(closureStack.get('b')).to.be.true
     })
+
+    it('should handle \'**\' operation', () => {
+      const ast = esprima.parse(`
+        var a = 2 ** 10;
+        var b = 2 ** 3 ** 2;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.equal(1024)
+      expect(closureStack.get('b')).to.be.equal(512)
+    })
+
+    it('should handle operations on BigInt', () => {
+      const ast = esprima.parse(`
+        var a = 9007199254740993n + 1n;
+        var b = typeof 1n;
+        var c = 2n ** 64n;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.equal(BigInt('9007199254740994'))
+      expect(closureStack.get('b')).to.be.equal('bigint')
+      expect(closureStack.get('c')).to.be.equal(BigInt('18446744073709551616'))
+    })
   })
 
   /*************************/
@@ -330,6 +354,21 @@ describe('operation', () => {
       expect(closureStack.get('a')).to.be.equal('a')
       expect(closureStack.get('b')).to.be.equal(0)
     })
+
+    it('should handle \'??\' operation', () => {
+      const ast = esprima.parse(`
+        var a = null ?? 'a';
+        var b = 0 ?? 'b';
+        var c = '' ?? (d = 'evaluated');
+        var d;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.equal('a')
+      expect(closureStack.get('b')).to.be.equal(0)
+      expect(closureStack.get('c')).to.be.equal('')
+      expect(closureStack.get('d')).to.be.undefined
+    })
   })
 
   /*************************/
@@ -354,6 +393,200 @@ describe('operation', () => {
       expect(closureStack.get('b')).to.be.eql({num: 4})
       expect(closureStack.get('c')).to.be.eql([1, 2, 4])
     })
+
+    it('should handle \'**=\' operation', () => {
+      const ast = esprima.parse(`
+        var a = 3;
+        a **= 2;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.equal(9)
+    })
+
+    it('should handle logical assignment operations', () => {
+      const ast = esprima.parse(`
+        var a = 0, b = 1, c = null;
+        a ||= 'a';
+        b &&= 'b';
+        c ??= 'c';
+
+        var o = {x: 0, y: 1, z: undefined};
+        o.x ||= 'x';
+        o['y'] &&= 'y';
+        o.z ??= 'z';
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.equal('a')
+      expect(closureStack.get('b')).to.be.equal('b')
+      expect(closureStack.get('c')).to.be.equal('c')
+      expect(closureStack.get('o')).to.be.eql({x: 'x', y: 'y', z: 'z'})
+    })
+
+    it('should neither evaluate right nor assign given logical assignment short-circuited', () => {
+      const ast = esprima.parse(`
+        var count = 0;
+        var a = 1, b = 0, c = false;
+        a ||= ++count;
+        b &&= ++count;
+        c ??= ++count;
+
+        var o = {
+          get x() { return 'x' },
+          set x(value) { ++count }
+        };
+        var result = (o.x ||= 'other');
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('count')).to.be.equal(0)
+      expect(closureStack.get('a')).to.be.equal(1)
+      expect(closureStack.get('b')).to.be.equal(0)
+      expect(closureStack.get('c')).to.be.false
+      expect(closureStack.get('result')).to.be.equal('x')
+    })
+  })
+
+  /*************************/
+  /*   Optional Chaining   */
+  /*************************/
+
+  describe('optional chaining tests', () => {
+    it('should access property given base not nullish', () => {
+      const ast = esprima.parse(`
+        var o = {a: {b: 'b'}, list: [1, 2]};
+        var a = o?.a.b;
+        var b = o.a?.['b'];
+        var c = o.list?.indexOf(2);
+        var d = o.a.toString?.();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.equal('b')
+      expect(closureStack.get('b')).to.be.equal('b')
+      expect(closureStack.get('c')).to.be.equal(1)
+      expect(closureStack.get('d')).to.be.equal('[object Object]')
+    })
+
+    it('should short-circuit whole chain given base nullish', () => {
+      const ast = esprima.parse(`
+        var o = {a: null};
+        var a = o.a?.b.c.d;
+        var b = o.missing?.['b'];
+        var c = o.a?.method();
+        var d = o.method?.();
+        var e = (o.a?.b) ?? 'e';
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.undefined
+      expect(closureStack.get('b')).to.be.undefined
+      expect(closureStack.get('c')).to.be.undefined
+      expect(closureStack.get('d')).to.be.undefined
+      expect(closureStack.get('e')).to.be.equal('e')
+    })
+
+    it('should not evaluate arguments or computed keys given short-circuited', () => {
+      const ast = esprima.parse(`
+        var count = 0;
+        var o = null;
+        o?.method(++count);
+        o?.[++count];
+        o?.a.b(++count);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('count')).to.be.equal(0)
+    })
+
+    it('should keep this of member call in optional chain', () => {
+      const ast = esprima.parse(`
+        var o = {
+          value: 'value',
+          method() { return this.value }
+        };
+        var a = o?.method();
+        var b = o.method?.();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.equal('value')
+      expect(closureStack.get('b')).to.be.equal('value')
+    })
+
+    it('should delete member of optional chain, or return true given chain short-circuited', () => {
+      const ast = esprima.parse(`
+        var o = {a: 1, b: {c: 2}};
+        var n = null;
+        var a = delete o?.a;
+        var b = delete o.b?.c;
+        var c = delete n?.a;
+        var d = delete n?.a.b;
+        var e = [o.hasOwnProperty('a'), o.b.hasOwnProperty('c')];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.true
+      expect(closureStack.get('b')).to.be.true
+      expect(closureStack.get('c')).to.be.true
+      expect(closureStack.get('d')).to.be.true
+      expect(closureStack.get('e')).to.be.eql([false, false])
+    })
+
+    it('should keep this of member call in optional chain in parentheses', () => {
+      const ast = esprima.parse(`
+        var o = {
+          value: 'value',
+          method() { return this.value },
+          inner: {value: 'inner', method() { return this.value }}
+        };
+        var n = null;
+        var a = (o?.method)();
+        var b = (o?.['method'])();
+        var c = (o?.inner.method)();
+        var d;
+        try {
+          (n?.method)();
+        } catch (e) {
+          d = e instanceof TypeError;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.equal('value')
+      expect(closureStack.get('b')).to.be.equal('value')
+      expect(closureStack.get('c')).to.be.equal('inner')
+      expect(closureStack.get('d')).to.be.true
+    })
+
+    it('should keep semantics of optional chain in generators', () => {
+      const ast = esprima.parse(`
+        var o = {
+          value: 'value',
+          method() { return this.value },
+          inner: {value: 'inner', method() { return this.value }}
+        };
+        var n = null;
+        var gen = function* () {
+          var result = [(o?.method)(yield), (o?.inner.method)(yield), delete o?.value];
+          try {
+            (n?.method)(yield);
+          } catch (e) {
+            result.push(e instanceof TypeError);
+          }
+          return result;
+        };
+        var it = gen();
+        it.next();
+        it.next();
+        it.next();
+        var a = it.next().value;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.eql(['value', 'inner', true, true])
+    })
   })
 
   /*************************/
@@ -361,6 +594,43 @@ describe('operation', () => {
   /*************************/
 
   describe('update operations tests', () => {
+    it('should evaluate reference of update and compound assignment once', () => {
+      const ast = esprima.parse(`
+        var count = 0;
+        var key = function () { count++; return 'a' };
+        var o = {a: 3};
+        o[key()] **= 2;
+        o[key()]++;
+        --o[key()];
+        o[key()] += 1;
+        var a = [o.a, count];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.eql([10, 4])
+    })
+
+    it('should read reference of compound assignment before right suspends in generators', () => {
+      const ast = esprima.parse(`
+        var count = 0;
+        var key = function () { count++; return 'a' };
+        var o = {a: 3};
+        var gen = function* () {
+          o[key()] **= yield;
+          o[key()] += yield;
+          return [o.a, count];
+        };
+        var it = gen();
+        it.next();
+        it.next(2);
+        o.a = 0;
+        var a = it.next(1).value;
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('a')).to.be.eql([10, 2])
+    })
+
     it('should handle \'++\' operation', () => {
       const ast = esprima.parse(`
         var a = 1;
@@ -0,0 +1,294 @@
+describe('recursion', () => {
+  it('should run interpreted recursion much deeper than native stack of interpreter allows', () => {
+    resetVariables('sum', 'result')
+
+    const ast = esprima.parse(`
+      function sum(n) {
+        return n === 0 ? 0 : n + sum(n - 1);
+      }
+      var result = sum(5000);
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.closureStack.get('result')).to.be.equal(12502500)
+  })
+
+  it('should run interpreted recursion through new and Reflect.construct as deep', () => {
+    resetVariables('Node', 'List', 'Tree', 'result')
+
+    const ast = esprima.parse(`
+      function Node(n) {
+        this.next = n === 0 ? null : new Node(n - 1);
+      }
+      class List extends Node {
+        constructor(n) {
+          super(0);
+          this.size = n === 0 ? 0 : Reflect.construct(List, [n - 1]).size + 1;
+        }
+      }
+      function Tree(n) {
+        return {depth: n === 0 ? 0 : new Tree(n - 1).depth + 1};
+      }
+      var node = new Node(5000);
+      var length = 0;
+
+      for (; node; node = node.next) {
+        length++;
+      }
+      var result = [length, new List(5000).size, new Tree(5000).depth];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.closureStack.get('result')).to.be.eql([5001, 5000, 5000])
+  })
+
+  it('should run interpreted recursion through call, apply and Reflect.apply as deep', () => {
+    resetVariables('count', 'result')
+
+    const ast = esprima.parse(`
+      function count(n) {
+        if (n === 0) {
+          return this.base;
+        }
+        switch (n % 3) {
+          case 0:
+            return count.call(this, n - 1) + 1;
+          case 1:
+            return count.apply(this, [n - 1]) + 1;
+          default:
+            return Reflect.apply(count, this, [n - 1]) + 1;
+        }
+      }
+      var result = count.call({base: 1}, 5000);
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.closureStack.get('result')).to.be.equal(5001)
+  })
+
+  it('should run interpreted recursion through getters and setters as deep', () => {
+    resetVariables('Chain', 'chain', 'result')
+
+    const ast = esprima.parse(`
+      class Chain {
+        constructor(parent) {
+          this.parent = parent;
+        }
+        get depth() {
+          return this.parent ? this.parent.depth + 1 : 0;
+        }
+        set depth(value) {
+          this.own = value;
+          if (this.parent) {
+            this.parent.depth = value - 1;
+          }
+        }
+      }
+      var chain = null;
+
+      for (var i = 0; i <= 5000; i++) {
+        chain = new Chain(chain);
+      }
+      chain.depth = 5000;
+
+      var root = chain;
+
+      while (root.parent) {
+        root = root.parent;
+      }
+      var result = [chain.depth, root.own];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.closureStack.get('result')).to.be.eql([5000, 0])
+  })
+
+  it('should run interpreted recursion through callbacks of native functions 600 deep', () => {
+    resetVariables('walk', 'count', 'tree', 'result')
+
+    const ast = esprima.parse(`
+      function walk(n) {
+        return n === 0 ? 0 : [n].map((m) => walk(m - 1) + 1)[0];
+      }
+      function count(n) {
+        var total = 0;
+        [n].forEach(function (m) {
+          total = m === 0 ? 0 : count(m - 1) + 1;
+        });
+        return total;
+      }
+      function tree(n) {
+        try {
+          return [n].reduce((depth, m) => m === 0 ? depth : tree(m - 1) + 1, 0);
+        } catch (e) {
+          return e.message;
+        }
+      }
+      var result = [walk(600), count(600), tree(600)];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.closureStack.get('result')).to.be.eql([600, 600, 600])
+  })
+
+  it('should throw errors through callbacks of native functions nested deeply', () => {
+    resetVariables('walk', 'result')
+
+    const ast = esprima.parse(`
+      function walk(n) {
+        if (n === 0) {
+          throw new TypeError('bottom');
+        }
+        [n].forEach((m) => walk(m - 1));
+      }
+      var result;
+      try {
+        walk(300);
+      } catch (e) {
+        result = [e instanceof TypeError, e.message];
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.closureStack.get('result')).to.be.eql([true, 'bottom'])
+  })
+
+  it('should throw RangeError page could catch given depth exceeds maxCallDepth', () => {
+    resetVariables('depth', 'result')
+    esprimaParser = new EsprimaParser(global, {maxCallDepth: 100})
+
+    const ast = esprima.parse(`
+      function depth(n) {
+        try {
+          return depth(n + 1);
+        } catch (e) {
+          return [n, e instanceof RangeError, e.message];
+        }
+      }
+      var result = depth(1);
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.closureStack.get('result')).to.be.eql([
+      99, true, 'Maximum call stack size exceeded'
+    ])
+  })
+
+  it('should keep evaluation order, this, arguments and exceptions of calls', () => {
+    resetVariables('log', 'obj', 'result')
+
+    const ast = esprima.parse(`
+      var log = [];
+      var obj = {
+        name: 'obj',
+        method: function (a) {
+          arguments[0] = 'mapped';
+          log.push(this.name, a, arguments.length);
+          return a;
+        },
+        fail: function () {
+          throw new TypeError('failed');
+        }
+      };
+      function arg(value) {
+        log.push(value);
+        return value;
+      }
+      var result = [obj.method(arg(1), arg(2))];
+
+      try {
+        obj.fail();
+      } catch (e) {
+        result.push(e.message);
+      } finally {
+        result.push('finally');
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.closureStack.get('log')).to.be.eql([1, 2, 'obj', 'mapped', 2])
+    expect(esprimaParser.closureStack.get('result')).to.be.eql(['mapped', 'failed', 'finally'])
+  })
+
+  it('should synthesize stack of error from heap frames', () => {
+    resetVariables('outer', 'inner', 'result')
+
+    const ast = esprima.parse(`
+      function inner() {
+        throw new Error('deep');
+      }
+      function outer() {
+        return inner();
+      }
+      var result;
+
+      try {
+        outer();
+      } catch (e) {
+        result = e.stack;
+      }
+    `, {loc: true})
+    esprimaParser.parseAst(ast, 'http://x/a.js')
+
+    expect(esprimaParser.closureStack.get('result')).to.be.equal([
+      'Error: deep',
+      '    at inner (http://x/a.js:3:15)',
+      '    at outer (http://x/a.js:6:16)',
+      '    at http://x/a.js:11:9'
+    ].join('\n'))
+  })
+
+  it('should keep semantics of calls run on heap frames from the first nested call', () => {
+    resetVariables('log', 'F', 'obj', 'result')
+    esprimaParser = new EsprimaParser(global, {maxNativeCallDepth: 1})
+
+    const ast = esprima.parse(`
+      var log = [];
+      function F(a) {
+        this.a = a;
+        return 1;
+      }
+      var obj = {
+        value: 1,
+        get double() {
+          return this.value * 2;
+        },
+        set double(value) {
+          log.push(value);
+          this.value = value / 2;
+        }
+      };
+      function run() {
+        var f = new F(arguments.length);
+        var g = Reflect.construct(F, [], Object);
+
+        obj.double = 6;
+        return [f.a, f instanceof F, Object.getPrototypeOf(g) === Object.prototype, obj.double];
+      }
+      var result = run(1, 2);
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.closureStack.get('log')).to.be.eql([6])
+    expect(esprimaParser.closureStack.get('result')).to.be.eql([2, true, true, 6])
+  })
+
+  it('should call interpreted functions from generator bodies', () => {
+    resetVariables('gen', 'double', 'result')
+
+    const ast = esprima.parse(`
+      function double(n) {
+        return n * 2;
+      }
+      function* gen() {
+        var a = double(yield 1);
+        yield double(a);
+      }
+      var it = gen();
+      var result = [it.next().value, it.next(3).value];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.closureStack.get('result')).to.be.eql([1, 12])
+  })
+})
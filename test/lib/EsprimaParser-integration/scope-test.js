@@ -0,0 +1,175 @@
+describe('scope resolution', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  it('should read variables shadowed by blocks, catch clauses and loops', () => {
+    resetVariables('a', 'result')
+
+    const ast = esprima.parse(`
+      var a = 'global';
+      var result = [];
+      {
+        let a = 'block';
+        result.push(a);
+        try {
+          throw 'catch';
+        } catch (a) {
+          result.push(a);
+        }
+        for (let a = 'loop'; result.length < 3;) {
+          result.push(a);
+        }
+        result.push(a);
+      }
+      result.push(a);
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([
+      'block', 'catch', 'loop', 'block', 'global'
+    ])
+  })
+
+  it('should read variables captured by closures after their callers returned', () => {
+    resetVariables('counter', 'fns', 'result')
+
+    const ast = esprima.parse(`
+      var counter = (function () {
+        var count = 0;
+        return function named() {
+          return [++count, typeof named];
+        };
+      })();
+      var fns = [];
+      for (let i = 0; i < 2; i++) {
+        fns.push(function () { return i; });
+      }
+      var result = [counter(), counter(), fns[0](), fns[1]()];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([
+      [1, 'function'], [2, 'function'], 0, 1
+    ])
+  })
+
+  it('should read variables of parameters, class names and function bodies', () => {
+    resetVariables('f', 'C', 'result')
+
+    const ast = esprima.parse(`
+      var f = function (a, b = function () { return a; }) {
+        var a = 'body';
+        return [a, b()];
+      };
+      class C {
+        static name2() { return typeof C; }
+      }
+      var result = [f('param'), C.name2()];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([['body', 'param'], 'function'])
+  })
+
+  it('should update variables, check typeof and uninitialized ones through resolved closures', () => {
+    resetVariables('a', 'implicit', 'result')
+
+    const ast = esprima.parse(`
+      var a = 'global';
+      var result = [];
+      (function () {
+        var a = 'function';
+        var set = function (value) { a = value; };
+        {
+          let a = 'block';
+          a += '!';
+          result.push(a);
+        }
+        set('closure');
+        implicit = 'implicit';
+        result.push(a, typeof a, typeof undeclared);
+        try {
+          typeof later;
+          let later;
+        } catch (e) {
+          result.push(e.name);
+        }
+        try {
+          later2 = 1;
+          let later2;
+        } catch (e) {
+          result.push(e.name);
+        }
+      })();
+      result.push(a, implicit);
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([
+      'block!', 'closure', 'string', 'undefined',
+      'ReferenceError', 'ReferenceError', 'global', 'implicit'
+    ])
+  })
+
+  it('should look up variables by name in scopes of with and direct eval', () => {
+    resetVariables('a', 'test', 'result')
+
+    const ast = esprima.parse(`
+      var a = 'global';
+      var test = function () {
+        var inner = function () {
+          return a;
+        };
+        var obj = {a: 'with'};
+        var fromWith;
+        with (obj) {
+          fromWith = a;
+        }
+        eval('var a = "eval"');
+        return [fromWith, a, inner()];
+      };
+      var result = test();
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql(['with', 'eval', 'eval'])
+  })
+
+  it('should read globals declared after functions reading them were created', () => {
+    resetVariables('read', 'late', 'result')
+
+    const ast = esprima.parse(`
+      var read = function () {
+        return typeof late === 'undefined' ? 'missing' : late;
+      };
+      var result = [read()];
+      var late = 'declared';
+      result.push(read());
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql(['missing', 'declared'])
+  })
+
+  it('should hoist var declared in labeled statements to function', () => {
+    resetVariables('f', 'result')
+
+    const ast = esprima.parse(`
+      var f = function () {
+        'use strict';
+        outer: for (var i = 0; i < 2; i++) {}
+        inner: {
+          var a = 'labeled';
+        }
+        return [i, a];
+      };
+      var result = f();
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([2, 'labeled'])
+  })
+})
@@ -0,0 +1,143 @@
+describe('spread and rest tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  describe('spread tests', () => {
+    it('should expand iterables into called arguments', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function sum(a, b, c, d) {
+          return a + b + c + d;
+        }
+        var args = [2, 3];
+        var result = sum(1, ...args, ...new Set([4]));
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(10)
+    })
+
+    it('should expand iterables into arguments of new expression', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var args = [2000, 1, 2];
+        var result = new Date(...args).getMonth();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(1)
+    })
+
+    it('should expand iterables into array', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var list = [2, 3];
+        var result = [1, ...list, ...'ab', , 4];
+      `)
+      esprimaParser.parseAst(ast)
+
+      const result = closureStack.get('result')
+
+      expect(result).to.be.eql([1, 2, 3, 'a', 'b', , 4])
+      expect(5 in result).to.be.false
+    })
+
+    it('should copy own enumerable properties into object', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var defaults = {a: 1, b: 2};
+        var opts = {b: 3};
+        var result = {...defaults, ...opts, ...null, c: 4};
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql({a: 1, b: 3, c: 4})
+    })
+
+    it('should define own __proto__ property given spread object has one', () => {
+      resetVariables('result', 'rest')
+
+      const ast = esprima.parse(`
+        var result = {...JSON.parse('{"__proto__": 1}')};
+        var {...rest} = JSON.parse('{"__proto__": 2}');
+      `)
+      esprimaParser.parseAst(ast)
+
+      const result = closureStack.get('result')
+      const rest = closureStack.get('rest')
+
+      expect(Object.getPrototypeOf(result)).to.be.equal(Object.prototype)
+      expect(Object.getOwnPropertyDescriptor(result, '__proto__').value).to.be.equal(1)
+      expect(Object.getPrototypeOf(rest)).to.be.equal(Object.prototype)
+      expect(Object.getOwnPropertyDescriptor(rest, '__proto__').value).to.be.equal(2)
+    })
+  })
+
+  describe('rest parameter tests', () => {
+    it('should collect remaining arguments into rest parameter', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function collect(a, ...rest) {
+          return [a, rest, Array.isArray(rest)];
+        }
+        var result = collect(1, 2, 3);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, [2, 3], true])
+    })
+
+    it('should set rest parameter to [] given no remaining arguments', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = ((...rest) => rest)();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([])
+    })
+
+    it('should destructure rest parameter given pattern', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function first(...[a, b]) {
+          return a + b;
+        }
+        var result = first(1, 2, 3);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(3)
+    })
+
+    it('should exclude rest parameter from function length', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        class A {
+          constructor(a, ...rest) {}
+          method(a, b, ...rest) {}
+        }
+        var result = [
+          function (a, ...rest) {}.length,
+          ((...rest) => {}).length,
+          A.length,
+          new A().method.length
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 0, 1, 2])
+    })
+  })
+})
@@ -0,0 +1,127 @@
+describe('stack tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  it('should synthesize stack of native error from interpreted call frames', () => {
+    resetVariables('inner', 'Outer', 'result')
+
+    const ast = esprima.parse(`
+      var inner = function (a) {
+        return a.b;
+      };
+      function Outer() { inner(); }
+      var result;
+      try {
+        new Outer();
+      } catch (e) {
+        result = e.stack;
+      }
+    `, {loc: true})
+    esprimaParser.parseAst(ast, 'http://x/a.js')
+
+    expect(closureStack.get('result')).to.match(/^TypeError: /)
+    expect(closureStack.get('result').split('\n').slice(1)).to.be.eql([
+      '    at inner (http://x/a.js:3:9)',
+      '    at new Outer (http://x/a.js:5:26)',
+      '    at http://x/a.js:8:9'
+    ])
+  })
+
+  it('should capture stack where error is created rather than thrown', () => {
+    resetVariables('create', 'error', 'result')
+
+    const ast = esprima.parse(`
+      function create() {
+        return new Error('message');
+      }
+      var error = create();
+      var result;
+      try {
+        throw error;
+      } catch (e) {
+        result = e.stack;
+      }
+    `, {loc: true})
+    esprimaParser.parseAst(ast, 'http://x/a.js')
+
+    expect(closureStack.get('result')).to.be.equal([
+      'Error: message',
+      '    at create (http://x/a.js:3:16)',
+      '    at http://x/a.js:5:19'
+    ].join('\n'))
+  })
+
+  it('should include frames of eval code and generators', () => {
+    resetVariables('gen', 'result')
+
+    const ast = esprima.parse(`
+      function* gen() {
+        yield 1;
+        eval('\\n  null.a');
+      }
+      var result;
+      try {
+        var iterator = gen();
+        iterator.next();
+        iterator.next();
+      } catch (e) {
+        result = e.stack;
+      }
+    `, {loc: true})
+    esprimaParser.parseAst(ast, 'http://x/a.js')
+
+    expect(closureStack.get('result').split('\n').slice(1)).to.be.eql([
+      '    at eval (http://x/a.js line 4 > eval:2:3)',
+      '    at gen (http://x/a.js:4:9)',
+      '    at http://x/a.js:10:9'
+    ])
+  })
+
+  it('should locate statement nested without block at its parent statement', () => {
+    resetVariables('check', 'result')
+
+    const ast = esprima.parse(`
+      function check(a) {
+        var b = a;
+        if (b) null.c;
+      }
+      var result;
+      try {
+        check(1);
+      } catch (e) {
+        result = e.stack;
+      }
+    `, {loc: true})
+    esprimaParser.parseAst(ast, 'http://x/a.js')
+
+    expect(closureStack.get('result').split('\n').slice(1)).to.be.eql([
+      '    at check (http://x/a.js:4:9)',
+      '    at http://x/a.js:8:9'
+    ])
+  })
+
+  it('should record frames of error in errorFrames', () => {
+    resetVariables('fail', 'result')
+
+    const ast = esprima.parse(`
+      function fail() {
+        throw new RangeError('message');
+      }
+      var result;
+      try {
+        fail();
+      } catch (e) {
+        result = e;
+      }
+    `, {loc: true})
+    esprimaParser.parseAst(ast, 'http://x/a.js')
+
+    const frames = esprimaParser.errorFrames.get(closureStack.get('result'))
+
+    expect(frames.map((frame) => frame.name)).to.be.eql(['fail', ''])
+    expect(frames[0].scriptUrl).to.be.equal('http://x/a.js')
+  })
+})
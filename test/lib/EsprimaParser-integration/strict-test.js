@@ -0,0 +1,255 @@
+describe('strict mode tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  describe('directive prologue tests', () => {
+    it('should apply strict mode to whole script given \'use strict\' directive', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        'use strict';
+        var result = (function () { return this })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.undefined
+    })
+
+    it('should not apply strict mode given \'use strict\' after directive prologue', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var a;
+        'use strict';
+        var result = (function () { return this })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.equal(global)
+    })
+
+    it('should apply strict mode to function and functions nested in it given \'use strict\' directive in function', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        function outer() {
+          'use strict';
+          return [this, (function () { return this })(), (() => this)()];
+        }
+        function sloppy() {
+          return this;
+        }
+        var result = outer().concat(sloppy());
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([undefined, undefined, undefined, global])
+    })
+
+    it('should not leak strict mode of one script to the next', () => {
+      resetVariables('result')
+
+      esprimaParser.parseAst(esprima.parse(`
+        'use strict';
+        function strict() { return this }
+      `))
+      esprimaParser.parseAst(esprima.parse(`
+        var result = [strict(), (function () { return this })()];
+      `))
+
+      expect(closureStack.get('result')).to.be.eql([undefined, global])
+    })
+
+    it('should apply strict mode to class bodies', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        class A {
+          method() { return (function () { return this })() }
+          static method() { return this }
+        }
+        var method = A.method;
+        var result = [new A().method(), method()];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([undefined, undefined])
+    })
+  })
+
+  describe('this binding tests', () => {
+    it('should keep primitive this in strict function', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [
+          (function () { 'use strict'; return typeof this }).call(1),
+          (function () { 'use strict'; return this }).call(null)
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['number', null])
+    })
+
+    it('should box primitive this and replace nullish this with global object in sloppy function', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = [
+          (function () { return typeof this }).call(1),
+          (function () { return this }).call(null)
+        ];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['object', global])
+    })
+  })
+
+  describe('assignment tests', () => {
+    it('should throw ReferenceError given assignment to undeclared variable in strict mode', () => {
+      resetVariables('result', 'undeclared')
+
+      const ast = esprima.parse(`
+        'use strict';
+        var result;
+        try {
+          undeclared = 1;
+        } catch (e) {
+          result = e;
+        }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.instanceof(ReferenceError)
+      expect(closureStack.get('result').message).to.be.equal('undeclared is not defined')
+      expect(global).to.not.have.property('undeclared')
+    })
+
+    it('should create global variable given assignment to undeclared variable in sloppy mode', () => {
+      resetVariables('undeclared')
+
+      const ast = esprima.parse(`
+        (function () {
+          undeclared = 1;
+        })();
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(global.undeclared).to.be.equal(1)
+
+      resetVariables('undeclared')
+    })
+
+    it('should throw TypeError given assignment to read-only property in strict mode', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        'use strict';
+        var frozen = Object.freeze({a: 1});
+        var result = [];
+        try { frozen.a = 2 } catch (e) { result.push(e.constructor.name) }
+        try { 'string'.a = 2 } catch (e) { result.push(e.constructor.name) }
+        try { delete frozen.a } catch (e) { result.push(e.constructor.name) }
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['TypeError', 'TypeError', 'TypeError'])
+    })
+
+    it('should silently ignore assignment to read-only property in sloppy mode', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var frozen = Object.freeze({a: 1});
+        frozen.a = 2;
+        'string'.a = 2;
+        var result = [frozen.a, delete frozen.a];
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, false])
+    })
+  })
+
+  describe('arguments tests', () => {
+    it('should alias arguments and params in sloppy function with simple params', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function (a, b, c) {
+          arguments[0] = 'a';
+          b = 'b';
+          c = 'c';
+          return [a, arguments[1], arguments[2], arguments.length];
+        })(1, 2);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['a', 'b', undefined, 2])
+    })
+
+    it('should alias arguments and params referred to by arrow function or direct eval in it', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function (a, b) {
+          (() => { arguments[0] = 'a'; })();
+          (() => eval('arguments[1] = "b"'))();
+          return [a, b];
+        })(1, 2);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql(['a', 'b'])
+    })
+
+    it('should not alias arguments and params in strict function', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function (a, b) {
+          'use strict';
+          arguments[0] = 'a';
+          b = 'b';
+          return [a, arguments[1]];
+        })(1, 2);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 2])
+    })
+
+    it('should not alias arguments and params in function with non-simple params', () => {
+      resetVariables('result')
+
+      const ast = esprima.parse(`
+        var result = (function (a, b = 0) {
+          arguments[0] = 'a';
+          b = 'b';
+          return [a, arguments[1]];
+        })(1, 2);
+      `)
+      esprimaParser.parseAst(ast)
+
+      expect(closureStack.get('result')).to.be.eql([1, 2])
+    })
+  })
+
+  describe('module tests', () => {
+    it('should apply strict mode to module code', () => {
+      esprimaParser.moduleLoader.fetchText = () => Promise.reject(new Error('unexpected fetch'))
+
+      return esprimaParser.runModuleScript(`
+        export const result = [(function () { return this })()];
+        try { undeclaredInModule = 1 } catch (e) { result.push(e.constructor.name) }
+      `, 'http://example.com/').then((namespace) => {
+        expect(namespace.result).to.be.eql([undefined, 'ReferenceError'])
+      })
+    })
+  })
+})
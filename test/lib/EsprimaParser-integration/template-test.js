@@ -0,0 +1,111 @@
+describe('template literal tests', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  it('should interpolate expressions into template', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var items = ['a', 'b'];
+      var result = \`<ul>\${items.map((item) => \`<li>\${item}</li>\`).join('')}</ul>\`;
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal('<ul><li>a</li><li>b</li></ul>')
+  })
+
+  it('should keep line breaks and escapes in template', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result = \`a
+b\\t\\\`\`;
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal('a\nb\t`')
+  })
+
+  it('should convert substitutions by toString before valueOf', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var value = {toString: function () { return 'a' }, valueOf: function () { return 'b' }};
+      var result = \`\${value}\`;
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal('a')
+  })
+
+  it('should throw TypeError given symbol substitution', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      try { \`\${Symbol()}\` } catch (e) { var result = e instanceof TypeError }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.true
+  })
+
+  it('should call tag with strings and values', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      function tag(strings, a, b) {
+        return [strings.slice(), strings.raw.slice(), a, b];
+      }
+      var result = tag\`x\\n\${1}y\${2}\`;
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([['x\n', 'y', ''], ['x\\n', 'y', ''], 1, 2])
+  })
+
+  it('should call member tag with its object as this', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var obj = {
+        prefix: '>',
+        tag: function (strings, value) {
+          return this.prefix + strings[0] + value;
+        }
+      };
+      var result = obj.tag\`a\${1}\`;
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal('>a1')
+  })
+
+  it('should support String.raw', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result = String.raw\`a\\n\${'b'}\`;
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal('a\\nb')
+  })
+
+  it('should pass the same strings array given the same template evaluated', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      function tag(strings) {
+        return strings;
+      }
+      var results = [1, 2].map(() => tag\`a\`);
+      var result = [results[0] === results[1], results[0] === tag\`a\`];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([true, false])
+  })
+})
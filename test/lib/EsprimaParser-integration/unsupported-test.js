@@ -0,0 +1,170 @@
+describe('unsupported syntax', () => {
+  const code = `
+    var result = [];
+
+    class Test {
+      static {
+        result.push('static block');
+      }
+    }
+    debugger;
+    result.push('after');
+  `
+  let ast
+
+  beforeEach(() => {
+    resetVariables('Test', 'result')
+    sandbox.spy(console, 'warn')
+
+    ast = esprima.parse(code, {loc: true, range: true})
+  })
+
+  it('should skip unsupported syntax and keep running script', () => {
+    esprimaParser.onDiagnostic = sandbox.spy()
+    esprimaParser.parseAst(ast, 'scriptUrl', code)
+
+    expect(esprimaParser.closureStack.get('result')).to.be.eql(['after'])
+    expect(esprimaParser.diagnostics).to.be.eql([{
+      type: 'StaticBlock',
+      scriptUrl: 'scriptUrl',
+      loc: {start: {line: 5, column: 13}, end: {line: 7, column: 7}},
+      action: EsprimaParser.SKIP
+    }])
+    expect(
+      esprimaParser.onDiagnostic
+        .calledWithExactly(esprimaParser.diagnostics[0], 'Unsupported syntax StaticBlock at scriptUrl:5:14, skipped')
+    ).to.be.true
+    expect(console.warn.called).to.be.false
+  })
+
+  it('should call onDebugger at debugger statement instead of pausing parser', () => {
+    const onDebugger = sandbox.spy()
+
+    esprimaParser = new EsprimaParser(global, {onDebugger})
+    esprimaParser.parseAst(ast, 'scriptUrl', code)
+
+    expect(
+      onDebugger
+        .calledWithExactly({
+          scriptUrl: 'scriptUrl',
+          loc: {start: {line: 9, column: 4}, end: {line: 9, column: 13}}
+        })
+    ).to.be.true
+    expect(esprimaParser.closureStack.get('result')).to.be.eql(['after'])
+  })
+
+  it('should skip the whole statement with unsupported syntax rather than running it halfway', () => {
+    resetVariables('log', 'a', 'b')
+
+    const fieldCode = `
+      var log = [];
+      var a = (log.push('before'), new (class { x = (log.push('field'), 1) })());
+      var b = 'after';
+    `
+    esprimaParser.parseAst(esprima.parse(fieldCode, {loc: true, range: true}), 'scriptUrl', fieldCode)
+
+    expect(esprimaParser.closureStack.get('log')).to.be.eql([])
+    expect(esprimaParser.closureStack.get('a')).to.be.undefined
+    expect(esprimaParser.closureStack.get('b')).to.be.equal('after')
+    expect(esprimaParser.diagnostics).to.be.eql([{
+      type: 'Property',
+      scriptUrl: 'scriptUrl',
+      loc: {start: {line: 3, column: 48}, end: {line: 3, column: 75}},
+      action: EsprimaParser.SKIP
+    }])
+  })
+
+  it('should skip statements in blocks with unsupported syntax as they run', () => {
+    resetVariables('log')
+
+    const blockCode = `
+      var log = [];
+      function f() {
+        log.push('before');
+        class A { static {} }
+        log.push('after');
+      }
+      f();
+      f();
+    `
+    esprimaParser.parseAst(esprima.parse(blockCode, {loc: true, range: true}), 'scriptUrl', blockCode)
+
+    expect(esprimaParser.closureStack.get('log')).to.be.eql(['before', 'after', 'before', 'after'])
+    expect(esprimaParser.diagnostics).to.have.lengthOf(2)
+    expect(esprimaParser.diagnostics[0]).to.have.property('type', 'StaticBlock')
+  })
+
+  it('should skip class with private names rather than defining them as public members', () => {
+    resetVariables('log', 'A')
+
+    const privateCode = `
+      var log = [];
+      class A {
+        #y() {}
+        static set(o) { o.#y = 1; }
+        static has(o) { return #y in o; }
+      }
+      log.push('after');
+    `
+    esprimaParser.parseAst(esprima.parse(privateCode, {loc: true, range: true}), 'scriptUrl', privateCode)
+
+    expect(esprimaParser.closureStack.get('log')).to.be.eql(['after'])
+    expect(esprimaParser.diagnostics).to.be.eql([{
+      type: 'PrivateIdentifier',
+      scriptUrl: 'scriptUrl',
+      loc: {start: {line: 4, column: 9}, end: {line: 4, column: 10}},
+      action: EsprimaParser.SKIP
+    }])
+  })
+
+  it('should skip statements awaiting at top level of module', () => {
+    resetVariables('log')
+    global.log = []
+
+    return esprimaParser.runModuleScript(`
+      log.push('before');
+      const value = (log.push('await'), await Promise.resolve(1));
+      if (log) {
+        log.push('block');
+        await null;
+      }
+      log.push('after');
+      export const result = typeof value;
+    `, 'http://example.com/index.html').then(() => {
+      throw new Error('should not resolve')
+    }, (error) => {
+      // value stays uninitialized given its declaration skipped
+      expect(error).to.be.instanceof(ReferenceError)
+      expect(global.log).to.be.eql(['before', 'after'])
+      expect(esprimaParser.diagnostics.map(({type, action}) => [type, action])).to.be.eql([
+        ['AwaitExpression', EsprimaParser.SKIP],
+        ['AwaitExpression', EsprimaParser.SKIP]
+      ])
+    })
+  })
+
+  it('should execute script with unsupported syntax natively given NATIVE policy', () => {
+    const onDiagnostic = sandbox.spy()
+
+    esprimaParser = new EsprimaParser(global, {unsupportedSyntax: EsprimaParser.NATIVE, onDiagnostic})
+    esprimaParser.parseAst(ast, 'scriptUrl', code)
+
+    expect(global.result).to.be.eql(['static block', 'after'])
+    expect(esprimaParser.diagnostics).to.have.lengthOf(1)
+    expect(esprimaParser.diagnostics[0]).to.have.property('action', EsprimaParser.NATIVE)
+    expect(
+      onDiagnostic
+        .calledWithExactly(esprimaParser.diagnostics[0], 'Unsupported syntax StaticBlock at scriptUrl:5:14, script executed natively')
+    ).to.be.true
+  })
+
+  it('should interpret script without unsupported syntax given NATIVE policy', () => {
+    const supportedCode = 'var result = [1];'
+
+    esprimaParser = new EsprimaParser(global, {unsupportedSyntax: EsprimaParser.NATIVE})
+    esprimaParser.parseAst(esprima.parse(supportedCode), 'scriptUrl', supportedCode)
+
+    expect(esprimaParser.closureStack.get('result')).to.be.eql([1])
+    expect(esprimaParser.diagnostics).to.be.eql([])
+  })
+})
@@ -125,4 +125,90 @@ describe('variable tests', () => {
 
     expect(closureStack.get('result')).to.be.a('function')
   })
+
+  it('should throw ReferenceError given unresolvable variable read', () => {
+    resetVariables('result', 'undeclared')
+
+    const ast = esprima.parse(`
+      var result = [];
+      try {
+        undeclared;
+      } catch (e) {
+        result.push(e instanceof ReferenceError, e.message);
+      }
+      try {
+        (function () { return undeclared + 1 })();
+      } catch (e) {
+        result.push(e.message);
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([
+      true, 'undeclared is not defined', 'undeclared is not defined'
+    ])
+  })
+
+  it('should take feature-detection branches as browser does', () => {
+    resetVariables('result', 'SomeMissingApi')
+
+    const ast = esprima.parse(`
+      var result;
+      try {
+        SomeMissingApi;
+        result = 'supported';
+      } catch (e) {
+        result = 'fallback';
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal('fallback')
+  })
+
+  it('should allow typeof on unresolvable variable but not on variable in temporal dead zone', () => {
+    resetVariables('result', 'undeclared')
+
+    const ast = esprima.parse(`
+      var result = [typeof undeclared, typeof Math];
+      try {
+        typeof tdz;
+        let tdz;
+      } catch (e) {
+        result.push(e instanceof ReferenceError);
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql(['undefined', 'object', true])
+  })
+
+  it('should create deletable implicit global given assignment to undeclared variable in function in sloppy mode', () => {
+    resetVariables('result', 'implicit')
+
+    const ast = esprima.parse(`
+      (function () {
+        implicit = 1;
+      })();
+      var result = [implicit, delete implicit, typeof implicit];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([1, true, 'undefined'])
+    expect(esprimaParser.context).to.not.have.property('implicit')
+  })
+
+  it('should update existing global instead of creating implicit global', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result = 1;
+      (function () {
+        result = 2;
+      })();
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(esprimaParser.context).to.have.property('result', 2)
+  })
 })
@@ -0,0 +1,156 @@
+describe('with', () => {
+  let closureStack
+
+  beforeEach(() => {
+    closureStack = esprimaParser.closureStack
+  })
+
+  it('should resolve variables to properties of object', () => {
+    resetVariables('a', 'b', 'c', 'obj', 'result')
+
+    const ast = esprima.parse(`
+      var a = 'global';
+      var obj = {a: 1};
+      var result = [];
+
+      with (obj) {
+        result.push(a);
+        a = 2;
+        b = 3;
+        let c = 4;
+        result.push(c);
+      }
+      result.push(a, obj.a, b, typeof c);
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([1, 4, 'global', 2, 3, 'undefined'])
+    expect(closureStack.get('obj')).to.not.have.property('b')
+  })
+
+  it('should call functions bound by with statement with its object as this', () => {
+    resetVariables('obj', 'result')
+
+    const ast = esprima.parse(`
+      var obj = {
+        method: function () {
+          return this;
+        }
+      };
+      var result;
+
+      with (obj) {
+        result = method() === obj;
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.true
+  })
+
+  it('should skip properties listed in Symbol.unscopables and resolve inherited ones', () => {
+    resetVariables('keys', 'result')
+
+    const ast = esprima.parse(`
+      var keys = 'global';
+      var result;
+
+      with ([1, 2]) {
+        result = [keys, typeof push, length];
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql(['global', 'function', 2])
+  })
+
+  it('should keep object in closures created in body', () => {
+    resetVariables('obj', 'getA', 'result')
+
+    const ast = esprima.parse(`
+      var obj = {a: 1};
+      var getA;
+
+      with (obj) {
+        getA = function () {
+          return a;
+        };
+      }
+      obj.a = 2;
+      var result = getA();
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.equal(2)
+  })
+
+  it('should work in generators', () => {
+    resetVariables('gen', 'iterator', 'result')
+
+    const ast = esprima.parse(`
+      var gen = function* () {
+        with ({a: 1}) {
+          return a + (yield a);
+        }
+      };
+      var iterator = gen();
+      var result = [iterator.next().value, iterator.next(2).value];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([1, 3])
+  })
+
+  it('should throw TypeError given null or undefined object', () => {
+    resetVariables('result')
+
+    const ast = esprima.parse(`
+      var result;
+
+      try {
+        with (null) {}
+      } catch (e) {
+        result = e instanceof TypeError;
+      }
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.true
+  })
+
+  it('should initialize var declared in with statement to property of object given object has it', () => {
+    resetVariables('obj', 'x', 'y', 'result')
+
+    const ast = esprima.parse(`
+      var obj = {x: 1};
+
+      with (obj) {
+        var x = 2;
+        var y = 3;
+      }
+      var result = [obj.x, x, obj.hasOwnProperty('y'), y];
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([2, undefined, false, 3])
+  })
+
+  it('should initialize var named as catch parameter to the parameter', () => {
+    resetVariables('e', 'result')
+
+    const ast = esprima.parse(`
+      var result = [];
+
+      try {
+        throw 1;
+      } catch (e) {
+        var e = 2;
+        result.push(e);
+      }
+      result.push(e);
+    `)
+    esprimaParser.parseAst(ast)
+
+    expect(closureStack.get('result')).to.be.eql([2, undefined])
+  })
+})
@@ -16,19 +16,276 @@ describe('constructor tests', () => {
     expect(esprimaParser.scriptUrl).to.be.null
   })
 
+  it('should set sourceText to null', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.sourceText).to.be.null
+  })
+
+  it('should set strict to false', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.strict).to.be.false
+  })
+
   it('should set checkFlag to false', () => {
     const esprimaParser = new EsprimaParser(context)
 
     expect(esprimaParser.checkFlag).to.be.false
   })
 
+  it('should set templateObjects to an empty WeakMap', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.templateObjects).to.be.instanceof(WeakMap)
+  })
+
+  it('should set expCodes to an empty WeakMap', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.expCodes).to.be.instanceof(WeakMap)
+  })
+
+  it('should set resolvedIdentifiers and argumentsReferences to empty WeakMaps and resolvedPrograms to an empty WeakSet', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.resolvedIdentifiers).to.be.instanceof(WeakMap)
+    expect(esprimaParser.resolvedPrograms).to.be.instanceof(WeakSet)
+    expect(esprimaParser.argumentsReferences).to.be.instanceof(WeakMap)
+  })
+
+  it('should set suspendableNodes, heapSuspendableNodes, yieldNodes and generatorStates to empty WeakMaps', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.suspendableNodes).to.be.instanceof(WeakMap)
+    expect(esprimaParser.heapSuspendableNodes).to.be.instanceof(WeakMap)
+    expect(esprimaParser.yieldNodes).to.be.instanceof(WeakMap)
+    expect(esprimaParser.generatorStates).to.be.instanceof(WeakMap)
+  })
+
+  it('should set generatorState to null', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.generatorState).to.be.null
+  })
+
+  it('should set shortCircuit to an object', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.shortCircuit).to.be.an('object')
+  })
+
+  it('should set resolvedValues to an empty Map', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.resolvedValues).to.be.instanceof(Map)
+    expect(esprimaParser.resolvedValues.size).to.be.equal(0)
+  })
+
+  it('should set generatorPrototype to the result from initGeneratorPrototype', () => {
+    sandbox.stub(EsprimaParser.prototype, 'initGeneratorPrototype')
+      .returns('resultFromInitGeneratorPrototype')
+
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.generatorPrototype).to.be.equal('resultFromInitGeneratorPrototype')
+  })
+
+  it('should set generatorFunctionPrototype to prototype of native generator functions', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.generatorFunctionPrototype).to.be.equal(
+      Object.getPrototypeOf(function* () {})
+    )
+  })
+
+  it('should set asyncFunctionPrototype and asyncGeneratorFunctionPrototype to results from createFunctionPrototype called with their tags', () => {
+    sandbox.stub(EsprimaParser.prototype, 'createFunctionPrototype', (tag) => `${tag}Prototype`)
+
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.asyncFunctionPrototype).to.be.equal('AsyncFunctionPrototype')
+    expect(esprimaParser.asyncGeneratorFunctionPrototype).to.be.equal('AsyncGeneratorFunctionPrototype')
+  })
+
+  it('should set asyncGeneratorPrototype to the result from initAsyncGeneratorPrototype', () => {
+    sandbox.stub(EsprimaParser.prototype, 'initAsyncGeneratorPrototype')
+      .returns('resultFromInitAsyncGeneratorPrototype')
+
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.asyncGeneratorPrototype).to.be.equal('resultFromInitAsyncGeneratorPrototype')
+  })
+
+  it('should set asyncGeneratorQueues to an empty WeakMap and async to false', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.asyncGeneratorQueues).to.be.instanceof(WeakMap)
+    expect(esprimaParser.async).to.be.false
+  })
+
+  it('should set functionSourceTexts to the result from initFunctionToString', () => {
+    sandbox.stub(EsprimaParser.prototype, 'initFunctionToString')
+      .returns('resultFromInitFunctionToString')
+
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.functionSourceTexts).to.be.equal('resultFromInitFunctionToString')
+  })
+
+  it('should set nativeEval to eval of context', () => {
+    const evalStub = () => {}
+    const esprimaParser = new EsprimaParser({eval: evalStub})
+
+    expect(esprimaParser.nativeEval).to.be.equal(evalStub)
+  })
+
+  it('should set codeEvaluators to the result from initCodeEvaluators called with context', () => {
+    sandbox.stub(EsprimaParser.prototype, 'initCodeEvaluators')
+      .withArgs(context)
+        .returns('resultFromInitCodeEvaluators')
+
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.codeEvaluators).to.be.equal('resultFromInitCodeEvaluators')
+  })
+
+  it('should set completionValue to undefined', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser).to.have.property('completionValue', undefined)
+  })
+
+  it('should set unsupportedSyntax to EsprimaParser.SKIP given no options', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.unsupportedSyntax).to.be.equal(EsprimaParser.SKIP)
+  })
+
+  it('should set unsupportedSyntax to unsupportedSyntax of given options', () => {
+    const esprimaParser = new EsprimaParser(context, {unsupportedSyntax: EsprimaParser.NATIVE})
+
+    expect(esprimaParser.unsupportedSyntax).to.be.equal(EsprimaParser.NATIVE)
+  })
+
+  it('should set onDebugger to null given no options', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.onDebugger).to.be.null
+  })
+
+  it('should set onDebugger to onDebugger of given options', () => {
+    const onDebugger = () => {}
+    const esprimaParser = new EsprimaParser(context, {onDebugger})
+
+    expect(esprimaParser.onDebugger).to.be.equal(onDebugger)
+  })
+
+  it('should set onDiagnostic to null given no options', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.onDiagnostic).to.be.null
+  })
+
+  it('should set onDiagnostic to onDiagnostic of given options', () => {
+    const onDiagnostic = () => {}
+    const esprimaParser = new EsprimaParser(context, {onDiagnostic})
+
+    expect(esprimaParser.onDiagnostic).to.be.equal(onDiagnostic)
+  })
+
+  it('should set diagnostics to an empty array', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.diagnostics).to.be.eql([])
+  })
+
+  it('should set unsupportedNodes and blockHoistings to empty WeakMaps', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.unsupportedNodes).to.be.instanceof(WeakMap)
+    expect(esprimaParser.blockHoistings).to.be.instanceof(WeakMap)
+  })
+
+  it('should set errorFrames to an empty WeakMap', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.errorFrames).to.be.instanceof(WeakMap)
+  })
+
+  it('should set timeSlice to Infinity given no options', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.timeSlice).to.be.equal(Infinity)
+  })
+
+  it('should set timeSlice to timeSlice of given options', () => {
+    const esprimaParser = new EsprimaParser(context, {timeSlice: 10})
+
+    expect(esprimaParser.timeSlice).to.be.equal(10)
+  })
+
+  it('should set budgetError and budgetUsage to null', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.budgetError).to.be.null
+    expect(esprimaParser.budgetUsage).to.be.null
+  })
+
+  it('should set maxCallDepth to 10000 given no options', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.maxCallDepth).to.be.equal(10000)
+  })
+
+  it('should set maxCallDepth to maxCallDepth of given options', () => {
+    const esprimaParser = new EsprimaParser(context, {maxCallDepth: 100})
+
+    expect(esprimaParser.maxCallDepth).to.be.equal(100)
+  })
+
+  it('should set onHeapFrame to false and accessReceiver to undefined', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.onHeapFrame).to.be.false
+    expect(esprimaParser.accessReceiver).to.be.undefined
+  })
+
+  it('should set maxNativeCallDepth to 100 given no options', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.maxNativeCallDepth).to.be.equal(100)
+  })
+
+  it('should set maxNativeCallDepth to maxNativeCallDepth of given options', () => {
+    const esprimaParser = new EsprimaParser(context, {maxNativeCallDepth: 10})
+
+    expect(esprimaParser.maxNativeCallDepth).to.be.equal(10)
+  })
+
+  it('should set nativeCallDepth to 0', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.nativeCallDepth).to.be.equal(0)
+  })
+
+  it('should set functionAgents to an empty WeakMap', () => {
+    const esprimaParser = new EsprimaParser(context)
+
+    expect(esprimaParser.functionAgents).to.be.instanceof(WeakMap)
+  })
+
   it('should set static imported modules properly', () => {
     /* import libs */
     const escodegen = require('escodegen')
-    const arity = require('util-arity')
+    const esprima = require('esprima-next')
     /* import structures */
     const Callee = require(libDir + '/structures/Callee')
+    const CallRequest = require(libDir + '/structures/CallRequest')
+    const NativeCallRequest = require(libDir + '/structures/NativeCallRequest')
+    const AwaitRequest = require(libDir + '/structures/AwaitRequest')
     const Collection = require(libDir + '/structures/Collection')
+    const InterpreterError = require(libDir + '/structures/InterpreterError')
 
     /* import operators */
     const binaryOperators = require(libDir + '/operators/binaryOperators')
@@ -39,9 +296,13 @@ describe('constructor tests', () => {
     const esprimaParser = new EsprimaParser(context)
 
     expect(esprimaParser.escodegen).to.be.equal(escodegen)
-    expect(esprimaParser.arity).to.be.equal(arity)
+    expect(esprimaParser.esprima).to.be.equal(esprima)
     expect(esprimaParser.Callee).to.be.equal(Callee)
+    expect(esprimaParser.CallRequest).to.be.equal(CallRequest)
+    expect(esprimaParser.NativeCallRequest).to.be.equal(NativeCallRequest)
+    expect(esprimaParser.AwaitRequest).to.be.equal(AwaitRequest)
     expect(esprimaParser.Collection).to.be.equal(Collection)
+    expect(esprimaParser.InterpreterError).to.be.equal(InterpreterError)
     expect(esprimaParser.binaryOperators).to.be.equal(binaryOperators)
     expect(esprimaParser.updateOperators).to.be.equal(updateOperators)
     expect(esprimaParser.checkerDispatcher).to.be.equal(checkerDispatcher)
@@ -109,6 +370,35 @@ describe('constructor tests', () => {
     expect(esprimaParser.flowState).to.be.instanceof(FlowStateSpy)
   })
 
+  it('should set callStack to a new instance of CallStack', () => {
+    const CallStackSpy = sandbox.spy()
+    const EsprimaParserStub = proxyquire(libDir, {
+      './structures/CallStack': CallStackSpy
+    })
+    const esprimaParser = new EsprimaParserStub(context)
+
+    expect(CallStackSpy.calledOnce).to.be.true
+    expect(CallStackSpy.calledWithNew()).to.be.true
+    expect(CallStackSpy.calledWithExactly()).to.be.true
+    expect(esprimaParser.callStack).to.be.instanceof(CallStackSpy)
+  })
+
+  it('should set executionBudget to a new instance of ExecutionBudget init with maxSteps and maxTime of given options', () => {
+    const ExecutionBudgetSpy = sandbox.spy()
+    const EsprimaParserStub = proxyquire(libDir, {
+      './structures/ExecutionBudget': ExecutionBudgetSpy
+    })
+    const esprimaParser = new EsprimaParserStub(context, {maxSteps: 100, maxTime: 10})
+
+    expect(ExecutionBudgetSpy.calledOnce).to.be.true
+    expect(ExecutionBudgetSpy.calledWithNew()).to.be.true
+    expect(
+      ExecutionBudgetSpy
+        .calledWithExactly({maxSteps: 100, maxTime: 10})
+    ).to.be.true
+    expect(esprimaParser.executionBudget).to.be.instanceof(ExecutionBudgetSpy)
+  })
+
   it('should set closureStack to a new instance of ClosureStack init with context', () => {
     const ClosureStackSpy = sandbox.spy()
     const EsprimaParserStub = proxyquire(libDir, {
@@ -121,4 +411,16 @@ describe('constructor tests', () => {
     expect(ClosureStackSpy.calledWithExactly(context)).to.be.true
     expect(esprimaParser.closureStack).to.be.instanceof(ClosureStackSpy)
   })
+
+  it('should set moduleLoader to a new instance of ModuleLoader', () => {
+    const ModuleLoaderSpy = sandbox.spy()
+    const EsprimaParserStub = proxyquire(libDir, {
+      './structures/ModuleLoader': ModuleLoaderSpy
+    })
+    const esprimaParser = new EsprimaParserStub(context)
+
+    expect(ModuleLoaderSpy.calledOnce).to.be.true
+    expect(ModuleLoaderSpy.calledWithNew()).to.be.true
+    expect(esprimaParser.moduleLoader).to.be.instanceof(ModuleLoaderSpy)
+  })
 })
@@ -0,0 +1,18 @@
+describe('createFunctionPrototype tests', () => {
+  const context = {}
+  let esprimaParser
+
+  beforeEach(() => {
+    esprimaParser = new EsprimaParser(context)
+  })
+
+  it('should return an object inheriting Function.prototype and tagged by tag', () => {
+    const result = esprimaParser.createFunctionPrototype('AsyncFunction')
+    const agent = function () {}
+
+    Object.setPrototypeOf(agent, result)
+
+    expect(Object.getPrototypeOf(result)).to.be.equal(Function.prototype)
+    expect(Object.prototype.toString.call(agent)).to.be.equal('[object AsyncFunction]')
+  })
+})
@@ -0,0 +1,42 @@
+describe('initAsyncGeneratorPrototype tests', () => {
+  const context = {}
+  let esprimaParser
+
+  beforeEach(() => {
+    esprimaParser = new EsprimaParser(context)
+  })
+
+  it('should return an object tagged AsyncGenerator and iterable asynchronously by itself', () => {
+    const result = esprimaParser.initAsyncGeneratorPrototype()
+    const generator = Object.create(result)
+
+    expect(Object.getPrototypeOf(result)).to.be.equal(Object.prototype)
+    expect(Object.prototype.toString.call(generator)).to.be.equal('[object AsyncGenerator]')
+    expect(generator[Symbol.asyncIterator]()).to.be.equal(generator)
+  })
+
+  it('should return an object containing own \'next\', \'return\' and \'throw\' methods', () => {
+    const result = esprimaParser.initAsyncGeneratorPrototype()
+
+    expect(result).to.have.ownProperty('next')
+    expect(result).to.have.ownProperty('return')
+    expect(result).to.have.ownProperty('throw')
+  })
+
+  it('should call enqueueAsyncGenerator with generator, method name and value given method called', () => {
+    const generator = Object.create(esprimaParser.initAsyncGeneratorPrototype())
+
+    sandbox.stub(esprimaParser, 'enqueueAsyncGenerator')
+      .returns('resultFromEnqueueAsyncGenerator')
+
+    for (const method of ['next', 'return', 'throw']) {
+      const result = generator[method]('value')
+
+      expect(
+        esprimaParser.enqueueAsyncGenerator
+          .calledWithExactly(generator, method, 'value')
+      ).to.be.true
+      expect(result).to.be.equal('resultFromEnqueueAsyncGenerator')
+    }
+  })
+})
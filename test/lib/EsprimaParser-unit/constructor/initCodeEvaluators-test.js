@@ -0,0 +1,81 @@
+describe('initCodeEvaluators tests', () => {
+  const loc = {}
+  let context, esprimaParser
+
+  beforeEach(() => {
+    context = {
+      eval: function eval() {},
+      Function: function Function() {},
+      setTimeout: sandbox.spy(function setTimeout() { return 'timerId' }),
+      setInterval: sandbox.spy(function setInterval() { return 'timerId' })
+    }
+    esprimaParser = new EsprimaParser(context)
+
+    sandbox.stub(esprimaParser, 'parseIndirectEval')
+      .returns('resultFromParseIndirectEval')
+    sandbox.stub(esprimaParser, 'createDynamicFunction')
+      .returns('resultFromCreateDynamicFunction')
+    sandbox.stub(esprimaParser, 'createTimerHandler')
+      .returns('resultFromCreateTimerHandler')
+  })
+
+  it('should return a Map of natives of context', () => {
+    const result = esprimaParser.initCodeEvaluators(context)
+
+    expect(result).to.be.instanceof(Map)
+    expect([...result.keys()]).to.be.eql([
+      context.eval, context.Function, context.setTimeout, context.setInterval
+    ])
+  })
+
+  it('should not contain natives missing from context', () => {
+    const result = esprimaParser.initCodeEvaluators({eval: context.eval})
+
+    expect([...result.keys()]).to.be.eql([context.eval])
+  })
+
+  it('should map eval to parseIndirectEval called with the first argument and loc', () => {
+    const evaluator = esprimaParser.initCodeEvaluators(context).get(context.eval)
+
+    const result = evaluator(['code', 'other'], undefined, loc)
+
+    expect(
+      esprimaParser.parseIndirectEval
+        .calledWithExactly('code', loc)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseIndirectEval')
+  })
+
+  it('should map Function to createDynamicFunction called with arguments and loc', () => {
+    const evaluator = esprimaParser.initCodeEvaluators(context).get(context.Function)
+    const calledArguments = ['a', 'return a']
+
+    const result = evaluator(calledArguments, undefined, loc)
+
+    expect(
+      esprimaParser.createDynamicFunction
+        .calledWithExactly(calledArguments, loc)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateDynamicFunction')
+  })
+
+  it('should map timers to themselves called by caller with handler from createTimerHandler and rest arguments', () => {
+    const evaluators = esprimaParser.initCodeEvaluators(context)
+    const caller = {}
+
+    for (const timer of [context.setTimeout, context.setInterval]) {
+      const result = evaluators.get(timer)(['code', 10, 'arg'], caller, loc)
+
+      expect(
+        esprimaParser.createTimerHandler
+          .calledWithExactly('code', timer.name, loc)
+      ).to.be.true
+      expect(timer.calledOn(caller)).to.be.true
+      expect(
+        timer
+          .calledWithExactly('resultFromCreateTimerHandler', 10, 'arg')
+      ).to.be.true
+      expect(result).to.be.equal('timerId')
+    }
+  })
+})
@@ -0,0 +1,53 @@
+describe('initFunctionToString tests', () => {
+  const context = {}
+  let esprimaParser
+
+  beforeEach(() => {
+    esprimaParser = new EsprimaParser(context)
+  })
+
+  it('should return a WeakMap shared by all parsers', () => {
+    const result = esprimaParser.initFunctionToString()
+
+    expect(result).to.be.instanceof(WeakMap)
+    expect(result).to.be.equal(new EsprimaParser(context).functionSourceTexts)
+  })
+
+  it('should patch Function.prototype.toString only once', () => {
+    const toString = Function.prototype.toString
+
+    esprimaParser.initFunctionToString()
+
+    expect(Function.prototype.toString).to.be.equal(toString)
+  })
+
+  it('should make Function.prototype.toString report source text registered', () => {
+    const functionAgent = function () {}
+
+    esprimaParser.functionSourceTexts.set(functionAgent, 'function (a) {}')
+
+    expect(functionAgent.toString()).to.be.equal('function (a) {}')
+    expect(Function.prototype.toString.call(functionAgent)).to.be.equal('function (a) {}')
+  })
+
+  it('should make Function.prototype.toString report native source text given function not registered', () => {
+    const fn = function (a) { return a }
+
+    expect(fn.toString()).to.be.equal('function (a) { return a }')
+  })
+
+  it('should keep patched Function.prototype.toString looking native', () => {
+    const toString = Function.prototype.toString
+
+    expect(toString.name).to.be.equal('toString')
+    expect(toString.toString()).to.be.equal('function toString() { [native code] }')
+    expect(toString).to.not.have.ownProperty('prototype')
+    expect(Object.keys(Function.prototype)).to.not.include('toString')
+  })
+
+  it('should throw TypeError given this is not a function', () => {
+    expect(() => {
+      Function.prototype.toString.call({})
+    }).to.throw(TypeError)
+  })
+})
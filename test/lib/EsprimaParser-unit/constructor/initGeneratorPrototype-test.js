@@ -0,0 +1,40 @@
+describe('initGeneratorPrototype tests', () => {
+  const context = {}
+  const nativeGeneratorPrototype = Object.getPrototypeOf(function* () {}).prototype
+  let esprimaParser
+
+  beforeEach(() => {
+    esprimaParser = new EsprimaParser(context)
+  })
+
+  it('should return an object inheriting native generator prototype', () => {
+    const result = esprimaParser.initGeneratorPrototype()
+
+    expect(Object.getPrototypeOf(result)).to.be.equal(nativeGeneratorPrototype)
+  })
+
+  it('should return an object containing own \'next\', \'return\' and \'throw\' methods', () => {
+    const result = esprimaParser.initGeneratorPrototype()
+
+    expect(result).to.have.ownProperty('next')
+    expect(result).to.have.ownProperty('return')
+    expect(result).to.have.ownProperty('throw')
+  })
+
+  it('should call resumeGenerator with generator, method name and value given method called', () => {
+    const generator = Object.create(esprimaParser.initGeneratorPrototype())
+
+    sandbox.stub(esprimaParser, 'resumeGenerator')
+      .returns('resultFromResumeGenerator')
+
+    for (const method of ['next', 'return', 'throw']) {
+      const result = generator[method]('value')
+
+      expect(
+        esprimaParser.resumeGenerator
+          .calledWithExactly(generator, method, 'value')
+      ).to.be.true
+      expect(result).to.be.equal('resultFromResumeGenerator')
+    }
+  })
+})
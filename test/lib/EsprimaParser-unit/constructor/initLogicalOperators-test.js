@@ -6,10 +6,40 @@ describe('initLogicalOperators tests', () => {
     esprimaParser = new EsprimaParser(context)
   })
 
-  it('should return an object containing \'||\' and \'&&\' which both are functions', () => {
+  it('should return an object containing \'||\', \'&&\' and \'??\' which all are functions', () => {
     const result = esprimaParser.initLogicalOperators()
 
     expect(result).to.have.property('||').that.is.a('function')
     expect(result).to.have.property('&&').that.is.a('function')
+    expect(result).to.have.property('??').that.is.a('function')
+  })
+
+  describe('\'??\' tests', () => {
+    const left = {type: 'Left'}
+    const right = {type: 'Right'}
+    let leftValue
+
+    beforeEach(() => {
+      sandbox.stub(esprimaParser, 'parseNode', (node) => {
+        return (node === left) ? leftValue : 'right'
+      })
+    })
+
+    it('should return left without parsing right given left neither null nor undefined', () => {
+      leftValue = 0
+
+      const result = esprimaParser.initLogicalOperators()['??'](left, right)
+
+      expect(result).to.be.equal(0)
+      expect(esprimaParser.parseNode.calledWith(right)).to.be.false
+    })
+
+    it('should return right given left null or undefined', () => {
+      for (const value of [null, undefined]) {
+        leftValue = value
+
+        expect(esprimaParser.initLogicalOperators()['??'](left, right)).to.be.equal('right')
+      }
+    })
   })
 })
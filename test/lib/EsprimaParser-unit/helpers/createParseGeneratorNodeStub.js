@@ -0,0 +1,5 @@
+module.exports = () => {
+  return function* (node) {
+    return node ? `parsed${node.type}` : undefined
+  }
+}
@@ -1,5 +1,7 @@
 module.exports = {
   createAstNode: require('./createAstNode'),
   createParseNodeStub: require('./createParseNodeStub'),
-  createResultsGenerator: require('./createResultsGenerator')
+  createParseGeneratorNodeStub: require('./createParseGeneratorNodeStub'),
+  createResultsGenerator: require('./createResultsGenerator'),
+  runGenerator: require('./runGenerator')
 }
@@ -0,0 +1,9 @@
+module.exports = (iterator) => {
+  let step
+
+  do {
+    step = iterator.next()
+  } while (!step.done)
+
+  return step.value
+}
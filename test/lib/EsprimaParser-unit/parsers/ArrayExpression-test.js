@@ -48,7 +48,24 @@ describe('ArrayExpression tests', () => {
     ])
   });
 
-  it('should delete null node', () => {
+  it('should expand parsed argument of SpreadElement', () => {
+    arrayExpression.elements = [
+      createAstNode('Expression1'),
+      createAstNode('SpreadElement', {
+        argument: createAstNode('Expression2')
+      })
+    ]
+    esprimaParser.parseNode.restore()
+    sandbox.stub(esprimaParser, 'parseNode', (node) => {
+      return (node.type === 'Expression2') ? new Set(['a', 'b']) : `parsed${node.type}`
+    })
+
+    const result = esprimaParser.ArrayExpression(arrayExpression)
+
+    expect(result).to.be.eql(['parsedExpression1', 'a', 'b'])
+  })
+
+  it('should leave a hole given null node', () => {
     arrayExpression.elements = [
       createAstNode('Expression1'),
       null,
@@ -61,5 +78,7 @@ describe('ArrayExpression tests', () => {
       ,
       'parsedExpression3'
     ])
+    expect(result).to.have.lengthOf(3)
+    expect(1 in result).to.be.false
   })
 })
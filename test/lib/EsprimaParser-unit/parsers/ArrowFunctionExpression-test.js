@@ -0,0 +1,38 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#arrowfunctionexpression
+
+describe('ArrowFunctionExpression tests', () => {
+  const functionAgent = function () {}
+  let arrowFunctionExpression
+
+  beforeEach(() => {
+    arrowFunctionExpression = createAstNode('ArrowFunctionExpression', {
+      params: [createAstNode('Pattern')],
+      body: createAstNode('BlockStatement|Expression')
+    })
+    sandbox.stub(esprimaParser, 'createFunctionAgent').returns(functionAgent)
+  })
+
+  it('should call createFunctionAgent with arrowFunctionExpression and undefined name given no options', () => {
+    esprimaParser.ArrowFunctionExpression(arrowFunctionExpression)
+
+    expect(
+      esprimaParser.createFunctionAgent
+        .calledWithExactly(arrowFunctionExpression, undefined)
+    ).to.be.true
+  })
+
+  it('should call createFunctionAgent with arrowFunctionExpression and name in options', () => {
+    esprimaParser.ArrowFunctionExpression(arrowFunctionExpression, {name: 'name'})
+
+    expect(
+      esprimaParser.createFunctionAgent
+        .calledWithExactly(arrowFunctionExpression, 'name')
+    ).to.be.true
+  })
+
+  it('should return result from createFunctionAgent', () => {
+    const result = esprimaParser.ArrowFunctionExpression(arrowFunctionExpression)
+
+    expect(result).to.be.equal(functionAgent)
+  })
+})
@@ -18,6 +18,12 @@ describe('AssignmentExpression tests', () => {
     })
     assignStub = sandbox.stub().returns('resultFromAssign')
 
+    sandbox.stub(esprimaParser, 'isDestructuringPattern').returns(false)
+    sandbox.stub(esprimaParser, 'isLogicalAssignment').returns(false)
+    sandbox.stub(esprimaParser, 'parseLogicalAssignment')
+      .returns('resultFromParseLogicalAssignment')
+    sandbox.stub(esprimaParser, 'parseDestructuringAssignment')
+      .returns('resultFromParseDestructuringAssignment')
     sandbox.stub(esprimaParser, 'getAssignValue').returns(value)
     sandbox.stub(esprimaParser, 'getRefExp').returns(exp)
     sandbox.stub(esprimaParser, 'getExpInfo').returns(info)
@@ -26,12 +32,46 @@ describe('AssignmentExpression tests', () => {
     })
   })
 
-  it('should call getAssignValue with assignmentExpression', () => {
+  it('should call parseDestructuringAssignment with assignmentExpression and return given isDestructuringPattern returns true', () => {
+    esprimaParser.isDestructuringPattern.returns(true)
+
+    const result = esprimaParser.AssignmentExpression(assignmentExpression)
+
+    expect(
+      esprimaParser.isDestructuringPattern
+        .calledWithExactly(assignmentExpression.left)
+    ).to.be.true
+    expect(
+      esprimaParser.parseDestructuringAssignment
+        .calledWithExactly(assignmentExpression)
+    ).to.be.true
+    expect(esprimaParser.getRefExp.called).to.be.false
+    expect(result).to.be.equal('resultFromParseDestructuringAssignment')
+  })
+
+  it('should call parseLogicalAssignment with assignmentExpression and return given isLogicalAssignment returns true', () => {
+    esprimaParser.isLogicalAssignment.returns(true)
+
+    const result = esprimaParser.AssignmentExpression(assignmentExpression)
+
+    expect(
+      esprimaParser.isLogicalAssignment
+        .calledWithExactly(assignmentExpression)
+    ).to.be.true
+    expect(
+      esprimaParser.parseLogicalAssignment
+        .calledWithExactly(assignmentExpression)
+    ).to.be.true
+    expect(esprimaParser.getRefExp.called).to.be.false
+    expect(result).to.be.equal('resultFromParseLogicalAssignment')
+  })
+
+  it('should call getAssignValue with assignmentExpression and exp from getRefExp', () => {
     esprimaParser.AssignmentExpression(assignmentExpression)
 
     expect(
       esprimaParser.getAssignValue
-        .calledWithExactly(assignmentExpression)
+        .calledWithExactly(assignmentExpression, exp)
     ).to.be.true
   })
 
@@ -0,0 +1,134 @@
+describe('AssignmentExpressionGenerator tests', () => {
+  const exp = {caller: {}, callee: 'a'}
+  let assignmentExpression, refSubExpressions
+
+  beforeEach(() => {
+    refSubExpressions = [createAstNode('Object')]
+    assignmentExpression = createAstNode('AssignmentExpression', {
+      operator: '??=',
+      left: createAstNode('MemberExpression'),
+      right: createAstNode('Right')
+    })
+    sandbox.stub(esprimaParser, 'isLogicalAssignment').returns(true)
+    sandbox.stub(esprimaParser, 'parseResolvedNode', function* () {
+      return 'resultFromParseResolvedNode'
+    })
+    sandbox.stub(esprimaParser, 'getRefSubExpressions')
+      .withArgs(assignmentExpression.left).returns(refSubExpressions)
+    sandbox.stub(esprimaParser, 'resolveNodes', function* () {})
+    sandbox.stub(esprimaParser, 'unresolveNodes')
+    sandbox.stub(esprimaParser, 'getRefExp')
+      .withArgs(assignmentExpression.left).returns(exp)
+    sandbox.stub(esprimaParser, 'getRefValue')
+      .withArgs(exp, assignmentExpression.left).returns('origin')
+    sandbox.stub(esprimaParser, 'isShortCircuited')
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* () {
+      return 'value'
+    })
+    sandbox.stub(esprimaParser, 'assignRefValue').returns('resultFromAssignRefValue')
+  })
+
+  it('should delegate to parseGeneratorMemberAssignment given member access on heap frame', () => {
+    esprimaParser.onHeapFrame = true
+    sandbox.stub(esprimaParser, 'isMemberAccess')
+      .withArgs(assignmentExpression).returns(true)
+    sandbox.stub(esprimaParser, 'parseGeneratorMemberAssignment', function* () {
+      return 'resultFromParseGeneratorMemberAssignment'
+    })
+
+    const result = runGenerator(esprimaParser.AssignmentExpressionGenerator(assignmentExpression))
+
+    expect(
+      esprimaParser.parseGeneratorMemberAssignment
+        .calledWithExactly(assignmentExpression)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseGeneratorMemberAssignment')
+  })
+
+  it('should not delegate to parseGeneratorMemberAssignment given member access not on heap frame', () => {
+    esprimaParser.onHeapFrame = false
+    assignmentExpression.operator = '='
+    sandbox.stub(esprimaParser, 'isMemberAccess').returns(true)
+    sandbox.stub(esprimaParser, 'parseGeneratorMemberAssignment', function* () {})
+
+    runGenerator(esprimaParser.AssignmentExpressionGenerator(assignmentExpression))
+
+    expect(esprimaParser.parseGeneratorMemberAssignment.called).to.be.false
+    expect(esprimaParser.parseResolvedNode.calledOnce).to.be.true
+  })
+
+  it('should delegate to parseResolvedNode given \'=\' operator', () => {
+    const options = {}
+
+    assignmentExpression.operator = '='
+
+    const result = runGenerator(esprimaParser.AssignmentExpressionGenerator(assignmentExpression, options))
+
+    expect(
+      esprimaParser.parseResolvedNode
+        .calledWithExactly(assignmentExpression, options)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseResolvedNode')
+  })
+
+  it('should resolve sub expressions of reference before getRefExp, and unresolve them after', () => {
+    runGenerator(esprimaParser.AssignmentExpressionGenerator(assignmentExpression))
+
+    expect(esprimaParser.resolveNodes.calledWithExactly(refSubExpressions)).to.be.true
+    expect(esprimaParser.resolveNodes.calledBefore(esprimaParser.getRefExp)).to.be.true
+    expect(esprimaParser.unresolveNodes.calledWithExactly(refSubExpressions)).to.be.true
+  })
+
+  it('should call unresolveNodes given getRefExp throws error', () => {
+    const error = new Error()
+
+    esprimaParser.getRefExp.withArgs(assignmentExpression.left).throws(error)
+
+    expect(() => {
+      runGenerator(esprimaParser.AssignmentExpressionGenerator(assignmentExpression))
+    }).to.throw(error)
+    expect(esprimaParser.unresolveNodes.calledWithExactly(refSubExpressions)).to.be.true
+  })
+
+  it('should return origin value without parsing right given short-circuited', () => {
+    esprimaParser.isShortCircuited.withArgs('??', 'origin').returns(true)
+
+    const result = runGenerator(esprimaParser.AssignmentExpressionGenerator(assignmentExpression))
+
+    expect(esprimaParser.parseGeneratorNode.called).to.be.false
+    expect(result).to.be.equal('origin')
+  })
+
+  it('should return result from assignRefValue called with exp, right parsed and assignmentExpression given not short-circuited', () => {
+    esprimaParser.isShortCircuited.withArgs('??', 'origin').returns(false)
+
+    const result = runGenerator(esprimaParser.AssignmentExpressionGenerator(assignmentExpression))
+
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledWithExactly(assignmentExpression.right)
+    ).to.be.true
+    expect(
+      esprimaParser.assignRefValue
+        .calledWithExactly(exp, 'value', assignmentExpression)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromAssignRefValue')
+  })
+
+  it('should return result from assignRefValue called with exp, value calculated from origin and right parsed given compound operator', () => {
+    assignmentExpression.operator = '**='
+    esprimaParser.isLogicalAssignment.returns(false)
+    sandbox.stub(esprimaParser, 'calculateCompoundValue')
+      .withArgs('**=', 'origin', 'value').returns('resultFromCalculateCompoundValue')
+
+    const result = runGenerator(esprimaParser.AssignmentExpressionGenerator(assignmentExpression))
+
+    expect(esprimaParser.isShortCircuited.called).to.be.false
+    expect(esprimaParser.getRefValue.calledBefore(esprimaParser.parseGeneratorNode)).to.be.true
+    expect(
+      esprimaParser.assignRefValue
+        .calledWithExactly(exp, 'resultFromCalculateCompoundValue', assignmentExpression)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromAssignRefValue')
+  })
+})
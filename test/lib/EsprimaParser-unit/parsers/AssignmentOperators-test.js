@@ -59,4 +59,21 @@ describe('AssignmentOperators tests', () => {
 
     expect(result).to.be.equal(value)
   })
+
+  it('should call handleAssign in accessDeeply with caller of exp given nativeCallDepth reaching maxNativeCallDepth', () => {
+    esprimaParser.nativeCallDepth = esprimaParser.maxNativeCallDepth
+    sandbox.stub(esprimaParser, 'accessDeeply', (receiver, access) => access())
+
+    const result = assign(exp, value)
+
+    expect(
+      esprimaParser.accessDeeply
+        .calledWith(exp.caller)
+    ).to.be.true
+    expect(
+      esprimaParser.handleAssign
+        .calledWithExactly(exp, value)
+    ).to.be.true
+    expect(result).to.be.equal(value)
+  })
 })
@@ -0,0 +1,24 @@
+describe('AwaitExpressionGenerator tests', () => {
+  let awaitExpression
+
+  beforeEach(() => {
+    awaitExpression = createAstNode('AwaitExpression', {
+      argument: createAstNode('Expression')
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+  })
+
+  it('should yield AwaitRequest of result from parseGeneratorNode called with argument and return resumed value', () => {
+    const iterator = esprimaParser.AwaitExpressionGenerator(awaitExpression)
+    const step = iterator.next()
+
+    expect(step.done).to.be.false
+    expect(step.value).to.be.instanceof(esprimaParser.AwaitRequest)
+    expect(step.value.value).to.be.equal('parsedExpression')
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledWithExactly(awaitExpression.argument)
+    ).to.be.true
+    expect(iterator.next('settled')).to.be.eql({value: 'settled', done: true})
+  })
+})
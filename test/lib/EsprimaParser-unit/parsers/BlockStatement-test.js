@@ -12,17 +12,29 @@ describe('BlockStatement tests', () => {
       ]
     })
 
+    sandbox.stub(esprimaParser, 'handleBlockClosure', (scope, statements, parse) => parse())
     sandbox.stub(esprimaParser, 'parseStatements')
       .returns('resultFromParseStatements')
   })
 
-  it('should call parseStatementBody with body and return the result', () => {
+  it('should call handleBlockClosure with blockStatement and body', () => {
+    esprimaParser.BlockStatement(blockStatement)
+
+    expect(
+      esprimaParser.handleBlockClosure.getCall(0).args[0]
+    ).to.be.equal(blockStatement)
+    expect(
+      esprimaParser.handleBlockClosure.getCall(0).args[1]
+    ).to.be.equal(blockStatement.body)
+  })
+
+  it('should call parseStatements with body in handleBlockClosure and return the result', () => {
     const result = esprimaParser.BlockStatement(blockStatement)
 
     expect(
       esprimaParser.parseStatements
         .calledWithExactly(blockStatement.body)
-    )
+    ).to.be.true
     expect(result).to.be.equal('resultFromParseStatements')
   })
 })
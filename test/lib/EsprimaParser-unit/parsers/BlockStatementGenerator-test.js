@@ -0,0 +1,31 @@
+describe('BlockStatementGenerator tests', () => {
+  let blockStatement
+
+  beforeEach(() => {
+    blockStatement = createAstNode('BlockStatement', {
+      body: [createAstNode('Statement')]
+    })
+    sandbox.stub(esprimaParser, 'handleGeneratorBlockClosure', function* (scope, statements, parse) {
+      return yield* parse()
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorStatements', function* () {
+      return 'resultFromParseGeneratorStatements'
+    })
+  })
+
+  it('should return result from parseGeneratorStatements called with body in handleGeneratorBlockClosure', () => {
+    const result = runGenerator(esprimaParser.BlockStatementGenerator(blockStatement))
+
+    expect(
+      esprimaParser.handleGeneratorBlockClosure.getCall(0).args[0]
+    ).to.be.equal(blockStatement)
+    expect(
+      esprimaParser.handleGeneratorBlockClosure.getCall(0).args[1]
+    ).to.be.equal(blockStatement.body)
+    expect(
+      esprimaParser.parseGeneratorStatements
+        .calledWithExactly(blockStatement.body)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseGeneratorStatements')
+  })
+})
@@ -5,18 +5,49 @@ describe('CallExpression tests', () => {
   // stub results
   const exp = {
     caller: {},
-    callee: {}
+    callee: {
+      method: 'method',
+      arguments: ['code']
+    }
   }
-  const info = {}
+  const info = {loc: 'loc'}
 
   beforeEach(() => {
     delete exp.info // init exp
 
-    callexpression = createAstNode('CallExpression')
+    callExpression = createAstNode('CallExpression', {
+      callee: createAstNode('Expression')
+    })
+    sandbox.stub(esprimaParser, 'isSuper').returns(false)
+    sandbox.stub(esprimaParser, 'parseSuperCall')
+      .returns('resultFromParseSuperCall')
 
     sandbox.stub(esprimaParser, 'getCallExp').returns(exp)
     sandbox.stub(esprimaParser, 'getExpInfo').returns(info)
     sandbox.stub(esprimaParser, 'parseCallExp')
+    sandbox.stub(esprimaParser, 'isDirectEval').returns(false)
+    sandbox.stub(esprimaParser, 'parseDirectEval')
+      .returns('resultFromParseDirectEval')
+    sandbox.stub(esprimaParser, 'callStack', {
+      setLoc: sandbox.spy()
+    })
+  })
+
+  it('should call parseSuperCall with callExpression and return given callee is Super', () => {
+    esprimaParser.isSuper.returns(true)
+
+    const result = esprimaParser.CallExpression(callExpression)
+
+    expect(
+      esprimaParser.isSuper
+        .calledWithExactly(callExpression.callee)
+    ).to.be.true
+    expect(
+      esprimaParser.parseSuperCall
+        .calledWithExactly(callExpression)
+    ).to.be.true
+    expect(esprimaParser.getCallExp.called).to.be.false
+    expect(result).to.be.equal('resultFromParseSuperCall')
   })
 
   it('should call getCallExp with callExpression', () => {
@@ -53,4 +84,45 @@ describe('CallExpression tests', () => {
     ).to.be.true
     expect(result).to.be.equal(resultFromParseCallExp)
   })
+
+  it('should call callStack.setLoc with loc of callExpression before calling', () => {
+    callExpression.loc = 'loc'
+
+    esprimaParser.CallExpression(callExpression)
+
+    expect(
+      esprimaParser.callStack.setLoc
+        .calledWithExactly('loc')
+    ).to.be.true
+    expect(
+      esprimaParser.callStack.setLoc
+        .calledAfter(esprimaParser.getCallExp)
+    ).to.be.true
+    expect(
+      esprimaParser.callStack.setLoc
+        .calledBefore(esprimaParser.parseCallExp)
+    ).to.be.true
+  })
+
+  it('should call isDirectEval with callExpression and called method', () => {
+    esprimaParser.CallExpression(callExpression)
+
+    expect(
+      esprimaParser.isDirectEval
+        .calledWithExactly(callExpression, 'method')
+    ).to.be.true
+  })
+
+  it('should return result from parseDirectEval called with the first argument and loc of info given direct eval', () => {
+    esprimaParser.isDirectEval.returns(true)
+
+    const result = esprimaParser.CallExpression(callExpression)
+
+    expect(
+      esprimaParser.parseDirectEval
+        .calledWithExactly('code', 'loc')
+    ).to.be.true
+    expect(esprimaParser.parseCallExp.called).to.be.false
+    expect(result).to.be.equal('resultFromParseDirectEval')
+  })
 })
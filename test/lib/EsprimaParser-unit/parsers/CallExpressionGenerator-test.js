@@ -0,0 +1,110 @@
+describe('CallExpressionGenerator tests', () => {
+  const options = {}
+  const info = {loc: 'loc'}
+  let callExpression, subExpressions, exp
+
+  beforeEach(() => {
+    callExpression = createAstNode('CallExpression', {
+      callee: createAstNode('Expression'),
+      loc: 'callLoc'
+    })
+    subExpressions = [createAstNode('Callee'), createAstNode('Argument')]
+    exp = {caller: {}, callee: {method: 'method', arguments: ['code']}}
+
+    sandbox.stub(esprimaParser, 'isSuper').returns(false)
+    sandbox.stub(esprimaParser, 'parseResolvedNode', function* () {
+      return 'resultFromParseResolvedNode'
+    })
+    sandbox.stub(esprimaParser, 'getSubExpressions')
+      .withArgs(callExpression).returns(subExpressions)
+    sandbox.stub(esprimaParser, 'resolveNodes', function* () {})
+    sandbox.stub(esprimaParser, 'unresolveNodes')
+    sandbox.stub(esprimaParser, 'getCallExp')
+      .withArgs(callExpression).returns(exp)
+    sandbox.stub(esprimaParser, 'getExpInfo')
+      .withArgs(callExpression).returns(info)
+    sandbox.stub(esprimaParser, 'callStack', {
+      setLoc: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'isDirectEval').returns(false)
+    sandbox.stub(esprimaParser, 'parseDirectEval')
+      .returns('resultFromParseDirectEval')
+    sandbox.stub(esprimaParser, 'parseGeneratorCallExp', function* () {
+      return 'resultFromParseGeneratorCallExp'
+    })
+  })
+
+  it('should delegate to parseResolvedNode with callExpression and options given callee is Super', () => {
+    esprimaParser.isSuper.returns(true)
+
+    const result = runGenerator(esprimaParser.CallExpressionGenerator(callExpression, options))
+
+    expect(
+      esprimaParser.isSuper
+        .calledWithExactly(callExpression.callee)
+    ).to.be.true
+    expect(
+      esprimaParser.parseResolvedNode
+        .calledWithExactly(callExpression, options)
+    ).to.be.true
+    expect(esprimaParser.getCallExp.called).to.be.false
+    expect(result).to.be.equal('resultFromParseResolvedNode')
+  })
+
+  it('should resolve sub expressions before getCallExp, and unresolve them after', () => {
+    runGenerator(esprimaParser.CallExpressionGenerator(callExpression, options))
+
+    expect(esprimaParser.resolveNodes.calledWithExactly(subExpressions)).to.be.true
+    expect(esprimaParser.resolveNodes.calledBefore(esprimaParser.getCallExp)).to.be.true
+    expect(esprimaParser.unresolveNodes.calledWithExactly(subExpressions)).to.be.true
+    expect(esprimaParser.unresolveNodes.calledAfter(esprimaParser.getCallExp)).to.be.true
+  })
+
+  it('should call unresolveNodes given getCallExp throws error', () => {
+    const error = new Error()
+
+    esprimaParser.getCallExp.withArgs(callExpression).throws(error)
+
+    expect(() => {
+      runGenerator(esprimaParser.CallExpressionGenerator(callExpression, options))
+    }).to.throw(error)
+    expect(esprimaParser.unresolveNodes.calledWithExactly(subExpressions)).to.be.true
+  })
+
+  it('should set exp.info to result from getExpInfo and call callStack.setLoc with loc of callExpression', () => {
+    runGenerator(esprimaParser.CallExpressionGenerator(callExpression, options))
+
+    expect(exp.info).to.be.equal(info)
+    expect(
+      esprimaParser.callStack.setLoc
+        .calledWithExactly('callLoc')
+    ).to.be.true
+  })
+
+  it('should return result from parseDirectEval called with the first argument and loc given direct eval', () => {
+    esprimaParser.isDirectEval.returns(true)
+
+    const result = runGenerator(esprimaParser.CallExpressionGenerator(callExpression, options))
+
+    expect(
+      esprimaParser.isDirectEval
+        .calledWithExactly(callExpression, 'method')
+    ).to.be.true
+    expect(
+      esprimaParser.parseDirectEval
+        .calledWithExactly('code', 'loc')
+    ).to.be.true
+    expect(esprimaParser.parseGeneratorCallExp.called).to.be.false
+    expect(result).to.be.equal('resultFromParseDirectEval')
+  })
+
+  it('should delegate to parseGeneratorCallExp with exp given not direct eval', () => {
+    const result = runGenerator(esprimaParser.CallExpressionGenerator(callExpression, options))
+
+    expect(
+      esprimaParser.parseGeneratorCallExp
+        .calledWithExactly(exp)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseGeneratorCallExp')
+  })
+})
@@ -0,0 +1,33 @@
+// spec: https://github.com/estree/estree/blob/master/es2020.md#chainexpression
+
+describe('ChainExpression tests', () => {
+  let chainExpression
+
+  beforeEach(() => {
+    chainExpression = createAstNode('ChainExpression', {
+      expression: createAstNode('MemberExpression')
+    })
+    sandbox.stub(esprimaParser, 'parseNode')
+    sandbox.stub(esprimaParser, 'handleShortCircuit').returns('resultFromHandleShortCircuit')
+  })
+
+  it('should return result from parseNode called with expression', () => {
+    esprimaParser.parseNode
+      .withArgs(chainExpression.expression).returns('resultFromParseNode')
+
+    const result = esprimaParser.ChainExpression(chainExpression)
+
+    expect(result).to.be.equal('resultFromParseNode')
+  })
+
+  it('should return result from handleShortCircuit called with error thrown while parsing', () => {
+    const error = new Error()
+
+    esprimaParser.parseNode.throws(error)
+
+    const result = esprimaParser.ChainExpression(chainExpression)
+
+    expect(esprimaParser.handleShortCircuit.calledWithExactly(error)).to.be.true
+    expect(result).to.be.equal('resultFromHandleShortCircuit')
+  })
+})
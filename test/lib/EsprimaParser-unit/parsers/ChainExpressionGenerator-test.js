@@ -0,0 +1,34 @@
+describe('ChainExpressionGenerator tests', () => {
+  let chainExpression
+
+  beforeEach(() => {
+    chainExpression = createAstNode('ChainExpression', {
+      expression: createAstNode('CallExpression')
+    })
+    sandbox.stub(esprimaParser, 'handleShortCircuit').returns('resultFromHandleShortCircuit')
+  })
+
+  it('should return result from parseGeneratorNode called with expression', () => {
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* (node) {
+      expect(node).to.be.equal(chainExpression.expression)
+      yield 'step'
+      return 'value'
+    })
+    const result = runGenerator(esprimaParser.ChainExpressionGenerator(chainExpression))
+
+    expect(result).to.be.equal('value')
+  })
+
+  it('should return result from handleShortCircuit called with error thrown while parsing', () => {
+    const error = new Error()
+
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* () {
+      yield 'value'
+      throw error
+    })
+    const result = runGenerator(esprimaParser.ChainExpressionGenerator(chainExpression))
+
+    expect(esprimaParser.handleShortCircuit.calledWithExactly(error)).to.be.true
+    expect(result).to.be.equal('resultFromHandleShortCircuit')
+  })
+})
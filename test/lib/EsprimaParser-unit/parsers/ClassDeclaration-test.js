@@ -0,0 +1,45 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#classdeclaration
+
+describe('ClassDeclaration tests', () => {
+  const variable = 'variable'
+  const classAgent = function () {}
+  let classDeclaration
+
+  beforeEach(() => {
+    classDeclaration = createAstNode('ClassDeclaration', {
+      id: createAstNode('Identifier'),
+      superClass: createAstNode('Expression'),
+      body: createAstNode('ClassBody')
+    })
+    sandbox.stub(esprimaParser, 'getNameFromPattern').returns(variable)
+    sandbox.stub(esprimaParser, 'createClassAgent').returns(classAgent)
+    sandbox.stub(esprimaParser, 'setVariables')
+  })
+
+  it('should call getNameFromPattern with classDeclaration id', () => {
+    esprimaParser.ClassDeclaration(classDeclaration)
+
+    expect(
+      esprimaParser.getNameFromPattern
+        .calledWithExactly(classDeclaration.id)
+    ).to.be.true
+  })
+
+  it('should call createClassAgent with classDeclaration', () => {
+    esprimaParser.ClassDeclaration(classDeclaration)
+
+    expect(
+      esprimaParser.createClassAgent
+        .calledWithExactly(classDeclaration)
+    ).to.be.true
+  })
+
+  it('should call setVariables with variable, classAgent and \'let\'', () => {
+    esprimaParser.ClassDeclaration(classDeclaration)
+
+    expect(
+      esprimaParser.setVariables
+        .calledWithExactly(variable, classAgent, 'let')
+    ).to.be.true
+  })
+})
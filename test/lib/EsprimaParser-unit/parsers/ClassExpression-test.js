@@ -0,0 +1,34 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#classexpression
+
+describe('ClassExpression tests', () => {
+  const classAgent = function () {}
+  let classExpression
+
+  beforeEach(() => {
+    classExpression = createAstNode('ClassExpression', {
+      id: null,
+      superClass: null,
+      body: createAstNode('ClassBody')
+    })
+    sandbox.stub(esprimaParser, 'createClassAgent').returns(classAgent)
+  })
+
+  it('should return result from createClassAgent called with classExpression and undefined name given no options', () => {
+    const result = esprimaParser.ClassExpression(classExpression)
+
+    expect(
+      esprimaParser.createClassAgent
+        .calledWithExactly(classExpression, undefined)
+    ).to.be.true
+    expect(result).to.be.equal(classAgent)
+  })
+
+  it('should call createClassAgent with classExpression and name in options', () => {
+    esprimaParser.ClassExpression(classExpression, {name: 'name'})
+
+    expect(
+      esprimaParser.createClassAgent
+        .calledWithExactly(classExpression, 'name')
+    ).to.be.true
+  })
+})
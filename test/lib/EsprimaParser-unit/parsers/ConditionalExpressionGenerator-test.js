@@ -0,0 +1,30 @@
+describe('ConditionalExpressionGenerator tests', () => {
+  let conditionalExpression, test
+
+  beforeEach(() => {
+    conditionalExpression = createAstNode('ConditionalExpression', {
+      test: createAstNode('Test'),
+      consequent: createAstNode('Consequent'),
+      alternate: createAstNode('Alternate')
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* (node) {
+      return (node.type === 'Test') ? test : `parsed${node.type}`
+    })
+  })
+
+  it('should return result from parseGeneratorNode called with consequent given test passed', () => {
+    test = true
+
+    const result = runGenerator(esprimaParser.ConditionalExpressionGenerator(conditionalExpression))
+
+    expect(result).to.be.equal('parsedConsequent')
+  })
+
+  it('should return result from parseGeneratorNode called with alternate given test failed', () => {
+    test = false
+
+    const result = runGenerator(esprimaParser.ConditionalExpressionGenerator(conditionalExpression))
+
+    expect(result).to.be.equal('parsedAlternate')
+  })
+})
@@ -0,0 +1,28 @@
+// spec: https://github.com/estree/estree/blob/master/spec.md#debuggerstatement
+
+describe('DebuggerStatement tests', () => {
+  let debuggerStatement
+
+  beforeEach(() => {
+    debuggerStatement = createAstNode('DebuggerStatement', {loc: 'loc'})
+    esprimaParser.scriptUrl = 'scriptUrl'
+  })
+
+  it('should return undefined given no onDebugger', () => {
+    const result = esprimaParser.DebuggerStatement(debuggerStatement)
+
+    expect(result).to.be.undefined
+  })
+
+  it('should call onDebugger with scriptUrl and loc of debuggerStatement given onDebugger', () => {
+    esprimaParser.onDebugger = sandbox.spy()
+
+    const result = esprimaParser.DebuggerStatement(debuggerStatement)
+
+    expect(
+      esprimaParser.onDebugger
+        .calledWithExactly({scriptUrl: 'scriptUrl', loc: 'loc'})
+    ).to.be.true
+    expect(result).to.be.undefined
+  })
+})
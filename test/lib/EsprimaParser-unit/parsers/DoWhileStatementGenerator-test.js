@@ -0,0 +1,43 @@
+describe('DoWhileStatementGenerator tests', () => {
+  const label = 'label'
+  let doWhileStatement
+
+  beforeEach(() => {
+    doWhileStatement = createAstNode('DoWhileStatement', {
+      test: createAstNode('Test'),
+      body: createAstNode('Body')
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+    sandbox.stub(esprimaParser, 'isLoopNeededToBreak')
+    sandbox.stub(esprimaParser, 'WhileStatementGenerator', function* () {
+      return 'resultFromWhileStatementGenerator'
+    })
+  })
+
+  it('should parse body then delegate to WhileStatementGenerator called with doWhileStatement and label', () => {
+    const result = runGenerator(esprimaParser.DoWhileStatementGenerator(doWhileStatement, {label}))
+
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledWithExactly(doWhileStatement.body)
+    ).to.be.true
+    expect(
+      esprimaParser.WhileStatementGenerator
+        .calledWithExactly(doWhileStatement, {label})
+    ).to.be.true
+    expect(result).to.be.equal('resultFromWhileStatementGenerator')
+  })
+
+  it('should return result of body given isLoopNeededToBreak returns true', () => {
+    esprimaParser.isLoopNeededToBreak.returns(true)
+
+    const result = runGenerator(esprimaParser.DoWhileStatementGenerator(doWhileStatement))
+
+    expect(
+      esprimaParser.isLoopNeededToBreak
+        .calledWithExactly(undefined)
+    ).to.be.true
+    expect(esprimaParser.WhileStatementGenerator.called).to.be.false
+    expect(result).to.be.equal('parsedBody')
+  })
+})
@@ -0,0 +1,9 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#exportalldeclaration
+
+describe('ExportAllDeclaration tests', () => {
+  it('should return undefined', () => {
+    const result = esprimaParser.ExportAllDeclaration(createAstNode('ExportAllDeclaration'))
+
+    expect(result).to.be.undefined
+  })
+})
@@ -0,0 +1,67 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#exportdefaultdeclaration
+
+describe('ExportDefaultDeclaration tests', () => {
+  const agent = function () {}
+  let exportDefaultDeclaration
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'setVariables')
+  })
+
+  describe('FunctionDeclaration', () => {
+    beforeEach(() => {
+      exportDefaultDeclaration = createAstNode('ExportDefaultDeclaration', {
+        declaration: createAstNode('FunctionDeclaration', {id: null})
+      })
+      sandbox.stub(esprimaParser, 'createFunctionAgent')
+        .withArgs(exportDefaultDeclaration.declaration, 'default').returns(agent)
+    })
+
+    it('should call setVariables with *default* and function agent named default', () => {
+      esprimaParser.ExportDefaultDeclaration(exportDefaultDeclaration)
+
+      expect(
+        esprimaParser.setVariables
+          .calledWithExactly('*default*', agent)
+      ).to.be.true
+    })
+  })
+
+  describe('ClassDeclaration', () => {
+    beforeEach(() => {
+      exportDefaultDeclaration = createAstNode('ExportDefaultDeclaration', {
+        declaration: createAstNode('ClassDeclaration', {id: null})
+      })
+      sandbox.stub(esprimaParser, 'createClassAgent')
+        .withArgs(exportDefaultDeclaration.declaration, 'default').returns(agent)
+    })
+
+    it('should call setVariables with *default*, class agent named default and \'let\'', () => {
+      esprimaParser.ExportDefaultDeclaration(exportDefaultDeclaration)
+
+      expect(
+        esprimaParser.setVariables
+          .calledWithExactly('*default*', agent, 'let')
+      ).to.be.true
+    })
+  })
+
+  describe('Expression', () => {
+    beforeEach(() => {
+      exportDefaultDeclaration = createAstNode('ExportDefaultDeclaration', {
+        declaration: createAstNode('Expression')
+      })
+      sandbox.stub(esprimaParser, 'parseNode')
+        .withArgs(exportDefaultDeclaration.declaration, {name: 'default'}).returns('value')
+    })
+
+    it('should call setVariables with *default*, expression parsed with name default and \'let\'', () => {
+      esprimaParser.ExportDefaultDeclaration(exportDefaultDeclaration)
+
+      expect(
+        esprimaParser.setVariables
+          .calledWithExactly('*default*', 'value', 'let')
+      ).to.be.true
+    })
+  })
+})
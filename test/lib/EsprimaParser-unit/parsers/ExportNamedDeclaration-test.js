@@ -0,0 +1,9 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#exportnameddeclaration
+
+describe('ExportNamedDeclaration tests', () => {
+  it('should return undefined', () => {
+    const result = esprimaParser.ExportNamedDeclaration(createAstNode('ExportNamedDeclaration'))
+
+    expect(result).to.be.undefined
+  })
+})
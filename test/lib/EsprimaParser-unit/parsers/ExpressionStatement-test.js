@@ -18,4 +18,12 @@ describe('ExpressionStatement tests', () => {
         .calledWithExactly(expressionStatement.expression)
     ).to.be.true
   })
+
+  it('should set completionValue to result from parseNode', () => {
+    esprimaParser.parseNode.returns('resultFromParseNode')
+
+    esprimaParser.ExpressionStatement(expressionStatement)
+
+    expect(esprimaParser.completionValue).to.be.equal('resultFromParseNode')
+  })
 })
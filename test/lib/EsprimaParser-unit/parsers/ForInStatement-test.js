@@ -21,7 +21,7 @@ describe('ForInStatement', () => {
     sandbox.stub(esprimaParser, 'parseIterator').returns(left)
     sandbox.stub(esprimaParser, 'parseNode')
       .withArgs(forInStatement.right).returns(right)
-    sandbox.stub(esprimaParser, 'updateVariables')
+    sandbox.stub(esprimaParser, 'parseIteration')
     sandbox.stub(esprimaParser, 'isLoopNeededToBreak')
   })
 
@@ -43,34 +43,16 @@ describe('ForInStatement', () => {
     ).to.be.true
   })
 
-  it('should call updateVariables with left and keys in right each loop', () => {
+  it('should call parseIteration with forInStatement, left and keys in right each loop', () => {
     esprimaParser.ForInStatement(forInStatement, options)
 
     for (const key in right) {
       expect(
-        esprimaParser.updateVariables
-          .calledWithExactly(left, key)
-      ).to.be.true
-    }
-    expect(esprimaParser.updateVariables.calledThrice).to.be.true
-  })
-
-  it('should call parseNode with body each loop after updateVariables', () => {
-    esprimaParser.ForInStatement(forInStatement, options)
-
-    expect(
-      esprimaParser.parseNode
-        .withArgs(forInStatement.body).calledThrice
-    ).to.be.true
-
-    for (let i = 0; i < rightLength; i += 1) {
-      expect(
-        esprimaParser.parseNode
-          .withArgs(forInStatement.body)
-            .getCall(i)
-              .calledAfter(esprimaParser.updateVariables.getCall(i))
+        esprimaParser.parseIteration
+          .calledWithExactly(forInStatement, left, key)
       ).to.be.true
     }
+    expect(esprimaParser.parseIteration.calledThrice).to.be.true
   })
 
   it('should call isLoopNeededToBreak with options.label each loop', () => {
@@ -88,35 +70,31 @@ describe('ForInStatement', () => {
 
     esprimaParser.ForInStatement(forInStatement, options)
 
-    expect(
-      esprimaParser.parseNode
-        .withArgs(forInStatement.body).calledTwice
-    ).to.be.true
+    expect(esprimaParser.parseIteration.calledTwice).to.be.true
   })
 
-  const setParseNodeResults = () => {
+  const setParseIterationResults = () => {
     for (var index = 0; index < rightLength; index += 1) {
-      esprimaParser.parseNode
-        .withArgs(forInStatement.body)
-          .onCall(index).returns(`resultFromParseNode${index + 1}`)
+      esprimaParser.parseIteration
+        .onCall(index).returns(`resultFromParseIteration${index + 1}`)
     }
   }
 
-  it('should result from last parseNode called with body given loop never breaks', () => {
-    setParseNodeResults()
+  it('should return result from last parseIteration given loop never breaks', () => {
+    setParseIterationResults()
 
     const result = esprimaParser.ForInStatement(forInStatement, options)
 
-    expect(result).to.be.equal('resultFromParseNode3')
+    expect(result).to.be.equal('resultFromParseIteration3')
   })
 
-  it('should return result from second parseNode called with body given loop breaks at second loop', () => {
-    setParseNodeResults()
+  it('should return result from second parseIteration given loop breaks at second loop', () => {
+    setParseIterationResults()
     esprimaParser.isLoopNeededToBreak
       .onCall(1).returns(true)
 
     const result = esprimaParser.ForInStatement(forInStatement, options)
 
-    expect(result).to.be.equal('resultFromParseNode2')
+    expect(result).to.be.equal('resultFromParseIteration2')
   })
 })
@@ -0,0 +1,55 @@
+describe('ForInStatementGenerator tests', () => {
+  const label = 'label'
+  const right = {a: 1, b: 2, c: 3}
+  let forInStatement
+
+  beforeEach(() => {
+    forInStatement = createAstNode('ForInStatement', {
+      left: createAstNode('Identifier'),
+      right: createAstNode('Right')
+    })
+    sandbox.stub(esprimaParser, 'parseIterator')
+      .returns('resultFromParseIterator')
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* () {
+      return right
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorIteration', function* (node, pattern, key) {
+      return `resultFromIteration${key}`
+    })
+    sandbox.stub(esprimaParser, 'isLoopNeededToBreak')
+  })
+
+  it('should call parseGeneratorIteration with forInStatement, pattern and each key', () => {
+    const result = runGenerator(esprimaParser.ForInStatementGenerator(forInStatement, {label}))
+
+    expect(
+      esprimaParser.parseIterator
+        .calledWithExactly(forInStatement.left)
+    ).to.be.true
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledWithExactly(forInStatement.right)
+    ).to.be.true
+    Object.keys(right).forEach((key, index) => {
+      expect(
+        esprimaParser.parseGeneratorIteration.getCall(index)
+          .calledWithExactly(forInStatement, 'resultFromParseIterator', key)
+      ).to.be.true
+    })
+    expect(result).to.be.equal('resultFromIterationc')
+  })
+
+  it('should break loop given isLoopNeededToBreak returns true', () => {
+    esprimaParser.isLoopNeededToBreak
+      .onCall(1).returns(true)
+
+    const result = runGenerator(esprimaParser.ForInStatementGenerator(forInStatement))
+
+    expect(
+      esprimaParser.isLoopNeededToBreak
+        .calledWithExactly(undefined)
+    ).to.be.true
+    expect(esprimaParser.parseGeneratorIteration.calledTwice).to.be.true
+    expect(result).to.be.equal('resultFromIterationb')
+  })
+})
@@ -0,0 +1,151 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#forofstatement
+
+describe('ForOfStatement', () => {
+  const label = 'label'
+  const options = {label}
+  const left = 'left'
+  const right = ['a', 'b', 'c']
+  let forOfStatement
+
+  beforeEach(() => {
+    forOfStatement = createAstNode('ForOfStatement', {
+      left: createAstNode('VariableDeclaration|Pattern'),
+      right: createAstNode('Expression'),
+      body: createAstNode('Statement')
+    })
+    sandbox.stub(esprimaParser, 'parseIterator').returns(left)
+    sandbox.stub(esprimaParser, 'parseNode')
+      .withArgs(forOfStatement.right).returns(right)
+    sandbox.stub(esprimaParser, 'parseIteration')
+    sandbox.stub(esprimaParser, 'isLoopNeededToBreak')
+  })
+
+  it('should call parseIterator with left', () => {
+    esprimaParser.ForOfStatement(forOfStatement, options)
+
+    expect(
+      esprimaParser.parseIterator
+        .calledWithExactly(forOfStatement.left)
+    ).to.be.true
+  })
+
+  it('should call parseNode with right', () => {
+    esprimaParser.ForOfStatement(forOfStatement, options)
+
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(forOfStatement.right)
+    ).to.be.true
+  })
+
+  it('should call parseIteration with forOfStatement, left and values in right each loop', () => {
+    esprimaParser.ForOfStatement(forOfStatement, options)
+
+    for (const value of right) {
+      expect(
+        esprimaParser.parseIteration
+          .calledWithExactly(forOfStatement, left, value)
+      ).to.be.true
+    }
+    expect(esprimaParser.parseIteration.calledThrice).to.be.true
+  })
+
+  it('should call isLoopNeededToBreak with options.label each loop', () => {
+    esprimaParser.ForOfStatement(forOfStatement, options)
+
+    expect(
+      esprimaParser.isLoopNeededToBreak
+        .withArgs(label).calledThrice
+    ).to.be.true
+  })
+
+  it('should break loop if isLoopNeededToBreak returns true', () => {
+    esprimaParser.isLoopNeededToBreak
+      .onCall(1).returns(true)
+
+    esprimaParser.ForOfStatement(forOfStatement, options)
+
+    expect(esprimaParser.parseIteration.calledTwice).to.be.true
+  })
+
+  it('should return result from last parseIteration before loop ends', () => {
+    esprimaParser.parseIteration
+      .onCall(0).returns('resultFromParseIteration1')
+      .onCall(1).returns('resultFromParseIteration2')
+    esprimaParser.isLoopNeededToBreak
+      .onCall(1).returns(true)
+
+    const result = esprimaParser.ForOfStatement(forOfStatement, options)
+
+    expect(result).to.be.equal('resultFromParseIteration2')
+  })
+
+  describe('iterator closing', () => {
+    let iterable, returnStub
+
+    beforeEach(() => {
+      returnStub = sandbox.stub().returns({})
+      iterable = {
+        [Symbol.iterator]: () => ({
+          next: () => ({value: 'value', done: false}),
+          return: returnStub
+        })
+      }
+      esprimaParser.parseNode
+        .withArgs(forOfStatement.right).returns(iterable)
+    })
+
+    it('should call iterator.return given loop breaks', () => {
+      esprimaParser.isLoopNeededToBreak.returns(true)
+
+      esprimaParser.ForOfStatement(forOfStatement, options)
+
+      expect(returnStub.calledOnce).to.be.true
+    })
+
+    it('should call iterator.return and rethrow given error thrown in loop', () => {
+      const error = new Error()
+
+      esprimaParser.parseIteration.throws(error)
+
+      expect(() => {
+        esprimaParser.ForOfStatement(forOfStatement, options)
+      }).to.throw(error)
+      expect(returnStub.calledOnce).to.be.true
+    })
+
+    it('should rethrow error thrown in loop given iterator.return throws', () => {
+      const error = new Error()
+
+      esprimaParser.parseIteration.throws(error)
+      returnStub.throws(new Error())
+
+      expect(() => {
+        esprimaParser.ForOfStatement(forOfStatement, options)
+      }).to.throw(error)
+    })
+
+    it('should not call iterator.return given iterator exhausted', () => {
+      esprimaParser.parseNode
+        .withArgs(forOfStatement.right).returns({
+          [Symbol.iterator]: () => ({
+            next: () => ({done: true}),
+            return: returnStub
+          })
+        })
+
+      esprimaParser.ForOfStatement(forOfStatement, options)
+
+      expect(returnStub.called).to.be.false
+    })
+  })
+
+  it('should throw TypeError given non-iterable right', () => {
+    esprimaParser.parseNode
+      .withArgs(forOfStatement.right).returns({})
+
+    expect(() => {
+      esprimaParser.ForOfStatement(forOfStatement, options)
+    }).to.throw(TypeError)
+  })
+})
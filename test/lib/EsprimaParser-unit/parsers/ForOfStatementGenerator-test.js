@@ -0,0 +1,112 @@
+describe('ForOfStatementGenerator tests', () => {
+  const label = 'label'
+  let forOfStatement, iterator
+
+  beforeEach(() => {
+    forOfStatement = createAstNode('ForOfStatement', {
+      left: createAstNode('Identifier'),
+      right: createAstNode('Right')
+    })
+    iterator = [1, 2, 3][Symbol.iterator]()
+    sandbox.stub(esprimaParser, 'parseIterator')
+      .returns('resultFromParseIterator')
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+    sandbox.stub(esprimaParser, 'getIterator')
+      .returns(iterator)
+    sandbox.spy(esprimaParser, 'stepIterator')
+    sandbox.stub(esprimaParser, 'parseGeneratorIteration', function* (node, pattern, value) {
+      return `resultFromIteration${yield value}`
+    })
+    sandbox.stub(esprimaParser, 'isLoopNeededToBreak')
+    sandbox.stub(esprimaParser, 'closeIterator')
+  })
+
+  it('should delegate to parseGeneratorForAwait called with forOfStatement and label given for await', () => {
+    forOfStatement.await = true
+    sandbox.stub(esprimaParser, 'parseGeneratorForAwait', function* () {
+      return 'resultFromParseGeneratorForAwait'
+    })
+
+    const result = runGenerator(esprimaParser.ForOfStatementGenerator(forOfStatement, {label}))
+
+    expect(
+      esprimaParser.parseGeneratorForAwait
+        .calledWithExactly(forOfStatement, label)
+    ).to.be.true
+    expect(esprimaParser.parseIterator.called).to.be.false
+    expect(result).to.be.equal('resultFromParseGeneratorForAwait')
+  })
+
+  it('should call parseGeneratorIteration with forOfStatement, pattern and each value from iterator of right', () => {
+    const generator = esprimaParser.ForOfStatementGenerator(forOfStatement, {label})
+
+    expect(generator.next().value).to.be.equal(1)
+    expect(generator.next('A').value).to.be.equal(2)
+    expect(generator.next('B').value).to.be.equal(3)
+    expect(generator.next('C')).to.be.eql({value: 'resultFromIterationC', done: true})
+    expect(
+      esprimaParser.getIterator
+        .calledWithExactly('parsedRight')
+    ).to.be.true
+    expect(
+      esprimaParser.parseGeneratorIteration
+        .calledWithExactly(forOfStatement, 'resultFromParseIterator', 3)
+    ).to.be.true
+    expect(
+      esprimaParser.stepIterator
+        .alwaysCalledWithExactly(iterator)
+    ).to.be.true
+    expect(esprimaParser.closeIterator.called).to.be.false
+  })
+
+  it('should close iterator and break given isLoopNeededToBreak returns true', () => {
+    esprimaParser.isLoopNeededToBreak
+      .onCall(0).returns(true)
+
+    const generator = esprimaParser.ForOfStatementGenerator(forOfStatement)
+
+    generator.next()
+
+    expect(generator.next('A')).to.be.eql({value: 'resultFromIterationA', done: true})
+    expect(
+      esprimaParser.isLoopNeededToBreak
+        .calledWithExactly(undefined)
+    ).to.be.true
+    expect(
+      esprimaParser.closeIterator
+        .calledWithExactly(iterator)
+    ).to.be.true
+  })
+
+  it('should close iterator and rethrow given error thrown in loop', () => {
+    const error = new Error()
+    const generator = esprimaParser.ForOfStatementGenerator(forOfStatement)
+
+    generator.next()
+
+    expect(() => generator.throw(error)).to.throw(error)
+    expect(esprimaParser.closeIterator.calledOnce).to.be.true
+  })
+
+  it('should rethrow error thrown in loop given closeIterator throws', () => {
+    const error = new Error()
+    const generator = esprimaParser.ForOfStatementGenerator(forOfStatement)
+
+    esprimaParser.closeIterator.throws(new Error())
+    generator.next()
+
+    expect(() => generator.throw(error)).to.throw(error)
+  })
+
+  it('should close iterator given generator returned in loop', () => {
+    const generator = esprimaParser.ForOfStatementGenerator(forOfStatement)
+
+    generator.next()
+
+    expect(generator.return('returned')).to.be.eql({value: 'returned', done: true})
+    expect(
+      esprimaParser.closeIterator
+        .calledWithExactly(iterator)
+    ).to.be.true
+  })
+})
@@ -3,122 +3,56 @@
 describe('ForStatement tests', () => {
   const label = 'label'
   const options = {label}
-  const tests = [true, true, true]
-
-  const setTestResults = (results) => {
-    const getTestResults = createResultsGenerator(results)
-
-    for (const index of results.keys()) {
-      esprimaParser.parseNode
-        .withArgs(forStatement.test)
-          .onCall(index).returns(getTestResults())
-    }
-  }
   let forStatement
 
   beforeEach(() => {
     forStatement = createAstNode('ForStatement', {
-      init: createAstNode('ExpressionInit'),
+      init: createAstNode('VariableDeclaration|Expression'),
       test: createAstNode('ExpressionTest'),
       update: createAstNode('ExpressionUpdate'),
       body: createAstNode('Statement')
     })
-    sandbox.stub(esprimaParser, 'parseNode')
-    sandbox.stub(esprimaParser, 'isLoopNeededToBreak')
-    setTestResults(tests)
+    sandbox.stub(esprimaParser, 'isLexicalDeclaration')
+    sandbox.stub(esprimaParser, 'handleBlockClosure', (scope, statements, parse) => parse())
+    sandbox.stub(esprimaParser, 'parseForStatement')
+      .returns('resultFromParseForStatement')
   })
 
-  it('should call parseNode with init only once', () => {
+  it('should call isLexicalDeclaration with init', () => {
     esprimaParser.ForStatement(forStatement, options)
 
     expect(
-      esprimaParser.parseNode
-        .withArgs(forStatement.init).calledOnce
+      esprimaParser.isLexicalDeclaration
+        .calledWithExactly(forStatement.init)
     ).to.be.true
   })
 
-  it('should call parseNode with test each loop', () => {
+  it('should call handleBlockClosure with forStatement and [init]', () => {
     esprimaParser.ForStatement(forStatement, options)
 
+    expect(esprimaParser.handleBlockClosure.calledOnce).to.be.true
     expect(
-      esprimaParser.parseNode
-        .withArgs(forStatement.test).callCount
-    ).to.be.equal(4)
-  })
-
-  it('should call parseNode with update each loop', () => {
-    esprimaParser.ForStatement(forStatement, options)
-
+      esprimaParser.handleBlockClosure.getCall(0).args[0]
+    ).to.be.equal(forStatement)
     expect(
-      esprimaParser.parseNode
-        .withArgs(forStatement.update).calledThrice
-    ).to.be.true
+      esprimaParser.handleBlockClosure.getCall(0).args[1]
+    ).to.be.eql([forStatement.init])
   })
 
-  it('should call parseNode with body each loop', () => {
-    esprimaParser.ForStatement(forStatement, options)
+  it('should call parseForStatement with forStatement, options.label and result from isLexicalDeclaration in handleBlockClosure', () => {
+    esprimaParser.isLexicalDeclaration.returns(true)
 
-    expect(
-      esprimaParser.parseNode
-        .withArgs(forStatement.body).calledThrice
-    ).to.be.true
-  })
-
-  it('should call isLoopNeededToBreak with options.label each loop', () => {
     esprimaParser.ForStatement(forStatement, options)
 
     expect(
-      esprimaParser.isLoopNeededToBreak
-        .withArgs(label).calledThrice
+      esprimaParser.parseForStatement
+        .calledWithExactly(forStatement, label, true)
     ).to.be.true
   })
 
-  it('should break loop if isLoopNeededToBreak returns true', () => {
-    esprimaParser.isLoopNeededToBreak
-      .onCall(1).returns(true)
-
-    esprimaParser.ForStatement(forStatement, options)
-
-    expect(
-      esprimaParser.parseNode
-        .withArgs(forStatement.body).calledTwice
-    ).to.be.true
-  })
-
-  it('should break loop if test fails', () => {
-    setTestResults([true, true, false])
-
-    esprimaParser.ForStatement(forStatement, options)
-
-    expect(
-      esprimaParser.parseNode
-        .withArgs(forStatement.body).calledTwice
-    ).to.be.true
-  })
-
-  const setParseNodeResults = () => {
-    for (const index of tests.keys()) {
-      esprimaParser.parseNode
-        .withArgs(forStatement.body)
-          .onCall(index).returns(`resultFromParseNode${index + 1}`)
-    }
-  }
-
-  it('should return result from last parseNode called with body given loop never breaks', () => {
-    setParseNodeResults()
-
-    const result = esprimaParser.ForStatement(forStatement, options)
-
-    expect(result).to.be.equal('resultFromParseNode3')
-  })
-
-  it('should return result from second parseNode called with body given loop breaks at second loop', () => {
-    setParseNodeResults()
-    esprimaParser.isLoopNeededToBreak
-      .onCall(1).returns(true)
-
+  it('should return result from parseForStatement', () => {
     const result = esprimaParser.ForStatement(forStatement, options)
 
-    expect(result).to.be.equal('resultFromParseNode2')
+    expect(result).to.be.equal('resultFromParseForStatement')
   })
 })
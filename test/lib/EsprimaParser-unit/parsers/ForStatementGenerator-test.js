@@ -0,0 +1,47 @@
+describe('ForStatementGenerator tests', () => {
+  const label = 'label'
+  let forStatement
+
+  beforeEach(() => {
+    forStatement = createAstNode('ForStatement', {
+      init: createAstNode('VariableDeclaration')
+    })
+    sandbox.stub(esprimaParser, 'isLexicalDeclaration')
+      .returns('resultFromIsLexicalDeclaration')
+    sandbox.stub(esprimaParser, 'handleGeneratorBlockClosure', function* (scope, statements, parse) {
+      return yield* parse()
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorForStatement', function* () {
+      return 'resultFromParseGeneratorForStatement'
+    })
+  })
+
+  it('should return result from parseGeneratorForStatement in handleGeneratorBlockClosure called with forStatement and [init]', () => {
+    const result = runGenerator(esprimaParser.ForStatementGenerator(forStatement, {label}))
+
+    expect(
+      esprimaParser.isLexicalDeclaration
+        .calledWithExactly(forStatement.init)
+    ).to.be.true
+    expect(
+      esprimaParser.handleGeneratorBlockClosure.getCall(0).args[0]
+    ).to.be.equal(forStatement)
+    expect(
+      esprimaParser.handleGeneratorBlockClosure.getCall(0).args[1]
+    ).to.be.eql([forStatement.init])
+    expect(
+      esprimaParser.parseGeneratorForStatement
+        .calledWithExactly(forStatement, label, 'resultFromIsLexicalDeclaration')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseGeneratorForStatement')
+  })
+
+  it('should call parseGeneratorForStatement with undefined label given no options', () => {
+    runGenerator(esprimaParser.ForStatementGenerator(forStatement))
+
+    expect(
+      esprimaParser.parseGeneratorForStatement
+        .calledWithExactly(forStatement, undefined, 'resultFromIsLexicalDeclaration')
+    ).to.be.true
+  })
+})
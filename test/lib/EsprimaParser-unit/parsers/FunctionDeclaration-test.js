@@ -25,12 +25,12 @@ describe('FunctionDeclaration tests', () => {
     ).to.be.true
   })
 
-  it('should call createFunctionAgent with functionDeclaration', () => {
+  it('should call createFunctionAgent with functionDeclaration and variable as name', () => {
     esprimaParser.FunctionDeclaration(functionDeclaration)
 
     expect(
       esprimaParser.createFunctionAgent
-        .calledWithExactly(functionDeclaration)
+        .calledWithExactly(functionDeclaration, variable)
     ).to.be.true
   })
 
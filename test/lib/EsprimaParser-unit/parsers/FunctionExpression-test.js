@@ -8,7 +8,6 @@ describe('FunctionExpression tests', () => {
     scriptUrl: 'scriptUrl',
     closureStack: {}
   }
-  const functionAgent = function () {}
   const functionArity = function (param1, param2, param3) {}
   let functionExpression
 
@@ -16,8 +15,8 @@ describe('FunctionExpression tests', () => {
     functionExpression = createAstNode('FunctionExpression')
 
     sandbox.stub(esprimaParser, 'parseFunctionExpression').returns(functionAgentData)
-    sandbox.stub(esprimaParser, 'wrapWithFunction').returns(functionAgent)
-    sandbox.stub(esprimaParser, 'arity').returns(functionArity)
+    sandbox.stub(esprimaParser, 'createAgent').returns(functionArity)
+    sandbox.stub(esprimaParser, 'setFunctionSourceText')
     sandbox.stub(esprimaParser, 'setFunctionExpressionTo')
   })
 
@@ -30,24 +29,41 @@ describe('FunctionExpression tests', () => {
     ).to.be.true
   })
 
-  it('should call wrapWithFunction with functionAgentData and return', () => {
+  it('should call createAgent with functionAgentData and undefined name given null id and no options', () => {
     esprimaParser.FunctionExpression(functionExpression)
 
     expect(
-      esprimaParser.wrapWithFunction
-        .calledWithExactly(functionAgentData)
+      esprimaParser.createAgent
+        .calledWithExactly(functionAgentData, undefined)
     ).to.be.true
   })
 
-  it('should call esprimaParser.arity with params.length in functionAgentData and functionAgent', () => {
+  it('should call createAgent with functionAgentData and name in options given null id', () => {
+    esprimaParser.FunctionExpression(functionExpression, {name: 'name'})
+
+    expect(
+      esprimaParser.createAgent
+        .calledWithExactly(functionAgentData, 'name')
+    ).to.be.true
+  })
+
+  it('should call createAgent with functionAgentData and name of id given non-null id', () => {
+    functionExpression.id = createAstNode('Identifier', {name: 'id'})
+
+    esprimaParser.FunctionExpression(functionExpression, {name: 'name'})
+
+    expect(
+      esprimaParser.createAgent
+        .calledWithExactly(functionAgentData, 'id')
+    ).to.be.true
+  })
+
+  it('should call setFunctionSourceText with result from createAgent and functionExpression', () => {
     esprimaParser.FunctionExpression(functionExpression)
 
     expect(
-      esprimaParser.arity
-        .calledWithExactly(
-          functionAgentData.params.length,
-          functionAgent
-        )
+      esprimaParser.setFunctionSourceText
+        .calledWithExactly(functionArity, functionExpression)
     ).to.be.true
   })
 
@@ -68,7 +84,7 @@ describe('FunctionExpression tests', () => {
     expect(esprimaParser.setFunctionExpressionTo.called).to.be.false
   })
 
-  it('should return result from functionArity', () => {
+  it('should return result from createAgent', () => {
     const result = esprimaParser.FunctionExpression(functionExpression)
 
     expect(result).to.be.equal(functionArity)
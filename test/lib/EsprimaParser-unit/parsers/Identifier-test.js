@@ -7,7 +7,8 @@ describe('Identifier tests', () => {
     identifier = createAstNode('Identifier')
 
     sandbox.stub(esprimaParser, 'closureStack', {
-      get: sandbox.stub()
+      get: sandbox.stub(),
+      getResolved: sandbox.stub()
     })
   })
 
@@ -44,6 +45,20 @@ describe('Identifier tests', () => {
     expect(result).to.be.equal(undefined)
   })
 
+  it('should return result from getResolved of closureStack called with name and reference given identifier resolved', () => {
+    const reference = {hops: 1, scope: createAstNode('BlockStatement')}
+
+    identifier.name = 'a'
+    esprimaParser.resolvedIdentifiers.set(identifier, reference)
+    esprimaParser.closureStack.getResolved
+      .withArgs('a', reference).returns(1)
+
+    const result = esprimaParser.Identifier(identifier)
+
+    expect(esprimaParser.closureStack.get.called).to.be.false
+    expect(result).to.be.equal(1)
+  })
+
   it('should return null given name \'null\'', () => {
     identifier.name = 'null'
 
@@ -0,0 +1,30 @@
+describe('IfStatementGenerator tests', () => {
+  let ifStatement, test
+
+  beforeEach(() => {
+    ifStatement = createAstNode('IfStatement', {
+      test: createAstNode('Test'),
+      consequent: createAstNode('Consequent'),
+      alternate: createAstNode('Alternate')
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* (node) {
+      return (node.type === 'Test') ? test : `parsed${node.type}`
+    })
+  })
+
+  it('should return result from parseGeneratorNode called with consequent given test passed', () => {
+    test = true
+
+    const result = runGenerator(esprimaParser.IfStatementGenerator(ifStatement))
+
+    expect(result).to.be.equal('parsedConsequent')
+  })
+
+  it('should return result from parseGeneratorNode called with alternate given test failed', () => {
+    test = false
+
+    const result = runGenerator(esprimaParser.IfStatementGenerator(ifStatement))
+
+    expect(result).to.be.equal('parsedAlternate')
+  })
+})
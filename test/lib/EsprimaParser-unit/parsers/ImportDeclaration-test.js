@@ -0,0 +1,9 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#importdeclaration
+
+describe('ImportDeclaration tests', () => {
+  it('should return undefined', () => {
+    const result = esprimaParser.ImportDeclaration(createAstNode('ImportDeclaration'))
+
+    expect(result).to.be.undefined
+  })
+})
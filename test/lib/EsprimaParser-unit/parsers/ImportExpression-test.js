@@ -0,0 +1,32 @@
+// spec: https://github.com/estree/estree/blob/master/es2020.md#importexpression
+
+describe('ImportExpression tests', () => {
+  const scriptUrl = 'http://example.com/main.js'
+  let importExpression
+
+  beforeEach(() => {
+    importExpression = createAstNode('ImportExpression', {
+      source: createAstNode('Literal')
+    })
+    esprimaParser.scriptUrl = scriptUrl
+
+    sandbox.stub(esprimaParser, 'parseNode')
+      .withArgs(importExpression.source).returns('./module.js')
+    sandbox.stub(esprimaParser, 'importModule').returns('resultFromImportModule')
+  })
+
+  it('should call importModule with source parsed and current scriptUrl', () => {
+    esprimaParser.ImportExpression(importExpression)
+
+    expect(
+      esprimaParser.importModule
+        .calledWithExactly('./module.js', scriptUrl)
+    ).to.be.true
+  })
+
+  it('should return result from importModule', () => {
+    const result = esprimaParser.ImportExpression(importExpression)
+
+    expect(result).to.be.equal('resultFromImportModule')
+  })
+})
@@ -0,0 +1,27 @@
+describe('LabeledStatementGenerator tests', () => {
+  let labeledStatement
+
+  beforeEach(() => {
+    labeledStatement = createAstNode('LabeledStatement', {
+      label: createAstNode('Identifier', {name: 'label'}),
+      body: createAstNode('Statement')
+    })
+    sandbox.stub(esprimaParser, 'getNameFromPattern')
+      .returns('label')
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+  })
+
+  it('should return result from parseGeneratorNode called with body and label', () => {
+    const result = runGenerator(esprimaParser.LabeledStatementGenerator(labeledStatement))
+
+    expect(
+      esprimaParser.getNameFromPattern
+        .calledWithExactly(labeledStatement.label)
+    ).to.be.true
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledWithExactly(labeledStatement.body, {label: 'label'})
+    ).to.be.true
+    expect(result).to.be.equal('parsedStatement')
+  })
+})
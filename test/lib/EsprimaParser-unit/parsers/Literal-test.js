@@ -39,6 +39,16 @@ describe('Literal tests', () => {
     expect(result).to.be.equal(null)
   })
 
+  it('should return bigint given bigint', () => {
+    literal.value = null
+    literal.bigint = '18446744073709551616'
+
+    const result = esprimaParser.Literal(literal)
+
+    expect(typeof result).to.be.equal('bigint')
+    expect(String(result)).to.be.equal('18446744073709551616')
+  })
+
   it('should return regexp given regex', () => {
     literal.regex = {
       pattern: '\\w+',
@@ -0,0 +1,74 @@
+describe('LogicalExpressionGenerator tests', () => {
+  let logicalExpression, left
+
+  beforeEach(() => {
+    logicalExpression = createAstNode('LogicalExpression', {
+      left: createAstNode('Left'),
+      right: createAstNode('Right')
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* (node) {
+      return (node.type === 'Left') ? left : 'resultFromRight'
+    })
+  })
+
+  it('should return left given \'||\' and left truthy', () => {
+    logicalExpression.operator = '||'
+    left = 'truthy'
+
+    const result = runGenerator(esprimaParser.LogicalExpressionGenerator(logicalExpression))
+
+    expect(esprimaParser.parseGeneratorNode.calledOnce).to.be.true
+    expect(result).to.be.equal('truthy')
+  })
+
+  it('should return right given \'||\' and left falsy', () => {
+    logicalExpression.operator = '||'
+    left = 0
+
+    const result = runGenerator(esprimaParser.LogicalExpressionGenerator(logicalExpression))
+
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledWithExactly(logicalExpression.right)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromRight')
+  })
+
+  it('should return left given \'&&\' and left falsy', () => {
+    logicalExpression.operator = '&&'
+    left = 0
+
+    const result = runGenerator(esprimaParser.LogicalExpressionGenerator(logicalExpression))
+
+    expect(esprimaParser.parseGeneratorNode.calledOnce).to.be.true
+    expect(result).to.be.equal(0)
+  })
+
+  it('should return right given \'&&\' and left truthy', () => {
+    logicalExpression.operator = '&&'
+    left = 'truthy'
+
+    const result = runGenerator(esprimaParser.LogicalExpressionGenerator(logicalExpression))
+
+    expect(result).to.be.equal('resultFromRight')
+  })
+
+  it('should return left given \'??\' and left neither null nor undefined', () => {
+    logicalExpression.operator = '??'
+    left = 0
+
+    const result = runGenerator(esprimaParser.LogicalExpressionGenerator(logicalExpression))
+
+    expect(esprimaParser.parseGeneratorNode.calledOnce).to.be.true
+    expect(result).to.be.equal(0)
+  })
+
+  it('should return right given \'??\' and left null', () => {
+    logicalExpression.operator = '??'
+    left = null
+
+    const result = runGenerator(esprimaParser.LogicalExpressionGenerator(logicalExpression))
+
+    expect(result).to.be.equal('resultFromRight')
+  })
+})
@@ -33,4 +33,25 @@ describe('MemberExpression tests', () => {
     )
     expect(result).to.be.equal(resultFromParseMemberExp)
   })
+
+  it('should return result from accessDeeply called with caller and parseMemberExp given nativeCallDepth reaches maxNativeCallDepth', () => {
+    const exp = {caller: {}, callee: 'callee'}
+
+    esprimaParser.getMemberExp.returns(exp)
+    esprimaParser.nativeCallDepth = esprimaParser.maxNativeCallDepth
+    sandbox.stub(esprimaParser, 'accessDeeply', (receiver, access) => {
+      expect(receiver).to.be.equal(exp.caller)
+      expect(esprimaParser.parseMemberExp.called).to.be.false
+
+      return [access()]
+    })
+
+    const result = esprimaParser.MemberExpression(memberExpression)
+
+    expect(
+      esprimaParser.parseMemberExp
+        .calledWithExactly(exp)
+    ).to.be.true
+    expect(result).to.be.eql([resultFromParseMemberExp])
+  })
 })
@@ -0,0 +1,59 @@
+describe('MemberExpressionGenerator tests', () => {
+  const exp = {caller: {}, callee: 'callee'}
+  let memberExpression, subExpressions
+
+  beforeEach(() => {
+    memberExpression = createAstNode('MemberExpression')
+    subExpressions = [createAstNode('Object')]
+
+    sandbox.stub(esprimaParser, 'getSubExpressions')
+      .withArgs(memberExpression).returns(subExpressions)
+    sandbox.stub(esprimaParser, 'resolveNodes', function* () {})
+    sandbox.stub(esprimaParser, 'unresolveNodes')
+    sandbox.stub(esprimaParser, 'getMemberExp')
+      .withArgs(memberExpression).returns(exp)
+    sandbox.stub(esprimaParser, 'parseMemberExp')
+      .withArgs(exp).returns('resultFromParseMemberExp')
+    sandbox.stub(esprimaParser, 'accessOnHeap', (receiver, access) => {
+      return {value: access()}
+    })
+  })
+
+  it('should resolve sub expressions before getMemberExp, and unresolve them after', () => {
+    runGenerator(esprimaParser.MemberExpressionGenerator(memberExpression))
+
+    expect(esprimaParser.resolveNodes.calledWithExactly(subExpressions)).to.be.true
+    expect(esprimaParser.resolveNodes.calledBefore(esprimaParser.getMemberExp)).to.be.true
+    expect(esprimaParser.unresolveNodes.calledWithExactly(subExpressions)).to.be.true
+    expect(esprimaParser.unresolveNodes.calledAfter(esprimaParser.getMemberExp)).to.be.true
+  })
+
+  it('should unresolve sub expressions given getMemberExp throws error', () => {
+    const error = new Error()
+
+    esprimaParser.getMemberExp.withArgs(memberExpression).throws(error)
+
+    expect(() => {
+      runGenerator(esprimaParser.MemberExpressionGenerator(memberExpression))
+    }).to.throw(error)
+    expect(esprimaParser.unresolveNodes.calledWithExactly(subExpressions)).to.be.true
+  })
+
+  it('should return value from accessOnHeap called with caller and parseMemberExp of exp', () => {
+    const result = runGenerator(esprimaParser.MemberExpressionGenerator(memberExpression))
+
+    expect(esprimaParser.accessOnHeap.calledWith(exp.caller)).to.be.true
+    expect(esprimaParser.parseMemberExp.calledOnce).to.be.true
+    expect(result).to.be.equal('resultFromParseMemberExp')
+  })
+
+  it('should yield request from accessOnHeap and return value resumed with', () => {
+    esprimaParser.accessOnHeap.restore()
+    sandbox.stub(esprimaParser, 'accessOnHeap').returns({request: 'request'})
+
+    const iterator = esprimaParser.MemberExpressionGenerator(memberExpression)
+
+    expect(iterator.next()).to.be.eql({value: 'request', done: false})
+    expect(iterator.next('resultOfGetter')).to.be.eql({value: 'resultOfGetter', done: true})
+  })
+})
@@ -0,0 +1,31 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#metaproperty
+
+describe('MetaProperty tests', () => {
+  it('should return new.target from closureStack given new.target', () => {
+    const newTarget = function () {}
+
+    sandbox.stub(esprimaParser, 'closureStack', {
+      get: sandbox.stub().withArgs('new.target').returns(newTarget)
+    })
+    const result = esprimaParser.MetaProperty(createAstNode('MetaProperty', {
+      meta: createAstNode('Identifier', {name: 'new'}),
+      property: createAstNode('Identifier', {name: 'target'})
+    }))
+
+    expect(result).to.be.equal(newTarget)
+  })
+
+  it('should return import.meta from closureStack given import.meta', () => {
+    const importMeta = {url: 'http://example.com/module.js'}
+
+    sandbox.stub(esprimaParser, 'closureStack', {
+      get: sandbox.stub().withArgs('import.meta').returns(importMeta)
+    })
+    const result = esprimaParser.MetaProperty(createAstNode('MetaProperty', {
+      meta: createAstNode('Identifier', {name: 'import'}),
+      property: createAstNode('Identifier', {name: 'meta'})
+    }))
+
+    expect(result).to.be.equal(importMeta)
+  })
+})
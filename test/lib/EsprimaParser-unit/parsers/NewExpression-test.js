@@ -1,45 +1,31 @@
 describe('NewExpression tests', () => {
-  const CalledConstructor = function (...calledArguments) {
-    this.calledArguments = calledArguments
-  }
-  const calledArguments = [1, 2, 3, 4]
-
   let newExpression
 
   beforeEach(() => {
-    newExpression = createAstNode('NewExpression',  {
+    newExpression = createAstNode('NewExpression', {
       callee: createAstNode('Expression'),
       arguments: [createAstNode('Expression')]
     })
 
     sandbox.stub(esprimaParser, 'parseNode')
-      .returns(CalledConstructor)
+      .withArgs(newExpression.callee).returns('resultFromParseNode')
     sandbox.stub(esprimaParser, 'parseArguments')
-      .returns(calledArguments)
+      .withArgs(newExpression.arguments).returns('resultFromParseArguments')
+    sandbox.stub(esprimaParser, 'parseNewExp')
+      .returns('resultFromParseNewExp')
   })
 
-  it('should call parseNode with callee', () => {
-    esprimaParser.NewExpression(newExpression)
+  it('should return result from parseNewExp called with newExpression, constructor and arguments', () => {
+    const result = esprimaParser.NewExpression(newExpression)
 
     expect(
-      esprimaParser.parseNode
-        .calledWithExactly(newExpression.callee)
+      esprimaParser.parseNewExp
+        .calledWithExactly(newExpression, 'resultFromParseNode', 'resultFromParseArguments')
     ).to.be.true
-  })
-
-  it('should call parseArguments with arguments', () => {
-    esprimaParser.NewExpression(newExpression)
-
     expect(
       esprimaParser.parseArguments
-        .calledWithExactly(newExpression.arguments)
+        .calledAfter(esprimaParser.parseNode)
     ).to.be.true
-  })
-
-  it('should return an instance of result from parseNode, initialized with result from parseArguments', () => {
-    const result = esprimaParser.NewExpression(newExpression)
-
-    expect(result).to.be.instanceof(CalledConstructor)
-    expect(result.calledArguments).to.be.eql(calledArguments)
+    expect(result).to.be.equal('resultFromParseNewExp')
   })
 })
@@ -0,0 +1,77 @@
+describe('NewExpressionGenerator tests', () => {
+  const CalledConstructor = function () {}
+  const calledArguments = ['arg']
+  let newExpression, subExpressions
+
+  beforeEach(() => {
+    newExpression = createAstNode('NewExpression', {
+      callee: createAstNode('Expression'),
+      arguments: [createAstNode('Expression')],
+      loc: 'loc'
+    })
+    subExpressions = [createAstNode('Callee'), createAstNode('Argument')]
+
+    sandbox.stub(esprimaParser, 'getSubExpressions')
+      .withArgs(newExpression).returns(subExpressions)
+    sandbox.stub(esprimaParser, 'resolveNodes', function* () {})
+    sandbox.stub(esprimaParser, 'unresolveNodes')
+    sandbox.stub(esprimaParser, 'parseNode')
+      .withArgs(newExpression.callee).returns(CalledConstructor)
+    sandbox.stub(esprimaParser, 'parseArguments')
+      .withArgs(newExpression.arguments).returns(calledArguments)
+    sandbox.stub(esprimaParser, 'createConstructRequest').returns(null)
+    sandbox.stub(esprimaParser, 'parseNewExp')
+      .returns('resultFromParseNewExp')
+    sandbox.stub(esprimaParser, 'callStack', {
+      setLoc: sandbox.spy()
+    })
+  })
+
+  it('should resolve sub expressions before parsing callee and arguments, and unresolve them after', () => {
+    runGenerator(esprimaParser.NewExpressionGenerator(newExpression))
+
+    expect(esprimaParser.resolveNodes.calledWithExactly(subExpressions)).to.be.true
+    expect(esprimaParser.resolveNodes.calledBefore(esprimaParser.parseNode)).to.be.true
+    expect(esprimaParser.unresolveNodes.calledWithExactly(subExpressions)).to.be.true
+    expect(esprimaParser.unresolveNodes.calledAfter(esprimaParser.parseArguments)).to.be.true
+  })
+
+  it('should unresolve sub expressions given parseArguments throws error', () => {
+    const error = new Error()
+
+    esprimaParser.parseArguments.withArgs(newExpression.arguments).throws(error)
+
+    expect(() => {
+      runGenerator(esprimaParser.NewExpressionGenerator(newExpression))
+    }).to.throw(error)
+    expect(esprimaParser.unresolveNodes.calledWithExactly(subExpressions)).to.be.true
+  })
+
+  it('should return result from parseNewExp called with newExpression, constructor and arguments given no construct request', () => {
+    const result = runGenerator(esprimaParser.NewExpressionGenerator(newExpression))
+
+    expect(
+      esprimaParser.createConstructRequest
+        .calledWithExactly(CalledConstructor, calledArguments, CalledConstructor)
+    ).to.be.true
+    expect(
+      esprimaParser.parseNewExp
+        .calledWithExactly(newExpression, CalledConstructor, calledArguments)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseNewExp')
+  })
+
+  it('should call callStack.setLoc with loc, yield construct request and return value resumed with', () => {
+    esprimaParser.createConstructRequest.returns('request')
+
+    const iterator = esprimaParser.NewExpressionGenerator(newExpression)
+
+    expect(iterator.next()).to.be.eql({value: 'request', done: false})
+    expect(
+      esprimaParser.callStack.setLoc
+        .calledWithExactly('loc')
+    ).to.be.true
+    expect(iterator.next('instance')).to.be.eql({value: 'instance', done: true})
+    expect(esprimaParser.parseNewExp.called).to.be.false
+  })
+})
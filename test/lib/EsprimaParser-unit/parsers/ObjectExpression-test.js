@@ -15,40 +15,49 @@ describe('ObjectExpression tests', () => {
     expect(result).to.be.eql({})
   })
 
-  it('should call parseNode with nodes in properties', () => {
+  it('should call parseNode with nodes in properties and result as target', () => {
     objectExpression.properties = [
       createAstNode('Property1'),
       createAstNode('Property2')
     ]
 
     sandbox.stub(esprimaParser, 'parseNode')
-      .returns({key: 'key', value: 'value'})
 
-    esprimaParser.ObjectExpression(objectExpression)
+    const result = esprimaParser.ObjectExpression(objectExpression)
 
     objectExpression.properties.forEach((node, index) => {
       expect(
         esprimaParser.parseNode
           .getCall(index)
-          .calledWithExactly(node)
+          .calledWithExactly(node, {target: result})
       ).to.be.true
     })
   })
 
-  it('should return {a: 1, b: 2} given properties \'a: 1\' and \'b: 2\'', () => {
+  it('should copy own enumerable properties given SpreadElement', () => {
+    const spreadObject = {b: 3, c: 4}
+
     objectExpression.properties = [
-      createAstNode('Property1'),
-      createAstNode('Property2')
+      createAstNode('Property'),
+      createAstNode('SpreadElement', {
+        argument: createAstNode('Expression')
+      })
     ]
 
-    sandbox.stub(esprimaParser, 'parseNode')
-      .withArgs(objectExpression.properties[0])
-        .returns({key: 'a', value: 1})
-      .withArgs(objectExpression.properties[1])
-        .returns({key: 'b', value: 2})
+    sandbox.stub(esprimaParser, 'parseNode', (node, options) => {
+      if (node.type === 'Property') {
+        options.target.b = 2
+      }
+      return spreadObject
+    })
+    sandbox.spy(esprimaParser, 'copyDataProperties')
 
     const result = esprimaParser.ObjectExpression(objectExpression)
 
-    expect(result).to.be.eql({a: 1, b: 2})
+    expect(
+      esprimaParser.copyDataProperties
+        .calledWithExactly(result, spreadObject)
+    ).to.be.true
+    expect(result).to.be.eql({b: 3, c: 4})
   })
 })
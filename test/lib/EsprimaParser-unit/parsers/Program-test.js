@@ -11,10 +11,19 @@ describe('Program tests', () => {
         createAstNode('Statement3')
       ]
     })
+    sandbox.stub(esprimaParser, 'hasUseStrictDirective')
+      .withArgs(program.body).returns('resultFromHasUseStrictDirective')
     sandbox.stub(esprimaParser, 'handleHoisting')
+    sandbox.stub(esprimaParser, 'handleBlockHoisting')
     sandbox.stub(esprimaParser, 'parseStatements')
   })
 
+  it('should set strict to result from hasUseStrictDirective called with body', () => {
+    esprimaParser.Program(program)
+
+    expect(esprimaParser.strict).to.be.equal('resultFromHasUseStrictDirective')
+  })
+
   it('should call handleHoisting with body', () => {
     esprimaParser.Program(program)
 
@@ -24,13 +33,26 @@ describe('Program tests', () => {
     ).to.be.true
   })
 
-  it('should call parseStatements with body after handleHoisting', () => {
+  it('should call handleBlockHoisting with body after handleHoisting', () => {
     esprimaParser.Program(program)
 
     expect(
-      esprimaParser.parseStatements
+      esprimaParser.handleBlockHoisting
+        .calledWithExactly(program.body)
+    ).to.be.true
+    expect(
+      esprimaParser.handleBlockHoisting
         .calledAfter(esprimaParser.handleHoisting)
     ).to.be.true
+  })
+
+  it('should call parseStatements with body after handleBlockHoisting', () => {
+    esprimaParser.Program(program)
+
+    expect(
+      esprimaParser.parseStatements
+        .calledAfter(esprimaParser.handleBlockHoisting)
+    ).to.be.true
     expect(
       esprimaParser.parseStatements
         .calledWithExactly(program.body)
@@ -1,27 +1,26 @@
 // spec: https://github.com/estree/estree/blob/master/spec.md#property
 
 describe('Property tests', () => {
-  let property
+  let property, target
 
   beforeEach(() => {
     property = createAstNode('Property', {
       key: createAstNode('Literal|Ideintifier'),
-      value: createAstNode('Expression')
+      value: createAstNode('Expression'),
+      computed: false,
+      kind: 'init'
     })
+    target = {}
 
-    sandbox.stub(esprimaParser, 'getPropertyKey')
-    sandbox.stub(esprimaParser, 'parseNode')
-  })
-
-  it('should return an object contains key and value', () => {
-    const result = esprimaParser.Property(property)
-
-    expect(result).to.have.property('key')
-    expect(result).to.have.property('value')
+    sandbox.stub(esprimaParser, 'getPropertyKey').returns('a')
+    sandbox.stub(esprimaParser, 'parseNode').returns(1)
+    sandbox.stub(esprimaParser, 'getFunctionName').returns('name')
+    sandbox.stub(esprimaParser, 'isMethodProperty').returns(false)
+    sandbox.stub(esprimaParser, 'isProtoSetter').returns(false)
   })
 
   it('should call getPropertyKey with key and computed', () => {
-    esprimaParser.Property(property)
+    esprimaParser.Property(property, {target})
 
     expect(
       esprimaParser.getPropertyKey
@@ -29,24 +28,90 @@ describe('Property tests', () => {
     ).to.be.true
   })
 
-  it('should call parseNode with value', () => {
-    esprimaParser.Property(property)
+  it('should define enumerable data property of key and parsed value to target', () => {
+    esprimaParser.Property(property, {target})
 
     expect(
       esprimaParser.parseNode
-        .calledWithExactly(property.value)
+        .calledWithExactly(property.value, {name: 'name'})
     ).to.be.true
+    expect(Object.getOwnPropertyDescriptor(target, 'a')).to.be.eql({
+      value: 1,
+      writable: true,
+      enumerable: true,
+      configurable: true
+    })
   })
 
-  it('should return {key: \'a\', value: 1} given property key \'a\' and value 1', () => {
-    esprimaParser.getPropertyKey.returns('a')
-    esprimaParser.parseNode.returns(1)
+  it('should call getFunctionName with key for name of anonymous function value', () => {
+    esprimaParser.Property(property, {target})
+
+    expect(
+      esprimaParser.getFunctionName
+        .calledWithExactly('a')
+    ).to.be.true
+  })
+
+  it('should not trigger setter on prototype of target', () => {
+    const setter = sandbox.spy()
+
+    target = Object.create(Object.defineProperty({}, 'a', {set: setter}))
+
+    esprimaParser.Property(property, {target})
+
+    expect(setter.called).to.be.false
+    expect(target).to.have.ownProperty('a')
+  })
+
+  describe('method property', () => {
+    const methodAgent = function () {}
+
+    beforeEach(() => {
+      esprimaParser.isMethodProperty.returns(true)
+      property.kind = 'get'
+      sandbox.stub(esprimaParser, 'createMethodAgent').returns(methodAgent)
+      sandbox.spy(esprimaParser, 'getMethodDescriptor')
+    })
+
+    it('should call createMethodAgent with property, target as home object and key', () => {
+      esprimaParser.Property(property, {target})
+
+      expect(
+        esprimaParser.createMethodAgent
+          .calledWithExactly(property, target, 'a')
+      ).to.be.true
+      expect(esprimaParser.parseNode.called).to.be.false
+    })
+
+    it('should define property with enumerable descriptor from getMethodDescriptor', () => {
+      esprimaParser.Property(property, {target})
+
+      expect(
+        esprimaParser.getMethodDescriptor
+          .calledWithExactly('get', methodAgent, true)
+      ).to.be.true
+      expect(Object.getOwnPropertyDescriptor(target, 'a').get).to.be.equal(methodAgent)
+    })
+  })
+
+  describe('__proto__ property', () => {
+    beforeEach(() => {
+      esprimaParser.isProtoSetter.returns(true)
+      sandbox.stub(esprimaParser, 'setLiteralPrototype')
+    })
 
-    const result = esprimaParser.Property(property)
+    it('should call setLiteralPrototype with target and parsed value', () => {
+      esprimaParser.Property(property, {target})
 
-    expect(result).to.be.eql({
-      key: 'a',
-      value: 1
+      expect(
+        esprimaParser.isProtoSetter
+          .calledWithExactly(property, 'a')
+      ).to.be.true
+      expect(
+        esprimaParser.setLiteralPrototype
+          .calledWithExactly(target, 1)
+      ).to.be.true
+      expect(target).to.not.have.ownProperty('a')
     })
   })
 })
@@ -0,0 +1,19 @@
+describe('SwitchCaseGenerator tests', () => {
+  it('should return result from parseGeneratorStatements called with consequent', () => {
+    const switchCase = createAstNode('SwitchCase', {
+      consequent: [createAstNode('Statement')]
+    })
+
+    sandbox.stub(esprimaParser, 'parseGeneratorStatements', function* () {
+      return 'resultFromParseGeneratorStatements'
+    })
+
+    const result = runGenerator(esprimaParser.SwitchCaseGenerator(switchCase))
+
+    expect(
+      esprimaParser.parseGeneratorStatements
+        .calledWithExactly(switchCase.consequent)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseGeneratorStatements')
+  })
+})
@@ -20,6 +20,9 @@ describe('SwitchStatement tests', () => {
     sandbox.stub(esprimaParser, 'parseNode')
       .withArgs(switchStatement.discriminant)
         .returns('parsedDiscriminant')
+    sandbox.stub(esprimaParser, 'filterSubStatements')
+      .returns('resultFromFilterSubStatements')
+    sandbox.stub(esprimaParser, 'handleBlockClosure', (scope, statements, parse) => parse())
     sandbox.stub(esprimaParser, 'parseSwitchCases')
       .returns('resultFromParseSwitchCases')
     sandbox.stub(esprimaParser, 'flowState', {
@@ -36,7 +39,22 @@ describe('SwitchStatement tests', () => {
     ).to.be.true
   })
 
-  it('should call parseSwitchCases with cases and parsed discriminant', () => {
+  it('should call handleBlockClosure with switchStatement and result from filterSubStatements called with it', () => {
+    esprimaParser.SwitchStatement(switchStatement)
+
+    expect(
+      esprimaParser.filterSubStatements
+        .calledWithExactly(switchStatement)
+    ).to.be.true
+    expect(
+      esprimaParser.handleBlockClosure.getCall(0).args[0]
+    ).to.be.equal(switchStatement)
+    expect(
+      esprimaParser.handleBlockClosure.getCall(0).args[1]
+    ).to.be.equal('resultFromFilterSubStatements')
+  })
+
+  it('should call parseSwitchCases with cases and parsed discriminant in handleBlockClosure', () => {
     esprimaParser.SwitchStatement(switchStatement)
 
     expect(
@@ -45,6 +63,12 @@ describe('SwitchStatement tests', () => {
     ).to.be.true
   })
 
+  it('should return result from parseSwitchCases', () => {
+    const result = esprimaParser.SwitchStatement(switchStatement)
+
+    expect(result).to.be.equal('resultFromParseSwitchCases')
+  })
+
   it('should unset flowState of FlowState.BREAK', () => {
     // switch should not unset return, and there is no continue statement in it
     esprimaParser.SwitchStatement(switchStatement)
@@ -0,0 +1,56 @@
+describe('SwitchStatementGenerator tests', () => {
+  const statements = ['statement']
+  let switchStatement, FlowState
+
+  before(() => {
+    FlowState = require('../../../../lib/EsprimaParser/structures/FlowState')
+  })
+
+  beforeEach(() => {
+    switchStatement = createAstNode('SwitchStatement', {
+      discriminant: createAstNode('Discriminant'),
+      cases: [createAstNode('SwitchCase')]
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+    sandbox.stub(esprimaParser, 'filterSubStatements')
+      .returns(statements)
+    sandbox.stub(esprimaParser, 'handleGeneratorBlockClosure', function* (scope, statements, parse) {
+      return yield* parse()
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorSwitchCases', function* () {
+      return 'resultFromParseGeneratorSwitchCases'
+    })
+    sandbox.stub(esprimaParser, 'flowState', {
+      unset: sandbox.spy()
+    })
+  })
+
+  it('should call parseGeneratorSwitchCases with cases and discriminant in handleGeneratorBlockClosure called with sub statements', () => {
+    runGenerator(esprimaParser.SwitchStatementGenerator(switchStatement))
+
+    expect(
+      esprimaParser.filterSubStatements
+        .calledWithExactly(switchStatement)
+    ).to.be.true
+    expect(
+      esprimaParser.handleGeneratorBlockClosure.getCall(0).args[0]
+    ).to.be.equal(switchStatement)
+    expect(
+      esprimaParser.handleGeneratorBlockClosure.getCall(0).args[1]
+    ).to.be.equal(statements)
+    expect(
+      esprimaParser.parseGeneratorSwitchCases
+        .calledWithExactly(switchStatement.cases, 'parsedDiscriminant')
+    ).to.be.true
+  })
+
+  it('should unset BREAK state and return result from parseGeneratorSwitchCases', () => {
+    const result = runGenerator(esprimaParser.SwitchStatementGenerator(switchStatement))
+
+    expect(
+      esprimaParser.flowState.unset
+        .calledWithExactly(FlowState.BREAK)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseGeneratorSwitchCases')
+  })
+})
@@ -0,0 +1,84 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#taggedtemplateexpression
+
+describe('TaggedTemplateExpression tests', () => {
+  const values = [1, 2]
+  const templateObject = ['a', 'b', 'c']
+  const info = {}
+  let taggedTemplateExpression, exp
+
+  beforeEach(() => {
+    taggedTemplateExpression = createAstNode('TaggedTemplateExpression', {
+      tag: createAstNode('Expression'),
+      quasi: createAstNode('TemplateLiteral', {
+        quasis: [],
+        expressions: [createAstNode('Expression1'), createAstNode('Expression2')]
+      })
+    })
+    exp = {
+      caller: {},
+      callee: {
+        addArguments: sandbox.spy()
+      }
+    }
+    sandbox.stub(esprimaParser, 'parseCallee').returns(exp)
+    sandbox.stub(esprimaParser, 'parseArguments').returns(values)
+    sandbox.stub(esprimaParser, 'getTemplateObject').returns(templateObject)
+    sandbox.stub(esprimaParser, 'getExpInfo').returns(info)
+    sandbox.stub(esprimaParser, 'parseCallExp').returns('resultFromParseCallExp')
+  })
+
+  it('should call parseCallee with tag before parseArguments', () => {
+    esprimaParser.TaggedTemplateExpression(taggedTemplateExpression)
+
+    expect(
+      esprimaParser.parseCallee
+        .calledWithExactly(taggedTemplateExpression.tag)
+    ).to.be.true
+    expect(
+      esprimaParser.parseCallee
+        .calledBefore(esprimaParser.parseArguments)
+    ).to.be.true
+  })
+
+  it('should call parseArguments with expressions of quasi', () => {
+    esprimaParser.TaggedTemplateExpression(taggedTemplateExpression)
+
+    expect(
+      esprimaParser.parseArguments
+        .calledWithExactly(taggedTemplateExpression.quasi.expressions)
+    ).to.be.true
+  })
+
+  it('should add result from getTemplateObject called with quasi and values as arguments of callee', () => {
+    esprimaParser.TaggedTemplateExpression(taggedTemplateExpression)
+
+    expect(
+      esprimaParser.getTemplateObject
+        .calledWithExactly(taggedTemplateExpression.quasi)
+    ).to.be.true
+    expect(
+      exp.callee.addArguments
+        .calledWithExactly([templateObject, ...values])
+    ).to.be.true
+  })
+
+  it('should set exp.info to result from getExpInfo called with taggedTemplateExpression', () => {
+    esprimaParser.TaggedTemplateExpression(taggedTemplateExpression)
+
+    expect(
+      esprimaParser.getExpInfo
+        .calledWithExactly(taggedTemplateExpression)
+    ).to.be.true
+    expect(exp.info).to.be.equal(info)
+  })
+
+  it('should call parseCallExp with exp and return', () => {
+    const result = esprimaParser.TaggedTemplateExpression(taggedTemplateExpression)
+
+    expect(
+      esprimaParser.parseCallExp
+        .calledWithExactly(exp)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseCallExp')
+  })
+})
@@ -0,0 +1,62 @@
+// spec: https://github.com/estree/estree/blob/master/es2015.md#templateliteral
+
+describe('TemplateLiteral tests', () => {
+  const createTemplateElement = (cooked) => {
+    return createAstNode('TemplateElement', {
+      value: {cooked, raw: cooked}
+    })
+  }
+  let templateLiteral
+
+  beforeEach(() => {
+    templateLiteral = createAstNode('TemplateLiteral', {
+      quasis: [
+        createTemplateElement('a'),
+        createTemplateElement('b'),
+        createTemplateElement('c')
+      ],
+      expressions: [
+        createAstNode('Expression1'),
+        createAstNode('Expression2')
+      ]
+    })
+    sandbox.stub(esprimaParser, 'parseArguments').returns([1, 2])
+  })
+
+  it('should call parseArguments with expressions', () => {
+    esprimaParser.TemplateLiteral(templateLiteral)
+
+    expect(
+      esprimaParser.parseArguments
+        .calledWithExactly(templateLiteral.expressions)
+    ).to.be.true
+  })
+
+  it('should return cooked strings joined with values', () => {
+    const result = esprimaParser.TemplateLiteral(templateLiteral)
+
+    expect(result).to.be.equal('a1b2c')
+  })
+
+  it('should call convertTemplateValue with each value', () => {
+    sandbox.spy(esprimaParser, 'convertTemplateValue')
+
+    esprimaParser.TemplateLiteral(templateLiteral)
+
+    expect(esprimaParser.convertTemplateValue.calledTwice).to.be.true
+    expect(esprimaParser.convertTemplateValue.firstCall.calledWithExactly(1)).to.be.true
+    expect(esprimaParser.convertTemplateValue.secondCall.calledWithExactly(2)).to.be.true
+  })
+
+  it('should return empty string given empty template', () => {
+    esprimaParser.parseArguments.returns([])
+
+    const result = esprimaParser.TemplateLiteral(
+      createAstNode('TemplateLiteral', {
+        quasis: [createTemplateElement('')],
+        expressions: []
+      })
+    )
+    expect(result).to.be.equal('')
+  })
+})
@@ -9,6 +9,7 @@ describe('ThrowStatement tests', () => {
     })
 
     sandbox.stub(esprimaParser, 'parseNode', createParseNodeStub())
+    sandbox.stub(esprimaParser, 'captureErrorStack')
   })
 
   it('should throw with the result from parseNode called with argument', () => {
@@ -16,4 +17,16 @@ describe('ThrowStatement tests', () => {
       esprimaParser.ThrowStatement.bind(esprimaParser, throwStatement)
     ).to.throw('parsedExpression')
   })
+
+  it('should call captureErrorStack with the result from parseNode before throwing', () => {
+    try {
+      esprimaParser.ThrowStatement(throwStatement)
+    } catch (e) {
+      expect(e).to.be.equal('parsedExpression')
+    }
+    expect(
+      esprimaParser.captureErrorStack
+        .calledWithExactly('parsedExpression')
+    ).to.be.true
+  })
 })
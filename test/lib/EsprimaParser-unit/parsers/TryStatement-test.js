@@ -79,6 +79,34 @@ describe('TryStatement tests', () => {
       ).to.be.true
     })
 
+    it('should call rethrowInterpreterError with error before handleCatchClause', () => {
+      sandbox.spy(esprimaParser, 'rethrowInterpreterError')
+
+      esprimaParser.TryStatement(tryStatement)
+
+      expect(
+        esprimaParser.rethrowInterpreterError
+          .calledWithExactly(error)
+      ).to.be.true
+      expect(
+        esprimaParser.rethrowInterpreterError
+          .calledBefore(esprimaParser.handleCatchClause)
+      ).to.be.true
+    })
+
+    it('should throw error rethrown by rethrowInterpreterError without handleCatchClause but with finalizer', () => {
+      sandbox.stub(esprimaParser, 'rethrowInterpreterError').throws(error)
+
+      expect(() => {
+        esprimaParser.TryStatement(tryStatement)
+      }).to.throw(error)
+      expect(esprimaParser.handleCatchClause.called).to.be.false
+      expect(
+        esprimaParser.handleExceptionBlock.getCall(1)
+          .calledWithExactly(tryStatement.finalizer)
+      ).to.be.true
+    })
+
     it('should call handleCatchClause with tryStatement.handler and error thrown in try block', () => {
       esprimaParser.TryStatement(tryStatement)
 
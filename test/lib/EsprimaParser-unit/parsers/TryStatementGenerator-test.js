@@ -0,0 +1,74 @@
+describe('TryStatementGenerator tests', () => {
+  let tryStatement
+
+  beforeEach(() => {
+    tryStatement = createAstNode('TryStatement', {
+      block: createAstNode('BlockStatementBlock'),
+      handler: createAstNode('CatchClause'),
+      finalizer: createAstNode('BlockStatementFinalizer')
+    })
+    sandbox.stub(esprimaParser, 'handleGeneratorTryBlock', function* () {
+      yield 'yieldedInTry'
+      return {valueFromTry: 'valueFromTryBlock'}
+    })
+    sandbox.stub(esprimaParser, 'handleGeneratorExceptionBlock', function* () {
+      yield 'yieldedInFinally'
+      return {valueFromFinally: 'valueFromFinallyBlock'}
+    })
+    sandbox.stub(esprimaParser, 'handleExceptionResult')
+      .returns('resultFromHandleExceptionResult')
+    sandbox.stub(esprimaParser, 'reissueGeneratorReturn')
+      .returns('resultFromReissueGeneratorReturn')
+  })
+
+  it('should call handleExceptionResult with results from try block and finally block', () => {
+    const result = runGenerator(esprimaParser.TryStatementGenerator(tryStatement))
+
+    expect(
+      esprimaParser.handleGeneratorTryBlock
+        .calledWithExactly(tryStatement)
+    ).to.be.true
+    expect(
+      esprimaParser.handleGeneratorExceptionBlock
+        .calledWithExactly(tryStatement.finalizer)
+    ).to.be.true
+    expect(
+      esprimaParser.handleExceptionResult
+        .calledWithExactly({
+          valueFromTry: 'valueFromTryBlock',
+          valueFromFinally: 'valueFromFinallyBlock'
+        })
+    ).to.be.true
+    expect(esprimaParser.reissueGeneratorReturn.called).to.be.false
+    expect(result).to.be.equal('resultFromHandleExceptionResult')
+  })
+
+  it('should throw error thrown by try block after finally block', () => {
+    const error = new Error()
+
+    esprimaParser.handleGeneratorTryBlock.restore()
+    sandbox.stub(esprimaParser, 'handleGeneratorTryBlock').throws(error)
+
+    expect(() => {
+      runGenerator(esprimaParser.TryStatementGenerator(tryStatement))
+    }).to.throw(error)
+    expect(
+      esprimaParser.handleGeneratorExceptionBlock
+        .calledWithExactly(tryStatement.finalizer)
+    ).to.be.true
+    expect(esprimaParser.reissueGeneratorReturn.called).to.be.false
+  })
+
+  it('should return result from reissueGeneratorReturn called with result from finally block given return called in try block', () => {
+    const iterator = esprimaParser.TryStatementGenerator(tryStatement)
+
+    expect(iterator.next()).to.be.eql({value: 'yieldedInTry', done: false})
+    expect(iterator.return('returnValue')).to.be.eql({value: 'yieldedInFinally', done: false})
+    expect(iterator.next()).to.be.eql({value: 'resultFromReissueGeneratorReturn', done: true})
+    expect(
+      esprimaParser.reissueGeneratorReturn
+        .calledWithExactly({valueFromFinally: 'valueFromFinallyBlock'})
+    ).to.be.true
+    expect(esprimaParser.handleExceptionResult.called).to.be.false
+  })
+})
@@ -38,6 +38,10 @@ describe('UnaryOperator tests', () => {
   describe('delete operator', () => {
     let target
 
+    it('should return true given no reference from optional chain short-circuited', () => {
+      expect(esprimaParser.unaryOperators.delete(undefined)).to.be.true
+    })
+
     // case Identifier
     describe('Identifier', () => {
       let windowStub
@@ -119,5 +123,47 @@ describe('UnaryOperator tests', () => {
         expect(result).to.be.true
       })
     })
+
+    describe('Non-configurable', () => {
+      beforeEach(() => {
+        target = {
+          caller: Object.freeze({a: 'delete property'}),
+          callee: 'a'
+        }
+      })
+
+      it('should return false given not in strict mode', () => {
+        esprimaParser.strict = false
+
+        const result = esprimaParser.unaryOperators.delete(target)
+
+        expect(target.caller).to.be.eql({a: 'delete property'})
+        expect(result).to.be.false
+      })
+
+      it('should return false given primitive caller not in strict mode', () => {
+        esprimaParser.strict = false
+
+        const result = esprimaParser.unaryOperators.delete({caller: 'string', callee: 'length'})
+
+        expect(result).to.be.false
+      })
+
+      it('should throw TypeError given in strict mode', () => {
+        esprimaParser.strict = true
+
+        expect(() => {
+          esprimaParser.unaryOperators.delete(target)
+        }).to.throw(TypeError)
+      })
+
+      it('should throw TypeError given null caller even not in strict mode', () => {
+        esprimaParser.strict = false
+
+        expect(() => {
+          esprimaParser.unaryOperators.delete({caller: null, callee: 'a'})
+        }).to.throw(TypeError)
+      })
+    })
   })
 })
@@ -1,6 +1,7 @@
 // spec: https://github.com/estree/estree/blob/master/spec.md#updateexpression
 
 describe('UpdateExpression tests', () => {
+  const exp = {caller: {}, callee: 'callee'}
   const origin = 'origin'
   const update = 'update'
   let updateExpression
@@ -11,23 +12,30 @@ describe('UpdateExpression tests', () => {
       argument: createAstNode('Expression'),
       prefix: 'boolean'
     })
-    sandbox.stub(esprimaParser, 'parseNode').returns(origin)
+    sandbox.stub(esprimaParser, 'getRefExp')
+      .withArgs(updateExpression.argument).returns(exp)
+    sandbox.stub(esprimaParser, 'getRefValue')
+      .withArgs(exp, updateExpression.argument).returns(origin)
     sandbox.stub(esprimaParser, 'updateOperators', {
       'updateOperator': sandbox.stub().returns(update)
     })
     sandbox.stub(esprimaParser, 'setUpdateValue')
   })
 
-  it('should call parseNode with argument of updateExpression', () => {
+  it('should call getRefValue with exp from getRefExp called with argument of updateExpression', () => {
     esprimaParser.UpdateExpression(updateExpression)
 
     expect(
-      esprimaParser.parseNode
-        .calledWithExactly(updateExpression.argument)
+      esprimaParser.getRefExp
+        .calledOnce
+    ).to.be.true
+    expect(
+      esprimaParser.getRefValue
+        .calledWithExactly(exp, updateExpression.argument)
     ).to.be.true
   })
 
-  it('should call given update operation with result from parseNode', () => {
+  it('should call given update operation with result from getRefValue', () => {
     esprimaParser.UpdateExpression(updateExpression)
 
     expect(
@@ -36,12 +44,12 @@ describe('UpdateExpression tests', () => {
     ).to.be.true
   })
 
-  it('should call setUpdateValue with updateExpression.argument and update from update operation', () => {
+  it('should call setUpdateValue with exp and update from update operation', () => {
     esprimaParser.UpdateExpression(updateExpression)
 
     expect(
       esprimaParser.setUpdateValue
-        .calledWithExactly(updateExpression.argument, update)
+        .calledWithExactly(exp, update)
     ).to.be.true
   })
 
@@ -0,0 +1,46 @@
+describe('VariableDeclarationGenerator tests', () => {
+  let variableDeclaration
+
+  beforeEach(() => {
+    variableDeclaration = createAstNode('VariableDeclaration', {
+      declarations: [
+        createAstNode('VariableDeclarator', {init: createAstNode('Init1')}),
+        createAstNode('VariableDeclarator', {init: createAstNode('Init2')})
+      ],
+      kind: 'let'
+    })
+    sandbox.stub(esprimaParser, 'resolveNodes', function* () {})
+    sandbox.stub(esprimaParser, 'VariableDeclarator')
+    sandbox.stub(esprimaParser, 'unresolveNodes')
+  })
+
+  it('should resolve init and call VariableDeclarator with each declarator and kind', () => {
+    runGenerator(esprimaParser.VariableDeclarationGenerator(variableDeclaration))
+
+    variableDeclaration.declarations.forEach((variableDeclarator, index) => {
+      expect(
+        esprimaParser.resolveNodes.getCall(index)
+          .calledWithExactly([variableDeclarator.init])
+      ).to.be.true
+      expect(
+        esprimaParser.VariableDeclarator.getCall(index)
+          .calledWithExactly(variableDeclarator, 'let')
+      ).to.be.true
+      expect(
+        esprimaParser.unresolveNodes.getCall(index)
+          .calledWithExactly([variableDeclarator.init])
+      ).to.be.true
+    })
+  })
+
+  it('should call unresolveNodes given VariableDeclarator throws error', () => {
+    const error = new Error()
+
+    esprimaParser.VariableDeclarator.throws(error)
+
+    expect(() => {
+      runGenerator(esprimaParser.VariableDeclarationGenerator(variableDeclaration))
+    }).to.throw(error)
+    expect(esprimaParser.unresolveNodes.calledOnce).to.be.true
+  })
+})
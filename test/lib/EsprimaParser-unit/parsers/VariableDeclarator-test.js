@@ -21,14 +21,14 @@ describe('VariableDeclarator tests', () => {
     ).to.be.true
   })
 
-  it('should call parseVariableDeclarator with variableDeclarator given isVariableNeededToSet returns true', () => {
+  it('should call parseVariableDeclarator with variableDeclarator and kind given isVariableNeededToSet returns true', () => {
     esprimaParser.isVariableNeededToSet.returns(true)
 
     esprimaParser.VariableDeclarator(variableDeclarator, kind)
 
     expect(
       esprimaParser.parseVariableDeclarator
-        .calledWithExactly(variableDeclarator)
+        .calledWithExactly(variableDeclarator, kind)
     ).to.be.true
   })
 
@@ -0,0 +1,47 @@
+describe('WhileStatementGenerator tests', () => {
+  const label = 'label'
+  let whileStatement, tests, bodyCount
+
+  beforeEach(() => {
+    whileStatement = createAstNode('WhileStatement', {
+      test: createAstNode('Test'),
+      body: createAstNode('Body')
+    })
+    tests = [true, true, true, false]
+    bodyCount = 0
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* (node) {
+      return (node.type === 'Test') ? tests.shift() : `resultFromBody${++bodyCount}`
+    })
+    sandbox.stub(esprimaParser, 'isLoopNeededToBreak')
+  })
+
+  it('should parse body until test fails and return result of last body', () => {
+    const result = runGenerator(esprimaParser.WhileStatementGenerator(whileStatement, {label}))
+
+    expect(bodyCount).to.be.equal(3)
+    expect(
+      esprimaParser.isLoopNeededToBreak
+        .withArgs(label).calledThrice
+    ).to.be.true
+    expect(result).to.be.equal('resultFromBody3')
+  })
+
+  it('should break loop given isLoopNeededToBreak returns true', () => {
+    esprimaParser.isLoopNeededToBreak
+      .onCall(1).returns(true)
+
+    const result = runGenerator(esprimaParser.WhileStatementGenerator(whileStatement, {label}))
+
+    expect(bodyCount).to.be.equal(2)
+    expect(result).to.be.equal('resultFromBody2')
+  })
+
+  it('should call isLoopNeededToBreak with undefined given no options', () => {
+    runGenerator(esprimaParser.WhileStatementGenerator(whileStatement))
+
+    expect(
+      esprimaParser.isLoopNeededToBreak
+        .calledWithExactly(undefined)
+    ).to.be.true
+  })
+})
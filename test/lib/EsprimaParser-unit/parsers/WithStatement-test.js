@@ -0,0 +1,59 @@
+// spec: https://github.com/estree/estree/blob/master/spec.md#withstatement
+
+describe('WithStatement tests', () => {
+  const object = {}
+  let withStatement
+
+  beforeEach(() => {
+    withStatement = createAstNode('WithStatement', {
+      object: createAstNode('Expression'),
+      body: createAstNode('Statement')
+    })
+    sandbox.stub(esprimaParser, 'closureStack', {
+      createObjectClosure: sandbox.spy(),
+      removeLatestClosure: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'parseWithObject')
+      .withArgs(withStatement.object).returns(object)
+    sandbox.stub(esprimaParser, 'parseNode')
+      .returns('resultFromParseNode')
+  })
+
+  it('should call createObjectClosure of closureStack with result from parseWithObject', () => {
+    esprimaParser.WithStatement(withStatement)
+
+    expect(
+      esprimaParser.closureStack.createObjectClosure
+        .calledWithExactly(object)
+    ).to.be.true
+  })
+
+  it('should return result from parseNode called with body in object closure', () => {
+    const result = esprimaParser.WithStatement(withStatement)
+
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(withStatement.body)
+    ).to.be.true
+    expect(
+      esprimaParser.parseNode
+        .calledAfter(esprimaParser.closureStack.createObjectClosure)
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.removeLatestClosure
+        .calledAfter(esprimaParser.parseNode)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseNode')
+  })
+
+  it('should remove object closure given error thrown by body', () => {
+    const error = new Error()
+
+    esprimaParser.parseNode.throws(error)
+
+    expect(() => {
+      esprimaParser.WithStatement(withStatement)
+    }).to.throw(error)
+    expect(esprimaParser.closureStack.removeLatestClosure.calledOnce).to.be.true
+  })
+})
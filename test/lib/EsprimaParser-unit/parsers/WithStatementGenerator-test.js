@@ -0,0 +1,50 @@
+describe('WithStatementGenerator tests', () => {
+  const object = {}
+  let withStatement
+
+  beforeEach(() => {
+    withStatement = createAstNode('WithStatement', {
+      object: createAstNode('Expression'),
+      body: createAstNode('Statement')
+    })
+    sandbox.stub(esprimaParser, 'closureStack', {
+      createObjectClosure: sandbox.spy(),
+      removeLatestClosure: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'parseWithObject')
+      .withArgs(withStatement.object).returns(object)
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+  })
+
+  it('should return result from parseGeneratorNode called with body in object closure of result from parseWithObject', () => {
+    const result = runGenerator(esprimaParser.WithStatementGenerator(withStatement))
+
+    expect(
+      esprimaParser.closureStack.createObjectClosure
+        .calledWithExactly(object)
+    ).to.be.true
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledWithExactly(withStatement.body)
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.removeLatestClosure
+        .calledAfter(esprimaParser.parseGeneratorNode)
+    ).to.be.true
+    expect(result).to.be.equal('parsedStatement')
+  })
+
+  it('should remove object closure given error thrown by body', () => {
+    const error = new Error()
+
+    esprimaParser.parseGeneratorNode.restore()
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* () {
+      throw error
+    })
+
+    expect(() => {
+      runGenerator(esprimaParser.WithStatementGenerator(withStatement))
+    }).to.throw(error)
+    expect(esprimaParser.closureStack.removeLatestClosure.calledOnce).to.be.true
+  })
+})
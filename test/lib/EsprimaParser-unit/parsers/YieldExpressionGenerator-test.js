@@ -0,0 +1,53 @@
+describe('YieldExpressionGenerator tests', () => {
+  let yieldExpression
+
+  beforeEach(() => {
+    yieldExpression = createAstNode('YieldExpression', {
+      argument: createAstNode('Expression'),
+      delegate: false
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* () {
+      return ['value1', 'value2']
+    })
+  })
+
+  it('should yield result from parseGeneratorNode called with argument and return resumed value', () => {
+    const iterator = esprimaParser.YieldExpressionGenerator(yieldExpression)
+
+    expect(iterator.next()).to.be.eql({value: ['value1', 'value2'], done: false})
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledWithExactly(yieldExpression.argument)
+    ).to.be.true
+    expect(iterator.next('resumed')).to.be.eql({value: 'resumed', done: true})
+  })
+
+  it('should delegate to result from parseGeneratorNode given delegate', () => {
+    yieldExpression.delegate = true
+
+    const iterator = esprimaParser.YieldExpressionGenerator(yieldExpression)
+
+    expect(iterator.next()).to.be.eql({value: 'value1', done: false})
+    expect(iterator.next()).to.be.eql({value: 'value2', done: false})
+    expect(iterator.next()).to.be.eql({value: undefined, done: true})
+  })
+
+  it('should delegate to result from delegateAsyncIterator called with result from parseGeneratorNode given delegate in async body', () => {
+    yieldExpression.delegate = true
+    esprimaParser.async = true
+    sandbox.stub(esprimaParser, 'delegateAsyncIterator', function* () {
+      yield 'yieldedByDelegateAsyncIterator'
+
+      return 'resultFromDelegateAsyncIterator'
+    })
+
+    const iterator = esprimaParser.YieldExpressionGenerator(yieldExpression)
+
+    expect(iterator.next()).to.be.eql({value: 'yieldedByDelegateAsyncIterator', done: false})
+    expect(
+      esprimaParser.delegateAsyncIterator
+        .calledWithExactly(['value1', 'value2'])
+    ).to.be.true
+    expect(iterator.next()).to.be.eql({value: 'resultFromDelegateAsyncIterator', done: true})
+  })
+})
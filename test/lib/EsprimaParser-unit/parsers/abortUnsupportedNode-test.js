@@ -0,0 +1,43 @@
+describe('abortUnsupportedNode tests', () => {
+  const loc = {start: {line: 2, column: 10}}
+  let node, EsprimaParser, InterpreterError
+
+  before(() => {
+    EsprimaParser = require(libDir)
+    InterpreterError = require(`${libDir}/structures/InterpreterError`)
+  })
+
+  beforeEach(() => {
+    node = createAstNode('PrivateIdentifier', {loc})
+
+    sandbox.stub(esprimaParser, 'scriptUrl', 'scriptUrl')
+    sandbox.stub(esprimaParser, 'reportUnsupportedNode')
+  })
+
+  it('should call reportUnsupportedNode with node and EsprimaParser.ABORT', () => {
+    try {
+      esprimaParser.abortUnsupportedNode(node)
+    } catch (e) {}
+
+    expect(
+      esprimaParser.reportUnsupportedNode
+        .calledWithExactly(node, EsprimaParser.ABORT)
+    ).to.be.true
+  })
+
+  it('should throw InterpreterError of SyntaxError, node, scriptUrl and loc', () => {
+    let error
+
+    try {
+      esprimaParser.abortUnsupportedNode(node)
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.instanceof(InterpreterError)
+    expect(error.cause).to.be.instanceof(SyntaxError)
+    expect(error.cause.message).to.be.equal('Unsupported syntax PrivateIdentifier')
+    expect(error.node).to.be.equal(node)
+    expect(error.scriptUrl).to.be.equal('scriptUrl')
+    expect(error.loc).to.be.equal(loc)
+  })
+})
@@ -0,0 +1,34 @@
+describe('accessDeeply tests', () => {
+  const receiver = {}
+  const access = () => {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'accessOnHeap')
+      .returns({value: 'value'})
+    sandbox.stub(esprimaParser, 'runCallFrames')
+      .returns('resultFromRunCallFrames')
+  })
+
+  it('should return value from accessOnHeap called with receiver and access', () => {
+    const result = esprimaParser.accessDeeply(receiver, access)
+
+    expect(
+      esprimaParser.accessOnHeap
+        .calledWithExactly(receiver, access)
+    ).to.be.true
+    expect(esprimaParser.runCallFrames.called).to.be.false
+    expect(result).to.be.equal('value')
+  })
+
+  it('should return result from runCallFrames called with request from accessOnHeap', () => {
+    esprimaParser.accessOnHeap.returns({request: 'request'})
+
+    const result = esprimaParser.accessDeeply(receiver, access)
+
+    expect(
+      esprimaParser.runCallFrames
+        .calledWithExactly('request')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromRunCallFrames')
+  })
+})
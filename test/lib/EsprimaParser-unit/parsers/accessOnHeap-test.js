@@ -0,0 +1,38 @@
+describe('accessOnHeap tests', () => {
+  const receiver = {}
+
+  it('should call access with accessReceiver set to receiver and return its result as value', () => {
+    const access = sandbox.spy(() => {
+      expect(esprimaParser.accessReceiver).to.be.equal(receiver)
+
+      return 'resultFromAccess'
+    })
+    const result = esprimaParser.accessOnHeap(receiver, access)
+
+    expect(access.calledOnce).to.be.true
+    expect(result).to.be.eql({value: 'resultFromAccess'})
+    expect(esprimaParser.accessReceiver).to.be.undefined
+  })
+
+  it('should return call request thrown by access as request', () => {
+    const request = new esprimaParser.CallRequest()
+
+    const result = esprimaParser.accessOnHeap(receiver, () => {
+      throw request
+    })
+
+    expect(result.request).to.be.equal(request)
+    expect(esprimaParser.accessReceiver).to.be.undefined
+  })
+
+  it('should rethrow other error thrown by access', () => {
+    const error = new Error()
+
+    expect(() => {
+      esprimaParser.accessOnHeap(receiver, () => {
+        throw error
+      })
+    }).to.throw(error)
+    expect(esprimaParser.accessReceiver).to.be.undefined
+  })
+})
@@ -0,0 +1,29 @@
+describe('assignRefValue tests', () => {
+  const info = {}
+  let exp, assignmentExpression, assignStub
+
+  beforeEach(() => {
+    exp = {caller: {}, callee: 'a'}
+    assignmentExpression = createAstNode('AssignmentExpression')
+    assignStub = sandbox.stub().returns('resultFromAssign')
+
+    sandbox.stub(esprimaParser, 'getExpInfo')
+      .withArgs(assignmentExpression).returns(info)
+    sandbox.stub(esprimaParser, 'assignmentOperators', {
+      '=': assignStub
+    })
+  })
+
+  it('should set exp.info to result from getExpInfo called with assignmentExpression', () => {
+    esprimaParser.assignRefValue(exp, 'value', assignmentExpression)
+
+    expect(exp.info).to.be.equal(info)
+  })
+
+  it('should return result from assign operation called with exp and value', () => {
+    const result = esprimaParser.assignRefValue(exp, 'value', assignmentExpression)
+
+    expect(assignStub.calledWithExactly(exp, 'value')).to.be.true
+    expect(result).to.be.equal('resultFromAssign')
+  })
+})
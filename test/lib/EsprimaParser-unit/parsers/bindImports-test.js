@@ -0,0 +1,51 @@
+describe('bindImports tests', () => {
+  const requestedModule = {}
+  const resolution = {record: {}, bindingName: 'a'}
+  const getter1 = () => {}
+  const getter2 = () => {}
+  let record
+
+  beforeEach(() => {
+    record = {requestedModules: new Map([['./module.js', requestedModule]])}
+
+    sandbox.stub(esprimaParser, 'getModuleEntries')
+      .withArgs(record).returns({
+        imports: [
+          {specifier: './module.js', importName: 'a', localName: 'b'},
+          {specifier: './module.js', importName: '*', localName: 'ns'}
+        ]
+      })
+    sandbox.stub(esprimaParser, 'resolveImport')
+      .withArgs(requestedModule, 'a', './module.js').returns(resolution)
+    sandbox.stub(esprimaParser, 'createBindingGetter', (target) => {
+      return (target === resolution) ? getter1 : getter2
+    })
+    sandbox.stub(esprimaParser.closureStack, 'bind')
+  })
+
+  it('should bind local name to getter of export resolved given named import', () => {
+    esprimaParser.bindImports(record)
+
+    expect(
+      esprimaParser.resolveImport
+        .calledWithExactly(requestedModule, 'a', './module.js')
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.bind
+        .calledWithExactly('b', getter1)
+    ).to.be.true
+  })
+
+  it('should bind local name to getter of namespace of requested module given namespace import', () => {
+    esprimaParser.bindImports(record)
+
+    expect(
+      esprimaParser.createBindingGetter
+        .calledWithExactly({record: requestedModule, bindingName: null})
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.bind
+        .calledWithExactly('ns', getter2)
+    ).to.be.true
+  })
+})
@@ -0,0 +1,32 @@
+describe('bindThisValue tests', () => {
+  const thisValue = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'closureStack', {
+      isInitialized: sandbox.stub().returns(false),
+      initialize: sandbox.spy()
+    })
+  })
+
+  it('should call initialize of closureStack with \'this\' and thisValue', () => {
+    esprimaParser.bindThisValue(thisValue)
+
+    expect(
+      esprimaParser.closureStack.isInitialized
+        .calledWithExactly('this')
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.initialize
+        .calledWithExactly('this', thisValue)
+    ).to.be.true
+  })
+
+  it('should throw ReferenceError given this already initialized', () => {
+    esprimaParser.closureStack.isInitialized.returns(true)
+
+    expect(() => {
+      esprimaParser.bindThisValue(thisValue)
+    }).to.throw(ReferenceError)
+    expect(esprimaParser.closureStack.initialize.called).to.be.false
+  })
+})
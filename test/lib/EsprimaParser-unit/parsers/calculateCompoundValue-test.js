@@ -0,0 +1,17 @@
+describe('calculateCompoundValue tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'binaryOperators', {
+      '**': sandbox.stub().returns('resultFromOperation')
+    })
+  })
+
+  it('should return result from binary operation of compound operator called with origin and value', () => {
+    const result = esprimaParser.calculateCompoundValue('**=', 'origin', 'value')
+
+    expect(
+      esprimaParser.binaryOperators['**']
+        .calledWithExactly('origin', 'value')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromOperation')
+  })
+})
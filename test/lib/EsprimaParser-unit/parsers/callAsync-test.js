@@ -0,0 +1,51 @@
+describe('callAsync tests', () => {
+  const functionAgentData = {}
+  const builtInArguments = {}
+  const calledArguments = ['arg1', 'arg2']
+  const generator = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'createGenerator')
+      .returns(generator)
+    sandbox.stub(esprimaParser, 'resumeAsync', (generator, method, value, {resolve}) => {
+      resolve('resolved')
+    })
+  })
+
+  it('should return a promise', () => {
+    const result = esprimaParser.callAsync(functionAgentData, builtInArguments, calledArguments)
+
+    expect(result).to.be.instanceof(Promise)
+  })
+
+  it('should call resumeAsync synchronously with result from createGenerator, \'next\', undefined and settlers', () => {
+    const result = esprimaParser.callAsync(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.createGenerator
+        .calledWithExactly(functionAgentData, builtInArguments, calledArguments)
+    ).to.be.true
+    expect(
+      esprimaParser.resumeAsync
+        .calledWith(generator, 'next', undefined)
+    ).to.be.true
+
+    return result.then((value) => {
+      expect(value).to.be.equal('resolved')
+    })
+  })
+
+  it('should reject error thrown by createGenerator', () => {
+    const error = new Error()
+
+    esprimaParser.createGenerator.throws(error)
+
+    return esprimaParser.callAsync(functionAgentData, builtInArguments, calledArguments)
+      .then(() => {
+        throw new Error('should not be resolved')
+      }, (e) => {
+        expect(e).to.be.equal(error)
+        expect(esprimaParser.resumeAsync.called).to.be.false
+      })
+  })
+})
@@ -0,0 +1,59 @@
+describe('callMethod tests', () => {
+  const caller = {}
+  const callee = {
+    arguments: ['arg1', 'arg2']
+  }
+  // stub results
+  const resultFromApply = 'resultFromApply'
+  let calledMethodStub
+
+  beforeEach(() => {
+    calledMethodStub = {
+      apply: sandbox.stub().returns(resultFromApply)
+    }
+    sandbox.stub(esprimaParser, 'getCallRequest').returns(null)
+    sandbox.stub(esprimaParser, 'runCallRequest')
+      .returns('resultFromRunCallRequest')
+  })
+
+  it('should return result from code evaluator of called method with arguments, caller and loc of info', () => {
+    const evaluator = sandbox.stub().returns('resultFromEvaluator')
+
+    esprimaParser.codeEvaluators = new Map([[calledMethodStub, evaluator]])
+
+    const result = esprimaParser.callMethod(calledMethodStub, {caller, callee, info: {loc: 'loc'}})
+
+    expect(
+      evaluator
+        .calledWithExactly(callee.arguments, caller, 'loc')
+    ).to.be.true
+    expect(calledMethodStub.apply.called).to.be.false
+    expect(result).to.be.equal('resultFromEvaluator')
+  })
+
+  it('should call apply of called method with caller and callee.arguments then return', () => {
+    const result = esprimaParser.callMethod(calledMethodStub, {caller, callee})
+
+    expect(
+      calledMethodStub.apply
+        .calledWithExactly(caller, callee.arguments)
+    ).to.be.true
+    expect(result).to.be.equal(resultFromApply)
+  })
+
+  it('should return result from runCallRequest called with result from getCallRequest given it is not null', () => {
+    const exp = {caller, callee}
+
+    esprimaParser.getCallRequest
+      .withArgs(calledMethodStub, exp).returns('request')
+
+    const result = esprimaParser.callMethod(calledMethodStub, exp)
+
+    expect(
+      esprimaParser.runCallRequest
+        .calledWithExactly('request')
+    ).to.be.true
+    expect(calledMethodStub.apply.called).to.be.false
+    expect(result).to.be.equal('resultFromRunCallRequest')
+  })
+})
@@ -0,0 +1,32 @@
+describe('canRequestConstruct tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'isConstructible')
+      .returns('resultFromIsConstructible')
+  })
+
+  it('should return result from isConstructible called with functionAgentData given no classAgent', () => {
+    const functionAgentData = {}
+
+    const result = esprimaParser.canRequestConstruct(functionAgentData)
+
+    expect(
+      esprimaParser.isConstructible
+        .calledWithExactly(functionAgentData)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromIsConstructible')
+  })
+
+  it('should return true given classAgent not derived or with constructor body', () => {
+    const classAgent = function () {}
+
+    expect(esprimaParser.canRequestConstruct({classAgent, isDerived: false, body: null})).to.be.true
+    expect(esprimaParser.canRequestConstruct({classAgent, isDerived: true, body: {}})).to.be.true
+    expect(esprimaParser.isConstructible.called).to.be.false
+  })
+
+  it('should return false given classAgent derived without constructor body', () => {
+    const classAgent = function () {}
+
+    expect(esprimaParser.canRequestConstruct({classAgent, isDerived: true, body: null})).to.be.false
+  })
+})
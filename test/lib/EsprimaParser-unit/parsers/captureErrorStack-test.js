@@ -0,0 +1,69 @@
+describe('captureErrorStack tests', () => {
+  const frames = []
+  let error
+
+  beforeEach(() => {
+    error = new Error('message')
+
+    sandbox.stub(esprimaParser, 'errorFrames', new WeakMap())
+    sandbox.stub(esprimaParser, 'callStack', {
+      getFrames: sandbox.stub().returns(frames)
+    })
+    sandbox.stub(esprimaParser, 'getErrorStack')
+      .returns('resultFromGetErrorStack')
+  })
+
+  it('should set frames from callStack.getFrames to errorFrames', () => {
+    esprimaParser.captureErrorStack(error)
+
+    expect(esprimaParser.errorFrames.get(error)).to.be.equal(frames)
+  })
+
+  it('should define writable and configurable stack of error from getErrorStack', () => {
+    esprimaParser.captureErrorStack(error)
+
+    expect(
+      esprimaParser.getErrorStack
+        .calledWithExactly(error, frames)
+    ).to.be.true
+    expect(Object.getOwnPropertyDescriptor(error, 'stack')).to.be.eql({
+      value: 'resultFromGetErrorStack',
+      writable: true,
+      enumerable: false,
+      configurable: true
+    })
+  })
+
+  it('should keep frames captured first given error captured again', () => {
+    const capturedFrames = []
+
+    esprimaParser.errorFrames.set(error, capturedFrames)
+
+    esprimaParser.captureErrorStack(error)
+
+    expect(esprimaParser.errorFrames.get(error)).to.be.equal(capturedFrames)
+    expect(esprimaParser.getErrorStack.called).to.be.false
+  })
+
+  it('should do nothing given InterpreterError', () => {
+    const InterpreterError = esprimaParser.InterpreterError
+    const interpreterError = new InterpreterError(error, {scriptUrl: 'scriptUrl'})
+    const stack = interpreterError.stack
+
+    esprimaParser.captureErrorStack(interpreterError)
+
+    expect(esprimaParser.errorFrames.has(interpreterError)).to.be.false
+    expect(interpreterError.stack).to.be.equal(stack)
+  })
+
+  it('should do nothing given value not an error', () => {
+    const value = {}
+
+    esprimaParser.captureErrorStack(value)
+    esprimaParser.captureErrorStack('string')
+
+    expect(esprimaParser.errorFrames.has(value)).to.be.false
+    expect(value).to.not.have.property('stack')
+    expect(esprimaParser.callStack.getFrames.called).to.be.false
+  })
+})
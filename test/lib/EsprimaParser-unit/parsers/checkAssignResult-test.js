@@ -0,0 +1,25 @@
+describe('checkAssignResult tests', () => {
+  it('should not throw given assignment succeeded', () => {
+    esprimaParser.strict = true
+
+    expect(() => {
+      esprimaParser.checkAssignResult(true, 'a')
+    }).to.not.throw()
+  })
+
+  it('should not throw given assignment failed but not in strict mode', () => {
+    esprimaParser.strict = false
+
+    expect(() => {
+      esprimaParser.checkAssignResult(false, 'a')
+    }).to.not.throw()
+  })
+
+  it('should throw TypeError given assignment failed in strict mode', () => {
+    esprimaParser.strict = true
+
+    expect(() => {
+      esprimaParser.checkAssignResult(false, 'a')
+    }).to.throw(TypeError, 'Cannot assign to read only property \'a\' of object')
+  })
+})
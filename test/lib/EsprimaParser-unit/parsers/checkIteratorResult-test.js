@@ -0,0 +1,13 @@
+describe('checkIteratorResult tests', () => {
+  it('should return step given an object', () => {
+    const step = {value: 'value', done: false}
+
+    expect(esprimaParser.checkIteratorResult(step)).to.be.equal(step)
+  })
+
+  it('should throw TypeError given non-object', () => {
+    expect(() => {
+      esprimaParser.checkIteratorResult(1)
+    }).to.throw(TypeError, 'Iterator result 1 is not an object')
+  })
+})
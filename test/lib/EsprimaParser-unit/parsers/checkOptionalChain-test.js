@@ -0,0 +1,13 @@
+describe('checkOptionalChain tests', () => {
+  it('should throw shortCircuit given value null or undefined', () => {
+    for (const value of [null, undefined]) {
+      expect(() => esprimaParser.checkOptionalChain(value)).to.throw(esprimaParser.shortCircuit)
+    }
+  })
+
+  it('should not throw given other values', () => {
+    for (const value of [0, '', false, {}]) {
+      expect(() => esprimaParser.checkOptionalChain(value)).to.not.throw()
+    }
+  })
+})
@@ -0,0 +1,42 @@
+describe('closeIterator tests', () => {
+  it('should call iterator.return given function', () => {
+    const iterator = {
+      return: sandbox.spy()
+    }
+    esprimaParser.closeIterator(iterator)
+
+    expect(iterator.return.calledOn(iterator)).to.be.true
+  })
+
+  it('should return result from iterator.return', () => {
+    const iterator = {
+      return: () => 'resultFromReturn'
+    }
+    const result = esprimaParser.closeIterator(iterator)
+
+    expect(result).to.be.equal('resultFromReturn')
+  })
+
+  it('should return undefined given no iterator.return', () => {
+    expect(esprimaParser.closeIterator({})).to.be.undefined
+  })
+
+  it('should call iterator.return with fresh flowState and restore after', () => {
+    const flowState = esprimaParser.flowState
+    let isReturnState
+    const iterator = {
+      return: () => {
+        isReturnState = esprimaParser.flowState.isReturnState()
+        throw new Error()
+      }
+    }
+    flowState.setReturn()
+
+    expect(() => {
+      esprimaParser.closeIterator(iterator)
+    }).to.throw(Error)
+    expect(isReturnState).to.be.false
+    expect(esprimaParser.flowState).to.be.equal(flowState)
+    expect(flowState.isReturnState()).to.be.true
+  })
+})
@@ -0,0 +1,40 @@
+describe('collectBlockScopes tests', () => {
+  const scope = {}
+  const references = []
+  const statements = [{type: 'Statement'}]
+  const children = [{type: 'Statement'}, {type: 'Expression'}]
+  let node
+
+  beforeEach(() => {
+    node = createAstNode('BlockStatement')
+
+    sandbox.stub(esprimaParser, 'searchBlockHoistings')
+    sandbox.stub(esprimaParser, 'collectScopes')
+  })
+
+  it('should collect children in scope given no block hoistings of statements', () => {
+    esprimaParser.searchBlockHoistings
+      .withArgs(statements).returns([])
+
+    esprimaParser.collectBlockScopes(node, statements, children, scope, references)
+
+    expect(
+      esprimaParser.collectScopes
+        .calledWithExactly(children, scope, references)
+    ).to.be.true
+  })
+
+  it('should collect children in a block scope of node naming block hoistings', () => {
+    esprimaParser.searchBlockHoistings
+      .withArgs(statements).returns([{variable: 'a', kind: 'let'}, {variable: 'b', kind: 'const'}])
+
+    esprimaParser.collectBlockScopes(node, statements, children, scope, references)
+
+    const [collected, blockScope] = esprimaParser.collectScopes.getCall(0).args
+
+    expect(collected).to.be.equal(children)
+    expect(blockScope.node).to.be.equal(node)
+    expect(blockScope.parent).to.be.equal(scope)
+    expect([...blockScope.names]).to.be.eql(['a', 'b'])
+  })
+})
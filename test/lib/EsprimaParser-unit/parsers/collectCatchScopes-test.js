@@ -0,0 +1,40 @@
+describe('collectCatchScopes tests', () => {
+  const scope = {}
+  const references = []
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'collectScopes')
+  })
+
+  it('should collect param and body in a catch scope naming names of param', () => {
+    const catchClause = createAstNode('CatchClause', {
+      param: createAstNode('ObjectPattern', {
+        properties: [createAstNode('Property', {value: createAstNode('Identifier', {name: 'message'})})]
+      }),
+      body: createAstNode('BlockStatement')
+    })
+
+    esprimaParser.collectCatchScopes(catchClause, scope, references)
+
+    const [nodes, catchScope] = esprimaParser.collectScopes.getCall(0).args
+
+    expect(nodes).to.be.eql([catchClause.param, catchClause.body])
+    expect(catchScope.node).to.be.equal(catchClause)
+    expect(catchScope.parent).to.be.equal(scope)
+    expect([...catchScope.names]).to.be.eql(['message'])
+  })
+
+  it('should collect in a catch scope naming nothing given no param', () => {
+    const catchClause = createAstNode('CatchClause', {
+      param: null,
+      body: createAstNode('BlockStatement')
+    })
+
+    esprimaParser.collectCatchScopes(catchClause, scope, references)
+
+    const catchScope = esprimaParser.collectScopes.getCall(0).args[1]
+
+    expect(catchScope.node).to.be.equal(catchClause)
+    expect(catchScope.names.size).to.be.equal(0)
+  })
+})
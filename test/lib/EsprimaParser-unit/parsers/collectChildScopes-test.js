@@ -0,0 +1,21 @@
+describe('collectChildScopes tests', () => {
+  it('should call collectScopes with each property of node, scope and references', () => {
+    const node = createAstNode('BinaryExpression', {
+      left: createAstNode('Identifier'),
+      right: createAstNode('Literal')
+    })
+    const scope = {}
+    const references = []
+
+    sandbox.stub(esprimaParser, 'collectScopes')
+
+    esprimaParser.collectChildScopes(node, scope, references)
+
+    for (const key of Object.keys(node)) {
+      expect(
+        esprimaParser.collectScopes
+          .calledWithExactly(node[key], scope, references)
+      ).to.be.true
+    }
+  })
+})
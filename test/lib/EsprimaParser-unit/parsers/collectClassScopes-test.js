@@ -0,0 +1,41 @@
+describe('collectClassScopes tests', () => {
+  const scope = {}
+  const references = []
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'collectScopes')
+  })
+
+  it('should collect superClass and body in a class scope naming class', () => {
+    const classNode = createAstNode('ClassDeclaration', {
+      id: createAstNode('Identifier', {name: 'A'}),
+      superClass: createAstNode('Identifier', {name: 'B'}),
+      body: createAstNode('ClassBody')
+    })
+
+    esprimaParser.collectClassScopes(classNode, scope, references)
+
+    const [nodes, classScope] = esprimaParser.collectScopes.getCall(0).args
+
+    expect(nodes).to.be.eql([classNode.superClass, classNode.body])
+    expect(classScope.node).to.be.equal(classNode)
+    expect(classScope.parent).to.be.equal(scope)
+    expect([...classScope.names]).to.be.eql(['A'])
+    expect(esprimaParser.collectScopes.getCall(0).args[2]).to.be.equal(references)
+  })
+
+  it('should collect in a class scope naming nothing given anonymous class', () => {
+    const classNode = createAstNode('ClassExpression', {
+      id: null,
+      superClass: null,
+      body: createAstNode('ClassBody')
+    })
+
+    esprimaParser.collectClassScopes(classNode, scope, references)
+
+    const classScope = esprimaParser.collectScopes.getCall(0).args[1]
+
+    expect(classScope.node).to.be.equal(classNode)
+    expect(classScope.names.size).to.be.equal(0)
+  })
+})
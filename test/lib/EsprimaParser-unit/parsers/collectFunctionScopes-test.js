@@ -0,0 +1,118 @@
+describe('collectFunctionScopes tests', () => {
+  const scope = {names: new Set(), parent: null}
+  let references, collected
+
+  beforeEach(() => {
+    references = []
+    collected = new Map() // node => scope collected in
+
+    sandbox.stub(esprimaParser, 'collectScopes', (node, collectedScope) => {
+      collected.set(node, collectedScope)
+    })
+  })
+
+  it('should collect params in a function scope naming params and arguments', () => {
+    const functionNode = createAstNode('FunctionDeclaration', {
+      id: createAstNode('Identifier', {name: 'f'}),
+      params: [createAstNode('Identifier', {name: 'a'})],
+      body: createAstNode('BlockStatement')
+    })
+
+    esprimaParser.collectFunctionScopes(functionNode, scope, references)
+
+    const functionScope = collected.get(functionNode.params)
+
+    expect(functionScope.node).to.be.equal(functionNode)
+    expect(functionScope.parent).to.be.equal(scope)
+    expect([...functionScope.names]).to.be.eql(['a', 'arguments'])
+    expect(functionScope.isFunction).to.be.true
+  })
+
+  it('should collect body in the function scope as var scope given simple params', () => {
+    const functionNode = createAstNode('FunctionExpression', {
+      id: null,
+      params: [createAstNode('Identifier', {name: 'a'})],
+      body: createAstNode('BlockStatement')
+    })
+
+    esprimaParser.collectFunctionScopes(functionNode, scope, references)
+
+    const functionScope = collected.get(functionNode.body)
+
+    expect(functionScope).to.be.equal(collected.get(functionNode.params))
+    expect(functionScope.isVar).to.be.true
+    expect(functionScope.parent).to.be.equal(scope)
+  })
+
+  it('should collect body in a var scope of its own given non-simple params', () => {
+    const functionNode = createAstNode('FunctionExpression', {
+      id: null,
+      params: [createAstNode('AssignmentPattern', {left: createAstNode('Identifier', {name: 'a'})})],
+      body: createAstNode('BlockStatement')
+    })
+
+    esprimaParser.collectFunctionScopes(functionNode, scope, references)
+
+    const functionScope = collected.get(functionNode.params)
+    const bodyScope = collected.get(functionNode.body)
+
+    expect(bodyScope.node).to.be.equal(functionNode)
+    expect(bodyScope.parent).to.be.equal(functionScope)
+    expect(bodyScope.names.size).to.be.equal(0)
+    expect(bodyScope.isVar).to.be.true
+    expect(functionScope.isVar).to.be.false
+  })
+
+  it('should put a scope of id naming function between scope and function scope given named function expression', () => {
+    const functionNode = createAstNode('FunctionExpression', {
+      id: createAstNode('Identifier', {name: 'f'}),
+      params: [],
+      body: createAstNode('BlockStatement')
+    })
+
+    esprimaParser.collectFunctionScopes(functionNode, scope, references)
+
+    const nameScope = collected.get(functionNode.params).parent
+
+    expect(nameScope.node).to.be.equal(functionNode.id)
+    expect([...nameScope.names]).to.be.eql(['f'])
+    expect(nameScope.parent).to.be.equal(scope)
+  })
+
+  it('should set whether arguments referred to in function scope to argumentsReferences by function', () => {
+    const functionNode = createAstNode('FunctionExpression', {
+      id: null,
+      params: [],
+      body: createAstNode('BlockStatement')
+    })
+    const otherNode = createAstNode('FunctionExpression', {
+      id: null,
+      params: [],
+      body: createAstNode('BlockStatement')
+    })
+    esprimaParser.collectScopes.restore()
+    sandbox.stub(esprimaParser, 'collectScopes', (node, collectedScope) => {
+      if (node === functionNode.body) {
+        collectedScope.isArgumentsReferenced = true
+      }
+    })
+
+    esprimaParser.collectFunctionScopes(functionNode, scope, references)
+    esprimaParser.collectFunctionScopes(otherNode, scope, references)
+
+    expect(esprimaParser.argumentsReferences.get(functionNode)).to.be.true
+    expect(esprimaParser.argumentsReferences.get(otherNode)).to.be.false
+  })
+
+  it('should not name arguments in function scope of arrow function', () => {
+    const functionNode = createAstNode('ArrowFunctionExpression', {
+      id: null,
+      params: [createAstNode('Identifier', {name: 'a'})],
+      body: createAstNode('Identifier', {name: 'a'})
+    })
+
+    esprimaParser.collectFunctionScopes(functionNode, scope, references)
+
+    expect([...collected.get(functionNode.body).names]).to.be.eql(['a'])
+  })
+})
@@ -0,0 +1,315 @@
+describe('collectScopes tests', () => {
+  let scope, references
+
+  beforeEach(() => {
+    scope = {}
+    references = []
+
+    sandbox.spy(esprimaParser, 'collectScopes')
+    sandbox.stub(esprimaParser, 'collectChildScopes')
+    sandbox.stub(esprimaParser, 'collectFunctionScopes')
+    sandbox.stub(esprimaParser, 'collectClassScopes')
+    sandbox.stub(esprimaParser, 'collectBlockScopes')
+    sandbox.stub(esprimaParser, 'collectCatchScopes')
+    sandbox.stub(esprimaParser, 'collectWithScopes')
+    sandbox.stub(esprimaParser, 'getVarScope').returns('varScope')
+    sandbox.stub(esprimaParser, 'declareNames')
+    sandbox.stub(esprimaParser, 'markDynamicScopes')
+    sandbox.stub(esprimaParser, 'markArgumentsReference')
+  })
+
+  it('should collect each node of array', () => {
+    const nodes = [createAstNode('Identifier'), null, createAstNode('Identifier')]
+
+    esprimaParser.collectScopes(nodes, scope, references)
+
+    expect(references).to.be.eql([
+      {identifier: nodes[0], scope},
+      {identifier: nodes[2], scope}
+    ])
+  })
+
+  it('should collect nothing given value not node', () => {
+    for (const value of [null, undefined, 1, {start: {}, end: {}}]) {
+      esprimaParser.collectScopes(value, scope, references)
+    }
+    expect(references).to.be.empty
+    expect(esprimaParser.collectChildScopes.called).to.be.false
+  })
+
+  it('should push identifier with scope to references', () => {
+    const identifier = createAstNode('Identifier')
+
+    esprimaParser.collectScopes(identifier, scope, references)
+
+    expect(references).to.be.eql([{identifier, scope}])
+    expect(esprimaParser.markArgumentsReference.called).to.be.false
+  })
+
+  it('should call markArgumentsReference with scope given identifier arguments', () => {
+    const identifier = createAstNode('Identifier', {name: 'arguments'})
+
+    esprimaParser.collectScopes(identifier, scope, references)
+
+    expect(
+      esprimaParser.markArgumentsReference
+        .calledWithExactly(scope)
+    ).to.be.true
+    expect(references).to.be.eql([{identifier, scope}])
+  })
+
+  it('should declare names of var declaration to var scope and collect its children', () => {
+    const varDeclaration = createAstNode('VariableDeclaration', {
+      kind: 'var',
+      declarations: [createAstNode('VariableDeclarator', {id: createAstNode('Identifier', {name: 'a'})})]
+    })
+    const letDeclaration = createAstNode('VariableDeclaration', {kind: 'let', declarations: []})
+
+    esprimaParser.collectScopes(varDeclaration, scope, references)
+    esprimaParser.collectScopes(letDeclaration, scope, references)
+
+    expect(
+      esprimaParser.getVarScope
+        .calledWithExactly(scope)
+    ).to.be.true
+    expect(esprimaParser.declareNames.calledOnce).to.be.true
+    expect(
+      esprimaParser.declareNames
+        .calledWithExactly('varScope', ['a'])
+    ).to.be.true
+    expect(
+      esprimaParser.collectChildScopes
+        .calledWithExactly(varDeclaration, scope, references)
+    ).to.be.true
+    expect(
+      esprimaParser.collectChildScopes
+        .calledWithExactly(letDeclaration, scope, references)
+    ).to.be.true
+  })
+
+  it('should declare name of function declaration to var scope and collect function scopes', () => {
+    const functionDeclaration = createAstNode('FunctionDeclaration', {
+      id: createAstNode('Identifier', {name: 'f'})
+    })
+    const anonymousDeclaration = createAstNode('FunctionDeclaration', {id: null})
+
+    esprimaParser.collectScopes(functionDeclaration, scope, references)
+    esprimaParser.collectScopes(anonymousDeclaration, scope, references)
+
+    expect(esprimaParser.declareNames.calledOnce).to.be.true
+    expect(
+      esprimaParser.declareNames
+        .calledWithExactly('varScope', ['f'])
+    ).to.be.true
+    expect(
+      esprimaParser.collectFunctionScopes
+        .calledWithExactly(functionDeclaration, scope, references)
+    ).to.be.true
+    expect(
+      esprimaParser.collectFunctionScopes
+        .calledWithExactly(anonymousDeclaration, scope, references)
+    ).to.be.true
+  })
+
+  it('should collect function scopes of function and arrow function expressions', () => {
+    for (const type of ['FunctionExpression', 'ArrowFunctionExpression']) {
+      const node = createAstNode(type)
+
+      esprimaParser.collectScopes(node, scope, references)
+
+      expect(
+        esprimaParser.collectFunctionScopes
+          .calledWithExactly(node, scope, references)
+      ).to.be.true
+    }
+  })
+
+  it('should collect class scopes of class declaration and expression', () => {
+    for (const type of ['ClassDeclaration', 'ClassExpression']) {
+      const node = createAstNode(type)
+
+      esprimaParser.collectScopes(node, scope, references)
+
+      expect(
+        esprimaParser.collectClassScopes
+          .calledWithExactly(node, scope, references)
+      ).to.be.true
+    }
+  })
+
+  it('should collect block scopes of block statement with its body', () => {
+    const node = createAstNode('BlockStatement', {body: [createAstNode('Statement')]})
+
+    esprimaParser.collectScopes(node, scope, references)
+
+    expect(
+      esprimaParser.collectBlockScopes
+        .calledWithExactly(node, node.body, node.body, scope, references)
+    ).to.be.true
+  })
+
+  it('should collect discriminant then block scopes of switch statement with sub statements and cases', () => {
+    const node = createAstNode('SwitchStatement', {
+      discriminant: createAstNode('Identifier'),
+      cases: [createAstNode('SwitchCase', {consequent: [createAstNode('Statement')]})]
+    })
+
+    esprimaParser.collectScopes(node, scope, references)
+
+    expect(references).to.be.eql([{identifier: node.discriminant, scope}])
+    expect(
+      esprimaParser.collectBlockScopes
+        .calledWithExactly(node, node.cases[0].consequent, node.cases, scope, references)
+    ).to.be.true
+  })
+
+  it('should collect block scopes of for statement with init and all its parts', () => {
+    const node = createAstNode('ForStatement', {
+      init: createAstNode('VariableDeclaration'),
+      test: createAstNode('Expression'),
+      update: createAstNode('Expression'),
+      body: createAstNode('Statement')
+    })
+
+    esprimaParser.collectScopes(node, scope, references)
+
+    expect(
+      esprimaParser.collectBlockScopes
+        .calledWithExactly(node, [node.init], [node.init, node.test, node.update, node.body], scope, references)
+    ).to.be.true
+  })
+
+  it('should collect right then block scopes of for-in / for-of statement with left and body', () => {
+    for (const type of ['ForInStatement', 'ForOfStatement']) {
+      const node = createAstNode(type, {
+        left: createAstNode('VariableDeclaration'),
+        right: createAstNode('Identifier'),
+        body: createAstNode('Statement')
+      })
+
+      esprimaParser.collectScopes(node, scope, references)
+
+      expect(references.pop()).to.be.eql({identifier: node.right, scope})
+      expect(
+        esprimaParser.collectBlockScopes
+          .calledWithExactly(node, [node.left], [node.left, node.body], scope, references)
+      ).to.be.true
+    }
+  })
+
+  it('should collect catch scopes of catch clause and with scopes of with statement', () => {
+    const catchClause = createAstNode('CatchClause')
+    const withStatement = createAstNode('WithStatement')
+
+    esprimaParser.collectScopes(catchClause, scope, references)
+    esprimaParser.collectScopes(withStatement, scope, references)
+
+    expect(
+      esprimaParser.collectCatchScopes
+        .calledWithExactly(catchClause, scope, references)
+    ).to.be.true
+    expect(
+      esprimaParser.collectWithScopes
+        .calledWithExactly(withStatement, scope, references)
+    ).to.be.true
+  })
+
+  it('should mark scopes dynamic given direct eval called and collect children of call', () => {
+    const evalCall = createAstNode('CallExpression', {
+      callee: createAstNode('Identifier', {name: 'eval'})
+    })
+    const otherCall = createAstNode('CallExpression', {
+      callee: createAstNode('Identifier', {name: 'f'})
+    })
+    const memberCall = createAstNode('CallExpression', {
+      callee: createAstNode('MemberExpression')
+    })
+
+    esprimaParser.collectScopes(evalCall, scope, references)
+    esprimaParser.collectScopes(otherCall, scope, references)
+    esprimaParser.collectScopes(memberCall, scope, references)
+
+    expect(esprimaParser.markDynamicScopes.calledOnce).to.be.true
+    expect(
+      esprimaParser.markDynamicScopes
+        .calledWithExactly(scope)
+    ).to.be.true
+    expect(esprimaParser.markArgumentsReference.calledOnce).to.be.true
+    expect(
+      esprimaParser.markArgumentsReference
+        .calledWithExactly(scope)
+    ).to.be.true
+    expect(esprimaParser.collectChildScopes.calledThrice).to.be.true
+  })
+
+  it('should declare local names of import declaration to scope', () => {
+    const node = createAstNode('ImportDeclaration', {
+      specifiers: [
+        createAstNode('ImportSpecifier', {local: createAstNode('Identifier', {name: 'a'})}),
+        createAstNode('ImportNamespaceSpecifier', {local: createAstNode('Identifier', {name: 'ns'})})
+      ]
+    })
+
+    esprimaParser.collectScopes(node, scope, references)
+
+    expect(
+      esprimaParser.declareNames
+        .calledWithExactly(scope, ['a', 'ns'])
+    ).to.be.true
+    expect(references).to.be.empty
+  })
+
+  it('should collect property of member expression only given computed', () => {
+    const object = createAstNode('Identifier', {name: 'object'})
+    const property = createAstNode('Identifier', {name: 'property'})
+
+    esprimaParser.collectScopes(createAstNode('MemberExpression', {object, property, computed: false}), scope, references)
+    esprimaParser.collectScopes(createAstNode('MemberExpression', {object, property, computed: true}), scope, references)
+
+    expect(references).to.be.eql([
+      {identifier: object, scope},
+      {identifier: object, scope},
+      {identifier: property, scope}
+    ])
+  })
+
+  it('should collect key of property and method definition only given computed', () => {
+    for (const type of ['Property', 'MethodDefinition']) {
+      const key = createAstNode('Identifier', {name: 'key'})
+      const value = createAstNode('Identifier', {name: 'value'})
+
+      references = []
+      esprimaParser.collectScopes(createAstNode(type, {key, value, computed: false}), scope, references)
+      esprimaParser.collectScopes(createAstNode(type, {key, value, computed: true}), scope, references)
+
+      expect(references).to.be.eql([
+        {identifier: value, scope},
+        {identifier: key, scope},
+        {identifier: value, scope}
+      ])
+    }
+  })
+
+  it('should collect neither labels nor meta properties', () => {
+    const label = createAstNode('Identifier', {name: 'label'})
+    const body = createAstNode('Identifier', {name: 'body'})
+
+    esprimaParser.collectScopes(createAstNode('LabeledStatement', {label, body}), scope, references)
+    esprimaParser.collectScopes(createAstNode('BreakStatement', {label}), scope, references)
+    esprimaParser.collectScopes(createAstNode('ContinueStatement', {label}), scope, references)
+    esprimaParser.collectScopes(createAstNode('MetaProperty', {meta: label, property: label}), scope, references)
+
+    expect(references).to.be.eql([{identifier: body, scope}])
+  })
+
+  it('should collect children of other nodes', () => {
+    const node = createAstNode('BinaryExpression')
+
+    esprimaParser.collectScopes(node, scope, references)
+
+    expect(
+      esprimaParser.collectChildScopes
+        .calledWithExactly(node, scope, references)
+    ).to.be.true
+  })
+})
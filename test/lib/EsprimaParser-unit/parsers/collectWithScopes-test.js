@@ -0,0 +1,34 @@
+describe('collectWithScopes tests', () => {
+  const scope = {}
+  const references = []
+  let withStatement
+
+  beforeEach(() => {
+    withStatement = createAstNode('WithStatement', {
+      object: createAstNode('Identifier'),
+      body: createAstNode('BlockStatement')
+    })
+    sandbox.stub(esprimaParser, 'collectScopes')
+  })
+
+  it('should collect object in scope', () => {
+    esprimaParser.collectWithScopes(withStatement, scope, references)
+
+    expect(
+      esprimaParser.collectScopes
+        .calledWithExactly(withStatement.object, scope, references)
+    ).to.be.true
+  })
+
+  it('should collect body in a dynamic scope of withStatement', () => {
+    esprimaParser.collectWithScopes(withStatement, scope, references)
+
+    const [body, withScope] = esprimaParser.collectScopes.getCall(1).args
+
+    expect(body).to.be.equal(withStatement.body)
+    expect(withScope.node).to.be.equal(withStatement)
+    expect(withScope.parent).to.be.equal(scope)
+    expect(withScope.names.size).to.be.equal(0)
+    expect(withScope.isDynamic).to.be.true
+  })
+})
@@ -0,0 +1,68 @@
+describe('consumeBudget tests', () => {
+  const loc = {start: {line: 2, column: 10}}
+  let node, InterpreterError
+
+  before(() => {
+    InterpreterError = require(`${libDir}/structures/InterpreterError`)
+  })
+
+  beforeEach(() => {
+    node = createAstNode('Statement', {loc})
+
+    sandbox.stub(esprimaParser, 'scriptUrl', 'scriptUrl')
+    sandbox.stub(esprimaParser, 'executionBudget', {
+      consume: sandbox.stub().returns(true),
+      getUsage: sandbox.stub().returns('usage')
+    })
+    sandbox.stub(esprimaParser, 'reportBudgetExceeded')
+  })
+
+  it('should do nothing given budget enough', () => {
+    expect(() => {
+      esprimaParser.consumeBudget(node)
+    }).to.not.throw()
+    expect(esprimaParser.executionBudget.consume.calledOnce).to.be.true
+    expect(esprimaParser.budgetError).to.be.null
+  })
+
+  it('should throw InterpreterError of RangeError, node, scriptUrl and loc given budget exceeded', () => {
+    esprimaParser.executionBudget.consume.returns(false)
+
+    expect(() => {
+      esprimaParser.consumeBudget(node)
+    }).to.throw(InterpreterError, 'Execution budget exceeded, usage at scriptUrl:2:11')
+
+    const error = esprimaParser.budgetError
+
+    expect(error.cause).to.be.instanceof(RangeError)
+    expect(error.node).to.be.equal(node)
+    expect(error.scriptUrl).to.be.equal('scriptUrl')
+    expect(error.loc).to.be.equal(loc)
+  })
+
+  it('should call reportBudgetExceeded with error given budget exceeded', () => {
+    esprimaParser.executionBudget.consume.returns(false)
+
+    try {
+      esprimaParser.consumeBudget(node)
+    } catch (e) {
+      expect(
+        esprimaParser.reportBudgetExceeded
+          .calledWithExactly(e)
+      ).to.be.true
+    }
+    expect(esprimaParser.reportBudgetExceeded.calledOnce).to.be.true
+  })
+
+  it('should throw budgetError again without consuming or reporting given budget exceeded before', () => {
+    const budgetError = new Error()
+
+    esprimaParser.budgetError = budgetError
+
+    expect(() => {
+      esprimaParser.consumeBudget(node)
+    }).to.throw(budgetError)
+    expect(esprimaParser.executionBudget.consume.called).to.be.false
+    expect(esprimaParser.reportBudgetExceeded.called).to.be.false
+  })
+})
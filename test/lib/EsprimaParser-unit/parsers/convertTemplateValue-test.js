@@ -0,0 +1,21 @@
+describe('convertTemplateValue tests', () => {
+  it('should return value converted to string', () => {
+    expect(esprimaParser.convertTemplateValue(1)).to.be.equal('1')
+    expect(esprimaParser.convertTemplateValue(null)).to.be.equal('null')
+    expect(esprimaParser.convertTemplateValue(undefined)).to.be.equal('undefined')
+  })
+
+  it('should convert object by toString before valueOf', () => {
+    const value = {
+      toString: () => 'toString',
+      valueOf: () => 'valueOf'
+    }
+    expect(esprimaParser.convertTemplateValue(value)).to.be.equal('toString')
+  })
+
+  it('should throw TypeError given symbol', () => {
+    expect(() => {
+      esprimaParser.convertTemplateValue(Symbol('a'))
+    }).to.throw(TypeError, 'Cannot convert a Symbol value to a string')
+  })
+})
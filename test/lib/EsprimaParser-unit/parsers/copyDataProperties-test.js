@@ -0,0 +1,62 @@
+describe('copyDataProperties tests', () => {
+  it('should copy own enumerable properties except excluded keys to target', () => {
+    const symbol = Symbol('symbol')
+    const value = Object.create({inherited: 1})
+    const target = {}
+
+    value.a = 1
+    value.b = 2
+    value[symbol] = 3
+    Object.defineProperty(value, 'hidden', {value: 4})
+
+    esprimaParser.copyDataProperties(target, value, ['a'])
+
+    expect(target).to.be.eql({b: 2})
+    expect(target[symbol]).to.be.equal(3)
+  })
+
+  it('should return target', () => {
+    const target = {}
+
+    expect(esprimaParser.copyDataProperties(target, {a: 1})).to.be.equal(target)
+  })
+
+  it('should copy own properties of wrapped primitive', () => {
+    const result = esprimaParser.copyDataProperties({}, 'ab', ['0'])
+
+    expect(result).to.be.eql({1: 'b'})
+  })
+
+  it('should copy all own enumerable properties given no excluded keys', () => {
+    const result = esprimaParser.copyDataProperties({}, {a: 1, b: 2})
+
+    expect(result).to.be.eql({a: 1, b: 2})
+  })
+
+  it('should copy nothing given undefined or null', () => {
+    expect(esprimaParser.copyDataProperties({}, undefined)).to.be.eql({})
+    expect(esprimaParser.copyDataProperties({}, null)).to.be.eql({})
+  })
+
+  it('should define own __proto__ property rather than setting prototype', () => {
+    const result = esprimaParser.copyDataProperties({}, JSON.parse('{"__proto__": 1}'))
+
+    expect(Object.getPrototypeOf(result)).to.be.equal(Object.prototype)
+    expect(Object.getOwnPropertyDescriptor(result, '__proto__')).to.be.eql({
+      value: 1,
+      writable: true,
+      enumerable: true,
+      configurable: true
+    })
+  })
+
+  it('should define properties without triggering setters on target', () => {
+    const setter = sandbox.spy()
+    const target = Object.create({set a(value) { setter(value) }})
+
+    esprimaParser.copyDataProperties(target, {a: 1})
+
+    expect(setter.called).to.be.false
+    expect(target.hasOwnProperty('a')).to.be.true
+  })
+})
@@ -0,0 +1,126 @@
+describe('createAgent tests', () => {
+  const functionAgent = function () {}
+  let functionAgentData
+
+  beforeEach(() => {
+    functionAgentData = {
+      params: ['param1', 'param2', 'param3']
+    }
+    sandbox.stub(esprimaParser, 'wrapWithFunction').returns(functionAgent)
+    sandbox.stub(esprimaParser, 'setFunctionLength')
+    sandbox.stub(esprimaParser, 'setFunctionName')
+    sandbox.stub(esprimaParser, 'setGeneratorPrototype')
+    sandbox.stub(esprimaParser, 'isHeapCallable').returns(false)
+  })
+
+  it('should call wrapWithFunction with functionAgentData', () => {
+    esprimaParser.createAgent(functionAgentData)
+
+    expect(
+      esprimaParser.wrapWithFunction
+        .calledWithExactly(functionAgentData)
+    ).to.be.true
+  })
+
+  it('should call setFunctionLength with result from wrapWithFunction and params in functionAgentData', () => {
+    esprimaParser.createAgent(functionAgentData)
+
+    expect(
+      esprimaParser.setFunctionLength
+        .calledWithExactly(functionAgent, functionAgentData.params)
+    ).to.be.true
+  })
+
+  it('should call setFunctionName with result from wrapWithFunction and name', () => {
+    esprimaParser.createAgent(functionAgentData, 'name')
+
+    expect(
+      esprimaParser.setFunctionName
+        .calledWithExactly(functionAgent, 'name')
+    ).to.be.true
+  })
+
+  it('should call setFunctionName with empty name given no name', () => {
+    esprimaParser.createAgent(functionAgentData)
+
+    expect(
+      esprimaParser.setFunctionName
+        .calledWithExactly(functionAgent, '')
+    ).to.be.true
+  })
+
+  it('should set name to functionAgentData for call frames', () => {
+    esprimaParser.createAgent(functionAgentData, 'name')
+
+    expect(functionAgentData.name).to.be.equal('name')
+  })
+
+  it('should return result from wrapWithFunction', () => {
+    const result = esprimaParser.createAgent(functionAgentData)
+
+    expect(result).to.be.equal(functionAgent)
+  })
+
+  it('should not call setGeneratorPrototype given not generator', () => {
+    esprimaParser.createAgent(functionAgentData)
+
+    expect(esprimaParser.setGeneratorPrototype.called).to.be.false
+  })
+
+  it('should call setGeneratorPrototype with functionAgentData and result from wrapWithFunction given generator', () => {
+    functionAgentData.isGenerator = true
+
+    esprimaParser.createAgent(functionAgentData)
+
+    expect(
+      esprimaParser.setGeneratorPrototype
+        .calledWithExactly(functionAgentData, functionAgent)
+    ).to.be.true
+  })
+
+  it('should set result from wrapWithFunction to inherit asyncFunctionPrototype given async function', () => {
+    const asyncAgent = function () {}
+
+    esprimaParser.wrapWithFunction.returns(asyncAgent)
+    functionAgentData.isAsync = true
+
+    esprimaParser.createAgent(functionAgentData)
+
+    expect(Object.getPrototypeOf(asyncAgent)).to.be.equal(esprimaParser.asyncFunctionPrototype)
+    expect(esprimaParser.setGeneratorPrototype.called).to.be.false
+  })
+
+  it('should call setGeneratorPrototype only given async generator function', () => {
+    const asyncGeneratorAgent = function () {}
+
+    esprimaParser.wrapWithFunction.returns(asyncGeneratorAgent)
+    functionAgentData.isAsync = true
+    functionAgentData.isGenerator = true
+
+    esprimaParser.createAgent(functionAgentData)
+
+    expect(
+      esprimaParser.setGeneratorPrototype
+        .calledWithExactly(functionAgentData, asyncGeneratorAgent)
+    ).to.be.true
+    expect(Object.getPrototypeOf(asyncGeneratorAgent)).to.be.equal(Function.prototype)
+  })
+
+  it('should map result from wrapWithFunction to functionAgentData in functionAgents given isHeapCallable returns true', () => {
+    esprimaParser.isHeapCallable.returns(true)
+
+    esprimaParser.createAgent(functionAgentData)
+
+    expect(
+      esprimaParser.isHeapCallable
+        .calledWithExactly(functionAgentData)
+    ).to.be.true
+    expect(esprimaParser.functionAgents.get(functionAgent)).to.be.equal(functionAgentData)
+  })
+
+  it('should not map result from wrapWithFunction in functionAgents given isHeapCallable returns false', () => {
+    esprimaParser.createAgent(functionAgentData)
+
+    expect(esprimaParser.functionAgents.has(functionAgent)).to.be.false
+  })
+})
@@ -0,0 +1,34 @@
+describe('createApplyRequest tests', () => {
+  const calledMethod = function () {}
+  const thisArg = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'createListFromArrayLike')
+      .returns('resultFromCreateListFromArrayLike')
+    sandbox.stub(esprimaParser, 'createFunctionCallRequest')
+      .returns('resultFromCreateFunctionCallRequest')
+  })
+
+  it('should return null given arguments list is not object', () => {
+    for (const argumentsList of [null, undefined, 1, 'args']) {
+      expect(esprimaParser.createApplyRequest(calledMethod, thisArg, argumentsList)).to.be.null
+    }
+    expect(esprimaParser.createFunctionCallRequest.called).to.be.false
+  })
+
+  it('should return result from createFunctionCallRequest called with called method, this and list from arguments list', () => {
+    const argumentsList = {length: 0}
+
+    const result = esprimaParser.createApplyRequest(calledMethod, thisArg, argumentsList)
+
+    expect(
+      esprimaParser.createListFromArrayLike
+        .calledWithExactly(argumentsList)
+    ).to.be.true
+    expect(
+      esprimaParser.createFunctionCallRequest
+        .calledWithExactly(calledMethod, thisArg, 'resultFromCreateListFromArrayLike')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateFunctionCallRequest')
+  })
+})
@@ -0,0 +1,8 @@
+describe('createArgumentsObject tests', () => {
+  it('should return arguments object of given arguments', () => {
+    const result = esprimaParser.createArgumentsObject(['arg1', 'arg2'])
+
+    expect(Object.prototype.toString.call(result)).to.be.equal('[object Arguments]')
+    expect(Array.from(result)).to.be.eql(['arg1', 'arg2'])
+  })
+})
@@ -0,0 +1,47 @@
+describe('createAsyncFromSyncIterator tests', () => {
+  const iterator = {}
+
+  it('should return an object whose next resolves result from stepIterator with value awaited', () => {
+    sandbox.stub(esprimaParser, 'stepIterator')
+      .returns({value: Promise.resolve('value'), done: false})
+
+    const asyncIterator = esprimaParser.createAsyncFromSyncIterator(iterator)
+
+    return asyncIterator.next().then((step) => {
+      expect(
+        esprimaParser.stepIterator
+          .calledWithExactly(iterator)
+      ).to.be.true
+      expect(step).to.be.eql({value: 'value', done: false})
+    })
+  })
+
+  it('should return an object whose next rejects error thrown by stepIterator', () => {
+    const error = new Error()
+
+    sandbox.stub(esprimaParser, 'stepIterator').throws(error)
+
+    const asyncIterator = esprimaParser.createAsyncFromSyncIterator(iterator)
+
+    return asyncIterator.next().then(() => {
+      throw new Error('should not be resolved')
+    }, (e) => {
+      expect(e).to.be.equal(error)
+    })
+  })
+
+  it('should return an object whose return resolves result from closeIterator', () => {
+    sandbox.stub(esprimaParser, 'closeIterator')
+      .returns('resultFromCloseIterator')
+
+    const asyncIterator = esprimaParser.createAsyncFromSyncIterator(iterator)
+
+    return asyncIterator.return().then((result) => {
+      expect(
+        esprimaParser.closeIterator
+          .calledWithExactly(iterator)
+      ).to.be.true
+      expect(result).to.be.equal('resultFromCloseIterator')
+    })
+  })
+})
@@ -0,0 +1,10 @@
+describe('createAwaitRequest tests', () => {
+  it('should return AwaitRequest of value', () => {
+    const value = {}
+
+    const result = esprimaParser.createAwaitRequest(value)
+
+    expect(result).to.be.instanceof(esprimaParser.AwaitRequest)
+    expect(result.value).to.be.equal(value)
+  })
+})
@@ -0,0 +1,31 @@
+describe('createBindingGetter tests', () => {
+  let record
+
+  beforeEach(() => {
+    record = {
+      environment: {
+        closureStack: {get: sandbox.stub()}
+      }
+    }
+  })
+
+  it('should return a getter reading binding from closureStack of record each time', () => {
+    const getter = esprimaParser.createBindingGetter({record, bindingName: 'a'})
+
+    record.environment.closureStack.get.withArgs('a').returns(1)
+    expect(getter()).to.be.equal(1)
+
+    record.environment.closureStack.get.withArgs('a').returns(2)
+    expect(getter()).to.be.equal(2)
+  })
+
+  it('should return a getter of result from getModuleNamespace given bindingName null', () => {
+    sandbox.stub(esprimaParser, 'getModuleNamespace')
+      .withArgs(record).returns('resultFromGetModuleNamespace')
+
+    const getter = esprimaParser.createBindingGetter({record, bindingName: null})
+
+    expect(esprimaParser.getModuleNamespace.called).to.be.false
+    expect(getter()).to.be.equal('resultFromGetModuleNamespace')
+  })
+})
@@ -0,0 +1,14 @@
+describe('createCallRequest tests', () => {
+  it('should return CallRequest of functionAgentData, builtInArguments and calledArguments', () => {
+    const functionAgentData = {}
+    const builtInArguments = {}
+    const calledArguments = []
+
+    const result = esprimaParser.createCallRequest(functionAgentData, builtInArguments, calledArguments)
+
+    expect(result).to.be.instanceof(esprimaParser.CallRequest)
+    expect(result.functionAgentData).to.be.equal(functionAgentData)
+    expect(result.builtInArguments).to.be.equal(builtInArguments)
+    expect(result.calledArguments).to.be.equal(calledArguments)
+  })
+})
@@ -0,0 +1,69 @@
+describe('createClassAgent tests', () => {
+  const classAgent = function () {}
+  let classNode
+
+  beforeEach(() => {
+    classNode = createAstNode('ClassDeclaration|ClassExpression')
+
+    sandbox.stub(esprimaParser, 'closureStack', {
+      createBlockClosure: sandbox.spy(),
+      removeLatestClosure: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'parseClass').returns(classAgent)
+  })
+
+  it('should call parseClass with classNode and name in a block closure created by classNode', () => {
+    esprimaParser.createClassAgent(classNode, 'name')
+
+    expect(
+      esprimaParser.closureStack.createBlockClosure
+        .calledWithExactly(classNode)
+    ).to.be.true
+    expect(
+      esprimaParser.parseClass
+        .calledWithExactly(classNode, 'name')
+    ).to.be.true
+    expect(
+      esprimaParser.parseClass
+        .calledAfter(esprimaParser.closureStack.createBlockClosure)
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.removeLatestClosure
+        .calledAfter(esprimaParser.parseClass)
+    ).to.be.true
+  })
+
+  it('should return result from parseClass', () => {
+    const result = esprimaParser.createClassAgent(classNode)
+
+    expect(result).to.be.equal(classAgent)
+  })
+
+  it('should call parseClass in strict mode and restore strict after', () => {
+    let strict
+
+    esprimaParser.strict = false
+    esprimaParser.parseClass.restore()
+    sandbox.stub(esprimaParser, 'parseClass', () => {
+      strict = esprimaParser.strict
+      return classAgent
+    })
+
+    esprimaParser.createClassAgent(classNode)
+
+    expect(strict).to.be.true
+    expect(esprimaParser.strict).to.be.false
+  })
+
+  it('should remove block closure given parseClass throws error', () => {
+    const error = new Error()
+
+    esprimaParser.parseClass.throws(error)
+
+    expect(() => {
+      esprimaParser.createClassAgent(classNode)
+    }).to.throw(error)
+    expect(esprimaParser.closureStack.removeLatestClosure.calledOnce).to.be.true
+    expect(esprimaParser.strict).to.be.false
+  })
+})
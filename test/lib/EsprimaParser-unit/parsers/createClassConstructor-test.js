@@ -0,0 +1,115 @@
+describe('createClassConstructor tests', () => {
+  const parents = {
+    constructorParent: function () {},
+    prototypeParent: {}
+  }
+  let classNode, classAgentData, classAgent
+
+  beforeEach(() => {
+    classNode = createAstNode('ClassDeclaration|ClassExpression', {
+      superClass: createAstNode('Expression')
+    })
+    classAgentData = {
+      params: ['param1', 'param2']
+    }
+    classAgent = function () {}
+
+    sandbox.stub(esprimaParser, 'parseClassConstructor').returns(classAgentData)
+    sandbox.stub(esprimaParser, 'wrapWithClass').returns(classAgent)
+    sandbox.stub(esprimaParser, 'setFunctionSourceText')
+  })
+
+  it('should call parseClassConstructor with classNode', () => {
+    esprimaParser.createClassConstructor(classNode, parents, 'name')
+
+    expect(
+      esprimaParser.parseClassConstructor
+        .calledWithExactly(classNode)
+    ).to.be.true
+  })
+
+  it('should call wrapWithClass with result from parseClassConstructor and return', () => {
+    const result = esprimaParser.createClassConstructor(classNode, parents, 'name')
+
+    expect(
+      esprimaParser.wrapWithClass
+        .calledWithExactly(classAgentData)
+    ).to.be.true
+    expect(result).to.be.equal(classAgent)
+  })
+
+  it('should set classAgent, name, homeObject and isDerived to classAgentData', () => {
+    esprimaParser.createClassConstructor(classNode, parents, 'name')
+
+    expect(classAgentData.classAgent).to.be.equal(classAgent)
+    expect(classAgentData.name).to.be.equal('name')
+    expect(classAgentData.homeObject).to.be.equal(classAgent.prototype)
+    expect(classAgentData.isDerived).to.be.true
+  })
+
+  it('should set classAgentData of classAgent to functionAgents', () => {
+    esprimaParser.createClassConstructor(classNode, parents, 'name')
+
+    expect(esprimaParser.functionAgents.get(classAgent)).to.be.equal(classAgentData)
+  })
+
+  it('should set isDerived to false given no superClass', () => {
+    classNode.superClass = null
+
+    esprimaParser.createClassConstructor(classNode, parents, 'name')
+
+    expect(classAgentData.isDerived).to.be.false
+  })
+
+  it('should call setFunctionLength with classAgent and params in classAgentData', () => {
+    sandbox.stub(esprimaParser, 'setFunctionLength')
+
+    esprimaParser.createClassConstructor(classNode, parents, 'name')
+
+    expect(
+      esprimaParser.setFunctionLength
+        .calledWithExactly(classAgent, classAgentData.params)
+    ).to.be.true
+  })
+
+  it('should call setFunctionName with classAgent and name', () => {
+    sandbox.stub(esprimaParser, 'setFunctionName')
+
+    esprimaParser.createClassConstructor(classNode, parents, 'name')
+
+    expect(
+      esprimaParser.setFunctionName
+        .calledWithExactly(classAgent, 'name')
+    ).to.be.true
+  })
+
+  it('should call setFunctionSourceText with classAgent and classNode', () => {
+    esprimaParser.createClassConstructor(classNode, parents, 'name')
+
+    expect(
+      esprimaParser.setFunctionSourceText
+        .calledWithExactly(classAgent, classNode)
+    ).to.be.true
+  })
+
+  it('should set non-writable prototype inheriting prototypeParent', () => {
+    const result = esprimaParser.createClassConstructor(classNode, parents, 'name')
+    const descriptor = Object.getOwnPropertyDescriptor(result, 'prototype')
+
+    expect(descriptor.writable).to.be.false
+    expect(Object.getPrototypeOf(result.prototype)).to.be.equal(parents.prototypeParent)
+  })
+
+  it('should set non-enumerable constructor of prototype to classAgent', () => {
+    const result = esprimaParser.createClassConstructor(classNode, parents, 'name')
+
+    expect(result.prototype.constructor).to.be.equal(result)
+    expect(Object.keys(result.prototype)).to.be.eql([])
+  })
+
+  it('should set prototype of classAgent to constructorParent', () => {
+    const result = esprimaParser.createClassConstructor(classNode, parents, 'name')
+
+    expect(Object.getPrototypeOf(result)).to.be.equal(parents.constructorParent)
+  })
+})
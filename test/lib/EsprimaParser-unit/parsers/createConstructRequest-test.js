@@ -0,0 +1,85 @@
+describe('createConstructRequest tests', () => {
+  const argumentsList = ['arg1', 'arg2']
+  const calledArguments = ['arg1', 'arg2']
+  const prototype = {}
+  let CalledConstructor, functionAgentData
+
+  beforeEach(() => {
+    CalledConstructor = function () {}
+    functionAgentData = {}
+    esprimaParser.functionAgents.set(CalledConstructor, functionAgentData)
+
+    sandbox.stub(esprimaParser, 'canRequestConstruct').returns(true)
+    sandbox.stub(esprimaParser, 'isConstructor').returns(true)
+    sandbox.stub(esprimaParser, 'createListFromArrayLike')
+      .returns(calledArguments)
+    sandbox.stub(esprimaParser, 'getPrototypeFromConstructor')
+      .returns(prototype)
+    sandbox.stub(esprimaParser, 'getArgumentsObject')
+      .returns('resultFromGetArgumentsObject')
+    sandbox.stub(esprimaParser, 'createCallRequest')
+      .returns('resultFromCreateCallRequest')
+  })
+
+  it('should return null given constructor not in functionAgents', () => {
+    expect(esprimaParser.createConstructRequest(function () {}, argumentsList, CalledConstructor)).to.be.null
+    expect(esprimaParser.createConstructRequest(undefined, argumentsList, CalledConstructor)).to.be.null
+    expect(esprimaParser.createCallRequest.called).to.be.false
+  })
+
+  it('should return null given canRequestConstruct returns false', () => {
+    esprimaParser.canRequestConstruct
+      .withArgs(functionAgentData).returns(false)
+
+    expect(esprimaParser.createConstructRequest(CalledConstructor, argumentsList, CalledConstructor)).to.be.null
+    expect(esprimaParser.createCallRequest.called).to.be.false
+  })
+
+  it('should return null given arguments list is not object', () => {
+    expect(esprimaParser.createConstructRequest(CalledConstructor, null, CalledConstructor)).to.be.null
+    expect(esprimaParser.createCallRequest.called).to.be.false
+  })
+
+  it('should return null given newTarget is not constructor', () => {
+    esprimaParser.isConstructor
+      .withArgs('newTarget').returns(false)
+
+    expect(esprimaParser.createConstructRequest(CalledConstructor, argumentsList, 'newTarget')).to.be.null
+    expect(esprimaParser.createCallRequest.called).to.be.false
+  })
+
+  it('should return result from createCallRequest called with functionAgentData, this created from prototype of newTarget, arguments object, newTarget and arguments', () => {
+    const newTarget = function () {}
+
+    const result = esprimaParser.createConstructRequest(CalledConstructor, argumentsList, newTarget)
+    const [data, builtInArguments, args] = esprimaParser.createCallRequest.firstCall.args
+
+    expect(
+      esprimaParser.createListFromArrayLike
+        .calledWithExactly(argumentsList)
+    ).to.be.true
+    expect(
+      esprimaParser.getPrototypeFromConstructor
+        .calledWithExactly(newTarget)
+    ).to.be.true
+    expect(
+      esprimaParser.getArgumentsObject
+        .calledWithExactly(functionAgentData, calledArguments)
+    ).to.be.true
+    expect(data).to.be.equal(functionAgentData)
+    expect(Object.getPrototypeOf(builtInArguments.this)).to.be.equal(prototype)
+    expect(builtInArguments.arguments).to.be.equal('resultFromGetArgumentsObject')
+    expect(builtInArguments.newTarget).to.be.equal(newTarget)
+    expect(args).to.be.equal(calledArguments)
+    expect(result).to.be.equal('resultFromCreateCallRequest')
+  })
+
+  it('should call createCallRequest with undefined this given functionAgentData.isDerived', () => {
+    functionAgentData.isDerived = true
+
+    esprimaParser.createConstructRequest(CalledConstructor, argumentsList, CalledConstructor)
+
+    expect(esprimaParser.createCallRequest.firstCall.args[1].this).to.be.undefined
+    expect(esprimaParser.getPrototypeFromConstructor.called).to.be.false
+  })
+})
@@ -0,0 +1,90 @@
+describe('createDynamicFunction tests', () => {
+  const loc = {}
+  const rootClone = {}
+  let program
+
+  beforeEach(() => {
+    program = {
+      body: [
+        createAstNode('ExpressionStatement', {
+          expression: createAstNode('FunctionExpression')
+        })
+      ]
+    }
+    sandbox.stub(esprimaParser, 'closureStack', {
+      getRootClone: sandbox.stub().returns(rootClone)
+    })
+    sandbox.stub(esprimaParser, 'parseCode').returns(program)
+    sandbox.stub(esprimaParser, 'isDynamicFunction').returns(true)
+    sandbox.stub(esprimaParser, 'getVirtualScriptUrl')
+      .returns('resultFromGetVirtualScriptUrl')
+    sandbox.stub(esprimaParser, 'runInEnvironment', (environment, parse) => parse())
+    sandbox.stub(esprimaParser, 'createFunctionAgent')
+      .returns('resultFromCreateFunctionAgent')
+  })
+
+  it('should call parseCode with function composed of params and body', () => {
+    esprimaParser.createDynamicFunction(['a', 'b', 'return a + b'], loc)
+
+    expect(
+      esprimaParser.parseCode
+        .calledWithExactly('(function anonymous(a,b\n) {\nreturn a + b\n})')
+    ).to.be.true
+  })
+
+  it('should call parseCode with function of empty params and body given no arguments', () => {
+    esprimaParser.createDynamicFunction([], loc)
+
+    expect(
+      esprimaParser.parseCode
+        .calledWithExactly('(function anonymous(\n) {\n\n})')
+    ).to.be.true
+  })
+
+  it('should convert arguments to strings', () => {
+    esprimaParser.createDynamicFunction([{toString: () => 'a'}, 1], loc)
+
+    expect(
+      esprimaParser.parseCode
+        .calledWithExactly('(function anonymous(a\n) {\n1\n})')
+    ).to.be.true
+  })
+
+  it('should throw SyntaxError given result from parseCode not a single function', () => {
+    esprimaParser.isDynamicFunction
+      .withArgs(program).returns(false)
+
+    expect(() => {
+      esprimaParser.createDynamicFunction(['}); (function () {'], loc)
+    }).to.throw(SyntaxError, 'Arguments of Function are not valid parameters and body')
+    expect(esprimaParser.createFunctionAgent.called).to.be.false
+  })
+
+  it('should call runInEnvironment with global environment of virtual script', () => {
+    esprimaParser.createDynamicFunction(['return 1'], loc)
+
+    expect(
+      esprimaParser.getVirtualScriptUrl
+        .calledWithExactly('(function anonymous(\n) {\nreturn 1\n})', 'Function', loc)
+    ).to.be.true
+    expect(
+      esprimaParser.runInEnvironment
+        .calledWith({
+          scriptUrl: 'resultFromGetVirtualScriptUrl',
+          sourceText: '(function anonymous(\n) {\nreturn 1\n})',
+          closureStack: rootClone,
+          strict: false
+        })
+    ).to.be.true
+  })
+
+  it('should return result from createFunctionAgent called with function expression and \'anonymous\'', () => {
+    const result = esprimaParser.createDynamicFunction(['return 1'], loc)
+
+    expect(
+      esprimaParser.createFunctionAgent
+        .calledWithExactly(program.body[0].expression, 'anonymous')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateFunctionAgent')
+  })
+})
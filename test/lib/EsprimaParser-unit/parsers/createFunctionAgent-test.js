@@ -6,16 +6,15 @@ describe('createFunctionAgent tests', () => {
     scriptUrl: 'scriptUrl',
     closureStack: {}
   }
-  const functionAgent = function () {}
-  const functionArity = function (param1, param2, param3) {}
+  const functionAgent = function (param1, param2, param3) {}
   let functionExpression
 
   beforeEach(() => {
     functionExpression = createAstNode('FunctionExpression')
 
     sandbox.stub(esprimaParser, 'parseFunctionExpression').returns(functionAgentData)
-    sandbox.stub(esprimaParser, 'wrapWithFunction').returns(functionAgent)
-    sandbox.stub(esprimaParser, 'arity').returns(functionArity)
+    sandbox.stub(esprimaParser, 'createAgent').returns(functionAgent)
+    sandbox.stub(esprimaParser, 'setFunctionSourceText')
   })
 
   it('should call parseFunctionExpression with functionExpression', () => {
@@ -27,25 +26,22 @@ describe('createFunctionAgent tests', () => {
     ).to.be.true
   })
 
-  it('should call wrapWithFunction with functionAgentData', () => {
-    esprimaParser.createFunctionAgent(functionExpression)
+  it('should return result from createAgent called with functionAgentData and name', () => {
+    const result = esprimaParser.createFunctionAgent(functionExpression, 'name')
 
     expect(
-      esprimaParser.wrapWithFunction
-        .calledWithExactly(functionAgentData)
+      esprimaParser.createAgent
+        .calledWithExactly(functionAgentData, 'name')
     ).to.be.true
+    expect(result).to.be.equal(functionAgent)
   })
 
-  it('should return result from esprimaParser.arity called with params.length in functionAgentData and functionAgent', () => {
-    const result = esprimaParser.createFunctionAgent(functionExpression)
+  it('should call setFunctionSourceText with result from createAgent and functionExpression', () => {
+    esprimaParser.createFunctionAgent(functionExpression, 'name')
 
     expect(
-      esprimaParser.arity
-        .calledWithExactly(
-          functionAgentData.params.length,
-          functionAgent
-        )
+      esprimaParser.setFunctionSourceText
+        .calledWithExactly(functionAgent, functionExpression)
     ).to.be.true
-    expect(result).to.be.equal(functionArity)
   })
 })
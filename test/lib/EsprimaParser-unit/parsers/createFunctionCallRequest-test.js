@@ -0,0 +1,46 @@
+describe('createFunctionCallRequest tests', () => {
+  const functionAgent = function () {}
+  const functionAgentData = {}
+  const thisArg = {}
+  const calledArguments = ['arg1', 'arg2']
+
+  beforeEach(() => {
+    esprimaParser.functionAgents.set(functionAgent, functionAgentData)
+    sandbox.stub(esprimaParser, 'getArgumentsObject')
+      .returns('resultFromGetArgumentsObject')
+    sandbox.stub(esprimaParser, 'createCallRequest')
+      .returns('resultFromCreateCallRequest')
+  })
+
+  it('should return null given called method not in functionAgents', () => {
+    expect(esprimaParser.createFunctionCallRequest(function () {}, thisArg, calledArguments)).to.be.null
+    expect(esprimaParser.createFunctionCallRequest(undefined, thisArg, calledArguments)).to.be.null
+    expect(esprimaParser.createCallRequest.called).to.be.false
+  })
+
+  it('should return null given called method is class agent', () => {
+    const classAgent = function () {}
+
+    esprimaParser.functionAgents.set(classAgent, {classAgent})
+
+    expect(esprimaParser.createFunctionCallRequest(classAgent, thisArg, calledArguments)).to.be.null
+    expect(esprimaParser.createCallRequest.called).to.be.false
+  })
+
+  it('should return result from createCallRequest called with functionAgentData, this with arguments object, and arguments', () => {
+    const result = esprimaParser.createFunctionCallRequest(functionAgent, thisArg, calledArguments)
+
+    expect(
+      esprimaParser.getArgumentsObject
+        .calledWithExactly(functionAgentData, calledArguments)
+    ).to.be.true
+    expect(
+      esprimaParser.createCallRequest
+        .calledWithExactly(functionAgentData, {
+          this: thisArg,
+          arguments: 'resultFromGetArgumentsObject'
+        }, calledArguments)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateCallRequest')
+  })
+})
@@ -0,0 +1,103 @@
+describe('createGenerator tests', () => {
+  const functionAgentData = {
+    body: 'body',
+    isAsync: 'isAsync'
+  }
+  const builtInArguments = {
+    this: {},
+    arguments: {}
+  }
+  const calledArguments = ['arg1', 'arg2']
+  const generatorPrototype = {}
+  // stub results
+  const envGlobal = 'envGlobal'
+  const envFunction = 'envFunction'
+  const envClosure = 'envClosure'
+  let FlowState, environments
+
+  before(() => {
+    FlowState = require('../../../../lib/EsprimaParser/structures/FlowState')
+  })
+
+  beforeEach(() => {
+    environments = [envGlobal, envFunction, envClosure]
+    sandbox.stub(esprimaParser, 'getEnvironment', () => environments.shift())
+    sandbox.stub(esprimaParser, 'setEnvironment')
+    sandbox.stub(esprimaParser, 'getGeneratorPrototype')
+      .returns(generatorPrototype)
+    sandbox.stub(esprimaParser, 'setFunctionClosure')
+    sandbox.stub(esprimaParser, 'parseGeneratorBody')
+      .returns('resultFromParseGeneratorBody')
+    sandbox.stub(esprimaParser, 'getCallFrameName')
+      .withArgs(functionAgentData, builtInArguments).returns('resultFromGetCallFrameName')
+  })
+
+  it('should return an object inheriting result from getGeneratorPrototype called with functionAgentData', () => {
+    const result = esprimaParser.createGenerator(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.getGeneratorPrototype
+        .calledWithExactly(functionAgentData)
+    ).to.be.true
+    expect(Object.getPrototypeOf(result)).to.be.equal(generatorPrototype)
+  })
+
+  it('should call setFunctionClosure with functionAgentData, builtInArguments and calledArguments in function environment', () => {
+    esprimaParser.createGenerator(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.getEnvironment.getCall(1)
+        .calledWithExactly(functionAgentData)
+    ).to.be.true
+    expect(
+      esprimaParser.setFunctionClosure
+        .calledWithExactly(functionAgentData, builtInArguments, calledArguments)
+    ).to.be.true
+    expect(
+      esprimaParser.setFunctionClosure
+        .calledAfter(
+          esprimaParser.setEnvironment
+            .withArgs(esprimaParser, envFunction)
+        )
+    ).to.be.true
+  })
+
+  it('should set generator state of call frame name, environment, a new FlowState, isAsync, undefined returnValue and result from parseGeneratorBody called with body', () => {
+    const result = esprimaParser.createGenerator(functionAgentData, builtInArguments, calledArguments)
+    const generatorState = esprimaParser.generatorStates.get(result)
+
+    expect(
+      esprimaParser.parseGeneratorBody
+        .calledWithExactly(functionAgentData.body)
+    ).to.be.true
+    expect(generatorState.name).to.be.equal('resultFromGetCallFrameName')
+    expect(generatorState.environment).to.be.equal(envClosure)
+    expect(generatorState.flowState).to.be.instanceof(FlowState)
+    expect(generatorState.async).to.be.equal('isAsync')
+    expect(generatorState).to.have.property('returnValue', undefined)
+    expect(generatorState.iterator).to.be.equal('resultFromParseGeneratorBody')
+  })
+
+  it('should restore global environment', () => {
+    esprimaParser.createGenerator(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.setEnvironment.lastCall
+        .calledWithExactly(esprimaParser, envGlobal)
+    ).to.be.true
+  })
+
+  it('should restore global environment given error thrown', () => {
+    const error = new Error()
+
+    esprimaParser.setFunctionClosure.throws(error)
+
+    expect(() => {
+      esprimaParser.createGenerator(functionAgentData, builtInArguments, calledArguments)
+    }).to.throw(error)
+    expect(
+      esprimaParser.setEnvironment.lastCall
+        .calledWithExactly(esprimaParser, envGlobal)
+    ).to.be.true
+  })
+})
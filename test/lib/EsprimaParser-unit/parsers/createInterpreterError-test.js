@@ -0,0 +1,54 @@
+describe('createInterpreterError tests', () => {
+  const cause = new Error('message')
+  const loc = {
+    start: {line: 2, column: 10}
+  }
+  let node, InterpreterError
+
+  before(() => {
+    InterpreterError = require(`${libDir}/structures/InterpreterError`)
+  })
+
+  beforeEach(() => {
+    node = createAstNode('Expression', {loc})
+
+    sandbox.stub(esprimaParser, 'scriptUrl', 'scriptUrl')
+    sandbox.stub(esprimaParser, 'reportInterpreterError')
+  })
+
+  it('should return an InterpreterError of cause, node, scriptUrl and loc of node', () => {
+    const result = esprimaParser.createInterpreterError(cause, node)
+
+    expect(result).to.be.instanceof(InterpreterError)
+    expect(result.cause).to.be.equal(cause)
+    expect(result.node).to.be.equal(node)
+    expect(result.scriptUrl).to.be.equal('scriptUrl')
+    expect(result.loc).to.be.equal(loc)
+  })
+
+  it('should return an InterpreterError of given loc', () => {
+    const otherLoc = {start: {line: 1, column: 0}}
+    const result = esprimaParser.createInterpreterError(cause, null, otherLoc)
+
+    expect(result.node).to.be.null
+    expect(result.loc).to.be.equal(otherLoc)
+  })
+
+  it('should call reportInterpreterError with the InterpreterError created', () => {
+    const result = esprimaParser.createInterpreterError(cause, node)
+
+    expect(
+      esprimaParser.reportInterpreterError
+        .calledWithExactly(result)
+    ).to.be.true
+  })
+
+  it('should return cause without reporting again given cause is InterpreterError', () => {
+    const interpreterError = new InterpreterError(cause, {node, scriptUrl: 'scriptUrl', loc})
+
+    const result = esprimaParser.createInterpreterError(interpreterError, node)
+
+    expect(result).to.be.equal(interpreterError)
+    expect(esprimaParser.reportInterpreterError.called).to.be.false
+  })
+})
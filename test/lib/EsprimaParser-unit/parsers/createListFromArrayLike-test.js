@@ -0,0 +1,10 @@
+describe('createListFromArrayLike tests', () => {
+  it('should return array of elements read by length and index', () => {
+    expect(esprimaParser.createListFromArrayLike({length: 2, 0: 'a', 1: 'b', 2: 'c'})).to.be.eql(['a', 'b'])
+    expect(esprimaParser.createListFromArrayLike(['a', , 'c'])).to.be.eql(['a', undefined, 'c'])
+  })
+
+  it('should not iterate arguments list', () => {
+    expect(esprimaParser.createListFromArrayLike(new Set(['a']))).to.be.eql([])
+  })
+})
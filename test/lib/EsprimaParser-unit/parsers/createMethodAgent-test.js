@@ -0,0 +1,64 @@
+describe('createMethodAgent tests', () => {
+  const homeObject = {}
+  const functionAgent = function () {}
+  let methodNode, functionAgentData
+
+  beforeEach(() => {
+    methodNode = createAstNode('MethodDefinition|Property', {
+      value: createAstNode('FunctionExpression'),
+      kind: 'get'
+    })
+    functionAgentData = {
+      params: ['param1', 'param2']
+    }
+    sandbox.stub(esprimaParser, 'parseFunctionExpression')
+      .returns(functionAgentData)
+    sandbox.stub(esprimaParser, 'getAccessorPrefix').returns('get')
+    sandbox.stub(esprimaParser, 'getFunctionName').returns('get key')
+    sandbox.stub(esprimaParser, 'createAgent')
+      .returns(functionAgent)
+    sandbox.stub(esprimaParser, 'setFunctionSourceText')
+  })
+
+  it('should call parseFunctionExpression with value of methodNode', () => {
+    esprimaParser.createMethodAgent(methodNode, homeObject, 'key')
+
+    expect(
+      esprimaParser.parseFunctionExpression
+        .calledWithExactly(methodNode.value)
+    ).to.be.true
+  })
+
+  it('should call getFunctionName with key and result from getAccessorPrefix called with kind', () => {
+    esprimaParser.createMethodAgent(methodNode, homeObject, 'key')
+
+    expect(
+      esprimaParser.getAccessorPrefix
+        .calledWithExactly('get')
+    ).to.be.true
+    expect(
+      esprimaParser.getFunctionName
+        .calledWithExactly('key', 'get')
+    ).to.be.true
+  })
+
+  it('should return result from createAgent called with functionAgentData with homeObject and name', () => {
+    const result = esprimaParser.createMethodAgent(methodNode, homeObject, 'key')
+
+    expect(
+      esprimaParser.createAgent
+        .calledWithExactly(functionAgentData, 'get key')
+    ).to.be.true
+    expect(functionAgentData.homeObject).to.be.equal(homeObject)
+    expect(result).to.be.equal(functionAgent)
+  })
+
+  it('should call setFunctionSourceText with result from createAgent and methodNode', () => {
+    esprimaParser.createMethodAgent(methodNode, homeObject, 'key')
+
+    expect(
+      esprimaParser.setFunctionSourceText
+        .calledWithExactly(functionAgent, methodNode)
+    ).to.be.true
+  })
+})
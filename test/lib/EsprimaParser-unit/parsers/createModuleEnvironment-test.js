@@ -0,0 +1,60 @@
+describe('createModuleEnvironment tests', () => {
+  const record = {url: 'http://example.com/module.js', ast: {type: 'Program'}, sourceText: 'sourceText'}
+  let Closure
+
+  beforeEach(() => {
+    Closure = require(`${libDir}/structures/Closure`)
+  })
+
+  it('should return an environment with scriptUrl of record url', () => {
+    const result = esprimaParser.createModuleEnvironment(record)
+
+    expect(result.scriptUrl).to.be.equal(record.url)
+  })
+
+  it('should return an environment with sourceText of record', () => {
+    const result = esprimaParser.createModuleEnvironment(record)
+
+    expect(result.sourceText).to.be.equal(record.sourceText)
+  })
+
+  it('should return an environment in strict mode', () => {
+    const result = esprimaParser.createModuleEnvironment(record)
+
+    expect(result.strict).to.be.true
+  })
+
+  it('should return an environment with closureStack of a module closure on root closures', () => {
+    esprimaParser.closureStack.createClosure()
+
+    const root = esprimaParser.closureStack.root
+    const {closureStack} = esprimaParser.createModuleEnvironment(record)
+
+    expect(closureStack).to.not.equal(esprimaParser.closureStack)
+    expect(closureStack.root).to.be.equal(root)
+    expect(closureStack.latest.parent).to.be.equal(root)
+    expect(closureStack.getLatestClosure()).to.be.instanceof(Closure)
+    expect(closureStack.getLatestClosure().isFunctionClosure()).to.be.true
+  })
+
+  it('should create module closure by module ast, which identifiers of module code resolved to', () => {
+    const {closureStack} = esprimaParser.createModuleEnvironment(record)
+
+    expect(closureStack.getLatestClosure().scope).to.be.equal(record.ast)
+  })
+
+  it('should bind this to undefined in module closure', () => {
+    const {closureStack} = esprimaParser.createModuleEnvironment(record)
+
+    expect(closureStack.getLatestClosure().exist('this')).to.be.true
+    expect(closureStack.get('this')).to.be.undefined
+  })
+
+  it('should bind import.meta with url of record in module closure', () => {
+    const {closureStack} = esprimaParser.createModuleEnvironment(record)
+    const importMeta = closureStack.get('import.meta')
+
+    expect(Object.getPrototypeOf(importMeta)).to.be.null
+    expect(importMeta.url).to.be.equal(record.url)
+  })
+})
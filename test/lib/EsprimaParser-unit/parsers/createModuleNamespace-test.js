@@ -0,0 +1,49 @@
+describe('createModuleNamespace tests', () => {
+  const record = {}
+  let ModuleRecord, values
+
+  beforeEach(() => {
+    ModuleRecord = require(`${libDir}/structures/ModuleRecord`)
+    values = {a: 1, c: 3}
+
+    sandbox.stub(esprimaParser, 'getExportedNames')
+      .withArgs(record).returns(['c', 'b', 'a', 'd'])
+    sandbox.stub(esprimaParser, 'resolveExport')
+      .withArgs(record, 'a').returns({bindingName: 'a'})
+      .withArgs(record, 'b').returns(ModuleRecord.AMBIGUOUS)
+      .withArgs(record, 'c').returns({bindingName: 'c'})
+      .withArgs(record, 'd').returns(null)
+    sandbox.stub(esprimaParser, 'createBindingGetter', ({bindingName}) => {
+      return () => values[bindingName]
+    })
+  })
+
+  it('should return an object with null prototype tagged as Module', () => {
+    const namespace = esprimaParser.createModuleNamespace(record)
+
+    expect(Object.getPrototypeOf(namespace)).to.be.null
+    expect(Object.prototype.toString.call(namespace)).to.be.equal('[object Module]')
+  })
+
+  it('should define resolved names in sorted order, leaving ambiguous and unresolved ones out', () => {
+    const namespace = esprimaParser.createModuleNamespace(record)
+
+    expect(Object.keys(namespace)).to.be.eql(['a', 'c'])
+  })
+
+  it('should read live values of bindings', () => {
+    const namespace = esprimaParser.createModuleNamespace(record)
+
+    expect(namespace.a).to.be.equal(1)
+
+    values.a = 2
+
+    expect(namespace.a).to.be.equal(2)
+  })
+
+  it('should return a non-extensible object', () => {
+    const namespace = esprimaParser.createModuleNamespace(record)
+
+    expect(Object.isExtensible(namespace)).to.be.false
+  })
+})
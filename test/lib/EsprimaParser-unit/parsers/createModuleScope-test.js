@@ -0,0 +1,30 @@
+describe('createModuleScope tests', () => {
+  let program, unwrapped
+
+  beforeEach(() => {
+    program = createAstNode('Program', {
+      body: [createAstNode('ExportNamedDeclaration'), createAstNode('ClassDeclaration')]
+    })
+    unwrapped = [createAstNode('VariableDeclaration'), program.body[1]]
+
+    sandbox.stub(esprimaParser, 'unwrapExportDeclaration')
+      .withArgs(program.body[0]).returns(unwrapped[0])
+      .withArgs(program.body[1]).returns(unwrapped[1])
+    sandbox.stub(esprimaParser, 'searchBlockHoistings')
+      .returns([{variable: 'a', kind: 'const'}, {variable: 'B', kind: 'let'}])
+  })
+
+  it('should return a function and var scope of program naming block hoistings of statements unwrapped', () => {
+    const result = esprimaParser.createModuleScope(program)
+
+    expect(
+      esprimaParser.searchBlockHoistings
+        .calledWithExactly(unwrapped)
+    ).to.be.true
+    expect(result.node).to.be.equal(program)
+    expect(result.parent).to.be.null
+    expect([...result.names]).to.be.eql(['a', 'B'])
+    expect(result.isFunction).to.be.true
+    expect(result.isVar).to.be.true
+  })
+})
@@ -0,0 +1,12 @@
+describe('createNativeCallRequest tests', () => {
+  it('should return NativeCallRequest of calledMethod and exp', () => {
+    const calledMethod = function () {}
+    const exp = {}
+
+    const result = esprimaParser.createNativeCallRequest(calledMethod, exp)
+
+    expect(result).to.be.instanceof(esprimaParser.NativeCallRequest)
+    expect(result.calledMethod).to.be.equal(calledMethod)
+    expect(result.exp).to.be.equal(exp)
+  })
+})
@@ -0,0 +1,38 @@
+describe('createNonConstructor tests', () => {
+  let call
+
+  beforeEach(() => {
+    call = sandbox.stub().returns('resultFromCall')
+  })
+
+  it('should return an anonymous function without prototype', () => {
+    const result = esprimaParser.createNonConstructor(call)
+
+    expect(result).to.be.a('function')
+    expect(result.name).to.be.equal('')
+    expect(result).to.not.have.ownProperty('prototype')
+  })
+
+  it('should return a function which throws TypeError given called with new', () => {
+    const NonConstructor = esprimaParser.createNonConstructor(call)
+
+    expect(() => {
+      new NonConstructor()
+    }).to.throw(TypeError)
+    expect(call.called).to.be.false
+  })
+
+  it('should return a function calling call with builtInArguments and calledArguments', () => {
+    const thisArg = {}
+    const nonConstructor = esprimaParser.createNonConstructor(call)
+
+    const result = nonConstructor.call(thisArg, 'arg1', 'arg2')
+    const builtInArguments = call.lastCall.args[0]
+
+    expect(builtInArguments.this).to.be.equal(thisArg)
+    expect(builtInArguments.arguments).to.have.length(2)
+    expect(builtInArguments).to.not.have.property('newTarget')
+    expect(call.lastCall.args[1]).to.be.eql(['arg1', 'arg2'])
+    expect(result).to.be.equal('resultFromCall')
+  })
+})
@@ -0,0 +1,22 @@
+describe('createScope tests', () => {
+  it('should return a scope of node, parent and names, neither function, var, dynamic nor referring to arguments', () => {
+    const node = createAstNode('BlockStatement')
+    const parent = {}
+
+    const result = esprimaParser.createScope(node, parent, ['a', 'b'])
+
+    expect(result.node).to.be.equal(node)
+    expect(result.parent).to.be.equal(parent)
+    expect([...result.names]).to.be.eql(['a', 'b'])
+    expect(result.isFunction).to.be.false
+    expect(result.isVar).to.be.false
+    expect(result.isDynamic).to.be.false
+    expect(result.isArgumentsReferenced).to.be.false
+  })
+
+  it('should return a scope of no names given no names', () => {
+    const result = esprimaParser.createScope(createAstNode('WithStatement'), null)
+
+    expect(result.names.size).to.be.equal(0)
+  })
+})
@@ -0,0 +1,25 @@
+describe('createTemplateObject tests', () => {
+  let quasis
+
+  beforeEach(() => {
+    quasis = [
+      createAstNode('TemplateElement', {value: {cooked: 'a\n', raw: 'a\\n'}}),
+      createAstNode('TemplateElement', {value: {cooked: 'b', raw: 'b'}})
+    ]
+  })
+
+  it('should return frozen array of cooked strings', () => {
+    const result = esprimaParser.createTemplateObject(quasis)
+
+    expect(result).to.be.eql(['a\n', 'b'])
+    expect(Object.isFrozen(result)).to.be.true
+  })
+
+  it('should set non-enumerable frozen raw strings to result', () => {
+    const result = esprimaParser.createTemplateObject(quasis)
+
+    expect(result.raw).to.be.eql(['a\\n', 'b'])
+    expect(Object.isFrozen(result.raw)).to.be.true
+    expect(Object.keys(result)).to.be.eql(['0', '1'])
+  })
+})
@@ -0,0 +1,50 @@
+describe('createTimerHandler tests', () => {
+  const loc = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'getVirtualScriptUrl')
+      .returns('resultFromGetVirtualScriptUrl')
+    sandbox.stub(esprimaParser, 'evaluateCode')
+      .returns('resultFromEvaluateCode')
+  })
+
+  it('should return handler as is given function', () => {
+    const handler = () => {}
+
+    const result = esprimaParser.createTimerHandler(handler, 'setTimeout', loc)
+
+    expect(result).to.be.equal(handler)
+  })
+
+  it('should call getVirtualScriptUrl with code, kind and loc when timer set', () => {
+    esprimaParser.createTimerHandler('code', 'setTimeout', loc)
+
+    expect(
+      esprimaParser.getVirtualScriptUrl
+        .calledWithExactly('code', 'setTimeout', loc)
+    ).to.be.true
+  })
+
+  it('should return a function calling evaluateCode with code and virtual scriptUrl', () => {
+    const result = esprimaParser.createTimerHandler('code', 'setTimeout', loc)
+
+    expect(esprimaParser.evaluateCode.called).to.be.false
+
+    const handlerResult = result()
+
+    expect(
+      esprimaParser.evaluateCode
+        .calledWithExactly('code', 'resultFromGetVirtualScriptUrl')
+    ).to.be.true
+    expect(handlerResult).to.be.undefined
+  })
+
+  it('should convert handler to string', () => {
+    esprimaParser.createTimerHandler({toString: () => 'code'}, 'setInterval', loc)()
+
+    expect(
+      esprimaParser.evaluateCode
+        .calledWithExactly('code', 'resultFromGetVirtualScriptUrl')
+    ).to.be.true
+  })
+})
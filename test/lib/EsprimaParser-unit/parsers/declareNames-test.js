@@ -0,0 +1,15 @@
+describe('declareNames tests', () => {
+  it('should add names to names of scope', () => {
+    const scope = {names: new Set(['a'])}
+
+    esprimaParser.declareNames(scope, ['b', 'c'])
+
+    expect([...scope.names]).to.be.eql(['a', 'b', 'c'])
+  })
+
+  it('should do nothing given null scope', () => {
+    expect(() => {
+      esprimaParser.declareNames(null, ['a'])
+    }).to.not.throw()
+  })
+})
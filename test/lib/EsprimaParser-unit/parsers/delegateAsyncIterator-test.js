@@ -0,0 +1,74 @@
+describe('delegateAsyncIterator tests', () => {
+  let iterator
+
+  beforeEach(() => {
+    iterator = {
+      next: sandbox.spy((value) => `next ${value}`),
+      throw: sandbox.spy((value) => `throw ${value}`)
+    }
+    sandbox.stub(esprimaParser, 'getAsyncIterator')
+      .returns(iterator)
+    sandbox.stub(esprimaParser, 'closeIterator')
+      .returns('resultFromCloseIterator')
+  })
+
+  it('should yield AwaitRequest of result from next of async iterator got from value', () => {
+    const generator = esprimaParser.delegateAsyncIterator('value')
+    const step = generator.next()
+
+    expect(
+      esprimaParser.getAsyncIterator
+        .calledWithExactly('value')
+    ).to.be.true
+    expect(step.value).to.be.instanceof(esprimaParser.AwaitRequest)
+    expect(step.value.value).to.be.equal('next undefined')
+  })
+
+  it('should yield value of step not done and pass value resumed to next', () => {
+    const generator = esprimaParser.delegateAsyncIterator('value')
+
+    generator.next()
+
+    expect(generator.next({value: 'yielded', done: false})).to.be.eql({value: 'yielded', done: false})
+    expect(generator.next('resumed').value.value).to.be.equal('next resumed')
+  })
+
+  it('should pass error thrown at yield to throw of iterator', () => {
+    const generator = esprimaParser.delegateAsyncIterator('value')
+
+    generator.next()
+    generator.next({value: 'yielded', done: false})
+
+    expect(generator.throw('error').value.value).to.be.equal('throw error')
+  })
+
+  it('should return value of step done', () => {
+    const generator = esprimaParser.delegateAsyncIterator('value')
+
+    generator.next()
+
+    expect(generator.next({value: 'returned', done: true})).to.be.eql({value: 'returned', done: true})
+  })
+
+  it('should throw TypeError given step not an object', () => {
+    const generator = esprimaParser.delegateAsyncIterator('value')
+
+    generator.next()
+
+    expect(() => generator.next('step')).to.throw(TypeError)
+  })
+
+  it('should yield AwaitRequest of result from closeIterator called with iterator given returned at yield', () => {
+    const generator = esprimaParser.delegateAsyncIterator('value')
+
+    generator.next()
+    generator.next({value: 'yielded', done: false})
+
+    expect(generator.return('returned').value.value).to.be.equal('resultFromCloseIterator')
+    expect(
+      esprimaParser.closeIterator
+        .calledWithExactly(iterator)
+    ).to.be.true
+    expect(generator.next()).to.be.eql({value: 'returned', done: true})
+  })
+})
@@ -0,0 +1,51 @@
+describe('enqueueAsyncGenerator tests', () => {
+  let generator, queue
+
+  beforeEach(() => {
+    generator = {}
+    queue = []
+    esprimaParser.asyncGeneratorQueues.set(generator, queue)
+    sandbox.stub(esprimaParser, 'resumeAsyncGenerator')
+  })
+
+  it('should reject TypeError given generator without queue', () => {
+    return esprimaParser.enqueueAsyncGenerator({}, 'next').then(() => {
+      throw new Error('should not resolve')
+    }, (e) => {
+      expect(e).to.be.instanceof(TypeError)
+      expect(e.message).to.be.equal('next method called on incompatible receiver [object Object]')
+    })
+  })
+
+  it('should push request of method, value and settlers of returned promise to queue', () => {
+    const result = esprimaParser.enqueueAsyncGenerator(generator, 'next', 'value')
+
+    expect(queue).to.have.lengthOf(1)
+    expect(queue[0].method).to.be.equal('next')
+    expect(queue[0].value).to.be.equal('value')
+
+    queue[0].resolve('resolved')
+
+    return result.then((value) => {
+      expect(value).to.be.equal('resolved')
+    })
+  })
+
+  it('should call resumeAsyncGenerator with generator and queue given no request ahead', () => {
+    esprimaParser.enqueueAsyncGenerator(generator, 'next', 'value')
+
+    expect(
+      esprimaParser.resumeAsyncGenerator
+        .calledWithExactly(generator, queue)
+    ).to.be.true
+  })
+
+  it('should not call resumeAsyncGenerator given request ahead', () => {
+    queue.push({})
+
+    esprimaParser.enqueueAsyncGenerator(generator, 'next', 'value')
+
+    expect(queue).to.have.lengthOf(2)
+    expect(esprimaParser.resumeAsyncGenerator.called).to.be.false
+  })
+})
@@ -0,0 +1,112 @@
+describe('enterCallFrame tests', () => {
+  const builtInArguments = {newTarget: 'newTarget'}
+  const calledArguments = []
+  const envFunction = {}
+  let functionAgentData, request
+
+  beforeEach(() => {
+    functionAgentData = {body: 'body'}
+    request = {functionAgentData, builtInArguments, calledArguments}
+
+    sandbox.stub(esprimaParser, 'getEnvironment')
+      .withArgs(functionAgentData).returns(envFunction)
+    sandbox.stub(esprimaParser, 'setEnvironment')
+    sandbox.stub(esprimaParser, 'getCallFrameName')
+      .withArgs(functionAgentData, builtInArguments).returns('resultFromGetCallFrameName')
+    sandbox.stub(esprimaParser, 'pushCallFrame')
+    sandbox.stub(esprimaParser, 'setFunctionClosure')
+    sandbox.stub(esprimaParser, 'captureErrorStack')
+    sandbox.stub(esprimaParser, 'callStack', {
+      pop: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorBody')
+      .returns('resultFromParseGeneratorBody')
+    sandbox.stub(esprimaParser, 'completionValue', 'completionValue')
+  })
+
+  it('should call setEnvironment with esprimaParser and environment of function', () => {
+    esprimaParser.enterCallFrame(request)
+
+    expect(
+      esprimaParser.setEnvironment
+        .calledWithExactly(esprimaParser, envFunction)
+    ).to.be.true
+  })
+
+  it('should call pushCallFrame with result from getCallFrameName after setEnvironment', () => {
+    esprimaParser.enterCallFrame(request)
+
+    expect(
+      esprimaParser.pushCallFrame
+        .calledWithExactly('resultFromGetCallFrameName')
+    ).to.be.true
+    expect(
+      esprimaParser.pushCallFrame
+        .calledAfter(esprimaParser.setEnvironment)
+    ).to.be.true
+  })
+
+  it('should call setFunctionClosure with functionAgentData, builtInArguments and calledArguments after pushCallFrame', () => {
+    esprimaParser.enterCallFrame(request)
+
+    expect(
+      esprimaParser.setFunctionClosure
+        .calledWithExactly(functionAgentData, builtInArguments, calledArguments)
+    ).to.be.true
+    expect(
+      esprimaParser.setFunctionClosure
+        .calledAfter(esprimaParser.pushCallFrame)
+    ).to.be.true
+  })
+
+  it('should return frame with functionAgentData, newTarget, environment, completionValue and iterator of body', () => {
+    const result = esprimaParser.enterCallFrame(request)
+
+    expect(
+      esprimaParser.parseGeneratorBody
+        .calledWithExactly('body')
+    ).to.be.true
+    expect(
+      esprimaParser.parseGeneratorBody
+        .calledAfter(esprimaParser.setFunctionClosure)
+    ).to.be.true
+    expect(result).to.be.eql({
+      functionAgentData,
+      newTarget: 'newTarget',
+      environment: envFunction,
+      completionValue: 'completionValue',
+      iterator: 'resultFromParseGeneratorBody'
+    })
+  })
+
+  it('should call captureErrorStack and callStack.pop given setFunctionClosure throws error', () => {
+    const error = new Error()
+
+    esprimaParser.setFunctionClosure.throws(error)
+
+    expect(() => {
+      esprimaParser.enterCallFrame(request)
+    }).to.throw(error)
+    expect(
+      esprimaParser.captureErrorStack
+        .calledWithExactly(error)
+    ).to.be.true
+    expect(
+      esprimaParser.callStack.pop
+        .calledAfter(esprimaParser.captureErrorStack)
+    ).to.be.true
+    expect(esprimaParser.parseGeneratorBody.called).to.be.false
+  })
+
+  it('should not call setFunctionClosure given pushCallFrame throws error', () => {
+    const error = new RangeError()
+
+    esprimaParser.pushCallFrame.throws(error)
+
+    expect(() => {
+      esprimaParser.enterCallFrame(request)
+    }).to.throw(error)
+    expect(esprimaParser.setFunctionClosure.called).to.be.false
+    expect(esprimaParser.callStack.pop.called).to.be.false
+  })
+})
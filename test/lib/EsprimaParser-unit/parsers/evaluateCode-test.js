@@ -0,0 +1,81 @@
+describe('evaluateCode tests', () => {
+  const rootClone = {}
+  const closureStack = {}
+  let program
+
+  beforeEach(() => {
+    program = {body: [createAstNode('Statement')]}
+
+    sandbox.stub(esprimaParser, 'closureStack', {
+      getRootClone: sandbox.stub().returns(rootClone)
+    })
+    sandbox.stub(esprimaParser, 'parseCode').returns(program)
+    sandbox.stub(esprimaParser, 'hasUseStrictDirective').returns(false)
+    sandbox.stub(esprimaParser, 'runInEnvironment', (environment, parse) => parse())
+    sandbox.stub(esprimaParser, 'runInCallFrame', (name, parse) => parse())
+    sandbox.stub(esprimaParser, 'parseEvalCode')
+      .returns('resultFromParseEvalCode')
+  })
+
+  it('should call parseCode with code', () => {
+    esprimaParser.evaluateCode('code', 'scriptUrl')
+
+    expect(
+      esprimaParser.parseCode
+        .calledWithExactly('code')
+    ).to.be.true
+  })
+
+  it('should call runInEnvironment with environment of given closureStack and strict', () => {
+    esprimaParser.evaluateCode('code', 'scriptUrl', closureStack, true)
+
+    expect(
+      esprimaParser.runInEnvironment
+        .calledWith({
+          scriptUrl: 'scriptUrl',
+          sourceText: 'code',
+          closureStack,
+          strict: true
+        })
+    ).to.be.true
+  })
+
+  it('should run in call frame named eval', () => {
+    esprimaParser.evaluateCode('code', 'scriptUrl')
+
+    expect(esprimaParser.runInCallFrame.calledWith('eval')).to.be.true
+  })
+
+  it('should call runInEnvironment with global environment given no closureStack and strict', () => {
+    esprimaParser.evaluateCode('code', 'scriptUrl')
+
+    expect(
+      esprimaParser.runInEnvironment
+        .calledWith({
+          scriptUrl: 'scriptUrl',
+          sourceText: 'code',
+          closureStack: rootClone,
+          strict: false
+        })
+    ).to.be.true
+  })
+
+  it('should run in strict mode given \'use strict\' directive in code', () => {
+    esprimaParser.hasUseStrictDirective
+      .withArgs(program.body).returns(true)
+
+    esprimaParser.evaluateCode('code', 'scriptUrl')
+
+    expect(esprimaParser.runInEnvironment.lastCall.args[0].strict).to.be.true
+  })
+
+  it('should return result from parseEvalCode called with body of program', () => {
+    const result = esprimaParser.evaluateCode('code', 'scriptUrl')
+
+    expect(
+      esprimaParser.parseEvalCode
+        .calledWithExactly(program.body)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseEvalCode')
+  })
+})
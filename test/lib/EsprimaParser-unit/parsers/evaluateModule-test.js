@@ -0,0 +1,83 @@
+describe('evaluateModule tests', () => {
+  let ModuleRecord, record, requestedModule
+
+  beforeEach(() => {
+    ModuleRecord = require(`${libDir}/structures/ModuleRecord`)
+
+    record = new ModuleRecord('http://example.com/main.js', {body: []})
+    requestedModule = new ModuleRecord('http://example.com/module.js', {body: []})
+    record.requestedModules.set('./module.js', requestedModule)
+    record.status = requestedModule.status = ModuleRecord.LINKED
+    record.statements = [createAstNode('Statement')]
+    requestedModule.statements = [createAstNode('Statement')]
+
+    sandbox.spy(esprimaParser, 'evaluateModule')
+    sandbox.stub(esprimaParser, 'runInModuleEnvironment', (record, parse) => parse())
+    sandbox.stub(esprimaParser, 'runInCallFrame', (name, parse) => parse())
+    sandbox.stub(esprimaParser, 'parseNonHoistingStatements')
+  })
+
+  it('should call parseNonHoistingStatements with statements of record in top level call frame of module environment', () => {
+    esprimaParser.evaluateModule(record)
+
+    expect(esprimaParser.runInModuleEnvironment.calledWith(record)).to.be.true
+    expect(esprimaParser.runInCallFrame.calledWith('')).to.be.true
+    expect(
+      esprimaParser.parseNonHoistingStatements
+        .calledWithExactly(record.statements)
+    ).to.be.true
+  })
+
+  it('should evaluate requested modules before record', () => {
+    esprimaParser.evaluateModule(record)
+
+    expect(
+      esprimaParser.parseNonHoistingStatements
+        .withArgs(requestedModule.statements)
+        .calledBefore(esprimaParser.parseNonHoistingStatements.withArgs(record.statements))
+    ).to.be.true
+  })
+
+  it('should set status of record to ModuleRecord.EVALUATED', () => {
+    esprimaParser.evaluateModule(record)
+
+    expect(record.status).to.be.equal(ModuleRecord.EVALUATED)
+    expect(requestedModule.status).to.be.equal(ModuleRecord.EVALUATED)
+  })
+
+  it('should evaluate each record once given cyclic imports', () => {
+    requestedModule.requestedModules.set('./main.js', record)
+
+    esprimaParser.evaluateModule(record)
+
+    expect(esprimaParser.parseNonHoistingStatements.calledTwice).to.be.true
+  })
+
+  it('should do nothing given record not linked', () => {
+    record.status = ModuleRecord.EVALUATED
+
+    esprimaParser.evaluateModule(record)
+
+    expect(esprimaParser.parseNonHoistingStatements.called).to.be.false
+  })
+
+  it('should set error to record and throw it given error thrown while evaluating', () => {
+    const error = new Error()
+
+    esprimaParser.parseNonHoistingStatements
+      .withArgs(requestedModule.statements).throws(error)
+
+    expect(() => esprimaParser.evaluateModule(record)).to.throw(error)
+    expect(record.status).to.be.equal(ModuleRecord.ERRORED)
+    expect(requestedModule.error).to.be.equal(error)
+  })
+
+  it('should throw error of record given record errored', () => {
+    const error = new Error()
+
+    record.setError(error)
+
+    expect(() => esprimaParser.evaluateModule(record)).to.throw(error)
+    expect(esprimaParser.parseNonHoistingStatements.called).to.be.false
+  })
+})
@@ -1,36 +1,29 @@
 describe('executeCall tests', () => {
-  const caller = {}
-  const callee = {
-    arguments: ['arg1', 'arg2']
-  }
-  // stub results
-  const resultFromApply = 'resultFromApply'
-  let calledMethodStub
+  const exp = {caller: {}, callee: {}}
 
   beforeEach(() => {
-    calledMethodStub = {
-      apply: sandbox.stub().returns(resultFromApply)
-    }
     sandbox.stub(esprimaParser, 'getCalledMethod')
-      .returns(calledMethodStub)
+      .returns('resultFromGetCalledMethod')
+    sandbox.stub(esprimaParser, 'callMethod')
+      .returns('resultFromCallMethod')
   })
 
-  it('should call getCalledMethod with an object containing caller and callee', () => {
-    esprimaParser.executeCall({caller, callee})
+  it('should call getCalledMethod with exp', () => {
+    esprimaParser.executeCall(exp)
 
     expect(
       esprimaParser.getCalledMethod
-        .calledWithExactly({caller, callee})
+        .calledWithExactly(exp)
     ).to.be.true
   })
 
-  it('should call apply from result of getCalledMethod with caller and callee.arguments then return', () => {
-    const result = esprimaParser.executeCall({caller, callee})
+  it('should return result from callMethod called with result from getCalledMethod and exp', () => {
+    const result = esprimaParser.executeCall(exp)
 
     expect(
-      calledMethodStub.apply
-        .calledWithExactly(caller, callee.arguments)
+      esprimaParser.callMethod
+        .calledWithExactly('resultFromGetCalledMethod', exp)
     ).to.be.true
-    expect(result).to.be.equal(resultFromApply)
+    expect(result).to.be.equal('resultFromCallMethod')
   })
 })
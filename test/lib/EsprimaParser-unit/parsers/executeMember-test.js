@@ -9,4 +9,20 @@ describe('executeMember tests', () => {
 
     expect(result).to.be.equal(caller[callee])
   })
+
+  it('should return property of superBase with caller as receiver given superBase', () => {
+    const caller = {
+      callee: 'value'
+    }
+    const superBase = {
+      get callee() {
+        return this
+      }
+    }
+    const callee = 'callee'
+
+    const result = esprimaParser.executeMember({caller, callee, superBase})
+
+    expect(result).to.be.equal(caller)
+  })
 })
@@ -0,0 +1,35 @@
+describe('executeNatively tests', () => {
+  const root = {}
+
+  beforeEach(() => {
+    esprimaParser.nativeEval = sandbox.spy()
+
+    sandbox.stub(esprimaParser, 'escodegen', {
+      generate: sandbox.stub()
+        .withArgs(root).returns('generatedCode')
+    })
+  })
+
+  it('should call nativeEval without this with sourceText', () => {
+    esprimaParser.sourceText = 'sourceText'
+
+    esprimaParser.executeNatively(root)
+
+    expect(
+      esprimaParser.nativeEval
+        .calledWithExactly('sourceText')
+    ).to.be.true
+    expect(esprimaParser.nativeEval.calledOn(esprimaParser)).to.be.false
+  })
+
+  it('should call nativeEval with code generated from root given no sourceText', () => {
+    esprimaParser.sourceText = null
+
+    esprimaParser.executeNatively(root)
+
+    expect(
+      esprimaParser.nativeEval
+        .calledWithExactly('generatedCode')
+    ).to.be.true
+  })
+})
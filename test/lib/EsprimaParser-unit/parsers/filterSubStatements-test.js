@@ -111,25 +111,27 @@ describe('filterSubStatements tests', () => {
     })
   })
 
-  describe('ForInStatement', () => {
-    beforeEach(() => {
-      statement = createAstNode('ForInStatement', {
-        left: createAstNode('VariableDeclaration'),
-        body: createAstNode('Statement')
+  for (const type of ['ForInStatement', 'ForOfStatement']) {
+    describe(`${type}`, () => {
+      beforeEach(() => {
+        statement = createAstNode(type, {
+          left: createAstNode('VariableDeclaration'),
+          body: createAstNode('Statement')
+        })
       })
-    })
 
-    it('should return an array concating its left and body', () => {
-      const result = esprimaParser.filterSubStatements(statement)
+      it('should return an array concating its left and body', () => {
+        const result = esprimaParser.filterSubStatements(statement)
 
-      expect(result).to.be.eql([
-        statement.left,
-        statement.body
-      ])
+        expect(result).to.be.eql([
+          statement.left,
+          statement.body
+        ])
+      })
     })
-  })
+  }
 
-  for (const type of ['WhileStatement', 'DoWhileStatement']) {
+  for (const type of ['WhileStatement', 'DoWhileStatement', 'WithStatement', 'LabeledStatement']) {
     describe(`${type}`, () => {
       beforeEach(() => {
         statement = createAstNode(type, {
@@ -0,0 +1,21 @@
+describe('findClassConstructor tests', () => {
+  it('should return method definition of kind constructor', () => {
+    const methodDefinitions = [
+      createAstNode('MethodDefinition', {kind: 'method'}),
+      createAstNode('MethodDefinition', {kind: 'constructor'}),
+      createAstNode('MethodDefinition', {kind: 'get'})
+    ]
+    const result = esprimaParser.findClassConstructor(methodDefinitions)
+
+    expect(result).to.be.equal(methodDefinitions[1])
+  })
+
+  it('should return undefined given no constructor', () => {
+    const methodDefinitions = [
+      createAstNode('MethodDefinition', {kind: 'method'})
+    ]
+    const result = esprimaParser.findClassConstructor(methodDefinitions)
+
+    expect(result).to.be.undefined
+  })
+})
@@ -0,0 +1,32 @@
+describe('findTopLevelAwait tests', () => {
+  it('should return await expression in statement', () => {
+    const awaitExpression = createAstNode('AwaitExpression')
+    const statement = createAstNode('IfStatement', {
+      consequent: createAstNode('BlockStatement', {
+        body: [createAstNode('ExpressionStatement', {expression: awaitExpression})]
+      })
+    })
+    const result = esprimaParser.findTopLevelAwait(statement)
+
+    expect(result).to.be.equal(awaitExpression)
+  })
+
+  it('should return for await...of statement', () => {
+    const statement = createAstNode('ForOfStatement', {await: true})
+
+    const result = esprimaParser.findTopLevelAwait(statement)
+
+    expect(result).to.be.equal(statement)
+  })
+
+  it('should return undefined given await only in nested functions', () => {
+    const statement = createAstNode('ExpressionStatement', {
+      expression: createAstNode('ArrowFunctionExpression', {
+        body: createAstNode('AwaitExpression')
+      })
+    })
+    const result = esprimaParser.findTopLevelAwait(statement)
+
+    expect(result).to.be.undefined
+  })
+})
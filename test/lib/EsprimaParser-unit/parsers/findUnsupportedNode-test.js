@@ -0,0 +1,62 @@
+describe('findUnsupportedNode tests', () => {
+  let unsupportedNode, root
+
+  beforeEach(() => {
+    unsupportedNode = createAstNode('Unsupported')
+    root = createAstNode('Program', {
+      body: [
+        createAstNode('ExpressionStatement', {
+          expression: createAstNode('Identifier'),
+          loc: {start: {line: 1, column: 0}}
+        }),
+        createAstNode('BlockStatement', {
+          body: [unsupportedNode, createAstNode('Unsupported')]
+        })
+      ]
+    })
+    sandbox.stub(esprimaParser, 'isSupportedNode', (node) => node.type !== 'Unsupported')
+  })
+
+  it('should return the first unsupported node in tree', () => {
+    const result = esprimaParser.findUnsupportedNode(root)
+
+    expect(result).to.be.equal(unsupportedNode)
+  })
+
+  it('should call isSupportedNode with node and its parent', () => {
+    esprimaParser.findUnsupportedNode(root)
+
+    expect(
+      esprimaParser.isSupportedNode
+        .calledWithExactly(unsupportedNode, root.body[1])
+    ).to.be.true
+  })
+
+  it('should return undefined given no unsupported node in tree', () => {
+    root.body.pop()
+
+    const result = esprimaParser.findUnsupportedNode(root)
+
+    expect(result).to.be.undefined
+  })
+
+  it('should not search blocks given isShallow', () => {
+    const result = esprimaParser.findUnsupportedNode(root, null, true)
+
+    expect(result).to.be.undefined
+  })
+
+  it('should return unsupported node outside blocks given isShallow', () => {
+    root.body[0].expression = unsupportedNode
+
+    const result = esprimaParser.findUnsupportedNode(root, null, true)
+
+    expect(result).to.be.equal(unsupportedNode)
+  })
+
+  it('should return undefined given no node', () => {
+    const result = esprimaParser.findUnsupportedNode(null)
+
+    expect(result).to.be.undefined
+  })
+})
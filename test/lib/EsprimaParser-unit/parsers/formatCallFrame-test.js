@@ -0,0 +1,23 @@
+describe('formatCallFrame tests', () => {
+  const loc = {
+    start: {line: 2, column: 10}
+  }
+
+  it('should return name followed by location with 1-based column', () => {
+    const result = esprimaParser.formatCallFrame({name: 'name', scriptUrl: 'scriptUrl', loc})
+
+    expect(result).to.be.equal('name (scriptUrl:2:11)')
+  })
+
+  it('should return location only given empty name', () => {
+    const result = esprimaParser.formatCallFrame({name: '', scriptUrl: 'scriptUrl', loc})
+
+    expect(result).to.be.equal('scriptUrl:2:11')
+  })
+
+  it('should return scriptUrl as location given no loc', () => {
+    const result = esprimaParser.formatCallFrame({name: 'name', scriptUrl: 'scriptUrl', loc: null})
+
+    expect(result).to.be.equal('name (scriptUrl)')
+  })
+})
@@ -0,0 +1,21 @@
+describe('generateCode tests', () => {
+  const node = {loc: 'loc'}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'escodegen', {
+      generate: sandbox.stub()
+        .withArgs(node).returns('resultFromEscodegen')
+    })
+    sandbox.stub(esprimaParser, 'runInternal', (node, loc, run) => run())
+  })
+
+  it('should return result from escodegen.generate called with node in runInternal with node and its loc', () => {
+    const result = esprimaParser.generateCode(node)
+
+    expect(
+      esprimaParser.runInternal
+        .calledWith(node, 'loc')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromEscodegen')
+  })
+})
@@ -0,0 +1,11 @@
+describe('getAccessorPrefix tests', () => {
+  it('should return kind given \'get\' or \'set\'', () => {
+    expect(esprimaParser.getAccessorPrefix('get')).to.be.equal('get')
+    expect(esprimaParser.getAccessorPrefix('set')).to.be.equal('set')
+  })
+
+  it('should return undefined given other kinds', () => {
+    expect(esprimaParser.getAccessorPrefix('method')).to.be.undefined
+    expect(esprimaParser.getAccessorPrefix('init')).to.be.undefined
+  })
+})
@@ -0,0 +1,14 @@
+describe('getArgumentSubExpressions tests', () => {
+  it('should return arguments with spread elements replaced by their arguments', () => {
+    const argument1 = createAstNode('Expression1')
+    const argument2 = createAstNode('Expression2')
+    const calledArguments = [
+      argument1,
+      createAstNode('SpreadElement', {argument: argument2})
+    ]
+
+    const result = esprimaParser.getArgumentSubExpressions(calledArguments)
+
+    expect(result).to.be.eql([argument1, argument2])
+  })
+})
@@ -0,0 +1,26 @@
+describe('getArgumentsObject tests', () => {
+  const scope = {}
+  const calledArguments = ['arg1', 'arg2']
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'createArgumentsObject')
+      .withArgs(calledArguments).returns('resultFromCreateArgumentsObject')
+  })
+
+  it('should return result from createArgumentsObject given function referring to arguments', () => {
+    esprimaParser.argumentsReferences.set(scope, true)
+
+    expect(esprimaParser.getArgumentsObject({scope}, calledArguments)).to.be.equal('resultFromCreateArgumentsObject')
+  })
+
+  it('should return result from createArgumentsObject given function never resolved', () => {
+    expect(esprimaParser.getArgumentsObject({scope}, calledArguments)).to.be.equal('resultFromCreateArgumentsObject')
+  })
+
+  it('should return undefined given function not referring to arguments', () => {
+    esprimaParser.argumentsReferences.set(scope, false)
+
+    expect(esprimaParser.getArgumentsObject({scope}, calledArguments)).to.be.undefined
+    expect(esprimaParser.createArgumentsObject.called).to.be.false
+  })
+})
@@ -0,0 +1,39 @@
+describe('getAssignSubExpressions tests', () => {
+  let left, right
+
+  beforeEach(() => {
+    left = createAstNode('MemberExpression')
+    right = createAstNode('Expression')
+    sandbox.stub(esprimaParser, 'isDestructuringPattern').returns(false)
+    sandbox.stub(esprimaParser, 'getRefSubExpressions')
+      .returns(['resultFromGetRefSubExpressions'])
+  })
+
+  it('should return [right] given left is destructuring pattern', () => {
+    esprimaParser.isDestructuringPattern.returns(true)
+
+    const result = esprimaParser.getAssignSubExpressions({left, right, operator: '='})
+
+    expect(
+      esprimaParser.isDestructuringPattern
+        .calledWithExactly(left)
+    ).to.be.true
+    expect(result).to.be.eql([right])
+  })
+
+  it('should return sub expressions of left and right given \'=\' operator', () => {
+    const result = esprimaParser.getAssignSubExpressions({left, right, operator: '='})
+
+    expect(
+      esprimaParser.getRefSubExpressions
+        .calledWithExactly(left)
+    ).to.be.true
+    expect(result).to.be.eql(['resultFromGetRefSubExpressions', right])
+  })
+
+  it('should return sub expressions of left and right given compound operator', () => {
+    const result = esprimaParser.getAssignSubExpressions({left, right, operator: '+='})
+
+    expect(result).to.be.eql(['resultFromGetRefSubExpressions', right])
+  })
+})
@@ -1,55 +1,56 @@
 describe('getAssignValue tests', () => {
-  const binaryExpressionStub = {
-    left: 'left',
-    right: 'right'
-  }
+  const exp = {caller: {}, callee: 'callee'}
   let assignmentExpression
 
   beforeEach(() => {
     assignmentExpression = createAstNode('AssignmentExpression', {
-      operator: 'assignmentOperator',
+      operator: '=',
       left: createAstNode('ExpressionLeft'),
       right: createAstNode('ExpressionRight')
     })
 
-    sandbox.stub(esprimaParser, 'transAssignmentToBinary')
-      .returns(binaryExpressionStub)
-    sandbox.stub(esprimaParser, 'BinaryExpression')
-      .returns('resultFromBinaryExpression')
     sandbox.stub(esprimaParser, 'parseNode')
       .returns('resultFromParseNode')
+    sandbox.stub(esprimaParser, 'getInferredName')
+      .returns('name')
+    sandbox.stub(esprimaParser, 'getRefValue')
+      .withArgs(exp, assignmentExpression.left).returns('origin')
+    sandbox.stub(esprimaParser, 'calculateCompoundValue')
+      .returns('resultFromCalculateCompoundValue')
   })
 
-  it('should call transAssignmentToBinary with assignmentExpression', () => {
-    esprimaParser.getAssignValue(assignmentExpression)
+  it('should return result from parseNode called with right and name inferred from left given \'=\' operator', () => {
+    const result = esprimaParser.getAssignValue(assignmentExpression, exp)
 
     expect(
-      esprimaParser.transAssignmentToBinary
-        .calledWithExactly(assignmentExpression)
+      esprimaParser.getInferredName
+        .calledWithExactly(assignmentExpression.left)
     ).to.be.true
-  })
-
-  it('should return result from BinaryExpression called with result from transAssignmentToBinary given non-empty operator string', () => {
-    binaryExpressionStub.operator = '+'
-
-    const result = esprimaParser.getAssignValue(assignmentExpression)
-
     expect(
-      esprimaParser.BinaryExpression
-        .calledWithExactly(binaryExpressionStub)
+      esprimaParser.parseNode
+        .calledWithExactly(assignmentExpression.right, {name: 'name'})
     ).to.be.true
-    expect(result).to.be.equal('resultFromBinaryExpression')
+    expect(esprimaParser.getRefValue.called).to.be.false
+    expect(result).to.be.equal('resultFromParseNode')
   })
 
-  it('should return result from parseNode called with right of result from transAssignmentToBinary given empty operator string', () => {
-    binaryExpressionStub.operator = ''
+  it('should return result from calculateCompoundValue called with operator, value of exp and right parsed given compound operator', () => {
+    assignmentExpression.operator = '**='
 
-    const result = esprimaParser.getAssignValue(assignmentExpression)
+    const result = esprimaParser.getAssignValue(assignmentExpression, exp)
 
+    expect(
+      esprimaParser.getRefValue
+        .calledBefore(esprimaParser.parseNode)
+    ).to.be.true
     expect(
       esprimaParser.parseNode
-        .calledWithExactly(binaryExpressionStub.right)
+        .calledWithExactly(assignmentExpression.right)
     ).to.be.true
-    expect(result).to.be.equal('resultFromParseNode')
+    expect(
+      esprimaParser.calculateCompoundValue
+        .calledWithExactly('**=', 'origin', 'resultFromParseNode')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCalculateCompoundValue')
   })
 })
@@ -0,0 +1,44 @@
+describe('getAsyncIterator tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'getIterator')
+      .returns('resultFromGetIterator')
+    sandbox.stub(esprimaParser, 'createAsyncFromSyncIterator')
+      .returns('resultFromCreateAsyncFromSyncIterator')
+  })
+
+  it('should return result from Symbol.asyncIterator method of value', () => {
+    const value = {
+      [Symbol.asyncIterator]: sandbox.stub().returns('asyncIterator')
+    }
+    const result = esprimaParser.getAsyncIterator(value)
+
+    expect(value[Symbol.asyncIterator].calledOn(value)).to.be.true
+    expect(result).to.be.equal('asyncIterator')
+  })
+
+  it('should return result from createAsyncFromSyncIterator called with result from getIterator given no Symbol.asyncIterator method', () => {
+    const value = []
+    const result = esprimaParser.getAsyncIterator(value)
+
+    expect(
+      esprimaParser.getIterator
+        .calledWithExactly(value)
+    ).to.be.true
+    expect(
+      esprimaParser.createAsyncFromSyncIterator
+        .calledWithExactly('resultFromGetIterator')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateAsyncFromSyncIterator')
+  })
+
+  it('should call getIterator with value given undefined or null', () => {
+    for (const value of [undefined, null]) {
+      esprimaParser.getAsyncIterator(value)
+
+      expect(
+        esprimaParser.getIterator
+          .calledWithExactly(value)
+      ).to.be.true
+    }
+  })
+})
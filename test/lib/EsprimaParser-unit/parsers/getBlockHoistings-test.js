@@ -0,0 +1,34 @@
+describe('getBlockHoistings tests', () => {
+  const hoistings = [{variable: 'a', kind: 'let'}]
+  let scope, statements
+
+  beforeEach(() => {
+    scope = createAstNode('BlockStatement')
+    statements = [createAstNode('Statement')]
+
+    sandbox.stub(esprimaParser, 'searchBlockHoistings')
+      .withArgs(statements).returns(hoistings)
+  })
+
+  it('should return result from searchBlockHoistings called with statements', () => {
+    const result = esprimaParser.getBlockHoistings(scope, statements)
+
+    expect(result).to.be.equal(hoistings)
+  })
+
+  it('should search statements only once per scope', () => {
+    esprimaParser.getBlockHoistings(scope, statements)
+
+    const result = esprimaParser.getBlockHoistings(scope, statements)
+
+    expect(esprimaParser.searchBlockHoistings.calledOnce).to.be.true
+    expect(result).to.be.equal(hoistings)
+  })
+
+  it('should search statements again given another scope', () => {
+    esprimaParser.getBlockHoistings(scope, statements)
+    esprimaParser.getBlockHoistings(createAstNode('ForStatement'), statements)
+
+    expect(esprimaParser.searchBlockHoistings.calledTwice).to.be.true
+  })
+})
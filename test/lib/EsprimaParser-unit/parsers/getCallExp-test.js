@@ -51,6 +51,29 @@ describe('getCallExp tests', () => {
     ).to.be.true
   })
 
+  it('should not call checkOptionalChain given call not optional', () => {
+    sandbox.stub(esprimaParser, 'checkOptionalChain')
+
+    esprimaParser.getCallExp(callExpression)
+
+    expect(esprimaParser.checkOptionalChain.called).to.be.false
+  })
+
+  it('should call checkOptionalChain with called method before parseArguments given call optional', () => {
+    callExpression.optional = true
+    sandbox.stub(esprimaParser, 'getCalledMethod')
+      .withArgs(exp).returns('resultFromGetCalledMethod')
+    sandbox.stub(esprimaParser, 'checkOptionalChain')
+
+    esprimaParser.getCallExp(callExpression)
+
+    expect(
+      esprimaParser.checkOptionalChain
+        .calledWithExactly('resultFromGetCalledMethod')
+    ).to.be.true
+    expect(esprimaParser.checkOptionalChain.calledBefore(esprimaParser.parseArguments)).to.be.true
+  })
+
   it('should return exp (from parseCallee)', () => {
     const result = esprimaParser.getCallExp(callExpression)
 
@@ -0,0 +1,19 @@
+describe('getCallFrameName tests', () => {
+  it('should return name of functionAgentData given no newTarget', () => {
+    const result = esprimaParser.getCallFrameName({name: 'name'}, {})
+
+    expect(result).to.be.equal('name')
+  })
+
+  it('should return name prefixed by new given newTarget', () => {
+    const result = esprimaParser.getCallFrameName({name: 'Name'}, {newTarget: function () {}})
+
+    expect(result).to.be.equal('new Name')
+  })
+
+  it('should return new <anonymous> given newTarget and empty name', () => {
+    const result = esprimaParser.getCallFrameName({name: ''}, {newTarget: function () {}})
+
+    expect(result).to.be.equal('new <anonymous>')
+  })
+})
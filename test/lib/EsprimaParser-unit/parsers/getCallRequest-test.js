@@ -0,0 +1,111 @@
+describe('getCallRequest tests', () => {
+  const calledMethod = function () {}
+  const thisArg = {}
+  const argumentsList = ['arg1', 'arg2']
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'createFunctionCallRequest')
+      .returns('resultFromCreateFunctionCallRequest')
+    sandbox.stub(esprimaParser, 'createApplyRequest')
+      .returns('resultFromCreateApplyRequest')
+    sandbox.stub(esprimaParser, 'createConstructRequest')
+      .returns('resultFromCreateConstructRequest')
+  })
+
+  it('should return result from createFunctionCallRequest called with called method, caller and arguments', () => {
+    const exp = {caller: thisArg, callee: {arguments: argumentsList}}
+
+    const result = esprimaParser.getCallRequest(calledMethod, exp)
+
+    expect(
+      esprimaParser.createFunctionCallRequest
+        .calledWithExactly(calledMethod, thisArg, argumentsList)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateFunctionCallRequest')
+  })
+
+  it('should return result from createFunctionCallRequest called with caller, first argument and the rest given Function.prototype.call', () => {
+    const exp = {caller: calledMethod, callee: {arguments: [thisArg, ...argumentsList]}}
+
+    const result = esprimaParser.getCallRequest(Function.prototype.call, exp)
+
+    expect(
+      esprimaParser.createFunctionCallRequest
+        .calledWithExactly(calledMethod, thisArg, argumentsList)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateFunctionCallRequest')
+  })
+
+  it('should return result from createApplyRequest called with caller and arguments given Function.prototype.apply', () => {
+    const exp = {caller: calledMethod, callee: {arguments: [thisArg, argumentsList]}}
+
+    const result = esprimaParser.getCallRequest(Function.prototype.apply, exp)
+
+    expect(
+      esprimaParser.createApplyRequest
+        .calledWithExactly(calledMethod, thisArg, argumentsList)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateApplyRequest')
+  })
+
+  it('should return result from createFunctionCallRequest called with caller, first argument and no arguments given Function.prototype.apply with nullish arguments list', () => {
+    for (const nullish of [null, undefined]) {
+      const exp = {caller: calledMethod, callee: {arguments: [thisArg, nullish]}}
+
+      esprimaParser.getCallRequest(Function.prototype.apply, exp)
+
+      expect(
+        esprimaParser.createFunctionCallRequest
+          .calledWithExactly(calledMethod, thisArg, [])
+      ).to.be.true
+    }
+    expect(esprimaParser.createApplyRequest.called).to.be.false
+  })
+
+  it('should return result from createApplyRequest called with arguments given Reflect.apply', () => {
+    const exp = {caller: Reflect, callee: {arguments: [calledMethod, thisArg, argumentsList]}}
+
+    const result = esprimaParser.getCallRequest(Reflect.apply, exp)
+
+    expect(
+      esprimaParser.createApplyRequest
+        .calledWithExactly(calledMethod, thisArg, argumentsList)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateApplyRequest')
+  })
+
+  it('should return result from createConstructRequest called with arguments given Reflect.construct', () => {
+    const newTarget = function () {}
+    const exp = {caller: Reflect, callee: {arguments: [calledMethod, argumentsList, newTarget]}}
+
+    const result = esprimaParser.getCallRequest(Reflect.construct, exp)
+
+    expect(
+      esprimaParser.createConstructRequest
+        .calledWithExactly(calledMethod, argumentsList, newTarget)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateConstructRequest')
+  })
+
+  it('should call createConstructRequest with constructor as newTarget given Reflect.construct without newTarget', () => {
+    const exp = {caller: Reflect, callee: {arguments: [calledMethod, argumentsList]}}
+
+    esprimaParser.getCallRequest(Reflect.construct, exp)
+
+    expect(
+      esprimaParser.createConstructRequest
+        .calledWithExactly(calledMethod, argumentsList, calledMethod)
+    ).to.be.true
+  })
+
+  it('should call createConstructRequest with undefined newTarget given Reflect.construct with undefined newTarget', () => {
+    const exp = {caller: Reflect, callee: {arguments: [calledMethod, argumentsList, undefined]}}
+
+    esprimaParser.getCallRequest(Reflect.construct, exp)
+
+    expect(
+      esprimaParser.createConstructRequest
+        .calledWithExactly(calledMethod, argumentsList, undefined)
+    ).to.be.true
+  })
+})
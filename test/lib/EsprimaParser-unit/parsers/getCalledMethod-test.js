@@ -20,4 +20,21 @@ describe('getCalledMethod tests', () => {
 
     expect(result).to.be.equal(caller[callee.method])
   })
+
+  it('should return method from superBase with caller as receiver given superBase', () => {
+    const caller = {
+      method: function () {}
+    }
+    const superBase = {
+      get method() {
+        return this
+      }
+    }
+    const callee = {
+      method: 'method'
+    }
+    const result = esprimaParser.getCalledMethod({caller, callee, superBase})
+
+    expect(result).to.be.equal(caller)
+  })
 })
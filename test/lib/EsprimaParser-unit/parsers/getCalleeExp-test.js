@@ -17,6 +17,34 @@ describe('getCalleeExp tests', () => {
     expect(result).to.be.equal(exp)
   })
 
+  it('should call getIdentifierExp with expression and return given expression is Identifier', () => {
+    expression = createAstNode('Identifier')
+
+    sandbox.stub(esprimaParser, 'getIdentifierExp').returns(exp)
+
+    const result = esprimaParser.getCalleeExp(expression)
+
+    expect(
+      esprimaParser.getIdentifierExp
+        .calledWithExactly(expression)
+    ).to.be.true
+    expect(result).to.be.equal(exp)
+  })
+
+  it('should call getChainCalleeExp with expression and return given expression is ChainExpression', () => {
+    expression = createAstNode('ChainExpression')
+
+    sandbox.stub(esprimaParser, 'getChainCalleeExp').returns(exp)
+
+    const result = esprimaParser.getCalleeExp(expression)
+
+    expect(
+      esprimaParser.getChainCalleeExp
+        .calledWithExactly(expression)
+    ).to.be.true
+    expect(result).to.be.equal(exp)
+  })
+
   it('should call getOtherExp with expression and return given expression is OtherExpression', () => {
     expression = createAstNode('OtherExpression')
 
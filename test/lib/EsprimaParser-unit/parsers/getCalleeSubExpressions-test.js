@@ -0,0 +1,41 @@
+describe('getCalleeSubExpressions tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'getRefSubExpressions')
+      .returns(['resultFromGetRefSubExpressions'])
+  })
+
+  it('should return empty array given Super', () => {
+    const callee = createAstNode('Super')
+
+    expect(esprimaParser.getCalleeSubExpressions(callee)).to.be.eql([])
+  })
+
+  it('should return result from getRefSubExpressions called with callee given MemberExpression', () => {
+    const callee = createAstNode('MemberExpression')
+
+    const result = esprimaParser.getCalleeSubExpressions(callee)
+
+    expect(
+      esprimaParser.getRefSubExpressions
+        .calledWithExactly(callee)
+    ).to.be.true
+    expect(result).to.be.eql(['resultFromGetRefSubExpressions'])
+  })
+
+  it('should return result from getChainCalleeSubExpressions called with callee given ChainExpression', () => {
+    const callee = createAstNode('ChainExpression')
+
+    sandbox.stub(esprimaParser, 'getChainCalleeSubExpressions')
+      .withArgs(callee).returns(['resultFromGetChainCalleeSubExpressions'])
+
+    const result = esprimaParser.getCalleeSubExpressions(callee)
+
+    expect(result).to.be.eql(['resultFromGetChainCalleeSubExpressions'])
+  })
+
+  it('should return [callee] given other expressions', () => {
+    const callee = createAstNode('Identifier')
+
+    expect(esprimaParser.getCalleeSubExpressions(callee)).to.be.eql([callee])
+  })
+})
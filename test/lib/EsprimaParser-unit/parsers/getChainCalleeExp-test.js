@@ -0,0 +1,57 @@
+describe('getChainCalleeExp tests', () => {
+  const exp = {caller: {}, callee: 'callee'}
+  let chainExpression
+
+  beforeEach(() => {
+    chainExpression = createAstNode('ChainExpression', {
+      expression: createAstNode('MemberExpression')
+    })
+    sandbox.stub(esprimaParser, 'getMemberExp')
+      .withArgs(chainExpression.expression).returns(exp)
+    sandbox.stub(esprimaParser, 'getOtherExp')
+      .withArgs(chainExpression).returns('resultFromGetOtherExp')
+  })
+
+  it('should return result from getMemberExp called with expression of chainExpression given MemberExpression', () => {
+    const result = esprimaParser.getChainCalleeExp(chainExpression)
+
+    expect(result).to.be.equal(exp)
+  })
+
+  it('should return exp of undefined caller and callee given chain short-circuited', () => {
+    esprimaParser.getMemberExp
+      .withArgs(chainExpression.expression).throws(esprimaParser.shortCircuit)
+
+    const result = esprimaParser.getChainCalleeExp(chainExpression)
+
+    expect(result).to.be.eql({caller: undefined, callee: undefined})
+  })
+
+  it('should throw other errors', () => {
+    const error = new Error()
+
+    esprimaParser.getMemberExp
+      .withArgs(chainExpression.expression).throws(error)
+
+    expect(() => {
+      esprimaParser.getChainCalleeExp(chainExpression)
+    }).to.throw(error)
+  })
+
+  it('should return result from getOtherExp called with chainExpression given expression other than MemberExpression', () => {
+    chainExpression.expression = createAstNode('CallExpression')
+
+    const result = esprimaParser.getChainCalleeExp(chainExpression)
+
+    expect(result).to.be.equal('resultFromGetOtherExp')
+  })
+
+  it('should return result from getOtherExp called with chainExpression given chainExpression resolved', () => {
+    esprimaParser.resolvedValues.set(chainExpression, 'value')
+
+    const result = esprimaParser.getChainCalleeExp(chainExpression)
+
+    expect(esprimaParser.getMemberExp.called).to.be.false
+    expect(result).to.be.equal('resultFromGetOtherExp')
+  })
+})
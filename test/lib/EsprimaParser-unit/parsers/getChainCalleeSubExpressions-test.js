@@ -0,0 +1,50 @@
+describe('getChainCalleeSubExpressions tests', () => {
+  let chainExpression
+
+  beforeEach(() => {
+    chainExpression = createAstNode('ChainExpression', {
+      expression: createAstNode('MemberExpression', {
+        object: createAstNode('Object')
+      })
+    })
+    sandbox.stub(esprimaParser, 'getRefSubExpressions')
+      .withArgs(chainExpression.expression).returns(['resultFromGetRefSubExpressions'])
+    sandbox.stub(esprimaParser, 'isWithinChain')
+      .withArgs(chainExpression.expression.object).returns(false)
+    sandbox.stub(esprimaParser, 'isSuspendable').returns(false)
+  })
+
+  it('should return result from getRefSubExpressions called with member given object not within chain', () => {
+    const result = esprimaParser.getChainCalleeSubExpressions(chainExpression)
+
+    expect(result).to.be.eql(['resultFromGetRefSubExpressions'])
+  })
+
+  it('should return [chainExpression] given expression other than MemberExpression', () => {
+    chainExpression.expression = createAstNode('CallExpression')
+
+    const result = esprimaParser.getChainCalleeSubExpressions(chainExpression)
+
+    expect(result).to.be.eql([chainExpression])
+  })
+
+  it('should return empty array given object within chain and chain not suspendable', () => {
+    esprimaParser.isWithinChain
+      .withArgs(chainExpression.expression.object).returns(true)
+
+    const result = esprimaParser.getChainCalleeSubExpressions(chainExpression)
+
+    expect(result).to.be.eql([])
+  })
+
+  it('should return [chainExpression] given object within chain and chain suspendable', () => {
+    esprimaParser.isWithinChain
+      .withArgs(chainExpression.expression.object).returns(true)
+    esprimaParser.isSuspendable
+      .withArgs(chainExpression).returns(true)
+
+    const result = esprimaParser.getChainCalleeSubExpressions(chainExpression)
+
+    expect(result).to.be.eql([chainExpression])
+  })
+})
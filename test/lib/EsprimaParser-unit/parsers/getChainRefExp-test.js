@@ -0,0 +1,37 @@
+describe('getChainRefExp tests', () => {
+  let chainExpression
+
+  beforeEach(() => {
+    chainExpression = createAstNode('ChainExpression', {
+      expression: createAstNode('MemberExpression')
+    })
+    sandbox.stub(esprimaParser, 'getRefExp')
+      .withArgs(chainExpression.expression).returns('resultFromGetRefExp')
+  })
+
+  it('should return result from getRefExp called with expression of chainExpression', () => {
+    const result = esprimaParser.getChainRefExp(chainExpression)
+
+    expect(result).to.be.equal('resultFromGetRefExp')
+  })
+
+  it('should return undefined given chain short-circuited', () => {
+    esprimaParser.getRefExp
+      .withArgs(chainExpression.expression).throws(esprimaParser.shortCircuit)
+
+    const result = esprimaParser.getChainRefExp(chainExpression)
+
+    expect(result).to.be.undefined
+  })
+
+  it('should throw other errors', () => {
+    const error = new Error()
+
+    esprimaParser.getRefExp
+      .withArgs(chainExpression.expression).throws(error)
+
+    expect(() => {
+      esprimaParser.getChainRefExp(chainExpression)
+    }).to.throw(error)
+  })
+})
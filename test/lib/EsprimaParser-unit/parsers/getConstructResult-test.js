@@ -0,0 +1,31 @@
+describe('getConstructResult tests', () => {
+  const thisValue = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'closureStack', {
+      get: sandbox.stub().withArgs('this').returns(thisValue)
+    })
+  })
+
+  it('should return result given result is an object', () => {
+    const object = {}
+
+    expect(esprimaParser.getConstructResult(object, false)).to.be.equal(object)
+    expect(esprimaParser.getConstructResult(object, true)).to.be.equal(object)
+  })
+
+  it('should return this given result is not an object in base class', () => {
+    expect(esprimaParser.getConstructResult(undefined, false)).to.be.equal(thisValue)
+    expect(esprimaParser.getConstructResult(1, false)).to.be.equal(thisValue)
+  })
+
+  it('should return this given undefined result in derived class', () => {
+    expect(esprimaParser.getConstructResult(undefined, true)).to.be.equal(thisValue)
+  })
+
+  it('should throw TypeError given result is neither object nor undefined in derived class', () => {
+    expect(() => {
+      esprimaParser.getConstructResult(1, true)
+    }).to.throw(TypeError)
+  })
+})
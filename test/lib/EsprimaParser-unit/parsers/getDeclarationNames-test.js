@@ -0,0 +1,19 @@
+describe('getDeclarationNames tests', () => {
+  it('should return result from getNameFromVariableDeclaration given VariableDeclaration', () => {
+    const declaration = createAstNode('VariableDeclaration')
+
+    sandbox.stub(esprimaParser, 'getNameFromVariableDeclaration')
+      .withArgs(declaration).returns(['a', 'b'])
+
+    expect(esprimaParser.getDeclarationNames(declaration)).to.be.eql(['a', 'b'])
+  })
+
+  it('should return name of id given FunctionDeclaration or ClassDeclaration', () => {
+    for (const type of ['FunctionDeclaration', 'ClassDeclaration']) {
+      const declaration = createAstNode(type, {
+        id: createAstNode('Identifier', {name: 'a'})
+      })
+      expect(esprimaParser.getDeclarationNames(declaration)).to.be.eql(['a'])
+    }
+  })
+})
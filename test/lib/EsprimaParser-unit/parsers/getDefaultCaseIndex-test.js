@@ -0,0 +1,20 @@
+describe('getDefaultCaseIndex tests', () => {
+  it('should return index of case with null test', () => {
+    const switchCases = [
+      {type: 'SwitchCase', test: {type: 'Test'}},
+      {type: 'SwitchCase', test: null}
+    ]
+    const result = esprimaParser.getDefaultCaseIndex(switchCases)
+
+    expect(result).to.be.equal(1)
+  })
+
+  it('should return -1 given no default case', () => {
+    const switchCases = [
+      {type: 'SwitchCase', test: {type: 'Test'}}
+    ]
+    const result = esprimaParser.getDefaultCaseIndex(switchCases)
+
+    expect(result).to.be.equal(-1)
+  })
+})
@@ -0,0 +1,13 @@
+describe('getDefaultGeneratorPrototype tests', () => {
+  it('should return generatorPrototype given not async', () => {
+    const result = esprimaParser.getDefaultGeneratorPrototype({isAsync: false})
+
+    expect(result).to.be.equal(esprimaParser.generatorPrototype)
+  })
+
+  it('should return asyncGeneratorPrototype given async', () => {
+    const result = esprimaParser.getDefaultGeneratorPrototype({isAsync: true})
+
+    expect(result).to.be.equal(esprimaParser.asyncGeneratorPrototype)
+  })
+})
@@ -4,19 +4,23 @@ describe('getEnvironment tests', () => {
   beforeEach(() => {
     context = {
       scriptUrl: 'scriptUrl',
+      sourceText: 'sourceText',
+      strict: true,
       closureStack: {
         getClone: sandbox.stub().returns('closureStack')
       }
     }
   })
 
-  it('should return an object containing given context\'s scriptUrl and copy of closureStack', () => {
+  it('should return an object containing given context\'s scriptUrl, sourceText, copy of closureStack and strict', () => {
     const result = esprimaParser.getEnvironment(context)
 
     expect(context.closureStack.getClone.called).to.be.true
     expect(result).to.be.eql({
       scriptUrl: 'scriptUrl',
-      closureStack: 'closureStack'
+      sourceText: 'sourceText',
+      closureStack: 'closureStack',
+      strict: true
     })
   })
 })
@@ -0,0 +1,23 @@
+describe('getErrorStack tests', () => {
+  const frames = ['frame1', 'frame2']
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'formatCallFrame', (frame) => `formatted ${frame}`)
+  })
+
+  it('should return header of error followed by frames formatted by formatCallFrame', () => {
+    const result = esprimaParser.getErrorStack(new TypeError('message'), frames)
+
+    expect(result).to.be.equal([
+      'TypeError: message',
+      '    at formatted frame1',
+      '    at formatted frame2'
+    ].join('\n'))
+  })
+
+  it('should return only header given no frames', () => {
+    const result = esprimaParser.getErrorStack(new Error(), [])
+
+    expect(result).to.be.equal('Error')
+  })
+})
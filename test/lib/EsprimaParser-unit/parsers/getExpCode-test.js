@@ -0,0 +1,24 @@
+describe('getExpCode tests', () => {
+  let expression
+
+  beforeEach(() => {
+    expression = createAstNode('MemberOrCallExpression')
+
+    sandbox.stub(esprimaParser, 'generateCode')
+      .withArgs(expression).returns('resultFromGenerateCode')
+  })
+
+  it('should return result from generateCode called with expression', () => {
+    const result = esprimaParser.getExpCode(expression)
+
+    expect(result).to.be.equal('resultFromGenerateCode')
+  })
+
+  it('should call generateCode only once for each expression', () => {
+    esprimaParser.getExpCode(expression)
+    const result = esprimaParser.getExpCode(expression)
+
+    expect(esprimaParser.generateCode.calledOnce).to.be.true
+    expect(result).to.be.equal('resultFromGenerateCode')
+  })
+})
@@ -1,20 +1,41 @@
 describe('getExpInfo tests', () => {
-  it('should return an object containing code from escodegen called with expression, loc from expression.loc and scriptUrl from EsprimaParser', () => {
-    const expression = createAstNode('MemberOrCallExpression')
+  let ExpInfo, expression
 
+  before(() => {
+    ExpInfo = require(`${libDir}/structures/ExpInfo`)
+  })
+
+  beforeEach(() => {
+    expression = createAstNode('MemberOrCallExpression')
     expression.loc = {}
 
     sandbox.stub(esprimaParser, 'scriptUrl', 'scriptUrl')
-    sandbox.stub(esprimaParser, 'escodegen', {
-      generate: sandbox.stub()
-        .withArgs(expression).returns('resultFromEscodegen')
-    })
+    sandbox.stub(esprimaParser, 'getExpCode')
+      .withArgs(expression).returns('resultFromGetExpCode')
+  })
+
+  it('should return an object containing loc from expression.loc and scriptUrl from EsprimaParser', () => {
+    const result = esprimaParser.getExpInfo(expression)
+
+    expect(result.loc).to.be.equal(expression.loc)
+    expect(result.scriptUrl).to.be.equal('scriptUrl')
+  })
+
+  it('should not call getExpCode until code read', () => {
+    const result = esprimaParser.getExpInfo(expression)
+
+    expect(esprimaParser.getExpCode.called).to.be.false
+    expect(result.code).to.be.equal('resultFromGetExpCode')
+    expect(
+      esprimaParser.getExpCode
+        .calledWithExactly(expression)
+    ).to.be.true
+  })
+
+  it('should return an ExpInfo of expression', () => {
     const result = esprimaParser.getExpInfo(expression)
 
-    expect(result).to.be.eql({
-      code: 'resultFromEscodegen',
-      loc: expression.loc,
-      scriptUrl: 'scriptUrl'
-    })
+    expect(result).to.be.instanceof(ExpInfo)
+    expect(result.expression).to.be.equal(expression)
   })
 })
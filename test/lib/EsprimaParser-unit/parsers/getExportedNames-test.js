@@ -0,0 +1,31 @@
+describe('getExportedNames tests', () => {
+  let moduleA, moduleB, record
+
+  beforeEach(() => {
+    moduleA = {url: 'a', requestedModules: new Map()}
+    moduleB = {url: 'b', requestedModules: new Map()}
+    record = {url: 'main', requestedModules: new Map([['./a.js', moduleA], ['./b.js', moduleB]])}
+    moduleB.requestedModules.set('./main.js', record)
+
+    sandbox.stub(esprimaParser, 'getModuleEntries')
+      .withArgs(record).returns({
+        localExports: new Map([['a', 'a'], ['default', '*default*']]),
+        indirectExports: new Map([['b', {}]]),
+        starExports: ['./a.js', './b.js']
+      })
+      .withArgs(moduleA).returns({
+        localExports: new Map([['c', 'c'], ['default', '*default*']]),
+        indirectExports: new Map([['a', {}]]),
+        starExports: []
+      })
+      .withArgs(moduleB).returns({
+        localExports: new Map([['d', 'd']]),
+        indirectExports: new Map(),
+        starExports: ['./main.js']
+      })
+  })
+
+  it('should return local, indirect and star exported names except default from star exports', () => {
+    expect(esprimaParser.getExportedNames(record)).to.be.eql(['a', 'default', 'b', 'c', 'd'])
+  })
+})
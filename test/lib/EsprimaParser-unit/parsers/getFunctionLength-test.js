@@ -0,0 +1,29 @@
+describe('getFunctionLength tests', () => {
+  it('should return length of params given no default or rest param', () => {
+    const params = [
+      createAstNode('Identifier'),
+      createAstNode('ObjectPattern')
+    ]
+
+    expect(esprimaParser.getFunctionLength(params)).to.be.equal(2)
+  })
+
+  it('should return number of params before rest param', () => {
+    const params = [
+      createAstNode('Identifier'),
+      createAstNode('RestElement')
+    ]
+
+    expect(esprimaParser.getFunctionLength(params)).to.be.equal(1)
+  })
+
+  it('should return number of params before the first default param', () => {
+    const params = [
+      createAstNode('Identifier'),
+      createAstNode('AssignmentPattern'),
+      createAstNode('Identifier')
+    ]
+
+    expect(esprimaParser.getFunctionLength(params)).to.be.equal(1)
+  })
+})
@@ -0,0 +1,24 @@
+describe('getFunctionName tests', () => {
+  it('should return key as string', () => {
+    expect(esprimaParser.getFunctionName('key')).to.be.equal('key')
+    expect(esprimaParser.getFunctionName(1)).to.be.equal('1')
+  })
+
+  it('should return description of symbol key in brackets', () => {
+    const result = esprimaParser.getFunctionName(Symbol.iterator)
+
+    expect(result).to.be.equal('[Symbol.iterator]')
+  })
+
+  it('should return empty string given symbol key without description', () => {
+    const result = esprimaParser.getFunctionName(Symbol())
+
+    expect(result).to.be.equal('')
+  })
+
+  it('should prepend prefix to name given prefix', () => {
+    const result = esprimaParser.getFunctionName('key', 'get')
+
+    expect(result).to.be.equal('get key')
+  })
+})
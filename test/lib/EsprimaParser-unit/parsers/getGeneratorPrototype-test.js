@@ -0,0 +1,38 @@
+describe('getGeneratorPrototype tests', () => {
+  it('should return prototype of generatorAgent given it is an object', () => {
+    const prototype = {}
+    const generatorAgent = function () {}
+
+    generatorAgent.prototype = prototype
+
+    const result = esprimaParser.getGeneratorPrototype({generatorAgent})
+
+    expect(result).to.be.equal(prototype)
+  })
+
+  it('should return result from getDefaultGeneratorPrototype called with functionAgentData given prototype of generatorAgent is not an object', () => {
+    const generatorAgent = function () {}
+    const functionAgentData = {generatorAgent}
+
+    generatorAgent.prototype = null
+    sandbox.stub(esprimaParser, 'getDefaultGeneratorPrototype')
+      .returns('resultFromGetDefaultGeneratorPrototype')
+
+    const result = esprimaParser.getGeneratorPrototype(functionAgentData)
+
+    expect(
+      esprimaParser.getDefaultGeneratorPrototype
+        .calledWithExactly(functionAgentData)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromGetDefaultGeneratorPrototype')
+  })
+
+  it('should return result from getDefaultGeneratorPrototype given no generatorAgent', () => {
+    sandbox.stub(esprimaParser, 'getDefaultGeneratorPrototype')
+      .returns('resultFromGetDefaultGeneratorPrototype')
+
+    const result = esprimaParser.getGeneratorPrototype({})
+
+    expect(result).to.be.equal('resultFromGetDefaultGeneratorPrototype')
+  })
+})
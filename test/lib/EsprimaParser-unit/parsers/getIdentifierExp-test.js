@@ -0,0 +1,49 @@
+describe('getIdentifierExp tests', () => {
+  let identifier
+
+  beforeEach(() => {
+    identifier = createAstNode('Identifier', {name: 'method'})
+
+    sandbox.stub(esprimaParser, 'closureStack', {
+      getBindingObject: sandbox.stub().returns(undefined)
+    })
+    sandbox.stub(esprimaParser, 'getOtherExp')
+      .returns('resultFromGetOtherExp')
+  })
+
+  it('should return result from getOtherExp called with identifier given variable not bound by with statement', () => {
+    const result = esprimaParser.getIdentifierExp(identifier)
+
+    expect(
+      esprimaParser.closureStack.getBindingObject
+        .calledWithExactly('method')
+    ).to.be.true
+    expect(
+      esprimaParser.getOtherExp
+        .calledWithExactly(identifier)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromGetOtherExp')
+  })
+
+  it('should return result from getOtherExp without looking up binding object given identifier resolved', () => {
+    esprimaParser.resolvedIdentifiers.set(identifier, {hops: 0, scope: null})
+
+    const result = esprimaParser.getIdentifierExp(identifier)
+
+    expect(esprimaParser.closureStack.getBindingObject.called).to.be.false
+    expect(result).to.be.equal('resultFromGetOtherExp')
+  })
+
+  it('should return an object containing caller of binding object and callee of name given variable bound by with statement', () => {
+    const bindingObject = {}
+
+    esprimaParser.closureStack.getBindingObject
+      .withArgs('method').returns(bindingObject)
+
+    const result = esprimaParser.getIdentifierExp(identifier)
+
+    expect(esprimaParser.getOtherExp.called).to.be.false
+    expect(result.caller).to.be.equal(bindingObject)
+    expect(result.callee).to.be.equal('method')
+  })
+})
@@ -0,0 +1,17 @@
+describe('getInferredName tests', () => {
+  it('should return name of target given Identifier', () => {
+    const target = createAstNode('Identifier', {name: 'a'})
+
+    const result = esprimaParser.getInferredName(target)
+
+    expect(result).to.be.equal('a')
+  })
+
+  it('should return undefined given target not Identifier', () => {
+    const target = createAstNode('MemberExpression')
+
+    const result = esprimaParser.getInferredName(target)
+
+    expect(result).to.be.undefined
+  })
+})
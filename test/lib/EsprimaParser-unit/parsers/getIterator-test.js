@@ -0,0 +1,20 @@
+describe('getIterator tests', () => {
+  it('should return iterator from value[Symbol.iterator]', () => {
+    const iterator = {}
+    const value = {
+      [Symbol.iterator]: sandbox.stub().returns(iterator)
+    }
+    const result = esprimaParser.getIterator(value)
+
+    expect(value[Symbol.iterator].calledOn(value)).to.be.true
+    expect(result).to.be.equal(iterator)
+  })
+
+  it('should throw TypeError given non-iterable value', () => {
+    for (const value of [undefined, null, 1, {}]) {
+      expect(() => {
+        esprimaParser.getIterator(value)
+      }).to.throw(TypeError)
+    }
+  })
+})
@@ -2,13 +2,16 @@ describe('parseIterator tests', () => {
   let node
 
   describe('VariableDeclaration', () => {
-    const variables = ['var1', 'var2', 'var3']
-
     beforeEach(() => {
-      node = createAstNode('VariableDeclaration')
-
+      node = createAstNode('VariableDeclaration', {
+        kind: 'var',
+        declarations: [
+          createAstNode('VariableDeclarator', {
+            id: createAstNode('Pattern')
+          })
+        ]
+      })
       sandbox.stub(esprimaParser, 'parseNode')
-      sandbox.stub(esprimaParser, 'getNameFromVariableDeclaration').returns(variables)
     })
 
     it('should call parseNode with node', () => {
@@ -20,63 +23,29 @@ describe('parseIterator tests', () => {
       ).to.be.true
     })
 
-    it('should call getNameFromVariableDeclaration with node', () => {
-      esprimaParser.parseIterator(node)
+    it('should not call parseNode with node given let / const declaration', () => {
+      for (const kind of ['let', 'const']) {
+        node.kind = kind
 
-      expect(
-        esprimaParser.getNameFromVariableDeclaration
-          .calledWithExactly(node)
-      ).to.be.true
+        esprimaParser.parseIterator(node)
+      }
+      expect(esprimaParser.parseNode.called).to.be.false
     })
 
-    it('should return first element of result from getNameFromVariableDeclaration', () => {
+    it('should return id of first declaration', () => {
       const result = esprimaParser.parseIterator(node)
 
-      expect(result).to.be.equal(variables[0])
+      expect(result).to.be.equal(node.declarations[0].id)
     })
   })
 
   describe('Pattern', () => {
-    const variable = 'var'
+    it('should return node itself', () => {
+      node = createAstNode('ObjectPattern')
 
-    beforeEach(() => {
-      node = createAstNode('Identifier')
-
-      sandbox.stub(esprimaParser, 'getNameFromPattern').returns(variable)
-    })
-
-    it('should call getNameFromPattern with node and return', () => {
       const result = esprimaParser.parseIterator(node)
 
-      expect(
-        esprimaParser.getNameFromPattern
-          .calledWithExactly(node)
-      ).to.be.true
-      expect(result).to.be.equal(variable)
+      expect(result).to.be.equal(node)
     })
   })
-  //
-  // it('should call getNameFromVariableDeclaration with node and return given node type VariableDeclaration', () => {
-  //   node = createAstNode('VariableDeclaration')
-  //
-  //   const result = esprimaParser.parseIterator(node)
-  //
-  //   expect(
-  //     esprimaParser.getNameFromVariableDeclaration
-  //       .calledWithExactly(node)
-  //   ).to.be.true
-  //   expect(result).to.be.equal('resultFromGetNameFromVariableDeclaration')
-  // })
-  //
-  // it('should call getNameFromPattern with node and return given node type other than VariableDeclaration', () => {
-  //   node = createAstNode('Pattern')
-  //
-  //   const result = esprimaParser.parseIterator(node)
-  //
-  //   expect(
-  //     esprimaParser.getNameFromPattern
-  //       .calledWithExactly(node)
-  //   ).to.be.true
-  //   expect(result).to.be.equal('resultFromGetNameFromPattern')
-  // })
 })
@@ -0,0 +1,50 @@
+describe('getMatchedCaseIndex tests', () => {
+  const test1 = {type: 'Test1'}
+  const test2 = {type: 'Test2'}
+  const test3 = {type: 'Test3'}
+  let switchCases
+
+  beforeEach(() => {
+    switchCases = [
+      {type: 'SwitchCase', test: test1},
+      {type: 'SwitchCase', test: null},
+      {type: 'SwitchCase', test: test2},
+      {type: 'SwitchCase', test: test3}
+    ]
+    sandbox.stub(esprimaParser, 'isCaseMatched')
+      .withArgs(test2, 'discriminant').returns(true)
+    sandbox.stub(esprimaParser, 'getDefaultCaseIndex')
+      .returns('indexOfDefaultCase')
+  })
+
+  it('should call isCaseMatched with tests of cases other than default until the first matched one', () => {
+    esprimaParser.getMatchedCaseIndex(switchCases, 'discriminant')
+
+    expect(esprimaParser.isCaseMatched.calledTwice).to.be.true
+    expect(
+      esprimaParser.isCaseMatched.firstCall
+        .calledWithExactly(test1, 'discriminant')
+    ).to.be.true
+    expect(
+      esprimaParser.isCaseMatched.secondCall
+        .calledWithExactly(test2, 'discriminant')
+    ).to.be.true
+  })
+
+  it('should return index of the first matched case even if it is after default case', () => {
+    const result = esprimaParser.getMatchedCaseIndex(switchCases, 'discriminant')
+
+    expect(esprimaParser.getDefaultCaseIndex.called).to.be.false
+    expect(result).to.be.equal(2)
+  })
+
+  it('should return result from getDefaultCaseIndex given no case matched', () => {
+    const result = esprimaParser.getMatchedCaseIndex(switchCases, 'unmatched')
+
+    expect(
+      esprimaParser.getDefaultCaseIndex
+        .calledWithExactly(switchCases)
+    ).to.be.true
+    expect(result).to.be.equal('indexOfDefaultCase')
+  })
+})
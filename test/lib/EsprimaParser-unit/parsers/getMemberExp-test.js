@@ -14,6 +14,9 @@ describe('getMemberExp tests', () => {
       .returns(caller)
     sandbox.stub(esprimaParser, 'getPropertyKey')
       .returns(callee)
+    sandbox.stub(esprimaParser, 'isSuper').returns(false)
+    sandbox.stub(esprimaParser, 'getSuperMemberExp')
+      .returns('resultFromGetSuperMemberExp')
   })
 
   it('should call parseNode with object', () => {
@@ -39,4 +42,42 @@ describe('getMemberExp tests', () => {
 
     expect(result).to.be.eql({caller, callee})
   })
+
+  it('should not call checkOptionalChain given member not optional', () => {
+    sandbox.stub(esprimaParser, 'checkOptionalChain')
+
+    esprimaParser.getMemberExp(memberExpression)
+
+    expect(esprimaParser.checkOptionalChain.called).to.be.false
+  })
+
+  it('should call checkOptionalChain with caller before getPropertyKey given member optional', () => {
+    memberExpression.optional = true
+    sandbox.stub(esprimaParser, 'checkOptionalChain')
+
+    esprimaParser.getMemberExp(memberExpression)
+
+    expect(
+      esprimaParser.checkOptionalChain
+        .calledWithExactly(caller)
+    ).to.be.true
+    expect(esprimaParser.checkOptionalChain.calledBefore(esprimaParser.getPropertyKey)).to.be.true
+  })
+
+  it('should call getSuperMemberExp with memberExpression and return given object is Super', () => {
+    esprimaParser.isSuper.returns(true)
+
+    const result = esprimaParser.getMemberExp(memberExpression)
+
+    expect(
+      esprimaParser.isSuper
+        .calledWithExactly(memberExpression.object)
+    ).to.be.true
+    expect(
+      esprimaParser.getSuperMemberExp
+        .calledWithExactly(memberExpression)
+    ).to.be.true
+    expect(esprimaParser.parseNode.called).to.be.false
+    expect(result).to.be.equal('resultFromGetSuperMemberExp')
+  })
 })
@@ -0,0 +1,42 @@
+describe('getMethodDescriptor tests', () => {
+  const methodAgent = function () {}
+
+  it('should return non-enumerable getter descriptor given kind get', () => {
+    const result = esprimaParser.getMethodDescriptor('get', methodAgent)
+
+    expect(result).to.be.eql({
+      get: methodAgent,
+      enumerable: false,
+      configurable: true
+    })
+  })
+
+  it('should return non-enumerable setter descriptor given kind set', () => {
+    const result = esprimaParser.getMethodDescriptor('set', methodAgent)
+
+    expect(result).to.be.eql({
+      set: methodAgent,
+      enumerable: false,
+      configurable: true
+    })
+  })
+
+  it('should return non-enumerable writable value descriptor given kind method', () => {
+    const result = esprimaParser.getMethodDescriptor('method', methodAgent)
+
+    expect(result).to.be.eql({
+      value: methodAgent,
+      writable: true,
+      enumerable: false,
+      configurable: true
+    })
+  })
+
+  it('should return enumerable descriptors given enumerable true', () => {
+    for (const kind of ['get', 'set', 'init']) {
+      const result = esprimaParser.getMethodDescriptor(kind, methodAgent, true)
+
+      expect(result.enumerable).to.be.true
+    }
+  })
+})
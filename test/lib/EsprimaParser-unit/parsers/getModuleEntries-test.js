@@ -0,0 +1,23 @@
+describe('getModuleEntries tests', () => {
+  const entries = {}
+  let record
+
+  beforeEach(() => {
+    record = {ast: createAstNode('Program', {body: []}), entries: null}
+
+    sandbox.stub(esprimaParser, 'parseModuleEntries')
+      .withArgs(record.ast.body).returns(entries)
+  })
+
+  it('should return result from parseModuleEntries called with body of record', () => {
+    expect(esprimaParser.getModuleEntries(record)).to.be.equal(entries)
+  })
+
+  it('should cache entries in record', () => {
+    esprimaParser.getModuleEntries(record)
+    esprimaParser.getModuleEntries(record)
+
+    expect(esprimaParser.parseModuleEntries.calledOnce).to.be.true
+    expect(record.entries).to.be.equal(entries)
+  })
+})
@@ -0,0 +1,13 @@
+describe('getModuleExportName tests', () => {
+  it('should return name given Identifier', () => {
+    const node = createAstNode('Identifier', {name: 'a'})
+
+    expect(esprimaParser.getModuleExportName(node)).to.be.equal('a')
+  })
+
+  it('should return value given Literal', () => {
+    const node = createAstNode('Literal', {value: 'a-b'})
+
+    expect(esprimaParser.getModuleExportName(node)).to.be.equal('a-b')
+  })
+})
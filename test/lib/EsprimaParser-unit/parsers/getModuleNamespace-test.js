@@ -0,0 +1,23 @@
+describe('getModuleNamespace tests', () => {
+  const namespace = {}
+  let record
+
+  beforeEach(() => {
+    record = {namespace: null}
+
+    sandbox.stub(esprimaParser, 'createModuleNamespace')
+      .withArgs(record).returns(namespace)
+  })
+
+  it('should return result from createModuleNamespace called with record', () => {
+    expect(esprimaParser.getModuleNamespace(record)).to.be.equal(namespace)
+  })
+
+  it('should cache namespace in record', () => {
+    esprimaParser.getModuleNamespace(record)
+    esprimaParser.getModuleNamespace(record)
+
+    expect(esprimaParser.createModuleNamespace.calledOnce).to.be.true
+    expect(record.namespace).to.be.equal(namespace)
+  })
+})
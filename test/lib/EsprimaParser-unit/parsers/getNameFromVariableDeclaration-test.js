@@ -9,29 +9,34 @@ describe('getNameFromVariableDeclaration tests', () => {
     ]
     variableDeclaration = createAstNode('VariableDeclaration', {declarations})
 
-    sandbox.stub(esprimaParser, 'getNameFromPattern', createParseNodeStub())
+    sandbox.stub(esprimaParser, 'getNamesFromPattern', (pattern) => {
+      return [`parsed${pattern.type}`, `parsed${pattern.type}Nested`]
+    })
   })
 
-  it('should call getNameFromPattern with each declarations', () => {
+  it('should call getNamesFromPattern with each declarations', () => {
     esprimaParser.getNameFromVariableDeclaration(variableDeclaration)
 
-    expect(esprimaParser.getNameFromPattern.callCount).to.be.equal(declarations.length)
+    expect(esprimaParser.getNamesFromPattern.callCount).to.be.equal(declarations.length)
 
     for (const [index, declaration] of declarations.entries()) {
       expect(
-        esprimaParser.getNameFromPattern.getCall(index)
+        esprimaParser.getNamesFromPattern.getCall(index)
           .calledWithExactly(declaration.id)
       ).to.be.true
     }
   })
 
-  it('should return an array concating all results from getNameFromPattern', () => {
+  it('should return an array concating all results from getNamesFromPattern', () => {
     const result = esprimaParser.getNameFromVariableDeclaration(variableDeclaration)
 
     expect(result).to.be.eql([
       'parsedPattern1',
+      'parsedPattern1Nested',
       'parsedPattern2',
+      'parsedPattern2Nested',
       'parsedPattern3',
+      'parsedPattern3Nested'
     ])
   })
 })
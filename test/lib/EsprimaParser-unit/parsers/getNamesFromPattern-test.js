@@ -0,0 +1,73 @@
+describe('getNamesFromPattern tests', () => {
+  const identifier = (name) => createAstNode('Identifier', {name})
+
+  it('should return [name] given Identifier', () => {
+    const result = esprimaParser.getNamesFromPattern(identifier('a'))
+
+    expect(result).to.be.eql(['a'])
+  })
+
+  it('should return names of property values and rest argument given ObjectPattern', () => {
+    const pattern = createAstNode('ObjectPattern', {
+      properties: [
+        createAstNode('Property', {key: identifier('a'), value: identifier('a')}),
+        createAstNode('Property', {key: identifier('b'), value: identifier('c')}),
+        createAstNode('RestElement', {argument: identifier('d')})
+      ]
+    })
+    const result = esprimaParser.getNamesFromPattern(pattern)
+
+    expect(result).to.be.eql(['a', 'c', 'd'])
+  })
+
+  it('should return names of elements given ArrayPattern with holes', () => {
+    const pattern = createAstNode('ArrayPattern', {
+      elements: [
+        null,
+        identifier('a'),
+        createAstNode('RestElement', {argument: identifier('b')})
+      ]
+    })
+    const result = esprimaParser.getNamesFromPattern(pattern)
+
+    expect(result).to.be.eql(['a', 'b'])
+  })
+
+  it('should return names of left given AssignmentPattern', () => {
+    const pattern = createAstNode('AssignmentPattern', {
+      left: identifier('a'),
+      right: createAstNode('Expression')
+    })
+    const result = esprimaParser.getNamesFromPattern(pattern)
+
+    expect(result).to.be.eql(['a'])
+  })
+
+  it('should return names in nested patterns', () => {
+    const pattern = createAstNode('ArrayPattern', {
+      elements: [
+        createAstNode('ObjectPattern', {
+          properties: [
+            createAstNode('Property', {
+              key: identifier('a'),
+              value: createAstNode('AssignmentPattern', {
+                left: createAstNode('ArrayPattern', {
+                  elements: [identifier('b'), identifier('c')]
+                })
+              })
+            })
+          ]
+        })
+      ]
+    })
+    const result = esprimaParser.getNamesFromPattern(pattern)
+
+    expect(result).to.be.eql(['b', 'c'])
+  })
+
+  it('should return empty array given MemberExpression', () => {
+    const result = esprimaParser.getNamesFromPattern(createAstNode('MemberExpression'))
+
+    expect(result).to.be.eql([])
+  })
+})
@@ -8,6 +8,9 @@ describe('getPatternExp tests', () => {
 
     sandbox.stub(esprimaParser, 'getNameFromPattern')
       .returns(patternName)
+    sandbox.stub(esprimaParser, 'closureStack', {
+      getBindingObject: sandbox.stub().returns(undefined)
+    })
   })
 
   it('should call getNameFromPattern with pattern', () => {
@@ -27,4 +30,33 @@ describe('getPatternExp tests', () => {
       callee: patternName
     })
   })
+
+  it('should return an object containing caller of binding object given variable bound by with statement', () => {
+    const bindingObject = {}
+
+    esprimaParser.closureStack.getBindingObject
+      .withArgs(patternName).returns(bindingObject)
+
+    const result = esprimaParser.getPatternExp(pattern)
+
+    expect(result).to.be.eql({
+      caller: bindingObject,
+      callee: patternName
+    })
+    expect(result.caller).to.be.equal(bindingObject)
+  })
+  it('should return an object containing caller of undefined and reference given pattern resolved beforehand', () => {
+    const reference = {hops: 0, scope: {}}
+
+    esprimaParser.resolvedIdentifiers.set(pattern, reference)
+
+    const result = esprimaParser.getPatternExp(pattern)
+
+    expect(esprimaParser.closureStack.getBindingObject.called).to.be.false
+    expect(result).to.be.eql({
+      caller: undefined,
+      callee: patternName,
+      reference
+    })
+  })
 })
@@ -43,4 +43,19 @@ describe('getPropertyKey tests', () => {
       expect(result).to.be.equal('b')
     })
   }
+
+  it('should return result from abortUnsupportedNode called with key given PrivateIdentifier key', () => {
+    const key = createAstNode('PrivateIdentifier', {name: 'a'})
+
+    sandbox.stub(esprimaParser, 'abortUnsupportedNode')
+      .returns('resultFromAbortUnsupportedNode')
+
+    const result = esprimaParser.getPropertyKey(key, false)
+
+    expect(
+      esprimaParser.abortUnsupportedNode
+        .calledWithExactly(key)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromAbortUnsupportedNode')
+  })
 })
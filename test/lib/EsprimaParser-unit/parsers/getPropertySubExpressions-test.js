@@ -0,0 +1,34 @@
+describe('getPropertySubExpressions tests', () => {
+  let key, value
+
+  beforeEach(() => {
+    key = createAstNode('Key')
+    value = createAstNode('Value')
+  })
+
+  it('should return [argument] given SpreadElement', () => {
+    const property = createAstNode('SpreadElement', {argument: value})
+
+    expect(esprimaParser.getPropertySubExpressions(property)).to.be.eql([value])
+  })
+
+  it('should return [value] given non-computed property', () => {
+    const property = createAstNode('Property', {key, value, computed: false, kind: 'init'})
+
+    expect(esprimaParser.getPropertySubExpressions(property)).to.be.eql([value])
+  })
+
+  it('should return [key, value] given computed property', () => {
+    const property = createAstNode('Property', {key, value, computed: true, kind: 'init'})
+
+    expect(esprimaParser.getPropertySubExpressions(property)).to.be.eql([key, value])
+  })
+
+  it('should exclude value given method property', () => {
+    const property = createAstNode('Property', {key, value, computed: true, kind: 'get'})
+    const nonComputed = createAstNode('Property', {key, value, computed: false, method: true, kind: 'init'})
+
+    expect(esprimaParser.getPropertySubExpressions(property)).to.be.eql([key])
+    expect(esprimaParser.getPropertySubExpressions(nonComputed)).to.be.eql([])
+  })
+})
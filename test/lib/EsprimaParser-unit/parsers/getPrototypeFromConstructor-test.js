@@ -0,0 +1,15 @@
+describe('getPrototypeFromConstructor tests', () => {
+  it('should return prototype of newTarget given it is object', () => {
+    const newTarget = function () {}
+
+    expect(esprimaParser.getPrototypeFromConstructor(newTarget)).to.be.equal(newTarget.prototype)
+  })
+
+  it('should return Object.prototype given prototype of newTarget is not object', () => {
+    const newTarget = function () {}
+
+    newTarget.prototype = 1
+
+    expect(esprimaParser.getPrototypeFromConstructor(newTarget)).to.be.equal(Object.prototype)
+  })
+})
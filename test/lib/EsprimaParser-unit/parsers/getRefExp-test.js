@@ -15,6 +15,18 @@ describe('getRefExp tests', () => {
     expect(result).to.be.equal('resultFromGetMemberExp')
   })
 
+  it('should call getChainRefExp with expression and return given expression is ChainExpression', () => {
+    const expression = createAstNode('ChainExpression')
+
+    sandbox.stub(esprimaParser, 'getChainRefExp')
+      .withArgs(expression)
+        .returns('resultFromGetChainRefExp')
+
+    const result = esprimaParser.getRefExp(expression)
+
+    expect(result).to.be.equal('resultFromGetChainRefExp')
+  })
+
   it('should call getPatternExp with expression and return given expression is other expression', () => {
     const expression = createAstNode('OtherExpression')
 
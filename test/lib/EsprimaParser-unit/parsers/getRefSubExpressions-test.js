@@ -0,0 +1,37 @@
+describe('getRefSubExpressions tests', () => {
+  let object, property
+
+  beforeEach(() => {
+    object = createAstNode('Expression1')
+    property = createAstNode('Expression2')
+    sandbox.stub(esprimaParser, 'isSuper', (node) => node.type === 'Super')
+  })
+
+  it('should return empty array given expression not MemberExpression', () => {
+    const expression = createAstNode('Identifier')
+
+    expect(esprimaParser.getRefSubExpressions(expression)).to.be.eql([])
+  })
+
+  it('should return [object] given non-computed MemberExpression', () => {
+    const expression = createAstNode('MemberExpression', {object, property, computed: false})
+
+    expect(esprimaParser.getRefSubExpressions(expression)).to.be.eql([object])
+  })
+
+  it('should return [object, property] given computed MemberExpression', () => {
+    const expression = createAstNode('MemberExpression', {object, property, computed: true})
+
+    expect(esprimaParser.getRefSubExpressions(expression)).to.be.eql([object, property])
+  })
+
+  it('should exclude object given object is super', () => {
+    const expression = createAstNode('MemberExpression', {
+      object: createAstNode('Super'),
+      property,
+      computed: true
+    })
+
+    expect(esprimaParser.getRefSubExpressions(expression)).to.be.eql([property])
+  })
+})
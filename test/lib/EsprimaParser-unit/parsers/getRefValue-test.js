@@ -0,0 +1,25 @@
+describe('getRefValue tests', () => {
+  const exp = {caller: {a: 1}, callee: 'a'}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'executeMember').returns('resultFromExecuteMember')
+    sandbox.stub(esprimaParser, 'parseNode').returns('resultFromParseNode')
+  })
+
+  it('should return result from executeMember called with exp given MemberExpression', () => {
+    const expression = createAstNode('MemberExpression')
+    const result = esprimaParser.getRefValue(exp, expression)
+
+    expect(esprimaParser.executeMember.calledWithExactly(exp)).to.be.true
+    expect(esprimaParser.parseNode.called).to.be.false
+    expect(result).to.be.equal('resultFromExecuteMember')
+  })
+
+  it('should return result from parseNode called with expression given others', () => {
+    const expression = createAstNode('Identifier')
+    const result = esprimaParser.getRefValue(exp, expression)
+
+    expect(esprimaParser.parseNode.calledWithExactly(expression)).to.be.true
+    expect(result).to.be.equal('resultFromParseNode')
+  })
+})
@@ -0,0 +1,71 @@
+describe('getSourceText tests', () => {
+  const sourceText = 'var f = function (a) { return a }'
+  let node
+
+  beforeEach(() => {
+    node = createAstNode('FunctionExpression', {
+      range: [8, 33]
+    })
+    sandbox.stub(esprimaParser, 'escodegen', {
+      generate: sandbox.stub().returns('generatedCode')
+    })
+  })
+
+  it('should return sourceText sliced by range of node', () => {
+    esprimaParser.sourceText = sourceText
+
+    const result = esprimaParser.getSourceText(node)
+
+    expect(esprimaParser.escodegen.generate.called).to.be.false
+    expect(result).to.be.equal('function (a) { return a }')
+  })
+
+  it('should return result from escodegen.generate called with node given no sourceText', () => {
+    esprimaParser.sourceText = null
+
+    const result = esprimaParser.getSourceText(node)
+
+    expect(
+      esprimaParser.escodegen.generate
+        .calledWithExactly(node)
+    ).to.be.true
+    expect(result).to.be.equal('generatedCode')
+  })
+
+  it('should return result from escodegen.generate called with node given no range', () => {
+    esprimaParser.sourceText = sourceText
+    delete node.range
+
+    const result = esprimaParser.getSourceText(node)
+
+    expect(
+      esprimaParser.escodegen.generate
+        .calledWithExactly(node)
+    ).to.be.true
+    expect(result).to.be.equal('generatedCode')
+  })
+
+  it('should strip static from source text of static method', () => {
+    node = createAstNode('MethodDefinition', {
+      static: true,
+      range: [0, 19]
+    })
+    esprimaParser.sourceText = 'static  static() {}'
+
+    const result = esprimaParser.getSourceText(node)
+
+    expect(result).to.be.equal('static() {}')
+  })
+
+  it('should keep source text of non-static method named static', () => {
+    node = createAstNode('MethodDefinition', {
+      static: false,
+      range: [0, 11]
+    })
+    esprimaParser.sourceText = 'static() {}'
+
+    const result = esprimaParser.getSourceText(node)
+
+    expect(result).to.be.equal('static() {}')
+  })
+})
@@ -0,0 +1,154 @@
+describe('getSubExpressions tests', () => {
+  let expression1, expression2
+
+  beforeEach(() => {
+    expression1 = createAstNode('Expression1')
+    expression2 = createAstNode('Expression2')
+    sandbox.stub(esprimaParser, 'getRefSubExpressions')
+      .returns(['resultFromGetRefSubExpressions'])
+    sandbox.stub(esprimaParser, 'getAssignSubExpressions')
+      .returns(['resultFromGetAssignSubExpressions'])
+    sandbox.stub(esprimaParser, 'getCalleeSubExpressions')
+      .returns(['resultFromGetCalleeSubExpressions'])
+    sandbox.stub(esprimaParser, 'getArgumentSubExpressions')
+      .returns(['resultFromGetArgumentSubExpressions'])
+  })
+
+  it('should return [expression] given ExpressionStatement', () => {
+    const node = createAstNode('ExpressionStatement', {expression: expression1})
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql([expression1])
+  })
+
+  it('should return [argument] given ReturnStatement or ThrowStatement', () => {
+    for (const type of ['ReturnStatement', 'ThrowStatement']) {
+      const node = createAstNode(type, {argument: expression1})
+
+      expect(esprimaParser.getSubExpressions(node)).to.be.eql([expression1])
+    }
+  })
+
+  it('should return [argument] given UnaryExpression', () => {
+    const node = createAstNode('UnaryExpression', {operator: '!', argument: expression1})
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql([expression1])
+  })
+
+  it('should return result from getRefSubExpressions called with argument given delete UnaryExpression', () => {
+    const node = createAstNode('UnaryExpression', {operator: 'delete', argument: expression1})
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql(['resultFromGetRefSubExpressions'])
+    expect(
+      esprimaParser.getRefSubExpressions
+        .calledWithExactly(expression1)
+    ).to.be.true
+  })
+
+  it('should return [left, right] given BinaryExpression', () => {
+    const node = createAstNode('BinaryExpression', {left: expression1, right: expression2})
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql([expression1, expression2])
+  })
+
+  it('should return result from getAssignSubExpressions called with node given AssignmentExpression', () => {
+    const node = createAstNode('AssignmentExpression')
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql(['resultFromGetAssignSubExpressions'])
+    expect(
+      esprimaParser.getAssignSubExpressions
+        .calledWithExactly(node)
+    ).to.be.true
+  })
+
+  it('should return result from getRefSubExpressions called with node given MemberExpression', () => {
+    const node = createAstNode('MemberExpression')
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql(['resultFromGetRefSubExpressions'])
+    expect(
+      esprimaParser.getRefSubExpressions
+        .calledWithExactly(node)
+    ).to.be.true
+  })
+
+  it('should return sub expressions of callee and arguments given CallExpression', () => {
+    const node = createAstNode('CallExpression', {callee: expression1, arguments: [expression2]})
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql([
+      'resultFromGetCalleeSubExpressions',
+      'resultFromGetArgumentSubExpressions'
+    ])
+    expect(
+      esprimaParser.getCalleeSubExpressions
+        .calledWithExactly(expression1)
+    ).to.be.true
+    expect(
+      esprimaParser.getArgumentSubExpressions
+        .calledWithExactly(node.arguments)
+    ).to.be.true
+  })
+
+  it('should return callee and sub expressions of arguments given NewExpression', () => {
+    const node = createAstNode('NewExpression', {callee: expression1, arguments: [expression2]})
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql([
+      expression1,
+      'resultFromGetArgumentSubExpressions'
+    ])
+  })
+
+  it('should return sub expressions of tag and quasi expressions given TaggedTemplateExpression', () => {
+    const node = createAstNode('TaggedTemplateExpression', {
+      tag: expression1,
+      quasi: createAstNode('TemplateLiteral', {expressions: [expression2]})
+    })
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql([
+      'resultFromGetCalleeSubExpressions',
+      expression2
+    ])
+    expect(
+      esprimaParser.getCalleeSubExpressions
+        .calledWithExactly(expression1)
+    ).to.be.true
+  })
+
+  it('should return result from getArgumentSubExpressions called with non-hole elements given ArrayExpression', () => {
+    const node = createAstNode('ArrayExpression', {elements: [expression1, null, expression2]})
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql(['resultFromGetArgumentSubExpressions'])
+    expect(
+      esprimaParser.getArgumentSubExpressions
+        .calledWithExactly([expression1, expression2])
+    ).to.be.true
+  })
+
+  it('should return concatenated results from getPropertySubExpressions called with each property given ObjectExpression', () => {
+    const node = createAstNode('ObjectExpression', {properties: [expression1, expression2]})
+
+    sandbox.stub(esprimaParser, 'getPropertySubExpressions', (property) => [property, property])
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql([
+      expression1, expression1, expression2, expression2
+    ])
+  })
+
+  it('should return expressions given SequenceExpression or TemplateLiteral', () => {
+    for (const type of ['SequenceExpression', 'TemplateLiteral']) {
+      const node = createAstNode(type, {expressions: [expression1, expression2]})
+
+      expect(esprimaParser.getSubExpressions(node)).to.be.eql([expression1, expression2])
+    }
+  })
+
+  it('should return source given ImportExpression', () => {
+    const node = createAstNode('ImportExpression', {source: expression1})
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql([expression1])
+  })
+
+  it('should return empty array given other nodes', () => {
+    const node = createAstNode('OtherNode')
+
+    expect(esprimaParser.getSubExpressions(node)).to.be.eql([])
+  })
+})
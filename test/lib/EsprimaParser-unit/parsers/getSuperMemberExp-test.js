@@ -0,0 +1,41 @@
+describe('getSuperMemberExp tests', () => {
+  const thisValue = {}
+  const superBase = {}
+  const homeObject = Object.create(superBase)
+  let memberExpression
+
+  beforeEach(() => {
+    memberExpression = createAstNode('MemberExpression', {
+      object: createAstNode('Super'),
+      property: createAstNode('Expression || Identifier'),
+      computed: 'Boolean'
+    })
+    sandbox.stub(esprimaParser, 'closureStack', {
+      get: (variable) => {
+        return {'this': thisValue, 'super': homeObject}[variable]
+      }
+    })
+    sandbox.stub(esprimaParser, 'getPropertyKey')
+      .returns('resultFromGetPropertyKey')
+  })
+
+  it('should call getPropertyKey with property and computed', () => {
+    esprimaParser.getSuperMemberExp(memberExpression)
+
+    expect(
+      esprimaParser.getPropertyKey
+        .calledWithExactly(memberExpression.property, memberExpression.computed)
+    ).to.be.true
+  })
+
+  it('should return an object containing this as caller, key as callee and prototype of home object as superBase', () => {
+    const result = esprimaParser.getSuperMemberExp(memberExpression)
+
+    expect(result).to.be.eql({
+      caller: thisValue,
+      callee: 'resultFromGetPropertyKey',
+      superBase
+    })
+    expect(result.superBase).to.be.equal(superBase)
+  })
+})
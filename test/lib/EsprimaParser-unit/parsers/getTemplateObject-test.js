@@ -0,0 +1,31 @@
+describe('getTemplateObject tests', () => {
+  const templateObject = []
+  let templateLiteral
+
+  beforeEach(() => {
+    templateLiteral = createAstNode('TemplateLiteral', {
+      quasis: [createAstNode('TemplateElement')]
+    })
+    sandbox.stub(esprimaParser, 'templateObjects', new WeakMap())
+    sandbox.stub(esprimaParser, 'createTemplateObject').returns(templateObject)
+  })
+
+  it('should return result from createTemplateObject called with quasis given first evaluated', () => {
+    const result = esprimaParser.getTemplateObject(templateLiteral)
+
+    expect(
+      esprimaParser.createTemplateObject
+        .calledWithExactly(templateLiteral.quasis)
+    ).to.be.true
+    expect(result).to.be.equal(templateObject)
+  })
+
+  it('should return cached template object given evaluated before', () => {
+    esprimaParser.getTemplateObject(templateLiteral)
+
+    const result = esprimaParser.getTemplateObject(templateLiteral)
+
+    expect(esprimaParser.createTemplateObject.calledOnce).to.be.true
+    expect(result).to.be.equal(templateObject)
+  })
+})
@@ -0,0 +1,44 @@
+describe('getThisValue tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'context', {})
+  })
+
+  describe('strict mode', () => {
+    beforeEach(() => {
+      esprimaParser.strict = true
+    })
+
+    it('should return given this as it is', () => {
+      const thisArg = {}
+
+      expect(esprimaParser.getThisValue(thisArg)).to.be.equal(thisArg)
+      expect(esprimaParser.getThisValue(undefined)).to.be.undefined
+      expect(esprimaParser.getThisValue(null)).to.be.null
+      expect(esprimaParser.getThisValue(1)).to.be.equal(1)
+    })
+  })
+
+  describe('sloppy mode', () => {
+    beforeEach(() => {
+      esprimaParser.strict = false
+    })
+
+    it('should return esprimaParser.context given undefined or null', () => {
+      expect(esprimaParser.getThisValue(undefined)).to.be.equal(esprimaParser.context)
+      expect(esprimaParser.getThisValue(null)).to.be.equal(esprimaParser.context)
+    })
+
+    it('should return given this given object', () => {
+      const thisArg = {}
+
+      expect(esprimaParser.getThisValue(thisArg)).to.be.equal(thisArg)
+    })
+
+    it('should return given this wrapped by object given primitive', () => {
+      const result = esprimaParser.getThisValue(0)
+
+      expect(result).to.be.instanceof(Number)
+      expect(result.valueOf()).to.be.equal(0)
+    })
+  })
+})
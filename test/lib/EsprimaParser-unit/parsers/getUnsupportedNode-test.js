@@ -0,0 +1,47 @@
+describe('getUnsupportedNode tests', () => {
+  let statement
+
+  beforeEach(() => {
+    statement = createAstNode('Statement')
+
+    sandbox.stub(esprimaParser, 'findUnsupportedNode')
+  })
+
+  it('should return result from findUnsupportedNode called with statement, null and true', () => {
+    const unsupportedNode = createAstNode('StaticBlock')
+
+    esprimaParser.findUnsupportedNode.returns(unsupportedNode)
+
+    const result = esprimaParser.getUnsupportedNode(statement)
+
+    expect(
+      esprimaParser.findUnsupportedNode
+        .calledWithExactly(statement, null, true)
+    ).to.be.true
+    expect(result).to.be.equal(unsupportedNode)
+  })
+
+  it('should return null given findUnsupportedNode returns undefined', () => {
+    const result = esprimaParser.getUnsupportedNode(statement)
+
+    expect(result).to.be.null
+  })
+
+  it('should search statement only once', () => {
+    esprimaParser.getUnsupportedNode(statement)
+    esprimaParser.getUnsupportedNode(statement)
+
+    expect(esprimaParser.findUnsupportedNode.calledOnce).to.be.true
+  })
+
+  it('should return unsupported node set to unsupportedNodes before without searching', () => {
+    const awaitExpression = createAstNode('AwaitExpression')
+
+    esprimaParser.unsupportedNodes.set(statement, awaitExpression)
+
+    const result = esprimaParser.getUnsupportedNode(statement)
+
+    expect(esprimaParser.findUnsupportedNode.called).to.be.false
+    expect(result).to.be.equal(awaitExpression)
+  })
+})
@@ -0,0 +1,13 @@
+describe('getVarScope tests', () => {
+  it('should return the nearest var scope', () => {
+    const varScope = {isVar: true, parent: {isVar: true, parent: null}}
+    const scope = {isVar: false, parent: {isVar: false, parent: varScope}}
+
+    expect(esprimaParser.getVarScope(scope)).to.be.equal(varScope)
+  })
+
+  it('should return null given no var scope', () => {
+    expect(esprimaParser.getVarScope({isVar: false, parent: null})).to.be.null
+    expect(esprimaParser.getVarScope(null)).to.be.null
+  })
+})
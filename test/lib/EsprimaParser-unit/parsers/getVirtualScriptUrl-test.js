@@ -0,0 +1,33 @@
+describe('getVirtualScriptUrl tests', () => {
+  const loc = {start: {line: 3}}
+
+  beforeEach(() => {
+    esprimaParser.scriptUrl = 'http://x/a.js'
+  })
+
+  it('should return scriptUrl with line and kind', () => {
+    const result = esprimaParser.getVirtualScriptUrl('code', 'eval', loc)
+
+    expect(result).to.be.equal('http://x/a.js line 3 > eval')
+  })
+
+  it('should return scriptUrl with kind only given no loc', () => {
+    const result = esprimaParser.getVirtualScriptUrl('code', 'Function')
+
+    expect(result).to.be.equal('http://x/a.js > Function')
+  })
+
+  it('should return url of sourceURL comment in code', () => {
+    const result = esprimaParser.getVirtualScriptUrl('code\n//# sourceURL=widget.js', 'eval', loc)
+
+    expect(result).to.be.equal('widget.js')
+  })
+
+  it('should return url of the last sourceURL comment given deprecated syntax', () => {
+    const code = '//@ sourceURL=first.js\ncode\n//@ sourceURL=last.js'
+
+    const result = esprimaParser.getVirtualScriptUrl(code, 'eval', loc)
+
+    expect(result).to.be.equal('last.js')
+  })
+})
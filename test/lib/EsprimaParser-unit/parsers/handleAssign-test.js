@@ -1,17 +1,18 @@
 describe('handleAssign tests', () => {
   const value = 'new value'
 
-  it('should call updateVariables with callee and value given no caller reference', () => {
+  it('should call updateVariables with callee, value and reference given no caller reference', () => {
     const caller = undefined
     const callee = 'a'
+    const reference = {hops: 0, scope: {}}
 
     sandbox.stub(esprimaParser, 'updateVariables')
 
-    esprimaParser.handleAssign({caller, callee}, value)
+    esprimaParser.handleAssign({caller, callee, reference}, value)
 
     expect(
       esprimaParser.updateVariables
-        .calledWithExactly(callee, value)
+        .calledWithExactly(callee, value, reference)
     ).to.be.true
   })
 
@@ -32,4 +33,90 @@ describe('handleAssign tests', () => {
 
     expect(caller).to.be.eql([1, 'new value', 3])
   })
+
+  it('should set property of superBase with caller as receiver given superBase', () => {
+    const caller = {}
+    const superBase = {
+      set a(value) {
+        this.b = value
+      }
+    }
+    const callee = 'a'
+
+    esprimaParser.handleAssign({caller, callee, superBase}, value)
+
+    expect(caller).to.be.eql({b: 'new value'})
+  })
+
+  it('should call checkAssignResult with result of setting property of superBase and callee given superBase', () => {
+    const caller = {}
+    const superBase = Object.freeze({a: 'old value'})
+    const callee = 'a'
+
+    sandbox.stub(esprimaParser, 'checkAssignResult')
+
+    esprimaParser.handleAssign({caller, callee, superBase}, value)
+
+    expect(
+      esprimaParser.checkAssignResult
+        .calledWithExactly(false, callee)
+    ).to.be.true
+  })
+
+  it('should ignore failed assignment given not in strict mode', () => {
+    const caller = Object.freeze({a: 'old value'})
+    const callee = 'a'
+
+    esprimaParser.strict = false
+
+    esprimaParser.handleAssign({caller, callee}, value)
+    esprimaParser.handleAssign({caller: 'string', callee}, value)
+
+    expect(caller.a).to.be.equal('old value')
+  })
+
+  it('should call setter with primitive caller as this given not in strict mode', () => {
+    const callee = 'setterForHandleAssignTest'
+    let thisValue
+
+    Object.defineProperty(String.prototype, callee, {
+      set() {
+        'use strict'
+        thisValue = this
+      },
+      configurable: true
+    })
+    esprimaParser.strict = false
+
+    try {
+      esprimaParser.handleAssign({caller: 'string', callee}, value)
+    } finally {
+      delete String.prototype[callee]
+    }
+    expect(thisValue).to.be.equal('string')
+  })
+
+  it('should throw TypeError given failed assignment in strict mode', () => {
+    const caller = Object.freeze({a: 'old value'})
+    const callee = 'a'
+
+    esprimaParser.strict = true
+
+    expect(() => {
+      esprimaParser.handleAssign({caller, callee}, value)
+    }).to.throw(TypeError)
+    expect(() => {
+      esprimaParser.handleAssign({caller: 'string', callee}, value)
+    }).to.throw(TypeError)
+  })
+
+  it('should throw TypeError given null caller even not in strict mode', () => {
+    const callee = 'a'
+
+    esprimaParser.strict = false
+
+    expect(() => {
+      esprimaParser.handleAssign({caller: null, callee}, value)
+    }).to.throw(TypeError)
+  })
 })
@@ -0,0 +1,89 @@
+describe('handleBlockClosure tests', () => {
+  const hoistings = [{variable: 'a', kind: 'let'}]
+  const scope = {type: 'BlockStatement'}
+  let statements, parse
+
+  beforeEach(() => {
+    statements = [
+      createAstNode('Statement1'),
+      createAstNode('Statement2')
+    ]
+    parse = sandbox.stub().returns('resultFromParse')
+
+    sandbox.stub(esprimaParser, 'getBlockHoistings')
+      .returns(hoistings)
+    sandbox.stub(esprimaParser, 'setBlockHoistings')
+    sandbox.stub(esprimaParser, 'closureStack', {
+      createBlockClosure: sandbox.spy(),
+      removeLatestClosure: sandbox.spy()
+    })
+  })
+
+  it('should call getBlockHoistings with scope and statements', () => {
+    esprimaParser.handleBlockClosure(scope, statements, parse)
+
+    expect(
+      esprimaParser.getBlockHoistings
+        .calledWithExactly(scope, statements)
+    ).to.be.true
+  })
+
+  it('should call parse directly and return given no hoistings found', () => {
+    esprimaParser.getBlockHoistings.returns([])
+
+    const result = esprimaParser.handleBlockClosure(scope, statements, parse)
+
+    expect(parse.calledOnce).to.be.true
+    expect(esprimaParser.closureStack.createBlockClosure.called).to.be.false
+    expect(esprimaParser.setBlockHoistings.called).to.be.false
+    expect(result).to.be.equal('resultFromParse')
+  })
+
+  it('should call closureStack.createBlockClosure with scope then setBlockHoistings with hoistings', () => {
+    esprimaParser.handleBlockClosure(scope, statements, parse)
+
+    expect(
+      esprimaParser.closureStack.createBlockClosure
+        .calledOnce
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.createBlockClosure
+        .calledWithExactly(scope)
+    ).to.be.true
+    expect(
+      esprimaParser.setBlockHoistings
+        .calledWithExactly(hoistings)
+    ).to.be.true
+    expect(
+      esprimaParser.setBlockHoistings
+        .calledAfter(esprimaParser.closureStack.createBlockClosure)
+    ).to.be.true
+  })
+
+  it('should call parse after setBlockHoistings and return', () => {
+    const result = esprimaParser.handleBlockClosure(scope, statements, parse)
+
+    expect(parse.calledAfter(esprimaParser.setBlockHoistings)).to.be.true
+    expect(result).to.be.equal('resultFromParse')
+  })
+
+  it('should call closureStack.removeLatestClosure after parse', () => {
+    esprimaParser.handleBlockClosure(scope, statements, parse)
+
+    expect(
+      esprimaParser.closureStack.removeLatestClosure
+        .calledAfter(parse)
+    ).to.be.true
+  })
+
+  it('should call closureStack.removeLatestClosure given parse throws error', () => {
+    const error = new Error('error from parse')
+
+    parse.throws(error)
+
+    expect(() => {
+      esprimaParser.handleBlockClosure(scope, statements, parse)
+    }).to.throw(error)
+    expect(esprimaParser.closureStack.removeLatestClosure.calledOnce).to.be.true
+  })
+})
@@ -0,0 +1,35 @@
+describe('handleBlockHoisting tests', () => {
+  const hoistings = [
+    {variable: 'var1', kind: 'let'},
+    {variable: 'var2', kind: 'const'}
+  ]
+  let statements
+
+  beforeEach(() => {
+    statements = [
+      createAstNode('Statement1'),
+      createAstNode('Statement2'),
+      createAstNode('Statement3'),
+    ]
+    sandbox.stub(esprimaParser, 'searchBlockHoistings').returns(hoistings)
+    sandbox.stub(esprimaParser, 'setBlockHoistings')
+  })
+
+  it('should call searchBlockHoistings with statements', () => {
+    esprimaParser.handleBlockHoisting(statements)
+
+    expect(
+      esprimaParser.searchBlockHoistings
+        .calledWithExactly(statements)
+    ).to.be.true
+  })
+
+  it('should call setBlockHoistings with result from searchBlockHoistings', () => {
+    esprimaParser.handleBlockHoisting(statements)
+
+    expect(
+      esprimaParser.setBlockHoistings
+        .calledWithExactly(hoistings)
+    ).to.be.true
+  })
+})
@@ -43,5 +43,18 @@ describe('handleCatchClause tests', () => {
         error: errorFromParseCatchClause
       })
     })
+
+    it('should throw error rethrown by rethrowInterpreterError called with error thrown from parseCatchClause', () => {
+      const errorFromParseCatchClause = new Error('errorFromParseCatchClause')
+
+      esprimaParser.parseCatchClause
+        .throws(errorFromParseCatchClause)
+      sandbox.stub(esprimaParser, 'rethrowInterpreterError')
+        .withArgs(errorFromParseCatchClause).throws(errorFromParseCatchClause)
+
+      expect(() => {
+        esprimaParser.handleCatchClause(catchClause, error)
+      }).to.throw(errorFromParseCatchClause)
+    })
   })
 })
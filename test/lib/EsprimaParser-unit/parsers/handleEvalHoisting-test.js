@@ -0,0 +1,36 @@
+describe('handleEvalHoisting tests', () => {
+  let statements, functionClosure
+
+  beforeEach(() => {
+    statements = [createAstNode('Statement1'), createAstNode('Statement2')]
+    functionClosure = {
+      exist: sandbox.stub().returns(false)
+    }
+    sandbox.stub(esprimaParser, 'closureStack', {
+      getFunctionClosure: sandbox.stub().returns(functionClosure)
+    })
+    sandbox.stub(esprimaParser, 'searchHoistings').returns(['var1', 'var2'])
+    sandbox.stub(esprimaParser, 'setHoistings')
+  })
+
+  it('should call searchHoistings with statements', () => {
+    esprimaParser.handleEvalHoisting(statements)
+
+    expect(
+      esprimaParser.searchHoistings
+        .calledWithExactly(statements)
+    ).to.be.true
+  })
+
+  it('should call setHoistings with hoistings not existing in function closure', () => {
+    functionClosure.exist
+      .withArgs('var1').returns(true)
+
+    esprimaParser.handleEvalHoisting(statements)
+
+    expect(
+      esprimaParser.setHoistings
+        .calledWithExactly(['var2'])
+    ).to.be.true
+  })
+})
@@ -0,0 +1,73 @@
+describe('handleGeneratorBlockClosure tests', () => {
+  const hoistings = ['hoisting']
+  const scope = {type: 'BlockStatement'}
+  let statements, parse
+
+  beforeEach(() => {
+    statements = [createAstNode('Statement')]
+    parse = sandbox.spy(function* () {
+      return 'resultFromParse'
+    })
+    sandbox.stub(esprimaParser, 'getBlockHoistings')
+      .returns(hoistings)
+    sandbox.stub(esprimaParser, 'setBlockHoistings')
+    sandbox.stub(esprimaParser, 'closureStack', {
+      createBlockClosure: sandbox.spy(),
+      removeLatestClosure: sandbox.spy()
+    })
+  })
+
+  it('should return result from parse without block closure given no hoistings', () => {
+    esprimaParser.getBlockHoistings.returns([])
+
+    const result = runGenerator(esprimaParser.handleGeneratorBlockClosure(scope, statements, parse))
+
+    expect(
+      esprimaParser.getBlockHoistings
+        .calledWithExactly(scope, statements)
+    ).to.be.true
+    expect(esprimaParser.closureStack.createBlockClosure.called).to.be.false
+    expect(result).to.be.equal('resultFromParse')
+  })
+
+  it('should set hoistings in block closure created by scope before parse', () => {
+    runGenerator(esprimaParser.handleGeneratorBlockClosure(scope, statements, parse))
+
+    expect(
+      esprimaParser.closureStack.createBlockClosure
+        .calledWithExactly(scope)
+    ).to.be.true
+    expect(
+      esprimaParser.setBlockHoistings
+        .calledWithExactly(hoistings)
+    ).to.be.true
+    expect(
+      esprimaParser.setBlockHoistings
+        .calledAfter(esprimaParser.closureStack.createBlockClosure)
+    ).to.be.true
+    expect(parse.calledAfter(esprimaParser.setBlockHoistings)).to.be.true
+  })
+
+  it('should return result from parse and remove block closure', () => {
+    const result = runGenerator(esprimaParser.handleGeneratorBlockClosure(scope, statements, parse))
+
+    expect(
+      esprimaParser.closureStack.removeLatestClosure
+        .calledAfter(parse)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParse')
+  })
+
+  it('should remove block closure given parse throws error', () => {
+    const error = new Error()
+
+    parse = function* () {
+      throw error
+    }
+
+    expect(() => {
+      runGenerator(esprimaParser.handleGeneratorBlockClosure(scope, statements, parse))
+    }).to.throw(error)
+    expect(esprimaParser.closureStack.removeLatestClosure.calledOnce).to.be.true
+  })
+})
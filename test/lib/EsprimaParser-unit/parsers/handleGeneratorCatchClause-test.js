@@ -0,0 +1,55 @@
+describe('handleGeneratorCatchClause tests', () => {
+  const error = new Error()
+  let catchClause
+
+  beforeEach(() => {
+    catchClause = createAstNode('CatchClause')
+    sandbox.stub(esprimaParser, 'parseGeneratorCatchClause', function* () {
+      return 'resultFromParseGeneratorCatchClause'
+    })
+  })
+
+  it('should return {error} given no catchClause', () => {
+    const result = runGenerator(esprimaParser.handleGeneratorCatchClause(null, error))
+
+    expect(result).to.be.eql({error})
+  })
+
+  it('should return result from parseGeneratorCatchClause called with catchClause and error', () => {
+    const result = runGenerator(esprimaParser.handleGeneratorCatchClause(catchClause, error))
+
+    expect(
+      esprimaParser.parseGeneratorCatchClause
+        .calledWithExactly(catchClause, error)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseGeneratorCatchClause')
+  })
+
+  it('should return error thrown in catch clause', () => {
+    const errorInCatch = new Error()
+
+    esprimaParser.parseGeneratorCatchClause.restore()
+    sandbox.stub(esprimaParser, 'parseGeneratorCatchClause', function* () {
+      throw errorInCatch
+    })
+
+    const result = runGenerator(esprimaParser.handleGeneratorCatchClause(catchClause, error))
+
+    expect(result).to.be.eql({error: errorInCatch})
+  })
+
+  it('should throw error in catch clause rethrown by rethrowInterpreterError', () => {
+    const errorInCatch = new Error()
+
+    esprimaParser.parseGeneratorCatchClause.restore()
+    sandbox.stub(esprimaParser, 'parseGeneratorCatchClause', function* () {
+      throw errorInCatch
+    })
+    sandbox.stub(esprimaParser, 'rethrowInterpreterError')
+      .withArgs(errorInCatch).throws(errorInCatch)
+
+    expect(() => {
+      runGenerator(esprimaParser.handleGeneratorCatchClause(catchClause, error))
+    }).to.throw(errorInCatch)
+  })
+})
@@ -0,0 +1,21 @@
+describe('handleGeneratorExceptionBlock tests', () => {
+  it('should return result from getExceptionBlockResult called with result from parseGeneratorNode called with block', () => {
+    const block = createAstNode('BlockStatement')
+
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+    sandbox.stub(esprimaParser, 'getExceptionBlockResult')
+      .returns('resultFromGetExceptionBlockResult')
+
+    const result = runGenerator(esprimaParser.handleGeneratorExceptionBlock(block))
+
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledWithExactly(block)
+    ).to.be.true
+    expect(
+      esprimaParser.getExceptionBlockResult
+        .calledWithExactly('parsedBlockStatement')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromGetExceptionBlockResult')
+  })
+})
@@ -0,0 +1,58 @@
+describe('handleGeneratorTryBlock tests', () => {
+  let tryStatement, blockResult
+
+  beforeEach(() => {
+    tryStatement = createAstNode('TryStatement', {
+      block: createAstNode('BlockStatement'),
+      handler: createAstNode('CatchClause')
+    })
+    blockResult = {value: 'valueFromTryBlock'}
+    sandbox.stub(esprimaParser, 'handleGeneratorExceptionBlock', function* () {
+      if (blockResult instanceof Error) {
+        throw blockResult
+      }
+      return blockResult
+    })
+    sandbox.stub(esprimaParser, 'handleGeneratorCatchClause', function* () {
+      return {value: 'valueFromCatch'}
+    })
+  })
+
+  it('should return result from handleGeneratorExceptionBlock called with block given no error thrown', () => {
+    const result = runGenerator(esprimaParser.handleGeneratorTryBlock(tryStatement))
+
+    expect(
+      esprimaParser.handleGeneratorExceptionBlock
+        .calledWithExactly(tryStatement.block)
+    ).to.be.true
+    expect(esprimaParser.handleGeneratorCatchClause.called).to.be.false
+    expect(result).to.be.eql({value: 'valueFromTryBlock'})
+  })
+
+  it('should return result from handleGeneratorCatchClause called with handler and error given error thrown', () => {
+    const error = new Error()
+
+    blockResult = error
+
+    const result = runGenerator(esprimaParser.handleGeneratorTryBlock(tryStatement))
+
+    expect(
+      esprimaParser.handleGeneratorCatchClause
+        .calledWithExactly(tryStatement.handler, error)
+    ).to.be.true
+    expect(result).to.be.eql({value: 'valueFromCatch'})
+  })
+
+  it('should throw error rethrown by rethrowInterpreterError without calling handleGeneratorCatchClause', () => {
+    const error = new Error()
+
+    blockResult = error
+    sandbox.stub(esprimaParser, 'rethrowInterpreterError')
+      .withArgs(error).throws(error)
+
+    expect(() => {
+      runGenerator(esprimaParser.handleGeneratorTryBlock(tryStatement))
+    }).to.throw(error)
+    expect(esprimaParser.handleGeneratorCatchClause.called).to.be.false
+  })
+})
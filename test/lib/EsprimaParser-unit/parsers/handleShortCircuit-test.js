@@ -0,0 +1,22 @@
+describe('handleShortCircuit tests', () => {
+  it('should return undefined given shortCircuit', () => {
+    expect(esprimaParser.handleShortCircuit(esprimaParser.shortCircuit)).to.be.undefined
+  })
+
+  it('should return undefined given error thrown by checkOptionalChain with nullish value', () => {
+    let error
+
+    try {
+      esprimaParser.checkOptionalChain(null)
+    } catch (e) {
+      error = e
+    }
+    expect(esprimaParser.handleShortCircuit(error)).to.be.undefined
+  })
+
+  it('should throw given other errors', () => {
+    const error = new Error()
+
+    expect(() => esprimaParser.handleShortCircuit(error)).to.throw(error)
+  })
+})
@@ -0,0 +1,34 @@
+describe('hasUseStrictDirective tests', () => {
+  let useStrict, otherDirective
+
+  beforeEach(() => {
+    useStrict = createAstNode('ExpressionStatement', {directive: 'use strict'})
+    otherDirective = createAstNode('ExpressionStatement', {directive: 'other'})
+  })
+
+  it('should return true given \'use strict\' directive in directive prologue', () => {
+    const result = esprimaParser.hasUseStrictDirective([otherDirective, useStrict])
+
+    expect(result).to.be.true
+  })
+
+  it('should return false given \'use strict\' after directive prologue', () => {
+    const statement = createAstNode('ExpressionStatement')
+
+    const result = esprimaParser.hasUseStrictDirective([statement, useStrict])
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given no \'use strict\' directive', () => {
+    const result = esprimaParser.hasUseStrictDirective([otherDirective])
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given no statements', () => {
+    const result = esprimaParser.hasUseStrictDirective([])
+
+    expect(result).to.be.false
+  })
+})
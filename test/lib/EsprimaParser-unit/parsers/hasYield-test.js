@@ -0,0 +1,42 @@
+describe('hasYield tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'searchNodeOnce')
+      .returns('resultFromSearchNodeOnce')
+    sandbox.stub(esprimaParser, 'searchYield')
+      .returns('resultFromSearchYield')
+  })
+
+  it('should return result from searchNodeOnce called with node, yieldNodes and search', () => {
+    const node = createAstNode('Expression')
+
+    const result = esprimaParser.hasYield(node)
+
+    expect(
+      esprimaParser.searchNodeOnce
+        .calledWith(node, esprimaParser.yieldNodes)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromSearchNodeOnce')
+  })
+
+  it('should search by searchYield called with node and hasYield of child', () => {
+    const node = createAstNode('Expression')
+    const child = createAstNode('Child')
+
+    esprimaParser.hasYield(node)
+    const search = esprimaParser.searchNodeOnce.lastCall.args[2]
+
+    expect(search()).to.be.equal('resultFromSearchYield')
+    expect(
+      esprimaParser.searchYield
+        .calledWith(node)
+    ).to.be.true
+
+    esprimaParser.searchNodeOnce.reset()
+    esprimaParser.searchYield.lastCall.args[1](child)
+
+    expect(
+      esprimaParser.searchNodeOnce
+        .calledWith(child, esprimaParser.yieldNodes)
+    ).to.be.true
+  })
+})
@@ -0,0 +1,40 @@
+describe('importModule tests', () => {
+  const referrerUrl = 'http://example.com/main.js'
+  const url = 'http://example.com/module.js'
+  const record = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser.moduleLoader, 'resolve')
+      .withArgs('./module.js', referrerUrl).returns(url)
+    sandbox.stub(esprimaParser.moduleLoader, 'loadModule')
+      .withArgs(url).returns(Promise.resolve(record))
+    sandbox.stub(esprimaParser, 'instantiateModule')
+      .withArgs(record).returns('resultFromInstantiateModule')
+  })
+
+  it('should resolve with result from instantiateModule called with record loaded from specifier resolved', () => {
+    return esprimaParser.importModule('./module.js', referrerUrl).then((result) => {
+      expect(result).to.be.equal('resultFromInstantiateModule')
+    })
+  })
+
+  it('should convert specifier to string', () => {
+    const specifier = {toString: () => './module.js'}
+
+    return esprimaParser.importModule(specifier, referrerUrl).then((result) => {
+      expect(result).to.be.equal('resultFromInstantiateModule')
+    })
+  })
+
+  it('should reject given specifier failed to resolve', () => {
+    const error = new TypeError()
+
+    esprimaParser.moduleLoader.resolve.throws(error)
+
+    return esprimaParser.importModule('lodash', referrerUrl).then(() => {
+      throw new Error('should not resolve')
+    }, (e) => {
+      expect(e).to.be.equal(error)
+    })
+  })
+})
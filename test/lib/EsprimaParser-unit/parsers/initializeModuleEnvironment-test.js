@@ -0,0 +1,73 @@
+describe('initializeModuleEnvironment tests', () => {
+  let record, statements, unwrapped
+
+  beforeEach(() => {
+    statements = [
+      createAstNode('ExportNamedDeclaration'),
+      createAstNode('ExpressionStatement')
+    ]
+    unwrapped = [
+      createAstNode('FunctionDeclaration'),
+      statements[1]
+    ]
+    record = {ast: createAstNode('Program', {body: statements})}
+
+    sandbox.stub(esprimaParser, 'unwrapExportDeclaration')
+      .withArgs(statements[0]).returns(unwrapped[0])
+      .withArgs(statements[1]).returns(unwrapped[1])
+    sandbox.stub(esprimaParser, 'resolveScopes')
+    sandbox.stub(esprimaParser, 'searchTopLevelAwaits')
+    sandbox.stub(esprimaParser, 'handleHoisting')
+    sandbox.stub(esprimaParser, 'handleBlockHoisting')
+    sandbox.stub(esprimaParser, 'bindImports')
+    sandbox.stub(esprimaParser, 'parseHoistingStatements')
+      .returns('resultFromParseHoistingStatements')
+  })
+
+  it('should call resolveScopes with module ast before hoisting', () => {
+    esprimaParser.initializeModuleEnvironment(record)
+
+    expect(
+      esprimaParser.resolveScopes
+        .calledWithExactly(record.ast, true)
+    ).to.be.true
+    expect(
+      esprimaParser.resolveScopes
+        .calledBefore(esprimaParser.handleHoisting)
+    ).to.be.true
+  })
+
+  it('should call searchTopLevelAwaits with statements unwrapped before hoisting', () => {
+    esprimaParser.initializeModuleEnvironment(record)
+
+    expect(esprimaParser.searchTopLevelAwaits.calledWithExactly(unwrapped)).to.be.true
+    expect(esprimaParser.searchTopLevelAwaits.calledBefore(esprimaParser.handleHoisting)).to.be.true
+  })
+
+  it('should call handleHoisting and handleBlockHoisting with statements unwrapped', () => {
+    esprimaParser.initializeModuleEnvironment(record)
+
+    expect(esprimaParser.handleHoisting.calledWithExactly(unwrapped)).to.be.true
+    expect(esprimaParser.handleBlockHoisting.calledWithExactly(unwrapped)).to.be.true
+  })
+
+  it('should call bindImports with record after hoisting', () => {
+    esprimaParser.initializeModuleEnvironment(record)
+
+    expect(esprimaParser.bindImports.calledWithExactly(record)).to.be.true
+    expect(esprimaParser.bindImports.calledAfter(esprimaParser.handleBlockHoisting)).to.be.true
+  })
+
+  it('should call parseHoistingStatements with statements unwrapped after binding imports', () => {
+    esprimaParser.initializeModuleEnvironment(record)
+
+    expect(esprimaParser.parseHoistingStatements.calledWithExactly(unwrapped)).to.be.true
+    expect(esprimaParser.parseHoistingStatements.calledAfter(esprimaParser.bindImports)).to.be.true
+  })
+
+  it('should set statements of record to result from parseHoistingStatements', () => {
+    esprimaParser.initializeModuleEnvironment(record)
+
+    expect(record.statements).to.be.equal('resultFromParseHoistingStatements')
+  })
+})
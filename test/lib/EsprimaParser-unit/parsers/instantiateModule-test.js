@@ -0,0 +1,24 @@
+describe('instantiateModule tests', () => {
+  const record = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'linkModule')
+    sandbox.stub(esprimaParser, 'evaluateModule')
+    sandbox.stub(esprimaParser, 'getModuleNamespace')
+      .withArgs(record).returns('resultFromGetModuleNamespace')
+  })
+
+  it('should call linkModule and then evaluateModule with record', () => {
+    esprimaParser.instantiateModule(record)
+
+    expect(esprimaParser.linkModule.calledWithExactly(record)).to.be.true
+    expect(esprimaParser.evaluateModule.calledWithExactly(record)).to.be.true
+    expect(esprimaParser.linkModule.calledBefore(esprimaParser.evaluateModule)).to.be.true
+  })
+
+  it('should return result from getModuleNamespace called with record', () => {
+    const result = esprimaParser.instantiateModule(record)
+
+    expect(result).to.be.equal('resultFromGetModuleNamespace')
+  })
+})
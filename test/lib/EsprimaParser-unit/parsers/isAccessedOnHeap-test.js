@@ -0,0 +1,29 @@
+describe('isAccessedOnHeap tests', () => {
+  const receiver = {}
+
+  it('should return true given this is accessReceiver', () => {
+    esprimaParser.accessReceiver = receiver
+
+    expect(esprimaParser.isAccessedOnHeap({this: receiver})).to.be.true
+  })
+
+  it('should return false given this is not accessReceiver', () => {
+    esprimaParser.accessReceiver = receiver
+
+    expect(esprimaParser.isAccessedOnHeap({this: {}})).to.be.false
+  })
+
+  it('should return false given no accessReceiver', () => {
+    esprimaParser.accessReceiver = undefined
+
+    expect(esprimaParser.isAccessedOnHeap({this: undefined})).to.be.false
+  })
+
+  it('should unset accessReceiver', () => {
+    esprimaParser.accessReceiver = receiver
+
+    esprimaParser.isAccessedOnHeap({this: {}})
+
+    expect(esprimaParser.accessReceiver).to.be.undefined
+  })
+})
@@ -0,0 +1,63 @@
+describe('isArgumentsMapped tests', () => {
+  let functionAgentData
+
+  beforeEach(() => {
+    functionAgentData = {
+      scope: createAstNode('FunctionExpression'),
+      params: ['param1', 'param2'],
+      isArrowFunction: false
+    }
+    esprimaParser.strict = false
+    esprimaParser.argumentsReferences.set(functionAgentData.scope, true)
+
+    sandbox.stub(esprimaParser, 'isSimpleParameterList')
+      .withArgs(functionAgentData.params).returns(true)
+  })
+
+  it('should return true given sloppy non-arrow function with simple parameter list', () => {
+    const result = esprimaParser.isArgumentsMapped(functionAgentData)
+
+    expect(result).to.be.true
+  })
+
+  it('should return true given function never resolved', () => {
+    esprimaParser.argumentsReferences.delete(functionAgentData.scope)
+
+    const result = esprimaParser.isArgumentsMapped(functionAgentData)
+
+    expect(result).to.be.true
+  })
+
+  it('should return false given function never referring to its arguments', () => {
+    esprimaParser.argumentsReferences.set(functionAgentData.scope, false)
+
+    const result = esprimaParser.isArgumentsMapped(functionAgentData)
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given in strict mode', () => {
+    esprimaParser.strict = true
+
+    const result = esprimaParser.isArgumentsMapped(functionAgentData)
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given arrow function', () => {
+    functionAgentData.isArrowFunction = true
+
+    const result = esprimaParser.isArgumentsMapped(functionAgentData)
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given non-simple parameter list', () => {
+    esprimaParser.isSimpleParameterList
+      .withArgs(functionAgentData.params).returns(false)
+
+    const result = esprimaParser.isArgumentsMapped(functionAgentData)
+
+    expect(result).to.be.false
+  })
+})
@@ -0,0 +1,15 @@
+describe('isArrowFunction tests', () => {
+  it('should return true given ArrowFunctionExpression', () => {
+    const arrowFunctionExpression = createAstNode('ArrowFunctionExpression')
+
+    expect(esprimaParser.isArrowFunction(arrowFunctionExpression)).to.be.true
+  })
+
+  it('should return false given FunctionExpression or FunctionDeclaration', () => {
+    const functionExpression = createAstNode('FunctionExpression')
+    const functionDeclaration = createAstNode('FunctionDeclaration')
+
+    expect(esprimaParser.isArrowFunction(functionExpression)).to.be.false
+    expect(esprimaParser.isArrowFunction(functionDeclaration)).to.be.false
+  })
+})
@@ -34,12 +34,4 @@ describe('isCaseMatched tests', () => {
 
     expect(result).to.be.false
   })
-
-  it('should return true if test is null (default case)', () => {
-    testExpression = null
-
-    const result = esprimaParser.isCaseMatched(testExpression, discriminant)
-
-    expect(result).to.be.true
-  })
 })
@@ -0,0 +1,17 @@
+describe('isClassDeclaration tests', () => {
+  it('should return true given ClassDeclaration', () => {
+    const node = createAstNode('ClassDeclaration')
+
+    expect(esprimaParser.isClassDeclaration(node)).to.be.true
+  })
+
+  it('should return false given node other than ClassDeclaration', () => {
+    const node = createAstNode('ClassExpression')
+
+    expect(esprimaParser.isClassDeclaration(node)).to.be.false
+  })
+
+  it('should return false given null', () => {
+    expect(esprimaParser.isClassDeclaration(null)).to.be.false
+  })
+})
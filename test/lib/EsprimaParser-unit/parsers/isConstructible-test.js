@@ -0,0 +1,19 @@
+describe('isConstructible tests', () => {
+  it('should return true given neither arrow function nor method', () => {
+    const result = esprimaParser.isConstructible({isArrowFunction: false})
+
+    expect(result).to.be.true
+  })
+
+  it('should return false given arrow function', () => {
+    const result = esprimaParser.isConstructible({isArrowFunction: true})
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given method with homeObject', () => {
+    const result = esprimaParser.isConstructible({isArrowFunction: false, homeObject: {}})
+
+    expect(result).to.be.false
+  })
+})
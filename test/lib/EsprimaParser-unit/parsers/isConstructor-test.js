@@ -0,0 +1,26 @@
+describe('isConstructor tests', () => {
+  it('should return false given non-function', () => {
+    expect(esprimaParser.isConstructor({})).to.be.false
+    expect(esprimaParser.isConstructor(undefined)).to.be.false
+  })
+
+  it('should return true given constructors', () => {
+    expect(esprimaParser.isConstructor(function () {})).to.be.true
+    expect(esprimaParser.isConstructor(class {})).to.be.true
+    expect(esprimaParser.isConstructor(Array)).to.be.true
+  })
+
+  it('should return false given non-constructor functions', () => {
+    expect(esprimaParser.isConstructor(() => {})).to.be.false
+    expect(esprimaParser.isConstructor({method() {}}.method)).to.be.false
+    expect(esprimaParser.isConstructor(Math.max)).to.be.false
+  })
+
+  it('should not call given function', () => {
+    const func = sandbox.spy()
+
+    esprimaParser.isConstructor(func)
+
+    expect(func.called).to.be.false
+  })
+})
@@ -0,0 +1,30 @@
+describe('isDefaultValueExport tests', () => {
+  it('should return true given ExportDefaultDeclaration of expression', () => {
+    const node = createAstNode('ExportDefaultDeclaration', {
+      declaration: createAstNode('Expression')
+    })
+
+    expect(esprimaParser.isDefaultValueExport(node)).to.be.true
+  })
+
+  it('should return true given ExportDefaultDeclaration of ClassDeclaration', () => {
+    const node = createAstNode('ExportDefaultDeclaration', {
+      declaration: createAstNode('ClassDeclaration', {id: null})
+    })
+
+    expect(esprimaParser.isDefaultValueExport(node)).to.be.true
+  })
+
+  it('should return false given ExportDefaultDeclaration of FunctionDeclaration', () => {
+    const node = createAstNode('ExportDefaultDeclaration', {
+      declaration: createAstNode('FunctionDeclaration', {id: null})
+    })
+
+    expect(esprimaParser.isDefaultValueExport(node)).to.be.false
+  })
+
+  it('should return false given other nodes or null', () => {
+    expect(esprimaParser.isDefaultValueExport(createAstNode('Statement'))).to.be.false
+    expect(esprimaParser.isDefaultValueExport(null)).to.be.false
+  })
+})
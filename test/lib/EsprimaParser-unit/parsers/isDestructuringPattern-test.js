@@ -0,0 +1,11 @@
+describe('isDestructuringPattern tests', () => {
+  it('should return true given ObjectPattern or ArrayPattern', () => {
+    expect(esprimaParser.isDestructuringPattern(createAstNode('ObjectPattern'))).to.be.true
+    expect(esprimaParser.isDestructuringPattern(createAstNode('ArrayPattern'))).to.be.true
+  })
+
+  it('should return false given other nodes', () => {
+    expect(esprimaParser.isDestructuringPattern(createAstNode('Identifier'))).to.be.false
+    expect(esprimaParser.isDestructuringPattern(createAstNode('MemberExpression'))).to.be.false
+  })
+})
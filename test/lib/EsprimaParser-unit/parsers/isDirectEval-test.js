@@ -0,0 +1,48 @@
+describe('isDirectEval tests', () => {
+  const nativeEval = () => {}
+  let callExpression
+
+  beforeEach(() => {
+    callExpression = createAstNode('CallExpression', {
+      callee: createAstNode('Identifier', {name: 'eval'}),
+      optional: false
+    })
+    esprimaParser.nativeEval = nativeEval
+  })
+
+  it('should return true given eval called by its own name', () => {
+    const result = esprimaParser.isDirectEval(callExpression, nativeEval)
+
+    expect(result).to.be.true
+  })
+
+  it('should return false given eval called by other name', () => {
+    callExpression.callee.name = 'indirect'
+
+    const result = esprimaParser.isDirectEval(callExpression, nativeEval)
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given callee not an identifier', () => {
+    callExpression.callee = createAstNode('MemberExpression')
+
+    const result = esprimaParser.isDirectEval(callExpression, nativeEval)
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given optional call', () => {
+    callExpression.optional = true
+
+    const result = esprimaParser.isDirectEval(callExpression, nativeEval)
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given eval shadowed by other function', () => {
+    const result = esprimaParser.isDirectEval(callExpression, () => {})
+
+    expect(result).to.be.false
+  })
+})
@@ -0,0 +1,39 @@
+describe('isDynamicFunction tests', () => {
+  let functionStatement
+
+  beforeEach(() => {
+    functionStatement = createAstNode('ExpressionStatement', {
+      expression: createAstNode('FunctionExpression')
+    })
+  })
+
+  it('should return true given a single function expression', () => {
+    const result = esprimaParser.isDynamicFunction({body: [functionStatement]})
+
+    expect(result).to.be.true
+  })
+
+  it('should return false given other statements', () => {
+    const result = esprimaParser.isDynamicFunction({
+      body: [functionStatement, createAstNode('ExpressionStatement')]
+    })
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given statement not expression statement', () => {
+    const result = esprimaParser.isDynamicFunction({
+      body: [createAstNode('BlockStatement')]
+    })
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given expression not function expression', () => {
+    functionStatement.expression = createAstNode('SequenceExpression')
+
+    const result = esprimaParser.isDynamicFunction({body: [functionStatement]})
+
+    expect(result).to.be.false
+  })
+})
@@ -0,0 +1,16 @@
+describe('isForTestPassed tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'parseNode', createParseNodeStub())
+  })
+
+  it('should return true given null test', () => {
+    expect(esprimaParser.isForTestPassed(null)).to.be.true
+    expect(esprimaParser.parseNode.called).to.be.false
+  })
+
+  it('should return result from parseNode called with test', () => {
+    const test = createAstNode('Expression')
+
+    expect(esprimaParser.isForTestPassed(test)).to.be.equal('parsedExpression')
+  })
+})
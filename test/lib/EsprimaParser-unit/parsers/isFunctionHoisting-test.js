@@ -0,0 +1,29 @@
+describe('isFunctionHoisting tests', () => {
+  it('should return true given FunctionDeclaration', () => {
+    const statement = createAstNode('FunctionDeclaration')
+
+    expect(esprimaParser.isFunctionHoisting(statement)).to.be.true
+  })
+
+  it('should return true given ExportDefaultDeclaration of FunctionDeclaration', () => {
+    const statement = createAstNode('ExportDefaultDeclaration', {
+      declaration: createAstNode('FunctionDeclaration', {id: null})
+    })
+
+    expect(esprimaParser.isFunctionHoisting(statement)).to.be.true
+  })
+
+  it('should return false given ExportDefaultDeclaration of other declarations', () => {
+    const statement = createAstNode('ExportDefaultDeclaration', {
+      declaration: createAstNode('ClassDeclaration', {id: null})
+    })
+
+    expect(esprimaParser.isFunctionHoisting(statement)).to.be.false
+  })
+
+  it('should return false given other statements', () => {
+    const statement = createAstNode('Statement')
+
+    expect(esprimaParser.isFunctionHoisting(statement)).to.be.false
+  })
+})
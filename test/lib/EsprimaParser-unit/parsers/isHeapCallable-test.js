@@ -0,0 +1,10 @@
+describe('isHeapCallable tests', () => {
+  it('should return true given neither generator nor async function', () => {
+    expect(esprimaParser.isHeapCallable({})).to.be.true
+  })
+
+  it('should return false given generator or async function', () => {
+    expect(esprimaParser.isHeapCallable({isGenerator: true})).to.be.false
+    expect(esprimaParser.isHeapCallable({isAsync: true})).to.be.false
+  })
+})
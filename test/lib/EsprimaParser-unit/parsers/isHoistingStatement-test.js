@@ -1,13 +1,33 @@
 describe('isHoistingStatement tests', () => {
   let statement
 
-  describe('FunctionDeclaration', () => {
-    beforeEach(() => {
-      statement = createAstNode('FunctionDeclaration')
+  beforeEach(() => {
+    statement = createAstNode('Statement')
+  })
 
+  describe('function hoisting', () => {
+    beforeEach(() => {
+      sandbox.stub(esprimaParser, 'isFunctionHoisting')
+        .withArgs(statement).returns(true)
+      sandbox.stub(esprimaParser, 'skipUnsupportedStatement')
+        .withArgs(statement).returns(false)
+      sandbox.stub(esprimaParser, 'setStatementLoc')
       sandbox.stub(esprimaParser, 'parseNode')
     })
 
+    it('should call setStatementLoc with statement before parseNode', () => {
+      esprimaParser.isHoistingStatement(statement)
+
+      expect(
+        esprimaParser.setStatementLoc
+          .calledWithExactly(statement)
+      ).to.be.true
+      expect(
+        esprimaParser.setStatementLoc
+          .calledBefore(esprimaParser.parseNode)
+      ).to.be.true
+    })
+
     it('should call parseNode with statement', () => {
       esprimaParser.isHoistingStatement(statement)
 
@@ -17,6 +37,17 @@ describe('isHoistingStatement tests', () => {
       ).to.be.true
     })
 
+    it('should not call parseNode but return true given skipUnsupportedStatement returns true', () => {
+      esprimaParser.skipUnsupportedStatement
+        .withArgs(statement).returns(true)
+
+      const result = esprimaParser.isHoistingStatement(statement)
+
+      expect(esprimaParser.parseNode.called).to.be.false
+      expect(esprimaParser.setStatementLoc.called).to.be.false
+      expect(result).to.be.true
+    })
+
     it('should return true', () => {
       const result = esprimaParser.isHoistingStatement(statement)
 
@@ -26,7 +57,15 @@ describe('isHoistingStatement tests', () => {
 
   describe('Other Statements', () => {
     beforeEach(() => {
-      statement = createAstNode('Statement')
+      sandbox.stub(esprimaParser, 'isFunctionHoisting')
+        .withArgs(statement).returns(false)
+      sandbox.stub(esprimaParser, 'parseNode')
+    })
+
+    it('should not call parseNode', () => {
+      esprimaParser.isHoistingStatement(statement)
+
+      expect(esprimaParser.parseNode.called).to.be.false
     })
 
     it('should return false', () => {
@@ -0,0 +1,25 @@
+describe('isLexicalDeclaration tests', () => {
+  it('should return true given VariableDeclaration of kind let or const', () => {
+    for (const kind of ['let', 'const']) {
+      const node = createAstNode('VariableDeclaration', {kind})
+
+      expect(esprimaParser.isLexicalDeclaration(node)).to.be.true
+    }
+  })
+
+  it('should return false given VariableDeclaration of kind var', () => {
+    const node = createAstNode('VariableDeclaration', {kind: 'var'})
+
+    expect(esprimaParser.isLexicalDeclaration(node)).to.be.false
+  })
+
+  it('should return false given node other than VariableDeclaration', () => {
+    const node = createAstNode('Expression', {kind: 'let'})
+
+    expect(esprimaParser.isLexicalDeclaration(node)).to.be.false
+  })
+
+  it('should return false given null', () => {
+    expect(esprimaParser.isLexicalDeclaration(null)).to.be.false
+  })
+})
@@ -0,0 +1,17 @@
+describe('isLogicalAssignment tests', () => {
+  it('should return true given logical assignment operators', () => {
+    for (const operator of ['||=', '&&=', '??=']) {
+      const assignmentExpression = createAstNode('AssignmentExpression', {operator})
+
+      expect(esprimaParser.isLogicalAssignment(assignmentExpression)).to.be.true
+    }
+  })
+
+  it('should return false given other assignment operators', () => {
+    for (const operator of ['=', '+=', '**=', '|=', '&=']) {
+      const assignmentExpression = createAstNode('AssignmentExpression', {operator})
+
+      expect(esprimaParser.isLogicalAssignment(assignmentExpression)).to.be.false
+    }
+  })
+})
@@ -0,0 +1,30 @@
+describe('isMemberAccess tests', () => {
+  it('should return true given MemberExpression', () => {
+    expect(esprimaParser.isMemberAccess(createAstNode('MemberExpression'))).to.be.true
+  })
+
+  it('should return true given assignment to MemberExpression', () => {
+    const node = createAstNode('AssignmentExpression', {
+      operator: '=',
+      left: createAstNode('MemberExpression')
+    })
+    expect(esprimaParser.isMemberAccess(node)).to.be.true
+  })
+
+  it('should return false given compound assignment to MemberExpression', () => {
+    const node = createAstNode('AssignmentExpression', {
+      operator: '+=',
+      left: createAstNode('MemberExpression')
+    })
+    expect(esprimaParser.isMemberAccess(node)).to.be.false
+  })
+
+  it('should return false given assignment to other nodes', () => {
+    const node = createAstNode('AssignmentExpression', {
+      operator: '=',
+      left: createAstNode('Identifier')
+    })
+    expect(esprimaParser.isMemberAccess(node)).to.be.false
+    expect(esprimaParser.isMemberAccess(createAstNode('Identifier'))).to.be.false
+  })
+})
@@ -0,0 +1,21 @@
+describe('isMethodProperty tests', () => {
+  it('should return true given method property', () => {
+    const property = createAstNode('Property', {kind: 'init', method: true})
+
+    expect(esprimaParser.isMethodProperty(property)).to.be.true
+  })
+
+  it('should return true given getter or setter property', () => {
+    for (const kind of ['get', 'set']) {
+      const property = createAstNode('Property', {kind, method: false})
+
+      expect(esprimaParser.isMethodProperty(property)).to.be.true
+    }
+  })
+
+  it('should return false given init property', () => {
+    const property = createAstNode('Property', {kind: 'init', method: false})
+
+    expect(esprimaParser.isMethodProperty(property)).to.be.false
+  })
+})
@@ -0,0 +1,23 @@
+describe('isNamedDeclaration tests', () => {
+  it('should return true given FunctionDeclaration or ClassDeclaration with id', () => {
+    for (const type of ['FunctionDeclaration', 'ClassDeclaration']) {
+      const node = createAstNode(type, {id: createAstNode('Identifier')})
+
+      expect(esprimaParser.isNamedDeclaration(node)).to.be.true
+    }
+  })
+
+  it('should return false given FunctionDeclaration or ClassDeclaration without id', () => {
+    for (const type of ['FunctionDeclaration', 'ClassDeclaration']) {
+      const node = createAstNode(type, {id: null})
+
+      expect(esprimaParser.isNamedDeclaration(node)).to.be.false
+    }
+  })
+
+  it('should return false given other nodes', () => {
+    const node = createAstNode('Expression')
+
+    expect(esprimaParser.isNamedDeclaration(node)).to.be.false
+  })
+})
@@ -0,0 +1,12 @@
+describe('isNullish tests', () => {
+  it('should return true given null or undefined', () => {
+    expect(esprimaParser.isNullish(null)).to.be.true
+    expect(esprimaParser.isNullish(undefined)).to.be.true
+  })
+
+  it('should return false given other values', () => {
+    for (const value of [0, '', false, NaN, {}]) {
+      expect(esprimaParser.isNullish(value)).to.be.false
+    }
+  })
+})
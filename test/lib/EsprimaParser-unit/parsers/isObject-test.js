@@ -0,0 +1,13 @@
+describe('isObject tests', () => {
+  it('should return true given objects or functions', () => {
+    for (const value of [{}, [], Object.create(null), function () {}]) {
+      expect(esprimaParser.isObject(value)).to.be.true
+    }
+  })
+
+  it('should return false given primitives', () => {
+    for (const value of [undefined, null, 1, 'string', true, Symbol('symbol')]) {
+      expect(esprimaParser.isObject(value)).to.be.false
+    }
+  })
+})
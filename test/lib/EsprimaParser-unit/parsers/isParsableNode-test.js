@@ -0,0 +1,13 @@
+describe('isParsableNode tests', () => {
+  it('should return true given parser of node type', () => {
+    const result = esprimaParser.isParsableNode(createAstNode('Identifier'))
+
+    expect(result).to.be.true
+  })
+
+  it('should return false given no parser of node type', () => {
+    const result = esprimaParser.isParsableNode(createAstNode('StaticBlock'))
+
+    expect(result).to.be.false
+  })
+})
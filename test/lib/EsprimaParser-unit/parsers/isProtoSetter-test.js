@@ -0,0 +1,21 @@
+describe('isProtoSetter tests', () => {
+  it('should return true given non-computed and non-shorthand __proto__ property', () => {
+    const property = createAstNode('Property', {computed: false, shorthand: false})
+
+    expect(esprimaParser.isProtoSetter(property, '__proto__')).to.be.true
+  })
+
+  it('should return false given key other than __proto__', () => {
+    const property = createAstNode('Property', {computed: false, shorthand: false})
+
+    expect(esprimaParser.isProtoSetter(property, 'proto')).to.be.false
+  })
+
+  it('should return false given computed or shorthand property', () => {
+    const computed = createAstNode('Property', {computed: true, shorthand: false})
+    const shorthand = createAstNode('Property', {computed: false, shorthand: true})
+
+    expect(esprimaParser.isProtoSetter(computed, '__proto__')).to.be.false
+    expect(esprimaParser.isProtoSetter(shorthand, '__proto__')).to.be.false
+  })
+})
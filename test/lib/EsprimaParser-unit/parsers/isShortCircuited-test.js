@@ -0,0 +1,17 @@
+describe('isShortCircuited tests', () => {
+  it('should return whether value is truthy given \'||\'', () => {
+    expect(esprimaParser.isShortCircuited('||', 1)).to.be.true
+    expect(esprimaParser.isShortCircuited('||', 0)).to.be.false
+  })
+
+  it('should return whether value is falsy given \'&&\'', () => {
+    expect(esprimaParser.isShortCircuited('&&', 0)).to.be.true
+    expect(esprimaParser.isShortCircuited('&&', 1)).to.be.false
+  })
+
+  it('should return whether value is neither null nor undefined given \'??\'', () => {
+    expect(esprimaParser.isShortCircuited('??', 0)).to.be.true
+    expect(esprimaParser.isShortCircuited('??', null)).to.be.false
+    expect(esprimaParser.isShortCircuited('??', undefined)).to.be.false
+  })
+})
@@ -0,0 +1,16 @@
+describe('isSimpleParameterList tests', () => {
+  it('should return true given only identifiers', () => {
+    const params = [createAstNode('Identifier'), createAstNode('Identifier')]
+
+    expect(esprimaParser.isSimpleParameterList(params)).to.be.true
+    expect(esprimaParser.isSimpleParameterList([])).to.be.true
+  })
+
+  it('should return false given any pattern other than identifier', () => {
+    for (const type of ['AssignmentPattern', 'ObjectPattern', 'ArrayPattern', 'RestElement']) {
+      const params = [createAstNode('Identifier'), createAstNode(type)]
+
+      expect(esprimaParser.isSimpleParameterList(params)).to.be.false
+    }
+  })
+})
@@ -0,0 +1,13 @@
+describe('isSpreadElement tests', () => {
+  it('should return true given SpreadElement', () => {
+    const node = createAstNode('SpreadElement')
+
+    expect(esprimaParser.isSpreadElement(node)).to.be.true
+  })
+
+  it('should return false given other nodes', () => {
+    const node = createAstNode('Expression')
+
+    expect(esprimaParser.isSpreadElement(node)).to.be.false
+  })
+})
@@ -0,0 +1,43 @@
+describe('isStrictFunction tests', () => {
+  let functionExpression
+
+  beforeEach(() => {
+    functionExpression = createAstNode('FunctionExpression', {
+      body: createAstNode('BlockStatement', {
+        body: [createAstNode('Statement')]
+      })
+    })
+    sandbox.stub(esprimaParser, 'hasUseStrictDirective')
+  })
+
+  it('should return true given in strict mode', () => {
+    esprimaParser.strict = true
+
+    const result = esprimaParser.isStrictFunction(functionExpression)
+
+    expect(esprimaParser.hasUseStrictDirective.called).to.be.false
+    expect(result).to.be.true
+  })
+
+  it('should return result from hasUseStrictDirective called with statements of body given not in strict mode', () => {
+    esprimaParser.strict = false
+    esprimaParser.hasUseStrictDirective
+      .withArgs(functionExpression.body.body).returns(true)
+
+    const result = esprimaParser.isStrictFunction(functionExpression)
+
+    expect(result).to.be.true
+  })
+
+  it('should return false given arrow function with expression body not in strict mode', () => {
+    const arrowFunctionExpression = createAstNode('ArrowFunctionExpression', {
+      body: createAstNode('Expression')
+    })
+    esprimaParser.strict = false
+
+    const result = esprimaParser.isStrictFunction(arrowFunctionExpression)
+
+    expect(esprimaParser.hasUseStrictDirective.called).to.be.false
+    expect(result).to.be.false
+  })
+})
@@ -0,0 +1,9 @@
+describe('isSuper tests', () => {
+  it('should return true given Super', () => {
+    expect(esprimaParser.isSuper(createAstNode('Super'))).to.be.true
+  })
+
+  it('should return false given other nodes', () => {
+    expect(esprimaParser.isSuper(createAstNode('ThisExpression'))).to.be.false
+  })
+})
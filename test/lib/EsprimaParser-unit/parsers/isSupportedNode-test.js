@@ -0,0 +1,34 @@
+describe('isSupportedNode tests', () => {
+  it('should return true given parser of node type', () => {
+    const result = esprimaParser.isSupportedNode(createAstNode('Identifier'))
+
+    expect(result).to.be.true
+  })
+
+  it('should return true given node parsed by parser of its parent', () => {
+    const result = esprimaParser.isSupportedNode(createAstNode('SpreadElement'))
+
+    expect(result).to.be.true
+  })
+
+  it('should return false given neither parser of node type nor parsed by parent', () => {
+    const result = esprimaParser.isSupportedNode(createAstNode('PrivateIdentifier'))
+
+    expect(result).to.be.false
+  })
+
+  it('should return true given method in class body', () => {
+    const classBody = createAstNode('ClassBody')
+
+    const result = esprimaParser.isSupportedNode(createAstNode('MethodDefinition'), classBody)
+
+    expect(result).to.be.true
+  })
+
+  it('should return false given class elements other than methods', () => {
+    const classBody = createAstNode('ClassBody')
+
+    expect(esprimaParser.isSupportedNode(createAstNode('Property'), classBody)).to.be.false
+    expect(esprimaParser.isSupportedNode(createAstNode('StaticBlock'), classBody)).to.be.false
+  })
+})
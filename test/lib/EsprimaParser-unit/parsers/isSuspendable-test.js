@@ -0,0 +1,45 @@
+describe('isSuspendable tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'searchNodeOnce')
+      .returns('resultFromSearchNodeOnce')
+    sandbox.stub(esprimaParser, 'searchSuspension')
+      .returns('resultFromSearchSuspension')
+  })
+
+  it('should return result from searchNodeOnce called with node, suspendableNodes and search', () => {
+    const node = createAstNode('Expression')
+
+    const result = esprimaParser.isSuspendable(node)
+
+    expect(
+      esprimaParser.searchNodeOnce
+        .calledWith(node, esprimaParser.suspendableNodes)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromSearchNodeOnce')
+  })
+
+  it('should call searchNodeOnce with heapSuspendableNodes given onHeapFrame', () => {
+    const node = createAstNode('Expression')
+
+    esprimaParser.onHeapFrame = true
+    esprimaParser.isSuspendable(node)
+
+    expect(
+      esprimaParser.searchNodeOnce
+        .calledWith(node, esprimaParser.heapSuspendableNodes)
+    ).to.be.true
+  })
+
+  it('should search by searchSuspension called with node', () => {
+    const node = createAstNode('Expression')
+
+    esprimaParser.isSuspendable(node)
+    const search = esprimaParser.searchNodeOnce.lastCall.args[2]
+
+    expect(search()).to.be.equal('resultFromSearchSuspension')
+    expect(
+      esprimaParser.searchSuspension
+        .calledWithExactly(node)
+    ).to.be.true
+  })
+})
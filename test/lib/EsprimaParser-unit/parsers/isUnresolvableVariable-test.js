@@ -0,0 +1,48 @@
+describe('isUnresolvableVariable tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser.closureStack, 'isResolvable')
+  })
+
+  it('should call isResolvable with name and reference resolved for identifier', () => {
+    const identifier = createAstNode('Identifier', {name: 'a'})
+    const reference = {hops: 0, scope: {}}
+
+    esprimaParser.resolvedIdentifiers.set(identifier, reference)
+
+    esprimaParser.isUnresolvableVariable(identifier)
+
+    expect(
+      esprimaParser.closureStack.isResolvable
+        .calledWithExactly('a', reference)
+    ).to.be.true
+  })
+
+  it('should return true given identifier not resolvable in closureStack', () => {
+    const identifier = createAstNode('Identifier', {name: 'a'})
+
+    esprimaParser.closureStack.isResolvable.withArgs('a').returns(false)
+
+    const result = esprimaParser.isUnresolvableVariable(identifier)
+
+    expect(result).to.be.true
+  })
+
+  it('should return false given identifier resolvable in closureStack', () => {
+    const identifier = createAstNode('Identifier', {name: 'a'})
+
+    esprimaParser.closureStack.isResolvable.withArgs('a').returns(true)
+
+    const result = esprimaParser.isUnresolvableVariable(identifier)
+
+    expect(result).to.be.false
+  })
+
+  it('should return false given node other than identifier', () => {
+    const memberExpression = createAstNode('MemberExpression')
+
+    const result = esprimaParser.isUnresolvableVariable(memberExpression)
+
+    expect(esprimaParser.closureStack.isResolvable.called).to.be.false
+    expect(result).to.be.false
+  })
+})
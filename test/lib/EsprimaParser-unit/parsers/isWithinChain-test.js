@@ -0,0 +1,20 @@
+describe('isWithinChain tests', () => {
+  it('should return true given optional member or call', () => {
+    expect(esprimaParser.isWithinChain(createAstNode('MemberExpression', {optional: true}))).to.be.true
+    expect(esprimaParser.isWithinChain(createAstNode('CallExpression', {optional: true}))).to.be.true
+  })
+
+  it('should return true given member or call on optional member or call', () => {
+    const optional = createAstNode('MemberExpression', {optional: true})
+
+    expect(esprimaParser.isWithinChain(createAstNode('MemberExpression', {optional: false, object: optional}))).to.be.true
+    expect(esprimaParser.isWithinChain(createAstNode('CallExpression', {optional: false, callee: optional}))).to.be.true
+  })
+
+  it('should return false given member or call without optional', () => {
+    const object = createAstNode('Identifier')
+
+    expect(esprimaParser.isWithinChain(createAstNode('MemberExpression', {optional: false, object}))).to.be.false
+    expect(esprimaParser.isWithinChain(createAstNode('CallExpression', {optional: false, callee: object}))).to.be.false
+  })
+})
@@ -0,0 +1,34 @@
+describe('leaveCallFrame tests', () => {
+  let FlowState
+
+  before(() => {
+    FlowState = require(`${libDir}/structures/FlowState`)
+  })
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'callStack', {
+      pop: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'flowState', {
+      unset: sandbox.spy()
+    })
+  })
+
+  it('should call callStack.pop and restore completionValue of frame', () => {
+    esprimaParser.completionValue = 'changed'
+
+    esprimaParser.leaveCallFrame({completionValue: 'completionValue'})
+
+    expect(esprimaParser.callStack.pop.calledOnce).to.be.true
+    expect(esprimaParser.completionValue).to.be.equal('completionValue')
+  })
+
+  it('should unset FlowState.RETURN', () => {
+    esprimaParser.leaveCallFrame({completionValue: 'completionValue'})
+
+    expect(
+      esprimaParser.flowState.unset
+        .calledWithExactly(FlowState.RETURN)
+    ).to.be.true
+  })
+})
@@ -0,0 +1,85 @@
+describe('linkModule tests', () => {
+  const environment = {}
+  let ModuleRecord, record, requestedModule
+
+  beforeEach(() => {
+    ModuleRecord = require(`${libDir}/structures/ModuleRecord`)
+    record = new ModuleRecord('http://example.com/main.js', {body: []})
+    requestedModule = new ModuleRecord('http://example.com/module.js', {body: []})
+    record.requestedModules.set('./module.js', requestedModule)
+
+    sandbox.spy(esprimaParser, 'linkModule')
+    sandbox.stub(esprimaParser, 'createModuleEnvironment').returns(environment)
+    sandbox.stub(esprimaParser, 'runInModuleEnvironment', (record, parse) => parse())
+    sandbox.stub(esprimaParser, 'initializeModuleEnvironment')
+  })
+
+  it('should set environment of record to result from createModuleEnvironment', () => {
+    esprimaParser.linkModule(record)
+
+    expect(esprimaParser.createModuleEnvironment.calledWithExactly(record)).to.be.true
+    expect(record.environment).to.be.equal(environment)
+  })
+
+  it('should call linkModule with each requested module before initializing environment', () => {
+    esprimaParser.linkModule(record)
+
+    expect(esprimaParser.linkModule.calledWithExactly(requestedModule)).to.be.true
+    expect(
+      esprimaParser.initializeModuleEnvironment
+        .withArgs(requestedModule)
+        .calledBefore(esprimaParser.initializeModuleEnvironment.withArgs(record))
+    ).to.be.true
+  })
+
+  it('should call initializeModuleEnvironment with record in module environment', () => {
+    esprimaParser.linkModule(record)
+
+    expect(esprimaParser.runInModuleEnvironment.calledWith(record)).to.be.true
+    expect(esprimaParser.initializeModuleEnvironment.calledWithExactly(record)).to.be.true
+  })
+
+  it('should set status of record to ModuleRecord.LINKED', () => {
+    esprimaParser.linkModule(record)
+
+    expect(record.status).to.be.equal(ModuleRecord.LINKED)
+    expect(requestedModule.status).to.be.equal(ModuleRecord.LINKED)
+  })
+
+  it('should link each record once given cyclic imports', () => {
+    requestedModule.requestedModules.set('./main.js', record)
+
+    esprimaParser.linkModule(record)
+
+    expect(esprimaParser.createModuleEnvironment.calledTwice).to.be.true
+    expect(esprimaParser.initializeModuleEnvironment.calledTwice).to.be.true
+  })
+
+  it('should do nothing given record not unlinked', () => {
+    record.status = ModuleRecord.EVALUATED
+
+    esprimaParser.linkModule(record)
+
+    expect(esprimaParser.createModuleEnvironment.called).to.be.false
+  })
+
+  it('should set error to record and throw it given error thrown while linking', () => {
+    const error = new SyntaxError()
+
+    esprimaParser.initializeModuleEnvironment.withArgs(requestedModule).throws(error)
+
+    expect(() => esprimaParser.linkModule(record)).to.throw(error)
+    expect(record.status).to.be.equal(ModuleRecord.ERRORED)
+    expect(record.error).to.be.equal(error)
+    expect(requestedModule.status).to.be.equal(ModuleRecord.ERRORED)
+  })
+
+  it('should throw error of record given record errored', () => {
+    const error = new SyntaxError()
+
+    record.setError(error)
+
+    expect(() => esprimaParser.linkModule(record)).to.throw(error)
+    expect(esprimaParser.createModuleEnvironment.called).to.be.false
+  })
+})
@@ -0,0 +1,62 @@
+describe('mapArguments tests', () => {
+  let params, closure
+
+  beforeEach(() => {
+    params = [
+      createAstNode('Identifier', {name: 'a'}),
+      createAstNode('Identifier', {name: 'b'}),
+      createAstNode('Identifier', {name: 'c'})
+    ]
+    esprimaParser.closureStack.createClosure()
+    closure = esprimaParser.closureStack.getLatestClosure()
+
+    closure.set('a', 1)
+    closure.set('b', 2)
+    closure.set('c', undefined)
+  })
+
+  it('should map arguments to variables of params in latest closure', () => {
+    const argumentsObject = (function () { return arguments })(1, 2)
+
+    esprimaParser.mapArguments(params, argumentsObject)
+
+    argumentsObject[0] = 'a'
+    closure.set('b', 'b')
+
+    expect(closure.get('a')).to.be.equal('a')
+    expect(argumentsObject[1]).to.be.equal('b')
+  })
+
+  it('should not map params without corresponding arguments', () => {
+    const argumentsObject = (function () { return arguments })(1, 2)
+
+    esprimaParser.mapArguments(params, argumentsObject)
+
+    closure.set('c', 'c')
+
+    expect(argumentsObject[2]).to.be.undefined
+    expect(argumentsObject).to.have.lengthOf(2)
+  })
+
+  it('should keep mapped arguments enumerable', () => {
+    const argumentsObject = (function () { return arguments })(1, 2)
+
+    esprimaParser.mapArguments(params, argumentsObject)
+
+    expect(Object.keys(argumentsObject)).to.be.eql(['0', '1'])
+  })
+
+  it('should only map the last one of duplicate params', () => {
+    const argumentsObject = (function () { return arguments })(1, 2)
+
+    params[1].name = 'a'
+    closure.set('a', 2)
+
+    esprimaParser.mapArguments(params, argumentsObject)
+
+    closure.set('a', 'a')
+
+    expect(argumentsObject[0]).to.be.equal(1)
+    expect(argumentsObject[1]).to.be.equal('a')
+  })
+})
@@ -0,0 +1,32 @@
+describe('markArgumentsReference tests', () => {
+  it('should mark the nearest function scope naming arguments', () => {
+    const outerScope = {isFunction: true, names: new Set(['arguments']), isArgumentsReferenced: false, parent: null}
+    const functionScope = {isFunction: true, names: new Set(['arguments']), isArgumentsReferenced: false, parent: outerScope}
+    const blockScope = {isFunction: false, names: new Set(['arguments']), isArgumentsReferenced: false, parent: functionScope}
+
+    esprimaParser.markArgumentsReference(blockScope)
+
+    expect(blockScope.isArgumentsReferenced).to.be.false
+    expect(functionScope.isArgumentsReferenced).to.be.true
+    expect(outerScope.isArgumentsReferenced).to.be.false
+  })
+
+  it('should pass through function scope of arrow function, which names no arguments', () => {
+    const functionScope = {isFunction: true, names: new Set(['arguments']), isArgumentsReferenced: false, parent: null}
+    const arrowScope = {isFunction: true, names: new Set(['a']), isArgumentsReferenced: false, parent: functionScope}
+
+    esprimaParser.markArgumentsReference(arrowScope)
+
+    expect(arrowScope.isArgumentsReferenced).to.be.false
+    expect(functionScope.isArgumentsReferenced).to.be.true
+  })
+
+  it('should mark nothing given no function scope', () => {
+    const blockScope = {isFunction: false, names: new Set(), isArgumentsReferenced: false, parent: null}
+
+    esprimaParser.markArgumentsReference(blockScope)
+    esprimaParser.markArgumentsReference(null)
+
+    expect(blockScope.isArgumentsReferenced).to.be.false
+  })
+})
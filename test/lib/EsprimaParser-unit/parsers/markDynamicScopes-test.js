@@ -0,0 +1,24 @@
+describe('markDynamicScopes tests', () => {
+  it('should mark scopes dynamic up to the nearest function scope', () => {
+    const outerScope = {isFunction: true, isDynamic: false, parent: null}
+    const functionScope = {isFunction: true, isDynamic: false, parent: outerScope}
+    const bodyScope = {isFunction: false, isDynamic: false, parent: functionScope}
+    const blockScope = {isFunction: false, isDynamic: false, parent: bodyScope}
+
+    esprimaParser.markDynamicScopes(blockScope)
+
+    expect(blockScope.isDynamic).to.be.true
+    expect(bodyScope.isDynamic).to.be.true
+    expect(functionScope.isDynamic).to.be.true
+    expect(outerScope.isDynamic).to.be.false
+  })
+
+  it('should mark all scopes dynamic given no function scope', () => {
+    const blockScope = {isFunction: false, isDynamic: false, parent: null}
+
+    esprimaParser.markDynamicScopes(blockScope)
+    esprimaParser.markDynamicScopes(null)
+
+    expect(blockScope.isDynamic).to.be.true
+  })
+})
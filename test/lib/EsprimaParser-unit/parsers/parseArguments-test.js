@@ -33,4 +33,23 @@ describe('parseArguments tests', () => {
       'parsedExpression3'
     ])
   })
+
+  it('should expand parsed argument of SpreadElement', () => {
+    calledArguments[1] = createAstNode('SpreadElement', {
+      argument: createAstNode('Expression2')
+    })
+    esprimaParser.parseNode.restore()
+    sandbox.stub(esprimaParser, 'parseNode', (node) => {
+      return (node.type === 'Expression2') ? ['a', 'b'] : `parsed${node.type}`
+    })
+
+    const result = esprimaParser.parseArguments(calledArguments)
+
+    expect(result).to.be.eql([
+      'parsedExpression1',
+      'a',
+      'b',
+      'parsedExpression3'
+    ])
+  })
 })
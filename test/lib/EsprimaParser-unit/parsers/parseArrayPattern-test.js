@@ -0,0 +1,102 @@
+describe('parseArrayPattern tests', () => {
+  let handleTarget
+
+  const createIterable = (values) => {
+    const iterator = {
+      index: 0,
+      next: sandbox.spy(() => {
+        return iterator.index < values.length ?
+          {done: false, value: values[iterator.index++]} : {done: true}
+      }),
+      return: sandbox.spy()
+    }
+    return {
+      iterator,
+      [Symbol.iterator]: () => iterator
+    }
+  }
+
+  beforeEach(() => {
+    handleTarget = () => {}
+
+    sandbox.stub(esprimaParser, 'parsePattern')
+  })
+
+  it('should call parsePattern with each element and iterated value', () => {
+    const arrayPattern = createAstNode('ArrayPattern', {
+      elements: [createAstNode('Pattern1'), null, createAstNode('Pattern3')]
+    })
+    esprimaParser.parseArrayPattern(arrayPattern, [1, 2, 3], handleTarget)
+
+    expect(esprimaParser.parsePattern.calledTwice).to.be.true
+    expect(
+      esprimaParser.parsePattern
+        .calledWithExactly(arrayPattern.elements[0], 1, handleTarget)
+    ).to.be.true
+    expect(
+      esprimaParser.parsePattern
+        .calledWithExactly(arrayPattern.elements[2], 3, handleTarget)
+    ).to.be.true
+  })
+
+  it('should call parsePattern with undefined given iterator exhausted', () => {
+    const arrayPattern = createAstNode('ArrayPattern', {
+      elements: [
+        createAstNode('Pattern1'),
+        createAstNode('Pattern2'),
+        createAstNode('Pattern3')
+      ]
+    })
+    const iterable = createIterable([1])
+
+    esprimaParser.parseArrayPattern(arrayPattern, iterable, handleTarget)
+
+    expect(iterable.iterator.next.calledTwice).to.be.true
+    expect(
+      esprimaParser.parsePattern
+        .calledWithExactly(arrayPattern.elements[1], undefined, handleTarget)
+    ).to.be.true
+    expect(
+      esprimaParser.parsePattern
+        .calledWithExactly(arrayPattern.elements[2], undefined, handleTarget)
+    ).to.be.true
+  })
+
+  it('should call parsePattern with rest argument and rest values given RestElement', () => {
+    const arrayPattern = createAstNode('ArrayPattern', {
+      elements: [
+        createAstNode('Pattern1'),
+        createAstNode('RestElement', {argument: createAstNode('Pattern2')})
+      ]
+    })
+    esprimaParser.parseArrayPattern(arrayPattern, [1, 2, 3], handleTarget)
+
+    expect(
+      esprimaParser.parsePattern
+        .calledWithExactly(arrayPattern.elements[1].argument, [2, 3], handleTarget)
+    ).to.be.true
+  })
+
+  it('should only iterate as many values as elements and close iterator', () => {
+    const arrayPattern = createAstNode('ArrayPattern', {
+      elements: [createAstNode('Pattern1')]
+    })
+    const iterable = createIterable([1, 2, 3])
+
+    esprimaParser.parseArrayPattern(arrayPattern, iterable, handleTarget)
+
+    expect(iterable.iterator.next.calledOnce).to.be.true
+    expect(iterable.iterator.return.calledOnce).to.be.true
+  })
+
+  it('should not close iterator given iterator exhausted', () => {
+    const arrayPattern = createAstNode('ArrayPattern', {
+      elements: [createAstNode('Pattern1'), createAstNode('Pattern2')]
+    })
+    const iterable = createIterable([1])
+
+    esprimaParser.parseArrayPattern(arrayPattern, iterable, handleTarget)
+
+    expect(iterable.iterator.return.called).to.be.false
+  })
+})
@@ -0,0 +1,43 @@
+describe('parseAssignmentPattern tests', () => {
+  let assignmentPattern, handleTarget
+
+  beforeEach(() => {
+    assignmentPattern = createAstNode('AssignmentPattern', {
+      left: createAstNode('Pattern'),
+      right: createAstNode('Expression')
+    })
+    handleTarget = () => {}
+
+    sandbox.stub(esprimaParser, 'parseNode')
+      .returns('resultFromParseNode')
+    sandbox.stub(esprimaParser, 'parsePattern')
+    sandbox.stub(esprimaParser, 'getInferredName').returns('name')
+  })
+
+  it('should call parsePattern with left, value and handleTarget given value is not undefined', () => {
+    esprimaParser.parseAssignmentPattern(assignmentPattern, null, handleTarget)
+
+    expect(esprimaParser.parseNode.called).to.be.false
+    expect(
+      esprimaParser.parsePattern
+        .calledWithExactly(assignmentPattern.left, null, handleTarget)
+    ).to.be.true
+  })
+
+  it('should call parsePattern with left, result from parseNode called with right and handleTarget given value is undefined', () => {
+    esprimaParser.parseAssignmentPattern(assignmentPattern, undefined, handleTarget)
+
+    expect(
+      esprimaParser.getInferredName
+        .calledWithExactly(assignmentPattern.left)
+    ).to.be.true
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(assignmentPattern.right, {name: 'name'})
+    ).to.be.true
+    expect(
+      esprimaParser.parsePattern
+        .calledWithExactly(assignmentPattern.left, 'resultFromParseNode', handleTarget)
+    ).to.be.true
+  })
+})
@@ -1,10 +1,15 @@
 describe('parseAst tests', () => {
   const root = {}
   const scriptUrl = 'scriptUrl'
-
+  const sourceText = 'sourceText'
   beforeEach(() => {
     sandbox.stub(esprimaParser, 'setScriptUrl')
+    sandbox.stub(esprimaParser, 'setSourceText')
     sandbox.stub(esprimaParser, 'parseNode')
+    sandbox.stub(esprimaParser, 'resolveScopes')
+    sandbox.stub(esprimaParser, 'shouldExecuteNatively').returns(false)
+    sandbox.stub(esprimaParser, 'executeNatively')
+    sandbox.stub(esprimaParser, 'runInCallFrame', (name, parse) => parse())
   })
 
   it('should call setScriptUrl with given scriptUrl', () => {
@@ -16,8 +21,17 @@ describe('parseAst tests', () => {
     ).to.be.true
   })
 
-  it('should call parseNode with root after setScriptUrl', () => {
-    esprimaParser.parseAst(root, scriptUrl)
+  it('should call setSourceText with given sourceText', () => {
+    esprimaParser.parseAst(root, scriptUrl, sourceText)
+
+    expect(
+      esprimaParser.setSourceText
+        .calledWithExactly(sourceText)
+    ).to.be.true
+  })
+
+  it('should call parseNode with root after setScriptUrl and setSourceText', () => {
+    esprimaParser.parseAst(root, scriptUrl, sourceText)
 
     expect(
       esprimaParser.parseNode
@@ -25,7 +39,48 @@ describe('parseAst tests', () => {
     ).to.be.true
     expect(
       esprimaParser.parseNode
+        .calledAfter(esprimaParser.setSourceText)
+    ).to.be.true
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(root)
+    ).to.be.true
+  })
+
+  it('should call resolveScopes with root before parseNode', () => {
+    esprimaParser.parseAst(root, scriptUrl, sourceText)
+
+    expect(
+      esprimaParser.resolveScopes
         .calledWithExactly(root)
     ).to.be.true
+    expect(
+      esprimaParser.resolveScopes
+        .calledBefore(esprimaParser.parseNode)
+    ).to.be.true
+  })
+
+  it('should call parseNode in top level call frame', () => {
+    esprimaParser.parseAst(root, scriptUrl, sourceText)
+
+    expect(esprimaParser.runInCallFrame.calledWith('')).to.be.true
+  })
+
+  it('should call executeNatively with root instead of parseNode given shouldExecuteNatively returns true', () => {
+    esprimaParser.shouldExecuteNatively
+      .withArgs(root).returns(true)
+
+    esprimaParser.parseAst(root, scriptUrl, sourceText)
+
+    expect(
+      esprimaParser.executeNatively
+        .calledWithExactly(root)
+    ).to.be.true
+    expect(
+      esprimaParser.executeNatively
+        .calledAfter(esprimaParser.setSourceText)
+    ).to.be.true
+    expect(esprimaParser.parseNode.called).to.be.false
+    expect(esprimaParser.resolveScopes.called).to.be.false
   })
 })
@@ -0,0 +1,216 @@
+describe('parseAstInSlices tests', () => {
+  const rootClone = {}
+  const statements = ['statement1', 'statement2', 'statement3']
+  let root, clock, onProgress
+
+  beforeEach(() => {
+    root = createAstNode('Program', {body: ['statement']})
+    clock = sandbox.useFakeTimers()
+    onProgress = sandbox.spy()
+
+    esprimaParser.timeSlice = 10
+    sandbox.stub(esprimaParser, 'closureStack', {
+      getRootClone: sandbox.stub().returns(rootClone)
+    })
+    sandbox.stub(esprimaParser, 'executionBudget', {
+      save: sandbox.spy(() => `usage${esprimaParser.executionBudget.save.callCount}`)
+    })
+    sandbox.stub(esprimaParser, 'hasUseStrictDirective')
+      .withArgs(root.body).returns('resultFromHasUseStrictDirective')
+    sandbox.stub(esprimaParser, 'runInEnvironment', (environment, parse) => parse())
+    sandbox.stub(esprimaParser, 'runInCallFrame', (name, parse) => parse())
+    sandbox.stub(esprimaParser, 'handleHoisting')
+    sandbox.stub(esprimaParser, 'handleBlockHoisting')
+    sandbox.stub(esprimaParser, 'parseHoistingStatements')
+      .returns(statements)
+    sandbox.stub(esprimaParser, 'parseNode')
+    sandbox.stub(esprimaParser, 'skipUnsupportedStatement').returns(false)
+    sandbox.stub(esprimaParser, 'setStatementLoc')
+    sandbox.stub(esprimaParser, 'resolveScopes')
+    sandbox.stub(esprimaParser, 'shouldExecuteNatively').returns(false)
+    sandbox.stub(esprimaParser, 'executeNatively')
+  })
+
+  it('should run slices in top level call frame of global environment of script', () => {
+    esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText', onProgress)
+
+    expect(
+      esprimaParser.runInEnvironment
+        .calledWith({
+          scriptUrl: 'scriptUrl',
+          sourceText: 'sourceText',
+          closureStack: rootClone,
+          strict: 'resultFromHasUseStrictDirective'
+        })
+    ).to.be.true
+    expect(esprimaParser.runInCallFrame.calledWith('')).to.be.true
+  })
+
+  it('should call resolveScopes with root before hoisting', () => {
+    esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText', onProgress)
+
+    expect(
+      esprimaParser.resolveScopes
+        .calledWithExactly(root)
+    ).to.be.true
+    expect(
+      esprimaParser.resolveScopes
+        .calledBefore(esprimaParser.handleHoisting)
+    ).to.be.true
+  })
+
+  it('should call handleHoisting, handleBlockHoisting and parseHoistingStatements with body in order before parseNode', () => {
+    esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText', onProgress)
+
+    expect(
+      esprimaParser.handleHoisting
+        .calledWithExactly(root.body)
+    ).to.be.true
+    expect(
+      esprimaParser.handleBlockHoisting
+        .calledWithExactly(root.body)
+    ).to.be.true
+    expect(
+      esprimaParser.parseHoistingStatements
+        .calledWithExactly(root.body)
+    ).to.be.true
+    expect(
+      esprimaParser.handleBlockHoisting
+        .calledAfter(esprimaParser.handleHoisting)
+    ).to.be.true
+    expect(
+      esprimaParser.parseHoistingStatements
+        .calledAfter(esprimaParser.handleBlockHoisting)
+    ).to.be.true
+    expect(
+      esprimaParser.parseNode
+        .calledAfter(esprimaParser.parseHoistingStatements)
+    ).to.be.true
+  })
+
+  it('should parse statements in one slice and resolve given time slice enough', () => {
+    const promise = esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText', onProgress)
+
+    expect(esprimaParser.parseNode.args).to.be.eql(statements.map((statement) => [statement]))
+    expect(esprimaParser.setStatementLoc.args).to.be.eql(statements.map((statement) => [statement]))
+    expect(
+      onProgress
+        .calledWithExactly({scriptUrl: 'scriptUrl', done: 3, total: 3})
+    ).to.be.true
+
+    return promise
+  })
+
+  it('should yield to page between slices given time slice used up', () => {
+    esprimaParser.parseNode.restore()
+    sandbox.stub(esprimaParser, 'parseNode', () => {
+      clock.now += 10 // time slice used up by each statement
+    })
+
+    const promise = esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText', onProgress)
+
+    expect(esprimaParser.parseNode.calledOnce).to.be.true
+    expect(
+      onProgress.lastCall
+        .calledWithExactly({scriptUrl: 'scriptUrl', done: 1, total: 3})
+    ).to.be.true
+
+    clock.tick(1)
+
+    expect(esprimaParser.parseNode.calledThrice).to.be.true
+    expect(onProgress.args).to.be.eql([1, 2, 3].map((done) => {
+      return [{scriptUrl: 'scriptUrl', done, total: 3}]
+    }))
+
+    return promise
+  })
+
+  it('should run slices with budgetUsage saved after slice before, and reset it after', () => {
+    const budgetUsages = []
+
+    esprimaParser.runInCallFrame.restore()
+    sandbox.stub(esprimaParser, 'runInCallFrame', (name, parse) => {
+      budgetUsages.push(esprimaParser.budgetUsage)
+
+      return parse()
+    })
+    esprimaParser.parseNode.restore()
+    sandbox.stub(esprimaParser, 'parseNode', () => {
+      clock.now += 10 // time slice used up by each statement
+    })
+
+    const promise = esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText', onProgress)
+
+    clock.tick(1)
+
+    expect(budgetUsages).to.be.eql([null, 'usage1', 'usage2', 'usage3'])
+    expect(esprimaParser.budgetUsage).to.be.null
+
+    return promise
+  })
+
+  it('should run all statements in one slice given default timeSlice', () => {
+    esprimaParser.timeSlice = Infinity
+    esprimaParser.parseNode.restore()
+    sandbox.stub(esprimaParser, 'parseNode', () => {
+      clock.now += 1000
+    })
+
+    const promise = esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText', onProgress)
+
+    expect(esprimaParser.parseNode.calledThrice).to.be.true
+    expect(onProgress.calledOnce).to.be.true
+
+    return promise
+  })
+
+  it('should resolve after executeNatively called with root in environment of script given shouldExecuteNatively returns true', () => {
+    esprimaParser.shouldExecuteNatively
+      .withArgs(root).returns(true)
+    esprimaParser.runInEnvironment.restore()
+    sandbox.stub(esprimaParser, 'runInEnvironment', (environment, parse) => {
+      expect(environment.sourceText).to.be.equal('sourceText')
+
+      return parse()
+    })
+
+    return esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText', onProgress)
+      .then(() => {
+        expect(
+          esprimaParser.executeNatively
+            .calledWithExactly(root)
+        ).to.be.true
+        expect(esprimaParser.runInEnvironment.calledOnce).to.be.true
+        expect(esprimaParser.handleHoisting.called).to.be.false
+        expect(esprimaParser.parseNode.called).to.be.false
+      })
+  })
+
+  it('should reject error thrown while parsing slice', () => {
+    const error = new Error()
+
+    esprimaParser.parseNode.throws(error)
+
+    return esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText', onProgress)
+      .then(() => {
+        throw new Error('should not resolve')
+      }, (e) => {
+        expect(e).to.be.equal(error)
+        expect(onProgress.called).to.be.false
+        expect(esprimaParser.budgetUsage).to.be.null
+      })
+  })
+
+  it('should resolve without parsing given no statements left after hoisting', () => {
+    esprimaParser.parseHoistingStatements.returns([])
+
+    return esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText')
+      .then(() => {
+        expect(esprimaParser.parseNode.called).to.be.false
+      })
+  })
+
+  it('should resolve given no onProgress', () => {
+    return esprimaParser.parseAstInSlices(root, 'scriptUrl', 'sourceText')
+  })
+})
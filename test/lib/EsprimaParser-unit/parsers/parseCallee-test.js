@@ -1,14 +1,13 @@
 describe('parseCallee tests', () => {
-  let callee
-  // stub results
-  const exp = {
-    caller: {caller: 'caller'},
-    callee: {callee: 'callee'}
-  }
+  const caller = {caller: 'caller'}
+  const calleeExp = {callee: 'callee'}
   const calleeInstance = {}
+  let callee, exp
 
   beforeEach(() => {
     callee = createAstNode('Expression')
+    // stub results
+    exp = {caller, callee: calleeExp}
 
     sandbox.stub(esprimaParser, 'getCalleeExp').returns(exp)
     sandbox.stub(esprimaParser, 'createCallee').returns(calleeInstance)
@@ -28,11 +27,25 @@ describe('parseCallee tests', () => {
 
     expect(
       esprimaParser.createCallee
-        .calledWithExactly(exp.callee)
+        .calledWithExactly(calleeExp)
     ).to.be.true
     expect(result).to.be.eql({
-      caller: exp.caller,
+      caller,
       callee: calleeInstance
     })
   })
+
+  it('should keep other properties of exp', () => {
+    const superBase = {}
+
+    esprimaParser.getCalleeExp.returns(Object.assign({superBase}, exp))
+
+    const result = esprimaParser.parseCallee(callee)
+
+    expect(result).to.be.eql({
+      caller,
+      callee: calleeInstance,
+      superBase
+    })
+  })
 })
@@ -7,18 +7,50 @@ describe('parseCatchClause tests', () => {
       param: createAstNode('Identifier'),
       body: createAstNode('BlockStatement')
     })
+    sandbox.stub(esprimaParser, 'closureStack', {
+      createBlockClosure: sandbox.spy(),
+      removeLatestClosure: sandbox.spy()
+    })
     sandbox.stub(esprimaParser, 'setCatchError')
+    sandbox.stub(esprimaParser, 'captureErrorStack')
     sandbox.stub(esprimaParser, 'handleExceptionBlock')
       .returns('resultFromHandleExceptionBlock')
   })
 
-  it('should call setCatchError with catchClause.param and error', () => {
+  it('should call captureErrorStack with error before setCatchError', () => {
+    esprimaParser.parseCatchClause(catchClause, error)
+
+    expect(
+      esprimaParser.captureErrorStack
+        .calledWithExactly(error)
+    ).to.be.true
+    expect(
+      esprimaParser.captureErrorStack
+        .calledBefore(esprimaParser.setCatchError)
+    ).to.be.true
+  })
+
+  it('should call closureStack.createBlockClosure with catchClause', () => {
+    esprimaParser.parseCatchClause(catchClause, error)
+
+    expect(esprimaParser.closureStack.createBlockClosure.calledOnce).to.be.true
+    expect(
+      esprimaParser.closureStack.createBlockClosure
+        .calledWithExactly(catchClause)
+    ).to.be.true
+  })
+
+  it('should call setCatchError with catchClause.param and error after closureStack.createBlockClosure', () => {
     esprimaParser.parseCatchClause(catchClause, error)
 
     expect(
       esprimaParser.setCatchError
         .calledWithExactly(catchClause.param, error)
     ).to.be.true
+    expect(
+      esprimaParser.setCatchError
+        .calledAfter(esprimaParser.closureStack.createBlockClosure)
+    ).to.be.true
   })
 
   it('should call handleExceptionBlock with catchClause.body after setCatchError and return', () => {
@@ -34,4 +66,24 @@ describe('parseCatchClause tests', () => {
     ).to.be.true
     expect(result).to.be.equal('resultFromHandleExceptionBlock')
   })
+
+  it('should call closureStack.removeLatestClosure after handleExceptionBlock', () => {
+    esprimaParser.parseCatchClause(catchClause, error)
+
+    expect(
+      esprimaParser.closureStack.removeLatestClosure
+        .calledAfter(esprimaParser.handleExceptionBlock)
+    ).to.be.true
+  })
+
+  it('should call closureStack.removeLatestClosure given handleExceptionBlock throws error', () => {
+    const errorFromBlock = new Error('error from block')
+
+    esprimaParser.handleExceptionBlock.throws(errorFromBlock)
+
+    expect(() => {
+      esprimaParser.parseCatchClause(catchClause, error)
+    }).to.throw(errorFromBlock)
+    expect(esprimaParser.closureStack.removeLatestClosure.calledOnce).to.be.true
+  })
 })
@@ -0,0 +1,118 @@
+describe('parseClass tests', () => {
+  const variable = 'variable'
+  const parents = {}
+  const classAgent = function () {}
+  let classNode
+
+  beforeEach(() => {
+    classNode = createAstNode('ClassDeclaration|ClassExpression', {
+      id: createAstNode('Identifier'),
+      superClass: createAstNode('Expression'),
+      body: createAstNode('ClassBody', {
+        body: [createAstNode('MethodDefinition')]
+      })
+    })
+    sandbox.stub(esprimaParser, 'closureStack', {
+      declare: sandbox.spy(),
+      set: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'getNameFromPattern').returns(variable)
+    sandbox.stub(esprimaParser, 'parseSuperClass').returns(parents)
+    sandbox.stub(esprimaParser, 'createClassConstructor').returns(classAgent)
+    sandbox.stub(esprimaParser, 'setClassMethods')
+  })
+
+  it('should call declare of closureStack with name of id and \'const\' before parseSuperClass', () => {
+    esprimaParser.parseClass(classNode)
+
+    expect(
+      esprimaParser.getNameFromPattern
+        .calledWithExactly(classNode.id)
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.declare
+        .calledWithExactly(variable, 'const')
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.declare
+        .calledBefore(esprimaParser.parseSuperClass)
+    ).to.be.true
+  })
+
+  it('should call parseSuperClass with superClass', () => {
+    esprimaParser.parseClass(classNode)
+
+    expect(
+      esprimaParser.parseSuperClass
+        .calledWithExactly(classNode.superClass)
+    ).to.be.true
+  })
+
+  it('should call createClassConstructor with classNode, result from parseSuperClass and variable as name', () => {
+    esprimaParser.parseClass(classNode, 'name')
+
+    expect(
+      esprimaParser.createClassConstructor
+        .calledWithExactly(classNode, parents, variable)
+    ).to.be.true
+  })
+
+  it('should call createClassConstructor with name given null id', () => {
+    classNode.id = null
+
+    esprimaParser.parseClass(classNode, 'name')
+
+    expect(
+      esprimaParser.createClassConstructor
+        .calledWithExactly(classNode, parents, 'name')
+    ).to.be.true
+  })
+
+  it('should call createClassConstructor with empty name given null id and no name', () => {
+    classNode.id = null
+
+    esprimaParser.parseClass(classNode)
+
+    expect(
+      esprimaParser.createClassConstructor
+        .calledWithExactly(classNode, parents, '')
+    ).to.be.true
+  })
+
+  it('should call setClassMethods with classAgent and method definitions', () => {
+    esprimaParser.parseClass(classNode)
+
+    expect(
+      esprimaParser.setClassMethods
+        .calledWithExactly(classAgent, classNode.body.body)
+    ).to.be.true
+  })
+
+  it('should call set of closureStack with variable and classAgent after setClassMethods', () => {
+    esprimaParser.parseClass(classNode)
+
+    expect(
+      esprimaParser.closureStack.set
+        .calledWithExactly(variable, classAgent)
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.set
+        .calledAfter(esprimaParser.setClassMethods)
+    ).to.be.true
+  })
+
+  it('should not declare or set variable given null id', () => {
+    classNode.id = null
+
+    esprimaParser.parseClass(classNode)
+
+    expect(esprimaParser.closureStack.declare.called).to.be.false
+    expect(esprimaParser.closureStack.set.called).to.be.false
+  })
+
+  it('should return classAgent', () => {
+    const result = esprimaParser.parseClass(classNode)
+
+    expect(result).to.be.equal(classAgent)
+  })
+})
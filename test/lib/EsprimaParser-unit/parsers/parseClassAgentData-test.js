@@ -0,0 +1,69 @@
+describe('parseClassAgentData tests', () => {
+  const calledArguments = [1, 2]
+  let classAgentData, builtInArguments, ParentStub, classAgent, constructed
+
+  beforeEach(() => {
+    constructed = []
+    ParentStub = function (...args) {
+      constructed.push({args, newTarget: new.target})
+    }
+    classAgent = function () {}
+    Object.setPrototypeOf(classAgent, ParentStub)
+
+    classAgentData = {
+      body: createAstNode('BlockStatement'),
+      classAgent,
+      isDerived: false
+    }
+    builtInArguments = {
+      arguments: {},
+      newTarget: classAgent
+    }
+    sandbox.stub(esprimaParser, 'parseFunctionAgentData')
+      .returns('resultFromParseFunctionAgentData')
+  })
+
+  it('should throw TypeError given undefined newTarget', () => {
+    builtInArguments.newTarget = undefined
+
+    expect(() => {
+      esprimaParser.parseClassAgentData(classAgentData, builtInArguments, calledArguments)
+    }).to.throw(TypeError)
+    expect(esprimaParser.parseFunctionAgentData.called).to.be.false
+  })
+
+  it('should call parseFunctionAgentData with classAgentData, builtInArguments with this created from newTarget and calledArguments given base class', () => {
+    const result = esprimaParser.parseClassAgentData(classAgentData, builtInArguments, calledArguments)
+    const [data, passedBuiltInArguments, args] =
+      esprimaParser.parseFunctionAgentData.lastCall.args
+
+    expect(data).to.be.equal(classAgentData)
+    expect(Object.getPrototypeOf(passedBuiltInArguments.this)).to.be.equal(classAgent.prototype)
+    expect(passedBuiltInArguments.arguments).to.be.equal(builtInArguments.arguments)
+    expect(passedBuiltInArguments.newTarget).to.be.equal(classAgent)
+    expect(args).to.be.equal(calledArguments)
+    expect(result).to.be.equal('resultFromParseFunctionAgentData')
+  })
+
+  it('should call parseFunctionAgentData with undefined this given derived class', () => {
+    classAgentData.isDerived = true
+
+    esprimaParser.parseClassAgentData(classAgentData, builtInArguments, calledArguments)
+
+    const passedBuiltInArguments =
+      esprimaParser.parseFunctionAgentData.lastCall.args[1]
+
+    expect(passedBuiltInArguments.this).to.be.undefined
+  })
+
+  it('should construct parent of classAgent with calledArguments and newTarget given derived class without constructor', () => {
+    classAgentData.isDerived = true
+    classAgentData.body = null
+
+    const result = esprimaParser.parseClassAgentData(classAgentData, builtInArguments, calledArguments)
+
+    expect(esprimaParser.parseFunctionAgentData.called).to.be.false
+    expect(constructed).to.be.eql([{args: calledArguments, newTarget: classAgent}])
+    expect(result).to.be.instanceof(classAgent)
+  })
+})
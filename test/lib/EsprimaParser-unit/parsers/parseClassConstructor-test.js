@@ -0,0 +1,61 @@
+describe('parseClassConstructor tests', () => {
+  const environment = {
+    scriptUrl: 'scriptUrl',
+    closureStack: {}
+  }
+  const functionAgentData = {}
+  let classNode
+
+  beforeEach(() => {
+    classNode = createAstNode('ClassDeclaration|ClassExpression', {
+      body: createAstNode('ClassBody', {
+        body: [createAstNode('MethodDefinition')]
+      })
+    })
+    sandbox.stub(esprimaParser, 'findClassConstructor')
+    sandbox.stub(esprimaParser, 'parseFunctionExpression')
+      .returns(functionAgentData)
+    sandbox.stub(esprimaParser, 'getEnvironment')
+      .returns(environment)
+  })
+
+  it('should call findClassConstructor with method definitions', () => {
+    esprimaParser.parseClassConstructor(classNode)
+
+    expect(
+      esprimaParser.findClassConstructor
+        .calledWithExactly(classNode.body.body)
+    ).to.be.true
+  })
+
+  it('should return result from parseFunctionExpression called with value of constructor definition', () => {
+    const constructorDefinition = createAstNode('MethodDefinition', {
+      value: createAstNode('FunctionExpression')
+    })
+    esprimaParser.findClassConstructor.returns(constructorDefinition)
+
+    const result = esprimaParser.parseClassConstructor(classNode)
+
+    expect(
+      esprimaParser.parseFunctionExpression
+        .calledWithExactly(constructorDefinition.value)
+    ).to.be.true
+    expect(result).to.be.equal(functionAgentData)
+  })
+
+  it('should return data of default constructor with environment given no constructor definition', () => {
+    const result = esprimaParser.parseClassConstructor(classNode)
+
+    expect(
+      esprimaParser.getEnvironment
+        .calledWithExactly(esprimaParser)
+    ).to.be.true
+    expect(result).to.be.eql({
+      scriptUrl: 'scriptUrl',
+      closureStack: environment.closureStack,
+      body: null,
+      params: [],
+      hoistings: []
+    })
+  })
+})
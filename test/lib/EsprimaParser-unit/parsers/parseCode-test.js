@@ -0,0 +1,21 @@
+describe('parseCode tests', () => {
+  it('should return program parsed by esprima with loc and range', () => {
+    sandbox.stub(esprimaParser, 'esprima', {
+      parse: sandbox.stub().returns('resultFromParse')
+    })
+
+    const result = esprimaParser.parseCode('code')
+
+    expect(
+      esprimaParser.esprima.parse
+        .calledWithExactly('code', {loc: true, range: true})
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParse')
+  })
+
+  it('should throw SyntaxError with description of error thrown by esprima', () => {
+    expect(() => {
+      esprimaParser.parseCode('{')
+    }).to.throw(SyntaxError, 'Unexpected end of input')
+  })
+})
@@ -0,0 +1,38 @@
+describe('parseDestructuringAssignment tests', () => {
+  let assignmentExpression
+
+  beforeEach(() => {
+    assignmentExpression = createAstNode('AssignmentExpression', {
+      operator: '=',
+      left: createAstNode('ObjectPattern|ArrayPattern'),
+      right: createAstNode('Expression')
+    })
+    sandbox.stub(esprimaParser, 'parseNode')
+      .returns('resultFromParseNode')
+    sandbox.stub(esprimaParser, 'updatePatternVariables')
+  })
+
+  it('should call parseNode with right', () => {
+    esprimaParser.parseDestructuringAssignment(assignmentExpression)
+
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(assignmentExpression.right)
+    ).to.be.true
+  })
+
+  it('should call updatePatternVariables with left and result from parseNode', () => {
+    esprimaParser.parseDestructuringAssignment(assignmentExpression)
+
+    expect(
+      esprimaParser.updatePatternVariables
+        .calledWithExactly(assignmentExpression.left, 'resultFromParseNode')
+    ).to.be.true
+  })
+
+  it('should return result from parseNode', () => {
+    const result = esprimaParser.parseDestructuringAssignment(assignmentExpression)
+
+    expect(result).to.be.equal('resultFromParseNode')
+  })
+})
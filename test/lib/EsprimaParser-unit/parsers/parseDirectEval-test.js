@@ -0,0 +1,44 @@
+describe('parseDirectEval tests', () => {
+  const loc = {}
+  const closureStackClone = {}
+
+  beforeEach(() => {
+    esprimaParser.strict = 'strict'
+
+    sandbox.stub(esprimaParser, 'closureStack', {
+      getClone: sandbox.stub().returns(closureStackClone)
+    })
+    sandbox.stub(esprimaParser, 'getVirtualScriptUrl')
+      .returns('resultFromGetVirtualScriptUrl')
+    sandbox.stub(esprimaParser, 'evaluateCode')
+      .returns('resultFromEvaluateCode')
+  })
+
+  it('should return code as is given code not string', () => {
+    const code = {}
+
+    const result = esprimaParser.parseDirectEval(code, loc)
+
+    expect(esprimaParser.evaluateCode.called).to.be.false
+    expect(result).to.be.equal(code)
+  })
+
+  it('should call getVirtualScriptUrl with code, \'eval\' and loc', () => {
+    esprimaParser.parseDirectEval('code', loc)
+
+    expect(
+      esprimaParser.getVirtualScriptUrl
+        .calledWithExactly('code', 'eval', loc)
+    ).to.be.true
+  })
+
+  it('should return result from evaluateCode called with code, virtual scriptUrl, clone of closureStack and strict', () => {
+    const result = esprimaParser.parseDirectEval('code', loc)
+
+    expect(
+      esprimaParser.evaluateCode
+        .calledWithExactly('code', 'resultFromGetVirtualScriptUrl', closureStackClone, 'strict')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromEvaluateCode')
+  })
+})
@@ -0,0 +1,89 @@
+describe('parseEvalCode tests', () => {
+  let statements
+
+  beforeEach(() => {
+    statements = [createAstNode('Statement1'), createAstNode('Statement2')]
+
+    sandbox.stub(esprimaParser, 'closureStack', {
+      createClosure: sandbox.spy(),
+      createBlockClosure: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'handleEvalHoisting')
+    sandbox.stub(esprimaParser, 'handleBlockHoisting')
+    sandbox.stub(esprimaParser, 'parseStatements')
+  })
+
+  it('should call createBlockClosure of closureStack given not strict', () => {
+    esprimaParser.strict = false
+
+    esprimaParser.parseEvalCode(statements)
+
+    expect(esprimaParser.closureStack.createBlockClosure.calledOnce).to.be.true
+    expect(esprimaParser.closureStack.createClosure.called).to.be.false
+  })
+
+  it('should call createClosure of closureStack given strict', () => {
+    esprimaParser.strict = true
+
+    esprimaParser.parseEvalCode(statements)
+
+    expect(esprimaParser.closureStack.createClosure.calledOnce).to.be.true
+    expect(esprimaParser.closureStack.createBlockClosure.called).to.be.false
+  })
+
+  it('should call handleEvalHoisting, handleBlockHoisting and parseStatements with statements in order', () => {
+    esprimaParser.parseEvalCode(statements)
+
+    expect(
+      esprimaParser.handleEvalHoisting
+        .calledWithExactly(statements)
+    ).to.be.true
+    expect(
+      esprimaParser.handleBlockHoisting
+        .calledWithExactly(statements)
+    ).to.be.true
+    expect(
+      esprimaParser.parseStatements
+        .calledWithExactly(statements)
+    ).to.be.true
+    expect(
+      esprimaParser.handleEvalHoisting
+        .calledBefore(esprimaParser.handleBlockHoisting)
+    ).to.be.true
+    expect(
+      esprimaParser.handleBlockHoisting
+        .calledBefore(esprimaParser.parseStatements)
+    ).to.be.true
+  })
+
+  it('should return completionValue of statements', () => {
+    esprimaParser.parseStatements.restore()
+    sandbox.stub(esprimaParser, 'parseStatements', () => {
+      esprimaParser.completionValue = 'completionValue'
+    })
+
+    const result = esprimaParser.parseEvalCode(statements)
+
+    expect(result).to.be.equal('completionValue')
+  })
+
+  it('should return undefined given no expression statement evaluated', () => {
+    esprimaParser.completionValue = 'completionValue'
+
+    const result = esprimaParser.parseEvalCode(statements)
+
+    expect(result).to.be.undefined
+  })
+
+  it('should restore completionValue given error thrown', () => {
+    const error = new Error()
+
+    esprimaParser.completionValue = 'completionValue'
+    esprimaParser.parseStatements.throws(error)
+
+    expect(() => {
+      esprimaParser.parseEvalCode(statements)
+    }).to.throw(error)
+    expect(esprimaParser.completionValue).to.be.equal('completionValue')
+  })
+})
@@ -0,0 +1,54 @@
+describe('parseExportEntries tests', () => {
+  let entries
+
+  const createExportSpecifier = (local, exported) => {
+    return createAstNode('ExportSpecifier', {
+      local: createAstNode('Identifier', {name: local}),
+      exported: createAstNode('Identifier', {name: exported})
+    })
+  }
+
+  beforeEach(() => {
+    entries = {localExports: new Map(), indirectExports: new Map()}
+  })
+
+  it('should add names of declaration to localExports given declaration', () => {
+    const exportNamedDeclaration = createAstNode('ExportNamedDeclaration', {
+      declaration: createAstNode('VariableDeclaration'),
+      specifiers: [],
+      source: null
+    })
+    sandbox.stub(esprimaParser, 'getDeclarationNames')
+      .withArgs(exportNamedDeclaration.declaration).returns(['a', 'b'])
+
+    esprimaParser.parseExportEntries(exportNamedDeclaration, entries)
+
+    expect([...entries.localExports]).to.be.eql([['a', 'a'], ['b', 'b']])
+  })
+
+  it('should add specifiers to localExports given no source', () => {
+    const exportNamedDeclaration = createAstNode('ExportNamedDeclaration', {
+      declaration: null,
+      specifiers: [createExportSpecifier('a', 'b'), createExportSpecifier('c', 'c')],
+      source: null
+    })
+    esprimaParser.parseExportEntries(exportNamedDeclaration, entries)
+
+    expect([...entries.localExports]).to.be.eql([['b', 'a'], ['c', 'c']])
+    expect(entries.indirectExports.size).to.be.equal(0)
+  })
+
+  it('should add specifiers to indirectExports given source', () => {
+    const exportNamedDeclaration = createAstNode('ExportNamedDeclaration', {
+      declaration: null,
+      specifiers: [createExportSpecifier('a', 'b')],
+      source: createAstNode('Literal', {value: './module.js'})
+    })
+    esprimaParser.parseExportEntries(exportNamedDeclaration, entries)
+
+    expect([...entries.indirectExports]).to.be.eql([
+      ['b', {specifier: './module.js', importName: 'a'}]
+    ])
+    expect(entries.localExports.size).to.be.equal(0)
+  })
+})
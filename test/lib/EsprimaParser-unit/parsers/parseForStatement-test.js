@@ -0,0 +1,154 @@
+describe('parseForStatement tests', () => {
+  const label = 'label'
+  const tests = [true, true, true]
+
+  const setTestResults = (results) => {
+    const getTestResults = createResultsGenerator(results)
+
+    for (const index of results.keys()) {
+      esprimaParser.parseNode
+        .withArgs(forStatement.test)
+          .onCall(index).returns(getTestResults())
+    }
+  }
+  let forStatement
+
+  beforeEach(() => {
+    forStatement = createAstNode('ForStatement', {
+      init: createAstNode('ExpressionInit'),
+      test: createAstNode('ExpressionTest'),
+      update: createAstNode('ExpressionUpdate'),
+      body: createAstNode('Statement')
+    })
+    sandbox.stub(esprimaParser, 'parseNode')
+    sandbox.stub(esprimaParser, 'isLoopNeededToBreak')
+    sandbox.stub(esprimaParser, 'closureStack', {
+      copyLatestClosure: sandbox.spy()
+    })
+    setTestResults(tests)
+  })
+
+  it('should call parseNode with init only once', () => {
+    esprimaParser.parseForStatement(forStatement, label, false)
+
+    expect(
+      esprimaParser.parseNode
+        .withArgs(forStatement.init).calledOnce
+    ).to.be.true
+  })
+
+  it('should call parseNode with test each loop', () => {
+    esprimaParser.parseForStatement(forStatement, label, false)
+
+    expect(
+      esprimaParser.parseNode
+        .withArgs(forStatement.test).callCount
+    ).to.be.equal(4)
+  })
+
+  it('should call parseNode with update each loop', () => {
+    esprimaParser.parseForStatement(forStatement, label, false)
+
+    expect(
+      esprimaParser.parseNode
+        .withArgs(forStatement.update).calledThrice
+    ).to.be.true
+  })
+
+  it('should call parseNode with body each loop', () => {
+    esprimaParser.parseForStatement(forStatement, label, false)
+
+    expect(
+      esprimaParser.parseNode
+        .withArgs(forStatement.body).calledThrice
+    ).to.be.true
+  })
+
+  it('should call isLoopNeededToBreak with label each loop', () => {
+    esprimaParser.parseForStatement(forStatement, label, false)
+
+    expect(
+      esprimaParser.isLoopNeededToBreak
+        .withArgs(label).calledThrice
+    ).to.be.true
+  })
+
+  it('should break loop if isLoopNeededToBreak returns true', () => {
+    esprimaParser.isLoopNeededToBreak
+      .onCall(1).returns(true)
+
+    esprimaParser.parseForStatement(forStatement, label, false)
+
+    expect(
+      esprimaParser.parseNode
+        .withArgs(forStatement.body).calledTwice
+    ).to.be.true
+  })
+
+  it('should break loop if test fails', () => {
+    setTestResults([true, true, false])
+
+    esprimaParser.parseForStatement(forStatement, label, false)
+
+    expect(
+      esprimaParser.parseNode
+        .withArgs(forStatement.body).calledTwice
+    ).to.be.true
+  })
+
+  it('should not call closureStack.copyLatestClosure given isPerIteration false', () => {
+    esprimaParser.parseForStatement(forStatement, label, false)
+
+    expect(esprimaParser.closureStack.copyLatestClosure.called).to.be.false
+  })
+
+  it('should call closureStack.copyLatestClosure before each update given isPerIteration true', () => {
+    esprimaParser.parseForStatement(forStatement, label, true)
+
+    expect(esprimaParser.closureStack.copyLatestClosure.calledThrice).to.be.true
+
+    for (const index of tests.keys()) {
+      expect(
+        esprimaParser.closureStack.copyLatestClosure.getCall(index)
+          .calledBefore(
+            esprimaParser.parseNode
+              .withArgs(forStatement.update).getCall(index)
+          )
+      ).to.be.true
+    }
+  })
+
+  it('should not call closureStack.copyLatestClosure given loop breaks', () => {
+    esprimaParser.isLoopNeededToBreak.returns(true)
+
+    esprimaParser.parseForStatement(forStatement, label, true)
+
+    expect(esprimaParser.closureStack.copyLatestClosure.called).to.be.false
+  })
+
+  const setParseNodeResults = () => {
+    for (const index of tests.keys()) {
+      esprimaParser.parseNode
+        .withArgs(forStatement.body)
+          .onCall(index).returns(`resultFromParseNode${index + 1}`)
+    }
+  }
+
+  it('should return result from last parseNode called with body given loop never breaks', () => {
+    setParseNodeResults()
+
+    const result = esprimaParser.parseForStatement(forStatement, label, false)
+
+    expect(result).to.be.equal('resultFromParseNode3')
+  })
+
+  it('should return result from second parseNode called with body given loop breaks at second loop', () => {
+    setParseNodeResults()
+    esprimaParser.isLoopNeededToBreak
+      .onCall(1).returns(true)
+
+    const result = esprimaParser.parseForStatement(forStatement, label, false)
+
+    expect(result).to.be.equal('resultFromParseNode2')
+  })
+})
@@ -23,17 +23,55 @@ describe('parseFunctionAgentData tests', () => {
       .withArgs(esprimaParser).returns(envGlobal)
       .withArgs(functionAgentData).returns(envFunction)
     sandbox.stub(esprimaParser, 'setEnvironment')
-    sandbox.stub(esprimaParser, 'closureStack', {
-      createClosure: sandbox.spy()
-    })
-    sandbox.stub(esprimaParser, 'setHoistings')
-    sandbox.stub(esprimaParser, 'setBuiltInArguments')
-    sandbox.stub(esprimaParser, 'setCalledArguments')
-    // sandbox.stub(esprimaParser, 'setFunctionClosure')
+    sandbox.stub(esprimaParser, 'setFunctionClosure')
+    sandbox.stub(esprimaParser, 'getConstructResult')
+      .returns('resultFromGetConstructResult')
     sandbox.stub(esprimaParser, 'parseNode')
+    sandbox.stub(esprimaParser, 'getCallFrameName')
+      .withArgs(functionAgentData, builtInArguments).returns('resultFromGetCallFrameName')
+    sandbox.stub(esprimaParser, 'runInCallFrame', (name, parse) => parse())
     sandbox.stub(esprimaParser, 'flowState', {
       unset: sandbox.spy()
     })
+    sandbox.stub(esprimaParser, 'isAccessedOnHeap').returns(false)
+    sandbox.stub(esprimaParser, 'createCallRequest')
+      .returns('resultFromCreateCallRequest')
+  })
+
+  it('should throw result from createCallRequest called with functionAgentData, builtInArguments and calledArguments given isAccessedOnHeap returns true', () => {
+    esprimaParser.isAccessedOnHeap
+      .withArgs(builtInArguments).returns(true)
+
+    let thrown
+
+    try {
+      esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
+    } catch (e) {
+      thrown = e
+    }
+    expect(thrown).to.be.equal('resultFromCreateCallRequest')
+    expect(
+      esprimaParser.createCallRequest
+        .calledWithExactly(functionAgentData, builtInArguments, calledArguments)
+    ).to.be.true
+    expect(esprimaParser.setEnvironment.called).to.be.false
+    expect(esprimaParser.parseNode.called).to.be.false
+  })
+
+  it('should return result from runCallFrames called with result from createCallRequest given nativeCallDepth reaches maxNativeCallDepth', () => {
+    sandbox.stub(esprimaParser, 'runCallFrames')
+      .withArgs('resultFromCreateCallRequest').returns('resultFromRunCallFrames')
+    esprimaParser.nativeCallDepth = esprimaParser.maxNativeCallDepth
+
+    const result = esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.createCallRequest
+        .calledWithExactly(functionAgentData, builtInArguments, calledArguments)
+    ).to.be.true
+    expect(esprimaParser.parseNode.called).to.be.false
+    expect(esprimaParser.nativeCallDepth).to.be.equal(esprimaParser.maxNativeCallDepth)
+    expect(result).to.be.equal('resultFromRunCallFrames')
   })
 
   it('should call getEnvironment with esprimaParser', () => {
@@ -68,12 +106,15 @@ describe('parseFunctionAgentData tests', () => {
     ).to.be.true
   })
 
-  it('should call closureStack.createClosure after setEnvironment called with esprimaParser and envFunction', () => {
+  it('should call setFunctionClosure with functionAgentData, builtInArguments and calledArguments after setEnvironment called with esprimaParser and envFunction', () => {
     esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
 
-    expect(esprimaParser.closureStack.createClosure.called).to.be.true
     expect(
-      esprimaParser.closureStack.createClosure
+      esprimaParser.setFunctionClosure
+        .calledWithExactly(functionAgentData, builtInArguments, calledArguments)
+    ).to.be.true
+    expect(
+      esprimaParser.setFunctionClosure
         .calledAfter(
           esprimaParser.setEnvironment
             .withArgs(esprimaParser, envFunction)
@@ -81,46 +122,39 @@ describe('parseFunctionAgentData tests', () => {
     ).to.be.true
   })
 
-  it('should call setHoistings with functionAgentData.hoistings after createClosure', () => {
-    esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
+  it('should call setFunctionClosure and parseNode in call frame named by getCallFrameName', () => {
+    esprimaParser.runInCallFrame.restore()
+    sandbox.stub(esprimaParser, 'runInCallFrame', (name, parse) => {
+      expect(esprimaParser.setFunctionClosure.called).to.be.false
+      expect(esprimaParser.parseNode.called).to.be.false
 
-    expect(
-      esprimaParser.setHoistings
-        .calledWithExactly(functionAgentData.hoistings)
-    ).to.be.true
-    expect(
-      esprimaParser.setHoistings
-        .calledAfter(esprimaParser.closureStack.createClosure)
-    ).to.be.true
-  })
+      return parse()
+    })
 
-  it('should call setBuiltInArguments with builtInArguments after setHoistings', () => {
     esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
 
     expect(
-      esprimaParser.setBuiltInArguments
-        .calledWithExactly(builtInArguments)
-    ).to.be.true
-    expect(
-      esprimaParser.setBuiltInArguments
-        .calledAfter(esprimaParser.setHoistings)
+      esprimaParser.runInCallFrame
+        .calledWith('resultFromGetCallFrameName')
     ).to.be.true
+    expect(esprimaParser.setFunctionClosure.calledOnce).to.be.true
+    expect(esprimaParser.parseNode.calledOnce).to.be.true
   })
 
-  it('should call setCalledArguments with functionAgentData.parans and calledArguments after setHoistings', () => {
+  it('should increase nativeCallDepth while parsing body and decrease it after', () => {
+    esprimaParser.nativeCallDepth = 1
+    esprimaParser.parseNode.restore()
+    sandbox.stub(esprimaParser, 'parseNode', () => {
+      expect(esprimaParser.nativeCallDepth).to.be.equal(2)
+    })
+
     esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
 
-    expect(
-      esprimaParser.setCalledArguments
-        .calledWithExactly(functionAgentData.params, calledArguments)
-    ).to.be.true
-    expect(
-      esprimaParser.setCalledArguments
-        .calledAfter(esprimaParser.setHoistings)
-    ).to.be.true
+    expect(esprimaParser.parseNode.calledOnce).to.be.true
+    expect(esprimaParser.nativeCallDepth).to.be.equal(1)
   })
 
-  it('should call parseNode with functionAgentData body after setBuiltInArguments and setCalledArguments', () => {
+  it('should call parseNode with functionAgentData body after setFunctionClosure', () => {
     esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
 
     expect(
@@ -129,11 +163,7 @@ describe('parseFunctionAgentData tests', () => {
     ).to.be.true
     expect(
       esprimaParser.parseNode
-        .calledAfter(esprimaParser.setBuiltInArguments)
-    ).to.be.true
-    expect(
-      esprimaParser.parseNode
-        .calledAfter(esprimaParser.setCalledArguments)
+        .calledAfter(esprimaParser.setFunctionClosure)
     ).to.be.true
   })
 
@@ -174,19 +204,76 @@ describe('parseFunctionAgentData tests', () => {
     expect(result).to.be.equal(resultFromParseNode)
   })
 
+  it('should not call getConstructResult given no builtInArguments.newTarget', () => {
+    esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
+
+    expect(esprimaParser.getConstructResult.called).to.be.false
+  })
+
+  it('should return result from getConstructResult called with result from parseNode and isDerived before setEnvironment given builtInArguments.newTarget', () => {
+    const classAgentData = Object.assign({}, functionAgentData, {
+      classAgent: function () {},
+      isDerived: true
+    })
+    const constructArguments = Object.assign({}, builtInArguments, {
+      newTarget: function () {}
+    })
+    esprimaParser.getEnvironment
+      .withArgs(classAgentData).returns(envFunction)
+    esprimaParser.parseNode.returns('resultFromParseNode')
+
+    const result = esprimaParser.parseFunctionAgentData(classAgentData, constructArguments, calledArguments)
+
+    expect(
+      esprimaParser.getConstructResult
+        .calledWithExactly('resultFromParseNode', true)
+    ).to.be.true
+    expect(
+      esprimaParser.getConstructResult
+        .calledBefore(esprimaParser.setEnvironment.withArgs(esprimaParser, envGlobal))
+    ).to.be.true
+    expect(result).to.be.equal('resultFromGetConstructResult')
+  })
+
+  it('should restore completionValue changed while parsing body', () => {
+    esprimaParser.completionValue = 'completionValue'
+    esprimaParser.parseNode.restore()
+    sandbox.stub(esprimaParser, 'parseNode', () => {
+      esprimaParser.completionValue = 'changed'
+    })
+
+    esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
+
+    expect(esprimaParser.completionValue).to.be.equal('completionValue')
+  })
+
   it('should call setEnvironment with esprimaParser and globalEnvironment given parseNode called with functionAgentData.body throw error', () => {
     const error = new Error()
 
     esprimaParser.parseNode.throws(error)
 
-    try {
+    expect(() => {
       esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
-    } catch (e) {
-      expect(e).to.be.equal(error)
-    }
+    }).to.throw(error)
     expect(
       esprimaParser.setEnvironment
         .calledWithExactly(esprimaParser, envGlobal)
     ).to.be.true
   })
+
+  it('should restore nativeCallDepth and unset FlowState.RETURN given parseNode throws error', () => {
+    const error = new Error()
+
+    esprimaParser.nativeCallDepth = 0
+    esprimaParser.parseNode.throws(error)
+
+    expect(() => {
+      esprimaParser.parseFunctionAgentData(functionAgentData, builtInArguments, calledArguments)
+    }).to.throw(error)
+    expect(esprimaParser.nativeCallDepth).to.be.equal(0)
+    expect(
+      esprimaParser.flowState.unset
+        .calledWithExactly(FlowState.RETURN)
+    ).to.be.true
+  })
 })
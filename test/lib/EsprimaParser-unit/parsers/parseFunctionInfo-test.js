@@ -10,6 +10,8 @@ describe('parseFunctionInfo tests', () => {
     })
     sandbox.stub(esprimaParser, 'parseFunctionParams').returns(params)
     sandbox.stub(esprimaParser, 'searchHoistings').returns(hoistings)
+    sandbox.stub(esprimaParser, 'isArrowFunction').returns(false)
+    sandbox.stub(esprimaParser, 'isStrictFunction').returns(false)
   })
 
   it('should call parseFunctionParams with functionExpression params', () => {
@@ -30,13 +32,52 @@ describe('parseFunctionInfo tests', () => {
     ).to.be.true
   })
 
-  it('should return an object containing function expression body, params from parseFunctionParams and hoistings from searchHoistings', () => {
+  it('should call isArrowFunction with functionExpression', () => {
+    esprimaParser.parseFunctionInfo(functionExpression)
+
+    expect(
+      esprimaParser.isArrowFunction
+        .calledWithExactly(functionExpression)
+    ).to.be.true
+  })
+
+  it('should call isStrictFunction with functionExpression', () => {
+    esprimaParser.parseFunctionInfo(functionExpression)
+
+    expect(
+      esprimaParser.isStrictFunction
+        .calledWithExactly(functionExpression)
+    ).to.be.true
+  })
+
+  it('should return an object containing function expression as scope, its body, params from parseFunctionParams, hoistings from searchHoistings, isArrowFunction, isGenerator, isAsync and strict', () => {
     const result = esprimaParser.parseFunctionInfo(functionExpression)
 
     expect(result).to.be.eql({
+      scope: functionExpression,
       body: functionExpression.body,
       params,
-      hoistings
+      hoistings,
+      isArrowFunction: false,
+      isGenerator: false,
+      isAsync: false,
+      strict: false
     })
   })
+
+  it('should set isGenerator to true given generator function', () => {
+    functionExpression.generator = true
+
+    const result = esprimaParser.parseFunctionInfo(functionExpression)
+
+    expect(result.isGenerator).to.be.true
+  })
+
+  it('should set isAsync to true given async function', () => {
+    functionExpression.async = true
+
+    const result = esprimaParser.parseFunctionInfo(functionExpression)
+
+    expect(result.isAsync).to.be.true
+  })
 })
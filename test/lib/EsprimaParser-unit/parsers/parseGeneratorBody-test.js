@@ -0,0 +1,23 @@
+describe('parseGeneratorBody tests', () => {
+  let body
+
+  beforeEach(() => {
+    body = createAstNode('BlockStatement')
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* () {
+      const value = yield 'yielded'
+
+      return `returned${value}`
+    })
+  })
+
+  it('should delegate to parseGeneratorNode called with body', () => {
+    const iterator = esprimaParser.parseGeneratorBody(body)
+
+    expect(iterator.next()).to.be.eql({value: 'yielded', done: false})
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledWithExactly(body)
+    ).to.be.true
+    expect(iterator.next('Value')).to.be.eql({value: 'returnedValue', done: true})
+  })
+})
@@ -0,0 +1,110 @@
+describe('parseGeneratorCallExp tests', () => {
+  const exp = {caller: {}, callee: {}}
+  const calledMethod = function () {}
+  const request = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'setCheckFlag')
+      .returns('resultFromSetCheckFlag')
+    sandbox.stub(esprimaParser, 'resetCheckFlag')
+    sandbox.stub(esprimaParser, 'getCalledMethod')
+      .withArgs(exp).returns(calledMethod)
+    sandbox.stub(esprimaParser, 'getCallRequest')
+      .returns(null)
+    sandbox.stub(esprimaParser, 'callMethod')
+      .returns('resultFromCallMethod')
+  })
+
+  it('should call setCheckFlag with exp before getCalledMethod', () => {
+    runGenerator(esprimaParser.parseGeneratorCallExp(exp))
+
+    expect(
+      esprimaParser.setCheckFlag
+        .calledWithExactly(exp)
+    ).to.be.true
+    expect(
+      esprimaParser.setCheckFlag
+        .calledBefore(esprimaParser.getCalledMethod)
+    ).to.be.true
+  })
+
+  it('should return result from callMethod called with called method and exp given no call request', () => {
+    const result = runGenerator(esprimaParser.parseGeneratorCallExp(exp))
+
+    expect(
+      esprimaParser.getCallRequest
+        .calledWithExactly(calledMethod, exp)
+    ).to.be.true
+    expect(
+      esprimaParser.callMethod
+        .calledWithExactly(calledMethod, exp)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCallMethod')
+  })
+
+  it('should yield call request and return value resumed with given request', () => {
+    esprimaParser.getCallRequest.returns(request)
+
+    const iterator = esprimaParser.parseGeneratorCallExp(exp)
+
+    expect(iterator.next()).to.be.eql({value: request, done: false})
+    expect(esprimaParser.resetCheckFlag.called).to.be.false
+    expect(iterator.next('resultOfCall')).to.be.eql({value: 'resultOfCall', done: true})
+    expect(esprimaParser.callMethod.called).to.be.false
+  })
+
+  it('should yield result from createNativeCallRequest called with called method and exp given no call request on heap frame', () => {
+    sandbox.stub(esprimaParser, 'createNativeCallRequest')
+      .withArgs(calledMethod, exp).returns(request)
+    esprimaParser.onHeapFrame = true
+
+    const iterator = esprimaParser.parseGeneratorCallExp(exp)
+
+    expect(iterator.next()).to.be.eql({value: request, done: false})
+    expect(esprimaParser.resetCheckFlag.called).to.be.false
+    expect(iterator.next('resultOfCall')).to.be.eql({value: 'resultOfCall', done: true})
+    expect(esprimaParser.callMethod.called).to.be.false
+  })
+
+  it('should return result from callMethod given code evaluator called on heap frame', () => {
+    sandbox.stub(esprimaParser, 'createNativeCallRequest')
+    sandbox.stub(esprimaParser, 'codeEvaluators', new Map([[calledMethod, () => {}]]))
+    esprimaParser.onHeapFrame = true
+
+    const result = runGenerator(esprimaParser.parseGeneratorCallExp(exp))
+
+    expect(esprimaParser.createNativeCallRequest.called).to.be.false
+    expect(result).to.be.equal('resultFromCallMethod')
+  })
+
+  it('should call resetCheckFlag with result from setCheckFlag after call returns', () => {
+    runGenerator(esprimaParser.parseGeneratorCallExp(exp))
+
+    expect(
+      esprimaParser.resetCheckFlag
+        .calledWithExactly('resultFromSetCheckFlag')
+    ).to.be.true
+    expect(
+      esprimaParser.resetCheckFlag
+        .calledAfter(esprimaParser.callMethod)
+    ).to.be.true
+  })
+
+  it('should call resetCheckFlag given error thrown at yielded request', () => {
+    const error = new Error()
+
+    esprimaParser.getCallRequest.returns(request)
+
+    const iterator = esprimaParser.parseGeneratorCallExp(exp)
+
+    iterator.next()
+
+    expect(() => {
+      iterator.throw(error)
+    }).to.throw(error)
+    expect(
+      esprimaParser.resetCheckFlag
+        .calledWithExactly('resultFromSetCheckFlag')
+    ).to.be.true
+  })
+})
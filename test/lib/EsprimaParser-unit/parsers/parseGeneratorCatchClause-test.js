@@ -0,0 +1,75 @@
+describe('parseGeneratorCatchClause tests', () => {
+  const error = new Error()
+  let catchClause
+
+  beforeEach(() => {
+    catchClause = createAstNode('CatchClause', {
+      param: createAstNode('Identifier'),
+      body: createAstNode('BlockStatement')
+    })
+    sandbox.stub(esprimaParser, 'closureStack', {
+      createBlockClosure: sandbox.spy(),
+      removeLatestClosure: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'setCatchError')
+    sandbox.stub(esprimaParser, 'captureErrorStack')
+    sandbox.stub(esprimaParser, 'handleGeneratorExceptionBlock', function* () {
+      return 'resultFromHandleGeneratorExceptionBlock'
+    })
+  })
+
+  it('should call captureErrorStack with error before setCatchError', () => {
+    runGenerator(esprimaParser.parseGeneratorCatchClause(catchClause, error))
+
+    expect(
+      esprimaParser.captureErrorStack
+        .calledWithExactly(error)
+    ).to.be.true
+    expect(
+      esprimaParser.captureErrorStack
+        .calledBefore(esprimaParser.setCatchError)
+    ).to.be.true
+  })
+
+  it('should call setCatchError with param and error in block closure created by catchClause', () => {
+    runGenerator(esprimaParser.parseGeneratorCatchClause(catchClause, error))
+
+    expect(
+      esprimaParser.closureStack.createBlockClosure
+        .calledWithExactly(catchClause)
+    ).to.be.true
+    expect(
+      esprimaParser.setCatchError
+        .calledWithExactly(catchClause.param, error)
+    ).to.be.true
+    expect(
+      esprimaParser.setCatchError
+        .calledAfter(esprimaParser.closureStack.createBlockClosure)
+    ).to.be.true
+  })
+
+  it('should return result from handleGeneratorExceptionBlock called with body and remove block closure', () => {
+    const result = runGenerator(esprimaParser.parseGeneratorCatchClause(catchClause, error))
+
+    expect(
+      esprimaParser.handleGeneratorExceptionBlock
+        .calledWithExactly(catchClause.body)
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.removeLatestClosure
+        .calledAfter(esprimaParser.handleGeneratorExceptionBlock)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromHandleGeneratorExceptionBlock')
+  })
+
+  it('should remove block closure given setCatchError throws error', () => {
+    const errorInSetting = new Error()
+
+    esprimaParser.setCatchError.throws(errorInSetting)
+
+    expect(() => {
+      runGenerator(esprimaParser.parseGeneratorCatchClause(catchClause, error))
+    }).to.throw(errorInSetting)
+    expect(esprimaParser.closureStack.removeLatestClosure.calledOnce).to.be.true
+  })
+})
@@ -0,0 +1,144 @@
+describe('parseGeneratorForAwait tests', () => {
+  const label = 'label'
+  let forOfStatement, iterator, steps
+
+  const resumeSteps = (generator) => {
+    let step = generator.next()
+
+    while (!step.done) {
+      step = generator.next(step.value.value)
+    }
+    return step.value
+  }
+
+  beforeEach(() => {
+    forOfStatement = createAstNode('ForOfStatement', {
+      left: createAstNode('Identifier'),
+      right: createAstNode('Right'),
+      await: true
+    })
+    steps = [
+      {value: 1, done: false},
+      {value: 2, done: false},
+      {value: undefined, done: true}
+    ]
+    iterator = {
+      next: sandbox.spy(() => steps.shift()),
+      return: () => 'resultFromReturn'
+    }
+    sandbox.stub(esprimaParser, 'parseIterator')
+      .returns('resultFromParseIterator')
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+    sandbox.stub(esprimaParser, 'getAsyncIterator')
+      .returns(iterator)
+    sandbox.spy(esprimaParser, 'checkIteratorResult')
+    sandbox.stub(esprimaParser, 'parseGeneratorIteration', function* (node, pattern, value) {
+      return `resultFromIteration${value}`
+    })
+    sandbox.stub(esprimaParser, 'isLoopNeededToBreak')
+    sandbox.stub(esprimaParser, 'closeIterator')
+      .returns('resultFromCloseIterator')
+  })
+
+  it('should yield AwaitRequest of result from iterator.next and check the resumed one each loop', () => {
+    const generator = esprimaParser.parseGeneratorForAwait(forOfStatement, label)
+    const request = generator.next().value
+
+    expect(request).to.be.instanceof(esprimaParser.AwaitRequest)
+    expect(request.value).to.be.eql({value: 1, done: false})
+    expect(
+      esprimaParser.getAsyncIterator
+        .calledWithExactly('parsedRight')
+    ).to.be.true
+    expect(() => generator.next(1)).to.throw(TypeError)
+  })
+
+  it('should call parseGeneratorIteration with forOfStatement, pattern and each value', () => {
+    const result = resumeSteps(esprimaParser.parseGeneratorForAwait(forOfStatement, label))
+
+    expect(
+      esprimaParser.parseGeneratorIteration.getCall(0)
+        .calledWithExactly(forOfStatement, 'resultFromParseIterator', 1)
+    ).to.be.true
+    expect(
+      esprimaParser.parseGeneratorIteration.getCall(1)
+        .calledWithExactly(forOfStatement, 'resultFromParseIterator', 2)
+    ).to.be.true
+    expect(esprimaParser.checkIteratorResult.calledThrice).to.be.true
+    expect(esprimaParser.closeIterator.called).to.be.false
+    expect(result).to.be.equal('resultFromIteration2')
+  })
+
+  it('should yield AwaitRequest of result from closeIterator and break given isLoopNeededToBreak returns true', () => {
+    esprimaParser.isLoopNeededToBreak
+      .withArgs(label).returns(true)
+
+    const generator = esprimaParser.parseGeneratorForAwait(forOfStatement, label)
+
+    generator.next()
+
+    expect(generator.next({value: 1, done: false}).value.value).to.be.equal('resultFromCloseIterator')
+    expect(
+      esprimaParser.closeIterator
+        .calledWithExactly(iterator)
+    ).to.be.true
+    expect(generator.next()).to.be.eql({value: 'resultFromIteration1', done: true})
+  })
+
+  it('should yield AwaitRequest of result from closeIterator and rethrow given error thrown in loop', () => {
+    const error = new Error()
+
+    esprimaParser.parseGeneratorIteration.restore()
+    sandbox.stub(esprimaParser, 'parseGeneratorIteration', function* () {
+      throw error
+    })
+
+    const generator = esprimaParser.parseGeneratorForAwait(forOfStatement, label)
+
+    generator.next()
+
+    expect(generator.next({value: 1, done: false}).value.value).to.be.equal('resultFromCloseIterator')
+    expect(() => generator.next()).to.throw(error)
+  })
+
+  it('should rethrow error thrown in loop given closing iterator rejected', () => {
+    const error = new Error()
+
+    esprimaParser.parseGeneratorIteration.restore()
+    sandbox.stub(esprimaParser, 'parseGeneratorIteration', function* () {
+      throw error
+    })
+
+    const generator = esprimaParser.parseGeneratorForAwait(forOfStatement, label)
+
+    generator.next()
+    generator.next({value: 1, done: false})
+
+    expect(() => generator.throw(new Error())).to.throw(error)
+  })
+
+  it('should yield AwaitRequest of result from closeIterator and return result from reissueGeneratorReturn given generator returned in loop', () => {
+    esprimaParser.parseGeneratorIteration.restore()
+    sandbox.stub(esprimaParser, 'parseGeneratorIteration', function* () {
+      yield 'yieldedInLoop'
+    })
+    sandbox.stub(esprimaParser, 'reissueGeneratorReturn')
+      .returns('resultFromReissueGeneratorReturn')
+
+    const generator = esprimaParser.parseGeneratorForAwait(forOfStatement, label)
+
+    generator.next()
+    generator.next({value: 1, done: false})
+
+    expect(generator.return('returned').value.value).to.be.equal('resultFromCloseIterator')
+    expect(
+      esprimaParser.closeIterator
+        .calledWithExactly(iterator)
+    ).to.be.true
+    expect(generator.next()).to.be.eql({value: 'resultFromReissueGeneratorReturn', done: true})
+    expect(
+      esprimaParser.reissueGeneratorReturn
+        .calledWithExactly()
+    ).to.be.true
+  })
+})
@@ -0,0 +1,83 @@
+describe('parseGeneratorForStatement tests', () => {
+  const label = 'label'
+  let forStatement, tests, bodyCount
+
+  beforeEach(() => {
+    forStatement = createAstNode('ForStatement', {
+      init: createAstNode('Init'),
+      test: createAstNode('Test'),
+      update: createAstNode('Update'),
+      body: createAstNode('Body')
+    })
+    tests = [true, true, false]
+    bodyCount = 0
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* (node) {
+      switch (node.type) {
+        case 'Test':
+          return tests.shift()
+        case 'Body':
+          return `resultFromBody${++bodyCount}`
+        default:
+          return undefined
+      }
+    })
+    sandbox.stub(esprimaParser, 'isLoopNeededToBreak')
+    sandbox.stub(esprimaParser, 'closureStack', {
+      copyLatestClosure: sandbox.spy()
+    })
+  })
+
+  it('should parse init once and body, update each loop until test fails', () => {
+    const result = runGenerator(esprimaParser.parseGeneratorForStatement(forStatement, label, false))
+
+    expect(
+      esprimaParser.parseGeneratorNode
+        .withArgs(forStatement.init).calledOnce
+    ).to.be.true
+    expect(
+      esprimaParser.parseGeneratorNode
+        .withArgs(forStatement.update).calledTwice
+    ).to.be.true
+    expect(
+      esprimaParser.isLoopNeededToBreak
+        .withArgs(label).calledTwice
+    ).to.be.true
+    expect(result).to.be.equal('resultFromBody2')
+  })
+
+  it('should loop without parsing test given null test', () => {
+    forStatement.test = null
+    esprimaParser.isLoopNeededToBreak
+      .onCall(2).returns(true)
+
+    const result = runGenerator(esprimaParser.parseGeneratorForStatement(forStatement, label, false))
+
+    expect(bodyCount).to.be.equal(3)
+    expect(result).to.be.equal('resultFromBody3')
+  })
+
+  it('should break loop given isLoopNeededToBreak returns true', () => {
+    esprimaParser.isLoopNeededToBreak
+      .onCall(0).returns(true)
+
+    const result = runGenerator(esprimaParser.parseGeneratorForStatement(forStatement, label, false))
+
+    expect(
+      esprimaParser.parseGeneratorNode
+        .withArgs(forStatement.update).called
+    ).to.be.false
+    expect(result).to.be.equal('resultFromBody1')
+  })
+
+  it('should copy latest closure each loop given isPerIteration', () => {
+    runGenerator(esprimaParser.parseGeneratorForStatement(forStatement, label, true))
+
+    expect(esprimaParser.closureStack.copyLatestClosure.calledTwice).to.be.true
+  })
+
+  it('should not copy latest closure given not isPerIteration', () => {
+    runGenerator(esprimaParser.parseGeneratorForStatement(forStatement, label, false))
+
+    expect(esprimaParser.closureStack.copyLatestClosure.called).to.be.false
+  })
+})
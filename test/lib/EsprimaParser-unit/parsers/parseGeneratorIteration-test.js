@@ -0,0 +1,56 @@
+describe('parseGeneratorIteration tests', () => {
+  const pattern = 'pattern'
+  const value = 'value'
+  let forOfStatement
+
+  beforeEach(() => {
+    forOfStatement = createAstNode('ForOfStatement', {
+      left: createAstNode('VariableDeclaration', {kind: 'let'}),
+      body: createAstNode('Body')
+    })
+    sandbox.stub(esprimaParser, 'isLexicalDeclaration')
+    sandbox.stub(esprimaParser, 'updatePatternVariables')
+    sandbox.stub(esprimaParser, 'setPatternVariables')
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+    sandbox.stub(esprimaParser, 'handleGeneratorBlockClosure', function* (scope, statements, parse) {
+      return yield* parse()
+    })
+  })
+
+  it('should update pattern variables and return result of body given left not lexical declaration', () => {
+    const result = runGenerator(esprimaParser.parseGeneratorIteration(forOfStatement, pattern, value))
+
+    expect(
+      esprimaParser.isLexicalDeclaration
+        .calledWithExactly(forOfStatement.left)
+    ).to.be.true
+    expect(
+      esprimaParser.updatePatternVariables
+        .calledWithExactly(pattern, value)
+    ).to.be.true
+    expect(esprimaParser.handleGeneratorBlockClosure.called).to.be.false
+    expect(result).to.be.equal('parsedBody')
+  })
+
+  it('should set pattern variables with kind and return result of body in block closure given lexical declaration', () => {
+    esprimaParser.isLexicalDeclaration.returns(true)
+
+    const result = runGenerator(esprimaParser.parseGeneratorIteration(forOfStatement, pattern, value))
+
+    expect(
+      esprimaParser.handleGeneratorBlockClosure.getCall(0).args[0]
+    ).to.be.equal(forOfStatement)
+    expect(
+      esprimaParser.handleGeneratorBlockClosure.getCall(0).args[1]
+    ).to.be.eql([forOfStatement.left])
+    expect(
+      esprimaParser.setPatternVariables
+        .calledWithExactly(pattern, value, 'let')
+    ).to.be.true
+    expect(
+      esprimaParser.parseGeneratorNode
+        .calledAfter(esprimaParser.setPatternVariables)
+    ).to.be.true
+    expect(result).to.be.equal('parsedBody')
+  })
+})
@@ -0,0 +1,117 @@
+describe('parseGeneratorMemberAssignment tests', () => {
+  const info = {loc: 'loc'}
+  let assignmentExpression, subExpressions, exp
+
+  beforeEach(() => {
+    assignmentExpression = createAstNode('AssignmentExpression', {
+      operator: '=',
+      left: createAstNode('MemberExpression'),
+      right: createAstNode('Right')
+    })
+    subExpressions = [createAstNode('Object'), createAstNode('Right')]
+    exp = {caller: {}, callee: 'callee'}
+
+    sandbox.stub(esprimaParser, 'getSubExpressions')
+      .withArgs(assignmentExpression).returns(subExpressions)
+    sandbox.stub(esprimaParser, 'resolveNodes', function* () {})
+    sandbox.stub(esprimaParser, 'unresolveNodes')
+    sandbox.stub(esprimaParser, 'getRefExp')
+      .withArgs(assignmentExpression.left).returns(exp)
+    sandbox.stub(esprimaParser, 'getAssignValue')
+      .withArgs(assignmentExpression).returns('value')
+    sandbox.stub(esprimaParser, 'getExpInfo')
+      .withArgs(assignmentExpression).returns(info)
+    sandbox.stub(esprimaParser, 'setCheckFlag')
+      .returns('resultFromSetCheckFlag')
+    sandbox.stub(esprimaParser, 'resetCheckFlag')
+    sandbox.stub(esprimaParser, 'handleAssign')
+    sandbox.stub(esprimaParser, 'accessOnHeap', (receiver, access) => {
+      return {value: access()}
+    })
+  })
+
+  it('should resolve sub expressions before getRefExp and getAssignValue, and unresolve them after', () => {
+    runGenerator(esprimaParser.parseGeneratorMemberAssignment(assignmentExpression))
+
+    expect(esprimaParser.resolveNodes.calledWithExactly(subExpressions)).to.be.true
+    expect(esprimaParser.resolveNodes.calledBefore(esprimaParser.getRefExp)).to.be.true
+    expect(esprimaParser.getRefExp.calledBefore(esprimaParser.getAssignValue)).to.be.true
+    expect(esprimaParser.unresolveNodes.calledWithExactly(subExpressions)).to.be.true
+    expect(esprimaParser.unresolveNodes.calledAfter(esprimaParser.getAssignValue)).to.be.true
+  })
+
+  it('should unresolve sub expressions given getAssignValue throws error', () => {
+    const error = new Error()
+
+    esprimaParser.getAssignValue.withArgs(assignmentExpression).throws(error)
+
+    expect(() => {
+      runGenerator(esprimaParser.parseGeneratorMemberAssignment(assignmentExpression))
+    }).to.throw(error)
+    expect(esprimaParser.unresolveNodes.calledWithExactly(subExpressions)).to.be.true
+  })
+
+  it('should call setCheckFlag with exp having info from getExpInfo', () => {
+    runGenerator(esprimaParser.parseGeneratorMemberAssignment(assignmentExpression))
+
+    expect(
+      esprimaParser.setCheckFlag
+        .calledWithExactly(exp)
+    ).to.be.true
+    expect(exp.info).to.be.equal(info)
+  })
+
+  it('should call handleAssign with exp and value by accessOnHeap with caller, then return value', () => {
+    const result = runGenerator(esprimaParser.parseGeneratorMemberAssignment(assignmentExpression))
+
+    expect(esprimaParser.accessOnHeap.calledWith(exp.caller)).to.be.true
+    expect(
+      esprimaParser.handleAssign
+        .calledWithExactly(exp, 'value')
+    ).to.be.true
+    expect(result).to.be.equal('value')
+  })
+
+  it('should yield request from accessOnHeap and return value', () => {
+    esprimaParser.accessOnHeap.restore()
+    sandbox.stub(esprimaParser, 'accessOnHeap').returns({request: 'request'})
+
+    const iterator = esprimaParser.parseGeneratorMemberAssignment(assignmentExpression)
+
+    expect(iterator.next()).to.be.eql({value: 'request', done: false})
+    expect(esprimaParser.resetCheckFlag.called).to.be.false
+    expect(iterator.next('resultOfSetter')).to.be.eql({value: 'value', done: true})
+  })
+
+  it('should call resetCheckFlag with result from setCheckFlag after assigned', () => {
+    runGenerator(esprimaParser.parseGeneratorMemberAssignment(assignmentExpression))
+
+    expect(
+      esprimaParser.resetCheckFlag
+        .calledWithExactly('resultFromSetCheckFlag')
+    ).to.be.true
+    expect(
+      esprimaParser.resetCheckFlag
+        .calledAfter(esprimaParser.handleAssign)
+    ).to.be.true
+  })
+
+  it('should call resetCheckFlag given error thrown at yielded request', () => {
+    const error = new Error()
+
+    esprimaParser.accessOnHeap.restore()
+    sandbox.stub(esprimaParser, 'accessOnHeap').returns({request: 'request'})
+
+    const iterator = esprimaParser.parseGeneratorMemberAssignment(assignmentExpression)
+
+    iterator.next()
+
+    expect(() => {
+      iterator.throw(error)
+    }).to.throw(error)
+    expect(
+      esprimaParser.resetCheckFlag
+        .calledWithExactly('resultFromSetCheckFlag')
+    ).to.be.true
+  })
+})
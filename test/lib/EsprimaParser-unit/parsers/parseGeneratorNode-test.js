@@ -0,0 +1,82 @@
+describe('parseGeneratorNode tests', () => {
+  const options = {label: 'label'}
+  let node
+
+  beforeEach(() => {
+    node = createAstNode('AstNodeType')
+    sandbox.stub(esprimaParser, 'isSuspendable').returns(true)
+    sandbox.stub(esprimaParser, 'parseNode')
+      .returns('resultFromParseNode')
+    sandbox.stub(esprimaParser, 'parseResolvedNode', function* () {
+      return 'resultFromParseResolvedNode'
+    })
+    sandbox.stub(esprimaParser, 'handleStatementLabelState')
+  })
+
+  afterEach(() => {
+    delete esprimaParser.AstNodeTypeGenerator
+  })
+
+  it('should return result from parseNode called with node and options given node not suspendable', () => {
+    esprimaParser.isSuspendable.returns(false)
+
+    const result = runGenerator(esprimaParser.parseGeneratorNode(node, options))
+
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(node, options)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseNode')
+  })
+
+  it('should delegate to parseResolvedNode called with node and options given no generator parser', () => {
+    const result = runGenerator(esprimaParser.parseGeneratorNode(node, options))
+
+    expect(
+      esprimaParser.parseResolvedNode
+        .calledWithExactly(node, options)
+    ).to.be.true
+    expect(esprimaParser.handleStatementLabelState.called).to.be.false
+    expect(result).to.be.equal('resultFromParseResolvedNode')
+  })
+
+  it('should delegate to generator parser of node type called with node and options', () => {
+    esprimaParser.AstNodeTypeGenerator = sandbox.spy(function* () {
+      return 'resultFromGeneratorParser'
+    })
+
+    const result = runGenerator(esprimaParser.parseGeneratorNode(node, options))
+
+    expect(
+      esprimaParser.AstNodeTypeGenerator
+        .calledWithExactly(node, options)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromGeneratorParser')
+  })
+
+  it('should call handleStatementLabelState with options.label after generator parser', () => {
+    esprimaParser.AstNodeTypeGenerator = sandbox.spy(function* () {})
+
+    runGenerator(esprimaParser.parseGeneratorNode(node, options))
+
+    expect(
+      esprimaParser.handleStatementLabelState
+        .calledWithExactly(options.label)
+    ).to.be.true
+    expect(
+      esprimaParser.handleStatementLabelState
+        .calledAfter(esprimaParser.AstNodeTypeGenerator)
+    ).to.be.true
+  })
+
+  it('should call handleStatementLabelState with undefined given no options', () => {
+    esprimaParser.AstNodeTypeGenerator = sandbox.spy(function* () {})
+
+    runGenerator(esprimaParser.parseGeneratorNode(node))
+
+    expect(
+      esprimaParser.handleStatementLabelState
+        .calledWithExactly(undefined)
+    ).to.be.true
+  })
+})
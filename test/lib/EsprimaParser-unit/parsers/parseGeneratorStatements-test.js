@@ -0,0 +1,72 @@
+describe('parseGeneratorStatements tests', () => {
+  let statements
+
+  beforeEach(() => {
+    statements = [
+      createAstNode('Statement1'),
+      createAstNode('Statement2'),
+      createAstNode('Statement3')
+    ]
+    sandbox.stub(esprimaParser, 'parseHoistingStatements')
+      .returns(statements)
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+    sandbox.stub(esprimaParser, 'skipUnsupportedStatement').returns(false)
+    sandbox.stub(esprimaParser, 'setStatementLoc')
+    sandbox.stub(esprimaParser, 'flowState', {
+      isEitherState: sandbox.stub()
+    })
+  })
+
+  it('should call parseHoistingStatements with statements', () => {
+    runGenerator(esprimaParser.parseGeneratorStatements(statements))
+
+    expect(
+      esprimaParser.parseHoistingStatements
+        .calledWithExactly(statements)
+    ).to.be.true
+  })
+
+  it('should return result of last statement parsed by parseGeneratorNode', () => {
+    const result = runGenerator(esprimaParser.parseGeneratorStatements(statements))
+
+    expect(esprimaParser.parseGeneratorNode.calledThrice).to.be.true
+    expect(result).to.be.equal('parsedStatement3')
+  })
+
+  it('should call setStatementLoc with each statement before parseGeneratorNode', () => {
+    runGenerator(esprimaParser.parseGeneratorStatements(statements))
+
+    expect(esprimaParser.setStatementLoc.args).to.be.eql(statements.map((statement) => [statement]))
+    expect(
+      esprimaParser.setStatementLoc
+        .calledBefore(esprimaParser.parseGeneratorNode)
+    ).to.be.true
+  })
+
+  it('should break given flowState.isEitherState returns true', () => {
+    esprimaParser.flowState.isEitherState
+      .onCall(1).returns(true)
+
+    const result = runGenerator(esprimaParser.parseGeneratorStatements(statements))
+
+    expect(esprimaParser.parseGeneratorNode.calledTwice).to.be.true
+    expect(result).to.be.equal('parsedStatement2')
+  })
+
+  it('should not call parseGeneratorNode with statement skipped by skipUnsupportedStatement', () => {
+    esprimaParser.skipUnsupportedStatement
+      .withArgs(statements[2]).returns(true)
+
+    const result = runGenerator(esprimaParser.parseGeneratorStatements(statements))
+
+    expect(
+      esprimaParser.parseGeneratorNode
+        .neverCalledWith(statements[2])
+    ).to.be.true
+    expect(
+      esprimaParser.setStatementLoc
+        .neverCalledWith(statements[2])
+    ).to.be.true
+    expect(result).to.be.equal('parsedStatement2')
+  })
+})
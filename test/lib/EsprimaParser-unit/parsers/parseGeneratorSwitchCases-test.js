@@ -0,0 +1,63 @@
+describe('parseGeneratorSwitchCases tests', () => {
+  let switchCases
+
+  beforeEach(() => {
+    switchCases = [
+      createAstNode('SwitchCase', {test: createAstNode('Test1')}),
+      createAstNode('SwitchCase', {test: createAstNode('Test2')}),
+      createAstNode('SwitchCase', {test: null})
+    ]
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', createParseGeneratorNodeStub())
+    sandbox.stub(esprimaParser, 'parseGeneratorStatements', function* () {
+      return 'resultFromParseGeneratorStatements'
+    })
+  })
+
+  it('should parse cases from the first matched one', () => {
+    const result = runGenerator(esprimaParser.parseGeneratorSwitchCases(switchCases, 'parsedTest2'))
+
+    expect(
+      esprimaParser.parseGeneratorStatements
+        .calledWithExactly(switchCases.slice(1))
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseGeneratorStatements')
+  })
+
+  it('should match case with null test', () => {
+    runGenerator(esprimaParser.parseGeneratorSwitchCases(switchCases, 'unmatched'))
+
+    expect(
+      esprimaParser.parseGeneratorStatements
+        .calledWithExactly(switchCases.slice(2))
+    ).to.be.true
+  })
+
+  it('should match case after default case before default case', () => {
+    switchCases.unshift(switchCases.pop())
+
+    runGenerator(esprimaParser.parseGeneratorSwitchCases(switchCases, 'parsedTest2'))
+
+    expect(
+      esprimaParser.parseGeneratorStatements
+        .calledWithExactly(switchCases.slice(2))
+    ).to.be.true
+  })
+
+  it('should match default case given it is before unmatched cases', () => {
+    switchCases.unshift(switchCases.pop())
+
+    runGenerator(esprimaParser.parseGeneratorSwitchCases(switchCases, 'unmatched'))
+
+    expect(
+      esprimaParser.parseGeneratorStatements
+        .calledWithExactly(switchCases)
+    ).to.be.true
+  })
+
+  it('should return undefined given no case matched', () => {
+    const result = runGenerator(esprimaParser.parseGeneratorSwitchCases(switchCases.slice(0, 2), 'unmatched'))
+
+    expect(esprimaParser.parseGeneratorStatements.called).to.be.false
+    expect(result).to.be.undefined
+  })
+})
@@ -0,0 +1,45 @@
+describe('parseImportEntries tests', () => {
+  let importDeclaration
+
+  beforeEach(() => {
+    importDeclaration = createAstNode('ImportDeclaration', {
+      source: createAstNode('Literal', {value: './module.js'}),
+      specifiers: [
+        createAstNode('ImportDefaultSpecifier', {
+          local: createAstNode('Identifier', {name: 'a'})
+        }),
+        createAstNode('ImportNamespaceSpecifier', {
+          local: createAstNode('Identifier', {name: 'b'})
+        }),
+        createAstNode('ImportSpecifier', {
+          local: createAstNode('Identifier', {name: 'c'}),
+          imported: createAstNode('Identifier', {name: 'd'})
+        })
+      ]
+    })
+    sandbox.spy(esprimaParser, 'getModuleExportName')
+  })
+
+  it('should return import entries of each specifier', () => {
+    expect(esprimaParser.parseImportEntries(importDeclaration)).to.be.eql([
+      {specifier: './module.js', importName: 'default', localName: 'a'},
+      {specifier: './module.js', importName: '*', localName: 'b'},
+      {specifier: './module.js', importName: 'd', localName: 'c'}
+    ])
+  })
+
+  it('should call getModuleExportName with imported of ImportSpecifier', () => {
+    esprimaParser.parseImportEntries(importDeclaration)
+
+    expect(
+      esprimaParser.getModuleExportName
+        .calledWithExactly(importDeclaration.specifiers[2].imported)
+    ).to.be.true
+  })
+
+  it('should return empty array given no specifiers', () => {
+    importDeclaration.specifiers = []
+
+    expect(esprimaParser.parseImportEntries(importDeclaration)).to.be.eql([])
+  })
+})
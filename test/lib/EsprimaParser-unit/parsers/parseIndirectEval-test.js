@@ -0,0 +1,38 @@
+describe('parseIndirectEval tests', () => {
+  const loc = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'getVirtualScriptUrl')
+      .returns('resultFromGetVirtualScriptUrl')
+    sandbox.stub(esprimaParser, 'evaluateCode')
+      .returns('resultFromEvaluateCode')
+  })
+
+  it('should return code as is given code not string', () => {
+    const code = {}
+
+    const result = esprimaParser.parseIndirectEval(code, loc)
+
+    expect(esprimaParser.evaluateCode.called).to.be.false
+    expect(result).to.be.equal(code)
+  })
+
+  it('should call getVirtualScriptUrl with code, \'eval\' and loc', () => {
+    esprimaParser.parseIndirectEval('code', loc)
+
+    expect(
+      esprimaParser.getVirtualScriptUrl
+        .calledWithExactly('code', 'eval', loc)
+    ).to.be.true
+  })
+
+  it('should return result from evaluateCode called with code and virtual scriptUrl only', () => {
+    const result = esprimaParser.parseIndirectEval('code', loc)
+
+    expect(
+      esprimaParser.evaluateCode
+        .calledWithExactly('code', 'resultFromGetVirtualScriptUrl')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromEvaluateCode')
+  })
+})
@@ -0,0 +1,90 @@
+describe('parseIteration tests', () => {
+  const pattern = 'pattern'
+  const value = 'value'
+  let statement
+
+  beforeEach(() => {
+    statement = createAstNode('ForInStatement', {
+      left: createAstNode('VariableDeclaration', {kind: 'let'}),
+      body: createAstNode('Statement')
+    })
+    sandbox.stub(esprimaParser, 'isLexicalDeclaration')
+    sandbox.stub(esprimaParser, 'updatePatternVariables')
+    sandbox.stub(esprimaParser, 'setPatternVariables')
+    sandbox.stub(esprimaParser, 'handleBlockClosure', (scope, statements, parse) => parse())
+    sandbox.stub(esprimaParser, 'parseNode')
+      .withArgs(statement.body).returns('resultFromParseNode')
+  })
+
+  it('should call isLexicalDeclaration with left', () => {
+    esprimaParser.parseIteration(statement, pattern, value)
+
+    expect(
+      esprimaParser.isLexicalDeclaration
+        .calledWithExactly(statement.left)
+    ).to.be.true
+  })
+
+  describe('non-lexical iterator', () => {
+    beforeEach(() => {
+      esprimaParser.isLexicalDeclaration.returns(false)
+    })
+
+    it('should call updatePatternVariables with pattern and value', () => {
+      esprimaParser.parseIteration(statement, pattern, value)
+
+      expect(
+        esprimaParser.updatePatternVariables
+          .calledWithExactly(pattern, value)
+      ).to.be.true
+      expect(esprimaParser.handleBlockClosure.called).to.be.false
+    })
+
+    it('should call parseNode with body after updatePatternVariables and return', () => {
+      const result = esprimaParser.parseIteration(statement, pattern, value)
+
+      expect(
+        esprimaParser.parseNode
+          .calledAfter(esprimaParser.updatePatternVariables)
+      ).to.be.true
+      expect(result).to.be.equal('resultFromParseNode')
+    })
+  })
+
+  describe('lexical iterator', () => {
+    beforeEach(() => {
+      esprimaParser.isLexicalDeclaration.returns(true)
+    })
+
+    it('should call handleBlockClosure with statement and [left]', () => {
+      esprimaParser.parseIteration(statement, pattern, value)
+
+      expect(
+        esprimaParser.handleBlockClosure.getCall(0).args[0]
+      ).to.be.equal(statement)
+      expect(
+        esprimaParser.handleBlockClosure.getCall(0).args[1]
+      ).to.be.eql([statement.left])
+    })
+
+    it('should call setPatternVariables with pattern, value and left.kind in handleBlockClosure', () => {
+      esprimaParser.parseIteration(statement, pattern, value)
+
+      expect(
+        esprimaParser.setPatternVariables
+          .calledWithExactly(pattern, value, statement.left.kind)
+      ).to.be.true
+      expect(esprimaParser.updatePatternVariables.called).to.be.false
+    })
+
+    it('should call parseNode with body after setPatternVariables and return', () => {
+      const result = esprimaParser.parseIteration(statement, pattern, value)
+
+      expect(
+        esprimaParser.parseNode
+          .calledAfter(esprimaParser.setPatternVariables)
+      ).to.be.true
+      expect(result).to.be.equal('resultFromParseNode')
+    })
+  })
+})
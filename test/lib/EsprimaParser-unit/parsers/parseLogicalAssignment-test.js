@@ -0,0 +1,57 @@
+describe('parseLogicalAssignment tests', () => {
+  const exp = {caller: {}, callee: 'a'}
+  let assignmentExpression
+
+  beforeEach(() => {
+    assignmentExpression = createAstNode('AssignmentExpression', {
+      operator: '||=',
+      left: createAstNode('ExpressionLeft'),
+      right: createAstNode('ExpressionRight')
+    })
+    sandbox.stub(esprimaParser, 'getRefExp')
+      .withArgs(assignmentExpression.left).returns(exp)
+    sandbox.stub(esprimaParser, 'getRefValue')
+      .withArgs(exp, assignmentExpression.left).returns('origin')
+    sandbox.stub(esprimaParser, 'isShortCircuited')
+    sandbox.stub(esprimaParser, 'getInferredName')
+      .withArgs(assignmentExpression.left).returns('name')
+    sandbox.stub(esprimaParser, 'parseNode')
+      .withArgs(assignmentExpression.right).returns('value')
+    sandbox.stub(esprimaParser, 'assignRefValue').returns('resultFromAssignRefValue')
+  })
+
+  it('should call isShortCircuited with logical operator and origin value of reference', () => {
+    esprimaParser.parseLogicalAssignment(assignmentExpression)
+
+    expect(
+      esprimaParser.isShortCircuited
+        .calledWithExactly('||', 'origin')
+    ).to.be.true
+  })
+
+  it('should return origin value without parsing right given short-circuited', () => {
+    esprimaParser.isShortCircuited.returns(true)
+
+    const result = esprimaParser.parseLogicalAssignment(assignmentExpression)
+
+    expect(esprimaParser.parseNode.called).to.be.false
+    expect(esprimaParser.assignRefValue.called).to.be.false
+    expect(result).to.be.equal('origin')
+  })
+
+  it('should return result from assignRefValue called with exp, right parsed and assignmentExpression given not short-circuited', () => {
+    esprimaParser.isShortCircuited.returns(false)
+
+    const result = esprimaParser.parseLogicalAssignment(assignmentExpression)
+
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(assignmentExpression.right, {name: 'name'})
+    ).to.be.true
+    expect(
+      esprimaParser.assignRefValue
+        .calledWithExactly(exp, 'value', assignmentExpression)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromAssignRefValue')
+  })
+})
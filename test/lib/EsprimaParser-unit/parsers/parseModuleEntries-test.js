@@ -0,0 +1,87 @@
+describe('parseModuleEntries tests', () => {
+  const importEntries = [{specifier: './a.js', importName: 'a', localName: 'a'}]
+  let statements
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'parseImportEntries').returns(importEntries)
+    sandbox.stub(esprimaParser, 'parseExportEntries', (statement, entries) => {
+      entries.localExports.set('b', 'b')
+    })
+    sandbox.spy(esprimaParser, 'getModuleExportName')
+  })
+
+  it('should return empty entries given no module declarations', () => {
+    statements = [createAstNode('ExpressionStatement')]
+
+    expect(esprimaParser.parseModuleEntries(statements)).to.be.eql({
+      imports: [],
+      localExports: new Map(),
+      indirectExports: new Map(),
+      starExports: []
+    })
+  })
+
+  it('should add result from parseImportEntries to imports given ImportDeclaration', () => {
+    statements = [createAstNode('ImportDeclaration')]
+
+    const result = esprimaParser.parseModuleEntries(statements)
+
+    expect(esprimaParser.parseImportEntries.calledWithExactly(statements[0])).to.be.true
+    expect(result.imports).to.be.eql(importEntries)
+  })
+
+  it('should call parseExportEntries with statement and entries given ExportNamedDeclaration', () => {
+    statements = [createAstNode('ExportNamedDeclaration')]
+
+    const result = esprimaParser.parseModuleEntries(statements)
+
+    expect(esprimaParser.parseExportEntries.calledWith(statements[0])).to.be.true
+    expect([...result.localExports]).to.be.eql([['b', 'b']])
+  })
+
+  it('should export default as *default* given ExportDefaultDeclaration of anonymous declaration or expression', () => {
+    statements = [createAstNode('ExportDefaultDeclaration', {
+      declaration: createAstNode('FunctionDeclaration', {id: null})
+    })]
+    const result = esprimaParser.parseModuleEntries(statements)
+
+    expect([...result.localExports]).to.be.eql([['default', '*default*']])
+  })
+
+  it('should export default as name of declaration given ExportDefaultDeclaration of named declaration', () => {
+    statements = [createAstNode('ExportDefaultDeclaration', {
+      declaration: createAstNode('ClassDeclaration', {
+        id: createAstNode('Identifier', {name: 'A'})
+      })
+    })]
+    const result = esprimaParser.parseModuleEntries(statements)
+
+    expect([...result.localExports]).to.be.eql([['default', 'A']])
+  })
+
+  it('should add source to starExports given ExportAllDeclaration', () => {
+    statements = [createAstNode('ExportAllDeclaration', {
+      source: createAstNode('Literal', {value: './a.js'}),
+      exported: null
+    })]
+    const result = esprimaParser.parseModuleEntries(statements)
+
+    expect(result.starExports).to.be.eql(['./a.js'])
+  })
+
+  it('should add namespace of source to indirectExports given ExportAllDeclaration with exported', () => {
+    statements = [createAstNode('ExportAllDeclaration', {
+      source: createAstNode('Literal', {value: './a.js'}),
+      exported: createAstNode('Identifier', {name: 'ns'})
+    })]
+    const result = esprimaParser.parseModuleEntries(statements)
+
+    expect(
+      esprimaParser.getModuleExportName
+        .calledWithExactly(statements[0].exported)
+    ).to.be.true
+    expect([...result.indirectExports]).to.be.eql([
+      ['ns', {specifier: './a.js', importName: '*'}]
+    ])
+  })
+})
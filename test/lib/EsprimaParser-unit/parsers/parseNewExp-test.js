@@ -0,0 +1,93 @@
+describe('parseNewExp tests', () => {
+  const CalledConstructor = function (...calledArguments) {
+    this.calledArguments = calledArguments
+  }
+  const calledArguments = [1, 2, 3, 4]
+
+  let newExpression
+
+  beforeEach(() => {
+    newExpression = createAstNode('NewExpression',  {
+      callee: createAstNode('Expression'),
+      arguments: [createAstNode('Expression')]
+    })
+
+    sandbox.stub(esprimaParser, 'isConstructor').returns(true)
+    sandbox.stub(esprimaParser, 'createConstructRequest').returns(null)
+    sandbox.stub(esprimaParser, 'runCallRequest')
+      .returns('resultFromRunCallRequest')
+    sandbox.stub(esprimaParser, 'callStack', {
+      setLoc: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'captureErrorStack')
+  })
+
+  it('should return an instance of constructor initialized with arguments', () => {
+    const result = esprimaParser.parseNewExp(newExpression, CalledConstructor, calledArguments)
+
+    expect(result).to.be.instanceof(CalledConstructor)
+    expect(result.calledArguments).to.be.eql(calledArguments)
+  })
+
+  it('should call callStack.setLoc with loc of newExpression', () => {
+    newExpression.loc = 'loc'
+
+    esprimaParser.parseNewExp(newExpression, CalledConstructor, calledArguments)
+
+    expect(
+      esprimaParser.callStack.setLoc
+        .calledWithExactly('loc')
+    ).to.be.true
+  })
+
+  it('should return result from runCallRequest called with result from createConstructRequest given it is not null', () => {
+    esprimaParser.createConstructRequest
+      .withArgs(CalledConstructor, calledArguments, CalledConstructor).returns('request')
+
+    const result = esprimaParser.parseNewExp(newExpression, CalledConstructor, calledArguments)
+
+    expect(
+      esprimaParser.runCallRequest
+        .calledWithExactly('request')
+    ).to.be.true
+    expect(esprimaParser.captureErrorStack.called).to.be.false
+    expect(result).to.be.equal('resultFromRunCallRequest')
+  })
+
+  it('should call captureErrorStack with the instance created', () => {
+    const result = esprimaParser.parseNewExp(newExpression, CalledConstructor, calledArguments)
+
+    expect(
+      esprimaParser.captureErrorStack
+        .calledWithExactly(result)
+    ).to.be.true
+  })
+
+  it('should return result from code evaluator of constructor with arguments, undefined caller and loc of newExpression', () => {
+    const evaluator = sandbox.stub().returns('resultFromEvaluator')
+
+    newExpression.loc = 'loc'
+    esprimaParser.codeEvaluators = new Map([[CalledConstructor, evaluator]])
+
+    const result = esprimaParser.parseNewExp(newExpression, CalledConstructor, calledArguments)
+
+    expect(
+      evaluator
+        .calledWithExactly(calledArguments, undefined, 'loc')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromEvaluator')
+  })
+
+  it('should throw TypeError with code of callee given constructor is not constructor', () => {
+    sandbox.stub(esprimaParser, 'escodegen', {
+      generate: sandbox.stub()
+        .withArgs(newExpression.callee).returns('o.method')
+    })
+    esprimaParser.isConstructor
+      .withArgs(CalledConstructor).returns(false)
+
+    expect(() => {
+      esprimaParser.parseNewExp(newExpression, CalledConstructor, calledArguments)
+    }).to.throw(TypeError, 'o.method is not a constructor')
+  })
+})
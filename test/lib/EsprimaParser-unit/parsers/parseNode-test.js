@@ -11,6 +11,20 @@ describe('parseNode tests', () => {
 
       esprimaParser.AstNodeType = nodeParser
       sandbox.stub(esprimaParser, 'handleStatementLabelState')
+      sandbox.stub(esprimaParser, 'consumeBudget')
+    })
+
+    it('should call consumeBudget with node before node parser', () => {
+      esprimaParser.parseNode(node)
+
+      expect(
+        esprimaParser.consumeBudget
+          .calledWithExactly(node)
+      ).to.be.true
+      expect(
+        esprimaParser.consumeBudget
+          .calledBefore(nodeParser)
+      ).to.be.true
     })
 
     it('should call proper node parser with node and options according to node\'s type', () => {
@@ -53,6 +67,50 @@ describe('parseNode tests', () => {
     })
   })
 
+  describe('resolved node', () => {
+    beforeEach(() => {
+      node = createAstNode('AstNodeType')
+      nodeParser = sandbox.stub()
+
+      esprimaParser.AstNodeType = nodeParser
+      esprimaParser.resolvedValues.set(node, 'resolvedValue')
+      sandbox.spy(esprimaParser, 'takeResolvedValue')
+    })
+
+    it('should return result from takeResolvedValue called with node without calling node parser', () => {
+      const result = esprimaParser.parseNode(node)
+
+      expect(
+        esprimaParser.takeResolvedValue
+          .calledWithExactly(node)
+      ).to.be.true
+      expect(nodeParser.called).to.be.false
+      expect(result).to.be.equal('resolvedValue')
+    })
+  })
+
+  describe('unsupported node', () => {
+    beforeEach(() => {
+      node = createAstNode('UnsupportedNodeType')
+
+      sandbox.stub(esprimaParser, 'isParsableNode')
+        .withArgs(node).returns(false)
+      sandbox.stub(esprimaParser, 'abortUnsupportedNode')
+        .throws(new Error('abort'))
+      sandbox.stub(esprimaParser, 'handleStatementLabelState')
+    })
+
+    it('should throw error from abortUnsupportedNode called with node', () => {
+      expect(() => {
+        esprimaParser.parseNode(node, options)
+      }).to.throw(Error, 'abort')
+      expect(
+        esprimaParser.abortUnsupportedNode
+          .calledWithExactly(node)
+      ).to.be.true
+    })
+  })
+
   describe('null node', () => {
     it('should return undefined', () => {
       const result = esprimaParser.parseNode(null)
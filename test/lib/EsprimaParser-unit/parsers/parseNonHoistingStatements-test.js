@@ -18,6 +18,8 @@ describe('parseNonHoistingStatements tests', () => {
 
   beforeEach(() => {
     sandbox.stub(esprimaParser, 'parseNode', createParseNodeStub())
+    sandbox.stub(esprimaParser, 'skipUnsupportedStatement').returns(false)
+    sandbox.stub(esprimaParser, 'setStatementLoc')
   })
 
   it('should call isEitherState of flowState each loop given no flow control statement', () => {
@@ -43,6 +45,24 @@ describe('parseNonHoistingStatements tests', () => {
     expect(result).to.be.equal('parsedStatement3')
   })
 
+  it('should call setStatementLoc with each statement before parseNode', () => {
+    setStateStub([false, false, false])
+
+    esprimaParser.parseNonHoistingStatements(statements)
+
+    statements.forEach((statement, index) => {
+      expect(
+        esprimaParser.setStatementLoc
+          .getCall(index)
+            .calledWithExactly(statement)
+      ).to.be.true
+      expect(
+        esprimaParser.setStatementLoc.getCall(index)
+          .calledBefore(esprimaParser.parseNode.getCall(index))
+      ).to.be.true
+    })
+  })
+
   it('should call isEitherState of flowState until getting first flow control state', () => {
     setStateStub([false, true, false])
 
@@ -63,4 +83,22 @@ describe('parseNonHoistingStatements tests', () => {
     ).to.be.true
     expect(result).to.be.equal('parsedStatement2')
   })
+
+  it('should not call parseNode with statement skipped by skipUnsupportedStatement', () => {
+    setStateStub([false, false, false])
+    esprimaParser.skipUnsupportedStatement
+      .withArgs(statements[1]).returns(true)
+
+    const result = esprimaParser.parseNonHoistingStatements(statements)
+
+    expect(
+      esprimaParser.parseNode
+        .neverCalledWith(statements[1])
+    ).to.be.true
+    expect(
+      esprimaParser.setStatementLoc
+        .neverCalledWith(statements[1])
+    ).to.be.true
+    expect(result).to.be.equal('parsedStatement3')
+  })
 })
@@ -0,0 +1,98 @@
+describe('parseObjectPattern tests', () => {
+  const value = {a: 1, b: 2, c: 3}
+  const rest = {c: 3}
+  let objectPattern, handleTarget
+
+  beforeEach(() => {
+    objectPattern = createAstNode('ObjectPattern', {
+      properties: [
+        createAstNode('Property', {
+          key: createAstNode('Identifier', {name: 'a'}),
+          computed: false,
+          value: createAstNode('Pattern1')
+        }),
+        createAstNode('Property', {
+          key: createAstNode('Expression'),
+          computed: true,
+          value: createAstNode('Pattern2')
+        }),
+        createAstNode('RestElement', {
+          argument: createAstNode('Pattern3')
+        })
+      ]
+    })
+    handleTarget = () => {}
+
+    sandbox.stub(esprimaParser, 'getPropertyKey')
+      .onCall(0).returns('a')
+      .onCall(1).returns('b')
+    sandbox.stub(esprimaParser, 'copyDataProperties').returns(rest)
+    sandbox.stub(esprimaParser, 'parsePattern')
+  })
+
+  it('should throw TypeError given undefined or null value', () => {
+    expect(() => {
+      esprimaParser.parseObjectPattern(objectPattern, undefined, handleTarget)
+    }).to.throw(TypeError)
+    expect(() => {
+      esprimaParser.parseObjectPattern(objectPattern, null, handleTarget)
+    }).to.throw(TypeError)
+  })
+
+  it('should call getPropertyKey with key and computed of each property', () => {
+    esprimaParser.parseObjectPattern(objectPattern, value, handleTarget)
+
+    for (const index of [0, 1]) {
+      const property = objectPattern.properties[index]
+
+      expect(
+        esprimaParser.getPropertyKey.getCall(index)
+          .calledWithExactly(property.key, property.computed)
+      ).to.be.true
+    }
+  })
+
+  it('should call parsePattern with each property value, value of key and handleTarget', () => {
+    esprimaParser.parseObjectPattern(objectPattern, value, handleTarget)
+
+    expect(
+      esprimaParser.parsePattern
+        .calledWithExactly(objectPattern.properties[0].value, 1, handleTarget)
+    ).to.be.true
+    expect(
+      esprimaParser.parsePattern
+        .calledWithExactly(objectPattern.properties[1].value, 2, handleTarget)
+    ).to.be.true
+  })
+
+  it('should call copyDataProperties with symbol keys kept as they are', () => {
+    const symbol = Symbol('symbol')
+
+    esprimaParser.getPropertyKey.onCall(1).returns(symbol)
+
+    esprimaParser.parseObjectPattern(objectPattern, value, handleTarget)
+
+    expect(
+      esprimaParser.copyDataProperties
+        .calledWithExactly({}, value, ['a', symbol])
+    ).to.be.true
+  })
+
+  it('should call copyDataProperties with new object, value and keys destructured before', () => {
+    esprimaParser.parseObjectPattern(objectPattern, value, handleTarget)
+
+    expect(
+      esprimaParser.copyDataProperties
+        .calledWithExactly({}, value, ['a', 'b'])
+    ).to.be.true
+  })
+
+  it('should call parsePattern with rest argument, result from copyDataProperties and handleTarget', () => {
+    esprimaParser.parseObjectPattern(objectPattern, value, handleTarget)
+
+    expect(
+      esprimaParser.parsePattern
+        .calledWithExactly(objectPattern.properties[2].argument, rest, handleTarget)
+    ).to.be.true
+  })
+})
@@ -0,0 +1,39 @@
+describe('parsePattern tests', () => {
+  const value = 'value'
+  let handleTarget
+
+  beforeEach(() => {
+    handleTarget = sandbox.stub().returns('resultFromHandleTarget')
+
+    sandbox.stub(esprimaParser, 'parseObjectPattern')
+      .returns('resultFromParseObjectPattern')
+    sandbox.stub(esprimaParser, 'parseArrayPattern')
+      .returns('resultFromParseArrayPattern')
+    sandbox.stub(esprimaParser, 'parseAssignmentPattern')
+      .returns('resultFromParseAssignmentPattern')
+  })
+
+  for (const type of ['ObjectPattern', 'ArrayPattern', 'AssignmentPattern']) {
+    it(`should call parse${type} with pattern, value and handleTarget given ${type}`, () => {
+      const pattern = createAstNode(type)
+      const result = esprimaParser.parsePattern(pattern, value, handleTarget)
+
+      expect(
+        esprimaParser[`parse${type}`]
+          .calledWithExactly(pattern, value, handleTarget)
+      ).to.be.true
+      expect(result).to.be.equal(`resultFromParse${type}`)
+    })
+  }
+
+  it('should call handleTarget with pattern and value given other patterns', () => {
+    const pattern = createAstNode('Identifier|MemberExpression')
+    const result = esprimaParser.parsePattern(pattern, value, handleTarget)
+
+    expect(
+      handleTarget
+        .calledWithExactly(pattern, value)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromHandleTarget')
+  })
+})
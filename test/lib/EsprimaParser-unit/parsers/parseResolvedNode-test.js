@@ -0,0 +1,99 @@
+describe('parseResolvedNode tests', () => {
+  const options = {}
+  let node, subExpressions
+
+  beforeEach(() => {
+    node = createAstNode('AstNodeType')
+    subExpressions = [createAstNode('Expression'), createAstNode('YieldExpression')]
+    sandbox.stub(esprimaParser, 'getSubExpressions')
+      .returns(subExpressions)
+    sandbox.stub(esprimaParser, 'isSuspendable', (expression) => {
+      return expression.type === 'YieldExpression'
+    })
+    sandbox.stub(esprimaParser, 'resolveNodes', function* () {})
+    sandbox.stub(esprimaParser, 'parseNode')
+      .returns('resultFromParseNode')
+    sandbox.stub(esprimaParser, 'unresolveNodes')
+    sandbox.stub(esprimaParser, 'hasYield')
+      .returns(true)
+  })
+
+  it('should return result from parseNode called with node and options given no sub expressions suspendable and node has no yield', () => {
+    subExpressions = [createAstNode('Expression')]
+    esprimaParser.getSubExpressions.returns(subExpressions)
+    esprimaParser.hasYield.returns(false)
+
+    const result = runGenerator(esprimaParser.parseResolvedNode(node, options))
+
+    expect(
+      esprimaParser.hasYield
+        .calledWithExactly(node)
+    ).to.be.true
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(node, options)
+    ).to.be.true
+    expect(esprimaParser.resolveNodes.called).to.be.false
+    expect(result).to.be.equal('resultFromParseNode')
+  })
+
+  it('should throw result from createInterpreterError called with SyntaxError and node given no sub expressions suspendable and node has yield', () => {
+    const interpreterError = new Error()
+
+    subExpressions = [createAstNode('Expression')]
+    esprimaParser.getSubExpressions.returns(subExpressions)
+    sandbox.stub(esprimaParser, 'createInterpreterError')
+      .returns(interpreterError)
+
+    expect(() => {
+      runGenerator(esprimaParser.parseResolvedNode(node, options))
+    }).to.throw(interpreterError)
+
+    const [cause, causeNode] = esprimaParser.createInterpreterError.firstCall.args
+
+    expect(cause).to.be.instanceof(SyntaxError)
+    expect(cause.message).to.be.equal('Unsupported yield in AstNodeType')
+    expect(causeNode).to.be.equal(node)
+  })
+
+  it('should delegate to resolveNodes called with result from getSubExpressions called with node', () => {
+    runGenerator(esprimaParser.parseResolvedNode(node, options))
+
+    expect(
+      esprimaParser.getSubExpressions
+        .calledWithExactly(node)
+    ).to.be.true
+    expect(
+      esprimaParser.resolveNodes
+        .calledWithExactly(subExpressions)
+    ).to.be.true
+  })
+
+  it('should return result from parseNode called with node and options after resolveNodes', () => {
+    const result = runGenerator(esprimaParser.parseResolvedNode(node, options))
+
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(node, options)
+    ).to.be.true
+    expect(
+      esprimaParser.parseNode
+        .calledAfter(esprimaParser.resolveNodes)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromParseNode')
+  })
+
+  it('should call unresolveNodes with sub expressions given parseNode throws error', () => {
+    const error = new Error()
+
+    esprimaParser.parseNode.throws(error)
+
+    expect(() => {
+      runGenerator(esprimaParser.parseResolvedNode(node, options))
+    }).to.throw(error)
+    expect(
+      esprimaParser.unresolveNodes
+        .calledWithExactly(subExpressions)
+    ).to.be.true
+  })
+})
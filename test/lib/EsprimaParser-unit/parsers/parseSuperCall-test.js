@@ -0,0 +1,51 @@
+describe('parseSuperCall tests', () => {
+  const calledArguments = [1, 2]
+  let callExpression, ParentStub, classAgent, newTarget, constructed
+
+  beforeEach(() => {
+    callExpression = createAstNode('CallExpression', {
+      callee: createAstNode('Super'),
+      arguments: [createAstNode('Expression')]
+    })
+    constructed = []
+    ParentStub = function (...args) {
+      constructed.push({args, newTarget: new.target})
+    }
+    classAgent = function () {}
+    newTarget = function () {}
+    Object.setPrototypeOf(classAgent, ParentStub)
+
+    sandbox.stub(esprimaParser, 'closureStack', {
+      get: (variable) => {
+        return {'class': classAgent, 'new.target': newTarget}[variable]
+      }
+    })
+    sandbox.stub(esprimaParser, 'parseArguments').returns(calledArguments)
+    sandbox.stub(esprimaParser, 'bindThisValue')
+  })
+
+  it('should call parseArguments with arguments', () => {
+    esprimaParser.parseSuperCall(callExpression)
+
+    expect(
+      esprimaParser.parseArguments
+        .calledWithExactly(callExpression.arguments)
+    ).to.be.true
+  })
+
+  it('should construct parent of class with calledArguments and new.target', () => {
+    const result = esprimaParser.parseSuperCall(callExpression)
+
+    expect(constructed).to.be.eql([{args: calledArguments, newTarget}])
+    expect(Object.getPrototypeOf(result)).to.be.equal(newTarget.prototype)
+  })
+
+  it('should call bindThisValue with constructed object and return', () => {
+    const result = esprimaParser.parseSuperCall(callExpression)
+
+    expect(
+      esprimaParser.bindThisValue
+        .calledWithExactly(result)
+    ).to.be.true
+  })
+})
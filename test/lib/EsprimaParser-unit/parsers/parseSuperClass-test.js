@@ -0,0 +1,74 @@
+describe('parseSuperClass tests', () => {
+  let superClass
+
+  beforeEach(() => {
+    superClass = createAstNode('Expression')
+
+    sandbox.stub(esprimaParser, 'parseNode')
+  })
+
+  it('should return Function.prototype and Object.prototype as parents given null superClass', () => {
+    const result = esprimaParser.parseSuperClass(null)
+
+    expect(esprimaParser.parseNode.called).to.be.false
+    expect(result).to.be.eql({
+      constructorParent: Function.prototype,
+      prototypeParent: Object.prototype
+    })
+  })
+
+  it('should return Function.prototype and null as parents given superClass evaluated to null', () => {
+    esprimaParser.parseNode.returns(null)
+
+    const result = esprimaParser.parseSuperClass(superClass)
+
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(superClass)
+    ).to.be.true
+    expect(result).to.be.eql({
+      constructorParent: Function.prototype,
+      prototypeParent: null
+    })
+  })
+
+  it('should return parent and its prototype as parents given superClass evaluated to a function', () => {
+    const parent = function () {}
+
+    esprimaParser.parseNode.returns(parent)
+
+    const result = esprimaParser.parseSuperClass(superClass)
+
+    expect(result).to.be.eql({
+      constructorParent: parent,
+      prototypeParent: parent.prototype
+    })
+  })
+
+  it('should throw TypeError given superClass evaluated to non-function', () => {
+    esprimaParser.parseNode.returns({})
+
+    expect(() => {
+      esprimaParser.parseSuperClass(superClass)
+    }).to.throw(TypeError)
+  })
+
+  it('should throw TypeError given superClass evaluated to non-constructor function', () => {
+    esprimaParser.parseNode.returns(() => {})
+
+    expect(() => {
+      esprimaParser.parseSuperClass(superClass)
+    }).to.throw(TypeError)
+  })
+
+  it('should throw TypeError given prototype of parent is neither an object nor null', () => {
+    const parent = function () {}
+
+    parent.prototype = 1
+    esprimaParser.parseNode.returns(parent)
+
+    expect(() => {
+      esprimaParser.parseSuperClass(superClass)
+    }).to.throw(TypeError)
+  })
+})
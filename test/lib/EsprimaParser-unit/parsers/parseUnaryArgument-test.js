@@ -21,6 +21,29 @@ describe('parseUnaryArgument tests', () => {
     expect(result).to.be.equal('resultFromGetRefExp')
   })
 
+  it('should return undefined given operator is typeof and argument is unresolvable variable', () => {
+    sandbox.stub(esprimaParser, 'isUnresolvableVariable')
+      .withArgs(argument).returns(true)
+    sandbox.stub(esprimaParser, 'parseNode')
+
+    const result = esprimaParser.parseUnaryArgument(argument, 'typeof')
+
+    expect(esprimaParser.parseNode.called).to.be.false
+    expect(result).to.be.undefined
+  })
+
+  it('should call parseNode with argument and return given operator is typeof and argument is not unresolvable variable', () => {
+    sandbox.stub(esprimaParser, 'isUnresolvableVariable')
+      .withArgs(argument).returns(false)
+    sandbox.stub(esprimaParser, 'parseNode')
+      .withArgs(argument)
+        .returns('resultFromParseNode')
+
+    const result = esprimaParser.parseUnaryArgument(argument, 'typeof')
+
+    expect(result).to.be.equal('resultFromParseNode')
+  })
+
   it('should call parseNode with argument and return given operator is unary except delete', () => {
     const operator = 'unary'
 
@@ -1,6 +1,6 @@
 describe('parseVariableDeclarator tests', () => {
-  const variables = 'variables'
   const values = 'values'
+  const kind = 'let/const'
   let variableDeclarator
 
   beforeEach(() => {
@@ -8,35 +8,40 @@ describe('parseVariableDeclarator tests', () => {
       id: createAstNode('Pattern'),
       init: createAstNode('Expression')
     })
-    sandbox.stub(esprimaParser, 'getNameFromPattern').returns(variables)
     sandbox.stub(esprimaParser, 'parseNode').returns(values)
-    sandbox.stub(esprimaParser, 'setVariables')
+    sandbox.stub(esprimaParser, 'setPatternVariables')
+    sandbox.stub(esprimaParser, 'updatePatternVariables')
+    sandbox.stub(esprimaParser, 'getInferredName').returns('name')
   })
 
-  it('should call getNameFromPattern with variableDeclarator.id', () => {
-    esprimaParser.parseVariableDeclarator(variableDeclarator)
+  it('should call parseNode with variableDeclarator.init and name inferred from id', () => {
+    esprimaParser.parseVariableDeclarator(variableDeclarator, kind)
 
     expect(
-      esprimaParser.getNameFromPattern
+      esprimaParser.getInferredName
         .calledWithExactly(variableDeclarator.id)
     ).to.be.true
+    expect(
+      esprimaParser.parseNode
+        .calledWithExactly(variableDeclarator.init, {name: 'name'})
+    ).to.be.true
   })
 
-  it('should call parseNode with variableDeclarator.init', () => {
-    esprimaParser.parseVariableDeclarator(variableDeclarator)
+  it('should call setPatternVariables with variableDeclarator.id, result from parseNode and kind', () => {
+    esprimaParser.parseVariableDeclarator(variableDeclarator, kind)
 
     expect(
-      esprimaParser.parseNode
-        .calledWithExactly(variableDeclarator.init)
+      esprimaParser.setPatternVariables
+        .calledWithExactly(variableDeclarator.id, values, kind)
     ).to.be.true
   })
-
-  it('should call setVariables with result from getNameFromPattern and parseNode', () => {
-    esprimaParser.parseVariableDeclarator(variableDeclarator)
+  it('should call updatePatternVariables with variableDeclarator.id and result from parseNode given var', () => {
+    esprimaParser.parseVariableDeclarator(variableDeclarator, 'var')
 
     expect(
-      esprimaParser.setVariables
-        .calledWithExactly(variables, values)
+      esprimaParser.updatePatternVariables
+        .calledWithExactly(variableDeclarator.id, values)
     ).to.be.true
+    expect(esprimaParser.setPatternVariables.called).to.be.false
   })
 })
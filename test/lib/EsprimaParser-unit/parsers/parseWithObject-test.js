@@ -0,0 +1,41 @@
+describe('parseWithObject tests', () => {
+  let node
+
+  beforeEach(() => {
+    node = createAstNode('Expression')
+
+    sandbox.stub(esprimaParser, 'parseNode')
+  })
+
+  it('should return result from parseNode called with node given object', () => {
+    const object = {}
+
+    esprimaParser.parseNode
+      .withArgs(node).returns(object)
+
+    const result = esprimaParser.parseWithObject(node)
+
+    expect(result).to.be.equal(object)
+  })
+
+  it('should return wrapper object given primitive', () => {
+    esprimaParser.parseNode
+      .withArgs(node).returns('str')
+
+    const result = esprimaParser.parseWithObject(node)
+
+    expect(result).to.be.instanceof(String)
+    expect(result.valueOf()).to.be.equal('str')
+  })
+
+  it('should throw TypeError given null or undefined', () => {
+    for (const value of [null, undefined]) {
+      esprimaParser.parseNode
+        .withArgs(node).returns(value)
+
+      expect(() => {
+        esprimaParser.parseWithObject(node)
+      }).to.throw(TypeError, 'Cannot convert undefined or null to object')
+    }
+  })
+})
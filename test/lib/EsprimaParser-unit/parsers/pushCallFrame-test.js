@@ -0,0 +1,48 @@
+describe('pushCallFrame tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'callStack', {
+      isEmpty: sandbox.stub().returns(false),
+      getDepth: sandbox.stub().returns(0),
+      push: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'startBudget')
+    sandbox.stub(esprimaParser, 'scriptUrl', 'scriptUrl')
+    sandbox.stub(esprimaParser, 'maxCallDepth', 2)
+  })
+
+  it('should call callStack.push with name and scriptUrl', () => {
+    esprimaParser.pushCallFrame('name')
+
+    expect(
+      esprimaParser.callStack.push
+        .calledWithExactly('name', 'scriptUrl')
+    ).to.be.true
+  })
+
+  it('should call startBudget before callStack.push given empty callStack', () => {
+    esprimaParser.callStack.isEmpty.returns(true)
+
+    esprimaParser.pushCallFrame('name')
+
+    expect(esprimaParser.startBudget.calledOnce).to.be.true
+    expect(
+      esprimaParser.startBudget
+        .calledBefore(esprimaParser.callStack.push)
+    ).to.be.true
+  })
+
+  it('should not call startBudget given callStack not empty', () => {
+    esprimaParser.pushCallFrame('name')
+
+    expect(esprimaParser.startBudget.called).to.be.false
+  })
+
+  it('should throw RangeError without pushing given depth of callStack reaches maxCallDepth', () => {
+    esprimaParser.callStack.getDepth.returns(2)
+
+    expect(() => {
+      esprimaParser.pushCallFrame('name')
+    }).to.throw(RangeError, 'Maximum call stack size exceeded')
+    expect(esprimaParser.callStack.push.called).to.be.false
+  })
+})
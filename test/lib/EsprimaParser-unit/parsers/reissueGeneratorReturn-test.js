@@ -0,0 +1,26 @@
+describe('reissueGeneratorReturn tests', () => {
+  beforeEach(() => {
+    esprimaParser.generatorState = {returnValue: 'returnValue'}
+    sandbox.stub(esprimaParser, 'handleExceptionResult')
+      .returns('resultFromHandleExceptionResult')
+  })
+
+  it('should return result from handleExceptionResult called with returnValue of generatorState', () => {
+    const result = esprimaParser.reissueGeneratorReturn()
+
+    expect(
+      esprimaParser.handleExceptionResult
+        .calledWithExactly({value: 'returnValue'})
+    ).to.be.true
+    expect(result).to.be.equal('resultFromHandleExceptionResult')
+  })
+
+  it('should call handleExceptionResult with value of given result overriding returnValue', () => {
+    esprimaParser.reissueGeneratorReturn({value: 'valueFromFinally'})
+
+    expect(
+      esprimaParser.handleExceptionResult
+        .calledWithExactly({value: 'valueFromFinally'})
+    ).to.be.true
+  })
+})
@@ -0,0 +1,36 @@
+describe('reportBudgetExceeded tests', () => {
+  const error = {
+    message: 'Execution budget exceeded, usage at scriptUrl:2:11',
+    node: {type: 'Statement'},
+    scriptUrl: 'scriptUrl',
+    loc: 'loc'
+  }
+  let EsprimaParser
+
+  before(() => {
+    EsprimaParser = require(libDir)
+  })
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'reportDiagnostic')
+  })
+
+  it('should call reportDiagnostic with diagnostic of node type, scriptUrl, loc, ABORT and error', () => {
+    esprimaParser.reportBudgetExceeded(error)
+
+    expect(esprimaParser.reportDiagnostic.args[0][0]).to.be.eql({
+      type: 'Statement',
+      scriptUrl: 'scriptUrl',
+      loc: 'loc',
+      action: EsprimaParser.ABORT,
+      error
+    })
+  })
+
+  it('should call reportDiagnostic with message of error', () => {
+    esprimaParser.reportBudgetExceeded(error)
+
+    expect(esprimaParser.reportDiagnostic.args[0][1])
+      .to.be.equal('Execution budget exceeded, usage at scriptUrl:2:11, aborted')
+  })
+})
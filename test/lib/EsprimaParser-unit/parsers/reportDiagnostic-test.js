@@ -0,0 +1,33 @@
+describe('reportDiagnostic tests', () => {
+  const diagnostic = {type: 'StaticBlock', action: 'SKIP'}
+  const message = 'message'
+
+  beforeEach(() => {
+    sandbox.spy(console, 'warn')
+    sandbox.spy(console, 'error')
+  })
+
+  it('should push diagnostic to diagnostics', () => {
+    esprimaParser.reportDiagnostic(diagnostic, message)
+
+    expect(esprimaParser.diagnostics).to.be.eql([diagnostic])
+  })
+
+  it('should call onDiagnostic with diagnostic and message given onDiagnostic', () => {
+    esprimaParser.onDiagnostic = sandbox.spy()
+
+    esprimaParser.reportDiagnostic(diagnostic, message)
+
+    expect(
+      esprimaParser.onDiagnostic
+        .calledWithExactly(diagnostic, message)
+    ).to.be.true
+  })
+
+  it('should not write to console given no onDiagnostic', () => {
+    esprimaParser.reportDiagnostic(diagnostic, message)
+
+    expect(console.warn.called).to.be.false
+    expect(console.error.called).to.be.false
+  })
+})
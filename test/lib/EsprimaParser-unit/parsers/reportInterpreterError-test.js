@@ -0,0 +1,46 @@
+describe('reportInterpreterError tests', () => {
+  const cause = new Error('message')
+  let EsprimaParser
+
+  before(() => {
+    EsprimaParser = require(libDir)
+  })
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'reportDiagnostic')
+  })
+
+  it('should call reportDiagnostic with diagnostic of node type, scriptUrl, loc, ABORT and error', () => {
+    const error = {
+      message: 'message',
+      cause,
+      node: createAstNode('Expression'),
+      scriptUrl: 'scriptUrl',
+      loc: 'loc'
+    }
+    esprimaParser.reportInterpreterError(error)
+
+    expect(esprimaParser.reportDiagnostic.args[0][0]).to.be.eql({
+      type: 'Expression',
+      scriptUrl: 'scriptUrl',
+      loc: 'loc',
+      action: EsprimaParser.ABORT,
+      error
+    })
+  })
+
+  it('should call reportDiagnostic with diagnostic of null type given no node', () => {
+    const error = {message: 'message', cause, node: null}
+
+    esprimaParser.reportInterpreterError(error)
+
+    expect(esprimaParser.reportDiagnostic.args[0][0].type).to.be.null
+  })
+
+  it('should call reportDiagnostic with message of error', () => {
+    esprimaParser.reportInterpreterError({message: 'message at scriptUrl:2:11', cause})
+
+    expect(esprimaParser.reportDiagnostic.args[0][1])
+      .to.be.equal('Tracker failed: message at scriptUrl:2:11, script aborted')
+  })
+})
@@ -0,0 +1,57 @@
+describe('reportUnsupportedNode tests', () => {
+  let node, EsprimaParser
+
+  before(() => {
+    EsprimaParser = require(libDir)
+  })
+
+  beforeEach(() => {
+    node = createAstNode('StaticBlock', {
+      loc: {start: {line: 3, column: 4}}
+    })
+    esprimaParser.scriptUrl = 'http://x/a.js'
+
+    sandbox.stub(esprimaParser, 'reportDiagnostic')
+  })
+
+  it('should call reportDiagnostic with diagnostic of node type, scriptUrl, location and action', () => {
+    esprimaParser.reportUnsupportedNode(node, EsprimaParser.SKIP)
+
+    expect(esprimaParser.reportDiagnostic.args[0][0]).to.be.eql({
+      type: 'StaticBlock',
+      scriptUrl: 'http://x/a.js',
+      loc: node.loc,
+      action: EsprimaParser.SKIP
+    })
+  })
+
+  it('should report node skipped with its position', () => {
+    esprimaParser.reportUnsupportedNode(node, EsprimaParser.SKIP)
+
+    expect(esprimaParser.reportDiagnostic.args[0][1])
+      .to.be.equal('Unsupported syntax StaticBlock at http://x/a.js:3:5, skipped')
+  })
+
+  it('should report script executed natively given EsprimaParser.NATIVE', () => {
+    esprimaParser.reportUnsupportedNode(node, EsprimaParser.NATIVE)
+
+    expect(esprimaParser.reportDiagnostic.args[0][1])
+      .to.be.equal('Unsupported syntax StaticBlock at http://x/a.js:3:5, script executed natively')
+  })
+
+  it('should report script aborted given EsprimaParser.ABORT', () => {
+    esprimaParser.reportUnsupportedNode(node, EsprimaParser.ABORT)
+
+    expect(esprimaParser.reportDiagnostic.args[0][1])
+      .to.be.equal('Unsupported syntax StaticBlock at http://x/a.js:3:5, script aborted')
+  })
+
+  it('should report without position given node without loc', () => {
+    delete node.loc
+
+    esprimaParser.reportUnsupportedNode(node, EsprimaParser.SKIP)
+
+    expect(esprimaParser.reportDiagnostic.args[0][1])
+      .to.be.equal('Unsupported syntax StaticBlock at http://x/a.js, skipped')
+  })
+})
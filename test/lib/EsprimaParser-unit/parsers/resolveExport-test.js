@@ -0,0 +1,76 @@
+describe('resolveExport tests', () => {
+  let ModuleRecord, record, requestedModule
+
+  const createRecord = (entries) => {
+    const record = new ModuleRecord('http://example.com/module.js', {body: []})
+
+    record.entries = Object.assign({
+      imports: [],
+      localExports: new Map(),
+      indirectExports: new Map(),
+      starExports: []
+    }, entries)
+
+    return record
+  }
+
+  beforeEach(() => {
+    ModuleRecord = require(`${libDir}/structures/ModuleRecord`)
+
+    requestedModule = createRecord({
+      localExports: new Map([['b', 'c']])
+    })
+    record = createRecord({
+      localExports: new Map([['a', 'localA'], ['default', '*default*']]),
+      indirectExports: new Map([
+        ['d', {specifier: './module.js', importName: 'b'}],
+        ['ns', {specifier: './module.js', importName: '*'}]
+      ])
+    })
+    record.requestedModules.set('./module.js', requestedModule)
+
+    sandbox.stub(esprimaParser, 'resolveStarExport').returns('resultFromResolveStarExport')
+  })
+
+  it('should return record and local name given local export', () => {
+    expect(esprimaParser.resolveExport(record, 'a')).to.be.eql({record, bindingName: 'localA'})
+    expect(esprimaParser.resolveExport(record, 'default')).to.be.eql({record, bindingName: '*default*'})
+  })
+
+  it('should return resolution in requested module given indirect export', () => {
+    expect(esprimaParser.resolveExport(record, 'd')).to.be.eql({
+      record: requestedModule,
+      bindingName: 'c'
+    })
+  })
+
+  it('should return requested module with null bindingName given namespace re-exported', () => {
+    expect(esprimaParser.resolveExport(record, 'ns')).to.be.eql({
+      record: requestedModule,
+      bindingName: null
+    })
+  })
+
+  it('should return null given default not exported locally', () => {
+    expect(esprimaParser.resolveExport(requestedModule, 'default')).to.be.null
+    expect(esprimaParser.resolveStarExport.called).to.be.false
+  })
+
+  it('should return result from resolveStarExport given other names', () => {
+    const result = esprimaParser.resolveExport(record, 'e')
+
+    expect(
+      esprimaParser.resolveStarExport
+        .calledWith(record, 'e')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromResolveStarExport')
+  })
+
+  it('should return null given circular re-exports', () => {
+    requestedModule.entries.indirectExports.set('f', {specifier: './main.js', importName: 'f'})
+    requestedModule.requestedModules.set('./main.js', record)
+    record.entries.indirectExports.set('f', {specifier: './module.js', importName: 'f'})
+
+    expect(esprimaParser.resolveExport(record, 'f')).to.be.null
+  })
+})
@@ -0,0 +1,34 @@
+describe('resolveImport tests', () => {
+  const requestedModule = {}
+  let ModuleRecord
+
+  beforeEach(() => {
+    ModuleRecord = require(`${libDir}/structures/ModuleRecord`)
+
+    sandbox.stub(esprimaParser, 'resolveExport')
+  })
+
+  it('should return result from resolveExport called with requestedModule and importName', () => {
+    const resolution = {}
+
+    esprimaParser.resolveExport.withArgs(requestedModule, 'a').returns(resolution)
+
+    expect(esprimaParser.resolveImport(requestedModule, 'a', './module.js')).to.be.equal(resolution)
+  })
+
+  it('should throw SyntaxError given export not found', () => {
+    esprimaParser.resolveExport.returns(null)
+
+    expect(() => {
+      esprimaParser.resolveImport(requestedModule, 'a', './module.js')
+    }).to.throw(SyntaxError, 'The requested module \'./module.js\' does not provide an export named \'a\'')
+  })
+
+  it('should throw SyntaxError given export ambiguous', () => {
+    esprimaParser.resolveExport.returns(ModuleRecord.AMBIGUOUS)
+
+    expect(() => {
+      esprimaParser.resolveImport(requestedModule, 'a', './module.js')
+    }).to.throw(SyntaxError, 'The requested module \'./module.js\' contains conflicting star exports for name \'a\'')
+  })
+})
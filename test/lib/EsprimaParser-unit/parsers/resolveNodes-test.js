@@ -0,0 +1,54 @@
+describe('resolveNodes tests', () => {
+  let nodes
+
+  beforeEach(() => {
+    nodes = [
+      createAstNode('Expression1'),
+      createAstNode('YieldExpression'),
+      createAstNode('Expression2')
+    ]
+    sandbox.stub(esprimaParser, 'isSuspendable', (node) => {
+      return node.type === 'YieldExpression'
+    })
+    sandbox.stub(esprimaParser, 'parseGeneratorNode', function* (node) {
+      if (node.type === 'YieldExpression') {
+        return yield 'yielded'
+      }
+      return `parsed${node.type}`
+    })
+  })
+
+  it('should parse nodes until the last suspendable one and yield', () => {
+    const iterator = esprimaParser.resolveNodes(nodes)
+
+    expect(iterator.next()).to.be.eql({value: 'yielded', done: false})
+    expect(iterator.next('resumed').done).to.be.true
+    expect(esprimaParser.parseGeneratorNode.calledTwice).to.be.true
+  })
+
+  it('should set values of parsed nodes to resolvedValues', () => {
+    const iterator = esprimaParser.resolveNodes(nodes)
+
+    iterator.next()
+    iterator.next('resumed')
+
+    expect(esprimaParser.resolvedValues.get(nodes[0])).to.be.equal('parsedExpression1')
+    expect(esprimaParser.resolvedValues.get(nodes[1])).to.be.equal('resumed')
+    expect(esprimaParser.resolvedValues.has(nodes[2])).to.be.false
+  })
+
+  it('should not set values to resolvedValues before all nodes parsed', () => {
+    const iterator = esprimaParser.resolveNodes(nodes)
+
+    iterator.next()
+
+    expect(esprimaParser.resolvedValues.size).to.be.equal(0)
+  })
+
+  it('should parse nothing given no suspendable nodes', () => {
+    runGenerator(esprimaParser.resolveNodes([createAstNode('Expression')]))
+
+    expect(esprimaParser.parseGeneratorNode.called).to.be.false
+    expect(esprimaParser.resolvedValues.size).to.be.equal(0)
+  })
+})
@@ -0,0 +1,35 @@
+describe('resolveReference tests', () => {
+  let outerScope, innerScope
+
+  beforeEach(() => {
+    outerScope = esprimaParser.createScope(createAstNode('FunctionExpression'), null, ['a', 'b'])
+    innerScope = esprimaParser.createScope(
+      createAstNode('BlockStatement'),
+      esprimaParser.createScope(createAstNode('CatchClause'), outerScope),
+      ['b']
+    )
+  })
+
+  it('should return hops to and node of the nearest scope naming variable', () => {
+    expect(esprimaParser.resolveReference('b', innerScope)).to.be.eql({hops: 0, scope: innerScope.node})
+    expect(esprimaParser.resolveReference('a', innerScope)).to.be.eql({hops: 2, scope: outerScope.node})
+  })
+
+  it('should return null scope given no scope naming variable', () => {
+    expect(esprimaParser.resolveReference('c', innerScope).scope).to.be.null
+    expect(esprimaParser.resolveReference('c', null).scope).to.be.null
+  })
+
+  it('should return null given variable passing through dynamic scope', () => {
+    innerScope.parent.isDynamic = true
+
+    expect(esprimaParser.resolveReference('a', innerScope)).to.be.null
+    expect(esprimaParser.resolveReference('c', innerScope)).to.be.null
+  })
+
+  it('should resolve variable named by dynamic scope itself', () => {
+    innerScope.isDynamic = true
+
+    expect(esprimaParser.resolveReference('b', innerScope)).to.be.eql({hops: 0, scope: innerScope.node})
+  })
+})
@@ -0,0 +1,65 @@
+describe('resolveScopes tests', () => {
+  const moduleScope = {names: new Set()}
+  let program, identifiers
+
+  beforeEach(() => {
+    identifiers = [
+      createAstNode('Identifier', {name: 'a'}),
+      createAstNode('Identifier', {name: 'b'})
+    ]
+    program = createAstNode('Program', {body: [createAstNode('Statement')]})
+
+    sandbox.stub(esprimaParser, 'createModuleScope').returns(moduleScope)
+    sandbox.stub(esprimaParser, 'collectScopes', (node, scope, references) => {
+      references.push(
+        {identifier: identifiers[0], scope},
+        {identifier: identifiers[1], scope}
+      )
+    })
+    sandbox.stub(esprimaParser, 'resolveReference')
+      .withArgs('a').returns({hops: 0, scope: null})
+      .withArgs('b').returns(null)
+  })
+
+  it('should collect scopes of program body from global scope given script', () => {
+    esprimaParser.resolveScopes(program)
+
+    expect(
+      esprimaParser.collectScopes
+        .calledWith(program.body, null)
+    ).to.be.true
+    expect(esprimaParser.createModuleScope.called).to.be.false
+  })
+
+  it('should collect scopes of program body from module scope given module', () => {
+    esprimaParser.resolveScopes(program, true)
+
+    expect(
+      esprimaParser.createModuleScope
+        .calledWithExactly(program)
+    ).to.be.true
+    expect(
+      esprimaParser.collectScopes
+        .calledWith(program.body, moduleScope)
+    ).to.be.true
+  })
+
+  it('should keep references of identifiers resolved by resolveReference only', () => {
+    esprimaParser.resolveScopes(program)
+
+    expect(
+      esprimaParser.resolveReference
+        .calledWithExactly('a', null)
+    ).to.be.true
+    expect(esprimaParser.resolvedIdentifiers.get(identifiers[0])).to.be.eql({hops: 0, scope: null})
+    expect(esprimaParser.resolvedIdentifiers.has(identifiers[1])).to.be.false
+  })
+
+  it('should resolve each program only once', () => {
+    esprimaParser.resolveScopes(program)
+    esprimaParser.resolveScopes(program)
+
+    expect(esprimaParser.resolvedPrograms.has(program)).to.be.true
+    expect(esprimaParser.collectScopes.calledOnce).to.be.true
+  })
+})
@@ -0,0 +1,60 @@
+describe('resolveStarExport tests', () => {
+  const resolveSet = []
+  const moduleA = {url: 'a'}
+  const moduleB = {url: 'b'}
+  let ModuleRecord, record
+
+  beforeEach(() => {
+    ModuleRecord = require(`${libDir}/structures/ModuleRecord`)
+
+    record = {
+      requestedModules: new Map([['./a.js', moduleA], ['./b.js', moduleB]])
+    }
+    sandbox.stub(esprimaParser, 'getModuleEntries')
+      .withArgs(record).returns({starExports: ['./a.js', './b.js']})
+    sandbox.stub(esprimaParser, 'resolveExport').returns(null)
+  })
+
+  it('should call resolveExport with each star exported module, name and resolveSet', () => {
+    esprimaParser.resolveStarExport(record, 'a', resolveSet)
+
+    expect(esprimaParser.resolveExport.calledWithExactly(moduleA, 'a', resolveSet)).to.be.true
+    expect(esprimaParser.resolveExport.calledWithExactly(moduleB, 'a', resolveSet)).to.be.true
+  })
+
+  it('should return null given no star exported module resolves name', () => {
+    expect(esprimaParser.resolveStarExport(record, 'a', resolveSet)).to.be.null
+  })
+
+  it('should return resolution given only one star exported module resolves name', () => {
+    const resolution = {record: moduleA, bindingName: 'a'}
+
+    esprimaParser.resolveExport.withArgs(moduleA).returns(resolution)
+
+    expect(esprimaParser.resolveStarExport(record, 'a', resolveSet)).to.be.equal(resolution)
+  })
+
+  it('should return resolution given star exported modules resolve name to the same binding', () => {
+    esprimaParser.resolveExport.withArgs(moduleA).returns({record: moduleA, bindingName: 'a'})
+    esprimaParser.resolveExport.withArgs(moduleB).returns({record: moduleA, bindingName: 'a'})
+
+    expect(esprimaParser.resolveStarExport(record, 'a', resolveSet)).to.be.eql({
+      record: moduleA,
+      bindingName: 'a'
+    })
+  })
+
+  it('should return ModuleRecord.AMBIGUOUS given star exported modules resolve name to different bindings', () => {
+    esprimaParser.resolveExport.withArgs(moduleA).returns({record: moduleA, bindingName: 'a'})
+    esprimaParser.resolveExport.withArgs(moduleB).returns({record: moduleB, bindingName: 'a'})
+
+    expect(esprimaParser.resolveStarExport(record, 'a', resolveSet)).to.be.equal(ModuleRecord.AMBIGUOUS)
+  })
+
+  it('should return ModuleRecord.AMBIGUOUS given star exported module resolves name ambiguously', () => {
+    esprimaParser.resolveExport.withArgs(moduleA).returns(ModuleRecord.AMBIGUOUS)
+
+    expect(esprimaParser.resolveStarExport(record, 'a', resolveSet)).to.be.equal(ModuleRecord.AMBIGUOUS)
+    expect(esprimaParser.resolveExport.calledOnce).to.be.true
+  })
+})
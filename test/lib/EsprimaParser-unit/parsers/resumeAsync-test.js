@@ -0,0 +1,100 @@
+describe('resumeAsync tests', () => {
+  const generator = {}
+  let settlers, steps
+
+  const settle = () => {
+    return new Promise((resolve) => {
+      settlers = {
+        resolve: sandbox.spy(resolve),
+        reject: sandbox.spy(resolve)
+      }
+      esprimaParser.resumeAsync(generator, 'next', 'value', settlers)
+    })
+  }
+
+  beforeEach(() => {
+    steps = []
+    sandbox.stub(esprimaParser, 'resumeGenerator', () => {
+      const step = steps.shift()
+
+      if (step instanceof Error) {
+        throw step
+      }
+      return step
+    })
+  })
+
+  it('should call resumeGenerator with generator, method and value', () => {
+    steps = [{value: 'result', done: true}]
+
+    return settle().then(() => {
+      expect(
+        esprimaParser.resumeGenerator
+          .calledWithExactly(generator, 'next', 'value')
+      ).to.be.true
+    })
+  })
+
+  it('should resolve value of step given generator done', () => {
+    steps = [{value: 'result', done: true}]
+
+    return settle().then(() => {
+      expect(settlers.resolve.calledWithExactly('result')).to.be.true
+    })
+  })
+
+  it('should reject error thrown by resumeGenerator', () => {
+    const error = new Error()
+
+    steps = [error]
+
+    return settle().then(() => {
+      expect(settlers.reject.calledWithExactly(error)).to.be.true
+    })
+  })
+
+  it('should throw error rethrown by rethrowInterpreterError without rejecting', () => {
+    const error = new Error()
+
+    steps = [error]
+    settlers = {resolve: sandbox.spy(), reject: sandbox.spy()}
+    sandbox.stub(esprimaParser, 'rethrowInterpreterError')
+      .withArgs(error).throws(error)
+
+    expect(() => {
+      esprimaParser.resumeAsync(generator, 'next', 'value', settlers)
+    }).to.throw(error)
+    expect(settlers.reject.called).to.be.false
+  })
+
+  it('should resume generator by next with settled value of AwaitRequest given fulfilled', () => {
+    steps = [
+      {value: esprimaParser.createAwaitRequest(Promise.resolve('fulfilled')), done: false},
+      {value: 'result', done: true}
+    ]
+
+    return settle().then(() => {
+      expect(
+        esprimaParser.resumeGenerator.getCall(1)
+          .calledWithExactly(generator, 'next', 'fulfilled')
+      ).to.be.true
+      expect(settlers.resolve.calledWithExactly('result')).to.be.true
+    })
+  })
+
+  it('should resume generator by throw with reason given value of AwaitRequest rejected', () => {
+    const error = new Error()
+
+    steps = [
+      {value: esprimaParser.createAwaitRequest(Promise.reject(error)), done: false},
+      {value: 'result', done: true}
+    ]
+
+    return settle().then(() => {
+      expect(
+        esprimaParser.resumeGenerator.getCall(1)
+          .calledWithExactly(generator, 'throw', error)
+      ).to.be.true
+    })
+  })
+})
@@ -0,0 +1,49 @@
+describe('resumeAsyncGenerator tests', () => {
+  const generator = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'stepAsyncGenerator')
+  })
+
+  it('should call stepAsyncGenerator with generator, queue, method and value of the first request', () => {
+    for (const method of ['next', 'throw']) {
+      const queue = [{method, value: 'value'}, {method: 'next', value: 'other'}]
+
+      esprimaParser.resumeAsyncGenerator(generator, queue)
+
+      expect(
+        esprimaParser.stepAsyncGenerator
+          .calledWithExactly(generator, queue, method, 'value')
+      ).to.be.true
+    }
+  })
+
+  it('should call stepAsyncGenerator with return and value awaited given return requested', () => {
+    const queue = [{method: 'return', value: Promise.resolve('value')}]
+
+    esprimaParser.resumeAsyncGenerator(generator, queue)
+
+    expect(esprimaParser.stepAsyncGenerator.called).to.be.false
+
+    return Promise.resolve().then(() => {
+      expect(
+        esprimaParser.stepAsyncGenerator
+          .calledWithExactly(generator, queue, 'return', 'value')
+      ).to.be.true
+    })
+  })
+
+  it('should call stepAsyncGenerator with throw and reason given value passed to return rejected', () => {
+    const error = new Error()
+    const queue = [{method: 'return', value: Promise.reject(error)}]
+
+    esprimaParser.resumeAsyncGenerator(generator, queue)
+
+    return Promise.resolve().then(() => {
+      expect(
+        esprimaParser.stepAsyncGenerator
+          .calledWithExactly(generator, queue, 'throw', error)
+      ).to.be.true
+    })
+  })
+})
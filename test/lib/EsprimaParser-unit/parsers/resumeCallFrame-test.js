@@ -0,0 +1,94 @@
+describe('resumeCallFrame tests', () => {
+  let frame
+
+  beforeEach(() => {
+    frame = {
+      functionAgentData: {},
+      environment: 'environment',
+      iterator: {
+        next: sandbox.stub().returns({value: 'value', done: false})
+      }
+    }
+    sandbox.stub(esprimaParser, 'setEnvironment')
+    sandbox.stub(esprimaParser, 'getEnvironment')
+      .withArgs(esprimaParser).returns('envResumed')
+    sandbox.stub(esprimaParser, 'getConstructResult')
+      .returns('resultFromGetConstructResult')
+    sandbox.stub(esprimaParser, 'captureErrorStack')
+  })
+
+  it('should return step from method of iterator called with value in environment of frame', () => {
+    const result = esprimaParser.resumeCallFrame(frame, 'next', 'resumed')
+
+    expect(
+      esprimaParser.setEnvironment
+        .calledWithExactly(esprimaParser, 'environment')
+    ).to.be.true
+    expect(
+      frame.iterator.next
+        .calledWithExactly('resumed')
+    ).to.be.true
+    expect(
+      frame.iterator.next
+        .calledAfter(esprimaParser.setEnvironment)
+    ).to.be.true
+    expect(result).to.be.eql({value: 'value', done: false})
+  })
+
+  it('should set onHeapFrame true while resuming iterator and restore it after', () => {
+    esprimaParser.onHeapFrame = false
+    frame.iterator.next = () => {
+      expect(esprimaParser.onHeapFrame).to.be.true
+
+      return {value: 'value', done: false}
+    }
+    esprimaParser.resumeCallFrame(frame, 'next')
+
+    expect(esprimaParser.onHeapFrame).to.be.false
+  })
+
+  it('should save environment of frame after resumed', () => {
+    esprimaParser.resumeCallFrame(frame, 'next')
+
+    expect(frame.environment).to.be.equal('envResumed')
+  })
+
+  it('should not call getConstructResult given no newTarget of frame', () => {
+    frame.iterator.next.returns({value: 'value', done: true})
+
+    const result = esprimaParser.resumeCallFrame(frame, 'next')
+
+    expect(esprimaParser.getConstructResult.called).to.be.false
+    expect(result).to.be.eql({value: 'value', done: true})
+  })
+
+  it('should return result from getConstructResult called with returned value and isDerived given done with newTarget of frame', () => {
+    frame.functionAgentData = {classAgent: function () {}, isDerived: true}
+    frame.newTarget = frame.functionAgentData.classAgent
+    frame.iterator.next.returns({value: 'value', done: true})
+
+    const result = esprimaParser.resumeCallFrame(frame, 'next')
+
+    expect(
+      esprimaParser.getConstructResult
+        .calledWithExactly('value', true)
+    ).to.be.true
+    expect(result).to.be.eql({value: 'resultFromGetConstructResult', done: true})
+  })
+
+  it('should call captureErrorStack with error thrown and rethrow', () => {
+    const error = new Error()
+
+    frame.iterator.throw = sandbox.stub().throws(error)
+
+    expect(() => {
+      esprimaParser.resumeCallFrame(frame, 'throw', error)
+    }).to.throw(error)
+    expect(
+      esprimaParser.captureErrorStack
+        .calledWithExactly(error)
+    ).to.be.true
+    expect(frame.environment).to.be.equal('envResumed')
+    expect(esprimaParser.onHeapFrame).to.be.false
+  })
+})
@@ -0,0 +1,148 @@
+describe('resumeGenerator tests', () => {
+  const envGlobal = 'envGlobal'
+  const envGenerator = 'envGenerator'
+  const envResumed = 'envResumed'
+  let generator, generatorState, flowState, environments
+
+  beforeEach(() => {
+    generator = {}
+    flowState = esprimaParser.flowState
+    generatorState = {
+      name: 'name',
+      environment: envGenerator,
+      flowState: {},
+      async: 'async',
+      iterator: {
+        next: sandbox.spy(() => 'resultFromNext')
+      }
+    }
+    esprimaParser.generatorStates.set(generator, generatorState)
+    environments = [envGlobal, envResumed]
+    sandbox.stub(esprimaParser, 'getEnvironment', () => environments.shift())
+    sandbox.stub(esprimaParser, 'setEnvironment')
+    sandbox.stub(esprimaParser, 'runInCallFrame', (name, parse) => parse())
+    sandbox.stub(esprimaParser, 'resumeIterator', (iterator, method, value) => {
+      return iterator[method](value)
+    })
+  })
+
+  it('should throw TypeError given generator without state', () => {
+    expect(() => {
+      esprimaParser.resumeGenerator({}, 'next')
+    }).to.throw(TypeError, 'next method called on incompatible receiver [object Object]')
+  })
+
+  it('should return result from resumeIterator called with iterator, method and value in environment and flowState of generator', () => {
+    generatorState.iterator.next = sandbox.spy(() => {
+      expect(esprimaParser.flowState).to.be.equal(generatorState.flowState)
+
+      return 'resultFromNext'
+    })
+
+    const result = esprimaParser.resumeGenerator(generator, 'next', 'value')
+
+    expect(
+      esprimaParser.setEnvironment.firstCall
+        .calledWithExactly(esprimaParser, envGenerator)
+    ).to.be.true
+    expect(
+      esprimaParser.resumeIterator
+        .calledWithExactly(generatorState.iterator, 'next', 'value')
+    ).to.be.true
+    expect(result).to.be.equal('resultFromNext')
+  })
+
+  it('should set async of generatorState while resuming and restore it after', () => {
+    generatorState.iterator.next = sandbox.spy(() => {
+      expect(esprimaParser.async).to.be.equal('async')
+    })
+
+    esprimaParser.resumeGenerator(generator, 'next', 'value')
+
+    expect(generatorState.iterator.next.calledOnce).to.be.true
+    expect(esprimaParser.async).to.be.false
+  })
+
+  it('should set generatorState while resuming and restore it after', () => {
+    const currentGeneratorState = {}
+
+    esprimaParser.generatorState = currentGeneratorState
+    generatorState.iterator.next = sandbox.spy(() => {
+      expect(esprimaParser.generatorState).to.be.equal(generatorState)
+    })
+
+    esprimaParser.resumeGenerator(generator, 'next', 'value')
+
+    expect(generatorState.iterator.next.calledOnce).to.be.true
+    expect(esprimaParser.generatorState).to.be.equal(currentGeneratorState)
+  })
+
+  it('should set returnValue of generatorState to value given method return', () => {
+    generatorState.iterator.return = sandbox.spy()
+
+    esprimaParser.resumeGenerator(generator, 'return', 'value')
+
+    expect(generatorState.returnValue).to.be.equal('value')
+  })
+
+  it('should not set returnValue of generatorState given method other than return', () => {
+    esprimaParser.resumeGenerator(generator, 'next', 'value')
+
+    expect(generatorState).to.not.have.property('returnValue')
+  })
+
+  it('should set onHeapFrame false while resuming and restore it after', () => {
+    esprimaParser.onHeapFrame = true
+    generatorState.iterator.next = sandbox.spy(() => {
+      expect(esprimaParser.onHeapFrame).to.be.false
+    })
+
+    esprimaParser.resumeGenerator(generator, 'next', 'value')
+
+    expect(generatorState.iterator.next.calledOnce).to.be.true
+    expect(esprimaParser.onHeapFrame).to.be.true
+  })
+
+  it('should call method of iterator in call frame named by generatorState', () => {
+    esprimaParser.resumeGenerator(generator, 'next', 'value')
+
+    expect(esprimaParser.runInCallFrame.calledWith('name')).to.be.true
+  })
+
+  it('should save environment of generator and restore global environment and flowState', () => {
+    esprimaParser.resumeGenerator(generator, 'next', 'value')
+
+    expect(generatorState.environment).to.be.equal(envResumed)
+    expect(
+      esprimaParser.setEnvironment.lastCall
+        .calledWithExactly(esprimaParser, envGlobal)
+    ).to.be.true
+    expect(esprimaParser.flowState).to.be.equal(flowState)
+  })
+
+  it('should restore completionValue changed while resuming', () => {
+    esprimaParser.completionValue = 'completionValue'
+    generatorState.iterator.next = () => {
+      esprimaParser.completionValue = 'changed'
+    }
+
+    esprimaParser.resumeGenerator(generator, 'next', 'value')
+
+    expect(esprimaParser.completionValue).to.be.equal('completionValue')
+  })
+
+  it('should restore global environment and flowState given error thrown', () => {
+    const error = new Error()
+
+    generatorState.iterator.throw = sandbox.stub().throws(error)
+
+    expect(() => {
+      esprimaParser.resumeGenerator(generator, 'throw', error)
+    }).to.throw(error)
+    expect(
+      esprimaParser.setEnvironment.lastCall
+        .calledWithExactly(esprimaParser, envGlobal)
+    ).to.be.true
+    expect(esprimaParser.flowState).to.be.equal(flowState)
+  })
+})
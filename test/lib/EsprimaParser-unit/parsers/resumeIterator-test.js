@@ -0,0 +1,56 @@
+describe('resumeIterator tests', () => {
+  let iterator, request
+
+  beforeEach(() => {
+    request = new esprimaParser.CallRequest()
+    iterator = {
+      next: sandbox.stub().returns({value: 'value', done: false}),
+      throw: sandbox.stub().returns({value: 'value', done: false})
+    }
+    sandbox.stub(esprimaParser, 'runCallRequest')
+      .returns('resultFromRunCallFrames')
+  })
+
+  it('should return step from method of iterator called with value given no call request yielded', () => {
+    const result = esprimaParser.resumeIterator(iterator, 'next', 'resumed')
+
+    expect(iterator.next.calledWithExactly('resumed')).to.be.true
+    expect(esprimaParser.runCallRequest.called).to.be.false
+    expect(result).to.be.eql({value: 'value', done: false})
+  })
+
+  it('should return step given iterator done with call request as value', () => {
+    iterator.next.returns({value: request, done: true})
+
+    const result = esprimaParser.resumeIterator(iterator, 'next')
+
+    expect(esprimaParser.runCallRequest.called).to.be.false
+    expect(result).to.be.eql({value: request, done: true})
+  })
+
+  it('should resume iterator with result from runCallRequest called with each call request yielded', () => {
+    iterator.next.onFirstCall().returns({value: request, done: false})
+
+    const result = esprimaParser.resumeIterator(iterator, 'next', 'resumed')
+
+    expect(
+      esprimaParser.runCallRequest
+        .calledWithExactly(request)
+    ).to.be.true
+    expect(iterator.next.secondCall.calledWithExactly('resultFromRunCallFrames')).to.be.true
+    expect(result).to.be.eql({value: 'value', done: false})
+  })
+
+  it('should throw error from runCallRequest into iterator', () => {
+    const error = new Error()
+
+    iterator.next.onFirstCall().returns({value: request, done: false})
+    esprimaParser.runCallRequest.throws(error)
+
+    const result = esprimaParser.resumeIterator(iterator, 'next')
+
+    expect(iterator.throw.calledWithExactly(error)).to.be.true
+    expect(iterator.next.calledOnce).to.be.true
+    expect(result).to.be.eql({value: 'value', done: false})
+  })
+})
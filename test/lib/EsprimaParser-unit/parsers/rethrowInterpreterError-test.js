@@ -0,0 +1,18 @@
+describe('rethrowInterpreterError tests', () => {
+  it('should throw given InterpreterError', () => {
+    const InterpreterError = esprimaParser.InterpreterError
+    const error = new InterpreterError(new Error(), {scriptUrl: 'scriptUrl'})
+
+    expect(() => {
+      esprimaParser.rethrowInterpreterError(error)
+    }).to.throw(error)
+  })
+
+  it('should not throw given errors of page', () => {
+    expect(() => {
+      esprimaParser.rethrowInterpreterError(new Error())
+      esprimaParser.rethrowInterpreterError('error')
+      esprimaParser.rethrowInterpreterError(undefined)
+    }).to.not.throw()
+  })
+})
@@ -0,0 +1,175 @@
+describe('runCallFrames tests', () => {
+  const request = {name: 'request'}
+  const calleeRequest = {name: 'calleeRequest'}
+  let frame, calleeFrame
+
+  beforeEach(() => {
+    frame = {name: 'frame'}
+    calleeFrame = {name: 'calleeFrame'}
+
+    sandbox.stub(esprimaParser, 'getEnvironment')
+      .withArgs(esprimaParser).returns('envGlobal')
+    sandbox.stub(esprimaParser, 'setEnvironment')
+    sandbox.stub(esprimaParser, 'enterCallFrame')
+      .withArgs(request).returns(frame)
+      .withArgs(calleeRequest).returns(calleeFrame)
+    sandbox.stub(esprimaParser, 'resumeCallFrame')
+      .returns({value: 'resultOfFrame', done: true})
+    sandbox.stub(esprimaParser, 'leaveCallFrame')
+  })
+
+  it('should return value returned by frame entered with request', () => {
+    const result = esprimaParser.runCallFrames(request)
+
+    expect(
+      esprimaParser.enterCallFrame
+        .calledWithExactly(request)
+    ).to.be.true
+    expect(
+      esprimaParser.resumeCallFrame
+        .calledWithExactly(frame, 'next', undefined)
+    ).to.be.true
+    expect(result).to.be.equal('resultOfFrame')
+  })
+
+  it('should call leaveCallFrame with frame after frame returns', () => {
+    esprimaParser.runCallFrames(request)
+
+    expect(
+      esprimaParser.leaveCallFrame
+        .calledWithExactly(frame)
+    ).to.be.true
+  })
+
+  it('should run frame of request yielded by frame and resume frame with its result', () => {
+    esprimaParser.resumeCallFrame
+      .withArgs(frame, 'next', undefined).returns({value: calleeRequest, done: false})
+      .withArgs(calleeFrame, 'next', undefined).returns({value: 'resultOfCallee', done: true})
+      .withArgs(frame, 'next', 'resultOfCallee').returns({value: 'resultOfCaller', done: true})
+
+    const result = esprimaParser.runCallFrames(request)
+
+    expect(
+      esprimaParser.enterCallFrame
+        .calledWithExactly(calleeRequest)
+    ).to.be.true
+    expect(esprimaParser.leaveCallFrame.firstCall.calledWithExactly(calleeFrame)).to.be.true
+    expect(esprimaParser.leaveCallFrame.secondCall.calledWithExactly(frame)).to.be.true
+    expect(esprimaParser.resumeCallFrame.calledThrice).to.be.true
+    expect(result).to.be.equal('resultOfCaller')
+  })
+
+  it('should call native function of native call request yielded by frame and resume frame with its result', () => {
+    const nativeCallRequest = new esprimaParser.NativeCallRequest('calledMethod', 'exp')
+
+    sandbox.stub(esprimaParser, 'callMethod')
+      .withArgs('calledMethod', 'exp').returns('resultFromCallMethod')
+    esprimaParser.resumeCallFrame
+      .withArgs(frame, 'next', undefined).returns({value: nativeCallRequest, done: false})
+      .withArgs(frame, 'next', 'resultFromCallMethod').returns({value: 'resultOfCaller', done: true})
+
+    const result = esprimaParser.runCallFrames(request)
+
+    expect(esprimaParser.enterCallFrame.calledOnce).to.be.true
+    expect(esprimaParser.leaveCallFrame.calledOnce).to.be.true
+    expect(result).to.be.equal('resultOfCaller')
+  })
+
+  it('should throw error thrown by native function of native call request into frame', () => {
+    const nativeCallRequest = new esprimaParser.NativeCallRequest('calledMethod', 'exp')
+    const error = new Error()
+
+    sandbox.stub(esprimaParser, 'callMethod').throws(error)
+    esprimaParser.resumeCallFrame
+      .withArgs(frame, 'next', undefined).returns({value: nativeCallRequest, done: false})
+      .withArgs(frame, 'throw', error).returns({value: 'resultOfCaller', done: true})
+
+    const result = esprimaParser.runCallFrames(request)
+
+    expect(esprimaParser.leaveCallFrame.calledOnce).to.be.true
+    expect(result).to.be.equal('resultOfCaller')
+  })
+
+  it('should throw error thrown by callee frame into caller frame', () => {
+    const error = new Error()
+
+    esprimaParser.resumeCallFrame
+      .withArgs(frame, 'next', undefined).returns({value: calleeRequest, done: false})
+      .withArgs(calleeFrame, 'next', undefined).throws(error)
+      .withArgs(frame, 'throw', error).returns({value: 'resultOfCaller', done: true})
+
+    const result = esprimaParser.runCallFrames(request)
+
+    expect(esprimaParser.leaveCallFrame.firstCall.calledWithExactly(calleeFrame)).to.be.true
+    expect(result).to.be.equal('resultOfCaller')
+  })
+
+  it('should throw error thrown by entering callee frame into caller frame', () => {
+    const error = new RangeError()
+
+    esprimaParser.enterCallFrame.withArgs(calleeRequest).throws(error)
+    esprimaParser.resumeCallFrame
+      .withArgs(frame, 'next', undefined).returns({value: calleeRequest, done: false})
+      .withArgs(frame, 'throw', error).returns({value: 'resultOfCaller', done: true})
+
+    const result = esprimaParser.runCallFrames(request)
+
+    expect(esprimaParser.leaveCallFrame.calledOnce).to.be.true
+    expect(result).to.be.equal('resultOfCaller')
+  })
+
+  it('should call leaveCallFrame and rethrow error thrown by the first frame', () => {
+    const error = new Error()
+
+    esprimaParser.resumeCallFrame.throws(error)
+
+    expect(() => {
+      esprimaParser.runCallFrames(request)
+    }).to.throw(error)
+    expect(
+      esprimaParser.leaveCallFrame
+        .calledWithExactly(frame)
+    ).to.be.true
+  })
+
+  it('should rethrow error thrown by entering the first frame', () => {
+    const error = new Error()
+
+    esprimaParser.enterCallFrame.withArgs(request).throws(error)
+
+    expect(() => {
+      esprimaParser.runCallFrames(request)
+    }).to.throw(error)
+    expect(esprimaParser.resumeCallFrame.called).to.be.false
+  })
+
+  it('should restore global environment and completionValue', () => {
+    esprimaParser.completionValue = 'completionValue'
+    esprimaParser.resumeCallFrame.restore()
+    sandbox.stub(esprimaParser, 'resumeCallFrame', () => {
+      esprimaParser.completionValue = 'changed'
+
+      return {value: 'resultOfFrame', done: true}
+    })
+
+    esprimaParser.runCallFrames(request)
+
+    expect(
+      esprimaParser.setEnvironment.lastCall
+        .calledWithExactly(esprimaParser, 'envGlobal')
+    ).to.be.true
+    expect(esprimaParser.completionValue).to.be.equal('completionValue')
+  })
+
+  it('should restore global environment given error thrown', () => {
+    esprimaParser.resumeCallFrame.throws(new Error())
+
+    expect(() => {
+      esprimaParser.runCallFrames(request)
+    }).to.throw(Error)
+    expect(
+      esprimaParser.setEnvironment.lastCall
+        .calledWithExactly(esprimaParser, 'envGlobal')
+    ).to.be.true
+  })
+})
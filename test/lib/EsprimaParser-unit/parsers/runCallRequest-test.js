@@ -0,0 +1,41 @@
+describe('runCallRequest tests', () => {
+  const request = {
+    functionAgentData: {},
+    builtInArguments: {},
+    calledArguments: []
+  }
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'maxNativeCallDepth', 2)
+    sandbox.stub(esprimaParser, 'parseFunctionAgentData')
+      .returns('resultFromParseFunctionAgentData')
+    sandbox.stub(esprimaParser, 'runCallFrames')
+      .returns('resultFromRunCallFrames')
+  })
+
+  it('should return result from parseFunctionAgentData called with request given nativeCallDepth less than maxNativeCallDepth', () => {
+    esprimaParser.nativeCallDepth = 1
+
+    const result = esprimaParser.runCallRequest(request)
+
+    expect(
+      esprimaParser.parseFunctionAgentData
+        .calledWithExactly(request.functionAgentData, request.builtInArguments, request.calledArguments)
+    ).to.be.true
+    expect(esprimaParser.runCallFrames.called).to.be.false
+    expect(result).to.be.equal('resultFromParseFunctionAgentData')
+  })
+
+  it('should return result from runCallFrames called with request given nativeCallDepth reaches maxNativeCallDepth', () => {
+    esprimaParser.nativeCallDepth = 2
+
+    const result = esprimaParser.runCallRequest(request)
+
+    expect(
+      esprimaParser.runCallFrames
+        .calledWithExactly(request)
+    ).to.be.true
+    expect(esprimaParser.parseFunctionAgentData.called).to.be.false
+    expect(result).to.be.equal('resultFromRunCallFrames')
+  })
+})
@@ -0,0 +1,60 @@
+describe('runInCallFrame tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'callStack', {
+      pop: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'pushCallFrame')
+    sandbox.stub(esprimaParser, 'captureErrorStack')
+  })
+
+  it('should call parse between pushCallFrame with name and callStack.pop', () => {
+    const parse = sandbox.spy()
+
+    esprimaParser.runInCallFrame('name', parse)
+
+    expect(
+      esprimaParser.pushCallFrame
+        .calledWithExactly('name')
+    ).to.be.true
+    expect(parse.calledAfter(esprimaParser.pushCallFrame)).to.be.true
+    expect(esprimaParser.callStack.pop.calledAfter(parse)).to.be.true
+  })
+
+  it('should not call parse given pushCallFrame throws error', () => {
+    const error = new RangeError()
+    const parse = sandbox.spy()
+
+    esprimaParser.pushCallFrame.throws(error)
+
+    expect(() => {
+      esprimaParser.runInCallFrame('name', parse)
+    }).to.throw(error)
+    expect(parse.called).to.be.false
+    expect(esprimaParser.callStack.pop.called).to.be.false
+  })
+
+  it('should return result from parse', () => {
+    const result = esprimaParser.runInCallFrame('name', () => 'resultFromParse')
+
+    expect(result).to.be.equal('resultFromParse')
+  })
+
+  it('should call captureErrorStack with error thrown before callStack.pop and rethrow', () => {
+    const error = new Error()
+
+    expect(() => {
+      esprimaParser.runInCallFrame('name', () => {
+        throw error
+      })
+    }).to.throw(error)
+    expect(
+      esprimaParser.captureErrorStack
+        .calledWithExactly(error)
+    ).to.be.true
+    expect(
+      esprimaParser.captureErrorStack
+        .calledBefore(esprimaParser.callStack.pop)
+    ).to.be.true
+    expect(esprimaParser.callStack.pop.calledOnce).to.be.true
+  })
+})
@@ -0,0 +1,49 @@
+describe('runInEnvironment tests', () => {
+  const envGlobal = {scriptUrl: 'scriptUrl', closureStack: {}}
+  const environment = {scriptUrl: 'moduleUrl', closureStack: {}}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'getEnvironment')
+      .withArgs(esprimaParser).returns(envGlobal)
+    sandbox.spy(esprimaParser, 'setEnvironment')
+  })
+
+  it('should call parse in given environment', () => {
+    const parse = sandbox.spy(() => {
+      expect(esprimaParser.scriptUrl).to.be.equal('moduleUrl')
+      expect(esprimaParser.closureStack).to.be.equal(environment.closureStack)
+    })
+    esprimaParser.runInEnvironment(environment, parse)
+
+    expect(parse.calledOnce).to.be.true
+  })
+
+  it('should return result from parse', () => {
+    const result = esprimaParser.runInEnvironment(environment, () => 'result')
+
+    expect(result).to.be.equal('result')
+  })
+
+  it('should restore global environment after parse', () => {
+    esprimaParser.runInEnvironment(environment, () => {})
+
+    expect(
+      esprimaParser.setEnvironment
+        .secondCall.calledWithExactly(esprimaParser, envGlobal)
+    ).to.be.true
+  })
+
+  it('should restore global environment given error thrown by parse', () => {
+    const error = new Error()
+
+    expect(() => {
+      esprimaParser.runInEnvironment(environment, () => {
+        throw error
+      })
+    }).to.throw(error)
+    expect(
+      esprimaParser.setEnvironment
+        .secondCall.calledWithExactly(esprimaParser, envGlobal)
+    ).to.be.true
+  })
+})
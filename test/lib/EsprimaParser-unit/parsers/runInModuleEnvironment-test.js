@@ -0,0 +1,22 @@
+describe('runInModuleEnvironment tests', () => {
+  const record = {
+    environment: {}
+  }
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'runInEnvironment')
+      .returns('resultFromRunInEnvironment')
+  })
+
+  it('should return result from runInEnvironment called with environment of record and parse', () => {
+    const parse = () => {}
+
+    const result = esprimaParser.runInModuleEnvironment(record, parse)
+
+    expect(
+      esprimaParser.runInEnvironment
+        .calledWithExactly(record.environment, parse)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromRunInEnvironment')
+  })
+})
@@ -0,0 +1,30 @@
+describe('runInternal tests', () => {
+  const node = {}
+  const interpreterError = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'createInterpreterError')
+      .returns(interpreterError)
+  })
+
+  it('should return result from run', () => {
+    const result = esprimaParser.runInternal(node, 'loc', () => 'resultFromRun')
+
+    expect(result).to.be.equal('resultFromRun')
+    expect(esprimaParser.createInterpreterError.called).to.be.false
+  })
+
+  it('should throw result from createInterpreterError called with error thrown by run, node and loc', () => {
+    const error = new Error()
+
+    expect(() => {
+      esprimaParser.runInternal(node, 'loc', () => {
+        throw error
+      })
+    }).to.throw(interpreterError)
+    expect(
+      esprimaParser.createInterpreterError
+        .calledWithExactly(error, node, 'loc')
+    ).to.be.true
+  })
+})
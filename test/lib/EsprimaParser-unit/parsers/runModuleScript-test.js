@@ -0,0 +1,17 @@
+describe('runModuleScript tests', () => {
+  const url = 'http://example.com/index.html'
+  const record = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser.moduleLoader, 'loadInlineModule')
+      .withArgs(url, 'sourceText').returns(Promise.resolve(record))
+    sandbox.stub(esprimaParser, 'instantiateModule')
+      .withArgs(record).returns('resultFromInstantiateModule')
+  })
+
+  it('should resolve with result from instantiateModule called with record loaded from sourceText', () => {
+    return esprimaParser.runModuleScript('sourceText', url).then((result) => {
+      expect(result).to.be.equal('resultFromInstantiateModule')
+    })
+  })
+})
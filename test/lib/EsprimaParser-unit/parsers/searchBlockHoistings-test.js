@@ -0,0 +1,64 @@
+describe('searchBlockHoistings tests', () => {
+  let statements
+
+  beforeEach(() => {
+    statements = [
+      createAstNode('VariableDeclaration', {kind: 'let'}),
+      createAstNode('Statement'),
+      createAstNode('VariableDeclaration', {kind: 'const'}),
+      createAstNode('ClassDeclaration', {id: createAstNode('Identifier')}),
+      createAstNode('ExportDefaultDeclaration')
+    ]
+    sandbox.stub(esprimaParser, 'isLexicalDeclaration')
+      .withArgs(statements[0]).returns(true)
+      .withArgs(statements[1]).returns(false)
+      .withArgs(statements[2]).returns(true)
+      .withArgs(statements[3]).returns(false)
+      .withArgs(statements[4]).returns(false)
+    sandbox.stub(esprimaParser, 'isClassDeclaration')
+      .withArgs(statements[1]).returns(false)
+      .withArgs(statements[3]).returns(true)
+      .withArgs(statements[4]).returns(false)
+    sandbox.stub(esprimaParser, 'isDefaultValueExport')
+      .withArgs(statements[1]).returns(false)
+      .withArgs(statements[4]).returns(true)
+    sandbox.stub(esprimaParser, 'getNameFromPattern')
+      .withArgs(statements[3].id).returns('d')
+    sandbox.stub(esprimaParser, 'getNameFromVariableDeclaration')
+      .withArgs(statements[0]).returns(['a', 'b'])
+      .withArgs(statements[2]).returns(['c'])
+  })
+
+  it('should call isLexicalDeclaration with each statement', () => {
+    esprimaParser.searchBlockHoistings(statements)
+
+    for (const statement of statements) {
+      expect(
+        esprimaParser.isLexicalDeclaration
+          .calledWithExactly(statement)
+      ).to.be.true
+    }
+  })
+
+  it('should call getNameFromVariableDeclaration with lexical declarations only', () => {
+    esprimaParser.searchBlockHoistings(statements)
+
+    expect(esprimaParser.getNameFromVariableDeclaration.calledTwice).to.be.true
+    expect(
+      esprimaParser.getNameFromVariableDeclaration
+        .calledWithExactly(statements[1])
+    ).to.be.false
+  })
+
+  it('should return variables and kinds of lexical declarations', () => {
+    const result = esprimaParser.searchBlockHoistings(statements)
+
+    expect(result).to.be.eql([
+      {variable: 'a', kind: 'let'},
+      {variable: 'b', kind: 'let'},
+      {variable: 'c', kind: 'const'},
+      {variable: 'd', kind: 'let'},
+      {variable: '*default*', kind: 'const'}
+    ])
+  })
+})
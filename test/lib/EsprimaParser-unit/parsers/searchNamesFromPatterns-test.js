@@ -0,0 +1,26 @@
+describe('searchNamesFromPatterns tests', () => {
+  it('should call getNamesFromPattern with each pattern and return concatenated names', () => {
+    const patterns = [
+      createAstNode('Pattern1'),
+      null,
+      createAstNode('Pattern2')
+    ]
+
+    sandbox.stub(esprimaParser, 'getNamesFromPattern')
+      .onCall(0).returns(['a', 'b'])
+      .onCall(1).returns(['c'])
+
+    const result = esprimaParser.searchNamesFromPatterns(patterns)
+
+    expect(esprimaParser.getNamesFromPattern.calledTwice).to.be.true
+    expect(
+      esprimaParser.getNamesFromPattern
+        .calledWithExactly(patterns[0])
+    ).to.be.true
+    expect(
+      esprimaParser.getNamesFromPattern
+        .calledWithExactly(patterns[2])
+    ).to.be.true
+    expect(result).to.be.eql(['a', 'b', 'c'])
+  })
+})
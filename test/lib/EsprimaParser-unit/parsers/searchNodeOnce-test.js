@@ -0,0 +1,34 @@
+describe('searchNodeOnce tests', () => {
+  let results, search
+
+  beforeEach(() => {
+    results = new WeakMap()
+    search = sandbox.stub().returns('resultFromSearch')
+  })
+
+  it('should return false given node is not an ast node', () => {
+    expect(esprimaParser.searchNodeOnce(null, results, search)).to.be.false
+    expect(esprimaParser.searchNodeOnce('string', results, search)).to.be.false
+    expect(esprimaParser.searchNodeOnce({}, results, search)).to.be.false
+    expect(search.called).to.be.false
+  })
+
+  it('should return result from search and keep it in results', () => {
+    const node = createAstNode('Expression')
+
+    const result = esprimaParser.searchNodeOnce(node, results, search)
+
+    expect(result).to.be.equal('resultFromSearch')
+    expect(results.get(node)).to.be.equal('resultFromSearch')
+  })
+
+  it('should call search only once for each node', () => {
+    const node = createAstNode('Expression')
+
+    esprimaParser.searchNodeOnce(node, results, search)
+    const result = esprimaParser.searchNodeOnce(node, results, search)
+
+    expect(search.calledOnce).to.be.true
+    expect(result).to.be.equal('resultFromSearch')
+  })
+})
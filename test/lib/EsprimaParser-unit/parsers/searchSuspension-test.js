@@ -0,0 +1,63 @@
+describe('searchSuspension tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'searchYield')
+      .returns(false)
+    sandbox.stub(esprimaParser, 'isSuspendable')
+      .returns('resultFromIsSuspendable')
+  })
+
+  it('should return true given CallExpression', () => {
+    const node = createAstNode('CallExpression')
+
+    expect(esprimaParser.searchSuspension(node)).to.be.true
+    expect(esprimaParser.searchYield.called).to.be.false
+  })
+
+  it('should return true given NewExpression', () => {
+    const node = createAstNode('NewExpression')
+
+    expect(esprimaParser.searchSuspension(node)).to.be.true
+    expect(esprimaParser.searchYield.called).to.be.false
+  })
+
+  it('should return true given member access on heap frame', () => {
+    const node = createAstNode('MemberExpression')
+
+    sandbox.stub(esprimaParser, 'isMemberAccess')
+      .withArgs(node).returns(true)
+    esprimaParser.onHeapFrame = true
+
+    expect(esprimaParser.searchSuspension(node)).to.be.true
+    expect(esprimaParser.searchYield.called).to.be.false
+  })
+
+  it('should not call isMemberAccess given not on heap frame', () => {
+    const node = createAstNode('MemberExpression')
+
+    sandbox.stub(esprimaParser, 'isMemberAccess').returns(true)
+    esprimaParser.onHeapFrame = false
+
+    expect(esprimaParser.searchSuspension(node)).to.be.false
+    expect(esprimaParser.isMemberAccess.called).to.be.false
+  })
+
+  it('should return result from searchYield called with node and isSuspendable of child given other nodes', () => {
+    const node = createAstNode('Expression')
+    const child = createAstNode('Child')
+
+    esprimaParser.searchYield.returns('resultFromSearchYield')
+
+    const result = esprimaParser.searchSuspension(node)
+
+    expect(
+      esprimaParser.searchYield
+        .calledWith(node)
+    ).to.be.true
+    expect(esprimaParser.searchYield.lastCall.args[1](child)).to.be.equal('resultFromIsSuspendable')
+    expect(
+      esprimaParser.isSuspendable
+        .calledWithExactly(child)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromSearchYield')
+  })
+})
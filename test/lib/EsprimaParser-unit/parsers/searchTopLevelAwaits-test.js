@@ -0,0 +1,35 @@
+describe('searchTopLevelAwaits tests', () => {
+  let statements, awaitExpression
+
+  beforeEach(() => {
+    statements = [
+      createAstNode('ExpressionStatement'),
+      createAstNode('VariableDeclaration'),
+      createAstNode('ClassDeclaration')
+    ]
+    awaitExpression = createAstNode('AwaitExpression')
+
+    sandbox.stub(esprimaParser, 'findTopLevelAwait')
+      .withArgs(statements[1]).returns(awaitExpression)
+      .withArgs(statements[2]).returns(awaitExpression)
+    sandbox.stub(esprimaParser, 'getUnsupportedNode').returns(null)
+  })
+
+  it('should set await found in statement to unsupportedNodes', () => {
+    esprimaParser.searchTopLevelAwaits(statements)
+
+    expect(esprimaParser.unsupportedNodes.has(statements[0])).to.be.false
+    expect(esprimaParser.unsupportedNodes.get(statements[1])).to.be.equal(awaitExpression)
+  })
+
+  it('should keep unsupported node found in statement before await', () => {
+    const staticBlock = createAstNode('StaticBlock')
+
+    esprimaParser.getUnsupportedNode
+      .withArgs(statements[2]).returns(staticBlock)
+
+    esprimaParser.searchTopLevelAwaits(statements)
+
+    expect(esprimaParser.unsupportedNodes.has(statements[2])).to.be.false
+  })
+})
@@ -0,0 +1,47 @@
+describe('searchYield tests', () => {
+  const searchChild = (child) => !!child && child.type === 'YieldExpression'
+
+  it('should return true given YieldExpression or AwaitExpression', () => {
+    for (const type of ['YieldExpression', 'AwaitExpression']) {
+      const node = createAstNode(type)
+
+      expect(esprimaParser.searchYield(node, searchChild)).to.be.true
+    }
+  })
+
+  it('should return true given for await...of', () => {
+    const node = createAstNode('ForOfStatement', {await: true})
+
+    expect(esprimaParser.searchYield(node, searchChild)).to.be.true
+  })
+
+  it('should return false given functions', () => {
+    const types = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']
+
+    for (const type of types) {
+      const node = createAstNode(type, {
+        body: createAstNode('YieldExpression')
+      })
+
+      expect(esprimaParser.searchYield(node, searchChild)).to.be.false
+    }
+  })
+
+  it('should return true given searchChild returns true for any child node', () => {
+    const node = createAstNode('CallExpression', {
+      callee: createAstNode('Identifier'),
+      arguments: [createAstNode('Literal'), createAstNode('YieldExpression')]
+    })
+
+    expect(esprimaParser.searchYield(node, searchChild)).to.be.true
+  })
+
+  it('should return false given searchChild returns false for all child nodes', () => {
+    const node = createAstNode('CallExpression', {
+      callee: createAstNode('Identifier'),
+      arguments: [createAstNode('Literal'), null]
+    })
+
+    expect(esprimaParser.searchYield(node, searchChild)).to.be.false
+  })
+})
@@ -0,0 +1,26 @@
+describe('setBlockHoistings tests', () => {
+  const hoistings = [
+    {variable: 'var1', kind: 'let'},
+    {variable: 'var2', kind: 'const'},
+    {variable: 'var3', kind: 'let'}
+  ]
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'closureStack', {
+      declare: sandbox.spy()
+    })
+  })
+
+  it('should call closureStack.declare with each hoisting variable and kind', () => {
+    esprimaParser.setBlockHoistings(hoistings)
+
+    expect(esprimaParser.closureStack.declare.calledThrice).to.be.true
+
+    for (const [index, {variable, kind}] of hoistings.entries()) {
+      expect(
+        esprimaParser.closureStack.declare.getCall(index)
+          .calledWithExactly(variable, kind)
+      ).to.be.true
+    }
+  })
+})
@@ -0,0 +1,60 @@
+describe('setBodyHoistings tests', () => {
+  const params = ['params']
+  const hoistings = ['a', 'x']
+  const scope = {type: 'FunctionExpression'}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'searchNamesFromPatterns')
+      .returns(['a', 'b'])
+    sandbox.stub(esprimaParser, 'closureStack', {
+      get: sandbox.stub().returns('valueOfParam'),
+      createClosure: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'setVariables')
+  })
+
+  it('should call closureStack.createClosure with scope', () => {
+    esprimaParser.setBodyHoistings(params, hoistings, scope)
+
+    expect(esprimaParser.closureStack.createClosure.calledOnce).to.be.true
+    expect(
+      esprimaParser.closureStack.createClosure
+        .calledWithExactly(scope)
+    ).to.be.true
+  })
+
+  it('should set hoistings named as params to values of params got before createClosure', () => {
+    esprimaParser.setBodyHoistings(params, hoistings, scope)
+
+    expect(
+      esprimaParser.searchNamesFromPatterns
+        .calledWithExactly(params)
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.get
+        .calledWithExactly('a')
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.get
+        .calledBefore(esprimaParser.closureStack.createClosure)
+    ).to.be.true
+    expect(
+      esprimaParser.setVariables
+        .calledWithExactly('a', 'valueOfParam')
+    ).to.be.true
+    expect(
+      esprimaParser.setVariables
+        .calledAfter(esprimaParser.closureStack.createClosure)
+    ).to.be.true
+  })
+
+  it('should set other hoistings to undefined', () => {
+    esprimaParser.setBodyHoistings(params, hoistings, scope)
+
+    expect(esprimaParser.closureStack.get.calledOnce).to.be.true
+    expect(
+      esprimaParser.setVariables
+        .calledWithExactly('x', undefined)
+    ).to.be.true
+  })
+})
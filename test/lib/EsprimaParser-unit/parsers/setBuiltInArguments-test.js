@@ -1,45 +1,44 @@
 describe('setBuiltInArguments tests', () => {
   const builtInArguments = {
-    arguments: {}
+    this: {},
+    arguments: {},
+    newTarget: function () {}
   }
 
+  let closure
+
   beforeEach(() => {
-    sandbox.stub(esprimaParser, 'setVariables')
-  })
+    closure = {set: sandbox.spy()}
 
-  afterEach(() => {
-    delete builtInArguments.this
+    sandbox.stub(esprimaParser.closureStack, 'getLatestClosure').returns(closure)
+    sandbox.stub(esprimaParser, 'getThisValue')
+      .withArgs(builtInArguments.this).returns('resultFromGetThisValue')
   })
 
-  it('should call setVariables with \'this\' and esprimaParser.context given undefined builtInArguments.this', () => {
-    builtInArguments.this = undefined
-    sandbox.stub(esprimaParser, 'context', {})
-
+  it('should call set of latest closure with \'this\' and result from getThisValue called with builtInArguments.this', () => {
     esprimaParser.setBuiltInArguments(builtInArguments)
 
     expect(
-      esprimaParser.setVariables
-        .calledWithExactly('this', esprimaParser.context)
+      closure.set
+        .calledWithExactly('this', 'resultFromGetThisValue')
     ).to.be.true
   })
 
-  it('should call setVariables with \'this\' and builtInArguments.this', () => {
-    builtInArguments.this = {}
-
+  it('should call set of latest closure with \'arguments\' and builtInArguments.arguments', () => {
     esprimaParser.setBuiltInArguments(builtInArguments)
 
     expect(
-      esprimaParser.setVariables
-        .calledWithExactly('this', builtInArguments.this)
+      closure.set
+        .calledWithExactly('arguments', builtInArguments.arguments)
     ).to.be.true
   })
 
-  it('should call setVariables with \'arguments\' and builtInArguments.arguments', () => {
+  it('should call set of latest closure with \'new.target\' and builtInArguments.newTarget', () => {
     esprimaParser.setBuiltInArguments(builtInArguments)
 
     expect(
-      esprimaParser.setVariables
-        .calledWithExactly('arguments', builtInArguments.arguments)
+      closure.set
+        .calledWithExactly('new.target', builtInArguments.newTarget)
     ).to.be.true
   })
 })
@@ -3,17 +3,44 @@ describe('setCalledArguments tests', () => {
   const values = ['arg1', 'arg2', 'arg3']
 
   beforeEach(() => {
-    sandbox.stub(esprimaParser, 'setVariables')
+    sandbox.stub(esprimaParser, 'setPatternVariables')
   })
 
-  it('should call setVariables with each param and values', () => {
+  it('should call setPatternVariables with each param, values and \'var\'', () => {
     esprimaParser.setCalledArguments(params, values)
 
     for (const index of params.keys()) {
       expect(
-        esprimaParser.setVariables.getCall(index)
-          .calledWithExactly(params[index], values[index])
+        esprimaParser.setPatternVariables.getCall(index)
+          .calledWithExactly(params[index], values[index], 'var')
       ).to.be.true
     }
   })
+
+  it('should call setVariables with name of each identifier param and values', () => {
+    const identifierParams = ['a', 'b'].map((name) => createAstNode('Identifier', {name}))
+
+    sandbox.stub(esprimaParser, 'setVariables')
+
+    esprimaParser.setCalledArguments(identifierParams, values)
+
+    expect(esprimaParser.setVariables.firstCall.calledWithExactly('a', 'arg1')).to.be.true
+    expect(esprimaParser.setVariables.secondCall.calledWithExactly('b', 'arg2')).to.be.true
+    expect(esprimaParser.setPatternVariables.called).to.be.false
+  })
+
+  it('should call setPatternVariables with argument of rest param and remaining values', () => {
+    const restParams = [
+      'param1',
+      createAstNode('RestElement', {
+        argument: createAstNode('Identifier')
+      })
+    ]
+    esprimaParser.setCalledArguments(restParams, values)
+
+    expect(
+      esprimaParser.setPatternVariables.getCall(1)
+        .calledWithExactly(restParams[1].argument, ['arg2', 'arg3'], 'var')
+    ).to.be.true
+  })
 })
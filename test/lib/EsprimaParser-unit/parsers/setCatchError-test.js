@@ -5,26 +5,21 @@ describe('setCatchError tests', () => {
   beforeEach(() => {
     param = createAstNode('Pattern')
 
-    sandbox.stub(esprimaParser, 'getNameFromPattern')
-      .returns('resultFromGetNameFromPattern')
-    sandbox.stub(esprimaParser, 'setVariables')
+    sandbox.stub(esprimaParser, 'setPatternVariables')
   })
 
-  it('should call getNameFromPattern with param', () => {
+  it('should call setPatternVariables with param, error and \'let\'', () => {
     esprimaParser.setCatchError(param, error)
 
     expect(
-      esprimaParser.getNameFromPattern
-        .calledWithExactly(param)
+      esprimaParser.setPatternVariables
+        .calledWithExactly(param, error, 'let')
     ).to.be.true
   })
 
-  it('should call setVariables with result from getNameFromPattern and error', () => {
-    esprimaParser.setCatchError(param, error)
+  it('should not call setPatternVariables given param null', () => {
+    esprimaParser.setCatchError(null, error)
 
-    expect(
-      esprimaParser.setVariables
-        .calledWithExactly('resultFromGetNameFromPattern', error)
-    ).to.be.true
+    expect(esprimaParser.setPatternVariables.called).to.be.false
   })
 })
@@ -1,7 +1,7 @@
 describe('setCheckFlag tests', () => {
   const exp = {
     callee: {callee: 'callee'},
-    info: {info: 'info'}
+    info: {loc: 'loc'}
   }
   it('should return false given checkFlag is true', () => {
     exp.caller = {caller: 'caller'}
@@ -49,6 +49,31 @@ describe('setCheckFlag tests', () => {
       ).to.be.true
     })
 
+    it('should call dispatch and tryToSetCheckFlag in runInternal with null node and loc of exp.info', () => {
+      sandbox.stub(esprimaParser, 'runInternal')
+        .returns('resultFromRunInternal')
+
+      const result = esprimaParser.setCheckFlag(exp)
+
+      expect(
+        esprimaParser.runInternal
+          .calledWith(null, 'loc')
+      ).to.be.true
+      expect(esprimaParser.checkerDispatcher.dispatch.called).to.be.false
+      expect(result).to.be.equal('resultFromRunInternal')
+    })
+
+    it('should call runInternal with undefined loc given exp without info', () => {
+      sandbox.stub(esprimaParser, 'runInternal')
+
+      esprimaParser.setCheckFlag({caller: exp.caller, callee: exp.callee})
+
+      expect(
+        esprimaParser.runInternal
+          .calledWith(null, undefined)
+      ).to.be.true
+    })
+
     it('should call tryToSetCheckFlag with exp and status (from dispatch) and return', () => {
       const result = esprimaParser.setCheckFlag(exp)
 
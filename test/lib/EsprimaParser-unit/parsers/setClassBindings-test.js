@@ -0,0 +1,46 @@
+describe('setClassBindings tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'setVariables')
+    sandbox.stub(esprimaParser, 'closureStack', {
+      declare: sandbox.spy()
+    })
+  })
+
+  it('should not set anything given plain function', () => {
+    esprimaParser.setClassBindings({})
+
+    expect(esprimaParser.setVariables.called).to.be.false
+    expect(esprimaParser.closureStack.declare.called).to.be.false
+  })
+
+  it('should call setVariables with \'super\' and homeObject', () => {
+    const homeObject = {}
+
+    esprimaParser.setClassBindings({homeObject})
+
+    expect(
+      esprimaParser.setVariables
+        .calledWithExactly('super', homeObject)
+    ).to.be.true
+  })
+
+  it('should call setVariables with \'class\' and classAgent', () => {
+    const classAgent = function () {}
+
+    esprimaParser.setClassBindings({classAgent})
+
+    expect(
+      esprimaParser.setVariables
+        .calledWithExactly('class', classAgent)
+    ).to.be.true
+  })
+
+  it('should call declare of closureStack with \'this\' given isDerived', () => {
+    esprimaParser.setClassBindings({isDerived: true})
+
+    expect(
+      esprimaParser.closureStack.declare
+        .calledWithExactly('this')
+    ).to.be.true
+  })
+})
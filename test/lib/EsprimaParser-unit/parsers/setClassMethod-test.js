@@ -0,0 +1,47 @@
+describe('setClassMethod tests', () => {
+  const key = 'key'
+  const methodAgent = function () {}
+  let target, methodDefinition
+
+  beforeEach(() => {
+    target = {}
+    methodDefinition = createAstNode('MethodDefinition', {
+      key: createAstNode('Expression'),
+      computed: 'Boolean',
+      value: createAstNode('FunctionExpression'),
+      kind: 'method'
+    })
+    sandbox.stub(esprimaParser, 'getPropertyKey').returns(key)
+    sandbox.stub(esprimaParser, 'createMethodAgent').returns(methodAgent)
+    sandbox.stub(esprimaParser, 'getMethodDescriptor')
+      .returns({value: methodAgent, configurable: true})
+  })
+
+  it('should call getPropertyKey with key and computed', () => {
+    esprimaParser.setClassMethod(target, methodDefinition)
+
+    expect(
+      esprimaParser.getPropertyKey
+        .calledWithExactly(methodDefinition.key, methodDefinition.computed)
+    ).to.be.true
+  })
+
+  it('should call createMethodAgent with methodDefinition, target and key', () => {
+    esprimaParser.setClassMethod(target, methodDefinition)
+
+    expect(
+      esprimaParser.createMethodAgent
+        .calledWithExactly(methodDefinition, target, key)
+    ).to.be.true
+  })
+
+  it('should define property of key with result from getMethodDescriptor called with kind and methodAgent', () => {
+    esprimaParser.setClassMethod(target, methodDefinition)
+
+    expect(
+      esprimaParser.getMethodDescriptor
+        .calledWithExactly(methodDefinition.kind, methodAgent)
+    ).to.be.true
+    expect(target[key]).to.be.equal(methodAgent)
+  })
+})
@@ -0,0 +1,49 @@
+describe('setClassMethods tests', () => {
+  let classAgent, methodDefinitions
+
+  beforeEach(() => {
+    classAgent = function () {}
+    methodDefinitions = [
+      createAstNode('MethodDefinition', {kind: 'constructor', static: false}),
+      createAstNode('MethodDefinition', {kind: 'method', static: false}),
+      createAstNode('MethodDefinition', {kind: 'get', static: true}),
+      createAstNode('StaticBlock')
+    ]
+    sandbox.stub(esprimaParser, 'setClassMethod')
+    sandbox.stub(esprimaParser, 'abortUnsupportedNode')
+  })
+
+  it('should call setClassMethod with prototype of classAgent given non-static method', () => {
+    esprimaParser.setClassMethods(classAgent, methodDefinitions)
+
+    expect(
+      esprimaParser.setClassMethod
+        .calledWithExactly(classAgent.prototype, methodDefinitions[1])
+    ).to.be.true
+  })
+
+  it('should call setClassMethod with classAgent given static method', () => {
+    esprimaParser.setClassMethods(classAgent, methodDefinitions)
+
+    expect(
+      esprimaParser.setClassMethod
+        .calledWithExactly(classAgent, methodDefinitions[2])
+    ).to.be.true
+  })
+
+  it('should skip constructor', () => {
+    esprimaParser.setClassMethods(classAgent, methodDefinitions)
+
+    expect(esprimaParser.setClassMethod.calledTwice).to.be.true
+  })
+
+  it('should call abortUnsupportedNode with class elements other than methods', () => {
+    esprimaParser.setClassMethods(classAgent, methodDefinitions)
+
+    expect(
+      esprimaParser.abortUnsupportedNode
+        .calledWithExactly(methodDefinitions[3])
+    ).to.be.true
+    expect(esprimaParser.abortUnsupportedNode.calledOnce).to.be.true
+  })
+})
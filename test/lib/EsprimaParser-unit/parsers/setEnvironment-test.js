@@ -4,19 +4,25 @@ describe('setEnvironment tests', () => {
   beforeEach(() => {
     context = {
       scriptUrl: 'contextScriptUrl',
-      closureStack: 'contextClosureStack'
+      sourceText: 'contextSourceText',
+      closureStack: 'contextClosureStack',
+      strict: false
     }
   })
 
   it('should set context environment to given environment', () => {
     const environment = {
       scriptUrl: 'scriptUrl',
-      closureStack: 'closureStack'
+      sourceText: 'sourceText',
+      closureStack: 'closureStack',
+      strict: true
     }
 
     esprimaParser.setEnvironment(context, environment)
 
     expect(context.scriptUrl).to.be.equal(environment.scriptUrl)
+    expect(context.sourceText).to.be.equal(environment.sourceText)
     expect(context.closureStack).to.be.equal(environment.closureStack)
+    expect(context.strict).to.be.equal(environment.strict)
   })
 })
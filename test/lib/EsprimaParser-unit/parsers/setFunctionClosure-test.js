@@ -0,0 +1,172 @@
+describe('setFunctionClosure tests', () => {
+  const functionAgentData = {
+    scope: {type: 'FunctionExpression'},
+    body: 'body',
+    params: ['param1', 'param2', 'param3'],
+    hoistings: ['var1', 'var2', 'var3']
+  }
+  const builtInArguments = {
+    this: {},
+    arguments: {}
+  }
+  const calledArguments = ['arg1', 'arg2', 'arg3']
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'closureStack', {
+      createClosure: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'setHoistings')
+    sandbox.stub(esprimaParser, 'setBuiltInArguments')
+    sandbox.stub(esprimaParser, 'setClassBindings')
+    sandbox.stub(esprimaParser, 'setCalledArguments')
+    sandbox.stub(esprimaParser, 'isSimpleParameterList').returns(true)
+    sandbox.stub(esprimaParser, 'setParameterScope')
+    sandbox.stub(esprimaParser, 'setBodyHoistings')
+    sandbox.stub(esprimaParser, 'isArgumentsMapped').returns(false)
+    sandbox.stub(esprimaParser, 'mapArguments')
+  })
+
+  it('should call closureStack.createClosure with functionAgentData.scope', () => {
+    esprimaParser.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+
+    expect(esprimaParser.closureStack.createClosure.calledOnce).to.be.true
+    expect(
+      esprimaParser.closureStack.createClosure
+        .calledWithExactly(functionAgentData.scope)
+    ).to.be.true
+  })
+
+  it('should call setHoistings with functionAgentData.hoistings after createClosure', () => {
+    esprimaParser.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.setHoistings
+        .calledWithExactly(functionAgentData.hoistings)
+    ).to.be.true
+    expect(
+      esprimaParser.setHoistings
+        .calledAfter(esprimaParser.closureStack.createClosure)
+    ).to.be.true
+  })
+
+  it('should call setBuiltInArguments with builtInArguments after setHoistings', () => {
+    esprimaParser.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.setBuiltInArguments
+        .calledWithExactly(builtInArguments)
+    ).to.be.true
+    expect(
+      esprimaParser.setBuiltInArguments
+        .calledAfter(esprimaParser.setHoistings)
+    ).to.be.true
+  })
+
+  it('should not call setBuiltInArguments given functionAgentData.isArrowFunction is true', () => {
+    const arrowFunctionAgentData = Object.assign({}, functionAgentData, {
+      isArrowFunction: true
+    })
+
+    esprimaParser.setFunctionClosure(arrowFunctionAgentData, builtInArguments, calledArguments)
+
+    expect(esprimaParser.setBuiltInArguments.called).to.be.false
+  })
+
+  it('should call setClassBindings with functionAgentData after setBuiltInArguments', () => {
+    esprimaParser.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.setClassBindings
+        .calledWithExactly(functionAgentData)
+    ).to.be.true
+    expect(
+      esprimaParser.setClassBindings
+        .calledAfter(esprimaParser.setBuiltInArguments)
+    ).to.be.true
+  })
+
+  it('should call setCalledArguments with functionAgentData.params and calledArguments after setClassBindings', () => {
+    esprimaParser.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.setCalledArguments
+        .calledWithExactly(functionAgentData.params, calledArguments)
+    ).to.be.true
+    expect(
+      esprimaParser.setCalledArguments
+        .calledAfter(esprimaParser.setClassBindings)
+    ).to.be.true
+  })
+
+  it('should not call mapArguments given arguments not mapped', () => {
+    esprimaParser.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.isArgumentsMapped
+        .calledWithExactly(functionAgentData)
+    ).to.be.true
+    expect(esprimaParser.mapArguments.called).to.be.false
+  })
+
+  it('should call mapArguments with params and builtInArguments.arguments after setCalledArguments given arguments mapped', () => {
+    esprimaParser.isArgumentsMapped.returns(true)
+
+    esprimaParser.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.mapArguments
+        .calledWithExactly(functionAgentData.params, builtInArguments.arguments)
+    ).to.be.true
+    expect(
+      esprimaParser.mapArguments
+        .calledAfter(esprimaParser.setCalledArguments)
+    ).to.be.true
+  })
+
+  describe('non-simple parameter list', () => {
+    beforeEach(() => {
+      esprimaParser.isSimpleParameterList.returns(false)
+    })
+
+    it('should not call setHoistings and setCalledArguments', () => {
+      esprimaParser.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+
+      expect(
+        esprimaParser.isSimpleParameterList
+          .calledWithExactly(functionAgentData.params)
+      ).to.be.true
+      expect(esprimaParser.setHoistings.called).to.be.false
+      expect(esprimaParser.setCalledArguments.called).to.be.false
+    })
+
+    it('should call setParameterScope with params and calledArguments after setClassBindings', () => {
+      esprimaParser.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+
+      expect(
+        esprimaParser.setParameterScope
+          .calledWithExactly(functionAgentData.params, calledArguments)
+      ).to.be.true
+      expect(
+        esprimaParser.setParameterScope
+          .calledAfter(esprimaParser.setClassBindings)
+      ).to.be.true
+    })
+
+    it('should call setBodyHoistings with params, hoistings and scope after setParameterScope', () => {
+      esprimaParser.setFunctionClosure(functionAgentData, builtInArguments, calledArguments)
+
+      expect(
+        esprimaParser.setBodyHoistings
+          .calledWithExactly(
+            functionAgentData.params,
+            functionAgentData.hoistings,
+            functionAgentData.scope
+          )
+      ).to.be.true
+      expect(
+        esprimaParser.setBodyHoistings
+          .calledAfter(esprimaParser.setParameterScope)
+      ).to.be.true
+    })
+  })
+})
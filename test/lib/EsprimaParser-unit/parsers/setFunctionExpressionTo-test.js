@@ -23,10 +23,13 @@ describe('setFunctionExpressionTo tests', () => {
     ).to.be.true
   })
 
-  it('should call createClosure of functionAgentData.closureStack', () => {
+  it('should call createClosure of functionAgentData.closureStack with id', () => {
     esprimaParser.setFunctionExpressionTo(functionAgentData, id, functionAgent)
 
-    expect(functionAgentData.closureStack.createClosure.called).to.be.true
+    expect(
+      functionAgentData.closureStack.createClosure
+        .calledWithExactly(id)
+    ).to.be.true
   })
 
   it('should call set of functionAgentData.closureStack with variable and functionAgent after createClosure', () => {
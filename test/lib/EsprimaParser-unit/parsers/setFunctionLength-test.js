@@ -0,0 +1,27 @@
+describe('setFunctionLength tests', () => {
+  const params = ['param1', 'param2', 'param3']
+  let functionAgent
+
+  beforeEach(() => {
+    functionAgent = function () {}
+
+    sandbox.stub(esprimaParser, 'getFunctionLength')
+      .withArgs(params).returns(3)
+  })
+
+  it('should set length of functionAgent to result from getFunctionLength called with params', () => {
+    esprimaParser.setFunctionLength(functionAgent, params)
+
+    expect(functionAgent).to.have.lengthOf(3)
+  })
+
+  it('should keep length of functionAgent non-writable, non-enumerable and configurable', () => {
+    esprimaParser.setFunctionLength(functionAgent, params)
+
+    const descriptor = Object.getOwnPropertyDescriptor(functionAgent, 'length')
+
+    expect(descriptor.writable).to.be.false
+    expect(descriptor.enumerable).to.be.false
+    expect(descriptor.configurable).to.be.true
+  })
+})
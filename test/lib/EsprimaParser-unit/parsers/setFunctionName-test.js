@@ -0,0 +1,23 @@
+describe('setFunctionName tests', () => {
+  let functionAgent
+
+  beforeEach(() => {
+    functionAgent = function () {}
+  })
+
+  it('should set name of functionAgent to given name', () => {
+    esprimaParser.setFunctionName(functionAgent, 'name')
+
+    expect(functionAgent.name).to.be.equal('name')
+  })
+
+  it('should keep name of functionAgent non-writable, non-enumerable and configurable', () => {
+    esprimaParser.setFunctionName(functionAgent, 'name')
+
+    const descriptor = Object.getOwnPropertyDescriptor(functionAgent, 'name')
+
+    expect(descriptor.writable).to.be.false
+    expect(descriptor.enumerable).to.be.false
+    expect(descriptor.configurable).to.be.true
+  })
+})
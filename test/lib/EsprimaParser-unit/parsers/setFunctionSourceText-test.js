@@ -0,0 +1,17 @@
+describe('setFunctionSourceText tests', () => {
+  const functionAgent = function () {}
+  let node
+
+  beforeEach(() => {
+    node = createAstNode('FunctionExpression')
+
+    sandbox.stub(esprimaParser, 'getSourceText')
+      .withArgs(node).returns('sourceText')
+  })
+
+  it('should register result from getSourceText called with node as source text of functionAgent', () => {
+    esprimaParser.setFunctionSourceText(functionAgent, node)
+
+    expect(esprimaParser.functionSourceTexts.get(functionAgent)).to.be.equal('sourceText')
+  })
+})
@@ -0,0 +1,53 @@
+describe('setGeneratorPrototype tests', () => {
+  let functionAgentData, generatorAgent
+
+  beforeEach(() => {
+    functionAgentData = {}
+    generatorAgent = ({generatorAgent() {}}).generatorAgent
+  })
+
+  it('should set generatorAgent to inherit generatorFunctionPrototype', () => {
+    esprimaParser.setGeneratorPrototype(functionAgentData, generatorAgent)
+
+    expect(
+      Object.getPrototypeOf(generatorAgent)
+    ).to.be.equal(esprimaParser.generatorFunctionPrototype)
+  })
+
+  it('should set prototype of generatorAgent to an object inheriting generatorPrototype', () => {
+    esprimaParser.setGeneratorPrototype(functionAgentData, generatorAgent)
+
+    expect(
+      Object.getPrototypeOf(generatorAgent.prototype)
+    ).to.be.equal(esprimaParser.generatorPrototype)
+  })
+
+  it('should set prototype of generatorAgent writable but neither enumerable nor configurable', () => {
+    esprimaParser.setGeneratorPrototype(functionAgentData, generatorAgent)
+
+    const descriptor = Object.getOwnPropertyDescriptor(generatorAgent, 'prototype')
+
+    expect(descriptor.writable).to.be.true
+    expect(descriptor.enumerable).to.be.false
+    expect(descriptor.configurable).to.be.false
+  })
+
+  it('should set generatorAgent to inherit asyncGeneratorFunctionPrototype and its prototype to inherit asyncGeneratorPrototype given async', () => {
+    functionAgentData.isAsync = true
+
+    esprimaParser.setGeneratorPrototype(functionAgentData, generatorAgent)
+
+    expect(
+      Object.getPrototypeOf(generatorAgent)
+    ).to.be.equal(esprimaParser.asyncGeneratorFunctionPrototype)
+    expect(
+      Object.getPrototypeOf(generatorAgent.prototype)
+    ).to.be.equal(esprimaParser.asyncGeneratorPrototype)
+  })
+
+  it('should set generatorAgent to functionAgentData', () => {
+    esprimaParser.setGeneratorPrototype(functionAgentData, generatorAgent)
+
+    expect(functionAgentData.generatorAgent).to.be.equal(generatorAgent)
+  })
+})
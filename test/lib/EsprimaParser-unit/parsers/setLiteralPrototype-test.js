@@ -0,0 +1,21 @@
+describe('setLiteralPrototype tests', () => {
+  it('should set prototype of target given object or null', () => {
+    const prototype = {}
+    const target = {}
+    const nullTarget = {}
+
+    esprimaParser.setLiteralPrototype(target, prototype)
+    esprimaParser.setLiteralPrototype(nullTarget, null)
+
+    expect(Object.getPrototypeOf(target)).to.be.equal(prototype)
+    expect(Object.getPrototypeOf(nullTarget)).to.be.null
+  })
+
+  it('should ignore prototype neither object nor null', () => {
+    const target = {}
+
+    esprimaParser.setLiteralPrototype(target, 1)
+
+    expect(Object.getPrototypeOf(target)).to.be.equal(Object.prototype)
+  })
+})
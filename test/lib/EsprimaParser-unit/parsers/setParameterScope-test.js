@@ -0,0 +1,44 @@
+describe('setParameterScope tests', () => {
+  const calledArguments = ['arg1']
+  let params
+
+  beforeEach(() => {
+    params = [createAstNode('Identifier'), createAstNode('AssignmentPattern')]
+    sandbox.stub(esprimaParser, 'searchNamesFromPatterns')
+      .returns(['a', 'b'])
+    sandbox.stub(esprimaParser, 'closureStack', {
+      declare: sandbox.spy()
+    })
+    sandbox.stub(esprimaParser, 'setCalledArguments')
+  })
+
+  it('should declare names of params as uninitialized', () => {
+    esprimaParser.setParameterScope(params, calledArguments)
+
+    expect(
+      esprimaParser.searchNamesFromPatterns
+        .calledWithExactly(params)
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.declare
+        .calledWithExactly('a')
+    ).to.be.true
+    expect(
+      esprimaParser.closureStack.declare
+        .calledWithExactly('b')
+    ).to.be.true
+  })
+
+  it('should call setCalledArguments with params and calledArguments after declared', () => {
+    esprimaParser.setParameterScope(params, calledArguments)
+
+    expect(
+      esprimaParser.setCalledArguments
+        .calledWithExactly(params, calledArguments)
+    ).to.be.true
+    expect(
+      esprimaParser.setCalledArguments
+        .calledAfter(esprimaParser.closureStack.declare)
+    ).to.be.true
+  })
+})
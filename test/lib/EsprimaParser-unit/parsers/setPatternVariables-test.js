@@ -0,0 +1,39 @@
+describe('setPatternVariables tests', () => {
+  const values = 'values'
+  const kind = 'var/let/const'
+  let pattern, handleTarget
+
+  beforeEach(() => {
+    pattern = createAstNode('Pattern')
+    sandbox.stub(esprimaParser, 'parsePattern', (pattern, values, callback) => {
+      handleTarget = callback
+    })
+    sandbox.stub(esprimaParser, 'getNameFromPattern').returns('variable')
+    sandbox.stub(esprimaParser, 'setVariables')
+  })
+
+  it('should call parsePattern with pattern and values', () => {
+    esprimaParser.setPatternVariables(pattern, values, kind)
+
+    expect(
+      esprimaParser.parsePattern
+        .calledWith(pattern, values)
+    ).to.be.true
+  })
+
+  it('should call setVariables with name of target, value and kind for each target', () => {
+    const target = createAstNode('Identifier')
+
+    esprimaParser.setPatternVariables(pattern, values, kind)
+    handleTarget(target, 'value')
+
+    expect(
+      esprimaParser.getNameFromPattern
+        .calledWithExactly(target)
+    ).to.be.true
+    expect(
+      esprimaParser.setVariables
+        .calledWithExactly('variable', 'value', kind)
+    ).to.be.true
+  })
+})
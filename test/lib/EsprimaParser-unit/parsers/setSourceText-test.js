@@ -0,0 +1,11 @@
+describe('setSourceText tests', () => {
+  it('should set esprimaParser.sourceText to given sourceText', () => {
+    const sourceText = 'sourceText'
+
+    expect(esprimaParser.sourceText).to.be.null
+
+    esprimaParser.setSourceText(sourceText)
+
+    expect(esprimaParser.sourceText).to.be.equal(sourceText)
+  })
+})
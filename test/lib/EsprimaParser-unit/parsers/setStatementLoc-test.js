@@ -0,0 +1,24 @@
+describe('setStatementLoc tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'callStack', {
+      setLoc: sandbox.spy()
+    })
+  })
+
+  it('should call callStack.setLoc with loc of statement', () => {
+    const statement = createAstNode('ReturnStatement', {loc: 'loc'})
+
+    esprimaParser.setStatementLoc(statement)
+
+    expect(
+      esprimaParser.callStack.setLoc
+        .calledWithExactly('loc')
+    ).to.be.true
+  })
+
+  it('should not call callStack.setLoc given statement without loc', () => {
+    esprimaParser.setStatementLoc(createAstNode('ReturnStatement'))
+
+    expect(esprimaParser.callStack.setLoc.called).to.be.false
+  })
+})
@@ -1,21 +1,42 @@
 describe('setVariables tests', () => {
-  let variables, values
+  const variables = 'variables'
+  const values = 'values'
 
   beforeEach(() => {
     sandbox.stub(esprimaParser, 'closureStack', {
-      set: sandbox.spy()
+      set: sandbox.spy(),
+      setToFunctionClosure: sandbox.spy()
     })
   })
 
-  it('should call set of closureStack with variables and values', () => {
-    variables = 'variables'
-    values = 'values'
-
+  it('should call setToFunctionClosure of closureStack with variables and values given no kind', () => {
     esprimaParser.setVariables(variables, values)
 
     expect(
-      esprimaParser.closureStack.set
+      esprimaParser.closureStack.setToFunctionClosure
+        .calledWithExactly(variables, values)
+    ).to.be.true
+    expect(esprimaParser.closureStack.set.called).to.be.false
+  })
+
+  it('should call setToFunctionClosure of closureStack with variables and values given kind \'var\'', () => {
+    esprimaParser.setVariables(variables, values, 'var')
+
+    expect(
+      esprimaParser.closureStack.setToFunctionClosure
         .calledWithExactly(variables, values)
     ).to.be.true
+    expect(esprimaParser.closureStack.set.called).to.be.false
+  })
+
+  it('should call set of closureStack with variables and values given kind \'let\' or \'const\'', () => {
+    esprimaParser.setVariables(variables, values, 'let')
+    esprimaParser.setVariables(variables, values, 'const')
+
+    expect(
+      esprimaParser.closureStack.set
+        .withArgs(variables, values).calledTwice
+    ).to.be.true
+    expect(esprimaParser.closureStack.setToFunctionClosure.called).to.be.false
   })
 })
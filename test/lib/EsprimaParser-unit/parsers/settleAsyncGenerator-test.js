@@ -0,0 +1,39 @@
+describe('settleAsyncGenerator tests', () => {
+  const generator = {}
+  let request, queue
+
+  beforeEach(() => {
+    request = {
+      resolve: sandbox.spy(),
+      reject: sandbox.spy()
+    }
+    queue = [request]
+    sandbox.stub(esprimaParser, 'resumeAsyncGenerator')
+  })
+
+  it('should remove the first request from queue and settle it with result', () => {
+    esprimaParser.settleAsyncGenerator(generator, queue, 'resolve', 'result')
+
+    expect(queue).to.be.eql([])
+    expect(request.resolve.calledWithExactly('result')).to.be.true
+    expect(request.reject.called).to.be.false
+  })
+
+  it('should not call resumeAsyncGenerator given no request left', () => {
+    esprimaParser.settleAsyncGenerator(generator, queue, 'reject', 'error')
+
+    expect(request.reject.calledWithExactly('error')).to.be.true
+    expect(esprimaParser.resumeAsyncGenerator.called).to.be.false
+  })
+
+  it('should call resumeAsyncGenerator with generator and queue given request left', () => {
+    queue.push({})
+
+    esprimaParser.settleAsyncGenerator(generator, queue, 'resolve', 'result')
+
+    expect(
+      esprimaParser.resumeAsyncGenerator
+        .calledWithExactly(generator, queue)
+    ).to.be.true
+  })
+})
@@ -0,0 +1,52 @@
+describe('shouldExecuteNatively tests', () => {
+  const root = {}
+  const unsupportedNode = {}
+  let EsprimaParser
+
+  before(() => {
+    EsprimaParser = require(libDir)
+  })
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'findUnsupportedNode')
+    sandbox.stub(esprimaParser, 'reportUnsupportedNode')
+  })
+
+  it('should return false without calling findUnsupportedNode given SKIP policy', () => {
+    esprimaParser.unsupportedSyntax = EsprimaParser.SKIP
+
+    const result = esprimaParser.shouldExecuteNatively(root)
+
+    expect(esprimaParser.findUnsupportedNode.called).to.be.false
+    expect(result).to.be.false
+  })
+
+  describe('NATIVE policy', () => {
+    beforeEach(() => {
+      esprimaParser.unsupportedSyntax = EsprimaParser.NATIVE
+    })
+
+    it('should return false given no unsupported node found by findUnsupportedNode', () => {
+      esprimaParser.findUnsupportedNode
+        .withArgs(root).returns(undefined)
+
+      const result = esprimaParser.shouldExecuteNatively(root)
+
+      expect(esprimaParser.reportUnsupportedNode.called).to.be.false
+      expect(result).to.be.false
+    })
+
+    it('should report unsupported node found by findUnsupportedNode and return true', () => {
+      esprimaParser.findUnsupportedNode
+        .withArgs(root).returns(unsupportedNode)
+
+      const result = esprimaParser.shouldExecuteNatively(root)
+
+      expect(
+        esprimaParser.reportUnsupportedNode
+          .calledWithExactly(unsupportedNode, EsprimaParser.NATIVE)
+      ).to.be.true
+      expect(result).to.be.true
+    })
+  })
+})
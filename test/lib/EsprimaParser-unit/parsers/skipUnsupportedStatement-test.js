@@ -0,0 +1,39 @@
+describe('skipUnsupportedStatement tests', () => {
+  let statement, EsprimaParser
+
+  before(() => {
+    EsprimaParser = require(libDir)
+  })
+
+  beforeEach(() => {
+    statement = createAstNode('Statement')
+
+    sandbox.stub(esprimaParser, 'getUnsupportedNode')
+    sandbox.stub(esprimaParser, 'reportUnsupportedNode')
+  })
+
+  it('should call reportUnsupportedNode with unsupported node and EsprimaParser.SKIP then return true given statement has one', () => {
+    const unsupportedNode = createAstNode('StaticBlock')
+
+    esprimaParser.getUnsupportedNode
+      .withArgs(statement).returns(unsupportedNode)
+
+    const result = esprimaParser.skipUnsupportedStatement(statement)
+
+    expect(
+      esprimaParser.reportUnsupportedNode
+        .calledWithExactly(unsupportedNode, EsprimaParser.SKIP)
+    ).to.be.true
+    expect(result).to.be.true
+  })
+
+  it('should not call reportUnsupportedNode but return false given statement has no unsupported node', () => {
+    esprimaParser.getUnsupportedNode
+      .withArgs(statement).returns(null)
+
+    const result = esprimaParser.skipUnsupportedStatement(statement)
+
+    expect(esprimaParser.reportUnsupportedNode.called).to.be.false
+    expect(result).to.be.false
+  })
+})
@@ -0,0 +1,35 @@
+describe('startBudget tests', () => {
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'executionBudget', {
+      start: sandbox.spy(),
+      resume: sandbox.spy()
+    })
+  })
+
+  it('should call executionBudget.start', () => {
+    esprimaParser.startBudget()
+
+    expect(esprimaParser.executionBudget.start.calledOnce).to.be.true
+  })
+
+  it('should call executionBudget.resume with budgetUsage instead given budgetUsage', () => {
+    const budgetUsage = {steps: 1, time: 1}
+
+    esprimaParser.budgetUsage = budgetUsage
+    esprimaParser.startBudget()
+
+    expect(
+      esprimaParser.executionBudget.resume
+        .calledWithExactly(budgetUsage)
+    ).to.be.true
+    expect(esprimaParser.executionBudget.start.called).to.be.false
+  })
+
+  it('should reset budgetError', () => {
+    esprimaParser.budgetError = new Error()
+
+    esprimaParser.startBudget()
+
+    expect(esprimaParser.budgetError).to.be.null
+  })
+})
@@ -0,0 +1,128 @@
+describe('stepAsyncGenerator tests', () => {
+  const generator = {}
+  const queue = []
+  let step
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+  beforeEach(() => {
+    step = {value: 'value', done: false}
+    sandbox.stub(esprimaParser, 'resumeGenerator', () => step)
+    sandbox.stub(esprimaParser, 'settleAsyncGenerator')
+  })
+
+  it('should call resumeGenerator with generator, method and value', () => {
+    esprimaParser.stepAsyncGenerator(generator, queue, 'next', 'value')
+
+    expect(
+      esprimaParser.resumeGenerator
+        .calledWithExactly(generator, 'next', 'value')
+    ).to.be.true
+  })
+
+  it('should reject the first request given error thrown by resumeGenerator', () => {
+    const error = new Error()
+
+    esprimaParser.resumeGenerator.restore()
+    sandbox.stub(esprimaParser, 'resumeGenerator').throws(error)
+
+    esprimaParser.stepAsyncGenerator(generator, queue, 'next', 'value')
+
+    expect(
+      esprimaParser.settleAsyncGenerator
+        .calledWithExactly(generator, queue, 'reject', error)
+    ).to.be.true
+  })
+
+  it('should throw error rethrown by rethrowInterpreterError without rejecting', () => {
+    const error = new Error()
+
+    esprimaParser.resumeGenerator.restore()
+    sandbox.stub(esprimaParser, 'resumeGenerator').throws(error)
+    sandbox.stub(esprimaParser, 'rethrowInterpreterError')
+      .withArgs(error).throws(error)
+
+    expect(() => {
+      esprimaParser.stepAsyncGenerator(generator, queue, 'next', 'value')
+    }).to.throw(error)
+    expect(esprimaParser.settleAsyncGenerator.called).to.be.false
+  })
+
+  it('should resume generator by next with settled value of AwaitRequest given fulfilled', () => {
+    step = {value: esprimaParser.createAwaitRequest(Promise.resolve('fulfilled')), done: false}
+    sandbox.spy(esprimaParser, 'stepAsyncGenerator')
+
+    esprimaParser.stepAsyncGenerator(generator, queue, 'next', 'value')
+    step = {value: 'value', done: true}
+
+    return flush().then(() => {
+      expect(
+        esprimaParser.stepAsyncGenerator.secondCall
+          .calledWithExactly(generator, queue, 'next', 'fulfilled')
+      ).to.be.true
+      expect(esprimaParser.settleAsyncGenerator.calledOnce).to.be.true
+    })
+  })
+
+  it('should resume generator by throw with reason given value of AwaitRequest rejected', () => {
+    const error = new Error()
+
+    step = {value: esprimaParser.createAwaitRequest(Promise.reject(error)), done: false}
+    sandbox.spy(esprimaParser, 'stepAsyncGenerator')
+
+    esprimaParser.stepAsyncGenerator(generator, queue, 'next', 'value')
+    step = {value: 'value', done: true}
+
+    return flush().then(() => {
+      expect(
+        esprimaParser.stepAsyncGenerator.secondCall
+          .calledWithExactly(generator, queue, 'throw', error)
+      ).to.be.true
+    })
+  })
+
+  it('should resolve the first request with iterator result of value awaited', () => {
+    step = {value: Promise.resolve('yielded'), done: false}
+
+    esprimaParser.stepAsyncGenerator(generator, queue, 'next', 'value')
+
+    return flush().then(() => {
+      expect(
+        esprimaParser.settleAsyncGenerator
+          .calledWithExactly(generator, queue, 'resolve', {value: 'yielded', done: false})
+      ).to.be.true
+    })
+  })
+
+  it('should resume generator by throw with reason given value yielded rejected', () => {
+    const error = new Error()
+
+    step = {value: Promise.reject(error), done: false}
+    sandbox.spy(esprimaParser, 'stepAsyncGenerator')
+
+    esprimaParser.stepAsyncGenerator(generator, queue, 'next', 'value')
+    step = {value: 'value', done: true}
+
+    return flush().then(() => {
+      expect(
+        esprimaParser.stepAsyncGenerator.secondCall
+          .calledWithExactly(generator, queue, 'throw', error)
+      ).to.be.true
+    })
+  })
+
+  it('should reject the first request given value returned rejected', () => {
+    const error = new Error()
+
+    step = {value: Promise.reject(error), done: true}
+
+    esprimaParser.stepAsyncGenerator(generator, queue, 'next', 'value')
+
+    return flush().then(() => {
+      expect(
+        esprimaParser.settleAsyncGenerator
+          .calledWithExactly(generator, queue, 'reject', error)
+      ).to.be.true
+    })
+  })
+})
@@ -0,0 +1,37 @@
+describe('stepIterator tests', () => {
+  it('should return result from iterator.next', () => {
+    const step = {value: 'value', done: false}
+    const iterator = {
+      next: sandbox.stub().returns(step)
+    }
+    const result = esprimaParser.stepIterator(iterator)
+
+    expect(iterator.next.calledOn(iterator)).to.be.true
+    expect(result).to.be.equal(step)
+  })
+
+  it('should call checkIteratorResult with result from iterator.next', () => {
+    const step = {value: 'value', done: false}
+    const iterator = {
+      next: () => step
+    }
+    sandbox.spy(esprimaParser, 'checkIteratorResult')
+
+    esprimaParser.stepIterator(iterator)
+
+    expect(
+      esprimaParser.checkIteratorResult
+        .calledWithExactly(step)
+    ).to.be.true
+  })
+
+  it('should throw TypeError given non-object result', () => {
+    const iterator = {
+      next: () => undefined
+    }
+
+    expect(() => {
+      esprimaParser.stepIterator(iterator)
+    }).to.throw(TypeError)
+  })
+})
@@ -0,0 +1,12 @@
+describe('takeResolvedValue tests', () => {
+  it('should return resolved value of node and delete it', () => {
+    const node = createAstNode('Expression')
+
+    esprimaParser.resolvedValues.set(node, 'resolvedValue')
+
+    const result = esprimaParser.takeResolvedValue(node)
+
+    expect(result).to.be.equal('resolvedValue')
+    expect(esprimaParser.resolvedValues.has(node)).to.be.false
+  })
+})
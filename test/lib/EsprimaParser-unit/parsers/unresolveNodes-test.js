@@ -0,0 +1,14 @@
+describe('unresolveNodes tests', () => {
+  it('should delete nodes from resolvedValues', () => {
+    const nodes = [createAstNode('Expression1'), createAstNode('Expression2')]
+    const otherNode = createAstNode('Expression3')
+
+    esprimaParser.resolvedValues.set(nodes[0], 'value1')
+    esprimaParser.resolvedValues.set(otherNode, 'value3')
+
+    esprimaParser.unresolveNodes(nodes)
+
+    expect(esprimaParser.resolvedValues.has(nodes[0])).to.be.false
+    expect(esprimaParser.resolvedValues.has(otherNode)).to.be.true
+  })
+})
@@ -0,0 +1,43 @@
+describe('unwrapExportDeclaration tests', () => {
+  let declaration
+
+  beforeEach(() => {
+    declaration = createAstNode('Declaration')
+  })
+
+  it('should return declaration given ExportNamedDeclaration with declaration', () => {
+    const statement = createAstNode('ExportNamedDeclaration', {declaration})
+
+    expect(esprimaParser.unwrapExportDeclaration(statement)).to.be.equal(declaration)
+  })
+
+  it('should return statement given ExportNamedDeclaration without declaration', () => {
+    const statement = createAstNode('ExportNamedDeclaration', {declaration: null})
+
+    expect(esprimaParser.unwrapExportDeclaration(statement)).to.be.equal(statement)
+  })
+
+  it('should return declaration given ExportDefaultDeclaration with named declaration', () => {
+    const statement = createAstNode('ExportDefaultDeclaration', {declaration})
+
+    sandbox.stub(esprimaParser, 'isNamedDeclaration')
+      .withArgs(declaration).returns(true)
+
+    expect(esprimaParser.unwrapExportDeclaration(statement)).to.be.equal(declaration)
+  })
+
+  it('should return statement given ExportDefaultDeclaration with others', () => {
+    const statement = createAstNode('ExportDefaultDeclaration', {declaration})
+
+    sandbox.stub(esprimaParser, 'isNamedDeclaration')
+      .withArgs(declaration).returns(false)
+
+    expect(esprimaParser.unwrapExportDeclaration(statement)).to.be.equal(statement)
+  })
+
+  it('should return statement given other statements', () => {
+    const statement = createAstNode('Statement')
+
+    expect(esprimaParser.unwrapExportDeclaration(statement)).to.be.equal(statement)
+  })
+})
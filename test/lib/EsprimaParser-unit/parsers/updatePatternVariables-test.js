@@ -0,0 +1,64 @@
+describe('updatePatternVariables tests', () => {
+  const values = 'values'
+  const info = {}
+  let pattern, handleTarget, assignStub
+
+  beforeEach(() => {
+    pattern = createAstNode('Pattern')
+    assignStub = sandbox.spy()
+
+    sandbox.stub(esprimaParser, 'parsePattern', (pattern, values, callback) => {
+      handleTarget = callback
+    })
+    sandbox.stub(esprimaParser, 'getRefExp')
+    sandbox.stub(esprimaParser, 'getExpInfo').returns(info)
+    sandbox.stub(esprimaParser, 'assignmentOperators', {
+      '=': assignStub
+    })
+  })
+
+  it('should call parsePattern with pattern and values', () => {
+    esprimaParser.updatePatternVariables(pattern, values)
+
+    expect(
+      esprimaParser.parsePattern
+        .calledWith(pattern, values)
+    ).to.be.true
+  })
+
+  it('should call assign operation with result from getRefExp called with target and value', () => {
+    const target = createAstNode('Identifier')
+    const exp = {caller: undefined, callee: 'a'}
+
+    esprimaParser.getRefExp.returns(exp)
+
+    esprimaParser.updatePatternVariables(pattern, values)
+    handleTarget(target, 'value')
+
+    expect(
+      esprimaParser.getRefExp
+        .calledWithExactly(target)
+    ).to.be.true
+    expect(
+      assignStub
+        .calledWithExactly(exp, 'value')
+    ).to.be.true
+    expect(exp).to.not.have.property('info')
+  })
+
+  it('should set exp.info to result from getExpInfo called with target given member target', () => {
+    const target = createAstNode('MemberExpression')
+    const exp = {caller: {}, callee: 'a'}
+
+    esprimaParser.getRefExp.returns(exp)
+
+    esprimaParser.updatePatternVariables(pattern, values)
+    handleTarget(target, 'value')
+
+    expect(
+      esprimaParser.getExpInfo
+        .calledWithExactly(target)
+    ).to.be.true
+    expect(exp.info).to.be.equal(info)
+  })
+})
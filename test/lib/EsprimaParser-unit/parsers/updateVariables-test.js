@@ -1,21 +1,53 @@
 describe('updateVariables tests', () => {
-  let variables, values
+  let variables, values, reference
 
   beforeEach(() => {
+    variables = 'variables'
+    values = 'values'
+    reference = {hops: 0, scope: {}}
+
     sandbox.stub(esprimaParser, 'closureStack', {
-      update: sandbox.spy()
+      update: sandbox.spy(),
+      setImplicitGlobal: sandbox.spy(),
+      isResolvable: sandbox.stub()
     })
   })
 
-  it('should call update of closureStack with varaibles and values', () => {
-    variables = 'variables'
-    values = 'values'
+  it('should call update of closureStack with varaibles, values and reference given resolvable variables', () => {
+    esprimaParser.closureStack.isResolvable.withArgs(variables, reference).returns(true)
 
-    esprimaParser.updateVariables(variables, values)
+    esprimaParser.updateVariables(variables, values, reference)
 
     expect(
       esprimaParser.closureStack.update
+        .calledWithExactly(variables, values, reference)
+    ).to.be.true
+    expect(esprimaParser.closureStack.setImplicitGlobal.called).to.be.false
+  })
+
+  it('should call setImplicitGlobal of closureStack with variables and values given unresolvable variables not in strict mode', () => {
+    esprimaParser.strict = false
+    esprimaParser.closureStack.isResolvable.withArgs(variables, reference).returns(false)
+
+    esprimaParser.updateVariables(variables, values, reference)
+
+    expect(
+      esprimaParser.closureStack.setImplicitGlobal
         .calledWithExactly(variables, values)
     ).to.be.true
+    expect(esprimaParser.closureStack.update.called).to.be.false
+  })
+
+  it('should call update of closureStack given unresolvable variables in strict mode', () => {
+    esprimaParser.strict = true
+    esprimaParser.closureStack.isResolvable.withArgs(variables, reference).returns(false)
+
+    esprimaParser.updateVariables(variables, values, reference)
+
+    expect(
+      esprimaParser.closureStack.update
+        .calledWithExactly(variables, values, reference)
+    ).to.be.true
+    expect(esprimaParser.closureStack.setImplicitGlobal.called).to.be.false
   })
 })
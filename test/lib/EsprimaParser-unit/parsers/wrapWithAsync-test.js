@@ -0,0 +1,49 @@
+describe('wrapWithAsync tests', () => {
+  const functionAgentData = {}
+  const nonConstructor = function () {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'callAsync')
+      .returns('resultFromCallAsync')
+    sandbox.stub(esprimaParser, 'createNonConstructor')
+      .returns(nonConstructor)
+  })
+
+  it('should return result from wrapWithAsyncGenerator called with functionAgentData given async generator function', () => {
+    const asyncGeneratorData = {isGenerator: true}
+
+    sandbox.stub(esprimaParser, 'wrapWithAsyncGenerator')
+      .returns('resultFromWrapWithAsyncGenerator')
+
+    const result = esprimaParser.wrapWithAsync(asyncGeneratorData)
+
+    expect(
+      esprimaParser.wrapWithAsyncGenerator
+        .calledWithExactly(asyncGeneratorData)
+    ).to.be.true
+    expect(esprimaParser.createNonConstructor.called).to.be.false
+    expect(result).to.be.equal('resultFromWrapWithAsyncGenerator')
+  })
+
+  it('should return result from createNonConstructor', () => {
+    const result = esprimaParser.wrapWithAsync(functionAgentData)
+
+    expect(result).to.be.equal(nonConstructor)
+  })
+
+  it('should pass to createNonConstructor a function calling callAsync with functionAgentData, builtInArguments and calledArguments', () => {
+    const builtInArguments = {this: {}, arguments: {}}
+    const calledArguments = ['arg1', 'arg2']
+
+    esprimaParser.wrapWithAsync(functionAgentData)
+
+    const call = esprimaParser.createNonConstructor.lastCall.args[0]
+    const result = call(builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.callAsync
+        .calledWithExactly(functionAgentData, builtInArguments, calledArguments)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCallAsync')
+  })
+})
@@ -0,0 +1,44 @@
+describe('wrapWithAsyncGenerator tests', () => {
+  const functionAgentData = {}
+  const nonConstructor = function () {}
+  const generator = {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'createGenerator')
+      .returns(generator)
+    sandbox.stub(esprimaParser, 'createNonConstructor')
+      .returns(nonConstructor)
+  })
+
+  it('should return result from createNonConstructor', () => {
+    const result = esprimaParser.wrapWithAsyncGenerator(functionAgentData)
+
+    expect(result).to.be.equal(nonConstructor)
+  })
+
+  it('should pass to createNonConstructor a function returning result from createGenerator called with functionAgentData, builtInArguments and calledArguments', () => {
+    const builtInArguments = {this: {}, arguments: {}}
+    const calledArguments = ['arg1', 'arg2']
+
+    esprimaParser.wrapWithAsyncGenerator(functionAgentData)
+
+    const call = esprimaParser.createNonConstructor.lastCall.args[0]
+    const result = call(builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.createGenerator
+        .calledWithExactly(functionAgentData, builtInArguments, calledArguments)
+    ).to.be.true
+    expect(result).to.be.equal(generator)
+  })
+
+  it('should set an empty queue of generator to asyncGeneratorQueues', () => {
+    esprimaParser.wrapWithAsyncGenerator(functionAgentData)
+
+    const call = esprimaParser.createNonConstructor.lastCall.args[0]
+
+    call({}, [])
+
+    expect(esprimaParser.asyncGeneratorQueues.get(generator)).to.be.eql([])
+  })
+})
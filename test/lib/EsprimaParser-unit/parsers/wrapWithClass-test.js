@@ -0,0 +1,40 @@
+describe('wrapWithClass tests', () => {
+  const classAgentData = {}
+  const calledArguments = [1, 2, 3]
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'parseClassAgentData')
+      .returns({})
+  })
+
+  it('should return a function', () => {
+    const classAgent = esprimaParser.wrapWithClass(classAgentData)
+
+    expect(classAgent).to.be.instanceof(Function)
+  })
+
+  it('should return a function call parseClassAgentData with classAgentData, builtInArguments and calledArguments given called with new', () => {
+    const classAgent = esprimaParser.wrapWithClass(classAgentData)
+
+    new classAgent(...calledArguments)
+
+    const [data, builtInArguments, args] =
+      esprimaParser.parseClassAgentData.lastCall.args
+
+    expect(data).to.be.equal(classAgentData)
+    expect(Array.from(builtInArguments.arguments)).to.be.eql(calledArguments)
+    expect(builtInArguments.newTarget).to.be.equal(classAgent)
+    expect(args).to.be.eql(calledArguments)
+  })
+
+  it('should pass undefined newTarget given called without new', () => {
+    const classAgent = esprimaParser.wrapWithClass(classAgentData)
+
+    classAgent(...calledArguments)
+
+    const builtInArguments =
+      esprimaParser.parseClassAgentData.lastCall.args[1]
+
+    expect(builtInArguments.newTarget).to.be.undefined
+  })
+})
@@ -4,7 +4,8 @@ describe('wrapWithFunction tests', () => {
   const builtInArguments = {
     arguments: (function () {
       return arguments
-    })(...calledArguments)
+    })(...calledArguments),
+    newTarget: undefined
   }
   // stub results
   const parseFunctionAgentStub = 'resultFromParseFunctionAgent'
@@ -16,6 +17,66 @@ describe('wrapWithFunction tests', () => {
 
   afterEach(() => {
     delete builtInArguments.this
+    builtInArguments.newTarget = undefined
+  })
+
+  it('should return result from wrapWithAsync called with functionAgentData given async function', () => {
+    const asyncAgentData = {isAsync: true, isGenerator: true}
+    const asyncAgent = function () {}
+
+    sandbox.stub(esprimaParser, 'wrapWithAsync').returns(asyncAgent)
+
+    const result = esprimaParser.wrapWithFunction(asyncAgentData)
+
+    expect(
+      esprimaParser.wrapWithAsync
+        .calledWithExactly(asyncAgentData)
+    ).to.be.true
+    expect(result).to.be.equal(asyncAgent)
+  })
+
+  it('should return result from wrapWithGenerator called with functionAgentData given generator', () => {
+    const generatorAgentData = {isGenerator: true}
+    const generatorAgent = function () {}
+
+    sandbox.stub(esprimaParser, 'wrapWithGenerator').returns(generatorAgent)
+
+    const result = esprimaParser.wrapWithFunction(generatorAgentData)
+
+    expect(
+      esprimaParser.wrapWithGenerator
+        .calledWithExactly(generatorAgentData)
+    ).to.be.true
+    expect(result).to.be.equal(generatorAgent)
+  })
+
+  it('should return result from createNonConstructor given not constructible', () => {
+    const nonConstructor = function () {}
+
+    sandbox.stub(esprimaParser, 'isConstructible')
+      .withArgs(functionAgentData).returns(false)
+    sandbox.stub(esprimaParser, 'createNonConstructor').returns(nonConstructor)
+
+    const result = esprimaParser.wrapWithFunction(functionAgentData)
+
+    expect(result).to.be.equal(nonConstructor)
+  })
+
+  it('should pass to createNonConstructor a function calling parseFunctionAgentData with functionAgentData, builtInArguments and calledArguments given not constructible', () => {
+    sandbox.stub(esprimaParser, 'isConstructible')
+      .withArgs(functionAgentData).returns(false)
+    sandbox.stub(esprimaParser, 'createNonConstructor')
+
+    esprimaParser.wrapWithFunction(functionAgentData)
+
+    const call = esprimaParser.createNonConstructor.lastCall.args[0]
+    const result = call(builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.parseFunctionAgentData
+        .calledWithExactly(functionAgentData, builtInArguments, calledArguments)
+    ).to.be.true
+    expect(result).to.be.equal(parseFunctionAgentStub)
   })
 
   it('should return a function', () => {
@@ -87,4 +148,19 @@ describe('wrapWithFunction tests', () => {
     ).to.be.true
     expect(result).to.be.equal(parseFunctionAgentStub)
   })
+
+  it('should return a function call parseFunctionAgentData with functionAgentData, builtInArguments and calledArguments (new test)', () => {
+    const wrappedFunctionAgent =
+      esprimaParser.wrapWithFunction(functionAgentData)
+
+    new wrappedFunctionAgent(...calledArguments)
+
+    const passedBuiltInArguments =
+      esprimaParser.parseFunctionAgentData.lastCall.args[1]
+
+    expect(passedBuiltInArguments.this)
+      .to.be.instanceof(wrappedFunctionAgent)
+    expect(passedBuiltInArguments.newTarget)
+      .to.be.equal(wrappedFunctionAgent)
+  })
 })
@@ -0,0 +1,33 @@
+describe('wrapWithGenerator tests', () => {
+  const functionAgentData = {}
+  const nonConstructor = function () {}
+
+  beforeEach(() => {
+    sandbox.stub(esprimaParser, 'createGenerator')
+      .returns('resultFromCreateGenerator')
+    sandbox.stub(esprimaParser, 'createNonConstructor')
+      .returns(nonConstructor)
+  })
+
+  it('should return result from createNonConstructor', () => {
+    const result = esprimaParser.wrapWithGenerator(functionAgentData)
+
+    expect(result).to.be.equal(nonConstructor)
+  })
+
+  it('should pass to createNonConstructor a function calling createGenerator with functionAgentData, builtInArguments and calledArguments', () => {
+    const builtInArguments = {this: {}, arguments: {}}
+    const calledArguments = ['arg1', 'arg2']
+
+    esprimaParser.wrapWithGenerator(functionAgentData)
+
+    const call = esprimaParser.createNonConstructor.lastCall.args[0]
+    const result = call(builtInArguments, calledArguments)
+
+    expect(
+      esprimaParser.createGenerator
+        .calledWithExactly(functionAgentData, builtInArguments, calledArguments)
+    ).to.be.true
+    expect(result).to.be.equal('resultFromCreateGenerator')
+  })
+})
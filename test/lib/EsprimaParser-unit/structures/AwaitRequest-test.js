@@ -0,0 +1,17 @@
+describe('AwaitRequest tests', () => {
+  let AwaitRequest
+
+  before(() => {
+    AwaitRequest = require(`${libDir}/structures/AwaitRequest`)
+  })
+
+  describe('constructor tests', () => {
+    it('should set value', () => {
+      const value = {}
+
+      const awaitRequest = new AwaitRequest(value)
+
+      expect(awaitRequest.value).to.be.equal(value)
+    })
+  })
+})
@@ -0,0 +1,21 @@
+describe('CallRequest tests', () => {
+  let CallRequest
+
+  before(() => {
+    CallRequest = require(`${libDir}/structures/CallRequest`)
+  })
+
+  describe('constructor tests', () => {
+    it('should set functionAgentData, builtInArguments and calledArguments', () => {
+      const functionAgentData = {}
+      const builtInArguments = {}
+      const calledArguments = []
+
+      const callRequest = new CallRequest(functionAgentData, builtInArguments, calledArguments)
+
+      expect(callRequest.functionAgentData).to.be.equal(functionAgentData)
+      expect(callRequest.builtInArguments).to.be.equal(builtInArguments)
+      expect(callRequest.calledArguments).to.be.equal(calledArguments)
+    })
+  })
+})
@@ -0,0 +1,103 @@
+describe('CallStack tests', () => {
+  let CallStack
+
+  before(() => {
+    CallStack = require(`${libDir}/structures/CallStack`)
+  })
+
+  describe('constructor tests', () => {
+    it('should init property frames as an empty array', () => {
+      const callStack = new CallStack()
+
+      expect(callStack.frames).to.be.eql([])
+    })
+  })
+
+  describe('methods tests', () => {
+    const loc = {start: {line: 1, column: 0}}
+    let callStack
+
+    beforeEach(() => {
+      callStack = new CallStack()
+    })
+
+    describe('push tests', () => {
+      it('should push frame of given name and scriptUrl without loc', () => {
+        callStack.push('name', 'scriptUrl')
+
+        expect(callStack.frames).to.be.eql([
+          {name: 'name', scriptUrl: 'scriptUrl', loc: null}
+        ])
+      })
+    })
+
+    describe('pop tests', () => {
+      it('should remove the latest frame', () => {
+        callStack.push('outer', 'scriptUrl')
+        callStack.push('inner', 'scriptUrl')
+
+        callStack.pop()
+
+        expect(callStack.frames).to.have.lengthOf(1)
+        expect(callStack.frames[0]).to.have.property('name', 'outer')
+      })
+    })
+
+    describe('isEmpty tests', () => {
+      it('should return true given no frame', () => {
+        expect(callStack.isEmpty()).to.be.true
+      })
+
+      it('should return false given frames', () => {
+        callStack.push('name', 'scriptUrl')
+
+        expect(callStack.isEmpty()).to.be.false
+      })
+    })
+
+    describe('getDepth tests', () => {
+      it('should return number of frames', () => {
+        expect(callStack.getDepth()).to.be.equal(0)
+
+        callStack.push('outer', 'scriptUrl')
+        callStack.push('inner', 'scriptUrl')
+
+        expect(callStack.getDepth()).to.be.equal(2)
+      })
+    })
+
+    describe('setLoc tests', () => {
+      it('should set loc of the latest frame', () => {
+        callStack.push('outer', 'scriptUrl')
+        callStack.push('inner', 'scriptUrl')
+
+        callStack.setLoc(loc)
+
+        expect(callStack.frames[0].loc).to.be.null
+        expect(callStack.frames[1].loc).to.be.equal(loc)
+      })
+
+      it('should do nothing given no frame', () => {
+        expect(() => {
+          callStack.setLoc(loc)
+        }).to.not.throw()
+      })
+    })
+
+    describe('getFrames tests', () => {
+      it('should return copies of frames, the latest first', () => {
+        callStack.push('outer', 'scriptUrl')
+        callStack.push('inner', 'scriptUrl')
+        callStack.setLoc(loc)
+
+        const result = callStack.getFrames()
+
+        expect(result).to.be.eql([
+          {name: 'inner', scriptUrl: 'scriptUrl', loc},
+          {name: 'outer', scriptUrl: 'scriptUrl', loc: null}
+        ])
+        expect(result[0]).to.not.equal(callStack.frames[1])
+      })
+    })
+  })
+})
@@ -18,6 +18,38 @@ describe('Closure tests', () => {
 
       expect(closure.data).to.be.eql({})
     })
+
+    it('should set type to given type', () => {
+      const closure = new Closure({}, Closure.BLOCK)
+
+      expect(closure.type).to.be.equal(Closure.BLOCK)
+    })
+
+    it('should set type to Closure.FUNCTION given no type', () => {
+      const closure = new Closure()
+
+      expect(closure.type).to.be.equal(Closure.FUNCTION)
+    })
+
+    it('should set scope to given scope', () => {
+      const scope = {type: 'BlockStatement'}
+      const closure = new Closure({}, Closure.BLOCK, scope)
+
+      expect(closure.scope).to.be.equal(scope)
+    })
+
+    it('should set scope to null given no scope', () => {
+      const closure = new Closure()
+
+      expect(closure.scope).to.be.null
+    })
+
+    it('should set constants and uninitialized to objects inheriting nothing', () => {
+      const closure = new Closure()
+
+      expect(Object.prototype.isPrototypeOf(closure.constants)).to.be.false
+      expect(Object.prototype.isPrototypeOf(closure.uninitialized)).to.be.false
+    })
   })
 
   describe('methods tests', () => {
@@ -41,6 +73,12 @@ describe('Closure tests', () => {
 
         expect(result).to.be.undefined
       })
+
+      it('should throw ReferenceError given variable is declared but not initialized', () => {
+        closure.declare('b', 'let')
+
+        expect(() => closure.get('b')).to.throw(ReferenceError)
+      })
     })
 
     describe('set tests', () => {
@@ -53,6 +91,145 @@ describe('Closure tests', () => {
         expect(closure.data[undefined]).to.be.equal(3)
         expect(closure.data['1,2,3']).to.be.equal(4)
       })
+
+      it('should initialize declared variable', () => {
+        closure.declare('b', 'const')
+        closure.set('b', 2)
+
+        expect(closure.get('b')).to.be.equal(2)
+      })
+    })
+
+    describe('update tests', () => {
+      it('should set variable as key and value as value to closure.data', () => {
+        closure.update('a', 2)
+
+        expect(closure.data['a']).to.be.equal(2)
+      })
+
+      it('should throw ReferenceError given variable is declared but not initialized', () => {
+        closure.declare('b', 'let')
+
+        expect(() => closure.update('b', 2)).to.throw(ReferenceError)
+      })
+
+      it('should throw TypeError given variable is declared as const', () => {
+        closure.declare('b', 'const')
+        closure.set('b', 2)
+
+        expect(() => closure.update('b', 3)).to.throw(TypeError)
+        expect(closure.data['b']).to.be.equal(2)
+      })
+    })
+
+    describe('declare tests', () => {
+      it('should add variable to closure.data as uninitialized', () => {
+        closure.declare('b', 'let')
+
+        expect(closure.exist('b')).to.be.true
+        expect(closure.uninitialized).to.have.property('b', true)
+        expect(closure.constants).to.not.have.property('b')
+      })
+
+      it('should add variable to closure.constants given kind \'const\'', () => {
+        closure.declare('b', 'const')
+
+        expect(closure.constants).to.have.property('b', true)
+      })
+
+      it('should keep variables named after members of Object.prototype', () => {
+        closure.declare('hasOwnProperty', 'const')
+        closure.declare('toString', 'let')
+
+        expect(() => closure.get('hasOwnProperty')).to.throw(ReferenceError)
+        expect(closure.isInitialized('valueOf')).to.be.true
+
+        closure.set('hasOwnProperty', 1)
+        closure.set('toString', 2)
+        closure.update('toString', 3)
+
+        expect(closure.get('hasOwnProperty')).to.be.equal(1)
+        expect(closure.get('toString')).to.be.equal(3)
+        expect(() => closure.update('hasOwnProperty', 2)).to.throw(TypeError)
+      })
+    })
+
+    describe('bind tests', () => {
+      it('should add variable to closure.data reading value from given getValue each time', () => {
+        let value = 1
+
+        closure.bind('b', () => value)
+
+        expect(closure.exist('b')).to.be.true
+        expect(closure.get('b')).to.be.equal(1)
+
+        value = 2
+
+        expect(closure.get('b')).to.be.equal(2)
+      })
+
+      it('should add variable to closure.constants', () => {
+        closure.bind('b', () => 1)
+
+        expect(closure.constants).to.have.property('b', true)
+        expect(() => closure.update('b', 2)).to.throw(TypeError)
+      })
+    })
+
+    describe('isInitialized tests', () => {
+      it('should return true given variable initialized or not declared', () => {
+        expect(closure.isInitialized('a')).to.be.true
+        expect(closure.isInitialized('b')).to.be.true
+      })
+
+      it('should return false given variable declared but not initialized', () => {
+        closure.declare('b', 'let')
+
+        expect(closure.isInitialized('b')).to.be.false
+      })
+    })
+
+    describe('isFunctionClosure tests', () => {
+      it('should return true given type Closure.FUNCTION', () => {
+        expect(closure.isFunctionClosure()).to.be.true
+      })
+
+      it('should return false given type Closure.BLOCK', () => {
+        closure = new Closure({}, Closure.BLOCK)
+
+        expect(closure.isFunctionClosure()).to.be.false
+      })
+    })
+
+    describe('isObjectClosure tests', () => {
+      it('should return true given type Closure.OBJECT', () => {
+        closure = new Closure({}, Closure.OBJECT)
+
+        expect(closure.isObjectClosure()).to.be.true
+      })
+
+      it('should return false given type Closure.FUNCTION', () => {
+        expect(closure.isObjectClosure()).to.be.false
+      })
+    })
+
+    describe('getCopy tests', () => {
+      it('should return a new closure with copied data, type, scope, constants and uninitialized', () => {
+        const scope = {type: 'ForStatement'}
+
+        closure = new Closure({a: 1}, Closure.BLOCK, scope)
+        closure.declare('b', 'const')
+
+        const result = closure.getCopy()
+
+        expect(result).to.be.instanceof(Closure)
+        expect(result).to.be.eql(closure)
+        expect(result.scope).to.be.equal(scope)
+        expect(result.data).to.not.equal(closure.data)
+        expect(result.constants).to.not.equal(closure.constants)
+        expect(result.uninitialized).to.not.equal(closure.uninitialized)
+        expect(Object.prototype.isPrototypeOf(result.data)).to.be.false
+      })
     })
 
     describe('exist tests', () => {
@@ -67,6 +244,94 @@ describe('Closure tests', () => {
 
         expect(result).to.be.false
       })
+
+      it('should return false when given key is only inherited by closure.data', () => {
+        const result = closure.exist('toString')
+
+        expect(result).to.be.false
+      })
+
+      it('should return true given closure.data has own property hasOwnProperty', () => {
+        closure.set('hasOwnProperty', 1)
+
+        expect(closure.exist('hasOwnProperty')).to.be.true
+        expect(closure.exist('b')).to.be.false
+      })
+
+      it('should return result from hasUnscopedProperty given object closure', () => {
+        closure = new Closure({}, Closure.OBJECT)
+        sandbox.stub(closure, 'hasUnscopedProperty')
+          .withArgs('toString').returns('resultFromHasUnscopedProperty')
+
+        const result = closure.exist('toString')
+
+        expect(result).to.be.equal('resultFromHasUnscopedProperty')
+      })
+    })
+
+    describe('hasUnscopedProperty tests', () => {
+      beforeEach(() => {
+        closure = new Closure([1], Closure.OBJECT)
+      })
+
+      it('should return true given key in or inherited by closure.data', () => {
+        expect(closure.hasUnscopedProperty('0')).to.be.true
+        expect(closure.hasUnscopedProperty('push')).to.be.true
+      })
+
+      it('should return false given key neither in nor inherited by closure.data', () => {
+        expect(closure.hasUnscopedProperty('b')).to.be.false
+      })
+
+      it('should return false given key listed in Symbol.unscopables of closure.data', () => {
+        expect(closure.hasUnscopedProperty('keys')).to.be.false
+      })
+
+      it('should return false given \'this\'', () => {
+        closure.data.this = closure.data
+
+        expect(closure.hasUnscopedProperty('this')).to.be.false
+      })
+    })
+
+    describe('has tests', () => {
+      it('should return true when given key is in closure.data', () => {
+        const result = closure.has('a')
+
+        expect(result).to.be.true
+      })
+
+      it('should return true when given key is inherited by closure.data', () => {
+        const result = closure.has('toString')
+
+        expect(result).to.be.true
+      })
+
+      it('should return false when given key is neither in nor inherited by closure.data', () => {
+        const result = closure.has('b')
+
+        expect(result).to.be.false
+      })
+    })
+  })
+
+  describe('static methods tests', () => {
+    describe('createRecord tests', () => {
+      it('should return empty object inheriting nothing', () => {
+        const record = Closure.createRecord()
+
+        expect(Object.keys(record)).to.be.eql([])
+        expect(Object.prototype.isPrototypeOf(record)).to.be.false
+        expect('hasOwnProperty' in record).to.be.false
+      })
+
+      it('should return record keeping __proto__ as own property', () => {
+        const record = Closure.createRecord()
+
+        record.__proto__ = 1
+
+        expect(Object.keys(record)).to.be.eql(['__proto__'])
+      })
     })
   })
 })
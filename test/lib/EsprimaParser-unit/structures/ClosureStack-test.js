@@ -1,19 +1,48 @@
 describe('ClosureStack tests', () => {
   let Closure, ClosureStack
 
+  const getClosures = (closureStack) => {
+    const closures = []
+
+    for (let link = closureStack.latest; link; link = link.parent) {
+      closures.unshift(link.closure)
+    }
+    return closures
+  }
+
   beforeEach(() => {
     Closure = require(`${libDir}/structures/Closure`)
     ClosureStack = require(`${libDir}/structures/ClosureStack`)
   })
 
   describe('constructor tests', () => {
-    it('should init property stack as an array containing only one closure init with context', () => {
+    it('should link a closure init with context and an empty block closure on it', () => {
+      const closureStack = new ClosureStack(global)
+      const closures = getClosures(closureStack)
+
+      expect(closures.length).to.be.equal(2)
+      expect(closures[0]).to.be.instanceof(Closure)
+      expect(closures[0]).to.be.eql(new Closure(global))
+      expect(closures[1]).to.be.instanceof(Closure)
+      expect(closures[1]).to.be.eql(new Closure({}, Closure.BLOCK))
+    })
+
+    it('should init property root to link of the block closure', () => {
       const closureStack = new ClosureStack(global)
-      const closure = new Closure(global)
 
-      expect(closureStack.stack.length).to.be.equal(1)
-      expect(closureStack.stack[0]).to.be.instanceof(Closure)
-      expect(closureStack.stack[0]).to.be.eql(closure)
+      expect(closureStack.root).to.be.equal(closureStack.latest)
+      expect(closureStack.root.closure.type).to.be.equal(Closure.BLOCK)
+    })
+
+    it('should take latest and root links given ones to share', () => {
+      const origin = new ClosureStack(global)
+
+      origin.createClosure()
+
+      const closureStack = new ClosureStack(null, origin)
+
+      expect(closureStack.latest).to.be.equal(origin.latest)
+      expect(closureStack.root).to.be.equal(origin.root)
     })
   })
 
@@ -58,6 +87,135 @@ describe('ClosureStack tests', () => {
       })
     })
 
+    describe('getResolved tests', () => {
+      const variable = 'a'
+      const reference = {hops: 1, scope: {}}
+
+      it('should return result from get of closure returned from findReferencedClosure', () => {
+        sandbox.stub(closureStack, 'findReferencedClosure')
+          .withArgs(variable, reference).returns(new Closure({a: 1}))
+
+        const result = closureStack.getResolved(variable, reference)
+
+        expect(result).to.be.equal(1)
+      })
+    })
+
+    describe('findReferencedClosure tests', () => {
+      const variable = 'a'
+      const reference = {hops: 1, scope: {}}
+
+      beforeEach(() => {
+        sandbox.stub(closureStack, 'findResolvedClosure')
+        sandbox.stub(closureStack, 'findClosure')
+          .withArgs(variable).returns('resultFromFindClosure')
+      })
+
+      it('should return closure returned from findResolvedClosure called with variable and reference', () => {
+        const closure = new Closure({a: 1})
+
+        closureStack.findResolvedClosure
+          .withArgs(variable, reference).returns(closure)
+
+        const result = closureStack.findReferencedClosure(variable, reference)
+
+        expect(closureStack.findClosure.called).to.be.false
+        expect(result).to.be.equal(closure)
+      })
+
+      it('should return result from findClosure called with variable given findResolvedClosure returns undefined', () => {
+        closureStack.findResolvedClosure
+          .withArgs(variable, reference).returns(undefined)
+
+        const result = closureStack.findReferencedClosure(variable, reference)
+
+        expect(result).to.be.equal('resultFromFindClosure')
+      })
+
+      it('should return result from findClosure called with variable given no reference', () => {
+        const result = closureStack.findReferencedClosure(variable, undefined)
+
+        expect(closureStack.findResolvedClosure.called).to.be.false
+        expect(result).to.be.equal('resultFromFindClosure')
+      })
+    })
+
+    describe('findResolvedClosure tests', () => {
+      const variable = 'a'
+      const scope = {type: 'BlockStatement'}
+      let closure
+
+      beforeEach(() => {
+        closure = new Closure({a: 1}, Closure.BLOCK, scope)
+
+        closureStack.push(closure)
+        closureStack.createClosure()
+      })
+
+      it('should return closure given hops away from the latest one and created by scope', () => {
+        const result = closureStack.findResolvedClosure(variable, {hops: 1, scope})
+
+        expect(result).to.be.equal(closure)
+      })
+
+      it('should return undefined given closure hops away not created by scope', () => {
+        const result = closureStack.findResolvedClosure(variable, {hops: 0, scope})
+
+        expect(result).to.be.undefined
+      })
+
+      it('should return closure created by scope without checking it has variable', () => {
+        sandbox.spy(closure, 'exist')
+
+        const result = closureStack.findResolvedClosure(variable, {hops: 1, scope})
+
+        expect(closure.exist.called).to.be.false
+        expect(result).to.be.equal(closure)
+      })
+
+      it('should return undefined given hops beyond context closure', () => {
+        const result = closureStack.findResolvedClosure(variable, {hops: 10, scope})
+
+        expect(result).to.be.undefined
+      })
+
+      it('should return result from findGlobalClosure given null scope', () => {
+        sandbox.stub(closureStack, 'findGlobalClosure')
+          .withArgs(variable).returns('resultFromFindGlobalClosure')
+
+        const result = closureStack.findResolvedClosure(variable, {hops: 0, scope: null})
+
+        expect(result).to.be.equal('resultFromFindGlobalClosure')
+      })
+    })
+
+    describe('findGlobalClosure tests', () => {
+      beforeEach(() => {
+        closureStack = new ClosureStack({a: 1, b: 2})
+        closureStack.root.closure.set('a', 3)
+        closureStack.createClosure()
+        closureStack.set('b', 4)
+      })
+
+      it('should return top-level block closure given it has variable', () => {
+        const result = closureStack.findGlobalClosure('a')
+
+        expect(result).to.be.equal(closureStack.root.closure)
+      })
+
+      it('should return context closure given only context has variable, regardless of closures above', () => {
+        const result = closureStack.findGlobalClosure('b')
+
+        expect(result).to.be.equal(closureStack.getContextClosure())
+      })
+
+      it('should return undefined given neither has variable', () => {
+        const result = closureStack.findGlobalClosure('c')
+
+        expect(result).to.be.undefined
+      })
+    })
+
     describe('findClosure tests', () => {
       const variable = 'a'
 
@@ -67,6 +225,8 @@ describe('ClosureStack tests', () => {
       })
 
       it('should call findFirstMatchedClosure with variable', () => {
+        closureStack.findFirstMatchedClosure.returns({})
+
         closureStack.findClosure(variable)
 
         expect(
@@ -86,9 +246,10 @@ describe('ClosureStack tests', () => {
         expect(result).to.be.equal(closure)
       })
 
-      it('should return result from getContextClosure given findFirstMatchedClosure returns undefined', () => {
-        const contextClosure = {data: 'context data'}
-
+      it('should return result from getContextClosure given findFirstMatchedClosure returns undefined and context closure has variable', () => {
+        const contextClosure = {
+          has: sandbox.stub().withArgs(variable).returns(true)
+        }
         closureStack.findFirstMatchedClosure
           .withArgs(variable).returns(undefined)
         closureStack.getContextClosure.returns(contextClosure)
@@ -98,6 +259,19 @@ describe('ClosureStack tests', () => {
         expect(closureStack.getContextClosure.called).to.be.true
         expect(result).to.be.equal(contextClosure)
       })
+
+      it('should throw ReferenceError given findFirstMatchedClosure returns undefined and context closure does not have variable', () => {
+        const contextClosure = {
+          has: sandbox.stub().withArgs(variable).returns(false)
+        }
+        closureStack.findFirstMatchedClosure
+          .withArgs(variable).returns(undefined)
+        closureStack.getContextClosure.returns(contextClosure)
+
+        expect(() => {
+          closureStack.findClosure(variable)
+        }).to.throw(ReferenceError, 'a is not defined')
+      })
     })
 
     describe('findFirstMatchedClosure tests', () => {
@@ -112,9 +286,11 @@ describe('ClosureStack tests', () => {
         sandbox.stub(closure1)
         sandbox.stub(closure2)
         sandbox.stub(closure3)
-        sandbox.stub(closureStack.stack[0])
+        sandbox.stub(closureStack.getContextClosure())
 
-        closureStack.stack.push(closure1, closure2, closure3)
+        closureStack.push(closure1)
+        closureStack.push(closure2)
+        closureStack.push(closure3)
       })
 
       it('should return undefined given no closure other than context closure has the variable', () => {
@@ -124,7 +300,7 @@ describe('ClosureStack tests', () => {
 
         const result = closureStack.findFirstMatchedClosure(variable)
 
-        expect(closureStack.stack[0].exist.called).to.be.false
+        expect(closureStack.getContextClosure().exist.called).to.be.false
         expect(result).to.be.undefined
       })
 
@@ -139,6 +315,99 @@ describe('ClosureStack tests', () => {
       })
     })
 
+    describe('isResolvable tests', () => {
+      const variable = 'a'
+      const reference = {hops: 1, scope: {}}
+
+      beforeEach(() => {
+        sandbox.stub(closureStack, 'findResolvedClosure')
+        sandbox.stub(closureStack, 'findFirstMatchedClosure')
+        sandbox.stub(closureStack.getContextClosure(), 'has')
+      })
+
+      it('should return true given findResolvedClosure called with variable and reference returns closure', () => {
+        closureStack.findResolvedClosure.withArgs(variable, reference).returns(new Closure())
+
+        const result = closureStack.isResolvable(variable, reference)
+
+        expect(closureStack.findFirstMatchedClosure.called).to.be.false
+        expect(result).to.be.true
+      })
+
+      it('should look up variable by name given findResolvedClosure returns undefined', () => {
+        closureStack.findResolvedClosure.withArgs(variable, reference).returns(undefined)
+        closureStack.findFirstMatchedClosure.withArgs(variable).returns(new Closure())
+
+        const result = closureStack.isResolvable(variable, reference)
+
+        expect(result).to.be.true
+      })
+
+      it('should return true given variable found in closures other than context closure', () => {
+        closureStack.findFirstMatchedClosure.withArgs(variable).returns(new Closure())
+
+        const result = closureStack.isResolvable(variable)
+
+        expect(result).to.be.true
+      })
+
+      it('should return true given variable not found in other closures but context closure has it', () => {
+        closureStack.findFirstMatchedClosure.withArgs(variable).returns(undefined)
+        closureStack.getContextClosure().has.withArgs(variable).returns(true)
+
+        const result = closureStack.isResolvable(variable)
+
+        expect(result).to.be.true
+      })
+
+      it('should return false given variable neither found in other closures nor context closure', () => {
+        closureStack.findFirstMatchedClosure.withArgs(variable).returns(undefined)
+        closureStack.getContextClosure().has.withArgs(variable).returns(false)
+
+        const result = closureStack.isResolvable(variable)
+
+        expect(closureStack.findResolvedClosure.called).to.be.false
+        expect(result).to.be.false
+      })
+    })
+
+    describe('getBindingObject tests', () => {
+      const variable = 'a'
+
+      beforeEach(() => {
+        sandbox.stub(closureStack, 'findFirstMatchedClosure')
+      })
+
+      it('should return data of object closure found with variable', () => {
+        const object = {a: 1}
+
+        closureStack.findFirstMatchedClosure
+          .withArgs(variable).returns(new Closure(object, Closure.OBJECT))
+
+        const result = closureStack.getBindingObject(variable)
+
+        expect(result).to.be.equal(object)
+      })
+
+      it('should return undefined given closure found with variable not object closure', () => {
+        closureStack.findFirstMatchedClosure
+          .withArgs(variable).returns(new Closure({a: 1}))
+
+        const result = closureStack.getBindingObject(variable)
+
+        expect(result).to.be.undefined
+      })
+
+      it('should return undefined given no closure found with variable', () => {
+        closureStack.findFirstMatchedClosure
+          .withArgs(variable).returns(undefined)
+
+        const result = closureStack.getBindingObject(variable)
+
+        expect(result).to.be.undefined
+      })
+    })
+
     describe('set tests', () => {
       let closureStub
 
@@ -170,7 +439,7 @@ describe('ClosureStack tests', () => {
       it('should return last closure in stack', () => {
         const closure = new Closure()
 
-        closureStack.stack.push(closure)
+        closureStack.push(closure)
 
         const result = closureStack.getLatestClosure()
 
@@ -178,30 +447,180 @@ describe('ClosureStack tests', () => {
       })
     })
 
+    describe('setToFunctionClosure tests', () => {
+      let closureStub
+
+      beforeEach(() => {
+        closureStub = {
+          set: sandbox.spy()
+        }
+        sandbox.stub(closureStack, 'getFunctionClosure')
+          .returns(closureStub)
+      })
+
+      it('should call set of result from getFunctionClosure with given variable and value', () => {
+        closureStack.setToFunctionClosure('a', 1)
+
+        expect(closureStack.getFunctionClosure.called).to.be.true
+        expect(
+          closureStub.set
+            .calledWithExactly('a', 1)
+        ).to.be.true
+      })
+    })
+
+    describe('getFunctionClosure tests', () => {
+      it('should return last function closure in stack', () => {
+        const closure = new Closure()
+
+        closureStack.push(closure)
+        closureStack.push(new Closure({}, Closure.BLOCK))
+        closureStack.push(new Closure({}, Closure.BLOCK))
+        const result = closureStack.getFunctionClosure()
+
+        expect(result).to.be.equal(closure)
+      })
+
+      it('should return context closure given no function closure other than context closure', () => {
+        closureStack.push(new Closure({}, Closure.BLOCK))
+
+        const result = closureStack.getFunctionClosure()
+
+        expect(result).to.be.equal(closureStack.getContextClosure())
+      })
+    })
+
+    describe('declare tests', () => {
+      let closureStub
+
+      beforeEach(() => {
+        closureStub = {
+          declare: sandbox.spy()
+        }
+        sandbox.stub(closureStack, 'getLatestClosure')
+          .returns(closureStub)
+      })
+
+      it('should call declare of result from getLatestClosure with given variable and kind', () => {
+        closureStack.declare('a', 'const')
+
+        expect(
+          closureStub.declare
+            .calledWithExactly('a', 'const')
+        ).to.be.true
+      })
+    })
+
+    describe('bind tests', () => {
+      let closureStub
+
+      beforeEach(() => {
+        closureStub = {
+          bind: sandbox.spy()
+        }
+        sandbox.stub(closureStack, 'getLatestClosure')
+          .returns(closureStub)
+      })
+
+      it('should call bind of result from getLatestClosure with given variable and getValue', () => {
+        const getValue = () => {}
+
+        closureStack.bind('a', getValue)
+
+        expect(
+          closureStub.bind
+            .calledWithExactly('a', getValue)
+        ).to.be.true
+      })
+    })
+
     describe('update tests', () => {
       const variable = 'a'
       const value = 1
+      const reference = {hops: 1, scope: {}}
       let closureStub
 
       beforeEach(() => {
         closureStub = {
-          set: sandbox.spy()
+          update: sandbox.spy()
+        }
+        sandbox.stub(closureStack, 'findReferencedClosure')
+          .withArgs(variable, reference).returns(closureStub)
+      })
+
+      it('should call findReferencedClosure with given variable and reference', () => {
+        closureStack.update(variable, value, reference)
+
+        expect(
+          closureStack.findReferencedClosure
+            .calledWithExactly(variable, reference)
+        ).to.be.true
+      })
+
+      it('should call update of closure returned from findReferencedClosure with given variable and value', () => {
+        closureStack.update(variable, value, reference)
+
+        expect(
+          closureStub.update
+            .calledWithExactly(variable, value)
+        ).to.be.true
+      })
+    })
+
+    describe('setImplicitGlobal tests', () => {
+      it('should set variable and value to context closure', () => {
+        const contextClosure = closureStack.getContextClosure()
+
+        sandbox.stub(contextClosure, 'set')
+
+        closureStack.createClosure()
+        closureStack.setImplicitGlobal('a', 1)
+
+        expect(
+          contextClosure.set
+            .calledWithExactly('a', 1)
+        ).to.be.true
+      })
+    })
+
+    describe('isInitialized tests', () => {
+      const variable = 'a'
+      let closureStub
+
+      beforeEach(() => {
+        closureStub = {
+          isInitialized: sandbox.stub().returns(true)
         }
         sandbox.stub(closureStack, 'findClosure')
           .withArgs(variable).returns(closureStub)
       })
 
-      it('should call findClosure with given variable', () => {
-        closureStack.update(variable, value)
+      it('should return result from isInitialized of closure returned from findClosure called with variable', () => {
+        const result = closureStack.isInitialized(variable)
 
         expect(
-          closureStack.findClosure
+          closureStub.isInitialized
             .calledWithExactly(variable)
         ).to.be.true
+        expect(result).to.be.true
       })
+    })
 
-      it('should call set of closure returned from findClosure with given variable and value', () => {
-        closureStack.update(variable, value)
+    describe('initialize tests', () => {
+      const variable = 'a'
+      const value = 1
+      let closureStub
+
+      beforeEach(() => {
+        closureStub = {
+          set: sandbox.spy()
+        }
+        sandbox.stub(closureStack, 'findClosure')
+          .withArgs(variable).returns(closureStub)
+      })
+
+      it('should call set of closure returned from findClosure called with variable', () => {
+        closureStack.initialize(variable, value)
 
         expect(
           closureStub.set
@@ -212,9 +631,23 @@ describe('ClosureStack tests', () => {
 
     describe('getContextClosure tests', () => {
       it('should return the first closure in stack', () => {
+        closureStack.createClosure()
+
         const result = closureStack.getContextClosure()
 
-        expect(result).to.be.equal(closureStack.stack[0])
+        expect(result).to.be.equal(getClosures(closureStack)[0])
+      })
+    })
+
+    describe('push tests', () => {
+      it('should link given closure on the latest one', () => {
+        const latestClosure = closureStack.getLatestClosure()
+        const closure = new Closure()
+
+        closureStack.push(closure)
+
+        expect(closureStack.latest.closure).to.be.equal(closure)
+        expect(closureStack.latest.parent.closure).to.be.equal(latestClosure)
       })
     })
 
@@ -224,62 +657,156 @@ describe('ClosureStack tests', () => {
 
         closureStack.createClosure()
 
-        const latestClosure = closureStack.stack.slice(-1)[0]
+        const latestClosure = closureStack.getLatestClosure()
 
-        expect(closureStack.stack.length).to.be.equal(2)
+        expect(getClosures(closureStack).length).to.be.equal(3)
         expect(latestClosure).to.be.instanceof(Closure)
         expect(latestClosure).to.be.eql(closure)
       })
+
+      it('should push closure created by given scope', () => {
+        const scope = {type: 'FunctionExpression'}
+
+        closureStack.createClosure(scope)
+
+        expect(closureStack.getLatestClosure().scope).to.be.equal(scope)
+      })
+
+      it('should push closure whose data inherits nothing', () => {
+        closureStack.createClosure()
+
+        expect(Object.prototype.isPrototypeOf(closureStack.getLatestClosure().data)).to.be.false
+      })
     })
 
-    describe('getClone tests', () => {
-      beforeEach(() => {
-        sandbox.stub(closureStack, 'constructor', function () {
-          this.setContext = sandbox.spy()
-          this.setStack = sandbox.spy()
-        })
+    describe('createBlockClosure tests', () => {
+      it('should push empty block closure to stack', () => {
+        const closure = new Closure({}, Closure.BLOCK)
+
+        closureStack.createBlockClosure()
+
+        const latestClosure = closureStack.getLatestClosure()
+
+        expect(getClosures(closureStack).length).to.be.equal(3)
+        expect(latestClosure).to.be.instanceof(Closure)
+        expect(latestClosure).to.be.eql(closure)
+      })
+
+      it('should push block closure created by given scope', () => {
+        const scope = {type: 'BlockStatement'}
+
+        closureStack.createBlockClosure(scope)
+
+        expect(closureStack.getLatestClosure().type).to.be.equal(Closure.BLOCK)
+        expect(closureStack.getLatestClosure().scope).to.be.equal(scope)
       })
 
+      it('should push block closure whose data inherits nothing', () => {
+        closureStack.createBlockClosure()
+
+        expect(Object.prototype.isPrototypeOf(closureStack.getLatestClosure().data)).to.be.false
+      })
+    })
+
+    describe('createObjectClosure tests', () => {
+      it('should push object closure of given object to stack', () => {
+        const object = {}
+
+        closureStack.createObjectClosure(object)
+
+        const latestClosure = closureStack.getLatestClosure()
+
+        expect(getClosures(closureStack).length).to.be.equal(3)
+        expect(latestClosure).to.be.instanceof(Closure)
+        expect(latestClosure.data).to.be.equal(object)
+        expect(latestClosure.type).to.be.equal(Closure.OBJECT)
+      })
+    })
+
+    describe('copyLatestClosure tests', () => {
+      it('should replace latest closure with its copy', () => {
+        const closure = new Closure({a: 1}, Closure.BLOCK)
+
+        closureStack.push(closure)
+        closureStack.copyLatestClosure()
+
+        const latestClosure = closureStack.getLatestClosure()
+
+        expect(getClosures(closureStack).length).to.be.equal(3)
+        expect(latestClosure).to.not.equal(closure)
+        expect(latestClosure).to.be.eql(closure)
+      })
+    })
+
+    describe('removeLatestClosure tests', () => {
+      it('should pop latest closure from stack', () => {
+        const closure = new Closure()
+
+        closureStack.push(closure)
+        closureStack.removeLatestClosure()
+
+        expect(getClosures(closureStack).length).to.be.equal(2)
+        expect(getClosures(closureStack)).to.not.include(closure)
+      })
+    })
+
+    describe('getClone tests', () => {
       it('should return an instanceof closureStack\'s constructor', () => {
         const newClosureStack = closureStack.getClone()
 
         expect(newClosureStack).to.be.instanceof(closureStack.constructor)
       })
 
-      it('should call setStack with calling closureStack stack', () => {
+      it('should share latest and root links of calling closureStack without creating closures', () => {
+        closureStack.createClosure()
+
         const newClosureStack = closureStack.getClone()
 
-        expect(
-          newClosureStack.setStack
-            .calledWithExactly(closureStack.stack)
-        ).to.be.true
+        expect(newClosureStack.latest).to.be.equal(closureStack.latest)
+        expect(newClosureStack.root).to.be.equal(closureStack.root)
+        expect(getClosures(newClosureStack)).to.be.eql(getClosures(closureStack))
+      })
+    })
+
+    describe('getRootClone tests', () => {
+      it('should return an instanceof closureStack\'s constructor', () => {
+        const newClosureStack = closureStack.getRootClone()
+
+        expect(newClosureStack).to.be.instanceof(closureStack.constructor)
+      })
+
+      it('should take root link as latest one', () => {
+        closureStack.createClosure()
+
+        const newClosureStack = closureStack.getRootClone()
+
+        expect(newClosureStack.latest).to.be.equal(closureStack.root)
+        expect(newClosureStack.root).to.be.equal(closureStack.root)
       })
     })
 
     describe('setStack tests', () => {
-      it('should set stack to a copied of given stack', () => {
-        const stack = [
-          new Closure({name: 'closure1'}),
-          new Closure({name: 'closure2'})
-        ]
+      it('should set latest and root links to given ones', () => {
+        const origin = new ClosureStack(global)
 
-        closureStack.setStack(stack)
+        origin.createClosure()
+        closureStack.setStack(origin.latest, origin.root)
 
-        expect(closureStack.stack).to.be.eql(stack)
-        expect(closureStack.stack).to.not.equal(stack)
+        expect(getClosures(closureStack)).to.be.eql(getClosures(origin))
+        expect(closureStack.root).to.be.equal(origin.root)
       })
 
-      it('should set stack to a copied of given stack, manipulation on copied stack would not affect original stack', () => {
-        const stack = [
-          new Closure({name: 'closure1'}),
-          new Closure({name: 'closure2'})
-        ]
+      it('should share closures with the origin, but closures pushed later would not affect it', () => {
+        const origin = new ClosureStack(global)
 
-        closureStack.setStack(stack)
-        closureStack.stack.push(new Closure({name: 'closure3'}))
+        closureStack.setStack(origin.latest, origin.root)
+        closureStack.createClosure()
+        origin.createBlockClosure()
 
-        expect(stack.length).to.be.equal(2)
-        expect(closureStack.stack.length).to.be.equal(3)
+        expect(getClosures(origin).length).to.be.equal(3)
+        expect(getClosures(closureStack).length).to.be.equal(3)
+        expect(getClosures(closureStack)[1]).to.be.equal(getClosures(origin)[1])
+        expect(closureStack.getLatestClosure()).to.not.equal(origin.getLatestClosure())
       })
     })
   })
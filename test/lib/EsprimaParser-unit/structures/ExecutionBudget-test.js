@@ -0,0 +1,176 @@
+describe('ExecutionBudget tests', () => {
+  let ExecutionBudget
+
+  before(() => {
+    ExecutionBudget = require(`${libDir}/structures/ExecutionBudget`)
+  })
+
+  describe('constructor tests', () => {
+    it('should init property maxSteps and maxTime as given', () => {
+      const executionBudget = new ExecutionBudget({maxSteps: 100, maxTime: 10})
+
+      expect(executionBudget.maxSteps).to.be.equal(100)
+      expect(executionBudget.maxTime).to.be.equal(10)
+    })
+
+    it('should init property maxSteps and maxTime as Infinity given nothing', () => {
+      const executionBudget = new ExecutionBudget()
+
+      expect(executionBudget.maxSteps).to.be.equal(Infinity)
+      expect(executionBudget.maxTime).to.be.equal(Infinity)
+    })
+
+    it('should init property steps and startTime as 0', () => {
+      const executionBudget = new ExecutionBudget()
+
+      expect(executionBudget.steps).to.be.equal(0)
+      expect(executionBudget.startTime).to.be.equal(0)
+    })
+  })
+
+  describe('methods tests', () => {
+    let clock
+
+    beforeEach(() => {
+      clock = sandbox.useFakeTimers(1000)
+    })
+
+    describe('start tests', () => {
+      it('should reset steps and set startTime to now', () => {
+        const executionBudget = new ExecutionBudget()
+
+        executionBudget.steps = 10
+        executionBudget.start()
+
+        expect(executionBudget.steps).to.be.equal(0)
+        expect(executionBudget.startTime).to.be.equal(1000)
+      })
+    })
+
+    describe('save tests', () => {
+      it('should return steps and time elapsed', () => {
+        const executionBudget = new ExecutionBudget()
+
+        executionBudget.start()
+        executionBudget.consume()
+        clock.tick(5)
+
+        expect(executionBudget.save()).to.be.eql({steps: 1, time: 5})
+      })
+    })
+
+    describe('resume tests', () => {
+      it('should continue from steps and time given, without time spent before resuming', () => {
+        const executionBudget = new ExecutionBudget({maxSteps: 2, maxTime: 10})
+
+        executionBudget.start()
+        executionBudget.consume()
+        clock.tick(5)
+
+        const usage = executionBudget.save()
+
+        clock.tick(100)
+        executionBudget.resume(usage)
+
+        expect(executionBudget.steps).to.be.equal(1)
+        expect(executionBudget.getElapsedTime()).to.be.equal(5)
+        expect(executionBudget.consume()).to.be.true
+        expect(executionBudget.consume()).to.be.false
+      })
+    })
+
+    describe('consume tests', () => {
+      it('should count steps and return true given steps within maxSteps', () => {
+        const executionBudget = new ExecutionBudget({maxSteps: 2})
+
+        executionBudget.start()
+
+        expect(executionBudget.consume()).to.be.true
+        expect(executionBudget.consume()).to.be.true
+        expect(executionBudget.steps).to.be.equal(2)
+      })
+
+      it('should return false given steps more than maxSteps', () => {
+        const executionBudget = new ExecutionBudget({maxSteps: 1})
+
+        executionBudget.start()
+        executionBudget.consume()
+
+        expect(executionBudget.consume()).to.be.false
+      })
+
+      const consumeUntilClockChecked = (executionBudget) => {
+        for (let i = 1; i < ExecutionBudget.CLOCK_INTERVAL; i++) {
+          executionBudget.consume()
+        }
+        return executionBudget.consume()
+      }
+
+      it('should return true given time elapsed within maxTime when clock checked', () => {
+        const executionBudget = new ExecutionBudget({maxTime: 10})
+
+        executionBudget.start()
+        clock.tick(10)
+
+        expect(consumeUntilClockChecked(executionBudget)).to.be.true
+      })
+
+      it('should return false given time elapsed more than maxTime when clock checked', () => {
+        const executionBudget = new ExecutionBudget({maxTime: 10})
+
+        executionBudget.start()
+        clock.tick(11)
+
+        expect(consumeUntilClockChecked(executionBudget)).to.be.false
+      })
+
+      it('should read clock only once per CLOCK_INTERVAL steps', () => {
+        const executionBudget = new ExecutionBudget({maxTime: 10})
+
+        executionBudget.start()
+        clock.tick(11)
+        sandbox.spy(executionBudget, 'getElapsedTime')
+
+        for (let i = 1; i < ExecutionBudget.CLOCK_INTERVAL; i++) {
+          expect(executionBudget.consume()).to.be.true
+        }
+        expect(executionBudget.getElapsedTime.called).to.be.false
+        expect(executionBudget.consume()).to.be.false
+        expect(executionBudget.getElapsedTime.calledOnce).to.be.true
+      })
+
+      it('should not read clock given no maxTime', () => {
+        const executionBudget = new ExecutionBudget()
+
+        executionBudget.start()
+        sandbox.spy(executionBudget, 'getElapsedTime')
+
+        expect(consumeUntilClockChecked(executionBudget)).to.be.true
+        expect(executionBudget.getElapsedTime.called).to.be.false
+      })
+    })
+
+    describe('getElapsedTime tests', () => {
+      it('should return ms elapsed since start', () => {
+        const executionBudget = new ExecutionBudget()
+
+        executionBudget.start()
+        clock.tick(5)
+
+        expect(executionBudget.getElapsedTime()).to.be.equal(5)
+      })
+    })
+
+    describe('getUsage tests', () => {
+      it('should return steps and time elapsed', () => {
+        const executionBudget = new ExecutionBudget()
+
+        executionBudget.start()
+        executionBudget.consume()
+        clock.tick(5)
+
+        expect(executionBudget.getUsage()).to.be.equal('1 steps in 5 ms')
+      })
+    })
+  })
+})
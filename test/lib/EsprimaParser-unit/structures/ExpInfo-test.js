@@ -0,0 +1,33 @@
+describe('ExpInfo tests', () => {
+  let ExpInfo
+
+  before(() => {
+    ExpInfo = require(`${libDir}/structures/ExpInfo`)
+  })
+
+  describe('constructor tests', () => {
+    it('should set loc from expression and scriptUrl from parser', () => {
+      const parser = {scriptUrl: 'scriptUrl'}
+      const expression = {loc: {}}
+
+      const expInfo = new ExpInfo(parser, expression)
+
+      expect(expInfo.loc).to.be.equal(expression.loc)
+      expect(expInfo.scriptUrl).to.be.equal('scriptUrl')
+    })
+  })
+
+  describe('code tests', () => {
+    it('should return result from getExpCode of parser called with expression only when read', () => {
+      const parser = {getExpCode: sandbox.stub()}
+      const expression = {loc: {}}
+
+      parser.getExpCode.withArgs(expression).returns('resultFromGetExpCode')
+
+      const expInfo = new ExpInfo(parser, expression)
+
+      expect(parser.getExpCode.called).to.be.false
+      expect(expInfo.code).to.be.equal('resultFromGetExpCode')
+    })
+  })
+})
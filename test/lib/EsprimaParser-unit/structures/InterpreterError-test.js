@@ -0,0 +1,54 @@
+describe('InterpreterError tests', () => {
+  const node = {}
+  const loc = {start: {line: 2, column: 10}}
+  let InterpreterError
+
+  before(() => {
+    InterpreterError = require(`${libDir}/structures/InterpreterError`)
+  })
+
+  describe('constructor tests', () => {
+    it('should init property name, cause, node, scriptUrl and loc', () => {
+      const cause = new Error('message')
+      const error = new InterpreterError(cause, {node, scriptUrl: 'scriptUrl', loc})
+
+      expect(error.name).to.be.equal('InterpreterError')
+      expect(error.cause).to.be.equal(cause)
+      expect(error.node).to.be.equal(node)
+      expect(error.scriptUrl).to.be.equal('scriptUrl')
+      expect(error.loc).to.be.equal(loc)
+    })
+
+    it('should init message of cause followed by location with 1-based column', () => {
+      const error = new InterpreterError(new Error('message'), {node, scriptUrl: 'scriptUrl', loc})
+
+      expect(error.message).to.be.equal('message at scriptUrl:2:11')
+    })
+
+    it('should init message of stringified cause followed by scriptUrl given cause not an error and no loc', () => {
+      const error = new InterpreterError('message', {scriptUrl: 'scriptUrl'})
+
+      expect(error.message).to.be.equal('message at scriptUrl')
+    })
+
+    it('should init stack of message followed by stack of cause', () => {
+      const cause = new Error('message')
+      const error = new InterpreterError(cause, {scriptUrl: 'scriptUrl'})
+
+      expect(error.stack).to.be.equal(`InterpreterError: message at scriptUrl\nCaused by: ${cause.stack}`)
+    })
+
+    it('should init stack of message followed by cause given cause without stack', () => {
+      const error = new InterpreterError('message', {scriptUrl: 'scriptUrl'})
+
+      expect(error.stack).to.be.equal('InterpreterError: message at scriptUrl\nCaused by: message')
+    })
+
+    it('should be an instance of Error', () => {
+      const error = new InterpreterError(new Error('message'), {scriptUrl: 'scriptUrl'})
+
+      expect(error).to.be.instanceof(Error)
+      expect(String(error)).to.be.equal('InterpreterError: message at scriptUrl')
+    })
+  })
+})
@@ -0,0 +1,227 @@
+describe('ModuleLoader tests', () => {
+  const url = 'http://example.com/js/main.js'
+  let ModuleLoader, ModuleRecord
+
+  before(() => {
+    ModuleLoader = require(`${libDir}/structures/ModuleLoader`)
+    ModuleRecord = require(`${libDir}/structures/ModuleRecord`)
+  })
+
+  describe('constructor tests', () => {
+    it('should set fetchText to given one', () => {
+      const fetchText = () => {}
+      const moduleLoader = new ModuleLoader(fetchText)
+
+      expect(moduleLoader.fetchText).to.be.equal(fetchText)
+    })
+
+    it('should set fetchText to ModuleLoader.fetchText given nothing', () => {
+      const moduleLoader = new ModuleLoader()
+
+      expect(moduleLoader.fetchText).to.be.equal(ModuleLoader.fetchText)
+    })
+
+    it('should set records to an empty Map', () => {
+      const moduleLoader = new ModuleLoader()
+
+      expect(moduleLoader.records).to.be.instanceof(Map)
+      expect(moduleLoader.records.size).to.be.equal(0)
+    })
+  })
+
+  describe('static tests', () => {
+    describe('fetchText tests', () => {
+      let fetch
+
+      beforeEach(() => {
+        fetch = global.fetch
+      })
+
+      afterEach(() => {
+        global.fetch = fetch
+      })
+
+      it('should resolve with text of response fetched from given url', () => {
+        global.fetch = sandbox.stub().returns(Promise.resolve({
+          ok: true,
+          text: () => 'sourceText'
+        }))
+
+        return ModuleLoader.fetchText(url).then((sourceText) => {
+          expect(global.fetch.calledWithExactly(url)).to.be.true
+          expect(sourceText).to.be.equal('sourceText')
+        })
+      })
+
+      it('should reject with TypeError given response not ok', () => {
+        global.fetch = sandbox.stub().returns(Promise.resolve({ok: false}))
+
+        return ModuleLoader.fetchText(url).then(() => {
+          throw new Error('should not resolve')
+        }, (error) => {
+          expect(error).to.be.instanceof(TypeError)
+          expect(error.message).to.be.equal(`Failed to fetch module ${url}`)
+        })
+      })
+    })
+  })
+
+  describe('methods tests', () => {
+    let moduleLoader
+
+    beforeEach(() => {
+      moduleLoader = new ModuleLoader(sandbox.stub())
+    })
+
+    describe('resolve tests', () => {
+      it('should resolve relative specifiers against referrerUrl', () => {
+        expect(moduleLoader.resolve('./a.js', url)).to.be.equal('http://example.com/js/a.js')
+        expect(moduleLoader.resolve('../a.js', url)).to.be.equal('http://example.com/a.js')
+        expect(moduleLoader.resolve('/a.js', url)).to.be.equal('http://example.com/a.js')
+      })
+
+      it('should return absolute url specifiers as they are', () => {
+        expect(moduleLoader.resolve('http://cdn.com/a.js', url)).to.be.equal('http://cdn.com/a.js')
+      })
+
+      it('should throw TypeError given bare specifiers', () => {
+        expect(() => moduleLoader.resolve('lodash', url))
+          .to.throw(TypeError, 'Failed to resolve module specifier "lodash"')
+      })
+    })
+
+    describe('loadModule tests', () => {
+      const record = {}
+
+      beforeEach(() => {
+        sandbox.stub(moduleLoader, 'fetchRecord')
+          .withArgs(url).returns(Promise.resolve(record))
+        sandbox.stub(moduleLoader, 'loadRequestedModules')
+          .withArgs(record).returns('resultFromLoadRequestedModules')
+      })
+
+      it('should resolve with result from loadRequestedModules called with record fetched', () => {
+        return moduleLoader.loadModule(url).then((result) => {
+          expect(result).to.be.equal('resultFromLoadRequestedModules')
+        })
+      })
+    })
+
+    describe('loadInlineModule tests', () => {
+      const record = {}
+
+      beforeEach(() => {
+        sandbox.stub(moduleLoader, 'createRecord')
+          .withArgs(url, 'sourceText').returns(record)
+        sandbox.stub(moduleLoader, 'loadRequestedModules')
+          .withArgs(record).returns('resultFromLoadRequestedModules')
+      })
+
+      it('should resolve with result from loadRequestedModules called with record created from sourceText', () => {
+        return moduleLoader.loadInlineModule(url, 'sourceText').then((result) => {
+          expect(result).to.be.equal('resultFromLoadRequestedModules')
+        })
+      })
+
+      it('should not cache record created', () => {
+        return moduleLoader.loadInlineModule(url, 'sourceText').then(() => {
+          expect(moduleLoader.records.has(url)).to.be.false
+        })
+      })
+    })
+
+    describe('fetchRecord tests', () => {
+      const record = {}
+
+      beforeEach(() => {
+        moduleLoader.fetchText
+          .withArgs(url).returns(Promise.resolve('sourceText'))
+        sandbox.stub(moduleLoader, 'createRecord')
+          .withArgs(url, 'sourceText').returns(record)
+      })
+
+      it('should resolve with result from createRecord called with url and text fetched', () => {
+        return moduleLoader.fetchRecord(url).then((result) => {
+          expect(result).to.be.equal(record)
+        })
+      })
+
+      it('should fetch each url only once', () => {
+        return Promise.all([
+          moduleLoader.fetchRecord(url),
+          moduleLoader.fetchRecord(url)
+        ]).then((results) => {
+          expect(moduleLoader.fetchText.calledOnce).to.be.true
+          expect(results[0]).to.be.equal(results[1])
+        })
+      })
+    })
+
+    describe('createRecord tests', () => {
+      it('should return a ModuleRecord with url and ast of sourceText parsed as module', () => {
+        const record = moduleLoader.createRecord(url, 'export const a = 1')
+
+        expect(record).to.be.instanceof(ModuleRecord)
+        expect(record.url).to.be.equal(url)
+        expect(record.ast.sourceType).to.be.equal('module')
+        expect(record.ast.body[0].type).to.be.equal('ExportNamedDeclaration')
+        expect(record.ast.body[0].loc).to.exist
+      })
+
+      it('should keep sourceText in record and ranges in ast', () => {
+        const record = moduleLoader.createRecord(url, 'export const a = 1')
+
+        expect(record.sourceText).to.be.equal('export const a = 1')
+        expect(record.ast.body[0].range).to.be.eql([0, 18])
+      })
+    })
+
+    describe('loadRequestedModules tests', () => {
+      let record, recordA, recordB
+
+      beforeEach(() => {
+        record = new ModuleRecord(url, {body: []})
+        recordA = new ModuleRecord('http://example.com/js/a.js', {body: []})
+        recordB = new ModuleRecord('http://example.com/b.js', {body: []})
+
+        sandbox.stub(record, 'getRequestedSpecifiers').returns(['./a.js', '../b.js'])
+        sandbox.stub(recordA, 'getRequestedSpecifiers').returns(['./main.js'])
+        sandbox.stub(recordB, 'getRequestedSpecifiers').returns([])
+        sandbox.stub(moduleLoader, 'fetchRecord', (requestedUrl) => {
+          // @NOTE: recordA is fetched later than recordB
+          return {
+            'http://example.com/js/main.js': Promise.resolve(record),
+            'http://example.com/js/a.js': new Promise((resolve) => setTimeout(() => resolve(recordA))),
+            'http://example.com/b.js': Promise.resolve(recordB)
+          }[requestedUrl]
+        })
+      })
+
+      it('should set requestedModules of each record in the order they are requested', () => {
+        return moduleLoader.loadRequestedModules(record).then(() => {
+          expect([...record.requestedModules]).to.be.eql([
+            ['./a.js', recordA],
+            ['../b.js', recordB]
+          ])
+          expect([...recordA.requestedModules]).to.be.eql([['./main.js', record]])
+        })
+      })
+
+      it('should resolve with given record given cyclic imports', () => {
+        return moduleLoader.loadRequestedModules(record).then((result) => {
+          expect(result).to.be.equal(record)
+        })
+      })
+
+      it('should reject given specifier failed to resolve', () => {
+        record.getRequestedSpecifiers.returns(['lodash'])
+
+        return moduleLoader.loadRequestedModules(record).then(() => {
+          throw new Error('should not resolve')
+        }, (error) => {
+          expect(error).to.be.instanceof(TypeError)
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,101 @@
+describe('ModuleRecord tests', () => {
+  let ModuleRecord
+
+  before(() => {
+    ModuleRecord = require(`${libDir}/structures/ModuleRecord`)
+  })
+
+  describe('constructor tests', () => {
+    const url = 'http://example.com/module.js'
+    const ast = {type: 'Program', body: []}
+
+    it('should set url, ast and sourceText to given ones', () => {
+      const record = new ModuleRecord(url, ast, 'sourceText')
+
+      expect(record.url).to.be.equal(url)
+      expect(record.ast).to.be.equal(ast)
+      expect(record.sourceText).to.be.equal('sourceText')
+    })
+
+    it('should set status to ModuleRecord.UNLINKED and error to undefined', () => {
+      const record = new ModuleRecord(url, ast)
+
+      expect(record.status).to.be.equal(ModuleRecord.UNLINKED)
+      expect(record.error).to.be.undefined
+    })
+
+    it('should set requestedModules to an empty Map', () => {
+      const record = new ModuleRecord(url, ast)
+
+      expect(record.requestedModules).to.be.instanceof(Map)
+      expect(record.requestedModules.size).to.be.equal(0)
+    })
+
+    it('should set entries, environment, statements and namespace to null', () => {
+      const record = new ModuleRecord(url, ast)
+
+      expect(record.entries).to.be.null
+      expect(record.environment).to.be.null
+      expect(record.statements).to.be.null
+      expect(record.namespace).to.be.null
+    })
+  })
+
+  describe('static tests', () => {
+    for (const name of [
+      'UNLINKED', 'LINKING', 'LINKED', 'EVALUATING', 'EVALUATED', 'ERRORED', 'AMBIGUOUS'
+    ]) {
+      describe(`getter of ${name}`, () => {
+        it(`should return string '${name}'`, () => {
+          expect(ModuleRecord[name]).to.be.equal(name)
+        })
+      })
+    }
+  })
+
+  describe('methods tests', () => {
+    let record
+
+    beforeEach(() => {
+      record = new ModuleRecord('http://example.com/module.js', {type: 'Program', body: []})
+    })
+
+    describe('getRequestedSpecifiers tests', () => {
+      it('should return unique source values of statements in order', () => {
+        record.ast.body = [
+          {type: 'ImportDeclaration', source: {value: './a.js'}},
+          {type: 'ExpressionStatement'},
+          {type: 'ExportNamedDeclaration', source: null},
+          {type: 'ExportAllDeclaration', source: {value: './b.js'}},
+          {type: 'ExportNamedDeclaration', source: {value: './a.js'}}
+        ]
+        expect(record.getRequestedSpecifiers()).to.be.eql(['./a.js', './b.js'])
+      })
+    })
+
+    describe('setError tests', () => {
+      it('should set status to ModuleRecord.ERRORED and error to given error', () => {
+        const error = new Error()
+
+        record.setError(error)
+
+        expect(record.status).to.be.equal(ModuleRecord.ERRORED)
+        expect(record.error).to.be.equal(error)
+      })
+    })
+
+    describe('checkError tests', () => {
+      it('should throw error given status ModuleRecord.ERRORED', () => {
+        const error = new Error()
+
+        record.setError(error)
+
+        expect(() => record.checkError()).to.throw(error)
+      })
+
+      it('should not throw given other status', () => {
+        expect(() => record.checkError()).to.not.throw()
+      })
+    })
+  })
+})
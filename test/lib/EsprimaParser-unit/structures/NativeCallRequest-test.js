@@ -0,0 +1,19 @@
+describe('NativeCallRequest tests', () => {
+  let NativeCallRequest
+
+  before(() => {
+    NativeCallRequest = require(`${libDir}/structures/NativeCallRequest`)
+  })
+
+  describe('constructor tests', () => {
+    it('should set calledMethod and exp', () => {
+      const calledMethod = function () {}
+      const exp = {}
+
+      const nativeCallRequest = new NativeCallRequest(calledMethod, exp)
+
+      expect(nativeCallRequest.calledMethod).to.be.equal(calledMethod)
+      expect(nativeCallRequest.exp).to.be.equal(exp)
+    })
+  })
+})